@@ -1,6 +1,3 @@
-// Copyright (c) Microsoft Corporation. All rights reserved.
-// Licensed under the MIT license.
-
 /**
  * The MIL namespace.
  */
@@ -20,8 +17,18 @@ declare namespace MIL {
     type GestureEndedHandler = (liftedPointerID?: string) => void;
     /** Type of a callback that takes no parameters and returns a boolean. When the handler is invoked, 'this' will be set to the Gesture instance. */
     type GestureConditionalCallback = () => boolean;
-    /** Type of a handler (callback) for a recognize-shape Gesture. When the handler is invoked, 'this' will be set to the Gesture instance. */
-    type ShapeRecognizedHandler = (shape: RecognizableShape) => void;
+    /**
+     * Type of a handler (callback) for a recognize-shape Gesture. When the handler is invoked, 'this' will be set to the Gesture instance.
+     * When using ShapeRecognitionEngine.Template, 'candidates' will be the ranked list of all the matching shapes (the first of which is 'shape').
+     */
+    type ShapeRecognizedHandler = (shape: ShapeID, candidates?: ShapeTemplateMatch[]) => void;
+    /** Type of the ID of a recognizable shape: either a built-in MIL.RecognizableShape value, or the [string] ID of a custom shape added with MIL.AddRecognizableShape(). */
+    type ShapeID = RecognizableShape | string;
+    /**
+     * Type of a handler (callback) for a multi-stroke recognize-shape Gesture. When the handler is invoked, 'this' will be set to the Gesture instance (of the last stroke).
+     * 'inks' are the Inks (strokes) that were recognized as the shape, and 'candidates' is the ranked list of all the matching shapes (the first of which is 'shape').
+     */
+    type MultiStrokeShapeRecognizedHandler = (shape: ShapeID, inks: Ink[], candidates: ShapeTemplateMatch[]) => void;
     /** Type of a handler (callback) for a radial-swipe Gesture. When the handler is invoked, 'this' will be set to the Gesture instance. */
     type RadialSwipeHandler = (swipeResult: RadialSwipeResult) => void;
     /** Type of a handler (callback) for an angle-changed event. When the handler is invoked, 'this' will be set to the Gesture instance. */
@@ -110,6 +117,15 @@ declare namespace MIL {
         /** Always combine inks that overlap in any way. */
         Always = 15
     }
+    /** What happens when the [pen] eraser is used to draw over Inks. See MILSettings.InkEraserMode(). */
+    enum InkEraserMode {
+        /** The eraser draws a path (see Ink.EraserClass()) over the Inks, but the Inks themselves are not changed. */
+        Draw = 0,
+        /** Where the eraser crosses an Ink, the Ink is split (or trimmed) into new Inks. */
+        Split = 1,
+        /** Any Ink the eraser touches is deleted. */
+        Stroke = 2
+    }
     /**
      * The possible pen buttons [see http://www.w3.org/TR/pointerevents2/].
      * Note that these are bitmask values for the PointerEvent.buttons property, and are distinct from the PointerEvent.button property values.
@@ -130,6 +146,71 @@ declare namespace MIL {
         Concave = 1,
         Convex = 2
     }
+    /** How an Ink's path is rendered. */
+    enum InkRenderMode {
+        /** The Ink is drawn as a curve with a constant stroke-width (see Ink.StrokeWidth()). */
+        Stroke = 0,
+        /** The Ink is drawn as a filled outline whose width varies with the pen pressure (or, if pressure is not available, with the pointer velocity). See Ink.VariableWidthOptions(). */
+        VariableWidth = 1,
+        /** The Ink is drawn as a translucent highlighter stroke (with flat ends and 'multiply' blending) that is always kept beneath regular Inks. See Ink.IsAutoStraighten(). */
+        Highlighter = 2
+    }
+    /** The curve used to join the points of an Ink's path. See Ink.Curve(). */
+    enum InkCurve {
+        /** A cubic basis spline (the default). The curve is smooth, but does not pass through the points (except the first and last). */
+        Basis = 0,
+        /** A Catmull-Rom spline. The curve passes through every point, so it's the best choice for a simplified Ink (see Ink.SimplificationTolerance()). */
+        CatmullRom = 1,
+        /** A cubic spline that preserves monotonicity in x. Best suited to Inks that don't double-back horizontally (eg. a graph line). */
+        Monotone = 2,
+        /** Straight lines. */
+        Linear = 3
+    }
+    /** The arrowhead drawn at the start or end of an Ink. See InkDecoration. */
+    enum InkArrowhead {
+        /** No arrowhead (the default). */
+        None = 0,
+        /** A filled triangle. */
+        Triangle = 1,
+        /** An open 'V' (drawn with lines). */
+        Open = 2,
+        /** A filled circle (eg. for a connector end-point). */
+        Circle = 3
+    }
+    /** The type of change to an Ink that's reported to MILSettings.OnInkChangedHandler(). See InkChange. */
+    enum InkChangeType {
+        /** The Ink has started being drawn. Its Path() will be null until it's completed. */
+        Started = 0,
+        /** A point was added to the Ink while it's being drawn (see InkChange.point). */
+        PointAdded = 1,
+        /** The Ink has been drawn (ie. its pointer was lifted). */
+        Completed = 2,
+        /** The Ink was added other than by being drawn (eg. it was deserialized, imported, pasted, split from another Ink, or restored by an undo/redo). */
+        Added = 3,
+        /** The Ink was deleted (see InkChange.removedGestures). */
+        Deleted = 4,
+        /** The Ink was created by combining other Inks, which will have been deleted (see InkChange.combinedInks). */
+        Combined = 5,
+        /** The Ink was dragged, or otherwise moved (see InkChange.deltaX/Y). */
+        Dragged = 6,
+        /** The Ink was resized, either by scaling (see Ink.Scale()) or by stretching it (see InkChange.scaleX/Y). */
+        Resized = 7,
+        /** The Ink was rotated (see Ink.Rotation()). */
+        Rotated = 8,
+        /** The Ink's style was changed (see Ink.Restyle() and Ink.Redecorate()). */
+        Restyled = 9,
+        /** The Ink's path was replaced with the idealized geometry of a shape (see Ink.Beautify() and InkChange.shapeID). Not raised when an Ink is beautified as it's completed. */
+        Beautified = 10
+    }
+    /** How the pointer positions are smoothed while an Ink is being drawn. See Ink.SmoothingOptions(). */
+    enum InkSmoothingMode {
+        /** No smoothing (the default). */
+        None = 0,
+        /** Each position is replaced with the average of the last InkSmoothingOptions.windowSize positions. */
+        MovingAverage = 1,
+        /** The 1€ filter (see https://gery.casiez.net/1euro/), which smooths slow movements strongly but fast movements only lightly (so that it adds little lag). */
+        OneEuro = 2
+    }
     /**
      * Base exception for all errors raised by MIL.
      */
@@ -152,6 +233,18 @@ declare namespace MIL {
      * @returns {MILSettings} The associated MIL settings.
      */
     function Settings(svg: TargetDomElement): MILSettings;
+    /**
+     * Returns the undo/redo command history associated with the specified <SVG> element.
+     * @param {SVGSVGElement} svg The SVG element to find the command history for.
+     * @returns {CommandHistory} The associated command history.
+     */
+    function History(svg: TargetDomElement): CommandHistory;
+    /**
+     * Returns the Ink selection associated with the specified <SVG> element.
+     * @param {SVGSVGElement} svg The SVG element to find the Ink selection for.
+     * @returns {InkSelection} The associated Ink selection.
+     */
+    function Selection(svg: TargetDomElement): InkSelection;
     /**
      * Creates a new Gesture with the specified name.
      * @param {string} name The name of the Gesture. Add '*' as a suffix to create a unique name.
@@ -220,6 +313,16 @@ declare namespace MIL {
      * @returns {Ink | null} Result.
      */
     function GetInkByElement(targetElement: TargetDomElement): Ink | null;
+    /**
+     * Returns the Inks (in the specified <svg>) whose stroke is within 'tolerancePx' of the supplied point, ordered from the top-most Ink to the bottom-most Ink (ie. by descending z-order).
+     * Unlike GetInkByElement(), this doesn't rely on the Inks having a hull (see Ink.HullType()), and it measures the distance to the stroke as drawn (see Ink.DistanceToPoint()).
+     * Inks in a locked or hidden layer (see MIL.Layers()) are ignored.
+     * @param {TargetDomElement} svg The SVG element to search.
+     * @param {Point} point The point to test, in svg coordinates (eg. from MIL.TransposePointer() or Gesture.GetCurrentSvgPoint()).
+     * @param {number} [tolerancePx] [Optional] The maximum distance (in screen pixels, so it's independent of the zoom level) from 'point' to the stroke of an Ink. Defaults to 0.
+     * @returns {Ink[]} Result.
+     */
+    function GetInksAtPoint(svg: TargetDomElement, point: Point, tolerancePx?: number): Ink[];
     /**
      * Returns the Ink that has the supplied ID, or null if there is no such Ink.
      * @param {string} targetInkID The ID of the Ink to find.
@@ -252,8 +355,9 @@ declare namespace MIL {
      * Removes all the Gestures that target the specified element, optionally filtered by having a name that starts with gestureName.
      * @param {TargetDomElement} targetElement The element to inspect.
      * @param {string} [gestureName] [Optional] Only remove a Gesture if it starts with this name.
+     * @returns {Gesture[]} The removed Gestures (if any).
      */
-    function RemoveGesturesByTarget(targetElement: TargetDomElement, gestureName?: string): void;
+    function RemoveGesturesByTarget(targetElement: TargetDomElement, gestureName?: string): Gesture[];
     /**
      * Transposes the clientX/Y of the supplied Pointer Event into the coordinate space of the specified svg 'g' element [which may have been transformed].
      * Returns the new point as an object with x/y members.
@@ -352,19 +456,218 @@ declare namespace MIL {
         /** An up chevron (^). */
         UpArrow = 9,
         /** An down chevron (v). */
-        DownArrow = 10
+        DownArrow = 10,
+        /** An ellipse or circle (⬭). */
+        Ellipse = 11,
+        /** A straight line (in any direction). */
+        Line = 12,
+        /** A straight arrow (in any direction) drawn as a single stroke: the shaft followed by the head (→). */
+        Arrow = 13
     }
+    /** Type of a method that computes either a min or a max path-length from the bounding width/height of a Gesture (and/or the bounding width/height that the recognition must occur within). */
+    type PathLengthFunction = (gestureWidth: number, gestureHeight: number, targetWidth?: number, targetHeight?: number) => number;
+    /** Type of a method that performs a custom heuristic check on the path-points of a Gesture, returning true if the check passes. */
+    type ShapeHeuristicFunction = (pathPoints: Point[]) => boolean;
+    /** Type of a method that converts the path-points of a Gesture into the idealized geometry of a shape. See Ink.Beautify(). */
+    type ShapeBeautifyFunction = (pathPoints: Point[]) => BeautifiedShape;
+    /** Type of the idealized geometry of a shape, as returned by a ShapeBeautifyFunction. */
+    type BeautifiedShape = {
+        points: Point[];
+        isClosed: boolean;
+    };
+    /** Type of the definition of a recognizable shape. */
+    type ShapeDefinition = {
+        /** The ID of the shape. Either a MIL.RecognizableShape value, or a string (for a custom shape). */
+        id: ShapeID;
+        /** The outline of the shape, as [x, y] points relative (0..1) to the bounding rectangle of the drawn path. */
+        outline: XY[];
+        /** The amount (as a ratio of the bounding width/height of the drawn path) to expand the outline by to allow for "sloppy" drawing. */
+        padding: number;
+        /** [Optional] The compass heading(s) (eg. "NE|E") from the start to the end of the drawn path that the shape requires. */
+        compassHeading?: string;
+        /** [Optional] The maximum ratio of the bounding height to the bounding width of the drawn path. */
+        maxHeightRatio?: number;
+        /** [Optional] A function that computes the minimum length of the drawn path. */
+        minPathLengthFn?: PathLengthFunction;
+        /** [Optional] A function that computes the maximum length of the drawn path. */
+        maxPathLengthFn?: PathLengthFunction;
+        /** [Optional] A function that performs an additional [custom] check on the drawn path. */
+        heuristicFn?: ShapeHeuristicFunction;
+        /** [Optional] A function that converts the drawn path into the idealized geometry of the shape. Required for the shape to be used with Ink.Beautify(). */
+        beautifyFn?: ShapeBeautifyFunction;
+    };
+    /**
+     * Adds a custom shape (or replaces an existing shape) that can be recognized by MIL.RecognizeShape() and BuiltInGestures.ShapeRecognizer().
+     * @param {ShapeDefinition} shapeDefinition The definition of the shape. If shapeDefinition.id is a string, it must not be the name of a MIL.RecognizableShape value (eg. "Star").
+     * @param {boolean} [replaceExisting] [Optional] Whether to replace an existing shape with the same ID. If false (the default), an exception will be thrown if the shape already exists.
+     */
+    function AddRecognizableShape(shapeDefinition: ShapeDefinition, replaceExisting?: boolean): void;
+    /**
+     * Removes the shape with the specified ID so that it will no longer be recognized by MIL.RecognizeShape() and BuiltInGestures.ShapeRecognizer().
+     * Both custom shapes and built-in shapes can be removed.
+     * @param {ShapeID} shapeID The ID of the shape to remove.
+     * @returns {boolean} True if the shape was removed, false if the shape was not found.
+     */
+    function RemoveRecognizableShape(shapeID: ShapeID): boolean;
     /**
-     * Attempts to recognize a RecognizableShape from the supplied pathPoints. Returns the ID of the recognized shape if successful, or null if not.
+     * Returns (a copy of) the definition of the shape with the specified ID, or null if no such shape exists.
+     * @param {ShapeID} shapeID The ID of the shape to get.
+     * @returns {ShapeDefinition | null} Result.
+     */
+    function GetRecognizableShape(shapeID: ShapeID): ShapeDefinition | null;
+    /**
+     * Returns the IDs of all the shapes (both built-in and custom) that can currently be recognized by MIL.RecognizeShape().
+     * @returns {ShapeID[]} Result.
+     */
+    function RecognizableShapeIDs(): ShapeID[];
+    /** The outcome of a heuristic check made by MIL.RecognizeShapeCandidates(). */
+    enum ShapeHeuristicOutcome {
+        /** The shape does not define the heuristic. */
+        NotApplicable = 0,
+        /** The heuristic could not be evaluated (eg. because targetWidth and/or targetHeight was not supplied). */
+        NotEvaluated = 1,
+        /** The drawn path passed the heuristic. */
+        Passed = 2,
+        /** The drawn path failed the heuristic. */
+        Failed = 3
+    }
+    /** Type of the result of a heuristic check made by MIL.RecognizeShapeCandidates(). */
+    type ShapeHeuristicResult = {
+        /** The outcome of the check. */
+        outcome: ShapeHeuristicOutcome;
+        /** The value required by the shape (eg. "NE|E" for a compassHeading, or the computed minimum path-length). Will be undefined if the outcome is NotApplicable or NotEvaluated. */
+        expected?: string | number;
+        /** The value of the drawn path. Will be undefined if the outcome is NotApplicable or NotEvaluated. */
+        actual?: string | number;
+    };
+    /** Type of a candidate shape returned by MIL.RecognizeShapeCandidates(). */
+    type ShapeCandidate = {
+        /** The ID of the shape. */
+        id: ShapeID;
+        /** The ratio (0..1) of points in the drawn path that are inside the scaled outline of the shape. */
+        percentInside: number;
+        /** True if percentInside is at least the required minMatchPercent and no heuristic failed. */
+        isMatch: boolean;
+        /** The results of the heuristic checks. */
+        heuristics: {
+            compassHeading: ShapeHeuristicResult;
+            maxHeightRatio: ShapeHeuristicResult;
+            minPathLength: ShapeHeuristicResult;
+            maxPathLength: ShapeHeuristicResult;
+            /** The result of the ShapeDefinition.heuristicFn check (the expected/actual values are not set). */
+            custom: ShapeHeuristicResult;
+        };
+        /** The outline of the shape, scaled (and padded) to the bounding rectangle of the drawn path. */
+        scaledOutline: XY[];
+    };
+    /**
+     * Attempts to recognize a shape (either a RecognizableShape or a custom shape added with MIL.AddRecognizableShape()) from the supplied pathPoints. Returns the ID of the recognized shape if successful, or null if not.
+     * See also: MIL.RecognizeShapeCandidates().
      * @param {Point[]} pathPoints The path-points to be recognized.
      * @param {number} minMatchPercent The percentage of points in the drawn path that must be inside the shape-template to trigger a match.
      * @param {number} [targetWidth] [Optional] The width (in pixels) of the area that the shape recognition will occur within.
      * @param {number} [targetHeight] [Optional] The height (in pixels) of the area that the shape recognition will occur within.
      * @param {SVGGElement} [gDomElement] [Optional] Enables the drawing of debug information (the tested shape outline(s) and the pathPoints).
-     * @param {RecognizableShape[]} [targetShapeList] [Optional] The list of shapes to be recognized (must be MIL.RecognizableShapes values). Note: Providing a shapeList helps to reduce false-positives (misrecognitions).
-     * @returns {RecognizableShape | null} The recognized shape (or null).
+     * @param {ShapeID[]} [targetShapeList] [Optional] The list of shapes to be recognized (must be MIL.RecognizableShape values and/or the IDs of custom shapes). Note: Providing a shapeList helps to reduce false-positives (misrecognitions).
+     * @returns {ShapeID | null} The recognized shape (or null).
+     */
+    function RecognizeShape(pathPoints: Point[], minMatchPercent?: number, targetWidth?: number, targetHeight?: number, gDomElement?: SVGGElement, targetShapeList?: ShapeID[]): ShapeID | null;
+    /**
+     * Evaluates the supplied pathPoints against every shape (either a RecognizableShape or a custom shape added with MIL.AddRecognizableShape()) and returns all the shapes as
+     * candidates, ranked with matches first (see ShapeCandidate.isMatch) and then by percentInside (highest first). The first candidate is the shape that MIL.RecognizeShape() would return
+     * (if its isMatch is true). Unlike MIL.RecognizeShape(), this provides the information needed to offer the user a choice of shapes when the recognition is ambiguous.
+     * @param {Point[]} pathPoints The path-points to be recognized.
+     * @param {number} minMatchPercent The percentage of points in the drawn path that must be inside the shape-template to trigger a match.
+     * @param {number} [targetWidth] [Optional] The width (in pixels) of the area that the shape recognition will occur within.
+     * @param {number} [targetHeight] [Optional] The height (in pixels) of the area that the shape recognition will occur within.
+     * @param {SVGGElement} [gDomElement] [Optional] Enables the drawing of debug information (the tested shape outline(s) and the pathPoints).
+     * @param {ShapeID[]} [targetShapeList] [Optional] The list of shapes to be evaluated (must be MIL.RecognizableShape values and/or the IDs of custom shapes).
+     * @returns {ShapeCandidate[]} Result.
+     */
+    function RecognizeShapeCandidates(pathPoints: Point[], minMatchPercent?: number, targetWidth?: number, targetHeight?: number, gDomElement?: SVGGElement, targetShapeList?: ShapeID[]): ShapeCandidate[];
+    /**
+     * Returns the idealized geometry of the specified shape, fitted to the supplied path-points (which are assumed to have been recognized as the shape, eg. by MIL.RecognizeShape()).
+     * Returns null if the shape does not support beautification (ie. it has no ShapeDefinition.beautifyFn).
+     * @param {ShapeID} shapeID The ID of the shape.
+     * @param {Point[]} pathPoints The path-points (typically from Ink.PathPoints()) that were recognized as the shape.
+     * @returns {BeautifiedShape | null} Result.
+     */
+    function BeautifyShape(shapeID: ShapeID, pathPoints: Point[]): BeautifiedShape | null;
+    /** The engines that BuiltInGestures.ShapeRecognizer() can use to recognize a shape. */
+    enum ShapeRecognitionEngine {
+        /** Matches the drawn path against the [scaled] outline of each shape, plus heuristics (see MIL.RecognizeShape()). */
+        Outline = 0,
+        /** Matches the drawn path against example paths (templates) using the Protractor algorithm (see MIL.RecognizeShapeFromTemplates()). */
+        Template = 1
+    }
+    /** Type of a candidate shape returned by MIL.RecognizeShapeFromTemplates(). */
+    type ShapeTemplateMatch = {
+        /** The ID of the matched shape. */
+        id: ShapeID;
+        /** The score of the match (0..1), where 1 is a perfect match. */
+        score: number;
+        /** The angle (in degrees) that the drawn path had to be rotated by to best match the template. */
+        angle: number;
+    };
+    /**
+     * Adds a template (an example path) for the specified shape, for use by MIL.RecognizeShapeFromTemplates(). Multiple templates can be added for the same shape.
+     * @param {ShapeID} shapeID The ID of the shape that the template is an example of. This can either be a MIL.RecognizableShape value, or any string (other than the name of a MIL.RecognizableShape).
+     * @param {Point[] | Ink} examplePath The points of the example path (eg. from Ink.PathPoints()). Can also be an Ink instance.
+     * @param {boolean} [isRotationInvariant] [Optional] Whether the shape can be recognized when drawn at any angle. If false (the default), the shape will
+     * only be recognized when drawn within 45 degrees of the orientation of the example path.
+     */
+    function AddShapeTemplate(shapeID: ShapeID, examplePath: Point[] | Ink, isRotationInvariant?: boolean): void;
+    /**
+     * Removes all the templates for the specified shape (or for all shapes if shapeID is not supplied).
+     * @param {ShapeID} [shapeID] [Optional] The ID of the shape whose templates should be removed.
+     * @returns {number} The number of templates removed.
+     */
+    function RemoveShapeTemplates(shapeID?: ShapeID): number;
+    /**
+     * Returns the number of templates for the specified shape (or for all shapes if shapeID is not supplied).
+     * @param {ShapeID} [shapeID] [Optional] The ID of the shape whose templates should be counted.
+     * @returns {number} Result.
      */
-    function RecognizeShape(pathPoints: Point[], minMatchPercent?: number, targetWidth?: number, targetHeight?: number, gDomElement?: SVGGElement, targetShapeList?: RecognizableShape[]): RecognizableShape | null;
+    function GetShapeTemplateCount(shapeID?: ShapeID): number;
+    /**
+     * Attempts to recognize a shape from the supplied pathPoints by comparing it to the templates added with MIL.AddShapeTemplate().
+     * Returns a list of candidate shapes (one per shape ID, using the best-matching template for that shape) ranked from highest to lowest score.
+     * The list will be empty if no shape has a score of at least minScore.
+     * @param {Point[]} pathPoints The path-points to be recognized.
+     * @param {number} [minScore] [Optional] The minimum score (0..1) that a candidate must have to be included in the result. Defaults to 0 (all candidates).
+     * @param {ShapeID[]} [targetShapeList] [Optional] The list of shapes to be recognized. If not supplied, all shapes that have templates will be considered.
+     * @returns {ShapeTemplateMatch[]} Result.
+     */
+    function RecognizeShapeFromTemplates(pathPoints: Point[], minScore?: number, targetShapeList?: ShapeID[]): ShapeTemplateMatch[];
+    /**
+     * Adds a template (a set of example strokes) for the specified shape, for use by MIL.RecognizeMultiStrokeShape() and BuiltInGestures.MultiStrokeShapeRecognizer().
+     * Multiple templates can be added for the same shape.
+     * @param {ShapeID} shapeID The ID of the shape that the template is an example of. This can either be a MIL.RecognizableShape value, or any string.
+     * @param {(Point[] | Ink)[]} exampleStrokes The example strokes, each of which is either a set of points (eg. from Ink.PathPoints()) or an Ink instance.
+     */
+    function AddMultiStrokeTemplate(shapeID: ShapeID, exampleStrokes: (Point[] | Ink)[]): void;
+    /**
+     * Removes all the multi-stroke templates for the specified shape (or for all shapes if shapeID is not supplied).
+     * @param {ShapeID} [shapeID] [Optional] The ID of the shape whose multi-stroke templates should be removed.
+     * @returns {number} The number of templates removed.
+     */
+    function RemoveMultiStrokeTemplates(shapeID?: ShapeID): number;
+    /**
+     * Returns the number of multi-stroke templates for the specified shape (or for all shapes if shapeID is not supplied).
+     * @param {ShapeID} [shapeID] [Optional] The ID of the shape whose multi-stroke templates should be counted.
+     * @returns {number} Result.
+     */
+    function GetMultiStrokeTemplateCount(shapeID?: ShapeID): number;
+    /**
+     * Attempts to recognize a shape from the supplied set of strokes by comparing it to the templates added with MIL.AddMultiStrokeTemplate().
+     * Returns a list of candidate shapes (one per shape ID, using the best-matching template for that shape) ranked from highest to lowest score.
+     * The list will be empty if no shape has a score of at least minScore. Note: The 'angle' of each candidate will always be 0.
+     * @param {Point[][]} strokes The strokes to be recognized (eg. the PathPoints() of several Inks). The number, order and direction of the strokes does not matter.
+     * @param {number} [minScore] [Optional] The minimum score (0..1) that a candidate must have to be included in the result. Defaults to 0 (all candidates).
+     * @param {ShapeID[]} [targetShapeList] [Optional] The list of shapes to be recognized. If not supplied, all shapes that have multi-stroke templates will be considered.
+     * @returns {ShapeTemplateMatch[]} Result.
+     */
+    function RecognizeMultiStrokeShape(strokes: Point[][], minScore?: number, targetShapeList?: ShapeID[]): ShapeTemplateMatch[];
     /**
      * Interprets the supplied pathPoints as the path of a radial swipe gesture and returns information about the gesture. If the swipe is too short (less than minDistance), returns null.
      * @param {Point[]} pathPoints The set of Points to inspect (typically these are from an Ink).
@@ -549,6 +852,14 @@ declare namespace MIL {
          * @returns {number} Result.
          */
         function ComputeTotalLength(pathPoints: Point[]): number;
+        /**
+         * Returns a simplified version of the line described by the supplied set of Points, using the Ramer-Douglas-Peucker algorithm.
+         * The first and last points are always kept.
+         * @param {Point[]} pathPoints A set of Points.
+         * @param {number} tolerance The maximum distance (in pixels) that a removed point can be from the simplified line.
+         * @returns {Point[]} Result.
+         */
+        function SimplifyPoints(pathPoints: Point[], tolerance: number): Point[];
         /**
          * Searches the specified 'region' for elements of 'shapeNodeType'. Returns either an array of DOM elements or Inks (depending on the value of 'shapeNodeType').
          * @param {TargetDomElement} targetGElement The SVG 'g' element to search within.
@@ -726,6 +1037,9 @@ declare namespace MIL {
         private _isRightMouseClickAllowed;
         private _inkAutoCombineMode;
         private _hoverTimeoutInMs;
+        private _inkEraserMode;
+        private _onInkErasedHandler;
+        private _onInkChangedHandler;
         constructor();
         /**
          * [Chainable Property] The minimum allowed zoom-level. See Zoom().
@@ -755,6 +1069,30 @@ declare namespace MIL {
          */
         InkAutoCombineMode(mode: InkAutoCombineMode): this;
         InkAutoCombineMode(): InkAutoCombineMode;
+        /**
+         * [Chainable Property] What happens when the [pen] eraser is used to draw over Inks (see Ink.IsEraserDrawing()). Defaults to InkEraserMode.Draw.
+         * When the mode is InkEraserMode.Split or InkEraserMode.Stroke, the eraser Ink is deleted once it has been used to erase (so the Ink() of the Gesture that drew it will be null).
+         * @param {InkEraserMode} mode The desired Ink eraser mode.
+         * @returns {this | InkEraserMode} Either the property value (if getting), or the MILSettings instance (if setting).
+         */
+        InkEraserMode(mode: InkEraserMode): this;
+        InkEraserMode(): InkEraserMode;
+        /**
+         * [Chainable Property] The callback that will be invoked for each Ink that's erased when InkEraserMode() is InkEraserMode.Split or InkEraserMode.Stroke.
+         * Because the erased Ink is replaced by new Inks, the callback can be used to add any Gestures (eg. a drag Gesture) that targeted the erased Ink to the new Inks.
+         * @param {InkErasedEventHandler} handler An InkErasedEventHandler.
+         * @returns {this | InkErasedEventHandler} Either the property value (if getting), or the MILSettings instance (if setting).
+         */
+        OnInkErasedHandler(handler: InkErasedEventHandler): this;
+        OnInkErasedHandler(): InkErasedEventHandler;
+        /**
+         * [Chainable Property] The callback that will be invoked whenever an Ink on the <svg> is started, has a point added, is completed, added, deleted, combined, dragged, resized, rotated or restyled.
+         * The callback receives the Ink and an InkChange describing what changed, so it can be used as the basis for autosave, sync or analytics.
+         * @param {InkChangedEventHandler} handler An InkChangedEventHandler.
+         * @returns {this | InkChangedEventHandler} Either the property value (if getting), or the MILSettings instance (if setting).
+         */
+        OnInkChangedHandler(handler: InkChangedEventHandler): this;
+        OnInkChangedHandler(): InkChangedEventHandler;
         /**
          * [Chainable Property] The amount of time that must elapse after a potential hover starts before the actual over event is triggered.
          * Defaults to -1, which disables Hover events from happening (hovering adds considerable eventing overhead).
@@ -766,6 +1104,479 @@ declare namespace MIL {
         HoverTimeoutInMs(): number;
     }
 }
+declare namespace MIL {
+    /** Type of an undoable command, as recorded by a CommandHistory (see CommandHistory.Record()). */
+    type HistoryCommand = {
+        /** The name of the command (eg. "DeleteInk"). */
+        name: string;
+        /** Reverts the changes made by the command. */
+        undo: () => void;
+        /** Re-applies the changes made by the command (after they've been reverted by undo()). */
+        redo: () => void;
+    };
+    /**
+     * Type of an event handler (callback) invoked when a CommandHistory changes. When the handler is invoked, 'this' will be set to the CommandHistory instance.
+     * 'restoredInks' are the Inks (if any) that were re-created by an Undo() or Redo(). Because re-created Inks are new Ink instances (with the same InkID),
+     * the handler is where an app should re-add any Gestures (eg. a drag Gesture) that it had added to the original Inks.
+     */
+    type HistoryChangedEventHandler = (changeType: HistoryChangeType, commandName: string, restoredInks: Ink[]) => void;
+    /** The type of change made to a CommandHistory. */
+    enum HistoryChangeType {
+        /** A command was recorded. */
+        Record = 0,
+        /** A command was undone. */
+        Undo = 1,
+        /** A command was redone. */
+        Redo = 2,
+        /** The history was cleared. */
+        Clear = 3
+    }
+    /**
+     * The CommandHistory class. Each <svg> (see MIL.Initialize()) has its own CommandHistory (see MIL.History()) which automatically records
+     * these operations as undoable commands: Ink creation (by a Gesture, or by MIL.DeserializeInks()/ImportSvgPaths()/ImportInkML()), Ink.Delete(),
+     * Gesture.CombineInks(), Ink drags (Ink.DragStart()/DragEnd()), Ink resizes and rotations (Ink.Scale()/Rotation(), and the Ink.ResizeWith() Gesture), Ink.Restyle(), Ink.Redecorate() and RulerControl moves/rotations/resizes.
+     * Note: An Ink is only recorded once it's complete, so cancelling an Ink (see Ink.Cancel()) leaves no trace in the history.
+     */
+    class CommandHistory {
+        private _undoStack;
+        private _redoStack;
+        private _capacity;
+        private _isEnabled;
+        private _onChangedHandler;
+        private _transactionName;
+        private _transactionDepth;
+        private _transactionCommands;
+        private _isApplying;
+        private _restoredInks;
+        constructor();
+        /**
+         * [Chainable Property] The maximum number of commands that can be undone (default is 100). When exceeded, the oldest commands are discarded.
+         * @param {number} capacity The maximum number of commands (must be an integer >= 0).
+         * @returns {this | number} Either the property value (if getting), or the CommandHistory instance (if setting).
+         */
+        Capacity(capacity: number): this;
+        Capacity(): number;
+        /**
+         * [Chainable Property] Whether operations are recorded (default is true). Disabling recording does not clear the existing history.
+         * @param {boolean} enable Flag.
+         * @returns {this | boolean} Either the property value (if getting), or the CommandHistory instance (if setting).
+         */
+        IsEnabled(enable: boolean): this;
+        IsEnabled(): boolean;
+        /**
+         * [Chainable Property] The callback to invoke when a command is recorded, undone or redone, or when the history is cleared.
+         * @param {HistoryChangedEventHandler} handler The callback to invoke.
+         * @returns {this | HistoryChangedEventHandler} Either the property value (if getting), or the CommandHistory instance (if setting).
+         */
+        OnChangedHandler(handler: HistoryChangedEventHandler): this;
+        OnChangedHandler(): HistoryChangedEventHandler;
+        /**
+         * [ReadOnly Property] Returns true if there is a command that can be undone.
+         * @returns {boolean} Result.
+         */
+        CanUndo(): boolean;
+        /**
+         * [ReadOnly Property] Returns true if there is a command that can be redone.
+         * @returns {boolean} Result.
+         */
+        CanRedo(): boolean;
+        /**
+         * [ReadOnly Property] Returns the name of the command that Undo() will revert, or null if there is no such command.
+         * @returns {string | null} Result.
+         */
+        UndoName(): string | null;
+        /**
+         * [ReadOnly Property] Returns the name of the command that Redo() will re-apply, or null if there is no such command.
+         * @returns {string | null} Result.
+         */
+        RedoName(): string | null;
+        /**
+         * Records a command (whose changes have already been made) so that it can be undone. Clears any commands that could have been redone.
+         * Apps can use this to add their own operations to the history. The command is ignored if recording is disabled (see IsEnabled()),
+         * or if it's made while another command is being undone/redone.
+         * @param {HistoryCommand} command The command to record.
+         * @returns {CommandHistory} The CommandHistory instance.
+         */
+        Record(command: HistoryCommand): this;
+        /**
+         * Starts a transaction: until the matching EndTransaction(), all recorded commands are grouped into a single command (with the specified name)
+         * that is undone/redone as a unit. Transactions can be nested, in which case the outermost transaction determines the name.
+         * @param {string} name The name of the [grouped] command.
+         * @returns {CommandHistory} The CommandHistory instance.
+         */
+        BeginTransaction(name: string): this;
+        /**
+         * Ends a transaction started with BeginTransaction(). When the outermost transaction ends, the commands recorded during it (if any) are recorded as a single command.
+         * @returns {CommandHistory} The CommandHistory instance.
+         */
+        EndTransaction(): this;
+        /**
+         * Reverts the most recently recorded [or redone] command. Returns true if a command was undone, or false if there was nothing to undo.
+         * @returns {boolean} Result.
+         */
+        Undo(): boolean;
+        /**
+         * Re-applies the most recently undone command. Returns true if a command was redone, or false if there was nothing to redo.
+         * @returns {boolean} Result.
+         */
+        Redo(): boolean;
+        /** Discards all recorded commands (and abandons any in-progress transaction). */
+        Clear(): void;
+        /**
+         * [Private Method] Throws if Undo() or Redo() cannot be called at this time.
+         * @param {string} methodName The name of the calling method.
+         */
+        private checkCanApply;
+        /**
+         * [Private Method] Calls the supplied undo/redo function of a command, without recording the operations it performs.
+         * @param {() => void} undoOrRedo The function to call.
+         */
+        private apply;
+        /** [Private Method] Discards the oldest commands that exceed the Capacity(). */
+        private trimUndoStack;
+        /**
+         * [Private Method] Invokes the OnChangedHandler() (if any).
+         * @param {HistoryChangeType} changeType The type of change.
+         * @param {string} commandName The name of the affected command (null for HistoryChangeType.Clear).
+         */
+        private raiseChanged;
+    }
+}
+declare namespace MIL {
+    /**
+     * Type of an event handler (callback) invoked when the Inks in an InkSelection change. When the handler is invoked, 'this' will be set to the InkSelection instance.
+     * 'addedInks' and 'removedInks' are the Inks that were selected and deselected (respectively) by the change; 'selectedInks' are all the Inks selected after the change.
+     */
+    type SelectionChangedEventHandler = (selectedInks: Ink[], addedInks: Ink[], removedInks: Ink[]) => void;
+    /**
+     * The InkSelection class. Each <svg> (see MIL.Initialize()) has its own InkSelection (see MIL.Selection()), which is the set of Inks that
+     * operations like drag (see Ink.DragStart()), Delete(), Restyle(), Redecorate() and Combine() apply to as a whole. While any Inks are selected, an adorner
+     * (an svg 'rect' with the "MILSelectionAdorner" class) is drawn around the Hulls of the selected Inks, and the Path() of each selected Ink has the "MILSelectedInk" class.
+     */
+    class InkSelection {
+        private _gSelection;
+        private _inks;
+        private _adornerRect;
+        private _adornerClassName;
+        private _onChangedHandler;
+        private _onBoundsChangedHandler;
+        constructor(gSelection: D3SingleSelection);
+        /**
+         * [Chainable Property] The CSS class to use to draw the selection adorner. If not set, the adorner is drawn as a dashed blue rectangle.
+         * @param {string} className A CSS class name.
+         * @returns {this | string} Either the property value (if getting), or the InkSelection instance (if setting).
+         */
+        AdornerClass(className: string): this;
+        AdornerClass(): string;
+        /**
+         * [Chainable Property] The callback to invoke when Inks are selected or deselected.
+         * @param {SelectionChangedEventHandler} handler The callback to invoke.
+         * @returns {this | SelectionChangedEventHandler} Either the property value (if getting), or the InkSelection instance (if setting).
+         */
+        OnChangedHandler(handler: SelectionChangedEventHandler): this;
+        OnChangedHandler(): SelectionChangedEventHandler;
+        /**
+         * [ReadOnly Property] Returns the selected Inks (in the order they were selected).
+         * @returns {Ink[]} Result.
+         */
+        Inks(): Ink[];
+        /**
+         * [ReadOnly Property] Returns the number of selected Inks.
+         * @returns {number} Result.
+         */
+        Count(): number;
+        /**
+         * Returns true if the supplied Ink is selected.
+         * @param {Ink} ink The Ink to check.
+         * @returns {boolean} Result.
+         */
+        Contains(ink: Ink): boolean;
+        /**
+         * Selects the supplied Ink(s), replacing the current selection unless 'addToSelection' is true. Inks in a locked or hidden layer (see MIL.Layers()) are not selected.
+         * @param {Ink | Ink[]} inks The Ink(s) to select.
+         * @param {boolean} [addToSelection] [Optional] When true, the Ink(s) are added to the current selection (default is false).
+         * @returns {this} The InkSelection instance.
+         */
+        Select(inks: Ink | Ink[], addToSelection?: boolean): this;
+        /**
+         * Deselects the supplied Ink(s). Inks that are not selected are ignored.
+         * @param {Ink | Ink[]} inks The Ink(s) to deselect.
+         * @returns {this} The InkSelection instance.
+         */
+        Deselect(inks: Ink | Ink[]): this;
+        /**
+         * Selects the supplied Ink if it's not selected, or deselects it if it is. The rest of the selection is unchanged.
+         * @param {Ink} ink The Ink to toggle.
+         * @returns {this} The InkSelection instance.
+         */
+        Toggle(ink: Ink): this;
+        /**
+         * Deselects all Inks.
+         * @returns {this} The InkSelection instance.
+         */
+        Clear(): this;
+        /**
+         * Selects the Inks inside the specified 'region' (see MIL.Utils.FindShapeElementsInRegion()), replacing the current selection unless 'addToSelection' is true.
+         * When 'region' is an Ink (eg. a lasso) it is never selected itself.
+         * @param {Point[] | Ink} region A polygon (within the 'g' element of the <svg>) defining the region to search within. Can also be an Ink instance.
+         * @param {FindShapeFilter} [filter] [Optional] Filter function to do an additional check to decide if a found Ink should be selected.
+         * @param {number} [percentageInside] [Optional] A value from 0..1 that defines the ratio of the points in an Ink that must be inside 'region' for it to be selected (default is 0.8).
+         * @param {boolean} [addToSelection] [Optional] When true, the found Inks are added to the current selection (default is false).
+         * @returns {Ink[]} The Inks that were found in the region.
+         */
+        SelectInRegion(region: Point[] | Ink, filter?: FindShapeFilter, percentageInside?: number, addToSelection?: boolean): Ink[];
+        /**
+         * Deletes all the selected Inks (as a single undoable command).
+         * @returns {this} The InkSelection instance.
+         */
+        Delete(): this;
+        /**
+         * Changes the Class/StrokeColor/StrokeWidth of all the selected Inks (as a single undoable command). See Ink.Restyle().
+         * @param {string} className The new CSS class to use to draw the Inks. Can be null, in which case 'strokeColor' and 'strokeWidth' are used.
+         * @param {string} [strokeColor] [Optional] The new color to use to draw the Inks (ignored if 'className' is supplied).
+         * @param {string} [strokeWidth] [Optional] The new thickness to use to draw the Inks (ignored if 'className' is supplied).
+         * @returns {this} The InkSelection instance.
+         */
+        Restyle(className: string, strokeColor?: string, strokeWidth?: string): this;
+        /**
+         * Changes the Decoration() of all the selected Inks (as a single undoable command). See Ink.Redecorate().
+         * @param {Partial<InkDecoration>} decoration The decoration options to change.
+         * @returns {this} The InkSelection instance.
+         */
+        Redecorate(decoration: Partial<InkDecoration>): this;
+        /**
+         * Combines the selected Inks into a single Ink (see Gesture.CombineInks()), which then becomes the [only] selected Ink.
+         * Returns the new (combined) Ink, or null if no Inks are selected.
+         * @param {Gesture} gesture The Gesture doing the combining (which will become the ParentGesture() of the new Ink).
+         * @param {string} className The name of the CSS class to apply to the combined Ink.
+         * @returns {Ink | null} Result.
+         */
+        Combine(gesture: Gesture, className: string): Ink | null;
+        /**
+         * [Private Method] Applies a change to the selection, then updates the adorner and raises the OnChangedHandler (if the selection actually changed).
+         * @param {Ink[]} addedInks The Inks to select.
+         * @param {Ink[]} removedInks The Inks to deselect.
+         */
+        private change;
+        /** [Private Method] Re-draws (or removes, if no Inks are selected) the selection adorner. */
+        private updateAdorner;
+        /**
+         * [Private Method] Invokes the [internal] bounds-changed callback (if set).
+         * @param {Rect | null} boundingRect The new bounds of the selection, or null if there are no bounds to show.
+         */
+        private raiseBoundsChanged;
+    }
+}
+declare namespace MIL {
+    /**
+     * The InkLayer class. A named layer of an <svg> (see MIL.Layers()) that Inks, and any other content, can be organized into. Each layer is an svg 'g' element
+     * (with the "MILLayer" class) in the 'g' element returned by MIL.Initialize(), so the order of the layers is their z-order.
+     * Inks in a locked or hidden layer are ignored by selection (see MIL.Selection()), hit-testing (eg. MIL.GetInksAtPoint()), erasing, auto-combining and Gestures.
+     */
+    class InkLayer {
+        private _layers;
+        private _name;
+        private _gSelection;
+        private _isLocked;
+        constructor(layers: InkLayers, name: string, gSelection: D3SingleSelection);
+        /**
+         * [Chainable Property] The name of the layer, which must be unique among the layers of the <svg>.
+         * @param {string} name The new name.
+         * @returns {this | string} Either the property value (if getting), or the InkLayer instance (if setting).
+         */
+        Name(name: string): this;
+        Name(): string;
+        /**
+         * [ReadOnly Property] The 'g' element of the layer. Use this to add [non-Ink] content to the layer.
+         * @returns {D3SingleSelection} Property value.
+         */
+        GElement(): D3SingleSelection;
+        /**
+         * [ReadOnly Property] The position of the layer in the z-order of the layers (0 is the bottom-most layer). See InkLayers.Move().
+         * @returns {number} Property value.
+         */
+        Index(): number;
+        /**
+         * [Chainable Property] Whether the layer is visible. Hiding a layer deselects any selected Inks in it. Defaults to true.
+         * @param {boolean} isVisible Flag.
+         * @returns {this | boolean} Either the property value (if getting), or the InkLayer instance (if setting).
+         */
+        IsVisible(isVisible: boolean): this;
+        IsVisible(): boolean;
+        /**
+         * [Chainable Property] Whether the layer is locked against editing. Locking a layer deselects any selected Inks in it. Defaults to false.
+         * Note: New Inks cannot be drawn while the InkLayers.ActiveLayer() is locked (or hidden).
+         * @param {boolean} isLocked Flag.
+         * @returns {this | boolean} Either the property value (if getting), or the InkLayer instance (if setting).
+         */
+        IsLocked(isLocked: boolean): this;
+        IsLocked(): boolean;
+        /**
+         * [Chainable Property] The opacity (0..1) of the layer. Defaults to 1.
+         * @param {number} opacity The new opacity.
+         * @returns {this | number} Either the property value (if getting), or the InkLayer instance (if setting).
+         */
+        Opacity(opacity: number): this;
+        Opacity(): number;
+        /**
+         * [ReadOnly Property] Returns the Inks in the layer, in z-order (bottom-most first).
+         * @returns {Ink[]} Result.
+         */
+        Inks(): Ink[];
+        /**
+         * Moves the supplied [completed] Ink(s) to the top of the layer (keeping their relative z-order).
+         * Note: Like the other changes to layers, this is not recorded in the undo/redo history (see MIL.History()).
+         * @param {Ink | Ink[]} inks The Ink(s) to move.
+         * @returns {this} The InkLayer instance.
+         */
+        MoveInks(inks: Ink | Ink[]): this;
+        /** [Private Method] Deselects any selected Inks in the layer. */
+        private deselectInks;
+    }
+    /**
+     * The InkLayers class. Each <svg> (see MIL.Initialize()) has its own InkLayers (see MIL.Layers()), which is the ordered set of named layers that Inks and other content
+     * can be organized into. New Inks are created in the ActiveLayer(), or - if there is no active layer - directly in the 'g' element returned by MIL.Initialize() [as they are
+     * when no layers are used]. Changes to layers are not recorded in the undo/redo history (see MIL.History()), but an Ink that is restored by an undo returns to its layer.
+     */
+    class InkLayers {
+        private _gSelection;
+        private _layers;
+        private _activeLayer;
+        constructor(gSelection: D3SingleSelection);
+        /**
+         * [ReadOnly Property] Returns the layers, in z-order (bottom-most first).
+         * @returns {InkLayer[]} Result.
+         */
+        Layers(): InkLayer[];
+        /**
+         * [ReadOnly Property] Returns the number of layers.
+         * @returns {number} Result.
+         */
+        Count(): number;
+        /**
+         * Returns the layer with the specified name, or null if there is no such layer.
+         * @param {string} name The name of the layer.
+         * @returns {InkLayer | null} Result.
+         */
+        Get(name: string): InkLayer | null;
+        /**
+         * Adds a new layer with the specified name on top of the existing layers. If there is no ActiveLayer(), the new layer becomes the active layer.
+         * Note: Layers are added beneath any MIL controls (eg. the RulerControl), but above any content that's not in a layer.
+         * @param {string} name The name of the layer, which must be unique among the layers of the <svg>.
+         * @returns {InkLayer} The new layer.
+         */
+        Add(name: string): InkLayer;
+        /**
+         * Moves the specified layer to a new position in the z-order of the layers.
+         * @param {InkLayer} layer The layer to move.
+         * @param {number} index The new position of the layer (0 is the bottom-most layer).
+         * @returns {this} The InkLayers instance.
+         */
+        Move(layer: InkLayer, index: number): this;
+        /**
+         * [Chainable Property] The layer that new Inks are created in. Can be set to null, in which case new Inks are created directly in the 'g' element returned by MIL.Initialize().
+         * @param {InkLayer | null} layer A layer (of this <svg>), or null.
+         * @returns {this | InkLayer | null} Either the property value (if getting), or the InkLayers instance (if setting).
+         */
+        ActiveLayer(layer: InkLayer | null): this;
+        ActiveLayer(): InkLayer | null;
+    }
+    /**
+     * Returns the layers (see InkLayers) associated with the specified <svg> element.
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to find the layers for.
+     * @returns {InkLayers} The associated layers.
+     */
+    function Layers(svg: TargetDomElement): InkLayers;
+}
+declare namespace MIL {
+    /**
+     * The InkSnapping class. Each <svg> (see MIL.Initialize()) has its own InkSnapping (see MIL.Snapping()), which controls how Inks snap while they're being drawn or dragged:
+     * 1) To a [notional] grid: the points of a drawn Ink snap to the nearest grid intersection, and drag deltas snap to multiples of the grid spacing.
+     * 2) To the endpoints of other Inks: when an Ink is completed, its start and end points snap to any nearby endpoint of another Ink.
+     * 3) To the bounding rectangles of other Inks: while dragging, the edges and center of the dragged Ink(s) snap to - and show alignment guides for - the edges and centers of other Inks.
+     * All snapping is off by default. Snapping does not apply to eraser Inks, or to Inks being coerced to the Ruler (see MIL.Ruler()).
+     * Note: The grid is not drawn. If it should be visible, add it to the <svg> separately (eg. using an svg pattern).
+     */
+    class InkSnapping {
+        private _gSelection;
+        private _gridSpacing;
+        private _endpointSnapDistance;
+        private _alignmentSnapDistance;
+        private _alignmentGuideClassName;
+        constructor(gSelection: D3SingleSelection);
+        /**
+         * [Chainable Property] The spacing (in svg units, ie. the coordinate space of the 'g' element returned by MIL.Initialize()) of the grid that Ink points and drag deltas snap to.
+         * Defaults to 0 (no grid snapping).
+         * @param {number} spacing The grid spacing (0 to disable).
+         * @returns {this | number} Either the property value (if getting), or the InkSnapping instance (if setting).
+         */
+        GridSpacing(spacing: number): this;
+        GridSpacing(): number;
+        /**
+         * [Chainable Property] How close (in svg units) the start or end point of a completed Ink must be to an endpoint of another Ink to snap to it. Defaults to 0 (no endpoint snapping).
+         * Only Inks in visible layers (see MIL.Layers()) are snapped to.
+         * @param {number} distance The snap distance (0 to disable).
+         * @returns {this | number} Either the property value (if getting), or the InkSnapping instance (if setting).
+         */
+        EndpointSnapDistance(distance: number): this;
+        EndpointSnapDistance(): number;
+        /**
+         * [Chainable Property] How close (in svg units) an edge or the center of the dragged Ink(s) must be to an edge or center of another Ink for the drag to snap into alignment with it
+         * (in which case an alignment guide is shown). Takes precedence over GridSpacing() for the aligned axis. Defaults to 0 (no alignment snapping or guides).
+         * Only Inks in visible layers (see MIL.Layers()) are aligned to.
+         * @param {number} distance The snap distance (0 to disable).
+         * @returns {this | number} Either the property value (if getting), or the InkSnapping instance (if setting).
+         */
+        AlignmentSnapDistance(distance: number): this;
+        AlignmentSnapDistance(): number;
+        /**
+         * [Chainable Property] The CSS class to use for the alignment guide lines. If not set, the guides are drawn as dashed magenta lines.
+         * @param {string} className The CSS class name.
+         * @returns {this | string} Either the property value (if getting), or the InkSnapping instance (if setting).
+         */
+        AlignmentGuideClass(className: string): this;
+        AlignmentGuideClass(): string;
+        /**
+         * Returns the grid intersection (see GridSpacing()) nearest to the supplied point, or the point itself if there is no grid.
+         * @param {Point} point A point in svg units.
+         * @returns {Point} Result.
+         */
+        SnapToGrid(point: Point): Point;
+        /**
+         * [Private Method] Returns the multiple of GridSpacing() nearest to the supplied value (which must be non-zero).
+         * @param {number} value The value to snap.
+         * @returns {number} Result.
+         */
+        private snapValueToGrid;
+        /**
+         * [Private Method] Returns the closest alignment (within AlignmentSnapDistance()) between the supplied values - moved by 'delta' - and the supplied targets,
+         * as the offset to add to 'delta' along with the target aligned to. Returns null if there is no such alignment.
+         * @param {number[]} values The edge/center values (on one axis) of the dragged rectangle, before it was moved.
+         * @param {number} delta The [unsnapped] drag delta on the same axis.
+         * @param {AlignmentTarget[]} targets The values (on the same axis) to align to.
+         * @returns {Alignment | null} Result.
+         */
+        private findAlignment;
+        /**
+         * [Private Method] Adds an alignment guide line (on top of all the Inks) between the specified points.
+         * @param {number} x1 The x-coordinate of the start of the line.
+         * @param {number} y1 The y-coordinate of the start of the line.
+         * @param {number} x2 The x-coordinate of the end of the line.
+         * @param {number} y2 The y-coordinate of the end of the line.
+         */
+        private addAlignmentGuide;
+        /** [Private Method] Removes all the alignment guide lines. */
+        private removeAlignmentGuides;
+    }
+    /**
+     * Returns the snapping settings (see InkSnapping) associated with the specified <svg> element.
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to find the snapping settings for.
+     * @returns {InkSnapping} The associated snapping settings.
+     */
+    function Snapping(svg: TargetDomElement): InkSnapping;
+}
+declare namespace MIL {
+}
 declare namespace MIL {
     type GestureDefaultsType = typeof GestureDefaults;
     /**
@@ -828,6 +1639,107 @@ declare namespace MIL {
     type InkDragMoveEventHandler = (deltaX: number, deltaY: number) => void;
     /** Type of an Ink event handler (callback). When the handler is invoked, 'this' will be set to the Ink instance. */
     type InkEventHandler = () => void;
+    /**
+     * Type of an event handler (callback) invoked when an Ink is erased (see MILSettings.InkEraserMode()). When the handler is invoked, 'this' will be set to the eraser Ink instance.
+     * The erased Ink will have been deleted, and 'newInks' are the Inks (if any) that replace it [ie. the parts of the erased Ink that remain].
+     */
+    type InkErasedEventHandler = (erasedInk: Ink, newInks: Ink[]) => void;
+    /**
+     * Type of an event handler (callback) invoked when an Ink is changed (see MILSettings.OnInkChangedHandler()). When the handler is invoked, 'this' will be set to the changed Ink instance.
+     * The handler is also invoked for changes made by an undo/redo (see MIL.History()), so it can be used to keep a copy of the Inks (eg. for autosave or sync) up-to-date.
+     */
+    type InkChangedEventHandler = (ink: Ink, change: InkChange) => void;
+    /** A description of a change to an Ink, as supplied to an InkChangedEventHandler. Only the members that apply to the 'type' of change are set. */
+    type InkChange = {
+        type: InkChangeType;
+        /** [InkChangeType.PointAdded] The point that was added, in the coordinate space of the root <g> element (see MIL.Initialize()). */
+        point?: Point;
+        /** [InkChangeType.Deleted] The Gestures that targeted the Ink (or its Hull) and were removed when it was deleted. */
+        removedGestures?: Gesture[];
+        /** [InkChangeType.Combined] The [deleted] Inks that were combined to create the Ink. */
+        combinedInks?: Ink[];
+        /** [InkChangeType.Dragged] The number of pixels the Ink was moved by on the x-axis. */
+        deltaX?: number;
+        /** [InkChangeType.Dragged] The number of pixels the Ink was moved by on the y-axis. */
+        deltaY?: number;
+        /** [InkChangeType.Resized] The factor the Ink was resized by on the x-axis. */
+        scaleX?: number;
+        /** [InkChangeType.Resized] The factor the Ink was resized by on the y-axis. */
+        scaleY?: number;
+        /** [InkChangeType.Rotated] The number of degrees (clockwise) the Ink was rotated by. */
+        angle?: number;
+        /** [InkChangeType.Beautified] The shape the Ink was beautified as. */
+        shapeID?: ShapeID;
+    };
+    /**
+     * Type of a sample (point) in an Ink, as returned by Ink.Samples(). The x/y values are in the coordinate space of the root <g> element (see MIL.Initialize()).
+     * The other values are from the PointerEvent that produced the sample, and will be null if they were not captured (eg. for a beautified Ink, see Ink.Beautify()).
+     */
+    type InkSample = {
+        x: number;
+        y: number;
+        /** The time (in milliseconds since 1/1/1970) the sample was captured. */
+        timestamp: number | null;
+        /** The pressure (0..1) of the pointer. See PointerEvent.pressure. */
+        pressure: number | null;
+        /** The tilt (-90..90 degrees) of the pen along the x-axis. See PointerEvent.tiltX. */
+        tiltX: number | null;
+        /** The tilt (-90..90 degrees) of the pen along the y-axis. See PointerEvent.tiltY. */
+        tiltY: number | null;
+        /** The clockwise rotation (0..359 degrees) of the pen around its own major axis. See PointerEvent.twist. */
+        twist: number | null;
+        /** The width (in CSS pixels) of the contact geometry of the pointer (eg. a finger). See PointerEvent.width. */
+        width: number | null;
+        /** The height (in CSS pixels) of the contact geometry of the pointer (eg. a finger). See PointerEvent.height. */
+        height: number | null;
+    };
+    /** Type of the options that control how an Ink is drawn when its RenderMode() is InkRenderMode.VariableWidth. See Ink.VariableWidthOptions(). */
+    type InkVariableWidthOptions = {
+        /** How much the pressure (or velocity) affects the width of the Ink (0..1). 0 means a constant width; 1 means the width can range from 0 to twice the Ink's StrokeWidth(). */
+        thinning: number;
+        /** How much the changes in pressure (or velocity) between successive points are smoothed (0..1). 0 means no smoothing. */
+        smoothing: number;
+        /** The distance (in pixels) over which the start of the Ink tapers [from zero width]. 0 means no taper. */
+        taperStart: number;
+        /** The distance (in pixels) over which the end of the Ink tapers [to zero width]. 0 means no taper. */
+        taperEnd: number;
+    };
+    /** Type of the decoration options of an Ink, which control how its line is drawn in addition to its Class/StrokeColor/StrokeWidth. See Ink.Decoration() and Ink.Redecorate(). */
+    type InkDecoration = {
+        /** The 'stroke-dasharray' of the line (eg. "8 4"). An empty string means the line is solid. Ignored for a variable-width Ink (see InkRenderMode.VariableWidth). */
+        dashArray: string;
+        /** The arrowhead drawn at the start of the line. Arrowheads are sized relative to the stroke-width, and grow and shrink with Ink.Scale(). Ignored for a variable-width Ink. */
+        startArrowhead: InkArrowhead;
+        /** The arrowhead drawn at the end of the line. Ignored for a variable-width Ink. */
+        endArrowhead: InkArrowhead;
+        /** The 'stroke-linecap' of the line ("butt", "round" or "square"). An empty string means the cap comes from the Ink's Class() (or is the SVG default). */
+        lineCap: string;
+        /** The 'stroke-linejoin' of the line ("miter", "round" or "bevel"). An empty string means the join comes from the Ink's Class() (or is the SVG default). */
+        lineJoin: string;
+        /** The color used to fill the Ink when its path is closed (see Ink.IsAutoClose()). An empty string means the Ink is not filled. Ignored for a variable-width Ink. */
+        fill: string;
+    };
+    /** Type of the options that control how the pointer positions are smoothed while an Ink is being drawn. See Ink.SmoothingOptions(). */
+    type InkSmoothingOptions = {
+        /** The type of smoothing to apply. */
+        mode: InkSmoothingMode;
+        /** The number of [most recent] pointer positions that are averaged (must be an integer >= 1). Only applies to InkSmoothingMode.MovingAverage. */
+        windowSize: number;
+        /** The minimum cutoff frequency (in Hz, > 0). Lower values reduce jitter at slow speeds, but increase lag. Only applies to InkSmoothingMode.OneEuro. */
+        minCutoff: number;
+        /** How much the cutoff frequency increases with speed (>= 0). Higher values reduce lag at high speeds. Only applies to InkSmoothingMode.OneEuro. */
+        beta: number;
+    };
+    /** Type of the [non-positional] channels of an InkSample. These are stored separately from the Ink's path-points so that they're unaffected by the Ink being moved or resized. */
+    type InkSampleChannels = {
+        timestamp: number;
+        pressure: number;
+        tiltX: number;
+        tiltY: number;
+        twist: number;
+        width: number;
+        height: number;
+    };
     /** The Ink class. */
     class Ink {
         private _inkID;
@@ -844,20 +1756,37 @@ declare namespace MIL {
         private _cometTailClassName;
         private _cometTailDurationInMs;
         private _isAutoCose;
+        private _isAutoBeautify;
+        private _renderMode;
+        private _isAutoStraighten;
+        private _variableWidthOptions;
+        private _decoration;
+        private _isClosed;
+        private _curve;
+        private _smoothingOptions;
+        private _smoothingState;
+        private _variableWidthState;
+        private _simplificationTolerance;
+        private _minPointDistance;
         private _hullPath;
         private _finalPath;
         private _nonDrawingPathPoints;
+        private _nonDrawingSampleChannels;
         private _combinedOutlinePathPoints;
+        private _constituents;
         private _isEraserDrawing;
         private _isCoercingInkToRuler;
         private _resizeGesturePointerType;
         private _resizeGesture;
         private _onResizeCompleteHandler;
         private _scale;
+        private _rotation;
         private _onDragMoveHandler;
         private _previousDragMovePoint;
         private _groupDragSelectionClassName;
         private _dragGesture;
+        private _dragDelta;
+        private _dragSnapState;
         constructor(pointerID: string);
         /**
          * [ReadOnly Property] The unique, system-supplied name of the Ink instance.
@@ -950,9 +1879,118 @@ declare namespace MIL {
          */
         IsAutoClose(isAutoClose: boolean): this;
         IsAutoClose(): boolean;
+        /**
+         * [Chainable Property] When set to true, the created path will automatically be beautified (see Ink.Beautify()) when Ink creation ends, if it's recognized as a shape. Set before calling Start().
+         * Note: Only shapes that support beautification are recognized (see MIL.BeautifyShape()).
+         * @param {boolean} isAutoBeautify Flag.
+         * @returns {this | boolean} Either the property value (if getting), or the Ink instance (if setting).
+         */
+        IsAutoBeautify(isAutoBeautify: boolean): this;
+        IsAutoBeautify(): boolean;
+        /**
+         * [Chainable Property] When set to true, and the Ink's RenderMode() is InkRenderMode.Highlighter, the created path will automatically be replaced with a straight line when Ink
+         * creation ends if it was drawn against the Ruler (see MIL.Controls.Ruler()), or with a horizontal line if it's a straight line (see Ink.IsStraightLine()). Set before calling Start().
+         * Note: When the Ink is straightened it's not also beautified (see Ink.IsAutoBeautify()).
+         * @param {boolean} isAutoStraighten Flag.
+         * @returns {this | boolean} Either the property value (if getting), or the Ink instance (if setting).
+         */
+        IsAutoStraighten(isAutoStraighten: boolean): this;
+        IsAutoStraighten(): boolean;
+        /**
+         * [Chainable Property] How the Ink's path is rendered. Set before calling Start(). Defaults to InkRenderMode.Stroke.
+         * Note: Eraser Inks (see Ink.IsEraserDrawing()) are always rendered with InkRenderMode.Stroke, as are combined Inks (see Ink.IsCombined()) unless all the combined Inks were highlighters.
+         * @param {InkRenderMode} mode The desired render mode.
+         * @returns {this | InkRenderMode} Either the property value (if getting), or the Ink instance (if setting).
+         */
+        RenderMode(mode: InkRenderMode): this;
+        RenderMode(): InkRenderMode;
+        /**
+         * [Chainable Property] The options that control how the Ink is drawn when its RenderMode() is InkRenderMode.VariableWidth. Set before calling Start().
+         * When setting, any options that are not specified keep their current value. Defaults to { thinning: 0.5, smoothing: 0.5, taperStart: 0, taperEnd: 0 }.
+         * @param {Partial<InkVariableWidthOptions>} options The options to change.
+         * @returns {this | InkVariableWidthOptions} Either the property value (if getting), or the Ink instance (if setting).
+         */
+        VariableWidthOptions(options: Partial<InkVariableWidthOptions>): this;
+        VariableWidthOptions(): InkVariableWidthOptions;
+        /**
+         * [Chainable Property] The decoration options (dashes, arrowheads, line caps/joins and fill) of the Ink. Set before calling Start(); to change the decoration
+         * of a created Ink, use Ink.Redecorate(). When setting, any options that are not specified keep their current value.
+         * Defaults to { dashArray: "", startArrowhead: InkArrowhead.None, endArrowhead: InkArrowhead.None, lineCap: "", lineJoin: "", fill: "" }.
+         * @param {Partial<InkDecoration>} decoration The options to change.
+         * @returns {this | InkDecoration} Either the property value (if getting), or the Ink instance (if setting).
+         */
+        Decoration(decoration: Partial<InkDecoration>): this;
+        Decoration(): InkDecoration;
+        /**
+         * [Private Method] Returns a copy of the Ink's current Decoration() with the supplied options applied, throwing if any of the options are invalid.
+         * @param {Partial<InkDecoration>} decoration The options to apply (options that are not specified keep their current value).
+         * @returns {InkDecoration} Result.
+         */
+        private mergeDecoration;
+        /**
+         * [Chainable Property] The curve used to join the points of the Ink's path. Set before calling Start(). Defaults to InkCurve.Basis.
+         * Note: A beautified Ink (see Ink.Beautify()) is always drawn with straight lines.
+         * @param {InkCurve} curve The desired curve.
+         * @returns {this | InkCurve} Either the property value (if getting), or the Ink instance (if setting).
+         */
+        Curve(curve: InkCurve): this;
+        Curve(): InkCurve;
+        /**
+         * [Chainable Property] The options that control how the pointer positions are smoothed while the Ink is being drawn. Set before calling Start().
+         * When setting, any options that are not specified keep their current value. Defaults to { mode: InkSmoothingMode.None, windowSize: 4, minCutoff: 1, beta: 0.007 }.
+         * @param {Partial<InkSmoothingOptions>} options The options to change.
+         * @returns {this | InkSmoothingOptions} Either the property value (if getting), or the Ink instance (if setting).
+         */
+        SmoothingOptions(options: Partial<InkSmoothingOptions>): this;
+        SmoothingOptions(): InkSmoothingOptions;
+        /**
+         * [Chainable Property] The tolerance (in pixels) used to simplify the Ink when it's complete (see Utils.SimplifyPoints()). Set before calling Start().
+         * Simplifying removes the points that are within the tolerance of the simplified line, which reduces the number of points stored (and used by the hull and by shape recognition).
+         * Defaults to 0 (no simplification). Because InkCurve.Basis does not pass through the points, consider using InkCurve.CatmullRom for a simplified Ink (see Ink.Curve()).
+         * @param {number} toleranceInPx The tolerance in pixels (>= 0).
+         * @returns {this | number} Either the property value (if getting), or the Ink instance (if setting).
+         */
+        SimplificationTolerance(toleranceInPx: number): this;
+        SimplificationTolerance(): number;
+        /**
+         * [Chainable Property] The minimum distance (in pixels, along either axis) that the pointer must move from the last recorded point before a new point is recorded. Defaults to 3.
+         * @param {number} distanceInPx The distance in pixels (>= 0).
+         * @returns {this | number} Either the property value (if getting), or the Ink instance (if setting).
+         */
+        MinPointDistance(distanceInPx: number): this;
+        MinPointDistance(): number;
+        /**
+         * [Private Method] Returns true if the Ink is drawn as a filled outline (ie. its RenderMode() is InkRenderMode.VariableWidth and it's neither an eraser Ink nor a combined Ink).
+         * @returns {boolean} Result.
+         */
+        private isVariableWidth;
+        /**
+         * [Private Method] Returns true if the Ink is drawn as a highlighter (ie. its RenderMode() is InkRenderMode.Highlighter and it's not an eraser Ink).
+         * @returns {boolean} Result.
+         */
+        private isHighlighter;
+        /**
+         * [Private Method] Applies the highlighter style (translucent, with flat ends and 'multiply' blending) to the specified path of the Ink.
+         * Note: Must be called after the Class/StrokeColor/StrokeWidth have been applied to the path.
+         * @param {DomElement} pathDomElement Either the final "consolidated" path, or the current constituent path of an in-flight inking.
+         */
+        private applyHighlighterStyle;
+        /**
+         * [Private Method] Draws (or removes) the start or end arrowhead of the Ink, as specified by its Decoration().
+         * Each Ink has its own <marker> elements (so that they can match its stroke color and Scale()), which are removed when the Ink is deleted.
+         * @param {boolean} isStart Whether to draw the start arrowhead (rather than the end arrowhead).
+         */
+        private drawArrowhead;
+        /**
+         * [Private Method] Returns the ID of the <marker> element for the start or end arrowhead of the Ink.
+         * @param {boolean} isStart Whether to return the ID for the start arrowhead (rather than the end arrowhead).
+         * @returns {string} Result.
+         */
+        private getArrowheadMarkerID;
         /**
          * [Chainable Property] The pointer type specifier (eg. "touch:2") for the Gesture used to resize the Ink instance. Must specify exactly 2 pointers.
          * When setting, a Gesture to do the resize will be automatically created (replacing any previously created resize Gesture).
+         * In addition to resizing (see Ink.Scale()), the Gesture rotates the Ink by the twist of the 2 pointers (see Ink.Rotation()) and moves it with their mid-point.
          * @param {string} pointerType A pointer type specifier that must specify exactly 2 pointers.
          * @returns {this | string} Either the property value (if getting), or the Ink instance (if setting).
          */
@@ -976,11 +2014,25 @@ declare namespace MIL {
          * @returns {boolean} Property value.
          */
         IsCombined(): boolean;
+        /**
+         * Splits (ungroups) a combined Ink (see Ink.IsCombined()) back into the Inks it was created from, then deletes the combined Ink.
+         * Each new Ink has the style, Hull and ResizeWith() of its original Ink, but the current geometry of its lines (so any move, resize or rotation of the
+         * combined Ink is kept). If the original Inks are not known (eg. the combined Ink was imported from InkML) each line becomes an Ink with the style of the combined Ink.
+         * The split is recorded in the undo/redo history (see MIL.History()) as a single command. Returns the new Inks (in z-order), or an empty array if the Ink is not combined.
+         * Note: The new Inks are new instances, so any Gestures (eg. a drag Gesture) that the app added to the combined Ink must be added to them.
+         * @returns {Ink[]} Result.
+         */
+        Split(): Ink[];
         /**
          * [ReadOnly Property] The hull path (as a d3 selection) of the Ink instance. Will be null if the Ink was created with HullType(InkHullType.None).
          * @returns {D3SingleSelection} Property value.
          */
         HullPath(): D3SingleSelection;
+        /**
+         * [ReadOnly Property] The layer (see MIL.Layers()) that the Ink is in. Will be null if the Ink is not in a layer, or has not yet been created. See also InkLayer.MoveInks().
+         * @returns {InkLayer | null} Property value.
+         */
+        Layer(): InkLayer | null;
         /**
          * [ReadOnly Property] The path (as a d3 selection) of the Ink instance. Will be null if the Ink was created with IsNonDrawing(true).
          * @returns {D3SingleSelection} Property value.
@@ -991,11 +2043,25 @@ declare namespace MIL {
          * @returns {Point[]} Property value.
          */
         PathPoints(): Point[];
+        /**
+         * [ReadOnly Property] The samples (points with their pressure, tilt, timestamp, etc.) in the Ink instance, with one array of samples for each line in the Ink.
+         * A combined Ink (see Ink.IsCombined()) can have multiple lines; all other Inks have a single line. Unlike PathPoints(), the samples of a combined Ink are those of its lines (not of its hull).
+         * @returns {InkSample[][]} Property value.
+         */
+        Samples(): InkSample[][];
+        /**
+         * Returns the distance (in svg coordinates) from the supplied point to the nearest edge of the Ink's stroke, or 0 if the point is on the stroke.
+         * The distance is to the line as it's actually drawn (ie. following the Ink's Curve()), and takes the [current] stroke-width of the Ink into account,
+         * including the varying width of an Ink with InkRenderMode.VariableWidth. Since both the point and the Ink are in svg coordinates, the distance is unaffected by zooming or panning.
+         * @param {Point} point The point (in svg coordinates, eg. from MIL.TransposePointer()) to measure the distance to.
+         * @returns {number} Result.
+         */
+        DistanceToPoint(point: Point): number;
         /** Deletes the Ink's Hull. */
         DeleteHull(): void;
-        /** Cancels the Ink instance (while it's in the process of being created). */
+        /** Cancels the Ink instance (while it's in the process of being created). Since the Ink was never completed, this does not add a command to the CommandHistory (see MIL.History()). */
         Cancel(): void;
-        /** Deletes the Ink instance. */
+        /** Deletes the Ink instance (and any Gestures that target it). The removed Gestures are reported to MILSettings.OnInkChangedHandler() (see InkChange.removedGestures). */
         Delete(): void;
         /** [Private Method] Removes the Ink instance from the list of all Inks (_inks). */
         private deleteInksEntry;
@@ -1009,8 +2075,50 @@ declare namespace MIL {
          */
         Scale(scale: number, startScale: number, startStrokeWidth: number, excludeHull?: boolean): this;
         Scale(): number;
+        /**
+         * [Chainable Property] The rotation (in degrees, clockwise) of the Ink instance (default is 0). When setting, rotates the Ink (and its Hull, if any) by the difference between the new and current rotation.
+         * @param {number} angle The new rotation (in degrees). The stored value is normalized to the range 0..360 (exclusive).
+         * @param {Point} [pivot] [Optional] The point to rotate around. Defaults to the center of the Ink's bounding rectangle.
+         * @returns {this | number} Either the property value (if getting), or the Ink instance (if setting).
+         */
+        Rotation(angle: number, pivot?: Point): this;
+        Rotation(): number;
+        /**
+         * [Private Method] Returns the center of the bounding rectangle of the Ink's path-points.
+         * @returns {Point} Result.
+         */
+        private getCenterPoint;
+        /**
+         * [Private Static Method] Returns the angle (in degrees, clockwise from the x-axis) of the line from the {P1} pointer to the {P2} pointer of the supplied Gesture.
+         * @param {Gesture} gesture A Gesture with at least 2 pointers.
+         * @returns {number} Result.
+         */
+        private static getTwistAngle;
+        /**
+         * [Private Method] Applies the supplied manipulation to the Ink's path using a [fast] svg transform (which doesn't update __MILPathPointsCollection__). The Hull (if any) is hidden.
+         * @param {Point} pivot The point to scale and rotate around.
+         * @param {InkManipulation} manipulation The manipulation, relative to the state of the Ink when the manipulation started.
+         * @param {number} startStrokeWidth The thickness (in pixels) of the Ink line when the manipulation started.
+         */
+        private manipulateWithTransform;
         /** [Private Method] Applies the current Class/StrokeColor/StrokeWidth to either the final "consolidated" path (if available), or the current constituent path of an in-flight inking. */
         private applyStyle;
+        /**
+         * Changes the Class/StrokeColor/StrokeWidth of the [created] Ink instance, re-styling its existing path (whereas setting Class()/StrokeColor()/StrokeWidth()
+         * only affects an Ink that has not yet been started). The change is recorded in the undo/redo history (see MIL.History()).
+         * @param {string} className The new CSS class to use to draw the Ink. Can be null, in which case 'strokeColor' and 'strokeWidth' are used.
+         * @param {string} [strokeColor] [Optional] The new color to use to draw the Ink (ignored if 'className' is supplied). Defaults to black (or yellow for a highlighter).
+         * @param {string} [strokeWidth] [Optional] The new thickness to use to draw the Ink (ignored if 'className' is supplied). Defaults to 4px (or 20px for a highlighter).
+         * @returns {this} The Ink instance.
+         */
+        Restyle(className: string, strokeColor?: string, strokeWidth?: string): this;
+        /**
+         * Changes the Decoration() of the [created] Ink instance, re-drawing its existing path (whereas setting Decoration() only affects an Ink that has not yet been started).
+         * Options that are not specified keep their current value. The change is recorded in the undo/redo history (see MIL.History()).
+         * @param {Partial<InkDecoration>} decoration The options to change.
+         * @returns {this} The Ink instance.
+         */
+        Redecorate(decoration: Partial<InkDecoration>): this;
         /**
          * [Chainable Property] The callback that will be invoked for each move when the Ink is being dragged (by a Gesture).
          * @param {InkDragMoveEventHandler} handler An InkDragMoveEventHandler.
@@ -1030,7 +2138,7 @@ declare namespace MIL {
          */
         Start(): this;
         /**
-         * [Private Method] Starts drawing a new line (path) using the specified pointerDown event. The line will be drawn on the corresponding svgInfo.gDomElement.
+         * [Private Method] Starts drawing a new line (path) using the specified pointerDown event. The line will be drawn in the active layer (see MIL.Layers()), if any, of the corresponding <svg>.
          * @param {PointerEvent} e A pointerDown event.
          */
         private startNewLine;
@@ -1044,12 +2152,60 @@ declare namespace MIL {
          * @param {PointerEvent} e A pointerUp event.
          */
         OnPointerUp(e: PointerEvent): void;
+        /**
+         * [Private Method] Completes the Ink (and, if needed, beautifies it, auto-combines it with other Inks, or erases other Inks with it) when its pointer is lifted.
+         * @param {PointerEvent} e A pointerUp event.
+         */
+        private completeInk;
+        /**
+         * [Private Method] Erases the Inks (on the same 'g' element as the Ink, which must be an eraser Ink) that the Ink's path crosses, according to svgInfo.settings.InkEraserMode().
+         * The erased Inks are deleted and - when the mode is InkEraserMode.Split - replaced by new Inks for the parts that remain. Finally, the [eraser] Ink itself is deleted.
+         * @param {SVGInfo} svgInfo The SVGInfo of the <svg> the Ink was drawn on.
+         */
+        private eraseInks;
+        /**
+         * [Private Method] Returns the parts of the Ink's lines that remain after erasing the parts that are within 'eraseDistance' of the supplied eraser path, or null if no part of the Ink is erased.
+         * Parts with fewer than 2 points are discarded.
+         * @param {Point[]} eraserPoints The points of the eraser path.
+         * @param {number} eraseDistance The distance (in pixels) from the eraser path within which the Ink is erased.
+         * @returns {InkLine[] | null} Result.
+         */
+        private getUnerasedLines;
+        /**
+         * [Private Method] Creates new Inks (with the same properties as the Ink) from the supplied lines, and adds them to the <svg> directly below the Ink.
+         * A new Ink is created for each line, unless the Ink is combined (see Ink.IsCombined()) in which case a single new combined Ink is created for all the lines.
+         * @param {InkLine[]} lines The lines to create the new Inks from.
+         * @returns {Ink[]} The new Inks.
+         */
+        private createInksFromLines;
+        /**
+         * Replaces the Ink's path with the idealized geometry (eg. a perfect ellipse) of the specified shape, fitted to the Ink's existing path.
+         * The Ink's hull is updated to cover the new path, but is otherwise preserved (so any Gestures that target it, eg. drag and resize, continue to work).
+         * Returns false if the shape does not support beautification (see MIL.BeautifyShape()).
+         * Note: The Ink is assumed to have already been recognized as the shape (eg. by MIL.RecognizeShape()).
+         * @param {ShapeID} shapeID The ID of the shape to beautify the Ink as.
+         * @returns {boolean} Result.
+         */
+        Beautify(shapeID: ShapeID): boolean;
+        /**
+         * [Private Method] Replaces the [just completed] path of a highlighter Ink with a straight line: if the Ink was drawn against the Ruler the line joins its first and last points,
+         * otherwise it's a horizontal line (at the average height of the points) that spans the points [so that it neatly highlights a line of text].
+         */
+        private straighten;
+        /**
+         * [Private Method] Returns the vertices of the supplied BeautifiedShape with additional points inserted along each edge so that no two consecutive points are further apart than 'maxDistanceInPxBetweenPoints'.
+         * @param {BeautifiedShape} beautifiedShape The shape to re-sample.
+         * @param {number} maxDistanceInPxBetweenPoints The maximum distance (in pixels) between consecutive points.
+         * @returns {Point[]} Result.
+         */
+        private resampleBeautifiedShape;
         /**
          * Starts a drag operation for the Ink. When the drag is complete, call Ink.DragEnd().
          * @param {Gesture} dragGesture The Gesture being used to drag the Ink (must target the Ink's Hull).
          * @param {string} [groupDragSelectionClassName] [Optional] The name of a class used to find the set of Inks to drag (ie. a multi-select drag).
+         * If not supplied, and the Ink is selected (see MIL.Selection()), all the selected Inks are dragged.
          */
-        DragStart(dragGesture: Gesture, groupDragSelectionClassName: string): void;
+        DragStart(dragGesture: Gesture, groupDragSelectionClassName?: string): void;
         /**
          * [Private Static Method] A handler for pointerMove events when the Ink is being dragged.
          * Note: The value of 'this' must be explicitly set to the Gesture that is performing the drag [eg. using call()] otherwise the method will throw.
@@ -1119,6 +2275,32 @@ declare namespace MIL {
          * @param {PointerEvent} e The pointerUp event for the Ink (when it ends).
          */
         private consolidatePaths;
+        /**
+         * [Private Method] Sets the style and path data ('d') of the specified Ink Hull path so that it covers the supplied path-points (using the Ink's HullType).
+         * @param {D3SingleSelection} hullPath The Ink Hull path to draw.
+         * @param {Point[]} pathPoints The path-points the hull should cover.
+         */
+        private drawHull;
+        /**
+         * [Private Method] Re-draws the specified Ink path (and updates __MILPathPointsCollection__) after applying 'transformPoints' to each of its lines.
+         * @param {D3SingleSelection} inkPath The Ink path to transform (as a D3 Selection of the svg Path element).
+         * @param {(points: Point[]) => Point[]} transformPoints A function that returns the transformed (eg. rotated) version of the supplied points.
+         */
+        private transformInkPath;
+        /**
+         * [Private Method] Re-draws the specified Ink Hull path after applying 'transformPoints' to its points.
+         * @param {D3SingleSelection} hullPath The Ink Hull path to transform.
+         * @param {(points: Point[]) => Point[]} transformPoints A function that returns the transformed (eg. rotated) version of the supplied points.
+         */
+        private transformHullPath;
+        /**
+         * [Private Static Method] Returns the supplied points rotated around 'pivot'.
+         * @param {Point[]} points The points to rotate.
+         * @param {number} angle The angle (in degrees, clockwise) to rotate by.
+         * @param {Point} pivot The point to rotate around.
+         * @returns {Point[]} Result.
+         */
+        private static rotatePoints;
         /**
          * [Private Method] Scales (resizes) the specified Ink path.
          * @param {D3SingleSelection} inkPath The Ink path to scale (as a D3 Selection of the svg Path element).
@@ -1420,7 +2602,8 @@ declare namespace MIL {
         Ink(): Ink;
         /**
          * Combines the supplied Inks into a single Ink, which will have a new [convex] hull that covers the combined Ink paths.
-         * Returns the new (combined) Ink instance, or null if inksToCombine is empty.
+         * Returns the new (combined) Ink instance, or null if inksToCombine is empty. The combined Ink uses the Curve() and Decoration() of the first Ink in inksToCombine
+         * (note that its arrowheads, if any, are drawn only at the start of its first line and at the end of its last line).
          * @param {Ink[]} inksToCombine The array of Inks to combine.
          * @param {string} className The name of the CSS class to apply to the combined ink.
          * @param {boolean} [makeInkPathMatchHull] [Optional] When true, the path of the new ink will match the new [convex] hull [eg. when combining 2 paths that are "grouping containers"]
@@ -1481,15 +2664,34 @@ declare namespace MIL {
          * @param {string} gestureName The name of the Gesture.
          * @param {TargetDomElement} targetElement The DOM element the Gesture will target.
          * @param {string} pointerType A pointer type. If more than one pointer is specified, only {P1} will be used.
-         * @param {number} minPercentMatch The percentage of points in the drawn path that must be inside the shape-template to trigger a match.
+         * @param {number} minPercentMatch The percentage of points in the drawn path that must be inside the shape-template to trigger a match (or, when using ShapeRecognitionEngine.Template, the minimum score (0..1) of the match).
          * @param {ShapeRecognizedHandler} onShapeRecognized A handler called when the shape is recognized.
          * @param {string} [cometTailClassName] [Optional] The CSS class to use to draw a 'comet tail' as the shape is drawn.
-         * @param {RecognizableShape[]} [shapeList] [Optional] The list of shapes to be recognized (must be MIL.RecognizableShape values). Note: Providing a shapeList helps to reduce false-positives (misrecognitions). // PORT: Was string[]
+         * @param {ShapeID[]} [shapeList] [Optional] The list of shapes to be recognized (must be MIL.RecognizableShape values and/or the IDs of custom shapes added with MIL.AddRecognizableShape()). Note: Providing a shapeList helps to reduce false-positives (misrecognitions). // PORT: Was string[]
          * @param {number} [targetWidth] [Optional] The width (in pixels) of the area that the shape recognition will occur within.
          * @param {number} [targetHeight] [Optional] The height (in pixels) of the area that the shape recognition will occur within.
+         * @param {ShapeRecognitionEngine} [engine] [Optional] The engine to use to recognize the shape. Defaults to ShapeRecognitionEngine.Outline.
+         * When using ShapeRecognitionEngine.Template, templates must first be added (with MIL.AddShapeTemplate()) for the shapes to be recognized, and targetWidth/targetHeight are not used.
+         * @returns {Gesture} Result.
+         */
+        function ShapeRecognizer(gestureName: string, targetElement: TargetDomElement, pointerType: string, minPercentMatch: number, onShapeRecognized: ShapeRecognizedHandler, cometTailClassName?: string, shapeList?: ShapeID[], targetWidth?: number, targetHeight?: number, engine?: ShapeRecognitionEngine): Gesture;
+        /**
+         * Creates a multi-stroke shape-recognizer Gesture. Each stroke is drawn as an Ink, and consecutive strokes are grouped together until either no new stroke
+         * is started within 'interStrokeTimeoutInMs', or a new stroke starts too far away (more than 'maxInterStrokeDistance') from the existing strokes in the group.
+         * The group is then recognized using MIL.RecognizeMultiStrokeShape(), so templates must first be added (with MIL.AddMultiStrokeTemplate()) for the shapes to be recognized.
+         * Note: The Inks are not deleted after being recognized (or not recognized): onShapeRecognized is responsible for deleting them (if needed).
+         * @param {string} gestureName The name of the Gesture.
+         * @param {TargetDomElement} targetElement The DOM element the Gesture will target.
+         * @param {string} pointerType A pointer type. If more than one pointer is specified, only {P1} will be used.
+         * @param {number} minScore The minimum score (0..1) of the match to trigger recognition.
+         * @param {MultiStrokeShapeRecognizedHandler} onShapeRecognized A handler called when the shape is recognized.
+         * @param {string} [inkClassName] [Optional] The CSS class to use to draw the strokes.
+         * @param {ShapeID[]} [shapeList] [Optional] The list of shapes to be recognized. Note: Providing a shapeList helps to reduce false-positives (misrecognitions).
+         * @param {number} [interStrokeTimeoutInMs] [Optional] The maximum time (after a stroke ends) to wait for the next stroke in the group to start.
+         * @param {number} [maxInterStrokeDistance] [Optional] The maximum distance (in SVG coordinate space) between the bounding rectangle of a new stroke and the bounding rectangle of the existing strokes in the group.
          * @returns {Gesture} Result.
          */
-        function ShapeRecognizer(gestureName: string, targetElement: TargetDomElement, pointerType: string, minPercentMatch: number, onShapeRecognized: ShapeRecognizedHandler, cometTailClassName?: string, shapeList?: RecognizableShape[], targetWidth?: number, targetHeight?: number): Gesture;
+        function MultiStrokeShapeRecognizer(gestureName: string, targetElement: TargetDomElement, pointerType: string, minScore: number, onShapeRecognized: MultiStrokeShapeRecognizedHandler, inkClassName?: string, shapeList?: ShapeID[], interStrokeTimeoutInMs?: number, maxInterStrokeDistance?: number): Gesture;
         /**
          * Creates a radial-swipe Gesture.
          * @param {string} gestureName The name of the Gesture.
@@ -1513,6 +2715,215 @@ declare namespace MIL {
         function CircularDial(gestureName: string, targetElement: TargetDomElement, pointerType: string, onAngleChanged: AngleChangedHandler): Gesture;
     }
 }
+declare namespace MIL {
+    /** Type of a serialized Ink, as contained in a SerializedInkDocument. */
+    type SerializedInk = {
+        /** The ID of the Ink (see Ink.InkID()). */
+        id: string;
+        /** See Ink.Class(). */
+        className: string;
+        /** See Ink.StrokeColor(). */
+        strokeColor: string;
+        /** See Ink.StrokeWidth(). */
+        strokeWidth: string;
+        /** See Ink.EraserClass(). */
+        eraserClassName: string;
+        /** The name of the InkHullType of the Ink (eg. "Concave"). Will be "None" if the Ink has no hull. */
+        hullType: string;
+        /** See Ink.HullColor(). */
+        hullColor: string;
+        /** See Ink.Scale(). */
+        scale: number;
+        /** [Optional] See Ink.Rotation(). Added in version 5. */
+        rotation?: number;
+        /** See Ink.IsEraserDrawing(). */
+        isEraser: boolean;
+        /** Whether the Ink path is closed (ie. its last point is joined to its first point). */
+        isClosed: boolean;
+        /** See Ink.ResizeWith(). */
+        resizeWith: string;
+        /** The {x, y} points of each line in the Ink. A combined Ink (see Ink.IsCombined()) can have multiple lines. */
+        pathPointsCollection: Point[][];
+        /** Whether each line in pathPointsCollection is drawn with straight lines (eg. a beautified shape) rather than a curve. */
+        isLinearCollection: boolean[];
+        /** [Optional] The sample channels (pressure, tilt, etc.) for each point in each line in pathPointsCollection, or null for a line whose samples were not captured (see Ink.Samples()). Added in version 2. */
+        sampleChannelsCollection?: (InkSampleChannels[] | null)[];
+        /** [Optional] The name of the InkRenderMode of the Ink (eg. "VariableWidth"). See Ink.RenderMode(). Added in version 3. */
+        renderMode?: string;
+        /** [Optional] See Ink.VariableWidthOptions(). Added in version 3. */
+        variableWidthOptions?: InkVariableWidthOptions;
+        /** [Optional] The name of the InkCurve of the Ink (eg. "CatmullRom"). See Ink.Curve(). Added in version 4. */
+        curve?: string;
+        /** The outline (convex hull) of a combined Ink, or null if the Ink is not combined. */
+        combinedOutlinePathPoints: Point[] | null;
+        /** [Optional] The original Inks that a combined Ink was created from (see Ink.Split()), or null if they are not known. Added in version 6. */
+        constituents?: SerializedInkConstituent[] | null;
+        /** [Optional] See Ink.Decoration(). Added in version 7. */
+        decoration?: SerializedInkDecoration;
+    };
+    /** Type of the decoration of a serialized Ink (see Ink.Decoration()). This is the same as InkDecoration, but with the arrowheads stored by name (eg. "Triangle"). */
+    type SerializedInkDecoration = {
+        dashArray: string;
+        startArrowhead: string;
+        endArrowhead: string;
+        lineCap: string;
+        lineJoin: string;
+        fill: string;
+    };
+    /** Type of an original Ink that was combined into a combined Ink (see Gesture.CombineInks() and Ink.Split()). */
+    type SerializedInkConstituent = {
+        /** The number of [consecutive] lines in the pathPointsCollection of the combined Ink that came from the original Ink. */
+        lineCount: number;
+        /** The original Ink, without its geometry (its pathPointsCollection, isLinearCollection and sampleChannelsCollection are empty). */
+        ink: SerializedInk;
+    };
+    /** Type of the document produced by MIL.SerializeInks(). */
+    type SerializedInkDocument = {
+        /** The version of the document format. */
+        version: number;
+        /** The Inks, in z-order (bottom-most first). */
+        inks: SerializedInk[];
+    };
+    /**
+     * Serializes all the Inks on the specified <svg> to a [versioned] JSON document. Use MIL.DeserializeInks() to re-create the Inks.
+     * Note: Gestures (and event handlers) associated with the Inks are not serialized, with the exception of the resize gesture (see Ink.ResizeWith()).
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) whose Inks should be serialized.
+     * @returns {string} The JSON document (a serialized SerializedInkDocument).
+     */
+    function SerializeInks(svg: TargetDomElement): string;
+    /**
+     * Re-creates the Inks in the supplied JSON document (created by MIL.SerializeInks()) on the specified <svg>. The new Inks are added above any existing Inks (in the active layer, if any; see MIL.Layers()).
+     * Each Ink will have a HullPath() (if the serialized Ink had one) and can be dragged (see Ink.DragStart()) and resized (see Ink.ResizeWith()), but any other
+     * Gestures that target the Inks (eg. a drag Gesture) must be re-added by the caller.
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to add the Inks to.
+     * @param {string | SerializedInkDocument} json The JSON document (or the already parsed SerializedInkDocument).
+     * @param {boolean} [deleteExistingInks] [Optional] Whether to first delete all existing Inks on the <svg>.
+     * @returns {Ink[]} The re-created Inks (in z-order).
+     */
+    function DeserializeInks(svg: TargetDomElement, json: string | SerializedInkDocument, deleteExistingInks?: boolean): Ink[];
+    /**
+     * Exports the contents of the root <g> element (see MIL.Initialize()) of the specified <svg> as a standalone SVG document.
+     * Styles applied via CSS classes (eg. an Ink.Class() or an Ink.EraserClass()) are inlined, and controls (eg. the RulerControl) and Ink hulls are excluded.
+     * Any markers referenced by the exported elements (eg. the arrowheads of an Ink, see Ink.Decoration()) are included.
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to export.
+     * @param {boolean} [flattenTransform] [Optional] When true, the current pan/zoom transform is applied directly to the coordinates (and line thickness) of
+     * exported Ink paths, rather than being exported as a transform on the root <g> element. Other elements keep the transform, but in a wrapping <g> element.
+     * @returns {string} The SVG document (as a string).
+     */
+    function ExportSvg(svg: TargetDomElement, flattenTransform?: boolean): string;
+    /**
+     * Imports the <path> elements in the supplied SVG document as Inks on the specified <svg>. Each Ink gets a [convex] hull so that it can be dragged, resized and combined
+     * like any other Ink (see Ink.DragStart(), Ink.ResizeWith() and Gesture.CombineInks()). The stroke, stroke-width and [for a closed path] fill of each <path> are preserved, unless a 'className' is supplied.
+     * Note: Transforms in the supplied SVG document (on the <path> elements or their ancestors) are not applied.
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to add the Inks to.
+     * @param {string} svgDocument The SVG document (as a string) to import, eg. as produced by MIL.ExportSvg().
+     * @param {string} [className] [Optional] The CSS class to apply to the imported Inks.
+     * @param {string} [hullColor] [Optional] The color to use to draw the hull for the imported Inks. See Ink.HullColor().
+     * @returns {Ink[]} The imported Inks (in z-order).
+     */
+    function ImportSvgPaths(svg: TargetDomElement, svgDocument: string, className?: string, hullColor?: string): Ink[];
+    /**
+     * Exports all the Inks on the specified <svg> as an InkML document (see https://www.w3.org/TR/InkML/), for interoperability with other ink platforms.
+     * Each Ink is written as a <trace> (or, for a combined Ink, as a <traceGroup> with a <trace> for each of its lines), and its Class/StrokeColor/StrokeWidth and Decoration are written as a <brush>.
+     * Since InkML has no way to mark a trace as closed, the fill of an Ink is only written for a closed Ink (and, on import, an Ink with a fill is closed).
+     * Lines that have captured samples (see Ink.Samples()) use a context that adds T (timestamp, in milliseconds since 1/1/1970), F (pressure), OTx/OTy (tilt) and OR (twist) channels.
+     * Note: Eraser Inks (see Ink.IsEraserDrawing()) are not exported.
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) whose Inks should be exported.
+     * @returns {string} The InkML document (as a string).
+     */
+    function ExportInkML(svg: TargetDomElement): string;
+    /**
+     * Imports the traces in the supplied InkML document (see https://www.w3.org/TR/InkML/) as Inks on the specified <svg>.
+     * Each top-level <trace> becomes an Ink, and each <traceGroup> becomes a combined Ink (see Ink.IsCombined()). Brushes are mapped to Ink.Class() (if the brush has a "class" property),
+     * or to Ink.StrokeColor() and Ink.StrokeWidth(). Traces can use explicit, first-difference or second-difference encoding. In addition to the [required] X and Y channels,
+     * the T (timestamp), F (pressure), OTx/OTy (tilt) and OR (twist) channels are imported as samples (see Ink.Samples()); all other channels are ignored.
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to add the Inks to.
+     * @param {string} inkML The InkML document (as a string).
+     * @param {InkHullType} [hullType] [Optional] The type of hull to create for each [non-combined] Ink. Combined Inks always have a convex hull.
+     * @param {string} [hullColor] [Optional] The color to use to draw the hull for the imported Inks. See Ink.HullColor().
+     * @returns {Ink[]} The imported Inks (in z-order).
+     */
+    function ImportInkML(svg: TargetDomElement, inkML: string, hullType?: InkHullType, hullColor?: string): Ink[];
+}
+declare namespace MIL {
+    /**
+     * The Clipboard namespace. Provides copy, cut, paste and duplicate operations for Inks. The [in-app] clipboard is shared by all the <svg> elements that MIL
+     * has been initialized for, so Inks can be copied from one <svg> and pasted into another. To also use the system clipboard (eg. to move Inks between two
+     * pages, or into another app), call OnCopy()/OnCut()/OnPaste() from handlers for the corresponding DOM ClipboardEvents.
+     * Note: Pasted (and duplicated) Inks are independent copies with their own InkID, style, hull and resize gesture (see Ink.ResizeWith()), but [like Inks re-created by
+     *       MIL.DeserializeInks()] any other Gestures that target the Inks (eg. a drag Gesture) must be added by the caller.
+     */
+    namespace Clipboard {
+        /**
+         * Returns true if the clipboard contains Inks (see Copy() and Cut()).
+         * @returns {boolean} Result.
+         */
+        function HasInks(): boolean;
+        /** Empties the clipboard. */
+        function Clear(): void;
+        /**
+         * Copies the supplied Inks to the clipboard (replacing its current contents). The Inks must all be on the same <svg>. Has no effect if 'inks' is empty.
+         * When subsequently pasted without a point (see Paste()), each paste is offset a little further from the copied Inks.
+         * @param {Ink[]} inks The [completed] Inks to copy.
+         */
+        function Copy(inks: Ink[]): void;
+        /**
+         * Copies the supplied Inks to the clipboard (see Copy()), then deletes them. The Inks must all be on the same <svg>. Has no effect if 'inks' is empty.
+         * When subsequently pasted without a point (see Paste()), the first paste puts the Inks back where they were cut from.
+         * @param {Ink[]} inks The [completed] Inks to cut.
+         */
+        function Cut(inks: Ink[]): void;
+        /**
+         * Pastes the Inks in the clipboard onto the specified <svg>, above any existing Inks. Returns the pasted Inks (in z-order), or an empty array if the clipboard is empty.
+         * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to paste the Inks onto.
+         * @param {Point} [point] [Optional] The point (in svg coordinates) to center the pasted Inks on. If not supplied, the Inks are pasted at the
+         * position they were copied from, offset by a further 20 pixels (on each axis) for each paste since they were copied.
+         * @returns {Ink[]} Result.
+         */
+        function Paste(svg: TargetDomElement, point?: Point): Ink[];
+        /**
+         * Pastes the Inks in the clipboard onto the specified <svg>, above any existing Inks, offset from the position they were copied from by the specified amount.
+         * Returns the pasted Inks (in z-order), or an empty array if the clipboard is empty.
+         * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to paste the Inks onto.
+         * @param {number} offsetX The distance (in svg pixels) to offset the pasted Inks by on the x-axis.
+         * @param {number} offsetY The distance (in svg pixels) to offset the pasted Inks by on the y-axis.
+         * @returns {Ink[]} Result.
+         */
+        function PasteWithOffset(svg: TargetDomElement, offsetX: number, offsetY: number): Ink[];
+        /**
+         * Creates copies of the supplied Inks (on the same <svg>), above any existing Inks, without changing the contents of the clipboard. The Inks must all be on the same <svg>.
+         * Returns the new Inks (in z-order).
+         * @param {Ink[]} inks The [completed] Inks to duplicate.
+         * @param {number} [offsetX] [Optional] The distance (in svg pixels) to offset the new Inks by on the x-axis. Defaults to 20.
+         * @param {number} [offsetY] [Optional] The distance (in svg pixels) to offset the new Inks by on the y-axis. Defaults to 20.
+         * @returns {Ink[]} Result.
+         */
+        function Duplicate(inks: Ink[], offsetX?: number, offsetY?: number): Ink[];
+        /**
+         * Handles a 'copy' ClipboardEvent by copying the supplied Inks to both the clipboard (see Copy()) and the system clipboard. Has no effect if 'inks' is empty.
+         * The system clipboard gets a JSON document (see MIL.SerializeInks()), for pasting into another MIL page, and an SVG document (see MIL.ExportSvg()), for pasting into other apps.
+         * @param {ClipboardEvent} e A 'copy' event.
+         * @param {Ink[]} inks The [completed] Inks to copy (eg. MIL.Selection().Inks()).
+         */
+        function OnCopy(e: ClipboardEvent, inks: Ink[]): void;
+        /**
+         * Handles a 'cut' ClipboardEvent by cutting the supplied Inks to both the clipboard (see Cut()) and the system clipboard (see OnCopy()). Has no effect if 'inks' is empty.
+         * @param {ClipboardEvent} e A 'cut' event.
+         * @param {Ink[]} inks The [completed] Inks to cut (eg. MIL.Selection().Inks()).
+         */
+        function OnCut(e: ClipboardEvent, inks: Ink[]): void;
+        /**
+         * Handles a 'paste' ClipboardEvent by pasting the Inks on the system clipboard onto the specified <svg>. Inks copied by OnCopy()/OnCut() (on any MIL page) are pasted
+         * as Inks, otherwise the <path> elements of an SVG document on the system clipboard are imported as Inks (see MIL.ImportSvgPaths()).
+         * Returns the pasted Inks (in z-order), or an empty array if the system clipboard contains neither [in which case the event is not handled].
+         * @param {ClipboardEvent} e A 'paste' event.
+         * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to paste the Inks onto.
+         * @param {Point} [point] [Optional] The point (in svg coordinates) to center the pasted Inks on. See Paste().
+         * @returns {Ink[]} Result.
+         */
+        function OnPaste(e: ClipboardEvent, svg: TargetDomElement, point?: Point): Ink[];
+    }
+}
 declare namespace MIL {
     /**
      * Type of a callback that will apply a CSS style (and specify its 'd') to the a RulerControl toolbar item (an SVG path). When the callback is invoked, 'this' will be set to the RulerControl instance.
@@ -1569,6 +2980,12 @@ declare namespace MIL {
          * @returns {FrameControl} Result.
          */
         function Frame(svg: SVGSVGElement): FrameControl;
+        /**
+         * Returns the TransformHandlesControl for the specified <svg> element, creating it if needed.
+         * @param {SVGSVGElement} svg An <svg> element.
+         * @returns {TransformHandlesControl} Result.
+         */
+        function TransformHandles(svg: SVGSVGElement): TransformHandlesControl;
         /**
          * Creates a new RadialMenuControl for the specified <svg> element. Unlike the Ruler and Frame controls, there can be multiple RadialMenu controls for a given <svg>.
          * Use DeleteRadialMenu() when you no longer need the control. This method adds the root level (0) to the menu. To add additional levels, use AddLevel().
@@ -2065,6 +3482,17 @@ declare namespace MIL {
             CenterInView(): RulerControl;
             /** Ensures that the RulerControl is the top-most element in the parent <g> element it was created in. */
             BringToFront(): void;
+            /**
+             * [Private Method] Returns the current position, angle and width of the RulerControl instance.
+             * @returns {RulerState} Result.
+             */
+            private getState;
+            /**
+             * [Private Method] Records (in the CommandHistory) the change in position, angle and width of the RulerControl instance since 'startState' [if there was a change].
+             * @param {string} commandName The name of the command to record.
+             * @param {RulerState} startState The state (see getState()) of the RulerControl before the change.
+             */
+            private recordStateChange;
             /**
              * [Private Method] Returns a line (in svg space) of the supplied start and end points.
              * @param {XY} startPoint The start point of the line.
@@ -2104,5 +3532,73 @@ declare namespace MIL {
              */
             private onRulerRotateAndMove;
         }
+        /**
+         * The TransformHandlesControl class. Represents a set of handles, drawn around the selected Inks (see MIL.Selection()), that move, scale and rotate the selection.
+         * Unlike Ink.ResizeWith(), the handles can be used with any pointer type (so a multi-touch device is not required). Dragging a corner or edge handle scales
+         * the selection (holding Shift keeps its aspect ratio), dragging the rotate handle rotates it (holding Shift snaps the rotation to 15 degree increments),
+         * and dragging inside the handles moves it. Each manipulation is recorded in the undo/redo history (see MIL.History()) as a single command.
+         * Note: While the handles are shown, the move area covers the selected Inks, so Gestures that target their Hulls will not be recognized.
+         * Note: DO NOT instantiate this class directly: use the MIL.Controls.TransformHandles() method instead.
+         */
+        class TransformHandlesControl {
+            private static readonly CONTROL_TYPE;
+            private static readonly HANDLE_SIZE;
+            private static readonly ROTATE_HANDLE_OFFSET;
+            private static readonly ROTATION_SNAP_ANGLE;
+            private static readonly MIN_SCALE;
+            private static readonly SCALE_HANDLES;
+            private _gDomElement;
+            private _gHandles;
+            private _moveArea;
+            private _rotateHandleLine;
+            private _rotateHandle;
+            private _scaleHandles;
+            private _className;
+            private _isEnabled;
+            private _boundingRect;
+            /**
+             * [Chainable Property] Whether the handles are shown when Inks are selected (default is true).
+             * @param {boolean} enable Flag.
+             * @returns {this | boolean} Either the property value (if getting), or the TransformHandlesControl instance (if setting).
+             */
+            IsEnabled(enable: boolean): this;
+            IsEnabled(): boolean;
+            /**
+             * [Chainable Property] The name of the CSS class used to draw the handles (but not the move area, which is always transparent).
+             * If not set, the handles are drawn with a white fill and a blue outline.
+             * @param {string} className A CSS class name.
+             * @returns {this | string} Either the property value (if getting), or the TransformHandlesControl instance (if setting).
+             */
+            Class(className: string): this;
+            Class(): string;
+            /**
+             * [ReadOnly Property] Returns true if the handles are currently shown.
+             * @returns {boolean} Result.
+             */
+            IsVisible(): boolean;
+            /** Redraws the TransformHandlesControl instance. */
+            Redraw(): void;
+            /** [Private Method] Redraws the TransformHandlesControl instance (or hides it, if it's not visible). */
+            private redraw;
+            /** [Private Method] Adds the Gestures that manipulate the selection [by dragging the move area and the handles]. */
+            private addDefaultGestures;
+            /**
+             * [Private Method] Adds a Gesture (for any pointer type) that manipulates the selection when 'target' is dragged.
+             * While the Gesture is in progress the manipulation is previewed using an svg transform; when the Gesture ends the manipulation is applied to the selected Inks.
+             * @param {D3SingleSelection} target The handle (or move area) that the Gesture targets.
+             * @param {(startPoint: Point, currentPoint: Point) => TransformHandlesManipulation} getManipulation A function that returns the manipulation for the current position of the pointer.
+             */
+            private addManipulationGesture;
+            /**
+             * [Private Method] Applies the supplied svg transform to the selected Inks (and their Hulls), the selection adorner and the handles.
+             * @param {string | null} transform An svg transform, or null to remove the transform.
+             */
+            private previewManipulation;
+            /**
+             * [Private Method] Removes the preview of the in-progress manipulation, then [if supplied] applies the manipulation to the selected Inks.
+             * @param {TransformHandlesManipulation} manipulation The manipulation to apply, or null if the manipulation was cancelled (or the pointer didn't move).
+             */
+            private endManipulation;
+        }
     }
 }
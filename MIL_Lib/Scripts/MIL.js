@@ -1,6 +1,5 @@
 // Copyright (c) Microsoft Corporation. All rights reserved.
 // Licensed under the MIT license.
-
 // MIL is a library that makes it easy to define multi-modal (pen/touch/mouse + keyboard) gestures, and to do basic inking.
 // MIL works with SVG, and supports panning and zooming.
 // MIL requires d3 (https://d3js.org/) v4.
@@ -108,6 +107,16 @@ var MIL;
         /** Always combine inks that overlap in any way. */
         InkAutoCombineMode[InkAutoCombineMode["Always"] = 15] = "Always";
     })(InkAutoCombineMode = MIL.InkAutoCombineMode || (MIL.InkAutoCombineMode = {}));
+    /** What happens when the [pen] eraser is used to draw over Inks. See MILSettings.InkEraserMode(). */
+    var InkEraserMode;
+    (function (InkEraserMode) {
+        /** The eraser draws a path (see Ink.EraserClass()) over the Inks, but the Inks themselves are not changed. */
+        InkEraserMode[InkEraserMode["Draw"] = 0] = "Draw";
+        /** Where the eraser crosses an Ink, the Ink is split (or trimmed) into new Inks. */
+        InkEraserMode[InkEraserMode["Split"] = 1] = "Split";
+        /** Any Ink the eraser touches is deleted. */
+        InkEraserMode[InkEraserMode["Stroke"] = 2] = "Stroke";
+    })(InkEraserMode = MIL.InkEraserMode || (MIL.InkEraserMode = {}));
     /**
      * The possible pen buttons [see http://www.w3.org/TR/pointerevents2/].
      * Note that these are bitmask values for the PointerEvent.buttons property, and are distinct from the PointerEvent.button property values.
@@ -130,6 +139,76 @@ var MIL;
         InkHullType[InkHullType["Concave"] = 1] = "Concave";
         InkHullType[InkHullType["Convex"] = 2] = "Convex"; // Note: D3 computes convex hulls
     })(InkHullType = MIL.InkHullType || (MIL.InkHullType = {}));
+    /** How an Ink's path is rendered. */
+    var InkRenderMode;
+    (function (InkRenderMode) {
+        /** The Ink is drawn as a curve with a constant stroke-width (see Ink.StrokeWidth()). */
+        InkRenderMode[InkRenderMode["Stroke"] = 0] = "Stroke";
+        /** The Ink is drawn as a filled outline whose width varies with the pen pressure (or, if pressure is not available, with the pointer velocity). See Ink.VariableWidthOptions(). */
+        InkRenderMode[InkRenderMode["VariableWidth"] = 1] = "VariableWidth";
+        /** The Ink is drawn as a translucent highlighter stroke (with flat ends and 'multiply' blending) that is always kept beneath regular Inks. See Ink.IsAutoStraighten(). */
+        InkRenderMode[InkRenderMode["Highlighter"] = 2] = "Highlighter";
+    })(InkRenderMode = MIL.InkRenderMode || (MIL.InkRenderMode = {}));
+    /** The curve used to join the points of an Ink's path. See Ink.Curve(). */
+    var InkCurve;
+    (function (InkCurve) {
+        /** A cubic basis spline (the default). The curve is smooth, but does not pass through the points (except the first and last). */
+        InkCurve[InkCurve["Basis"] = 0] = "Basis";
+        /** A Catmull-Rom spline. The curve passes through every point, so it's the best choice for a simplified Ink (see Ink.SimplificationTolerance()). */
+        InkCurve[InkCurve["CatmullRom"] = 1] = "CatmullRom";
+        /** A cubic spline that preserves monotonicity in x. Best suited to Inks that don't double-back horizontally (eg. a graph line). */
+        InkCurve[InkCurve["Monotone"] = 2] = "Monotone";
+        /** Straight lines. */
+        InkCurve[InkCurve["Linear"] = 3] = "Linear";
+    })(InkCurve = MIL.InkCurve || (MIL.InkCurve = {}));
+    /** The arrowhead drawn at the start or end of an Ink. See InkDecoration. */
+    var InkArrowhead;
+    (function (InkArrowhead) {
+        /** No arrowhead (the default). */
+        InkArrowhead[InkArrowhead["None"] = 0] = "None";
+        /** A filled triangle. */
+        InkArrowhead[InkArrowhead["Triangle"] = 1] = "Triangle";
+        /** An open 'V' (drawn with lines). */
+        InkArrowhead[InkArrowhead["Open"] = 2] = "Open";
+        /** A filled circle (eg. for a connector end-point). */
+        InkArrowhead[InkArrowhead["Circle"] = 3] = "Circle";
+    })(InkArrowhead = MIL.InkArrowhead || (MIL.InkArrowhead = {}));
+    /** The type of change to an Ink that's reported to MILSettings.OnInkChangedHandler(). See InkChange. */
+    var InkChangeType;
+    (function (InkChangeType) {
+        /** The Ink has started being drawn. Its Path() will be null until it's completed. */
+        InkChangeType[InkChangeType["Started"] = 0] = "Started";
+        /** A point was added to the Ink while it's being drawn (see InkChange.point). */
+        InkChangeType[InkChangeType["PointAdded"] = 1] = "PointAdded";
+        /** The Ink has been drawn (ie. its pointer was lifted). */
+        InkChangeType[InkChangeType["Completed"] = 2] = "Completed";
+        /** The Ink was added other than by being drawn (eg. it was deserialized, imported, pasted, split from another Ink, or restored by an undo/redo). */
+        InkChangeType[InkChangeType["Added"] = 3] = "Added";
+        /** The Ink was deleted (see InkChange.removedGestures). */
+        InkChangeType[InkChangeType["Deleted"] = 4] = "Deleted";
+        /** The Ink was created by combining other Inks, which will have been deleted (see InkChange.combinedInks). */
+        InkChangeType[InkChangeType["Combined"] = 5] = "Combined";
+        /** The Ink was dragged, or otherwise moved (see InkChange.deltaX/Y). */
+        InkChangeType[InkChangeType["Dragged"] = 6] = "Dragged";
+        /** The Ink was resized, either by scaling (see Ink.Scale()) or by stretching it (see InkChange.scaleX/Y). */
+        InkChangeType[InkChangeType["Resized"] = 7] = "Resized";
+        /** The Ink was rotated (see Ink.Rotation()). */
+        InkChangeType[InkChangeType["Rotated"] = 8] = "Rotated";
+        /** The Ink's style was changed (see Ink.Restyle() and Ink.Redecorate()). */
+        InkChangeType[InkChangeType["Restyled"] = 9] = "Restyled";
+        /** The Ink's path was replaced with the idealized geometry of a shape (see Ink.Beautify() and InkChange.shapeID). Not raised when an Ink is beautified as it's completed. */
+        InkChangeType[InkChangeType["Beautified"] = 10] = "Beautified";
+    })(InkChangeType = MIL.InkChangeType || (MIL.InkChangeType = {}));
+    /** How the pointer positions are smoothed while an Ink is being drawn. See Ink.SmoothingOptions(). */
+    var InkSmoothingMode;
+    (function (InkSmoothingMode) {
+        /** No smoothing (the default). */
+        InkSmoothingMode[InkSmoothingMode["None"] = 0] = "None";
+        /** Each position is replaced with the average of the last InkSmoothingOptions.windowSize positions. */
+        InkSmoothingMode[InkSmoothingMode["MovingAverage"] = 1] = "MovingAverage";
+        /** The 1€ filter (see https://gery.casiez.net/1euro/), which smooths slow movements strongly but fast movements only lightly (so that it adds little lag). */
+        InkSmoothingMode[InkSmoothingMode["OneEuro"] = 2] = "OneEuro";
+    })(InkSmoothingMode = MIL.InkSmoothingMode || (MIL.InkSmoothingMode = {}));
     /**
      * [Internal] Information about the <svg> and <g> host containers.
      * @internal
@@ -147,7 +226,13 @@ var MIL;
             this.settings = new MIL.MILSettings();
             this.ruler = null;
             this.frame = null;
+            this.transformHandles = null;
             this.radialMenus = [];
+            this.history = new MIL.CommandHistory();
+            this.selection = new MIL.InkSelection(this.gSelection);
+            this.spatialIndex = new MIL.InkSpatialIndex();
+            this.layers = new MIL.InkLayers(this.gSelection);
+            this.snapping = new MIL.InkSnapping(this.gSelection);
         }
         return SVGInfo;
     }());
@@ -424,6 +509,28 @@ var MIL;
         return (svgInfo.settings);
     }
     MIL.Settings = Settings;
+    /**
+     * Returns the undo/redo command history associated with the specified <SVG> element.
+     * @param {SVGSVGElement} svg The SVG element to find the command history for.
+     * @returns {CommandHistory} The associated command history.
+     */
+    function History(svg) {
+        var svgDomElement = MIL.Utils.GetDomElement(svg, SVGSVGElement);
+        var svgInfo = getSvgInfo(svgDomElement);
+        return (svgInfo.history);
+    }
+    MIL.History = History;
+    /**
+     * Returns the Ink selection associated with the specified <SVG> element.
+     * @param {SVGSVGElement} svg The SVG element to find the Ink selection for.
+     * @returns {InkSelection} The associated Ink selection.
+     */
+    function Selection(svg) {
+        var svgDomElement = MIL.Utils.GetDomElement(svg, SVGSVGElement);
+        var svgInfo = getSvgInfo(svgDomElement);
+        return (svgInfo.selection);
+    }
+    MIL.Selection = Selection;
     // Note: This factory method just makes the syntax for creating a Gesture a little cleaner.
     /**
      * Creates a new Gesture with the specified name.
@@ -668,6 +775,34 @@ var MIL;
         return (null);
     }
     MIL.GetInkByElement = GetInkByElement;
+    /**
+     * Returns the Inks (in the specified <svg>) whose stroke is within 'tolerancePx' of the supplied point, ordered from the top-most Ink to the bottom-most Ink (ie. by descending z-order).
+     * Unlike GetInkByElement(), this doesn't rely on the Inks having a hull (see Ink.HullType()), and it measures the distance to the stroke as drawn (see Ink.DistanceToPoint()).
+     * Inks in a locked or hidden layer (see MIL.Layers()) are ignored.
+     * @param {TargetDomElement} svg The SVG element to search.
+     * @param {Point} point The point to test, in svg coordinates (eg. from MIL.TransposePointer() or Gesture.GetCurrentSvgPoint()).
+     * @param {number} [tolerancePx] [Optional] The maximum distance (in screen pixels, so it's independent of the zoom level) from 'point' to the stroke of an Ink. Defaults to 0.
+     * @returns {Ink[]} Result.
+     */
+    function GetInksAtPoint(svg, point, tolerancePx) {
+        if (tolerancePx === void 0) { tolerancePx = 0; }
+        var svgDomElement = MIL.Utils.GetDomElement(svg, SVGSVGElement);
+        var svgInfo = getSvgInfo(svgDomElement);
+        if (tolerancePx < 0) {
+            throw new MILException("tolerancePx (" + tolerancePx + ") cannot be negative");
+        }
+        var tolerance = tolerancePx / svgInfo.zoomLevel; // Convert from screen pixels to svg coordinates
+        var foundInks = svgInfo.spatialIndex.SearchPoint(point, tolerance).filter(function (ink) {
+            return (!ink.IsEraserDrawing() && MIL.isInEditableLayer(ink.Path()) && (ink.DistanceToPoint(point) <= tolerance));
+        });
+        // Sort by z-order [z-order = order in the document], top-most first
+        foundInks.sort(function (ink1, ink2) {
+            var isInk2AboveInk1 = (ink1.Path().node().compareDocumentPosition(ink2.Path().node()) & Node.DOCUMENT_POSITION_FOLLOWING) !== 0;
+            return (isInk2AboveInk1 ? 1 : -1);
+        });
+        return (foundInks);
+    }
+    MIL.GetInksAtPoint = GetInksAtPoint;
     /**
      * Returns the Ink that has the supplied ID, or null if there is no such Ink.
      * @param {string} targetInkID The ID of the Ink to find.
@@ -771,7 +906,13 @@ var MIL;
                     settings: new MIL.MILSettings(),
                     ruler: null,
                     frame: null,
-                    radialMenus: []
+                    transformHandles: null,
+                    radialMenus: [],
+                    history: new MIL.CommandHistory(),
+                    selection: new MIL.InkSelection(d3.select(gDomElement)),
+                    spatialIndex: new MIL.InkSpatialIndex(),
+                    layers: new MIL.InkLayers(d3.select(gDomElement)),
+                    snapping: new MIL.InkSnapping(d3.select(gDomElement))
                 };
         }
         // Workaround for BUGBUG#1 [TODO: Revisit]
@@ -911,19 +1052,23 @@ var MIL;
      * Removes all the Gestures that target the specified element, optionally filtered by having a name that starts with gestureName.
      * @param {TargetDomElement} targetElement The element to inspect.
      * @param {string} [gestureName] [Optional] Only remove a Gesture if it starts with this name.
+     * @returns {Gesture[]} The removed Gestures (if any).
      */
     function RemoveGesturesByTarget(targetElement, gestureName) {
         var domElement = MIL.Utils.GetDomElement(targetElement);
+        var removedGestures = [];
         for (var g = _gestures.length - 1; g >= 0; g--) {
             var gesture = _gestures[g];
             var name = gesture.Name(); // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
             if (gesture.Target() === domElement) {
                 if ((gestureName === undefined) || (name.indexOf(gestureName) === 0)) {
                     removeGestureAtIndex(g);
+                    removedGestures.push(gesture);
                     // Note that we keep looking for additional gestures on the domElement
                 }
             }
         }
+        return (removedGestures);
     }
     MIL.RemoveGesturesByTarget = RemoveGesturesByTarget;
     /**
@@ -992,6 +1137,10 @@ var MIL;
                         radialMenu.Redraw();
                     }
                 });
+                if (svgInfo.transformHandles && svgInfo.transformHandles.IsVisible()) {
+                    // To keep the handles a constant size on the screen
+                    svgInfo.transformHandles.Redraw();
+                }
                 if (focalScreenPoint === undefined) {
                     // Use the center of the svg
                     var svgRect = svgInfo.svgDomElement.getBoundingClientRect();
@@ -1035,9 +1184,10 @@ var MIL;
     }
     MIL.PanAbsolute = PanAbsolute;
     /**
-     * [Private Method] Returns the matrix transform (which describes the current pan/zoom) for the root <g> element of the supplied svgInfo.
+     * [Internal] Returns the matrix transform (which describes the current pan/zoom) for the root <g> element of the supplied svgInfo.
      * @param {SVGInfo} svgInfo An SVGInfo.
      * @returns {DOMMatrix} Result.
+     * @internal
      */
     function getPanZoomMatrix(svgInfo) {
         var svg = svgInfo.svgDomElement;
@@ -1057,6 +1207,7 @@ var MIL;
         var matrix = transformList.getItem(0).matrix;
         return (matrix);
     }
+    MIL.getPanZoomMatrix = getPanZoomMatrix;
     /**
      * [Private Method] Zooms the <g> element of the supplied svgInfo to the specified newZoomLevel [from the specified prevZoomLevel].
      * @param {SVGInfo} svgInfo An SVGInfo.
@@ -1630,35 +1781,205 @@ var MIL;
         RecognizableShape[RecognizableShape["UpArrow"] = 9] = "UpArrow";
         /** An down chevron (v). */
         RecognizableShape[RecognizableShape["DownArrow"] = 10] = "DownArrow";
+        /** An ellipse or circle (⬭). */
+        RecognizableShape[RecognizableShape["Ellipse"] = 11] = "Ellipse";
+        /** A straight line (in any direction). */
+        RecognizableShape[RecognizableShape["Line"] = 12] = "Line";
+        /** A straight arrow (in any direction) drawn as a single stroke: the shaft followed by the head (→). */
+        RecognizableShape[RecognizableShape["Arrow"] = 13] = "Arrow";
     })(RecognizableShape = MIL.RecognizableShape || (MIL.RecognizableShape = {}));
-    // TODO: Make this extensible by the user
     // Shape recognition is done via a combination of pattern matching [on a predefined outline] and heuristics [for start/end compass heading and line-length].
     // Shapes will often overlap based on pattern matching alone, so the heuristics are critical for shape differentiation. Providing a 'shapeNameList' to 
     // RecognizeShape() also helps reduce false positives because it shrinks the number of possible matches.
+    // Shapes can be added, replaced or removed using AddRecognizableShape() and RemoveRecognizableShape().
     var _recognizableShapes = [
-        { id: RecognizableShape.CheckMark, outline: [[0.75, 0], [1, 0], [1, 0.25], [0.4, 1], [0, 1], [0, 0.6], [0.15, 0.5], [0.25, 0.7]], padding: 0, compassHeading: "NE|E", maxPathLengthFn: function (gestureHeight, gestureWidth) { return Math.sqrt(Math.pow(gestureWidth, 2) + Math.pow(gestureHeight, 2)) * 1.5; } },
-        { id: RecognizableShape.Triangle, outline: [[0.4, 0], [0.6, 0], [1, 0.8], [1, 1], [0, 1], [0, 0.8]], padding: 0, minPathLengthFn: function (gestureHeight, gestureWidth) { return Math.sqrt(Math.pow(gestureWidth / 2, 2) + Math.pow(gestureHeight, 2)) * 2.25; }, maxPathLengthFn: function (gestureHeight, gestureWidth) { return Math.sqrt(Math.pow(gestureWidth / 2, 2) + Math.pow(gestureHeight, 2)) * 3.3; } },
-        { id: RecognizableShape.Star, outline: [[0.50, 0], [0.612, 0.345], [0.976, 0.345], [0.682, 0.559], [0.794, 0.905], [0.5, 0.691], [0.206, 0.905], [0.318, 0.559], [0.024, 0.345], [0.388, 0.345]], padding: 0.25 },
-        { id: RecognizableShape.StrikeThroughHorizontal, outline: [[0, 0], [1, 0], [1, 1], [0, 1]], padding: 0, maxHeightRatio: 0.1, compassHeading: "E|W", minPathLengthFn: function (gestureHeight, gestureWidth, targetWidth) { return targetWidth / 2; }, maxPathLengthFn: function (gestureHeight, gestureWidth, targetWidth) { return targetWidth * 1.2; } },
-        { id: RecognizableShape.StrikeThroughDiagonal, outline: [[0.8, 0], [1, 0], [1, 0.2], [0.2, 1], [0, 1], [0, 0.8]], padding: 0, compassHeading: "SW" },
+        { id: RecognizableShape.CheckMark, outline: [[0.75, 0], [1, 0], [1, 0.25], [0.4, 1], [0, 1], [0, 0.6], [0.15, 0.5], [0.25, 0.7]], padding: 0, compassHeading: "NE|E", maxPathLengthFn: function (gestureHeight, gestureWidth) { return Math.sqrt(Math.pow(gestureWidth, 2) + Math.pow(gestureHeight, 2)) * 1.5; }, beautifyFn: beautifyCheckMark },
+        { id: RecognizableShape.Triangle, outline: [[0.4, 0], [0.6, 0], [1, 0.8], [1, 1], [0, 1], [0, 0.8]], padding: 0, minPathLengthFn: function (gestureHeight, gestureWidth) { return Math.sqrt(Math.pow(gestureWidth / 2, 2) + Math.pow(gestureHeight, 2)) * 2.25; }, maxPathLengthFn: function (gestureHeight, gestureWidth) { return Math.sqrt(Math.pow(gestureWidth / 2, 2) + Math.pow(gestureHeight, 2)) * 3.3; }, beautifyFn: beautifyTriangle },
+        { id: RecognizableShape.Star, outline: [[0.50, 0], [0.612, 0.345], [0.976, 0.345], [0.682, 0.559], [0.794, 0.905], [0.5, 0.691], [0.206, 0.905], [0.318, 0.559], [0.024, 0.345], [0.388, 0.345]], padding: 0.25, beautifyFn: beautifyStar },
+        { id: RecognizableShape.StrikeThroughHorizontal, outline: [[0, 0], [1, 0], [1, 1], [0, 1]], padding: 0, maxHeightRatio: 0.1, compassHeading: "E|W", minPathLengthFn: function (gestureHeight, gestureWidth, targetWidth) { return targetWidth / 2; }, maxPathLengthFn: function (gestureHeight, gestureWidth, targetWidth) { return targetWidth * 1.2; }, beautifyFn: beautifyHorizontalLine },
+        { id: RecognizableShape.StrikeThroughDiagonal, outline: [[0.8, 0], [1, 0], [1, 0.2], [0.2, 1], [0, 1], [0, 0.8]], padding: 0, compassHeading: "SW", beautifyFn: beautifyLine },
         { id: RecognizableShape.XOut, outline: [[0, 0.25], [0.1, 0], [0.4, 0], [0.5, 0.25], [1, 0], [1, 0.33], [0.8, 0.5], [1, 0.66], [1, 1], [0.5, 0.75], [0.4, 1], [0.1, 1], [0, 0.75]], padding: 0, minPathLengthFn: function (gestureHeight, gestureWidth) { return Math.max(gestureHeight, gestureWidth) * 2.2; }, maxPathLengthFn: function (gestureHeight, gestureWidth) { return Math.max(gestureHeight, gestureWidth) * 3; } },
-        { id: RecognizableShape.Rectangle, outline: [[0, 0], [1, 0], [1, 1], [0, 1]], padding: 0, minPathLengthFn: function (gestureHeight, gestureWidth) { return ((gestureWidth * 2) + (gestureHeight * 2)) * 0.85; }, maxPathLengthFn: function (gestureHeight, gestureWidth) { return (gestureWidth * 2) + (gestureHeight * 2); } },
-        { id: RecognizableShape.GreaterThan, outline: [[0, 0], [0.2, 0], [1, 0.3], [1, 0.7], [0.2, 1], [0, 1], [0, 0.8], [0.7, 0.5], [0, 0.2]], padding: 0, compassHeading: "S", maxPathLengthFn: function (gestureHeight, gestureWidth) { return Math.max(gestureHeight, gestureWidth) * 2.3; } },
-        { id: RecognizableShape.LessThan, outline: [[1, 0], [0.8, 0], [0, 0.3], [0, 0.7], [0.8, 1], [1, 1], [1, 0.8], [0.3, 0.5], [1, 0.2]], padding: 0, compassHeading: "S", maxPathLengthFn: function (gestureHeight, gestureWidth) { return Math.max(gestureHeight, gestureWidth) * 2.3; } },
-        { id: RecognizableShape.UpArrow, outline: [[0, 1], [0, 0.8], [0.3, 0], [0.7, 0], [1, 0.8], [1, 1], [0.8, 1], [0.5, 0.3], [0.2, 1]], padding: 0, compassHeading: "E|W", maxPathLengthFn: function (gestureHeight, gestureWidth) { return Math.max(gestureHeight, gestureWidth) * 2.3; } },
-        { id: RecognizableShape.DownArrow, outline: [[0, 0], [0.2, 0], [0.5, 0.7], [0.8, 0], [1, 0], [1, 0.2], [0.7, 1], [0.3, 1], [0, 0.2]], padding: 0, compassHeading: "E|W", maxPathLengthFn: function (gestureHeight, gestureWidth) { return Math.max(gestureHeight, gestureWidth) * 2.3; } }
+        { id: RecognizableShape.Rectangle, outline: [[0, 0], [1, 0], [1, 1], [0, 1]], padding: 0, minPathLengthFn: function (gestureHeight, gestureWidth) { return ((gestureWidth * 2) + (gestureHeight * 2)) * 0.85; }, maxPathLengthFn: function (gestureHeight, gestureWidth) { return (gestureWidth * 2) + (gestureHeight * 2); }, beautifyFn: beautifyRectangle },
+        { id: RecognizableShape.GreaterThan, outline: [[0, 0], [0.2, 0], [1, 0.3], [1, 0.7], [0.2, 1], [0, 1], [0, 0.8], [0.7, 0.5], [0, 0.2]], padding: 0, compassHeading: "S", maxPathLengthFn: function (gestureHeight, gestureWidth) { return Math.max(gestureHeight, gestureWidth) * 2.3; }, beautifyFn: beautifyGreaterThan },
+        { id: RecognizableShape.LessThan, outline: [[1, 0], [0.8, 0], [0, 0.3], [0, 0.7], [0.8, 1], [1, 1], [1, 0.8], [0.3, 0.5], [1, 0.2]], padding: 0, compassHeading: "S", maxPathLengthFn: function (gestureHeight, gestureWidth) { return Math.max(gestureHeight, gestureWidth) * 2.3; }, beautifyFn: beautifyLessThan },
+        { id: RecognizableShape.UpArrow, outline: [[0, 1], [0, 0.8], [0.3, 0], [0.7, 0], [1, 0.8], [1, 1], [0.8, 1], [0.5, 0.3], [0.2, 1]], padding: 0, compassHeading: "E|W", maxPathLengthFn: function (gestureHeight, gestureWidth) { return Math.max(gestureHeight, gestureWidth) * 2.3; }, beautifyFn: beautifyUpArrow },
+        { id: RecognizableShape.DownArrow, outline: [[0, 0], [0.2, 0], [0.5, 0.7], [0.8, 0], [1, 0], [1, 0.2], [0.7, 1], [0.3, 1], [0, 0.2]], padding: 0, compassHeading: "E|W", maxPathLengthFn: function (gestureHeight, gestureWidth) { return Math.max(gestureHeight, gestureWidth) * 2.3; }, beautifyFn: beautifyDownArrow },
+        { id: RecognizableShape.Ellipse, outline: getRingOutline(0.3), padding: 0.05, minPathLengthFn: function (gestureWidth, gestureHeight) { return (Math.PI * (gestureWidth + gestureHeight) / 2) * 0.8; }, maxPathLengthFn: function (gestureWidth, gestureHeight) { return (Math.PI * (gestureWidth + gestureHeight) / 2) * 1.35; }, beautifyFn: beautifyEllipse },
+        { id: RecognizableShape.Arrow, outline: [[0, 0], [1, 0], [1, 1], [0, 1]], padding: 0, heuristicFn: isArrow, beautifyFn: beautifyArrow },
+        { id: RecognizableShape.Line, outline: [[0, 0], [1, 0], [1, 1], [0, 1]], padding: 0, heuristicFn: function (pathPoints) { return MIL.Utils.IsStraightLine(MIL.Utils.ConvertPointsToXYPoints(pathPoints)); }, beautifyFn: beautifyLine } // 100% overlap with "StrikeThroughHorizontal" and "StrikeThroughDiagonal"
     ];
     /**
-     * Attempts to recognize a RecognizableShape from the supplied pathPoints. Returns the ID of the recognized shape if successful, or null if not.
+     * Adds a custom shape (or replaces an existing shape) that can be recognized by MIL.RecognizeShape() and BuiltInGestures.ShapeRecognizer().
+     * @param {ShapeDefinition} shapeDefinition The definition of the shape. If shapeDefinition.id is a string, it must not be the name of a MIL.RecognizableShape value (eg. "Star").
+     * @param {boolean} [replaceExisting] [Optional] Whether to replace an existing shape with the same ID. If false (the default), an exception will be thrown if the shape already exists.
+     */
+    function AddRecognizableShape(shapeDefinition, replaceExisting) {
+        if (replaceExisting === void 0) { replaceExisting = false; }
+        var id = shapeDefinition.id;
+        if (typeof id === "string") {
+            if (!id) {
+                throw new MILException("The shape ID cannot be an empty string");
+            }
+            if (RecognizableShape[id] !== undefined) {
+                throw new MILException("The shape ID '" + id + "' is the name of a built-in shape: use MIL.RecognizableShape." + id + " as the ID instead");
+            }
+        }
+        else {
+            if (RecognizableShape[id] === undefined) {
+                throw new MILException("The shape ID (" + id + ") is not a valid MIL.RecognizableShape value");
+            }
+        }
+        if (!shapeDefinition.outline || (shapeDefinition.outline.length < 3)) {
+            throw new MILException("The outline of shape '" + getShapeName(id) + "' must contain at least 3 points");
+        }
+        for (var p = 0; p < shapeDefinition.outline.length; p++) {
+            var xy = shapeDefinition.outline[p];
+            if ((xy[0] < 0) || (xy[0] > 1) || (xy[1] < 0) || (xy[1] > 1)) {
+                throw new MILException("The outline of shape '" + getShapeName(id) + "' contains a point (" + xy[0] + ", " + xy[1] + ") that is outside the range 0..1");
+            }
+        }
+        if (!(shapeDefinition.padding >= 0)) {
+            throw new MILException("The padding of shape '" + getShapeName(id) + "' must be a number greater than or equal to 0");
+        }
+        var index = getRecognizableShapeIndex(id);
+        if ((index !== -1) && !replaceExisting) {
+            throw new MILException("Shape '" + getShapeName(id) + "' already exists: specify 'replaceExisting' as true to replace it");
+        }
+        // Note: We store a copy of the definition since RecognizeShape() may modify it (and so that later changes by the caller have no effect)
+        var newShape = {
+            id: id,
+            outline: shapeDefinition.outline.map(function (xy) { return ([xy[0], xy[1]]); }),
+            padding: shapeDefinition.padding,
+            compassHeading: shapeDefinition.compassHeading,
+            maxHeightRatio: shapeDefinition.maxHeightRatio,
+            minPathLengthFn: shapeDefinition.minPathLengthFn,
+            maxPathLengthFn: shapeDefinition.maxPathLengthFn,
+            heuristicFn: shapeDefinition.heuristicFn,
+            beautifyFn: shapeDefinition.beautifyFn
+        };
+        if (index !== -1) {
+            _recognizableShapes[index] = newShape;
+            log("Replaced recognizable shape '" + getShapeName(id) + "'", FeatureNames.ShapeRecognition);
+        }
+        else {
+            _recognizableShapes.push(newShape);
+            log("Added recognizable shape '" + getShapeName(id) + "'", FeatureNames.ShapeRecognition);
+        }
+    }
+    MIL.AddRecognizableShape = AddRecognizableShape;
+    /**
+     * Removes the shape with the specified ID so that it will no longer be recognized by MIL.RecognizeShape() and BuiltInGestures.ShapeRecognizer().
+     * Both custom shapes and built-in shapes can be removed.
+     * @param {ShapeID} shapeID The ID of the shape to remove.
+     * @returns {boolean} True if the shape was removed, false if the shape was not found.
+     */
+    function RemoveRecognizableShape(shapeID) {
+        var index = getRecognizableShapeIndex(shapeID);
+        if (index !== -1) {
+            _recognizableShapes.splice(index, 1);
+            log("Removed recognizable shape '" + getShapeName(shapeID) + "'", FeatureNames.ShapeRecognition);
+            return (true);
+        }
+        return (false);
+    }
+    MIL.RemoveRecognizableShape = RemoveRecognizableShape;
+    /**
+     * Returns (a copy of) the definition of the shape with the specified ID, or null if no such shape exists.
+     * @param {ShapeID} shapeID The ID of the shape to get.
+     * @returns {ShapeDefinition | null} Result.
+     */
+    function GetRecognizableShape(shapeID) {
+        var index = getRecognizableShapeIndex(shapeID);
+        if (index !== -1) {
+            var shape = _recognizableShapes[index];
+            return ({
+                id: shape.id,
+                outline: shape.outline.map(function (xy) { return ([xy[0], xy[1]]); }),
+                padding: shape.padding,
+                compassHeading: shape.compassHeading,
+                maxHeightRatio: shape.maxHeightRatio,
+                minPathLengthFn: shape.minPathLengthFn,
+                maxPathLengthFn: shape.maxPathLengthFn,
+                heuristicFn: shape.heuristicFn,
+                beautifyFn: shape.beautifyFn
+            });
+        }
+        return (null);
+    }
+    MIL.GetRecognizableShape = GetRecognizableShape;
+    /**
+     * Returns the IDs of all the shapes (both built-in and custom) that can currently be recognized by MIL.RecognizeShape().
+     * @returns {ShapeID[]} Result.
+     */
+    function RecognizableShapeIDs() {
+        return (_recognizableShapes.map(function (shape) { return (shape.id); }));
+    }
+    MIL.RecognizableShapeIDs = RecognizableShapeIDs;
+    /**
+     * [Private Method] Returns the index (in _recognizableShapes) of the shape with the specified ID, or -1 if not found.
+     * @param {ShapeID} shapeID The ID of the shape to find.
+     * @returns {number} Result.
+     */
+    function getRecognizableShapeIndex(shapeID) {
+        for (var i = 0; i < _recognizableShapes.length; i++) {
+            if (_recognizableShapes[i].id === shapeID) {
+                return (i);
+            }
+        }
+        return (-1);
+    }
+    /**
+     * [Internal] Returns the display name of the shape with the specified ID.
+     * @param {ShapeID} shapeID The ID of the shape.
+     * @returns {string} Result.
+     * @internal
+     */
+    function getShapeName(shapeID) {
+        return ((typeof shapeID === "number") ? RecognizableShape[shapeID] : shapeID);
+    }
+    MIL.getShapeName = getShapeName;
+    /** The outcome of a heuristic check made by MIL.RecognizeShapeCandidates(). */
+    var ShapeHeuristicOutcome;
+    (function (ShapeHeuristicOutcome) {
+        /** The shape does not define the heuristic. */
+        ShapeHeuristicOutcome[ShapeHeuristicOutcome["NotApplicable"] = 0] = "NotApplicable";
+        /** The heuristic could not be evaluated (eg. because targetWidth and/or targetHeight was not supplied). */
+        ShapeHeuristicOutcome[ShapeHeuristicOutcome["NotEvaluated"] = 1] = "NotEvaluated";
+        /** The drawn path passed the heuristic. */
+        ShapeHeuristicOutcome[ShapeHeuristicOutcome["Passed"] = 2] = "Passed";
+        /** The drawn path failed the heuristic. */
+        ShapeHeuristicOutcome[ShapeHeuristicOutcome["Failed"] = 3] = "Failed";
+    })(ShapeHeuristicOutcome = MIL.ShapeHeuristicOutcome || (MIL.ShapeHeuristicOutcome = {}));
+    /**
+     * Attempts to recognize a shape (either a RecognizableShape or a custom shape added with MIL.AddRecognizableShape()) from the supplied pathPoints. Returns the ID of the recognized shape if successful, or null if not.
+     * See also: MIL.RecognizeShapeCandidates().
      * @param {Point[]} pathPoints The path-points to be recognized.
      * @param {number} minMatchPercent The percentage of points in the drawn path that must be inside the shape-template to trigger a match.
      * @param {number} [targetWidth] [Optional] The width (in pixels) of the area that the shape recognition will occur within.
      * @param {number} [targetHeight] [Optional] The height (in pixels) of the area that the shape recognition will occur within.
      * @param {SVGGElement} [gDomElement] [Optional] Enables the drawing of debug information (the tested shape outline(s) and the pathPoints).
-     * @param {RecognizableShape[]} [targetShapeList] [Optional] The list of shapes to be recognized (must be MIL.RecognizableShapes values). Note: Providing a shapeList helps to reduce false-positives (misrecognitions).
-     * @returns {RecognizableShape | null} The recognized shape (or null).
+     * @param {ShapeID[]} [targetShapeList] [Optional] The list of shapes to be recognized (must be MIL.RecognizableShape values and/or the IDs of custom shapes). Note: Providing a shapeList helps to reduce false-positives (misrecognitions).
+     * @returns {ShapeID | null} The recognized shape (or null).
      */
     function RecognizeShape(pathPoints, minMatchPercent, targetWidth, targetHeight, gDomElement, targetShapeList) {
+        if (minMatchPercent === void 0) { minMatchPercent = 0.8; }
+        var candidates = RecognizeShapeCandidates(pathPoints, minMatchPercent, targetWidth, targetHeight, gDomElement, targetShapeList);
+        return (((candidates.length > 0) && candidates[0].isMatch) ? candidates[0].id : null);
+    }
+    MIL.RecognizeShape = RecognizeShape;
+    /**
+     * Evaluates the supplied pathPoints against every shape (either a RecognizableShape or a custom shape added with MIL.AddRecognizableShape()) and returns all the shapes as
+     * candidates, ranked with matches first (see ShapeCandidate.isMatch) and then by percentInside (highest first). The first candidate is the shape that MIL.RecognizeShape() would return
+     * (if its isMatch is true). Unlike MIL.RecognizeShape(), this provides the information needed to offer the user a choice of shapes when the recognition is ambiguous.
+     * @param {Point[]} pathPoints The path-points to be recognized.
+     * @param {number} minMatchPercent The percentage of points in the drawn path that must be inside the shape-template to trigger a match.
+     * @param {number} [targetWidth] [Optional] The width (in pixels) of the area that the shape recognition will occur within.
+     * @param {number} [targetHeight] [Optional] The height (in pixels) of the area that the shape recognition will occur within.
+     * @param {SVGGElement} [gDomElement] [Optional] Enables the drawing of debug information (the tested shape outline(s) and the pathPoints).
+     * @param {ShapeID[]} [targetShapeList] [Optional] The list of shapes to be evaluated (must be MIL.RecognizableShape values and/or the IDs of custom shapes).
+     * @returns {ShapeCandidate[]} Result.
+     */
+    function RecognizeShapeCandidates(pathPoints, minMatchPercent, targetWidth, targetHeight, gDomElement, targetShapeList) {
         if (minMatchPercent === void 0) { minMatchPercent = 0.8; }
         if (DebugFeature(FeatureNames.ShapeRecognition) && (gDomElement === undefined)) {
             throw new MILException("The 'gDomElement' parameter must be supplied when the debug flag for '" + FeatureNames.ShapeRecognition + "' is true");
@@ -1677,11 +1998,10 @@ var MIL;
         var svgInfo = DebugFeature(FeatureNames.ShapeRecognition) ? getSvgInfo(gDomElement) : null;
         var boundingRect = MIL.Utils.GetBoundingRectForPoints(pathPoints);
         var pointsToTest = d3.range(pathPoints.length).map(function (d) { return ([pathPoints[d].x, pathPoints[d].y]); });
-        var bestMatchPercent = 0;
-        var bestMatchShape = null;
         var pathLength = MIL.Utils.ComputeTotalLength(pathPoints);
+        var candidates = [];
         var d = "";
-        for (var i = 0; i < shapeList.length; i++) {
+        var _loop_1 = function (i) {
             var shape = shapeList[i];
             var shapePathPoints = [];
             d = "";
@@ -1701,69 +2021,96 @@ var MIL;
             // Count how many path-points are inside the shape path
             var containedPathPointCount = MIL.Utils.CountPointsInPolygon(shapePathPoints, pointsToTest);
             var percentInside = containedPathPointCount / pathPoints.length;
+            var isPossibleMatch = (percentInside >= minMatchPercent);
             if (DebugFeature(FeatureNames.ShapeRecognition)) {
                 // Draw a path for the shape
                 svgInfo.gSelection.append("path").attr("d", d + "Z").attr("stroke", "red").attr("fill", "transparent").node().style.strokeWidth = "1px";
-                log("Shape '" + RecognizableShape[shape.id] + "' matches " + (percentInside * 100).toFixed(2) + "% of path-points [vs " + (minMatchPercent * 100) + "% required]");
-            }
-            if ((percentInside >= minMatchPercent) && (percentInside > bestMatchPercent)) {
-                // We've found a possible match, so now check heuristics
-                if (shape.compassHeading) {
-                    var compassHeadings = shape.compassHeading.split("|");
-                    var compassHeadingMatches = false;
-                    for (var h = 0; h < compassHeadings.length; h++) {
-                        var compassHeading = compassHeadings[h];
-                        var actualCompassHeading = MIL.Utils.GetCompassHeading(MIL.Utils.GetHeadingFromPoints(pathPoints[0], pathPoints[pathPoints.length - 1]));
-                        compassHeadingMatches = (compassHeading === actualCompassHeading);
-                        if (compassHeadingMatches) {
-                            break;
+                log("Shape '" + getShapeName(shape.id) + "' matches " + (percentInside * 100).toFixed(2) + "% of path-points [vs " + (minMatchPercent * 100) + "% required]");
+            }
+            // Check heuristics
+            // Note: Unlike the percentInside check, these are done for all shapes (not just possible matches) so that the caller has complete information
+            var candidate = {
+                id: shape.id,
+                percentInside: percentInside,
+                isMatch: false,
+                heuristics: {
+                    compassHeading: { outcome: ShapeHeuristicOutcome.NotApplicable },
+                    maxHeightRatio: { outcome: ShapeHeuristicOutcome.NotApplicable },
+                    minPathLength: { outcome: ShapeHeuristicOutcome.NotApplicable },
+                    maxPathLength: { outcome: ShapeHeuristicOutcome.NotApplicable },
+                    custom: { outcome: ShapeHeuristicOutcome.NotApplicable }
+                },
+                scaledOutline: shapePathPoints
+            };
+            if (shape.compassHeading) {
+                var compassHeadings = shape.compassHeading.split("|");
+                var actualCompassHeading = MIL.Utils.GetCompassHeading(MIL.Utils.GetHeadingFromPoints(pathPoints[0], pathPoints[pathPoints.length - 1]));
+                var compassHeadingMatches = (compassHeadings.indexOf(actualCompassHeading) !== -1);
+                candidate.heuristics.compassHeading = { outcome: compassHeadingMatches ? ShapeHeuristicOutcome.Passed : ShapeHeuristicOutcome.Failed, expected: shape.compassHeading, actual: actualCompassHeading };
+                if (!compassHeadingMatches && isPossibleMatch) {
+                    log("Shape '" + getShapeName(shape.id) + "' doesn't match on compassHeading", FeatureNames.ShapeRecognition);
+                }
+            }
+            if (shape.maxHeightRatio) {
+                var heightRatio = (boundingRect.height / boundingRect.width);
+                var isHeightRatioOK = (heightRatio <= shape.maxHeightRatio);
+                candidate.heuristics.maxHeightRatio = { outcome: isHeightRatioOK ? ShapeHeuristicOutcome.Passed : ShapeHeuristicOutcome.Failed, expected: shape.maxHeightRatio, actual: heightRatio };
+                if (!isHeightRatioOK && isPossibleMatch) {
+                    log("Shape '" + getShapeName(shape.id) + "' doesn't match on maxHeightRatio (expected: " + shape.maxHeightRatio + ", actual: " + heightRatio.toFixed(2) + ")", FeatureNames.ShapeRecognition);
+                }
+            }
+            if (shape.minPathLengthFn || shape.maxPathLengthFn) {
+                var gestureWidth = boundingRect.width;
+                var gestureHeight = boundingRect.height;
+                if (shape.minPathLengthFn) {
+                    if (((shape.minPathLengthFn.toString().indexOf("targetWidth") !== -1) && !targetWidth) ||
+                        ((shape.minPathLengthFn.toString().indexOf("targetHeight") !== -1) && !targetHeight)) {
+                        candidate.heuristics.minPathLength = { outcome: ShapeHeuristicOutcome.NotEvaluated };
+                        if (isPossibleMatch) {
+                            log("Shape '" + getShapeName(shape.id) + "': Cannot evaluate minPathLength because targetWidth and/or targetHeight was not supplied", FeatureNames.ShapeRecognition);
                         }
                     }
-                    if (!compassHeadingMatches) {
-                        log("Shape '" + RecognizableShape[shape.id] + "' doesn't match on compassHeading", FeatureNames.ShapeRecognition);
-                        continue;
-                    }
-                }
-                if (shape.maxHeightRatio) {
-                    var heightRatio = (boundingRect.height / boundingRect.width);
-                    if (heightRatio > shape.maxHeightRatio) {
-                        log("Shape '" + RecognizableShape[shape.id] + "' doesn't match on maxHeightRatio (expected: " + shape.maxHeightRatio + ", actual: " + heightRatio.toFixed(2) + ")", FeatureNames.ShapeRecognition);
-                        continue;
+                    else {
+                        var minPathLength = shape.minPathLengthFn(gestureWidth, gestureHeight, targetWidth, targetHeight);
+                        var isMinPathLengthOK = (pathLength >= minPathLength);
+                        candidate.heuristics.minPathLength = { outcome: isMinPathLengthOK ? ShapeHeuristicOutcome.Passed : ShapeHeuristicOutcome.Failed, expected: minPathLength, actual: pathLength };
+                        if (!isMinPathLengthOK && isPossibleMatch) {
+                            log("Shape '" + getShapeName(shape.id) + "' doesn't match on minPathLength (expected: " + minPathLength.toFixed(2) + ", actual: " + pathLength.toFixed(2) + ")", FeatureNames.ShapeRecognition);
+                        }
                     }
                 }
-                if (shape.minPathLengthFn || shape.maxPathLengthFn) {
-                    var gestureWidth = boundingRect.width;
-                    var gestureHeight = boundingRect.height;
-                    if (shape.minPathLengthFn) {
-                        if (((shape.minPathLengthFn.toString().indexOf("targetWidth") !== -1) && !targetWidth) ||
-                            ((shape.minPathLengthFn.toString().indexOf("targetHeight") !== -1) && !targetHeight)) {
-                            log("Shape '" + RecognizableShape[shape.id] + "': Cannot evaluate minPathLength because targetWidth and/or targetHeight was not supplied", FeatureNames.ShapeRecognition);
-                        }
-                        else {
-                            var minPathLength = shape.minPathLengthFn(gestureWidth, gestureHeight, targetWidth, targetHeight);
-                            if (pathLength < minPathLength) {
-                                log("Shape '" + RecognizableShape[shape.id] + "' doesn't match on minPathLength (expected: " + minPathLength.toFixed(2) + ", actual: " + pathLength.toFixed(2) + ")", FeatureNames.ShapeRecognition);
-                                continue;
-                            }
+                if (shape.maxPathLengthFn) {
+                    if (((shape.maxPathLengthFn.toString().indexOf("targetWidth") !== -1) && !targetWidth) ||
+                        ((shape.maxPathLengthFn.toString().indexOf("targetHeight") !== -1) && !targetHeight)) {
+                        candidate.heuristics.maxPathLength = { outcome: ShapeHeuristicOutcome.NotEvaluated };
+                        if (isPossibleMatch) {
+                            log("Shape '" + getShapeName(shape.id) + "': Cannot evaluate maxPathLength because targetWidth and/or targetHeight was not supplied", FeatureNames.ShapeRecognition);
                         }
                     }
-                    if (shape.maxPathLengthFn) {
-                        if (((shape.maxPathLengthFn.toString().indexOf("targetWidth") !== -1) && !targetWidth) ||
-                            ((shape.maxPathLengthFn.toString().indexOf("targetHeight") !== -1) && !targetHeight)) {
-                            log("Shape '" + RecognizableShape[shape.id] + "': Cannot evaluate maxPathLength because targetWidth and/or targetHeight was not supplied", FeatureNames.ShapeRecognition);
-                        }
-                        else {
-                            var maxPathLength = shape.maxPathLengthFn(gestureWidth, gestureHeight, targetWidth, targetHeight);
-                            if (pathLength > maxPathLength) {
-                                log("Shape '" + RecognizableShape[shape.id] + "' doesn't match on maxPathLength (expected: " + maxPathLength.toFixed(2) + ", actual: " + pathLength.toFixed(2) + ")", FeatureNames.ShapeRecognition);
-                                continue;
-                            }
+                    else {
+                        var maxPathLength = shape.maxPathLengthFn(gestureWidth, gestureHeight, targetWidth, targetHeight);
+                        var isMaxPathLengthOK = (pathLength <= maxPathLength);
+                        candidate.heuristics.maxPathLength = { outcome: isMaxPathLengthOK ? ShapeHeuristicOutcome.Passed : ShapeHeuristicOutcome.Failed, expected: maxPathLength, actual: pathLength };
+                        if (!isMaxPathLengthOK && isPossibleMatch) {
+                            log("Shape '" + getShapeName(shape.id) + "' doesn't match on maxPathLength (expected: " + maxPathLength.toFixed(2) + ", actual: " + pathLength.toFixed(2) + ")", FeatureNames.ShapeRecognition);
                         }
                     }
                 }
-                bestMatchPercent = percentInside;
-                bestMatchShape = shape;
             }
+            if (shape.heuristicFn) {
+                var isCustomHeuristicOK = shape.heuristicFn(pathPoints);
+                candidate.heuristics.custom = { outcome: isCustomHeuristicOK ? ShapeHeuristicOutcome.Passed : ShapeHeuristicOutcome.Failed };
+                if (!isCustomHeuristicOK && isPossibleMatch) {
+                    log("Shape '" + getShapeName(shape.id) + "' doesn't match on its custom heuristic", FeatureNames.ShapeRecognition);
+                }
+            }
+            var heuristics = candidate.heuristics;
+            var isAnyHeuristicFailed = Object.keys(heuristics).some(function (name) { return (heuristics[name].outcome === ShapeHeuristicOutcome.Failed); });
+            candidate.isMatch = isPossibleMatch && !isAnyHeuristicFailed;
+            candidates.push(candidate);
+        };
+        for (var i = 0; i < shapeList.length; i++) {
+            _loop_1(i);
         }
         if (DebugFeature(FeatureNames.ShapeRecognition)) {
             // Draw a path for the pathPoints
@@ -1773,9 +2120,671 @@ var MIL;
             }
             svgInfo.gSelection.append("path").attr("d", d).attr("stroke", "blue").attr("fill", "transparent").node().style.strokeWidth = "1px";
         }
-        return (bestMatchShape ? bestMatchShape.id : null);
+        // Rank the candidates: matches first, then by percentInside (highest first).
+        // Note: Where the ranking is otherwise equal we preserve the original [shape list] order, since Array.sort() is not guaranteed to be stable (eg. in IE11).
+        var rankedCandidates = candidates.slice().sort(function (c1, c2) {
+            if (c1.isMatch !== c2.isMatch) {
+                return (c1.isMatch ? -1 : 1);
+            }
+            if (c1.percentInside !== c2.percentInside) {
+                return (c2.percentInside - c1.percentInside);
+            }
+            return (candidates.indexOf(c1) - candidates.indexOf(c2));
+        });
+        return (rankedCandidates);
+    }
+    MIL.RecognizeShapeCandidates = RecognizeShapeCandidates;
+    /**
+     * Returns the idealized geometry of the specified shape, fitted to the supplied path-points (which are assumed to have been recognized as the shape, eg. by MIL.RecognizeShape()).
+     * Returns null if the shape does not support beautification (ie. it has no ShapeDefinition.beautifyFn).
+     * @param {ShapeID} shapeID The ID of the shape.
+     * @param {Point[]} pathPoints The path-points (typically from Ink.PathPoints()) that were recognized as the shape.
+     * @returns {BeautifiedShape | null} Result.
+     */
+    function BeautifyShape(shapeID, pathPoints) {
+        var index = getRecognizableShapeIndex(shapeID);
+        if (index === -1) {
+            throw new MILException("Shape '" + shapeID + "' is not a recognizable shape");
+        }
+        if (pathPoints.length < 2) {
+            throw new MILException("At least 2 pathPoints are required to beautify a shape");
+        }
+        var beautifyFn = _recognizableShapes[index].beautifyFn;
+        return (beautifyFn ? beautifyFn(pathPoints) : null);
+    }
+    MIL.BeautifyShape = BeautifyShape;
+    /**
+     * [Internal] Returns the IDs of all the shapes that can be beautified (ie. those that have a ShapeDefinition.beautifyFn).
+     * @returns {ShapeID[]} Result.
+     * @internal
+     */
+    function getBeautifiableShapeIDs() {
+        return (_recognizableShapes.filter(function (shape) { return (Boolean(shape.beautifyFn)); }).map(function (shape) { return (shape.id); }));
+    }
+    MIL.getBeautifiableShapeIDs = getBeautifiableShapeIDs;
+    /**
+     * [Private Method] Returns the outline (in relative path-points) of a ring, ie. a circle with a [reversed] circular hole in it.
+     * Note: Because Utils.IsPointInPolygon() uses the even-odd rule, points inside the hole are not considered to be inside the outline.
+     * @param {number} innerRadius The radius of the hole (0..0.5).
+     * @returns {XY[]} Result.
+     */
+    function getRingOutline(innerRadius) {
+        var outline = [];
+        var segmentCount = 24;
+        for (var i = 0; i <= segmentCount; i++) {
+            var angle = (i / segmentCount) * 2 * Math.PI;
+            outline.push([0.5 + (Math.cos(angle) * 0.5), 0.5 + (Math.sin(angle) * 0.5)]);
+        }
+        for (var i = segmentCount; i >= 0; i--) {
+            var angle = (i / segmentCount) * 2 * Math.PI;
+            outline.push([0.5 + (Math.cos(angle) * innerRadius), 0.5 + (Math.sin(angle) * innerRadius)]);
+        }
+        return (outline);
+    }
+    /**
+     * [Private Method] Returns true if the supplied path-points look like a single-stroke arrow, ie. a straight shaft followed by a head with a barb on each side of the shaft.
+     * @param {Point[]} pathPoints The path-points of the drawn arrow.
+     * @returns {boolean} Result.
+     */
+    function isArrow(pathPoints) {
+        var startPoint = pathPoints[0];
+        var tipIndex = getFarthestPointIndex(pathPoints, startPoint);
+        var tipPoint = pathPoints[tipIndex];
+        var shaftLength = MIL.Utils.GetDistanceBetweenPoints(startPoint, tipPoint);
+        // There must be a shaft, followed by a head
+        if ((tipIndex < 2) || (tipIndex === pathPoints.length - 1) || (shaftLength === 0)) {
+            return (false);
+        }
+        var shaftPoints = pathPoints.slice(0, tipIndex + 1);
+        var headPoints = pathPoints.slice(tipIndex + 1);
+        var shaftPathLength = MIL.Utils.ComputeTotalLength(shaftPoints);
+        var headPathLength = MIL.Utils.ComputeTotalLength(pathPoints.slice(tipIndex));
+        // The shaft must be straight(ish)
+        if (!MIL.Utils.IsStraightLine(MIL.Utils.ConvertPointsToXYPoints(shaftPoints)) || (shaftPathLength > shaftLength * 1.2)) {
+            return (false);
+        }
+        // The head must be in proportion to the shaft [guesstimated thresholds]
+        if ((headPathLength < shaftLength * 0.15) || (headPathLength > shaftLength * 1.5)) {
+            return (false);
+        }
+        // The head must be "behind" the tip, and must have a barb on both sides of the shaft
+        var shaftDirection = { x: (tipPoint.x - startPoint.x) / shaftLength, y: (tipPoint.y - startPoint.y) / shaftLength };
+        var hasLeftBarb = false, hasRightBarb = false;
+        for (var i = 0; i < headPoints.length; i++) {
+            var deltaX = headPoints[i].x - tipPoint.x;
+            var deltaY = headPoints[i].y - tipPoint.y;
+            var alongShaft = (deltaX * shaftDirection.x) + (deltaY * shaftDirection.y);
+            var acrossShaft = (shaftDirection.x * deltaY) - (shaftDirection.y * deltaX); // The [2D] cross-product
+            if ((alongShaft > shaftLength * 0.1) || (MIL.Utils.GetDistanceBetweenPoints(headPoints[i], tipPoint) > shaftLength * 0.6)) {
+                return (false);
+            }
+            if (Math.abs(acrossShaft) > shaftLength * 0.05) {
+                hasLeftBarb = hasLeftBarb || (acrossShaft < 0);
+                hasRightBarb = hasRightBarb || (acrossShaft > 0);
+            }
+        }
+        return (hasLeftBarb && hasRightBarb);
+    }
+    /**
+     * [Private Method] Returns the index of the point (in 'points') that is farthest from 'targetPoint'.
+     * @param {Point[]} points The points to search.
+     * @param {Point} targetPoint The point to measure from.
+     * @returns {number} Result.
+     */
+    function getFarthestPointIndex(points, targetPoint) {
+        var farthestIndex = 0;
+        var maxDistance = -1;
+        for (var i = 0; i < points.length; i++) {
+            var distance = MIL.Utils.GetDistanceBetweenPoints(points[i], targetPoint);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                farthestIndex = i;
+            }
+        }
+        return (farthestIndex);
+    }
+    /**
+     * [Private Method] Returns a BeautifiedShape created by mapping the supplied relative points (in the range 0..1) into the bounding rectangle of 'pathPoints'.
+     * @param {Point[]} pathPoints The path-points of the drawn shape.
+     * @param {XY[]} relativePoints The vertices of the idealized shape (in relative path-points).
+     * @param {boolean} isClosed Whether the idealized shape is closed.
+     * @returns {BeautifiedShape} Result.
+     */
+    function getBeautifiedShapeInBoundingRect(pathPoints, relativePoints, isClosed) {
+        var boundingRect = MIL.Utils.GetBoundingRectForPoints(pathPoints);
+        var points = relativePoints.map(function (xy) { return ({ x: boundingRect.x + (xy[0] * boundingRect.width), y: boundingRect.y + (xy[1] * boundingRect.height) }); });
+        return ({ points: points, isClosed: isClosed });
+    }
+    /** [Private Method] Beautifies a CheckMark. */
+    function beautifyCheckMark(pathPoints) {
+        return (getBeautifiedShapeInBoundingRect(pathPoints, [[0, 0.6], [0.35, 1], [1, 0]], false));
+    }
+    /** [Private Method] Beautifies a Triangle (as an isosceles triangle). */
+    function beautifyTriangle(pathPoints) {
+        return (getBeautifiedShapeInBoundingRect(pathPoints, [[0.5, 0], [1, 1], [0, 1]], true));
+    }
+    /** [Private Method] Beautifies a Star (as a regular pentagram). */
+    function beautifyStar(pathPoints) {
+        // The outer vertices of the [regular] Star outline (see _recognizableShapes) in drawing order, normalized to fill the bounding rect
+        var starOutline = [[0.50, 0], [0.794, 0.905], [0.024, 0.345], [0.976, 0.345], [0.206, 0.905]];
+        var normalizedStarOutline = starOutline.map(function (xy) { return [(xy[0] - 0.024) / 0.952, xy[1] / 0.905]; });
+        return (getBeautifiedShapeInBoundingRect(pathPoints, normalizedStarOutline, true));
+    }
+    /** [Private Method] Beautifies a GreaterThan chevron. */
+    function beautifyGreaterThan(pathPoints) {
+        return (getBeautifiedShapeInBoundingRect(pathPoints, [[0, 0], [1, 0.5], [0, 1]], false));
+    }
+    /** [Private Method] Beautifies a LessThan chevron. */
+    function beautifyLessThan(pathPoints) {
+        return (getBeautifiedShapeInBoundingRect(pathPoints, [[1, 0], [0, 0.5], [1, 1]], false));
+    }
+    /** [Private Method] Beautifies an UpArrow chevron. */
+    function beautifyUpArrow(pathPoints) {
+        return (getBeautifiedShapeInBoundingRect(pathPoints, [[0, 1], [0.5, 0], [1, 1]], false));
+    }
+    /** [Private Method] Beautifies a DownArrow chevron. */
+    function beautifyDownArrow(pathPoints) {
+        return (getBeautifiedShapeInBoundingRect(pathPoints, [[0, 0], [0.5, 1], [1, 0]], false));
+    }
+    /** [Private Method] Beautifies a Line (or StrikeThroughDiagonal) as a straight line between the start and end points. */
+    function beautifyLine(pathPoints) {
+        var startPoint = pathPoints[0];
+        var endPoint = pathPoints[pathPoints.length - 1];
+        return ({ points: [{ x: startPoint.x, y: startPoint.y }, { x: endPoint.x, y: endPoint.y }], isClosed: false });
+    }
+    /** [Private Method] Beautifies a StrikeThroughHorizontal as a horizontal line (at the average height of the drawn line). */
+    function beautifyHorizontalLine(pathPoints) {
+        var boundingRect = MIL.Utils.GetBoundingRectForPoints(pathPoints);
+        var averageY = d3.mean(pathPoints, function (point) { return (point.y); });
+        var isLeftToRight = (pathPoints[0].x <= pathPoints[pathPoints.length - 1].x);
+        var leftPoint = { x: boundingRect.x, y: averageY };
+        var rightPoint = { x: boundingRect.x + boundingRect.width, y: averageY };
+        return ({ points: isLeftToRight ? [leftPoint, rightPoint] : [rightPoint, leftPoint], isClosed: false });
+    }
+    /** [Private Method] Beautifies an Arrow as a straight shaft (from the start point to the tip) with 2 symmetrical barbs. */
+    function beautifyArrow(pathPoints) {
+        var startPoint = pathPoints[0];
+        var tipIndex = getFarthestPointIndex(pathPoints, startPoint);
+        var tipPoint = pathPoints[tipIndex];
+        var shaftLength = MIL.Utils.GetDistanceBetweenPoints(startPoint, tipPoint);
+        var headPoints = pathPoints.slice(tipIndex + 1);
+        var barbLength = headPoints.length ? MIL.Utils.GetDistanceBetweenPoints(tipPoint, headPoints[getFarthestPointIndex(headPoints, tipPoint)]) : 0;
+        var backwardAngle = Math.atan2(startPoint.y - tipPoint.y, startPoint.x - tipPoint.x);
+        var barbAngle = Math.PI / 6; // 30 degrees
+        barbLength = Math.min(Math.max(barbLength, shaftLength * 0.1), shaftLength * 0.4);
+        var barbPoint1 = { x: tipPoint.x + (Math.cos(backwardAngle - barbAngle) * barbLength), y: tipPoint.y + (Math.sin(backwardAngle - barbAngle) * barbLength) };
+        var barbPoint2 = { x: tipPoint.x + (Math.cos(backwardAngle + barbAngle) * barbLength), y: tipPoint.y + (Math.sin(backwardAngle + barbAngle) * barbLength) };
+        var tip = { x: tipPoint.x, y: tipPoint.y };
+        return ({ points: [{ x: startPoint.x, y: startPoint.y }, tip, barbPoint1, { x: tip.x, y: tip.y }, barbPoint2], isClosed: false });
+    }
+    /** [Private Method] Beautifies a Rectangle as the minimum-area [oriented] rectangle that encloses the drawn path. Rectangles that are nearly axis-aligned are made axis-aligned. */
+    function beautifyRectangle(pathPoints) {
+        var hullVertices = d3.polygonHull(MIL.Utils.ConvertPointsToXYPoints(pathPoints)) || MIL.Utils.ConvertPointsToXYPoints(pathPoints);
+        var bestAngle = 0;
+        var bestArea = Number.MAX_VALUE;
+        // The minimum-area enclosing rectangle has a side that's collinear with one of the edges of the convex hull
+        for (var i = 0; i < hullVertices.length; i++) {
+            var nextVertex = hullVertices[(i + 1) % hullVertices.length];
+            var angle = Math.atan2(nextVertex[1] - hullVertices[i][1], nextVertex[0] - hullVertices[i][0]);
+            var extent = getRotatedExtent(hullVertices, angle);
+            var area = (extent.max.x - extent.min.x) * (extent.max.y - extent.min.y);
+            if (area < bestArea) {
+                bestArea = area;
+                bestAngle = angle;
+            }
+        }
+        // Snap to the nearest axis if within 10 degrees of it
+        var quarterTurn = Math.PI / 2;
+        var nearestAxisAngle = Math.round(bestAngle / quarterTurn) * quarterTurn;
+        if (Math.abs(bestAngle - nearestAxisAngle) <= (10 * Math.PI / 180)) {
+            bestAngle = 0;
+        }
+        var bestExtent = getRotatedExtent(hullVertices, bestAngle);
+        var corners = [
+            { x: bestExtent.min.x, y: bestExtent.min.y },
+            { x: bestExtent.max.x, y: bestExtent.min.y },
+            { x: bestExtent.max.x, y: bestExtent.max.y },
+            { x: bestExtent.min.x, y: bestExtent.max.y }
+        ];
+        return ({ points: corners.map(function (corner) { return (rotatePoint(corner, bestAngle)); }), isClosed: true });
+    }
+    /** [Private Method] Beautifies an Ellipse as the [oriented] ellipse that best fits the drawn path. Ellipses that are nearly circular are made circular. */
+    function beautifyEllipse(pathPoints) {
+        var xyPoints = MIL.Utils.ConvertPointsToXYPoints(pathPoints);
+        var meanX = d3.mean(pathPoints, function (point) { return (point.x); });
+        var meanY = d3.mean(pathPoints, function (point) { return (point.y); });
+        var covXX = 0, covYY = 0, covXY = 0;
+        // Use the principal axis of the points to determine the orientation of the ellipse
+        for (var i = 0; i < pathPoints.length; i++) {
+            var deltaX = pathPoints[i].x - meanX;
+            var deltaY = pathPoints[i].y - meanY;
+            covXX += deltaX * deltaX;
+            covYY += deltaY * deltaY;
+            covXY += deltaX * deltaY;
+        }
+        var angle = Math.atan2(2 * covXY, covXX - covYY) / 2;
+        var quarterTurn = Math.PI / 2;
+        var nearestAxisAngle = Math.round(angle / quarterTurn) * quarterTurn;
+        // Snap to the nearest axis if within 10 degrees of it
+        if (Math.abs(angle - nearestAxisAngle) <= (10 * Math.PI / 180)) {
+            angle = 0;
+        }
+        var extent = getRotatedExtent(xyPoints, angle);
+        var radiusX = (extent.max.x - extent.min.x) / 2;
+        var radiusY = (extent.max.y - extent.min.y) / 2;
+        var center = { x: extent.min.x + radiusX, y: extent.min.y + radiusY }; // In the rotated coordinate space
+        var points = [];
+        var pointCount = 72;
+        // Make nearly circular ellipses circular
+        if (Math.abs(radiusX - radiusY) <= (Math.max(radiusX, radiusY) * 0.1)) {
+            radiusX = radiusY = (radiusX + radiusY) / 2;
+        }
+        for (var i = 0; i < pointCount; i++) {
+            var theta = (i / pointCount) * 2 * Math.PI;
+            points.push(rotatePoint({ x: center.x + (Math.cos(theta) * radiusX), y: center.y + (Math.sin(theta) * radiusY) }, angle));
+        }
+        return ({ points: points, isClosed: true });
+    }
+    /**
+     * [Private Method] Returns the extent (min/max) of the supplied vertices after they have been rotated by -angle (around the origin).
+     * @param {XY[]} vertices The vertices to measure.
+     * @param {number} angle The angle (in radians) of the coordinate space to measure in.
+     * @returns {{ min: Point, max: Point }} Result.
+     */
+    function getRotatedExtent(vertices, angle) {
+        var min = { x: Number.MAX_VALUE, y: Number.MAX_VALUE };
+        var max = { x: -Number.MAX_VALUE, y: -Number.MAX_VALUE };
+        for (var i = 0; i < vertices.length; i++) {
+            var rotatedPoint = rotatePoint({ x: vertices[i][0], y: vertices[i][1] }, -angle);
+            min.x = Math.min(min.x, rotatedPoint.x);
+            min.y = Math.min(min.y, rotatedPoint.y);
+            max.x = Math.max(max.x, rotatedPoint.x);
+            max.y = Math.max(max.y, rotatedPoint.y);
+        }
+        return ({ min: min, max: max });
+    }
+    /**
+     * [Private Method] Returns the supplied point rotated by the specified angle around the origin.
+     * @param {Point} point The point to rotate.
+     * @param {number} angle The angle (in radians) to rotate by.
+     * @returns {Point} Result.
+     */
+    function rotatePoint(point, angle) {
+        var cos = Math.cos(angle);
+        var sin = Math.sin(angle);
+        return ({ x: (point.x * cos) - (point.y * sin), y: (point.x * sin) + (point.y * cos) });
+    }
+    /** The engines that BuiltInGestures.ShapeRecognizer() can use to recognize a shape. */
+    var ShapeRecognitionEngine;
+    (function (ShapeRecognitionEngine) {
+        /** Matches the drawn path against the [scaled] outline of each shape, plus heuristics (see MIL.RecognizeShape()). */
+        ShapeRecognitionEngine[ShapeRecognitionEngine["Outline"] = 0] = "Outline";
+        /** Matches the drawn path against example paths (templates) using the Protractor algorithm (see MIL.RecognizeShapeFromTemplates()). */
+        ShapeRecognitionEngine[ShapeRecognitionEngine["Template"] = 1] = "Template";
+    })(ShapeRecognitionEngine = MIL.ShapeRecognitionEngine || (MIL.ShapeRecognitionEngine = {}));
+    // Template-based shape recognition uses the Protractor algorithm (Yang Li, CHI 2010), a variant of the $1 Unistroke Recognizer (Wobbrock et al., UIST 2007).
+    // Each template is an example path that has been resampled to a fixed number of equidistant points, translated so that its centroid is at the origin,
+    // and then converted to a unit-length vector. Candidates are matched by finding the rotation that yields the minimum angular distance to each template.
+    // Unlike RecognizeShape(), this approach is tolerant of sloppy drawing, and (optionally) of rotation, but it requires at least one example of each shape.
+    var TEMPLATE_RESAMPLE_POINT_COUNT = 64;
+    var TEMPLATE_MAX_ROTATION_IN_DEGREES = 45; // The maximum rotation allowed for templates that are not rotation invariant
+    var _shapeTemplates = [];
+    /**
+     * Adds a template (an example path) for the specified shape, for use by MIL.RecognizeShapeFromTemplates(). Multiple templates can be added for the same shape.
+     * @param {ShapeID} shapeID The ID of the shape that the template is an example of. This can either be a MIL.RecognizableShape value, or any string (other than the name of a MIL.RecognizableShape).
+     * @param {Point[] | Ink} examplePath The points of the example path (eg. from Ink.PathPoints()). Can also be an Ink instance.
+     * @param {boolean} [isRotationInvariant] [Optional] Whether the shape can be recognized when drawn at any angle. If false (the default), the shape will
+     * only be recognized when drawn within 45 degrees of the orientation of the example path.
+     */
+    function AddShapeTemplate(shapeID, examplePath, isRotationInvariant) {
+        if (isRotationInvariant === void 0) { isRotationInvariant = false; }
+        var pathPoints = (examplePath instanceof MIL.Ink) ? examplePath.PathPoints() : examplePath;
+        if ((shapeID === null) || (shapeID === undefined) || (shapeID === "")) {
+            throw new MILException("A shapeID must be supplied");
+        }
+        // Note: This also keeps the shape names [used to key the candidates in RecognizeShapeFromTemplates()] unique
+        if ((typeof shapeID === "string") && (RecognizableShape[shapeID] !== undefined)) {
+            throw new MILException("The shapeID '" + shapeID + "' is the name of a built-in shape: use MIL.RecognizableShape." + shapeID + " as the ID instead");
+        }
+        if (!pathPoints || (pathPoints.length < 2) || (MIL.Utils.ComputeTotalLength(pathPoints) === 0)) {
+            throw new MILException("The example path for shape '" + getShapeName(shapeID) + "' must contain at least 2 distinct points");
+        }
+        _shapeTemplates.push({ id: shapeID, vector: getTemplateVector(pathPoints, isRotationInvariant), isRotationInvariant: isRotationInvariant });
+        log("Added template for shape '" + getShapeName(shapeID) + "' (" + GetShapeTemplateCount(shapeID) + " template(s) in total)", FeatureNames.ShapeRecognition);
+    }
+    MIL.AddShapeTemplate = AddShapeTemplate;
+    /**
+     * Removes all the templates for the specified shape (or for all shapes if shapeID is not supplied).
+     * @param {ShapeID} [shapeID] [Optional] The ID of the shape whose templates should be removed.
+     * @returns {number} The number of templates removed.
+     */
+    function RemoveShapeTemplates(shapeID) {
+        var originalCount = _shapeTemplates.length;
+        _shapeTemplates = (shapeID === undefined) ? [] : _shapeTemplates.filter(function (template) { return (template.id !== shapeID); });
+        return (originalCount - _shapeTemplates.length);
+    }
+    MIL.RemoveShapeTemplates = RemoveShapeTemplates;
+    /**
+     * Returns the number of templates for the specified shape (or for all shapes if shapeID is not supplied).
+     * @param {ShapeID} [shapeID] [Optional] The ID of the shape whose templates should be counted.
+     * @returns {number} Result.
+     */
+    function GetShapeTemplateCount(shapeID) {
+        return ((shapeID === undefined) ? _shapeTemplates.length : _shapeTemplates.filter(function (template) { return (template.id === shapeID); }).length);
+    }
+    MIL.GetShapeTemplateCount = GetShapeTemplateCount;
+    /**
+     * Attempts to recognize a shape from the supplied pathPoints by comparing it to the templates added with MIL.AddShapeTemplate().
+     * Returns a list of candidate shapes (one per shape ID, using the best-matching template for that shape) ranked from highest to lowest score.
+     * The list will be empty if no shape has a score of at least minScore.
+     * @param {Point[]} pathPoints The path-points to be recognized.
+     * @param {number} [minScore] [Optional] The minimum score (0..1) that a candidate must have to be included in the result. Defaults to 0 (all candidates).
+     * @param {ShapeID[]} [targetShapeList] [Optional] The list of shapes to be recognized. If not supplied, all shapes that have templates will be considered.
+     * @returns {ShapeTemplateMatch[]} Result.
+     */
+    function RecognizeShapeFromTemplates(pathPoints, minScore, targetShapeList) {
+        if (minScore === void 0) { minScore = 0; }
+        var bestMatches = {}; // Key: Shape name, Value: Best ShapeTemplateMatch for that shape
+        var rankedMatches = [];
+        if (!pathPoints || (pathPoints.length < 2) || (MIL.Utils.ComputeTotalLength(pathPoints) === 0)) {
+            return (rankedMatches);
+        }
+        // Note: We compute both versions of the candidate vector because each template can be either rotation invariant or not
+        var candidateVector = getTemplateVector(pathPoints, false);
+        var candidateVectorRotationInvariant = getTemplateVector(pathPoints, true);
+        for (var i = 0; i < _shapeTemplates.length; i++) {
+            var template = _shapeTemplates[i];
+            if (targetShapeList && (targetShapeList.indexOf(template.id) === -1)) {
+                continue;
+            }
+            var vector = template.isRotationInvariant ? candidateVectorRotationInvariant : candidateVector;
+            var maxRotationInRadians = template.isRotationInvariant ? Math.PI : TEMPLATE_MAX_ROTATION_IN_DEGREES * (Math.PI / 180);
+            var match = getTemplateMatch(vector, template, maxRotationInRadians);
+            var shapeName = getShapeName(template.id);
+            if (!bestMatches[shapeName] || (match.score > bestMatches[shapeName].score)) {
+                bestMatches[shapeName] = match;
+            }
+        }
+        for (var shapeName in bestMatches) {
+            if (bestMatches[shapeName].score >= minScore) {
+                rankedMatches.push(bestMatches[shapeName]);
+            }
+        }
+        rankedMatches.sort(function (m1, m2) { return (m2.score - m1.score); });
+        rankedMatches.forEach(function (match) {
+            log("Shape '" + getShapeName(match.id) + "' has a template score of " + match.score.toFixed(3) + " (rotated " + match.angle.toFixed(1) + " degrees)", FeatureNames.ShapeRecognition);
+        });
+        return (rankedMatches);
+    }
+    MIL.RecognizeShapeFromTemplates = RecognizeShapeFromTemplates;
+    /**
+     * [Private Method] Converts the supplied pathPoints into a [Protractor] vector: the points are resampled, translated so that their centroid is at the origin,
+     * (optionally) rotated so that the first point is at 0 degrees, and then flattened into a unit-length vector of [x1, y1, x2, y2, ...].
+     * @param {Point[]} pathPoints The path-points to convert.
+     * @param {boolean} isRotationInvariant Whether to rotate the points so that the first point is at 0 degrees (relative to the centroid).
+     * @returns {number[]} Result.
+     */
+    function getTemplateVector(pathPoints, isRotationInvariant) {
+        var points = resamplePathPoints(pathPoints, TEMPLATE_RESAMPLE_POINT_COUNT);
+        var centroid = { x: d3.mean(points, function (p) { return (p.x); }), y: d3.mean(points, function (p) { return (p.y); }) };
+        var indicativeAngle = isRotationInvariant ? Math.atan2(points[0].y - centroid.y, points[0].x - centroid.x) : 0;
+        var cos = Math.cos(-indicativeAngle);
+        var sin = Math.sin(-indicativeAngle);
+        var vector = [];
+        var sumOfSquares = 0;
+        for (var i = 0; i < points.length; i++) {
+            var x = points[i].x - centroid.x;
+            var y = points[i].y - centroid.y;
+            var rotatedX = (x * cos) - (y * sin);
+            var rotatedY = (x * sin) + (y * cos);
+            vector.push(rotatedX, rotatedY);
+            sumOfSquares += (rotatedX * rotatedX) + (rotatedY * rotatedY);
+        }
+        var magnitude = Math.sqrt(sumOfSquares);
+        return (vector.map(function (v) { return (v / magnitude); }));
+    }
+    /**
+     * [Private Method] Returns a new array of 'pointCount' points spaced at equal distances along the path described by pathPoints.
+     * @param {Point[]} pathPoints The path-points to resample.
+     * @param {number} pointCount The number of points to resample to.
+     * @returns {Point[]} Result.
+     */
+    function resamplePathPoints(pathPoints, pointCount) {
+        var intervalLength = MIL.Utils.ComputeTotalLength(pathPoints) / (pointCount - 1);
+        var points = pathPoints.map(function (p) { return ({ x: p.x, y: p.y }); }); // Note: We copy the points because we insert into the array
+        var resampledPoints = [points[0]];
+        var accumulatedLength = 0;
+        for (var i = 1; i < points.length; i++) {
+            var segmentLength = MIL.Utils.GetDistanceBetweenPoints(points[i - 1], points[i]);
+            if ((accumulatedLength + segmentLength) >= intervalLength) {
+                var ratio = (intervalLength - accumulatedLength) / segmentLength;
+                var newPoint = {
+                    x: points[i - 1].x + (ratio * (points[i].x - points[i - 1].x)),
+                    y: points[i - 1].y + (ratio * (points[i].y - points[i - 1].y))
+                };
+                resampledPoints.push(newPoint);
+                points.splice(i, 0, newPoint); // newPoint will be the start of the next segment
+                accumulatedLength = 0;
+            }
+            else {
+                accumulatedLength += segmentLength;
+            }
+        }
+        // Rounding errors can leave us one point short
+        while (resampledPoints.length < pointCount) {
+            resampledPoints.push(points[points.length - 1]);
+        }
+        return (resampledPoints.slice(0, pointCount));
+    }
+    /**
+     * [Private Method] Compares the candidate vector to the template using the [closed-form] optimal rotation from the Protractor algorithm.
+     * @param {number[]} candidateVector The vector of the path being recognized (see getTemplateVector()).
+     * @param {ShapeTemplate} template The template to compare against.
+     * @param {number} maxRotationInRadians The maximum rotation (in either direction) allowed to align candidateVector with the template.
+     * @returns {ShapeTemplateMatch} Result.
+     */
+    function getTemplateMatch(candidateVector, template, maxRotationInRadians) {
+        var a = 0;
+        var b = 0;
+        for (var i = 0; i < candidateVector.length; i += 2) {
+            a += (template.vector[i] * candidateVector[i]) + (template.vector[i + 1] * candidateVector[i + 1]);
+            b += (template.vector[i] * candidateVector[i + 1]) - (template.vector[i + 1] * candidateVector[i]);
+        }
+        // The similarity (cosine) at rotation 'angle' is a.cos(angle) + b.sin(angle), which is maximized at atan2(b, a)
+        var angle = Math.atan2(b, a);
+        angle = Math.max(-maxRotationInRadians, Math.min(maxRotationInRadians, angle));
+        var similarity = Math.max(-1, Math.min(1, (a * Math.cos(angle)) + (b * Math.sin(angle))));
+        var angularDistance = Math.acos(similarity); // 0..PI
+        var score = Math.max(0, 1 - (angularDistance / (Math.PI / 2))); // An angular distance of 90 degrees (or more) scores 0
+        return ({ id: template.id, score: score, angle: -angle * (180 / Math.PI) });
+    }
+    // Multi-stroke shape recognition uses the $P Point-Cloud Recognizer (Vatavu, Anthony and Wobbrock, ICMI 2012).
+    // All the strokes are treated as a single "cloud" of points, which makes recognition independent of the number, order and direction of the strokes.
+    // The cloud is resampled to a fixed number of points, scaled (uniformly) to a unit square and translated so that its centroid is at the origin.
+    var MULTISTROKE_RESAMPLE_POINT_COUNT = 32;
+    var _multiStrokeTemplates = [];
+    /**
+     * Adds a template (a set of example strokes) for the specified shape, for use by MIL.RecognizeMultiStrokeShape() and BuiltInGestures.MultiStrokeShapeRecognizer().
+     * Multiple templates can be added for the same shape.
+     * @param {ShapeID} shapeID The ID of the shape that the template is an example of. This can either be a MIL.RecognizableShape value, or any string.
+     * @param {(Point[] | Ink)[]} exampleStrokes The example strokes, each of which is either a set of points (eg. from Ink.PathPoints()) or an Ink instance.
+     */
+    function AddMultiStrokeTemplate(shapeID, exampleStrokes) {
+        if ((shapeID === null) || (shapeID === undefined) || (shapeID === "")) {
+            throw new MILException("A shapeID must be supplied");
+        }
+        var cloudPoints = getCloudPoints(exampleStrokes.map(function (stroke) { return ((stroke instanceof MIL.Ink) ? stroke.PathPoints() : stroke); }));
+        if (cloudPoints === null) {
+            throw new MILException("The example strokes for shape '" + getShapeName(shapeID) + "' must contain at least 2 distinct points");
+        }
+        _multiStrokeTemplates.push({ id: shapeID, points: cloudPoints });
+        log("Added multi-stroke template for shape '" + getShapeName(shapeID) + "' (" + GetMultiStrokeTemplateCount(shapeID) + " template(s) in total)", FeatureNames.ShapeRecognition);
+    }
+    MIL.AddMultiStrokeTemplate = AddMultiStrokeTemplate;
+    /**
+     * Removes all the multi-stroke templates for the specified shape (or for all shapes if shapeID is not supplied).
+     * @param {ShapeID} [shapeID] [Optional] The ID of the shape whose multi-stroke templates should be removed.
+     * @returns {number} The number of templates removed.
+     */
+    function RemoveMultiStrokeTemplates(shapeID) {
+        var originalCount = _multiStrokeTemplates.length;
+        _multiStrokeTemplates = (shapeID === undefined) ? [] : _multiStrokeTemplates.filter(function (template) { return (template.id !== shapeID); });
+        return (originalCount - _multiStrokeTemplates.length);
+    }
+    MIL.RemoveMultiStrokeTemplates = RemoveMultiStrokeTemplates;
+    /**
+     * Returns the number of multi-stroke templates for the specified shape (or for all shapes if shapeID is not supplied).
+     * @param {ShapeID} [shapeID] [Optional] The ID of the shape whose multi-stroke templates should be counted.
+     * @returns {number} Result.
+     */
+    function GetMultiStrokeTemplateCount(shapeID) {
+        return ((shapeID === undefined) ? _multiStrokeTemplates.length : _multiStrokeTemplates.filter(function (template) { return (template.id === shapeID); }).length);
+    }
+    MIL.GetMultiStrokeTemplateCount = GetMultiStrokeTemplateCount;
+    /**
+     * Attempts to recognize a shape from the supplied set of strokes by comparing it to the templates added with MIL.AddMultiStrokeTemplate().
+     * Returns a list of candidate shapes (one per shape ID, using the best-matching template for that shape) ranked from highest to lowest score.
+     * The list will be empty if no shape has a score of at least minScore. Note: The 'angle' of each candidate will always be 0.
+     * @param {Point[][]} strokes The strokes to be recognized (eg. the PathPoints() of several Inks). The number, order and direction of the strokes does not matter.
+     * @param {number} [minScore] [Optional] The minimum score (0..1) that a candidate must have to be included in the result. Defaults to 0 (all candidates).
+     * @param {ShapeID[]} [targetShapeList] [Optional] The list of shapes to be recognized. If not supplied, all shapes that have multi-stroke templates will be considered.
+     * @returns {ShapeTemplateMatch[]} Result.
+     */
+    function RecognizeMultiStrokeShape(strokes, minScore, targetShapeList) {
+        if (minScore === void 0) { minScore = 0; }
+        var bestMatches = {}; // Key: Shape name, Value: Best ShapeTemplateMatch for that shape
+        var rankedMatches = [];
+        var cloudPoints = getCloudPoints(strokes);
+        if (cloudPoints === null) {
+            return (rankedMatches);
+        }
+        for (var i = 0; i < _multiStrokeTemplates.length; i++) {
+            var template = _multiStrokeTemplates[i];
+            if (targetShapeList && (targetShapeList.indexOf(template.id) === -1)) {
+                continue;
+            }
+            var distance = getGreedyCloudMatchDistance(cloudPoints, template.points);
+            var score = Math.max(0, (2 - distance) / 2);
+            var shapeName = getShapeName(template.id);
+            if (!bestMatches[shapeName] || (score > bestMatches[shapeName].score)) {
+                bestMatches[shapeName] = { id: template.id, score: score, angle: 0 };
+            }
+        }
+        for (var shapeName in bestMatches) {
+            if (bestMatches[shapeName].score >= minScore) {
+                rankedMatches.push(bestMatches[shapeName]);
+            }
+        }
+        rankedMatches.sort(function (m1, m2) { return (m2.score - m1.score); });
+        rankedMatches.forEach(function (match) {
+            log("Shape '" + getShapeName(match.id) + "' has a multi-stroke template score of " + match.score.toFixed(3) + " (" + strokes.length + " stroke(s))", FeatureNames.ShapeRecognition);
+        });
+        return (rankedMatches);
+    }
+    MIL.RecognizeMultiStrokeShape = RecognizeMultiStrokeShape;
+    /**
+     * [Private Method] Converts the supplied strokes into a normalized [$P] point-cloud: the points are resampled, scaled uniformly to a unit square, and
+     * translated so that their centroid is at the origin. Returns null if the strokes don't contain at least 2 distinct points.
+     * @param {Point[][]} strokes The strokes to convert.
+     * @returns {CloudPoint[] | null} Result.
+     */
+    function getCloudPoints(strokes) {
+        var points = [];
+        for (var s = 0; s < strokes.length; s++) {
+            for (var p = 0; p < strokes[s].length; p++) {
+                points.push({ x: strokes[s][p].x, y: strokes[s][p].y, strokeID: s });
+            }
+        }
+        var boundingRect = (points.length > 0) ? MIL.Utils.GetBoundingRectForPoints(points) : null;
+        var size = boundingRect ? Math.max(boundingRect.width, boundingRect.height) : 0;
+        if (size === 0) {
+            return (null);
+        }
+        // Resample (note that the distance between strokes does not contribute to the path length)
+        var pathLength = 0;
+        for (var i = 1; i < points.length; i++) {
+            if (points[i].strokeID === points[i - 1].strokeID) {
+                pathLength += MIL.Utils.GetDistanceBetweenPoints(points[i - 1], points[i]);
+            }
+        }
+        var intervalLength = pathLength / (MULTISTROKE_RESAMPLE_POINT_COUNT - 1);
+        var resampledPoints = [points[0]];
+        var accumulatedLength = 0;
+        for (var i = 1; (i < points.length) && (intervalLength > 0); i++) {
+            if (points[i].strokeID === points[i - 1].strokeID) {
+                var segmentLength = MIL.Utils.GetDistanceBetweenPoints(points[i - 1], points[i]);
+                if ((accumulatedLength + segmentLength) >= intervalLength) {
+                    var ratio = (intervalLength - accumulatedLength) / segmentLength;
+                    var newPoint = {
+                        x: points[i - 1].x + (ratio * (points[i].x - points[i - 1].x)),
+                        y: points[i - 1].y + (ratio * (points[i].y - points[i - 1].y)),
+                        strokeID: points[i].strokeID
+                    };
+                    resampledPoints.push(newPoint);
+                    points.splice(i, 0, newPoint); // newPoint will be the start of the next segment
+                    accumulatedLength = 0;
+                }
+                else {
+                    accumulatedLength += segmentLength;
+                }
+            }
+        }
+        // Rounding errors can leave us one point short [and strokes that are all single points leave us with only the first point]
+        while (resampledPoints.length < MULTISTROKE_RESAMPLE_POINT_COUNT) {
+            resampledPoints.push(points[resampledPoints.length % points.length]);
+        }
+        resampledPoints = resampledPoints.slice(0, MULTISTROKE_RESAMPLE_POINT_COUNT);
+        // Scale and translate
+        var centroid = { x: d3.mean(resampledPoints, function (p) { return (p.x); }), y: d3.mean(resampledPoints, function (p) { return (p.y); }) };
+        return (resampledPoints.map(function (p) { return ({ x: (p.x - centroid.x) / size, y: (p.y - centroid.y) / size, strokeID: p.strokeID }); }));
+    }
+    /**
+     * [Private Method] Returns the [$P] distance between two point-clouds (of equal size), using a greedy search over a number of starting points.
+     * @param {CloudPoint[]} points The candidate point-cloud.
+     * @param {CloudPoint[]} templatePoints The template point-cloud.
+     * @returns {number} Result.
+     */
+    function getGreedyCloudMatchDistance(points, templatePoints) {
+        var step = Math.floor(Math.pow(points.length, 0.5));
+        var minDistance = Number.MAX_VALUE;
+        for (var i = 0; i < points.length; i += step) {
+            var distance1 = getCloudDistance(points, templatePoints, i);
+            var distance2 = getCloudDistance(templatePoints, points, i);
+            minDistance = Math.min(minDistance, distance1, distance2);
+        }
+        return (minDistance);
+    }
+    /**
+     * [Private Method] Returns the weighted sum of the distances between each point in points1 (starting at startIndex) and its closest unmatched point in points2.
+     * @param {CloudPoint[]} points1 The first point-cloud.
+     * @param {CloudPoint[]} points2 The second point-cloud.
+     * @param {number} startIndex The index (in points1) to start matching from.
+     * @returns {number} Result.
+     */
+    function getCloudDistance(points1, points2, startIndex) {
+        var n = points1.length;
+        var isMatched = points2.map(function () { return (false); });
+        var sum = 0;
+        var i = startIndex;
+        do {
+            var closestIndex = -1;
+            var minDistance = Number.MAX_VALUE;
+            for (var j = 0; j < points2.length; j++) {
+                if (!isMatched[j]) {
+                    var distance = MIL.Utils.GetDistanceBetweenPoints(points1[i], points2[j]);
+                    if (distance < minDistance) {
+                        minDistance = distance;
+                        closestIndex = j;
+                    }
+                }
+            }
+            isMatched[closestIndex] = true;
+            var weight = 1 - (((i - startIndex + n) % n) / n); // Earlier matches are weighted more heavily since they have more points to choose from
+            sum += weight * minDistance;
+            i = (i + 1) % n;
+        } while (i !== startIndex);
+        return (sum);
     }
-    MIL.RecognizeShape = RecognizeShape;
     /**
      * Interprets the supplied pathPoints as the path of a radial swipe gesture and returns information about the gesture. If the swipe is too short (less than minDistance), returns null.
      * @param {Point[]} pathPoints The set of Points to inspect (typically these are from an Ink).
@@ -2401,7 +3410,7 @@ var MIL;
         if (deletedItems) {
             log("Removed " + deletedItems);
         }
-        var _loop_1 = function (i) {
+        var _loop_2 = function (i) {
             var gesture = endedGestures[i];
             if (gesture.CheckForGesturesOnEnd()) {
                 // We use a short timeout here to avoid unintentional gesture recognition due to 2 or more pointers being removed within the timeout interval
@@ -2415,7 +3424,7 @@ var MIL;
         // For each ended gesture, [optionally] look for another gesture that may still be applicable [ie. with the one-or-more pointers that may still be down].
         // For example, the user wants a 2-finger zoom to become a 1-finger pan when the first zoom finger is lifted.
         for (var i = 0; i < endedGestures.length; i++) {
-            var state_1 = _loop_1(i);
+            var state_1 = _loop_2(i);
             if (state_1 === "break")
                 break;
         }
@@ -2459,6 +3468,8 @@ var MIL;
     }
     MIL.ResetHoverStateTracking = ResetHoverStateTracking;
 })(MIL || (MIL = {}));
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT license.
 var MIL;
 (function (MIL) {
     /**
@@ -3037,6 +4048,56 @@ var MIL;
             return (totalLength);
         }
         Utils.ComputeTotalLength = ComputeTotalLength;
+        /**
+         * Returns a simplified version of the line described by the supplied set of Points, using the Ramer-Douglas-Peucker algorithm.
+         * The first and last points are always kept.
+         * @param {Point[]} pathPoints A set of Points.
+         * @param {number} tolerance The maximum distance (in pixels) that a removed point can be from the simplified line.
+         * @returns {Point[]} Result.
+         */
+        function SimplifyPoints(pathPoints, tolerance) {
+            return (getSimplifiedPointIndices(pathPoints, tolerance).map(function (index) { return (pathPoints[index]); }));
+        }
+        Utils.SimplifyPoints = SimplifyPoints;
+        /**
+         * [Internal] Returns the indices (in ascending order) of the points in 'pathPoints' that are kept when the line is simplified. See SimplifyPoints().
+         * @param {Point[]} pathPoints A set of Points.
+         * @param {number} tolerance The maximum distance (in pixels) that a removed point can be from the simplified line.
+         * @returns {number[]} Result.
+         * @internal
+         */
+        function getSimplifiedPointIndices(pathPoints, tolerance) {
+            var isKept = pathPoints.map(function () { return (false); });
+            var ranges = (pathPoints.length > 2) ? [[0, pathPoints.length - 1]] : []; // Each range is [startIndex, endIndex]
+            var keptIndices = [];
+            if (pathPoints.length > 0) {
+                isKept[0] = isKept[pathPoints.length - 1] = true;
+            }
+            // Note: We use a stack of ranges (rather than recursion) so that very long lines can't exhaust the call stack
+            while (ranges.length > 0) {
+                var range = ranges.pop();
+                var startPoint = pathPoints[range[0]], endPoint = pathPoints[range[1]];
+                var isZeroLength = (startPoint.x === endPoint.x) && (startPoint.y === endPoint.y); // Eg. a closed line
+                var maxDistance = 0;
+                var maxDistanceIndex = -1;
+                for (var i = range[0] + 1; i < range[1]; i++) {
+                    var distance = GetDistanceBetweenPoints(pathPoints[i], isZeroLength ? startPoint : GetClosestPointOnLine(pathPoints[i], startPoint, endPoint));
+                    if (distance > maxDistance) {
+                        maxDistance = distance;
+                        maxDistanceIndex = i;
+                    }
+                }
+                if (maxDistance > tolerance) {
+                    isKept[maxDistanceIndex] = true;
+                    ranges.push([range[0], maxDistanceIndex], [maxDistanceIndex, range[1]]);
+                }
+            }
+            isKept.forEach(function (kept, index) { if (kept) {
+                keptIndices.push(index);
+            } });
+            return (keptIndices);
+        }
+        Utils.getSimplifiedPointIndices = getSimplifiedPointIndices;
         // PORT: This function had numerous changes, so it should be carefully re-tested.
         /**
          * Searches the specified 'region' for elements of 'shapeNodeType'. Returns either an array of DOM elements or Inks (depending on the value of 'shapeNodeType').
@@ -3054,6 +4115,9 @@ var MIL;
             var foundInks = [];
             var boundingPoints = d3.range(regionPoints.length).map(function (d) { return ([regionPoints[d].x, regionPoints[d].y]); });
             var gDomElement = GetDomElement(targetGElement, SVGGElement);
+            // Only Inks whose bounding rectangles overlap the region can possibly have any points inside it
+            // Note: Inks (and other elements) in locked or hidden layers (see MIL.Layers()) are never found
+            var candidateInks = MIL.getSvgInfo(gDomElement).spatialIndex.Search(GetBoundingRectForPoints(regionPoints)).filter(function (ink) { return (gDomElement.contains(ink.Path().node()) && MIL.isInEditableLayer(ink.Path())); });
             // Note: Local function
             function isMatch(targetPoints, defaultPercentageInside, domElementOrInk) {
                 if (targetPoints.length > 0) {
@@ -3076,11 +4140,10 @@ var MIL;
                 return (false);
             }
             if (shapeNodeType === ShapeNodeType.Ink) {
-                var inks = MIL.Inks();
-                for (var i = 0; i < inks.length; i++) {
-                    var targetPoints = ConvertPointsToXYPoints(inks[i].PathPoints());
-                    if (isMatch(targetPoints, 0.8, inks[i])) {
-                        foundInks.push(inks[i]);
+                for (var i = 0; i < candidateInks.length; i++) {
+                    var targetPoints = ConvertPointsToXYPoints(candidateInks[i].PathPoints());
+                    if (isMatch(targetPoints, 0.8, candidateInks[i])) {
+                        foundInks.push(candidateInks[i]);
                     }
                 }
                 return (foundInks);
@@ -3088,7 +4151,7 @@ var MIL;
             else {
                 d3.select(gDomElement).selectAll(shapeNodeType).each(function (d) {
                     var domElement = this; // Note: When using .each(), 'this' is set to the DOM element associated with 'd'
-                    if (isElementVisible(domElement) && !MIL.Controls.IsControl(domElement)) {
+                    if (isElementVisible(domElement) && !MIL.Controls.IsControl(domElement) && MIL.isInEditableLayer(domElement)) {
                         var defaultPercentageInside = 1; // 1 = 100%
                         var targetPoints = [];
                         switch (shapeNodeType) {
@@ -3117,8 +4180,16 @@ var MIL;
                                 defaultPercentageInside = 0.8; // 80%
                                 break;
                             case ShapeNodeType.Path:
+                                // Skip Ink (and Ink Hull) paths that are too far from the region to match
+                                var isInkElement = domElement.classList.contains("MILInkPath") || domElement.classList.contains("MILInkHullPath");
+                                var elementInks = !isInkElement ? [] : candidateInks.filter(function (ink) {
+                                    return ((ink.Path().node() === domElement) || ((ink.HullPath() !== null) && (ink.HullPath().node() === domElement)));
+                                });
+                                if (isInkElement && (elementInks.length === 0)) {
+                                    return;
+                                }
                                 // Add either all the points of an Ink, or a sampling of points from a non-Ink path
-                                var ink = MIL.GetInkByElement(domElement);
+                                var ink = isInkElement ? elementInks[0] : null;
                                 var pathPoints = ink ? ink.PathPoints() : SamplePointsFromPath(domElement); // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
                                 targetPoints = d3.range(pathPoints.length).map(function (d) { return ([pathPoints[d].x, pathPoints[d].y]); });
                                 defaultPercentageInside = 0.8; // 80%
@@ -3306,8 +4377,8 @@ var MIL;
         function GetBoundingRectForPoints(pathPoints) {
             var top = Number.MAX_VALUE;
             var left = Number.MAX_VALUE;
-            var maxX = Number.MIN_VALUE;
-            var maxY = Number.MIN_VALUE;
+            var maxX = -Number.MAX_VALUE; // Note: Not Number.MIN_VALUE, which is the smallest positive number
+            var maxY = -Number.MAX_VALUE;
             for (var i = 0; i < pathPoints.length; i++) {
                 top = Math.min(pathPoints[i].y, top);
                 left = Math.min(pathPoints[i].x, left);
@@ -3638,7 +4709,9 @@ var MIL;
         Utils.DebugDrawPoints = DebugDrawPoints;
     })(Utils = MIL.Utils || (MIL.Utils = {}));
 })(MIL || (MIL = {}));
-var MIL;
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT license.
+var MIL;
 (function (MIL) {
     // PORT: This class was formerly named 'settings'
     /** The MILSettings class */
@@ -3649,6 +4722,9 @@ var MIL;
             this._isRightMouseClickAllowed = true;
             this._inkAutoCombineMode = MIL.InkAutoCombineMode.Off;
             this._hoverTimeoutInMs = -1; // Disabled
+            this._inkEraserMode = MIL.InkEraserMode.Draw;
+            this._onInkErasedHandler = null;
+            this._onInkChangedHandler = null;
         }
         MILSettings.prototype.MinZoomLevel = function (level) {
             if (level === undefined) {
@@ -3682,6 +4758,18 @@ var MIL;
             var _this = this;
             return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._inkAutoCombineMode; }), mode));
         };
+        MILSettings.prototype.InkEraserMode = function (mode) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._inkEraserMode; }), mode));
+        };
+        MILSettings.prototype.OnInkErasedHandler = function (handler) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._onInkErasedHandler; }), handler));
+        };
+        MILSettings.prototype.OnInkChangedHandler = function (handler) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._onInkChangedHandler; }), handler));
+        };
         MILSettings.prototype.HoverTimeoutInMs = function (timeout) {
             if (timeout === undefined) {
                 return (this._hoverTimeoutInMs);
@@ -3701,2265 +4789,6747 @@ var MIL;
     }());
     MIL.MILSettings = MILSettings;
 })(MIL || (MIL = {}));
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT license.
 var MIL;
 (function (MIL) {
-    // PORT: This is essentially a static class: is there a better way to write this code?
+    /** The type of change made to a CommandHistory. */
+    var HistoryChangeType;
+    (function (HistoryChangeType) {
+        /** A command was recorded. */
+        HistoryChangeType[HistoryChangeType["Record"] = 0] = "Record";
+        /** A command was undone. */
+        HistoryChangeType[HistoryChangeType["Undo"] = 1] = "Undo";
+        /** A command was redone. */
+        HistoryChangeType[HistoryChangeType["Redo"] = 2] = "Redo";
+        /** The history was cleared. */
+        HistoryChangeType[HistoryChangeType["Clear"] = 3] = "Clear";
+    })(HistoryChangeType = MIL.HistoryChangeType || (MIL.HistoryChangeType = {}));
     /**
-     * The GestureDefaults namespace.
-     * Setting GestureDefault properties saves having to re-specify the corresponding Gesture properties [repetitively] each time CreateGesture() is called.
+     * The CommandHistory class. Each <svg> (see MIL.Initialize()) has its own CommandHistory (see MIL.History()) which automatically records
+     * these operations as undoable commands: Ink creation (by a Gesture, or by MIL.DeserializeInks()/ImportSvgPaths()/ImportInkML()), Ink.Delete(),
+     * Gesture.CombineInks(), Ink drags (Ink.DragStart()/DragEnd()), Ink resizes and rotations (Ink.Scale()/Rotation(), and the Ink.ResizeWith() Gesture), Ink.Restyle(), Ink.Redecorate() and RulerControl moves/rotations/resizes.
+     * Note: An Ink is only recorded once it's complete, so cancelling an Ink (see Ink.Cancel()) leaves no trace in the history.
      */
-    var GestureDefaults;
-    (function (GestureDefaults) {
-        var _defaults = {
-            targetDomElement: null,
-            startedHandler: null,
-            endedHandler: null,
-            cancelledHandler: null,
-            groupName: "default",
-            recognitionTimeoutInMs: 0,
-            _parentObj: GestureDefaults
-        };
-        /**
-         * Resets all defaults. Returns the GestureDefaults namespace.
-         * @returns {GestureDefaultsType} The GestureDefaults namespace.
-         */
-        function Reset() {
-            _defaults.targetDomElement = null;
-            _defaults.startedHandler = null;
-            _defaults.endedHandler = null;
-            _defaults.cancelledHandler = null;
-            _defaults.groupName = "default";
-            _defaults.recognitionTimeoutInMs = 0;
-            _defaults._parentObj = this;
-            return (this);
+    var CommandHistory = /** @class */ (function () {
+        function CommandHistory() {
+            this._undoStack = [];
+            this._redoStack = [];
+            this._capacity = 100;
+            this._isEnabled = true;
+            this._onChangedHandler = null;
+            this._transactionName = null;
+            this._transactionDepth = 0;
+            this._transactionCommands = [];
+            this._isApplying = false;
+            this._restoredInks = [];
         }
-        GestureDefaults.Reset = Reset;
-        function Target(targetDomElement) {
-            if (targetDomElement === undefined) {
-                return (_defaults.targetDomElement);
+        CommandHistory.prototype.Capacity = function (capacity) {
+            if (capacity === undefined) {
+                return (this._capacity);
             }
             else {
-                var domElement = MIL.Utils.GetDomElement(targetDomElement);
-                if (!document.body.contains(domElement)) {
-                    throw new MIL.MILException("The specified targetDomElement does not exist in the document body");
+                if ((capacity < 0) || (Math.floor(capacity) !== capacity)) {
+                    throw new MIL.MILException("Capacity (" + capacity + ") must be an integer greater than or equal to 0");
                 }
-                MIL.tagWithTargetElementID(domElement);
-                _defaults.targetDomElement = domElement;
+                this._capacity = capacity;
+                this.trimUndoStack();
                 return (this);
             }
-        }
-        GestureDefaults.Target = Target;
-        function StartedHandler(handler) {
-            return (MIL.getOrSetProperty(_defaults, MIL.nameof(function () { return _defaults.startedHandler; }), handler));
-        }
-        GestureDefaults.StartedHandler = StartedHandler;
-        function EndedHandler(handler) {
-            return (MIL.getOrSetProperty(_defaults, MIL.nameof(function () { return _defaults.endedHandler; }), handler));
-        }
-        GestureDefaults.EndedHandler = EndedHandler;
-        function CancelledHandler(handler) {
-            return (MIL.getOrSetProperty(_defaults, MIL.nameof(function () { return _defaults.cancelledHandler; }), handler));
-        }
-        GestureDefaults.CancelledHandler = CancelledHandler;
-        function RecognitionTimeoutInMs(timeoutInMs) {
-            return (MIL.getOrSetProperty(_defaults, MIL.nameof(function () { return _defaults.recognitionTimeoutInMs; }), timeoutInMs));
-        }
-        GestureDefaults.RecognitionTimeoutInMs = RecognitionTimeoutInMs;
-        function GroupName(name) {
-            return (MIL.getOrSetProperty(_defaults, MIL.nameof(function () { return _defaults.groupName; }), name));
-        }
-        GestureDefaults.GroupName = GroupName;
-    })(GestureDefaults = MIL.GestureDefaults || (MIL.GestureDefaults = {}));
-})(MIL || (MIL = {}));
-var MIL;
-(function (MIL) {
-    var _nextInkID = 1; // Used to assign ID's to Ink objects
-    /**
-     * [Internal] While being drawn, an Ink consists of a series of [slightly] overlapping paths; the path that is actively being drawn is the 'current' path.
-     * @internal
-     */
-    MIL._inkCurrentPathPointData = {}; // Key: PointerID, Value: Array of points in current path
-    var _inkCurrentPath = {}; // Key: PointerID, Value: Current path element
-    /**
-     * [Internal] All the points in the Ink (in all paths) as it is being drawn.
-     * @internal
-     */
-    MIL._inkCompletePathPointData = {}; // Key: PointerID, Value: Cumulative array of unique points in all paths
-    var _inkLineGenerator = null; // d3 line generator
-    /** The Ink class. */
-    var Ink = /** @class */ (function () {
-        function Ink(pointerID) {
-            this._inkID = "Ink" + _nextInkID++;
-            this._pointerID = pointerID;
-            this._isStarted = false;
-            this._parentGesture = null;
-            this._className = "";
-            this._strokeColor = "";
-            this._strokeWidth = "";
-            this._eraserClassName = "";
-            this._hullType = MIL.InkHullType.None;
-            this._hullColor = "transparent";
-            this._isNonDrawing = null;
-            this._cometTailClassName = "";
-            this._cometTailDurationInMs = 500;
-            this._isAutoCose = false;
-            this._hullPath = null;
-            this._finalPath = null;
-            this._nonDrawingPathPoints = null;
-            this._combinedOutlinePathPoints = null;
-            this._isEraserDrawing = false;
-            this._isCoercingInkToRuler = false;
-            this._resizeGesturePointerType = "";
-            this._resizeGesture = null;
-            this._onResizeCompleteHandler = null;
-            this._scale = 1;
-            this._onDragMoveHandler = null;
-            this._previousDragMovePoint = null;
-            this._groupDragSelectionClassName = null;
-            this._dragGesture = null;
-        }
-        /**
-         * [ReadOnly Property] The unique, system-supplied name of the Ink instance.
-         * @returns {string} Property value.
-        */
-        Ink.prototype.InkID = function () {
-            MIL.readOnlyProperty("InkID", arguments);
-            return (this._inkID);
-        };
-        /**
-         * [ReadOnly Property] The unique MIL PointerID that is currently being used to draw the Ink instance (will be null after the Ink is drawn).
-         * @returns {string} Property value.
-         */
-        Ink.prototype.PointerID = function () {
-            MIL.readOnlyProperty("PointerID", arguments);
-            return (this._pointerID);
-        };
-        Ink.prototype.ParentGesture = function (gesture) {
-            var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._parentGesture; }), gesture));
         };
-        Ink.prototype.Class = function (className) {
+        CommandHistory.prototype.IsEnabled = function (enable) {
             var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._className; }), className));
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._isEnabled; }), enable));
         };
-        Ink.prototype.StrokeColor = function (color) {
+        CommandHistory.prototype.OnChangedHandler = function (handler) {
             var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._strokeColor; }), color));
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._onChangedHandler; }), handler));
         };
-        Ink.prototype.StrokeWidth = function (width) {
-            var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._strokeWidth; }), width));
+        /**
+         * [ReadOnly Property] Returns true if there is a command that can be undone.
+         * @returns {boolean} Result.
+         */
+        CommandHistory.prototype.CanUndo = function () {
+            MIL.readOnlyProperty("CanUndo", arguments);
+            return (this._undoStack.length > 0);
         };
-        Ink.prototype.EraserClass = function (className) {
-            var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._eraserClassName; }), className));
+        /**
+         * [ReadOnly Property] Returns true if there is a command that can be redone.
+         * @returns {boolean} Result.
+         */
+        CommandHistory.prototype.CanRedo = function () {
+            MIL.readOnlyProperty("CanRedo", arguments);
+            return (this._redoStack.length > 0);
         };
-        Ink.prototype.CometTailClass = function (className) {
-            var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._cometTailClassName; }), className));
+        /**
+         * [ReadOnly Property] Returns the name of the command that Undo() will revert, or null if there is no such command.
+         * @returns {string | null} Result.
+         */
+        CommandHistory.prototype.UndoName = function () {
+            MIL.readOnlyProperty("UndoName", arguments);
+            return ((this._undoStack.length > 0) ? this._undoStack[this._undoStack.length - 1].name : null);
         };
-        Ink.prototype.CometTailDurationInMs = function (durationInMs) {
-            var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._cometTailDurationInMs; }), durationInMs));
+        /**
+         * [ReadOnly Property] Returns the name of the command that Redo() will re-apply, or null if there is no such command.
+         * @returns {string | null} Result.
+         */
+        CommandHistory.prototype.RedoName = function () {
+            MIL.readOnlyProperty("RedoName", arguments);
+            return ((this._redoStack.length > 0) ? this._redoStack[this._redoStack.length - 1].name : null);
         };
-        Ink.prototype.HullType = function (hullType) {
-            if (hullType === undefined) {
-                return (this._hullType);
+        /**
+         * Records a command (whose changes have already been made) so that it can be undone. Clears any commands that could have been redone.
+         * Apps can use this to add their own operations to the history. The command is ignored if recording is disabled (see IsEnabled()),
+         * or if it's made while another command is being undone/redone.
+         * @param {HistoryCommand} command The command to record.
+         * @returns {CommandHistory} The CommandHistory instance.
+         */
+        CommandHistory.prototype.Record = function (command) {
+            if (!command || !command.name || (typeof command.undo !== "function") || (typeof command.redo !== "function")) {
+                throw new MIL.MILException("The supplied command must have a 'name', and 'undo' and 'redo' functions");
             }
-            else {
-                if (this._hullPath !== null) {
-                    // TODO: This is just for simplicity, but technically it could be changed
-                    // Note: The hullType can be changed (one-way) from Concave to Convex as a side-effect of using Gesture.CombineInks()
-                    throw new MIL.MILException("Ink.HullType cannot be changed after the Ink has been created");
-                }
-                this._hullType = hullType;
+            if (!this._isEnabled || this._isApplying) {
                 return (this);
             }
-        };
-        Ink.prototype.HullColor = function (color) {
-            var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._hullColor; }), (color === "debug") ? "rgba(0,128,0,0.2)" : color));
-        };
-        Ink.prototype.IsNonDrawing = function (isNonDrawing) {
-            if (isNonDrawing === undefined) {
-                return ((this._isNonDrawing === null) ? false : this._isNonDrawing);
-            }
-            else {
-                if (this._isNonDrawing !== null) {
-                    throw new MIL.MILException("Ink.IsNonDrawing cannot be changed once set");
-                }
-                if (isNonDrawing && (this._hullType !== MIL.InkHullType.None)) {
-                    throw new MIL.MILException("Ink.IsNonDrawing can only be set when Ink.HullType is 'None'");
-                }
-                this._isNonDrawing = isNonDrawing;
+            if (this._transactionDepth > 0) {
+                this._transactionCommands.push(command);
                 return (this);
             }
+            this._undoStack.push(command);
+            this._redoStack.length = 0;
+            this.trimUndoStack();
+            this.raiseChanged(HistoryChangeType.Record, command.name);
+            return (this);
         };
-        Ink.prototype.IsAutoClose = function (isAutoClose) {
-            if (isAutoClose === undefined) {
-                return (this._isAutoCose);
-            }
-            else {
-                if (this.Path() !== null) {
-                    throw new MIL.MILException("Ink.IsAutoClose cannot be changed after the Ink has been created");
-                }
-                this._isAutoCose = isAutoClose;
-                return (this);
+        /**
+         * Starts a transaction: until the matching EndTransaction(), all recorded commands are grouped into a single command (with the specified name)
+         * that is undone/redone as a unit. Transactions can be nested, in which case the outermost transaction determines the name.
+         * @param {string} name The name of the [grouped] command.
+         * @returns {CommandHistory} The CommandHistory instance.
+         */
+        CommandHistory.prototype.BeginTransaction = function (name) {
+            if (this._transactionDepth++ === 0) {
+                this._transactionName = name;
+                this._transactionCommands = [];
             }
+            return (this);
         };
-        Ink.prototype.ResizeWith = function (pointerType) {
-            if (pointerType === undefined) {
-                return (this._resizeGesturePointerType);
+        /**
+         * Ends a transaction started with BeginTransaction(). When the outermost transaction ends, the commands recorded during it (if any) are recorded as a single command.
+         * @returns {CommandHistory} The CommandHistory instance.
+         */
+        CommandHistory.prototype.EndTransaction = function () {
+            if (this._transactionDepth === 0) {
+                throw new MIL.MILException("EndTransaction() was called without a matching BeginTransaction()");
             }
-            else {
-                if (this._resizeGesture !== null) {
-                    MIL.RemoveGestureByName(this._resizeGesture.Name());
-                    this._resizeGesture = null;
+            if (--this._transactionDepth === 0) {
+                var commands_1 = this._transactionCommands;
+                this._transactionCommands = [];
+                if (commands_1.length === 1) {
+                    this.Record({ name: this._transactionName, undo: commands_1[0].undo, redo: commands_1[0].redo });
                 }
-                if (pointerType && this._hullPath) {
-                    var ink = this; // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
-                    var startInkScale; // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
-                    var startInkStrokeWidth = MIL.Utils.ToNumber(window.getComputedStyle(ink.Path().node()).strokeWidth); // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
-                    this._resizeGesture = MIL.CreateGesture("InkResize*", true).PointerType(pointerType).Target(this._hullPath)
-                        .RecognitionTimeoutInMs(50) // TODO: The caller should have control over this timeout
-                        .GestureStartedHandler(function () {
-                        var gesture = this;
-                        // To prevent the ink resize gesture from happening in parallel with an ink drag - which
-                        // could potentially cause undesirable interactions - we terminate an in-progress drag
-                        if (ink._dragGesture !== null) {
-                            ink._dragGesture.Cancel("The Ink is being resized");
-                            ink.DragEnd();
-                        }
-                        startInkScale = ink.Scale();
-                        var startResizeDistance = gesture.GetDistance("{P1}", "{P2}");
-                        var prevResizeDistance = startResizeDistance;
-                        this.OnMoveHandler(function () {
-                            var resizeDistance = this.GetDistance("{P1}", "{P2}");
-                            if (resizeDistance !== prevResizeDistance) {
-                                // For performance, we'll resize the hull (if any) only when the gesture ends
-                                ink.Scale((resizeDistance / startResizeDistance) * startInkScale, startInkScale, startInkStrokeWidth, true);
-                                prevResizeDistance = resizeDistance;
-                            }
+                else {
+                    if (commands_1.length > 1) {
+                        this.Record({
+                            name: this._transactionName,
+                            undo: function () { for (var i = commands_1.length - 1; i >= 0; i--) {
+                                commands_1[i].undo();
+                            } },
+                            redo: function () { for (var i = 0; i < commands_1.length; i++) {
+                                commands_1[i].redo();
+                            } }
                         });
-                    })
-                        .GestureEndedHandler(function () {
-                        ink.Scale(ink.Scale(), startInkScale, startInkStrokeWidth, false);
-                        if (ink.OnResizeCompleteHandler() !== null) {
-                            ink.OnResizeCompleteHandler().call(ink);
-                        }
-                    });
-                    if (this._resizeGesture.PointerCount() !== 2) {
-                        throw new MIL.MILException("The pointerType supplied to Ink.ResizeWith() must specify exactly 2 pointers (eg. 'touch:2' or 'pen+touch')");
                     }
-                    MIL.AddGesture(this._resizeGesture);
                 }
-                this._resizeGesturePointerType = pointerType;
-                return (this);
+                this._transactionName = null;
             }
-        };
-        Ink.prototype.OnResizeCompleteHandler = function (handler) {
-            var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._onResizeCompleteHandler; }), handler));
+            return (this);
         };
         /**
-         * [ReadOnly Property] Whether the Ink instance was drawn with the pen eraser tip.
-         * Note: This is automatically set to true when the 'pointerType' of the Ink is 'pen', and the eraser-tip of the pen is used to draw with.
-         * @returns {boolean} Property value.
+         * Reverts the most recently recorded [or redone] command. Returns true if a command was undone, or false if there was nothing to undo.
+         * @returns {boolean} Result.
          */
-        Ink.prototype.IsEraserDrawing = function () {
-            MIL.readOnlyProperty("IsEraserDrawing", arguments);
-            return (this._isEraserDrawing);
+        CommandHistory.prototype.Undo = function () {
+            this.checkCanApply("Undo");
+            if (this._undoStack.length === 0) {
+                return (false);
+            }
+            var command = this._undoStack.pop();
+            this.apply(command.undo);
+            this._redoStack.push(command);
+            MIL.log("Undo: " + command.name);
+            this.raiseChanged(HistoryChangeType.Undo, command.name);
+            return (true);
         };
         /**
-         * [ReadOnly Property] Whether the Ink instance is the result of combining one-or-more Inks.
-         * @returns {boolean} Property value.
+         * Re-applies the most recently undone command. Returns true if a command was redone, or false if there was nothing to redo.
+         * @returns {boolean} Result.
          */
-        Ink.prototype.IsCombined = function () {
-            MIL.readOnlyProperty("IsCombined", arguments);
-            return (this._combinedOutlinePathPoints !== null);
+        CommandHistory.prototype.Redo = function () {
+            this.checkCanApply("Redo");
+            if (this._redoStack.length === 0) {
+                return (false);
+            }
+            var command = this._redoStack.pop();
+            this.apply(command.redo);
+            this._undoStack.push(command);
+            MIL.log("Redo: " + command.name);
+            this.raiseChanged(HistoryChangeType.Redo, command.name);
+            return (true);
+        };
+        /** Discards all recorded commands (and abandons any in-progress transaction). */
+        CommandHistory.prototype.Clear = function () {
+            this._undoStack.length = 0;
+            this._redoStack.length = 0;
+            this._transactionName = null;
+            this._transactionDepth = 0;
+            this._transactionCommands = [];
+            this.raiseChanged(HistoryChangeType.Clear, null);
         };
         /**
-         * [ReadOnly Property] The hull path (as a d3 selection) of the Ink instance. Will be null if the Ink was created with HullType(InkHullType.None).
-         * @returns {D3SingleSelection} Property value.
+         * [Internal] Returns true if an operation performed now would be recorded. Used to avoid the cost of preparing a command that would be ignored.
+         * @returns {boolean} Result.
+         * @internal
          */
-        Ink.prototype.HullPath = function () {
-            MIL.readOnlyProperty("HullPath", arguments);
-            return (this._hullPath);
+        CommandHistory.prototype.isRecording = function () {
+            return (this._isEnabled && !this._isApplying);
         };
         /**
-         * [ReadOnly Property] The path (as a d3 selection) of the Ink instance. Will be null if the Ink was created with IsNonDrawing(true).
-         * @returns {D3SingleSelection} Property value.
+         * [Internal] Notes that the supplied Ink was re-created by the command being undone/redone (so that it can be reported to the OnChangedHandler()).
+         * @param {Ink} ink The re-created Ink.
+         * @internal
          */
-        Ink.prototype.Path = function () {
-            MIL.readOnlyProperty("Path", arguments);
-            return (this._finalPath);
+        CommandHistory.prototype.inkRestored = function (ink) {
+            this._restoredInks.push(ink);
         };
         /**
-         * [ReadOnly Property] The {x, y} points in the Ink instance.
-         * @returns {Point[]} Property value.
+         * [Private Method] Throws if Undo() or Redo() cannot be called at this time.
+         * @param {string} methodName The name of the calling method.
          */
-        Ink.prototype.PathPoints = function () {
-            MIL.readOnlyProperty("PathPoints", arguments);
-            if (this._isNonDrawing) {
-                return (this._nonDrawingPathPoints);
+        CommandHistory.prototype.checkCanApply = function (methodName) {
+            if (this._isApplying) {
+                throw new MIL.MILException(methodName + "() cannot be called while another command is being undone/redone");
             }
-            else {
-                var path = this._finalPath.node();
-                var pathPointsCollection = path.__MILPathPointsCollection__;
-                var pathLineCount = pathPointsCollection.length;
-                if (this._combinedOutlinePathPoints) {
-                    // Return the points of the convex hull that covers the original set of ink paths that were combined (via Gesture.CombineInks()).
-                    // While a loss in fidelity, this is arguably consistent with the nature of what it means to combine ink paths.
-                    // The alternative would be to return __MILPathPointsCollection__, but the caller is expecting Ink.PathPoints() to return a single array
-                    // of points, not an array of array of points.
-                    // Note: It's valid for __MILPathPointsCollection__ to only have one entry, yet also have _combinedOutlinePathPoints set: this can
-                    //       legitimately happen if a single ink path is "combined", eg. to change the hull-type of the ink from concave to convex. 
-                    return (this._combinedOutlinePathPoints);
-                }
-                else {
-                    if (pathLineCount !== 1) {
-                        throw new MIL.MILException("Internal state error: __MILPathPointsCollection__ was expected to contain 1 entry, but is has " + pathLineCount + " entries.");
-                    }
-                    return (pathPointsCollection[0]); // The {x, y} points of the final (consolidated) SVG path
-                }
+            if (this._transactionDepth > 0) {
+                throw new MIL.MILException(methodName + "() cannot be called while a transaction (" + this._transactionName + ") is in progress");
             }
-        };
-        /** Deletes the Ink's Hull. */
-        Ink.prototype.DeleteHull = function () {
-            if (this.HullPath()) {
-                MIL.RemoveGesturesByTarget(this.HullPath()); // Note: Gestures on Ink usually target the hull-path
-                this.HullPath().remove();
-                this._hullPath = null;
+            if (MIL.IsInkDragInProgress()) {
+                throw new MIL.MILException(methodName + "() cannot be called while an Ink is being dragged");
             }
         };
-        /** Cancels the Ink instance (while it's in the process of being created). */
-        Ink.prototype.Cancel = function () {
-            if (this._finalPath !== null) {
-                MIL.log("Warning: Ink cannot be cancelled after it has been created");
-                return;
+        /**
+         * [Private Method] Calls the supplied undo/redo function of a command, without recording the operations it performs.
+         * @param {() => void} undoOrRedo The function to call.
+         */
+        CommandHistory.prototype.apply = function (undoOrRedo) {
+            this._isApplying = true;
+            this._restoredInks = [];
+            try {
+                undoOrRedo();
+            }
+            finally {
+                this._isApplying = false;
             }
-            var pointerID = this._pointerID;
-            var svgInfo = MIL.getSvgInfo(this.ParentGesture().Target());
-            // Remove the multiple [overlapping] constituent paths
-            var constituentPaths = svgInfo.gSelection.selectAll("[data-pointerID=" + pointerID + "]");
-            constituentPaths.remove();
-            this._finalPath = null;
-            this._pointerID = null;
-            this._nonDrawingPathPoints = null;
-            this._isStarted = false;
-            this.deleteInksEntry();
-            delete MIL._inkCompletePathPointData[pointerID];
-            delete MIL._inkCurrentPathPointData[pointerID];
-            delete _inkCurrentPath[pointerID];
-        };
-        /** Deletes the Ink instance. */
-        Ink.prototype.Delete = function () {
-            this.DeleteHull();
-            MIL.RemoveGesturesByTarget(this.Path()); // Note: Gestures on Ink rarely target the ink-path (they typically target the hull-path)
-            this.Path().remove();
-            this.deleteInksEntry();
-            MIL.log("Ink created by gesture '" + this.ParentGesture().Name() + "' was deleted (" + MIL._inks.length + " Inks remain)");
         };
-        /** [Private Method] Removes the Ink instance from the list of all Inks (_inks). */
-        Ink.prototype.deleteInksEntry = function () {
-            // TODO: Ink shouldn't really have any knowledge of _inks
-            var index = MIL._inks.indexOf(this);
-            if (index !== -1) {
-                MIL._inks.splice(index, 1);
+        /** [Private Method] Discards the oldest commands that exceed the Capacity(). */
+        CommandHistory.prototype.trimUndoStack = function () {
+            if (this._undoStack.length > this._capacity) {
+                this._undoStack.splice(0, this._undoStack.length - this._capacity);
             }
-            // ParentGesture.Ink() is the LATEST Ink created by the Gesture (Gesture:Ink is 1:m)
-            if (this.ParentGesture().Ink() === this) {
-                this.ParentGesture().ink(null);
+        };
+        /**
+         * [Private Method] Invokes the OnChangedHandler() (if any).
+         * @param {HistoryChangeType} changeType The type of change.
+         * @param {string} commandName The name of the affected command (null for HistoryChangeType.Clear).
+         */
+        CommandHistory.prototype.raiseChanged = function (changeType, commandName) {
+            var restoredInks = ((changeType === HistoryChangeType.Undo) || (changeType === HistoryChangeType.Redo)) ? this._restoredInks : [];
+            this._restoredInks = [];
+            if (this._onChangedHandler !== null) {
+                this._onChangedHandler.call(this, changeType, commandName, restoredInks);
             }
         };
-        Ink.prototype.Scale = function (scale, startScale, startStrokeWidth, excludeHull) {
-            if ((scale === undefined) && (startScale === undefined) && (startStrokeWidth === undefined) && (excludeHull === undefined)) {
-                return (this._scale);
+        return CommandHistory;
+    }());
+    MIL.CommandHistory = CommandHistory;
+    /**
+     * [Internal] Returns the CommandHistory of the <svg> that contains the specified element, or null if the <svg> has not been initialized (with MIL.Initialize()).
+     * @param {TargetDomElement} targetElement An element in an <svg>.
+     * @returns {CommandHistory | null} Result.
+     * @internal
+     */
+    function getHistory(targetElement) {
+        var svgInfo = MIL.getSvgInfo(targetElement);
+        return (svgInfo ? svgInfo.history : null);
+    }
+    MIL.getHistory = getHistory;
+    /**
+     * [Internal] Records the creation of the supplied [complete] Ink.
+     * @param {Ink} ink The new Ink.
+     * @internal
+     */
+    function recordInkAdded(ink) {
+        var history = getHistory(ink.Path());
+        if (history && history.isRecording()) {
+            var inkID_1 = ink.InkID();
+            var deletedInk_1 = null;
+            history.Record({
+                name: "AddInk",
+                undo: function () { deletedInk_1 = deleteInkByID(inkID_1); },
+                redo: function () { restoreInk(history, deletedInk_1); }
+            });
+        }
+    }
+    MIL.recordInkAdded = recordInkAdded;
+    /**
+     * [Internal] Records the deletion of the supplied Ink. Must be called BEFORE the Ink is deleted.
+     * @param {Ink} ink The Ink about to be deleted.
+     * @internal
+     */
+    function recordInkDeleted(ink) {
+        var history = getHistory(ink.Path());
+        if (history && history.isRecording()) {
+            var inkID_2 = ink.InkID();
+            var deletedInk_2 = getDeletedInk(ink);
+            history.Record({
+                name: "DeleteInk",
+                undo: function () { restoreInk(history, deletedInk_2); },
+                redo: function () { deletedInk_2 = deleteInkByID(inkID_2); }
+            });
+        }
+    }
+    MIL.recordInkDeleted = recordInkDeleted;
+    /**
+     * [Internal] Records the [completed] translation of the supplied Inks.
+     * @param {Ink[]} inks The Inks that were translated.
+     * @param {number} deltaX The number of pixels the Inks were translated by on the x-axis.
+     * @param {number} deltaY The number of pixels the Inks were translated by on the y-axis.
+     * @internal
+     */
+    function recordInksTranslated(inks, deltaX, deltaY) {
+        var history = (inks.length > 0) ? getHistory(inks[0].Path()) : null;
+        if (history && history.isRecording() && ((deltaX !== 0) || (deltaY !== 0))) {
+            var inkIDs_1 = inks.map(function (ink) { return (ink.InkID()); });
+            var translateInks_1 = function (dx, dy) {
+                inkIDs_1.forEach(function (inkID) { getExistingInk(inkID).translate(dx, dy); });
+            };
+            history.Record({
+                name: "DragInk",
+                undo: function () { translateInks_1(-deltaX, -deltaY); },
+                redo: function () { translateInks_1(deltaX, deltaY); }
+            });
+        }
+    }
+    MIL.recordInksTranslated = recordInksTranslated;
+    /**
+     * [Internal] Records the [completed] re-scaling of the supplied Ink (see Ink.Scale()).
+     * @param {Ink} ink The Ink that was re-scaled.
+     * @param {number} oldScale The scale of the Ink before it was re-scaled.
+     * @param {number} newScale The scale of the Ink after it was re-scaled.
+     * @param {number} strokeWidth How thick the Ink's line is (in pixels).
+     * @internal
+     */
+    function recordInkScaled(ink, oldScale, newScale, strokeWidth) {
+        var history = getHistory(ink.Path());
+        if (history && history.isRecording() && (oldScale !== newScale)) {
+            var inkID_3 = ink.InkID();
+            history.Record({
+                name: "ScaleInk",
+                undo: function () { getExistingInk(inkID_3).Scale(oldScale, newScale, strokeWidth, false); },
+                redo: function () { getExistingInk(inkID_3).Scale(newScale, oldScale, strokeWidth, false); }
+            });
+        }
+    }
+    MIL.recordInkScaled = recordInkScaled;
+    /**
+     * [Internal] Records the rotation of the supplied Ink (see Ink.Rotation()).
+     * @param {Ink} ink The Ink that was rotated.
+     * @param {number} oldRotation The rotation of the Ink before it was rotated.
+     * @param {number} newRotation The rotation of the Ink after it was rotated.
+     * @param {Point} pivot The point the Ink was rotated around.
+     * @internal
+     */
+    function recordInkRotated(ink, oldRotation, newRotation, pivot) {
+        var history = getHistory(ink.Path());
+        if (history && history.isRecording() && (oldRotation !== newRotation)) {
+            var inkID_4 = ink.InkID();
+            history.Record({
+                name: "RotateInk",
+                undo: function () { getExistingInk(inkID_4).Rotation(oldRotation, pivot); },
+                redo: function () { getExistingInk(inkID_4).Rotation(newRotation, pivot); }
+            });
+        }
+    }
+    MIL.recordInkRotated = recordInkRotated;
+    /**
+     * [Internal] Records the stretching of the supplied Ink (see Ink.stretch()).
+     * @param {Ink} ink The Ink that was stretched.
+     * @param {number} scaleX The factor the Ink was scaled by on the x-axis.
+     * @param {number} scaleY The factor the Ink was scaled by on the y-axis.
+     * @param {Point} origin The point that remained fixed.
+     * @internal
+     */
+    function recordInkStretched(ink, scaleX, scaleY, origin) {
+        var history = getHistory(ink.Path());
+        if (history && history.isRecording() && ((scaleX !== 1) || (scaleY !== 1))) {
+            var inkID_5 = ink.InkID();
+            history.Record({
+                name: "StretchInk",
+                undo: function () { getExistingInk(inkID_5).stretch(1 / scaleX, 1 / scaleY, origin); },
+                redo: function () { getExistingInk(inkID_5).stretch(scaleX, scaleY, origin); }
+            });
+        }
+    }
+    MIL.recordInkStretched = recordInkStretched;
+    /**
+     * [Internal] Records the re-styling of the supplied Ink (see Ink.Restyle()).
+     * @param {Ink} ink The Ink that was re-styled.
+     * @param {InkStyle} oldStyle The style of the Ink before it was re-styled.
+     * @param {InkStyle} newStyle The style of the Ink after it was re-styled.
+     * @internal
+     */
+    function recordInkRestyled(ink, oldStyle, newStyle) {
+        var history = getHistory(ink.Path());
+        if (history && history.isRecording()) {
+            var inkID_6 = ink.InkID();
+            history.Record({
+                name: "RestyleInk",
+                undo: function () { getExistingInk(inkID_6).Restyle(oldStyle.className, oldStyle.strokeColor, oldStyle.strokeWidth); },
+                redo: function () { getExistingInk(inkID_6).Restyle(newStyle.className, newStyle.strokeColor, newStyle.strokeWidth); }
+            });
+        }
+    }
+    MIL.recordInkRestyled = recordInkRestyled;
+    /**
+     * [Internal] Records the re-decoration of the supplied Ink (see Ink.Redecorate()).
+     * @param {Ink} ink The Ink that was re-decorated.
+     * @param {InkDecoration} oldDecoration The decoration of the Ink before it was re-decorated.
+     * @param {InkDecoration} newDecoration The decoration of the Ink after it was re-decorated.
+     * @internal
+     */
+    function recordInkRedecorated(ink, oldDecoration, newDecoration) {
+        var history = getHistory(ink.Path());
+        if (history && history.isRecording()) {
+            var inkID_7 = ink.InkID();
+            history.Record({
+                name: "RedecorateInk",
+                undo: function () { getExistingInk(inkID_7).Redecorate(oldDecoration); },
+                redo: function () { getExistingInk(inkID_7).Redecorate(newDecoration); }
+            });
+        }
+    }
+    MIL.recordInkRedecorated = recordInkRedecorated;
+    /**
+     * [Private Method] Returns the Ink with the specified ID, throwing if it no longer exists [ie. if it was changed outside of the CommandHistory].
+     * @param {string} inkID The ID of the Ink.
+     * @returns {Ink} Result.
+     */
+    function getExistingInk(inkID) {
+        var ink = MIL.GetInkByID(inkID);
+        if (ink === null) {
+            throw new MIL.MILException("Ink '" + inkID + "' no longer exists, so the command cannot be undone/redone");
+        }
+        return (ink);
+    }
+    /**
+     * [Private Method] Returns the information needed to re-create the supplied Ink (in the same z-order) after it's deleted.
+     * @param {Ink} ink An Ink.
+     * @returns {DeletedInk} Result.
+     */
+    function getDeletedInk(ink) {
+        var pathDomElement = ink.Path().node();
+        var nextInkID = null;
+        // Find the Ink path above the Ink in z-order (if any)
+        // Note: We use nextSibling because IE11 doesn't support nextElementSibling on SVG elements
+        for (var node = pathDomElement.nextSibling; (node !== null) && (nextInkID === null); node = node.nextSibling) {
+            if ((node instanceof SVGPathElement) && node.classList.contains("MILInkPath")) {
+                var nextInk = MIL.GetInkByElement(node);
+                nextInkID = nextInk ? nextInk.InkID() : null;
+            }
+        }
+        return ({ serializedInk: ink.serialize(), gDomElement: pathDomElement.parentNode, nextInkID: nextInkID });
+    }
+    /**
+     * [Private Method] Deletes the Ink with the specified ID, returning the information needed to re-create it.
+     * @param {string} inkID The ID of the Ink.
+     * @returns {DeletedInk} Result.
+     */
+    function deleteInkByID(inkID) {
+        var ink = getExistingInk(inkID);
+        var deletedInk = getDeletedInk(ink);
+        ink.Delete();
+        return (deletedInk);
+    }
+    /**
+     * [Private Method] Re-creates a deleted Ink (with its original ID and z-order).
+     * @param {CommandHistory} history The CommandHistory that is re-creating the Ink.
+     * @param {DeletedInk} deletedInk The deleted Ink.
+     */
+    function restoreInk(history, deletedInk) {
+        var ink = new MIL.Ink(null).rehydrate(deletedInk.gDomElement, deletedInk.serializedInk);
+        var nextInk = (deletedInk.nextInkID !== null) ? MIL.GetInkByID(deletedInk.nextInkID) : null;
+        if ((nextInk !== null) && (nextInk.Path().node().parentNode === deletedInk.gDomElement)) {
+            deletedInk.gDomElement.insertBefore(ink.Path().node(), nextInk.Path().node());
+            if (ink.HullPath() !== null) {
+                deletedInk.gDomElement.insertBefore(ink.HullPath().node(), nextInk.Path().node());
+            }
+        }
+        history.inkRestored(ink);
+    }
+})(MIL || (MIL = {}));
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT license.
+var MIL;
+(function (MIL) {
+    /**
+     * [Internal] The CSS class added to the Path() of each selected Ink [so that the selection can be styled, and found, using CSS selector syntax ("path.MILSelectedInk")].
+     * @internal
+     */
+    MIL.SELECTED_INK_CLASS_NAME = "MILSelectedInk";
+    /**
+     * The InkSelection class. Each <svg> (see MIL.Initialize()) has its own InkSelection (see MIL.Selection()), which is the set of Inks that
+     * operations like drag (see Ink.DragStart()), Delete(), Restyle(), Redecorate() and Combine() apply to as a whole. While any Inks are selected, an adorner
+     * (an svg 'rect' with the "MILSelectionAdorner" class) is drawn around the Hulls of the selected Inks, and the Path() of each selected Ink has the "MILSelectedInk" class.
+     */
+    var InkSelection = /** @class */ (function () {
+        function InkSelection(gSelection) {
+            this._gSelection = gSelection;
+            this._inks = [];
+            this._adornerRect = null;
+            this._adornerClassName = null;
+            this._onChangedHandler = null;
+            this._onBoundsChangedHandler = null;
+        }
+        InkSelection.prototype.AdornerClass = function (className) {
+            if (className === undefined) {
+                return (this._adornerClassName);
             }
             else {
-                var oldScale = excludeHull ? this._scale : startScale;
-                var newScale = scale;
-                this.scaleInkPath(this.Path(), oldScale, newScale, startStrokeWidth, excludeHull);
-                if (this.HullPath()) {
-                    // Hide the hull while we're scaling
-                    this.HullPath().style("visibility", excludeHull ? "hidden" : "visible");
-                    if (!excludeHull) {
-                        var scaleDelta = (scale - startScale) / startScale;
-                        this.scaleHullPath(this.HullPath(), scaleDelta);
-                    }
-                }
-                this._scale = scale;
-                // log("DEBUG: Ink scaled to " + this._scale.toFixed(2) + "x", FeatureNames.Debug);
+                this._adornerClassName = className;
+                this.updateAdorner();
                 return (this);
             }
         };
+        InkSelection.prototype.OnChangedHandler = function (handler) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._onChangedHandler; }), handler));
+        };
         /**
-         * [Internal] If the Ink is being dragged, returns the latest position of the pointer doing the dragging. Otherwise, returns null.
-         * @returns {Point | null} Result.
-         * @internal
+         * [ReadOnly Property] Returns the selected Inks (in the order they were selected).
+         * @returns {Ink[]} Result.
          */
-        Ink.prototype.previousDragMovePoint = function () {
-            return (this._previousDragMovePoint);
+        InkSelection.prototype.Inks = function () {
+            MIL.readOnlyProperty("Inks", arguments);
+            return (this._inks.slice());
         };
-        /** [Private Method] Applies the current Class/StrokeColor/StrokeWidth to either the final "consolidated" path (if available), or the current constituent path of an in-flight inking. */
-        Ink.prototype.applyStyle = function () {
-            var pathSelection = (this._finalPath !== null) ? this._finalPath : _inkCurrentPath[this._pointerID];
-            if (this._isEraserDrawing) {
-                if (this._eraserClassName) {
-                    pathSelection.attr("class", this._eraserClassName);
-                }
-                else {
-                    // Apply defaults if no EraserClass was provided
-                    pathSelection.node().style.stroke = "white";
-                    pathSelection.node().style.strokeWidth = "20px";
-                }
-                pathSelection.node().__MILIsEraser__ = true; // To make it easy to detect eraser paths
-            }
-            else {
-                // Apply Class/StrokeColor/StrokeWidth (if any)
-                if (this._isNonDrawing && this._cometTailClassName) {
-                    pathSelection.attr("class", this._cometTailClassName);
-                }
-                else {
-                    pathSelection.attr("class", this._className);
-                    pathSelection.node().style.stroke = !this._className ? this._strokeColor : "";
-                    pathSelection.node().style.strokeWidth = !this._className ? this._strokeWidth : "";
-                    // Apply defaults if no Class and no StrokeColor/StrokeWidth are provided
-                    if (!this.Class()) {
-                        if (!this.StrokeColor()) {
-                            pathSelection.node().style.stroke = "black";
-                        }
-                        if (!this.StrokeWidth()) {
-                            pathSelection.node().style.strokeWidth = "4px";
-                        }
-                    }
-                }
-            }
+        /**
+         * [ReadOnly Property] Returns the number of selected Inks.
+         * @returns {number} Result.
+         */
+        InkSelection.prototype.Count = function () {
+            MIL.readOnlyProperty("Count", arguments);
+            return (this._inks.length);
         };
-        Ink.prototype.OnDragMoveHandler = function (handler) {
-            var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._onDragMoveHandler; }), handler));
+        /**
+         * Returns true if the supplied Ink is selected.
+         * @param {Ink} ink The Ink to check.
+         * @returns {boolean} Result.
+         */
+        InkSelection.prototype.Contains = function (ink) {
+            return (this._inks.indexOf(ink) !== -1);
         };
         /**
-         * [Private Method] Returns true if the specified PointerEvent was generated from the pen eraser.
-         * @param {PointerEvent} e A PointerEvent.
-         * @return {boolean} Result.
+         * Selects the supplied Ink(s), replacing the current selection unless 'addToSelection' is true. Inks in a locked or hidden layer (see MIL.Layers()) are not selected.
+         * @param {Ink | Ink[]} inks The Ink(s) to select.
+         * @param {boolean} [addToSelection] [Optional] When true, the Ink(s) are added to the current selection (default is false).
+         * @returns {this} The InkSelection instance.
          */
-        Ink.prototype.isEraser = function (e) {
-            // Check if the [pen] eraser button is currently pressed, or if 'e' is the [pointer-up] event when the [pen] eraser button stopped being pressed
-            // (ie. the eraser button was the source of the [pen] button state-transition [to not-pressed]) [see http://www.w3.org/TR/pointerevents2/]
-            var isEraser = (e.pointerType === "pen") && (((e.buttons & MIL.PenButton.Eraser) === MIL.PenButton.Eraser) || (e.button === 5));
-            return (isEraser);
+        InkSelection.prototype.Select = function (inks, addToSelection) {
+            if (addToSelection === void 0) { addToSelection = false; }
+            var inksToSelect = Array.isArray(inks) ? inks : [inks];
+            var removedInks = addToSelection ? [] : this._inks.filter(function (ink) { return (inksToSelect.indexOf(ink) === -1); });
+            var addedInks = [];
+            inksToSelect.forEach(function (ink) {
+                if (ink.Path() === null) {
+                    throw new MIL.MILException("An Ink cannot be selected until it has been created");
+                }
+                // Note: Inks in locked or hidden layers (see MIL.Layers()) are ignored
+                if (!this.Contains(ink) && (addedInks.indexOf(ink) === -1) && MIL.isInEditableLayer(ink.Path())) {
+                    addedInks.push(ink);
+                }
+            }, this);
+            this.change(addedInks, removedInks);
+            return (this);
         };
         /**
-         * Starts the Ink instance.
-         * @returns {Ink} The Ink instance.
+         * Deselects the supplied Ink(s). Inks that are not selected are ignored.
+         * @param {Ink | Ink[]} inks The Ink(s) to deselect.
+         * @returns {this} The InkSelection instance.
          */
-        Ink.prototype.Start = function () {
-            // Prevent starting more than once
-            if (this._isStarted) {
-                MIL.log("Warning: An Ink cannot be started more than once");
-                return (this);
+        InkSelection.prototype.Deselect = function (inks) {
+            var inksToDeselect = Array.isArray(inks) ? inks : [inks];
+            var removedInks = this._inks.filter(function (ink) { return (inksToDeselect.indexOf(ink) !== -1); });
+            this.change([], removedInks);
+            return (this);
+        };
+        /**
+         * Selects the supplied Ink if it's not selected, or deselects it if it is. The rest of the selection is unchanged.
+         * @param {Ink} ink The Ink to toggle.
+         * @returns {this} The InkSelection instance.
+         */
+        InkSelection.prototype.Toggle = function (ink) {
+            return (this.Contains(ink) ? this.Deselect(ink) : this.Select(ink, true));
+        };
+        /**
+         * Deselects all Inks.
+         * @returns {this} The InkSelection instance.
+         */
+        InkSelection.prototype.Clear = function () {
+            this.change([], this._inks.slice());
+            return (this);
+        };
+        /**
+         * Selects the Inks inside the specified 'region' (see MIL.Utils.FindShapeElementsInRegion()), replacing the current selection unless 'addToSelection' is true.
+         * When 'region' is an Ink (eg. a lasso) it is never selected itself.
+         * @param {Point[] | Ink} region A polygon (within the 'g' element of the <svg>) defining the region to search within. Can also be an Ink instance.
+         * @param {FindShapeFilter} [filter] [Optional] Filter function to do an additional check to decide if a found Ink should be selected.
+         * @param {number} [percentageInside] [Optional] A value from 0..1 that defines the ratio of the points in an Ink that must be inside 'region' for it to be selected (default is 0.8).
+         * @param {boolean} [addToSelection] [Optional] When true, the found Inks are added to the current selection (default is false).
+         * @returns {Ink[]} The Inks that were found in the region.
+         */
+        InkSelection.prototype.SelectInRegion = function (region, filter, percentageInside, addToSelection) {
+            if (addToSelection === void 0) { addToSelection = false; }
+            var foundInks = MIL.Utils.FindShapeElementsInRegion(this._gSelection, MIL.Utils.ShapeNodeType.Ink, region, filter, percentageInside);
+            foundInks = foundInks.filter(function (ink) { return (ink !== region); });
+            this.Select(foundInks, addToSelection);
+            return (foundInks);
+        };
+        /**
+         * Deletes all the selected Inks (as a single undoable command).
+         * @returns {this} The InkSelection instance.
+         */
+        InkSelection.prototype.Delete = function () {
+            var history = MIL.getHistory(this._gSelection);
+            history.BeginTransaction("DeleteSelection");
+            try {
+                // Note: Ink.Delete() removes each Ink from the selection
+                this._inks.slice().forEach(function (ink) { ink.Delete(); });
             }
-            var e = MIL.getPointerDownEvent(this._pointerID, this.ParentGesture().Target());
-            var isEraser = this.isEraser(e);
-            var ruler = MIL.getSvgInfo(e.target).ruler;
-            this._isEraserDrawing = !this.IsNonDrawing() && isEraser;
-            if (!this._isNonDrawing && this._cometTailClassName) {
-                throw new MIL.MILException("Ink.CometTailClass() can only be set when IsNonDrawing() is true");
+            finally {
+                history.EndTransaction();
             }
-            // Determine if the Ink should be coerced to the Ruler (if available and visible)
-            if (!this.IsNonDrawing() && ruler && ruler.IsVisible()) {
-                var line = ruler.GetFaceEdgeLine();
-                var inkStartPoint = this.ParentGesture().GetStartSvgPoint("{P1}");
-                var pointOnLine = MIL.Utils.GetClosestPointOnLine(inkStartPoint, line[0], line[1]);
-                var distanceToRuler = MIL.Utils.GetDistanceBetweenPoints(inkStartPoint, pointOnLine);
-                this._isCoercingInkToRuler = (distanceToRuler < (ruler.Height() * 0.25));
+            return (this);
+        };
+        /**
+         * Changes the Class/StrokeColor/StrokeWidth of all the selected Inks (as a single undoable command). See Ink.Restyle().
+         * @param {string} className The new CSS class to use to draw the Inks. Can be null, in which case 'strokeColor' and 'strokeWidth' are used.
+         * @param {string} [strokeColor] [Optional] The new color to use to draw the Inks (ignored if 'className' is supplied).
+         * @param {string} [strokeWidth] [Optional] The new thickness to use to draw the Inks (ignored if 'className' is supplied).
+         * @returns {this} The InkSelection instance.
+         */
+        InkSelection.prototype.Restyle = function (className, strokeColor, strokeWidth) {
+            var history = MIL.getHistory(this._gSelection);
+            history.BeginTransaction("RestyleSelection");
+            try {
+                this._inks.forEach(function (ink) { ink.Restyle(className, strokeColor, strokeWidth); });
             }
-            else {
-                this._isCoercingInkToRuler = false;
+            finally {
+                history.EndTransaction();
             }
-            // Start a new line (path)
-            this.startNewLine(e);
-            // There's no need to track a non-drawing Ink because it doesn't add a Path element
-            if (!this.IsNonDrawing()) {
-                MIL._inks.push(this); // Note: Must be explicitly removed via Ink.Delete() or Ink.Cancel()
+            this.updateAdorner(); // Restyling can change the stroke-width [and so the Hull]
+            return (this);
+        };
+        /**
+         * Changes the Decoration() of all the selected Inks (as a single undoable command). See Ink.Redecorate().
+         * @param {Partial<InkDecoration>} decoration The decoration options to change.
+         * @returns {this} The InkSelection instance.
+         */
+        InkSelection.prototype.Redecorate = function (decoration) {
+            var history = MIL.getHistory(this._gSelection);
+            history.BeginTransaction("RedecorateSelection");
+            try {
+                this._inks.forEach(function (ink) { ink.Redecorate(decoration); });
+            }
+            finally {
+                history.EndTransaction();
             }
-            this._isStarted = true;
             return (this);
         };
         /**
-         * [Private Method] Starts drawing a new line (path) using the specified pointerDown event. The line will be drawn on the corresponding svgInfo.gDomElement.
-         * @param {PointerEvent} e A pointerDown event.
+         * Combines the selected Inks into a single Ink (see Gesture.CombineInks()), which then becomes the [only] selected Ink.
+         * Returns the new (combined) Ink, or null if no Inks are selected.
+         * @param {Gesture} gesture The Gesture doing the combining (which will become the ParentGesture() of the new Ink).
+         * @param {string} className The name of the CSS class to apply to the combined Ink.
+         * @returns {Ink | null} Result.
          */
-        Ink.prototype.startNewLine = function (e) {
-            var pointerID = MIL.makePointerID(e);
-            var svgInfo = MIL.getSvgInfo(e.target);
-            var isCometTail = this._isNonDrawing && Boolean(this._cometTailClassName);
-            var isDrawing = !this._isNonDrawing || isCometTail;
-            if (isDrawing) {
-                if (_inkLineGenerator === null) {
-                    _inkLineGenerator = d3.line()
-                        .curve(d3.curveBasis) // See http://bl.ocks.org/mbostock/4342190
-                        .x(function (d) { return (d.x); })
-                        .y(function (d) { return (d.y); });
-                }
-                _inkCurrentPath[pointerID] = svgInfo.gSelection.append("path").attr("data-pointerID", pointerID); // "tag" the path with the pointerID that drew it
-                this.applyStyle();
-                if (isCometTail) {
-                    // Start a fade-out of the new (current) path
-                    var currentPath = _inkCurrentPath[pointerID]; // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
-                    MIL.Utils.Fade(currentPath, this._cometTailDurationInMs, null, function onFadeComplete() { if (currentPath)
-                        currentPath.remove(); });
-                }
+        InkSelection.prototype.Combine = function (gesture, className) {
+            var combinedInk = gesture.CombineInks(this._inks.slice(), className);
+            if (combinedInk !== null) {
+                this.Select(combinedInk);
             }
-            // Is this line brand new?
-            if (MIL._inkCompletePathPointData[pointerID].length === 0) {
-                if (MIL._postponedPointerEvents.length > 0) {
-                    // Add the pending _postponedPointerEvents to the path
-                    for (var i = 0; i < MIL._postponedPointerEvents.length; i++) {
-                        if (this._pointerID === MIL.makePointerID(MIL._postponedPointerEvents[i])) {
-                            this.OnPointerMove(MIL._postponedPointerEvents[i]);
-                        }
+            return (combinedInk);
+        };
+        /**
+         * [Internal] Removes the supplied Ink from the selection (if it's selected) because it's being deleted.
+         * @param {Ink} ink The Ink being deleted.
+         * @internal
+         */
+        InkSelection.prototype.inkDeleted = function (ink) {
+            if (this.Contains(ink)) {
+                this.change([], [ink]);
+            }
+        };
+        /**
+         * [Internal] Updates the adorner after the geometry of the supplied Ink has changed (if the Ink is selected).
+         * @param {Ink} ink The Ink that changed.
+         * @param {boolean} isInProgress Whether the change is still in progress (eg. a drag), in which case the adorner is hidden until the change is complete.
+         * @internal
+         */
+        InkSelection.prototype.inkChanged = function (ink, isInProgress) {
+            if (this.Contains(ink)) {
+                if (isInProgress) {
+                    if (this._adornerRect !== null) {
+                        this._adornerRect.style("visibility", "hidden");
                     }
+                    this.raiseBoundsChanged(null);
                 }
                 else {
-                    // Add the initial pointerDown point to the path
-                    this.OnPointerMove(e);
+                    this.updateAdorner();
                 }
             }
         };
         /**
-         * [Internal] Handler for a pointerMove event. Typically this is called by the Ink's owning Gesture (or by the Ink itself).
-         * @param {PointerEvent} e A pointerMove event.
+         * [Internal] Sets the callback to invoke when the bounds of the selection (ie. the adorner) change. The callback is passed null when there are no selected
+         * Inks, or when the selected Inks are being changed (eg. dragged).
+         * @param {(boundingRect: Rect | null) => void} handler The callback to invoke.
+         * @internal
          */
-        Ink.prototype.OnPointerMove = function (e) {
-            var pointerID = MIL.makePointerID(e);
-            var svgInfo = MIL.getSvgInfo(e.target);
-            // Since the main 'g' element can be transformed (ie. zoomed and/or panned), we need to transform the e.clientX/Y point into the coordinate space of the [potentially transformed] 'g' element
-            var pointInTransformSpace = MIL.TransposePointer(e, svgInfo.gDomElement);
-            var x = pointInTransformSpace.x, y = pointInTransformSpace.y;
-            var newPoint = { x: x, y: y };
-            if (this._isCoercingInkToRuler) {
-                // Was the ruler hidden while we were drawing?
-                if (!svgInfo.ruler.IsVisible()) {
-                    this.OnPointerUp(e);
-                    return;
-                }
-                var line = svgInfo.ruler.GetFaceEdgeLine();
-                var pointOnLine = MIL.Utils.GetClosestPointOnLine(newPoint, line[0], line[1]);
-                var distanceToRuler = MIL.Utils.GetDistanceBetweenPoints(newPoint, pointOnLine);
-                // Has the pointer moved too far away from the ruler?
-                if (distanceToRuler > (svgInfo.ruler.Height() * 0.25)) {
-                    this.OnPointerUp(e);
-                    return;
-                }
-                newPoint = { x: pointOnLine.x, y: pointOnLine.y };
+        InkSelection.prototype.onBoundsChanged = function (handler) {
+            this._onBoundsChangedHandler = handler;
+            this.updateAdorner(); // So that the handler is invoked with the current bounds
+        };
+        /**
+         * [Private Method] Applies a change to the selection, then updates the adorner and raises the OnChangedHandler (if the selection actually changed).
+         * @param {Ink[]} addedInks The Inks to select.
+         * @param {Ink[]} removedInks The Inks to deselect.
+         */
+        InkSelection.prototype.change = function (addedInks, removedInks) {
+            if ((addedInks.length === 0) && (removedInks.length === 0)) {
+                return;
             }
-            var maxPathSegments = this._isNonDrawing ? 8 : 100; // The non-drawing case is for a comet-tail
-            var overlappingPathSegments = this._isNonDrawing ? 7 : 2; // The non-drawing case is for a comet-tail
-            var pathPointData = MIL._inkCurrentPathPointData[pointerID];
-            var completePathPointData = MIL._inkCompletePathPointData[pointerID];
-            var isCometTail = this._isNonDrawing && Boolean(this._cometTailClassName);
-            var isDrawing = !this._isNonDrawing || isCometTail;
-            if (pathPointData === undefined) {
-                // A movement of the touch/mouse/pen has been detected, but before we got a 'pointerDown' for it [which is a valid condition]
+            this._inks = this._inks.filter(function (ink) { return (removedInks.indexOf(ink) === -1); }).concat(addedInks);
+            removedInks.forEach(function (ink) { ink.Path().classed(MIL.SELECTED_INK_CLASS_NAME, false); });
+            addedInks.forEach(function (ink) { ink.Path().classed(MIL.SELECTED_INK_CLASS_NAME, true); });
+            this.updateAdorner();
+            if (this._onChangedHandler !== null) {
+                this._onChangedHandler.call(this, this._inks.slice(), addedInks, removedInks);
+            }
+        };
+        /** [Private Method] Re-draws (or removes, if no Inks are selected) the selection adorner. */
+        InkSelection.prototype.updateAdorner = function () {
+            if (this._adornerRect !== null) {
+                this._adornerRect.remove();
+                this._adornerRect = null;
+            }
+            if (this._inks.length === 0) {
+                this.raiseBoundsChanged(null);
                 return;
             }
-            // To prevent a slow-down in rendering speed when pathPointData gets large [or to draw the comet-tail], we periodically spawn a new path
-            if (isDrawing && (pathPointData.length === maxPathSegments)) {
-                pathPointData.length = 0;
-                // Smooth the "join" between the old and new path [by adding the last overlappingPathSegments from the complete path-point list to the new "component" path]
-                if ((overlappingPathSegments > 0) && (overlappingPathSegments <= completePathPointData.length)) {
-                    var tailPoints = completePathPointData.slice(-overlappingPathSegments);
-                    Array.prototype.push.apply(pathPointData, tailPoints);
-                }
-                this.startNewLine(e);
+            var left = Number.MAX_VALUE, top = Number.MAX_VALUE, right = -Number.MAX_VALUE, bottom = -Number.MAX_VALUE;
+            this._inks.forEach(function (ink) {
+                // Note: An Ink without a Hull is adorned using the bounds of its path
+                var boundingBox = ((ink.HullPath() !== null) ? ink.HullPath() : ink.Path()).node().getBBox();
+                left = Math.min(left, boundingBox.x);
+                top = Math.min(top, boundingBox.y);
+                right = Math.max(right, boundingBox.x + boundingBox.width);
+                bottom = Math.max(bottom, boundingBox.y + boundingBox.height);
+            });
+            // Note: The adorner is [re-]added last so that it's on top of the Inks
+            this._adornerRect = this._gSelection.append("rect").classed("MILSelectionAdorner", true)
+                .attr("x", left).attr("y", top).attr("width", right - left).attr("height", bottom - top)
+                .style("pointer-events", "none"); // So that the adorner doesn't block Gestures on the Inks it adorns
+            if (this._adornerClassName) {
+                this._adornerRect.classed(this._adornerClassName, true);
             }
-            // Append new data point [but only if it's "different" from the last point (to help smooth the line and to cut down on the number of points stored)]
-            var isPointDifferentThanLast = true;
-            if (completePathPointData.length > 0) {
-                var lastPoint = completePathPointData[completePathPointData.length - 1];
-                var distanceThreshold = 3;
-                isPointDifferentThanLast = (Math.abs(lastPoint.x - newPoint.x) >= distanceThreshold) || (Math.abs(lastPoint.y - newPoint.y) >= distanceThreshold);
+            else {
+                this._adornerRect.style("fill", "none").style("stroke", "dodgerblue").style("stroke-width", "1px").style("stroke-dasharray", "4 3");
             }
-            if (isPointDifferentThanLast) {
-                completePathPointData.push(newPoint);
-                if (isDrawing) {
-                    // Redraw the path
-                    pathPointData.push(newPoint);
-                    _inkCurrentPath[pointerID].attr("d", _inkLineGenerator(pathPointData));
+            this.raiseBoundsChanged({ x: left, y: top, width: right - left, height: bottom - top });
+        };
+        /**
+         * [Private Method] Invokes the [internal] bounds-changed callback (if set).
+         * @param {Rect | null} boundingRect The new bounds of the selection, or null if there are no bounds to show.
+         */
+        InkSelection.prototype.raiseBoundsChanged = function (boundingRect) {
+            if (this._onBoundsChangedHandler !== null) {
+                this._onBoundsChangedHandler(boundingRect);
+            }
+        };
+        return InkSelection;
+    }());
+    MIL.InkSelection = InkSelection;
+    /**
+     * [Internal] Returns the InkSelection of the <svg> that contains the specified element, or null if the <svg> has not been initialized (with MIL.Initialize()).
+     * @param {TargetDomElement} targetElement An element in an <svg>.
+     * @returns {InkSelection | null} Result.
+     * @internal
+     */
+    function getInkSelection(targetElement) {
+        var svgInfo = MIL.getSvgInfo(targetElement);
+        return (svgInfo ? svgInfo.selection : null);
+    }
+    MIL.getInkSelection = getInkSelection;
+})(MIL || (MIL = {}));
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT license.
+var MIL;
+(function (MIL) {
+    /** The CSS class of the 'g' element of each InkLayer. */
+    var LAYER_CLASS_NAME = "MILLayer";
+    /** The CSS class added to the 'g' element of a locked InkLayer (see InkLayer.IsLocked()). */
+    var LOCKED_LAYER_CLASS_NAME = "MILLockedLayer";
+    /**
+     * The InkLayer class. A named layer of an <svg> (see MIL.Layers()) that Inks, and any other content, can be organized into. Each layer is an svg 'g' element
+     * (with the "MILLayer" class) in the 'g' element returned by MIL.Initialize(), so the order of the layers is their z-order.
+     * Inks in a locked or hidden layer are ignored by selection (see MIL.Selection()), hit-testing (eg. MIL.GetInksAtPoint()), erasing, auto-combining and Gestures.
+     */
+    var InkLayer = /** @class */ (function () {
+        function InkLayer(layers, name, gSelection) {
+            this._layers = layers;
+            this._name = name;
+            this._gSelection = gSelection;
+            this._isLocked = false;
+            gSelection.node().__MILLayer__ = this; // So that we can find the layer that an element is in (see getElementLayer())
+        }
+        InkLayer.prototype.Name = function (name) {
+            if (name === undefined) {
+                return (this._name);
+            }
+            else {
+                if (name !== this._name) {
+                    this._layers.checkNewName(name);
+                    this._name = name;
                 }
+                return (this);
             }
         };
         /**
-         * [Internal] Handler for a pointerUp event. Typically this is called by the Ink's owning Gesture (or by the Ink itself).
-         * @param {PointerEvent} e A pointerUp event.
+         * [ReadOnly Property] The 'g' element of the layer. Use this to add [non-Ink] content to the layer.
+         * @returns {D3SingleSelection} Property value.
          */
-        Ink.prototype.OnPointerUp = function (e) {
-            var pointerID = MIL.makePointerID(e);
-            var svgInfo = MIL.getSvgInfo(e.target);
-            if (this._isNonDrawing) {
-                this._nonDrawingPathPoints = MIL._inkCompletePathPointData[pointerID];
+        InkLayer.prototype.GElement = function () {
+            MIL.readOnlyProperty("GElement", arguments);
+            return (this._gSelection);
+        };
+        /**
+         * [ReadOnly Property] The position of the layer in the z-order of the layers (0 is the bottom-most layer). See InkLayers.Move().
+         * @returns {number} Property value.
+         */
+        InkLayer.prototype.Index = function () {
+            MIL.readOnlyProperty("Index", arguments);
+            return (this._layers.Layers().indexOf(this));
+        };
+        InkLayer.prototype.IsVisible = function (isVisible) {
+            if (isVisible === undefined) {
+                return (this._gSelection.style("display") !== "none");
             }
             else {
-                if (MIL._inkCompletePathPointData[pointerID] !== undefined) {
-                    // Handle a simple mouse click [in which case onPointerMove() will not have fired]
-                    if ((e.pointerType === "mouse") && (MIL._inkCompletePathPointData[pointerID].length === 0)) {
-                        // Since the main 'g' element can be transformed (ie. zoomed and/or panned), we need to transform the e.clientX/Y point into the coordinate space of the [potentially transformed] 'g' element
-                        var pointInTransformSpace = MIL.TransposePointer(e, svgInfo.gDomElement);
-                        MIL._inkCompletePathPointData[pointerID].push({ x: pointInTransformSpace.x, y: pointInTransformSpace.y });
-                    }
-                    this.consolidatePaths(e);
+                this._gSelection.style("display", isVisible ? null : "none");
+                if (!isVisible) {
+                    this.deselectInks();
                 }
-                // We store the path-points on the Path DOM element directly because this makes it easier to subsequently access them.
-                // Even though we only have a single array of points, we store them as an array of array of points in order to support
-                // multi-line paths [created via Gesture.CombineInks()].
-                this._finalPath.node().__MILPathPointsCollection__ = [MIL._inkCompletePathPointData[pointerID]];
+                return (this);
             }
-            this._pointerID = null; // To indicate that the inking is complete [and prevent getInkingGesture() from continuing to find gestures whose inking is complete]
-            this._isStarted = false;
-            delete MIL._inkCompletePathPointData[pointerID];
-            delete MIL._inkCurrentPathPointData[pointerID];
-            delete _inkCurrentPath[pointerID];
-            // Check if we should automatically combine this Ink with one-or-more other Inks that overlap with it in some way
-            if (!this._isEraserDrawing && !this._isNonDrawing && !this._isCoercingInkToRuler && (svgInfo.settings.InkAutoCombineMode() !== MIL.InkAutoCombineMode.Off)) {
-                var inksToCombine = [this];
-                var combinedPathClassName = "";
-                var autoCombineMode = svgInfo.settings.InkAutoCombineMode();
-                var combinationTargetFound = false;
-                var pointsToTest = this.PathPoints();
-                for (var i = 0; i < MIL._inks.length; i++) {
-                    if (MIL._inks[i] === this) {
-                        continue;
-                    }
-                    var polygonPoints = MIL._inks[i].PathPoints(); // Note: These are actually {x,y} points, not [x,y] points
-                    if ((autoCombineMode & MIL.InkAutoCombineMode.ContainedWithin) === MIL.InkAutoCombineMode.ContainedWithin) {
-                        var containedPointCount = MIL.Utils.CountPointsInPolygon(polygonPoints, pointsToTest);
-                        combinationTargetFound = (containedPointCount === pointsToTest.length);
-                    }
-                    if (!combinationTargetFound && ((autoCombineMode & MIL.InkAutoCombineMode.StartsWithin) === MIL.InkAutoCombineMode.StartsWithin)) {
-                        combinationTargetFound = MIL.Utils.IsPointInPolygon(polygonPoints, pointsToTest[0].x, pointsToTest[0].y);
-                    }
-                    if (!combinationTargetFound && ((autoCombineMode & MIL.InkAutoCombineMode.EndsWithin) === MIL.InkAutoCombineMode.EndsWithin)) {
-                        combinationTargetFound = MIL.Utils.IsPointInPolygon(polygonPoints, pointsToTest[pointsToTest.length - 1].x, pointsToTest[pointsToTest.length - 1].y);
-                    }
-                    if (!combinationTargetFound && ((autoCombineMode & MIL.InkAutoCombineMode.AnyPointWithin) === MIL.InkAutoCombineMode.AnyPointWithin)) {
-                        combinationTargetFound = MIL.Utils.IsAnyPointInPolygon(polygonPoints, pointsToTest);
-                    }
-                    if (combinationTargetFound) {
-                        combinedPathClassName = MIL._inks[i].Class() ? MIL._inks[i].Class() : combinedPathClassName;
-                        inksToCombine.push(MIL._inks[i]);
-                        combinationTargetFound = false;
-                    }
+        };
+        InkLayer.prototype.IsLocked = function (isLocked) {
+            if (isLocked === undefined) {
+                return (this._isLocked);
+            }
+            else {
+                this._isLocked = isLocked;
+                // Note: Disabling pointer-events makes the content of the layer (eg. the Ink Hulls) transparent to hit-testing, so Gestures can't target it
+                this._gSelection.classed(LOCKED_LAYER_CLASS_NAME, isLocked).style("pointer-events", isLocked ? "none" : null);
+                if (isLocked) {
+                    this.deselectInks();
                 }
-                if (inksToCombine.length > 1) {
-                    this.ParentGesture().CombineInks(inksToCombine, combinedPathClassName);
+                return (this);
+            }
+        };
+        InkLayer.prototype.Opacity = function (opacity) {
+            if (opacity === undefined) {
+                var value = this._gSelection.style("opacity");
+                return (value ? +value : 1);
+            }
+            else {
+                if ((opacity < 0) || (opacity > 1)) {
+                    throw new MIL.MILException("Opacity (" + opacity + ") must be in the range 0..1");
                 }
+                this._gSelection.style("opacity", (opacity === 1) ? null : opacity);
+                return (this);
             }
         };
         /**
-         * Starts a drag operation for the Ink. When the drag is complete, call Ink.DragEnd().
-         * @param {Gesture} dragGesture The Gesture being used to drag the Ink (must target the Ink's Hull).
-         * @param {string} [groupDragSelectionClassName] [Optional] The name of a class used to find the set of Inks to drag (ie. a multi-select drag).
+         * [ReadOnly Property] Returns the Inks in the layer, in z-order (bottom-most first).
+         * @returns {Ink[]} Result.
          */
-        Ink.prototype.DragStart = function (dragGesture, groupDragSelectionClassName) {
-            if (dragGesture.Target() !== this.HullPath().node()) {
-                throw new MIL.MILException("The specified 'dragGesture' must target the Ink.HullPath()");
-            }
-            var ink = this;
-            var startPoint = dragGesture.GetStartSvgPoint("{P1}"); // TODO: Revisit defaulting to using the {P1} pointer of the drag gesture
-            var svgInfo = MIL.getSvgInfo(dragGesture.Target());
-            var inkPath = this.Path();
-            var hullPath = this.HullPath();
-            var isDraggedSelection = groupDragSelectionClassName && inkPath.classed(groupDragSelectionClassName);
-            this._previousDragMovePoint = startPoint;
-            this._groupDragSelectionClassName = groupDragSelectionClassName || null;
-            this._dragGesture = dragGesture;
-            // Re-create the inkHull (drag target) and the inkPath (we do this to change the z-order of these elements [z-order = order
-            // added to SVG] to "top", so that they are dragged above erasure paths and other draggable elements)
-            var selectedPaths = inkPath;
-            var selectedHulls = hullPath;
-            if (isDraggedSelection) {
-                var g = svgInfo.gSelection;
-                selectedPaths = g.selectAll("path.MILInkPath" + (ink._groupDragSelectionClassName ? "." + ink._groupDragSelectionClassName : ""));
-                selectedHulls = g.selectAll("path.MILInkHullPath").filter(function () { return (ink.getInkPathAssociatedWithHull(this).classed(ink._groupDragSelectionClassName)); });
-            }
-            var draggedPathElements = selectedPaths.remove().nodes();
-            draggedPathElements.forEach(function (element) { svgInfo.gDomElement.appendChild(element); });
-            var draggedHullElements = selectedHulls.remove().nodes();
-            draggedHullElements.forEach(function (element) { svgInfo.gDomElement.appendChild(element); });
-            // The dragGesture didn't create the Ink whose hull it's targeted on, but since it needs to operate on the
-            // Ink.Path() in addition to the Ink.HullPath() [its Target()], we tag the gesture with its "host" Ink
-            if ((dragGesture.Ink() !== null) && (dragGesture.Ink() !== this)) {
-                throw new MIL.MILException("The specified 'dragGesture' has an unexpected Ink() value");
-            }
-            dragGesture.ink(this);
-            dragGesture.OnMoveHandler(Ink.dragMove); // This handler will be removed automatically when the gesture ends [by removePointer()])
+        InkLayer.prototype.Inks = function () {
+            MIL.readOnlyProperty("Inks", arguments);
+            return (this._gSelection.selectAll("path.MILInkPath").nodes().map(MIL.GetInkByElement).filter(function (ink) { return (ink !== null); }));
         };
         /**
-         * [Private Static Method] A handler for pointerMove events when the Ink is being dragged.
-         * Note: The value of 'this' must be explicitly set to the Gesture that is performing the drag [eg. using call()] otherwise the method will throw.
-         * @param {PointerEvent} e A pointerMove event.
+         * Moves the supplied [completed] Ink(s) to the top of the layer (keeping their relative z-order).
+         * Note: Like the other changes to layers, this is not recorded in the undo/redo history (see MIL.History()).
+         * @param {Ink | Ink[]} inks The Ink(s) to move.
+         * @returns {this} The InkLayer instance.
          */
-        Ink.dragMove = function (e) {
-            // Note: Gesture.OnMoveHandler() [which is how Ink.dragMove() gets called] will prevent e from bubbling
-            // PORT: This check was added (because by default 'this' will be 'typeof Ink' due to it being a static member of the Ink class)
-            if (MIL.Utils.GetObjectType(this) !== "Gesture") {
-                throw new MIL.MILException("The value of 'this' has not been explicitly set to a Gesture instance");
-            }
-            var dragGesture = MIL.ThisGesture(this);
-            var ink = dragGesture.Ink();
-            var pointerID = dragGesture.GetPointerID("{P1}"); // TODO: Revisit defaulting to using the {P1} pointer of the drag gesture
-            // We only care about pointer-move events for the {P1} pointer
-            if (MIL.makePointerID(e) !== pointerID) {
-                return;
-            }
-            var currentPoint = dragGesture.GetCurrentSvgPoint("{P1}");
-            var previousPoint = ink._previousDragMovePoint;
-            var svgInfo = MIL.getSvgInfo(dragGesture.Target());
-            var deltaX = (currentPoint.x - previousPoint.x);
-            var deltaY = (currentPoint.y - previousPoint.y);
-            var inkPath = ink.Path();
-            ink._previousDragMovePoint = currentPoint;
-            if ((deltaX !== 0) || (deltaY !== 0)) {
-                if (ink._groupDragSelectionClassName && inkPath.classed(ink._groupDragSelectionClassName)) {
-                    var g = svgInfo.gSelection;
-                    var selectedPaths = g.selectAll("path.MILInkPath" + (ink._groupDragSelectionClassName ? "." + ink._groupDragSelectionClassName : ""));
-                    var selectedHulls = g.selectAll("path.MILInkHullPath").filter(function () { return (ink.getInkPathAssociatedWithHull(this).classed(ink._groupDragSelectionClassName)); });
-                    // Move the inkPath(s) (using the "fast" translation method)
-                    selectedPaths.each(function (d, i) {
-                        var inkPath = d3.select(this);
-                        ink.translateInkPath(inkPath, deltaX, deltaY, true);
-                    });
-                    // Move the inkHull(s)
-                    selectedHulls.each(function (d, i) {
-                        var inkHullPath = d3.select(this);
-                        ink.translateHullPath(inkHullPath, deltaX, deltaY, true);
-                    });
-                }
-                else {
-                    // Move the inkPath (using the "fast" translation method)
-                    ink.translateInkPath(inkPath, deltaX, deltaY, true);
-                    // Move the inkHull
-                    ink.translateHullPath(ink.HullPath(), deltaX, deltaY, true);
-                }
-                // Call the user-supplied drag-move handler (if any) [eg. to move user content associated with the ink/hull]
-                if (ink.OnDragMoveHandler() !== null) {
-                    ink.OnDragMoveHandler()(deltaX, deltaY); // PORT: Design change idea: should we modify this to a call() so that we can also supply the Ink instance?
+        InkLayer.prototype.MoveInks = function (inks) {
+            var inksToMove = Array.isArray(inks) ? inks : [inks];
+            var gDomElement = this._gSelection.node();
+            if (MIL.IsInkDragInProgress()) {
+                throw new MIL.MILException("Inks cannot be moved to a layer while an Ink is being dragged");
+            }
+            inksToMove.forEach(function (ink) {
+                if ((ink.Path() === null) || ink.IsNonDrawing()) {
+                    throw new MIL.MILException("Only completed Inks can be moved to a layer");
+                }
+                if (MIL.getSvgInfo(ink.Path()).gDomElement !== MIL.getSvgInfo(gDomElement).gDomElement) {
+                    throw new MIL.MILException("Ink '" + ink.InkID() + "' is not on the same <svg> as layer '" + this._name + "'");
+                }
+            }, this);
+            inksToMove.sort(function (ink1, ink2) {
+                var isInk2AboveInk1 = (ink1.Path().node().compareDocumentPosition(ink2.Path().node()) & Node.DOCUMENT_POSITION_FOLLOWING) !== 0;
+                return (isInk2AboveInk1 ? -1 : 1);
+            });
+            inksToMove.forEach(function (ink) {
+                gDomElement.appendChild(ink.Path().node());
+                if (ink.HullPath() !== null) {
+                    gDomElement.appendChild(ink.HullPath().node());
                 }
+                ink.applyHighlighter(); // A highlighter must stay beneath the regular Inks in its new layer
+            });
+            if (!this.isEditable()) {
+                MIL.getInkSelection(gDomElement).Deselect(inksToMove);
             }
+            return (this);
         };
-        /** Ends the drag operation started by Ink.DragStart(). */
-        Ink.prototype.DragEnd = function () {
-            if (this._dragGesture === null) {
-                return;
-            }
-            var ink = this;
-            var dragGesture = this._dragGesture;
-            var currentPoint = dragGesture.GetCurrentSvgPoint("{P1}"); // TODO: Revisit defaulting to using the {P1} pointer of the drag gesture
-            var startPoint = dragGesture.GetStartSvgPoint("{P1}");
-            var deltaX = (currentPoint.x - startPoint.x);
-            var deltaY = (currentPoint.y - startPoint.y);
-            var svgInfo = MIL.getSvgInfo(dragGesture.Target());
-            var inkPath = this.Path();
-            var hullPath = this.HullPath();
-            var isDraggedSelection = this._groupDragSelectionClassName && inkPath.classed(this._groupDragSelectionClassName);
-            // Do the final "manual" translation of the ink (to update __MILPathPointsCollection__ and clear the transform) and hull
-            if (isDraggedSelection) {
-                var g = svgInfo.gSelection;
-                var selectedPaths = g.selectAll("path.MILInkPath" + (ink._groupDragSelectionClassName ? "." + ink._groupDragSelectionClassName : ""));
-                var selectedHulls = g.selectAll("path.MILInkHullPath").filter(function () { return (ink.getInkPathAssociatedWithHull(this).classed(ink._groupDragSelectionClassName)); });
-                selectedPaths.each(function (d, i) {
-                    var inkPath = d3.select(this);
-                    ink.translateInkPath(inkPath, deltaX, deltaY, false);
-                });
-                selectedHulls.each(function (d, i) {
-                    var inkHullPath = d3.select(this);
-                    ink.translateHullPath(inkHullPath, deltaX, deltaY, false);
-                });
-            }
-            else {
-                this.translateInkPath(inkPath, deltaX, deltaY, false);
-                this.translateHullPath(hullPath, deltaX, deltaY, false);
-            }
-            this._previousDragMovePoint = null;
-            this._groupDragSelectionClassName = null;
-            this._dragGesture = null;
+        /**
+         * [Internal] Returns true if the layer is neither locked nor hidden.
+         * @returns {boolean} Result.
+         * @internal
+         */
+        InkLayer.prototype.isEditable = function () {
+            return (!this._isLocked && this.IsVisible());
+        };
+        /** [Private Method] Deselects any selected Inks in the layer. */
+        InkLayer.prototype.deselectInks = function () {
+            MIL.getInkSelection(this._gSelection).Deselect(this.Inks());
+        };
+        return InkLayer;
+    }());
+    MIL.InkLayer = InkLayer;
+    /**
+     * The InkLayers class. Each <svg> (see MIL.Initialize()) has its own InkLayers (see MIL.Layers()), which is the ordered set of named layers that Inks and other content
+     * can be organized into. New Inks are created in the ActiveLayer(), or - if there is no active layer - directly in the 'g' element returned by MIL.Initialize() [as they are
+     * when no layers are used]. Changes to layers are not recorded in the undo/redo history (see MIL.History()), but an Ink that is restored by an undo returns to its layer.
+     */
+    var InkLayers = /** @class */ (function () {
+        function InkLayers(gSelection) {
+            this._gSelection = gSelection;
+            this._layers = [];
+            this._activeLayer = null;
+        }
+        /**
+         * [ReadOnly Property] Returns the layers, in z-order (bottom-most first).
+         * @returns {InkLayer[]} Result.
+         */
+        InkLayers.prototype.Layers = function () {
+            MIL.readOnlyProperty("Layers", arguments);
+            return (this._layers.slice());
         };
         /**
-         * Returns the convex area of the Ink instance.
+         * [ReadOnly Property] Returns the number of layers.
          * @returns {number} Result.
          */
-        Ink.prototype.GetConvexArea = function () {
-            var convexArea = 0;
-            if (this._finalPath !== null) {
-                var polygonPoints = MIL.Utils.ConvertPointsToXYPoints(this.PathPoints());
-                var convexHullVertices = d3.polygonHull(polygonPoints); // Returned points are in counter-clockwise order [which d3.polygonArea (see below) needs to return a positive value]
-                if (convexHullVertices) {
-                    convexArea = d3.polygonArea(convexHullVertices);
-                }
-            }
-            return (convexArea);
+        InkLayers.prototype.Count = function () {
+            MIL.readOnlyProperty("Count", arguments);
+            return (this._layers.length);
         };
         /**
-         * Returns true if the Ink instance is completely within the specified targetInk, false otherwise.
-         * Note: returns false if targetInk is the current Ink instance.
-         * @param {Ink} targetInk The "bounding" Ink instance.
-         * @returns {boolean} Result.
+         * Returns the layer with the specified name, or null if there is no such layer.
+         * @param {string} name The name of the layer.
+         * @returns {InkLayer | null} Result.
          */
-        Ink.prototype.IsInside = function (targetInk) {
-            if (targetInk === this) {
-                return (false);
-            }
-            var pointsToTest = this.PathPoints();
-            var containedPointCount = MIL.Utils.CountPointsInPolygon(targetInk.PathPoints(), pointsToTest);
-            var isInside = (containedPointCount === pointsToTest.length);
-            return (isInside);
+        InkLayers.prototype.Get = function (name) {
+            var matchingLayers = this._layers.filter(function (layer) { return (layer.Name() === name); });
+            return ((matchingLayers.length > 0) ? matchingLayers[0] : null);
         };
         /**
-         * Using a grid-quantizing scheme, returns an array of {x,y} points (of length numGridPoints) that lie within the Ink instance.
-         * An empty array will be returned if no layout grid can be computed.
-         * Typically this is used to create locations ("landing sites") to move other items into the Ink region (eg. when the Ink is being used as a container).
-         * @param {number} numGridPoints The number of grid points to create.
-         * @returns {Point[]} Result.
+         * Adds a new layer with the specified name on top of the existing layers. If there is no ActiveLayer(), the new layer becomes the active layer.
+         * Note: Layers are added beneath any MIL controls (eg. the RulerControl), but above any content that's not in a layer.
+         * @param {string} name The name of the layer, which must be unique among the layers of the <svg>.
+         * @returns {InkLayer} The new layer.
          */
-        Ink.prototype.GetLayoutGridPoints = function (numGridPoints) {
-            var boundingRect = MIL.Utils.GetBoundingRectForPoints(this.PathPoints());
-            var numCols = Math.ceil(Math.sqrt(numGridPoints)) + 2; // Just a [very] approximate starting value
-            var numRows = Math.ceil(numCols * (boundingRect.height / boundingRect.width)); // Just a [very] approximate starting value
-            // Step 1: Reduce numRows/numCols so that their product is LESS than numGridPoints
-            if (boundingRect.height >= boundingRect.width) {
-                while (((numRows * numCols) > numGridPoints) && (numCols > 1)) {
-                    numCols--;
-                }
-                while (((numRows * numCols) > numGridPoints) && (numRows > 1)) {
-                    numRows--;
-                }
+        InkLayers.prototype.Add = function (name) {
+            this.checkNewName(name);
+            var gDomElement = this._gSelection.node();
+            var layerGDomElement = document.createElementNS("http://www.w3.org/2000/svg", "g");
+            var insertBeforeNode = null;
+            if (this._layers.length > 0) {
+                insertBeforeNode = this._layers[this._layers.length - 1].GElement().node().nextSibling;
             }
             else {
-                while (((numRows * numCols) > numGridPoints) && (numRows > 1)) {
-                    numRows--;
-                }
-                while (((numRows * numCols) > numGridPoints) && (numCols > 1)) {
-                    numCols--;
-                }
-            }
-            var gridPoints = [];
-            var polygonPoints = MIL.Utils.ConvertPointsToXYPoints(this.PathPoints());
-            var retryCount = 0;
-            var aborted = false;
-            // Step 2: Iteratively create a grid of points using numRows/numCols, increasing both as needed until the grid has MORE [contained] points than numGridPoints
-            while ((gridPoints.length < numGridPoints) && !aborted) {
-                for (var r = (numRows === 1 ? 0 : 1); r < numRows; r++) {
-                    var testPointY = boundingRect.y + ((numRows === 1) ? (boundingRect.height / 2) : (r * (boundingRect.height / numRows)));
-                    for (var c = (numCols === 1 ? 0 : 1); c < numCols; c++) {
-                        var testPointX = boundingRect.x + ((numCols === 1) ? (boundingRect.width / 2) : (c * (boundingRect.width / numCols)));
-                        if (MIL.Utils.IsPointInPolygon(polygonPoints, testPointX, testPointY)) {
-                            gridPoints.push({ x: testPointX, y: testPointY });
-                        }
+                // Add the [first] layer beneath the controls and the selection adorner [which are added lazily, so may not exist yet]
+                for (var node = gDomElement.firstChild; (node !== null) && (insertBeforeNode === null); node = node.nextSibling) {
+                    if ((node instanceof Element) && (MIL.Controls.IsControl(node) || node.classList.contains("MILSelectionAdorner"))) {
+                        insertBeforeNode = node;
                     }
                 }
-                // Do we need to try again?
-                if (gridPoints.length < numGridPoints) {
-                    gridPoints.length = 0;
-                    numRows += 1;
-                    numCols += 1;
-                    aborted = (retryCount++ === 5); // It's expensive to retry too many times
-                }
             }
-            // Step 3: Trim gridPoints to numGridPoints by a) [conservatively] downsampling, then b) trimming the remaining excess gridPoints equally from the start/end
-            if (!aborted) {
-                var deleteCount = gridPoints.length - numGridPoints;
-                if (deleteCount > 0) {
-                    var downsamplingStepSize = Math.floor(gridPoints.length / numGridPoints);
-                    if (downsamplingStepSize > 1) {
-                        var downsampledGridPoints = [];
-                        for (var i = 0; i < gridPoints.length; i += downsamplingStepSize) {
-                            downsampledGridPoints.push(gridPoints[i]);
-                        }
-                        gridPoints = downsampledGridPoints;
-                        deleteCount = gridPoints.length - numGridPoints;
-                    }
-                    if (deleteCount > 0) {
-                        var deleteFromStart = (deleteCount % 2 === 0) ? deleteCount / 2 : Math.floor(deleteCount / 2);
-                        var deleteFromEnd = (deleteCount % 2 === 0) ? deleteCount / 2 : Math.ceil(deleteCount / 2);
-                        gridPoints.splice(0, deleteFromStart);
-                        gridPoints.splice(gridPoints.length - deleteFromEnd, deleteFromEnd);
-                    }
-                }
+            gDomElement.insertBefore(layerGDomElement, insertBeforeNode);
+            var layer = new InkLayer(this, name, d3.select(layerGDomElement).classed(LAYER_CLASS_NAME, true));
+            this._layers.push(layer);
+            if (this._activeLayer === null) {
+                this._activeLayer = layer;
             }
-            // DEBUG:
-            // let gDomElement: SVGGElement = getSvgInfo(this.Path()).gDomElement;
-            // gridPoints.forEach(function (point) { Utils.DebugDrawPoints(gDomElement, [point], 3); });
-            return (gridPoints);
+            return (layer);
         };
         /**
-         * Returns true if the Ink instance is [approximately] a straight line.
-         * @returns {boolean} Result.
+         * Moves the specified layer to a new position in the z-order of the layers.
+         * @param {InkLayer} layer The layer to move.
+         * @param {number} index The new position of the layer (0 is the bottom-most layer).
+         * @returns {this} The InkLayers instance.
          */
-        Ink.prototype.IsStraightLine = function () {
-            var polygonPoints = MIL.Utils.ConvertPointsToXYPoints(this.PathPoints());
-            var isStraightLine = MIL.Utils.IsStraightLine(polygonPoints);
-            return (isStraightLine);
+        InkLayers.prototype.Move = function (layer, index) {
+            var currentIndex = this._layers.indexOf(layer);
+            if (currentIndex === -1) {
+                throw new MIL.MILException("The specified layer does not belong to this <svg>");
+            }
+            if ((index < 0) || (index >= this._layers.length) || (Math.floor(index) !== index)) {
+                throw new MIL.MILException("Layer index (" + index + ") must be an integer in the range 0.." + (this._layers.length - 1));
+            }
+            if (index !== currentIndex) {
+                var gDomElement = this._gSelection.node();
+                var layerGDomElement = layer.GElement().node();
+                var referenceLayer = this._layers[index];
+                // Moving down places the layer beneath the layer currently at 'index'; moving up places it above
+                gDomElement.insertBefore(layerGDomElement, (index < currentIndex) ? referenceLayer.GElement().node() : referenceLayer.GElement().node().nextSibling);
+                this._layers.splice(currentIndex, 1);
+                this._layers.splice(index, 0, layer);
+            }
+            return (this);
         };
-        /**
-         * [Private Method] Translates the specified Ink path by the specified x/y delta.
-         * @param {D3SingleSelection} inkPath The Ink path to translate (as a D3 Selection of the svg Path element).
-         * @param {number} deltaX The number of pixels to translate by on the x-axis.
-         * @param {number} deltaY The number of pixels to translate by on the y-axis.
-         * @param {boolean} useTransform If true, use a [fast] svg transform to do the translation (but doesn't update __MILPathPointsCollection__).
-         *                               If false, uses a [slow] manual redraw to do the translation (and updates __MILPathPointsCollection__).
-         */
-        Ink.prototype.translateInkPath = function (inkPath, deltaX, deltaY, useTransform) {
-            if (useTransform === true) {
-                // Note: Updating the transform is MUCH faster than doing a "manual" translation followed by
-                //       calling _inkLineGenerator(), but it doesn't update __MILPathPointsCollection__
-                this.translateWithTransform(inkPath, deltaX, deltaY);
+        InkLayers.prototype.ActiveLayer = function (layer) {
+            if (layer === undefined) {
+                return (this._activeLayer);
             }
             else {
-                var pathPointsCollection = inkPath.node().__MILPathPointsCollection__;
-                var translatedPathPointsCollection = [];
-                var d = "";
-                var isClosed = (inkPath.attr("d")[inkPath.attr("d").length - 1] === "Z");
-                // Undo any existing transform translation [created when useTransform is 'true']
-                inkPath.attr("transform", null);
-                for (var l = 0; l < pathPointsCollection.length; l++) {
-                    var pathData = pathPointsCollection[l];
-                    var translatedPathPoints = [];
-                    for (var i = 0; i < pathData.length; i++) {
-                        var translatedX = pathData[i].x + deltaX;
-                        var translatedY = pathData[i].y + deltaY;
-                        translatedPathPoints.push({ x: translatedX, y: translatedY });
-                    }
-                    translatedPathPointsCollection.push(translatedPathPoints);
-                    d += _inkLineGenerator(translatedPathPoints);
+                if ((layer !== null) && (this._layers.indexOf(layer) === -1)) {
+                    throw new MIL.MILException("The specified layer does not belong to this <svg>");
                 }
-                inkPath.attr("d", d + (isClosed ? "Z" : ""));
-                inkPath.node().__MILPathPointsCollection__ = translatedPathPointsCollection;
+                this._activeLayer = layer;
+                return (this);
             }
         };
         /**
-         * [Private Method] Translates the specified Ink Hull path by the specified x/y delta.
-         * @param {D3SingleSelection} hullPath The Ink Hull path to translate (as a D3 Selection of the svg Path element).
-         * @param {number} deltaX The number of pixels to translate by on the x-axis.
-         * @param {number} deltaY The number of pixels to translate by on the y-axis.
-         * @param {boolean} useTransform If true, use a [fast] svg transform to do the translation (but doesn't update __MILPathPointsCollection__).
-         *                               If false, uses a [slow] manual redraw to do the translation (and updates __MILPathPointsCollection__).
+         * [Internal] Throws if the supplied name cannot be used as the name of a new (or renamed) layer.
+         * @param {string} name A layer name.
+         * @internal
          */
-        Ink.prototype.translateHullPath = function (hullPath, deltaX, deltaY, useTransform) {
-            if (useTransform === true) {
-                // Note: Updating the transform is MUCH faster than doing a "manual" translation of the "d" attribute
-                //       but it doesn't update ink._combinedOutlinePathPoints
-                this.translateWithTransform(hullPath, deltaX, deltaY);
+        InkLayers.prototype.checkNewName = function (name) {
+            if (!name) {
+                throw new MIL.MILException("A layer name cannot be empty");
             }
-            else {
-                var hullPathDomElement = MIL.Utils.GetDomElement(hullPath, SVGPathElement);
-                var values = hullPathDomElement.getAttribute("d").split(" ");
-                var hullPathData = "";
-                var ink = MIL.GetInkByElement(hullPath);
-                var translatedOutlinePathPoints = [];
-                // Undo any existing transform translation [created when useTransform is 'true']
-                hullPath.attr("transform", null);
-                for (var i = 0; i < values.length; i++) {
-                    if (isNaN(+values[i])) {
-                        if (values[i].length !== 1) {
-                            throw new MIL.MILException("Unexpected value ('" + values[i] + "') in 'd'");
-                        }
-                        // M or L 
-                        hullPathData += values[i] + " ";
-                    }
-                    else {
-                        // x y
-                        var translatedX = +values[i] + deltaX;
-                        var translatedY = +values[++i] + deltaY;
-                        hullPathData += translatedX + " " + translatedY + " ";
-                        if (ink.IsCombined()) {
-                            translatedOutlinePathPoints.push({ x: translatedX, y: translatedY });
-                        }
-                    }
+            if (this.Get(name) !== null) {
+                throw new MIL.MILException("A layer named '" + name + "' already exists");
+            }
+        };
+        return InkLayers;
+    }());
+    MIL.InkLayers = InkLayers;
+    /**
+     * Returns the layers (see InkLayers) associated with the specified <svg> element.
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to find the layers for.
+     * @returns {InkLayers} The associated layers.
+     */
+    function Layers(svg) {
+        var svgDomElement = MIL.Utils.GetDomElement(svg, SVGSVGElement);
+        var svgInfo = MIL.getSvgInfo(svgDomElement);
+        return (svgInfo.layers);
+    }
+    MIL.Layers = Layers;
+    /**
+     * [Internal] Returns the layer that contains the specified element, or null if the element is not in a layer.
+     * @param {TargetDomElement} targetElement An element in an <svg>.
+     * @returns {InkLayer | null} Result.
+     * @internal
+     */
+    function getElementLayer(targetElement) {
+        for (var node = MIL.Utils.GetDomElement(targetElement); node instanceof Element; node = node.parentNode) {
+            if (node.__MILLayer__) {
+                return node.__MILLayer__;
+            }
+        }
+        return (null);
+    }
+    MIL.getElementLayer = getElementLayer;
+    /**
+     * [Internal] Returns true if the specified element is not in a locked or hidden layer.
+     * @param {TargetDomElement} targetElement An element in an <svg>.
+     * @returns {boolean} Result.
+     * @internal
+     */
+    function isInEditableLayer(targetElement) {
+        var layer = getElementLayer(targetElement);
+        return ((layer === null) || layer.isEditable());
+    }
+    MIL.isInEditableLayer = isInEditableLayer;
+    /**
+     * [Internal] Returns the 'g' element that new Inks should be added to: either the 'g' element of the active layer (see InkLayers.ActiveLayer()), or - if there's no
+     * active layer - the 'g' element returned by MIL.Initialize(). Throws if the active layer is locked or hidden (consistent with Ink.Start() refusing to draw in it).
+     * @param {SVGInfo} svgInfo The SVGInfo of the <svg> the Inks will be added to.
+     * @returns {SVGGElement} Result.
+     * @internal
+     */
+    function getInkContainer(svgInfo) {
+        var activeLayer = svgInfo.layers.ActiveLayer();
+        if (activeLayer === null) {
+            return (svgInfo.gDomElement);
+        }
+        if (!activeLayer.isEditable()) {
+            throw new MIL.MILException("Inks cannot be added while the active layer ('" + activeLayer.Name() + "') is locked or hidden");
+        }
+        return activeLayer.GElement().node();
+    }
+    MIL.getInkContainer = getInkContainer;
+})(MIL || (MIL = {}));
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT license.
+var MIL;
+(function (MIL) {
+    /** The CSS class of the lines drawn to show the alignment guides while Inks are being dragged (see InkSnapping.AlignmentSnapDistance()). */
+    var ALIGNMENT_GUIDE_CLASS_NAME = "MILAlignmentGuide";
+    /**
+     * The InkSnapping class. Each <svg> (see MIL.Initialize()) has its own InkSnapping (see MIL.Snapping()), which controls how Inks snap while they're being drawn or dragged:
+     * 1) To a [notional] grid: the points of a drawn Ink snap to the nearest grid intersection, and drag deltas snap to multiples of the grid spacing.
+     * 2) To the endpoints of other Inks: when an Ink is completed, its start and end points snap to any nearby endpoint of another Ink.
+     * 3) To the bounding rectangles of other Inks: while dragging, the edges and center of the dragged Ink(s) snap to - and show alignment guides for - the edges and centers of other Inks.
+     * All snapping is off by default. Snapping does not apply to eraser Inks, or to Inks being coerced to the Ruler (see MIL.Ruler()).
+     * Note: The grid is not drawn. If it should be visible, add it to the <svg> separately (eg. using an svg pattern).
+     */
+    var InkSnapping = /** @class */ (function () {
+        function InkSnapping(gSelection) {
+            this._gSelection = gSelection;
+            this._gridSpacing = 0; // Disabled
+            this._endpointSnapDistance = 0; // Disabled
+            this._alignmentSnapDistance = 0; // Disabled
+            this._alignmentGuideClassName = null;
+        }
+        InkSnapping.prototype.GridSpacing = function (spacing) {
+            if (spacing === undefined) {
+                return (this._gridSpacing);
+            }
+            else {
+                if (!(spacing >= 0)) {
+                    throw new MIL.MILException("GridSpacing (" + spacing + ") cannot be negative");
                 }
-                hullPathDomElement.setAttribute("d", hullPathData.trim());
-                if (ink.IsCombined()) {
-                    ink._combinedOutlinePathPoints = translatedOutlinePathPoints;
+                this._gridSpacing = spacing;
+                return (this);
+            }
+        };
+        InkSnapping.prototype.EndpointSnapDistance = function (distance) {
+            if (distance === undefined) {
+                return (this._endpointSnapDistance);
+            }
+            else {
+                if (!(distance >= 0)) {
+                    throw new MIL.MILException("EndpointSnapDistance (" + distance + ") cannot be negative");
                 }
+                this._endpointSnapDistance = distance;
+                return (this);
             }
         };
-        // TODO: There may be a better way to do this [eg. https://mikewilliamson.wordpress.com/2013/08/27/matrix-transforms-in-svg/]
+        InkSnapping.prototype.AlignmentSnapDistance = function (distance) {
+            if (distance === undefined) {
+                return (this._alignmentSnapDistance);
+            }
+            else {
+                if (!(distance >= 0)) {
+                    throw new MIL.MILException("AlignmentSnapDistance (" + distance + ") cannot be negative");
+                }
+                this._alignmentSnapDistance = distance;
+                return (this);
+            }
+        };
+        InkSnapping.prototype.AlignmentGuideClass = function (className) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._alignmentGuideClassName; }), className));
+        };
         /**
-         * [Private Method] Translates [by altering the 'transform' attribute] the specified DOM element by the specified x/y delta.
-         * @param {D3SingleSelection} element D3 selection of the DOM element to translate.
-         * @param {number} deltaX The number of pixels to translate by on the x-axis.
-         * @param {number} deltaY The number of pixels to translate by on the y-axis.
+         * Returns the grid intersection (see GridSpacing()) nearest to the supplied point, or the point itself if there is no grid.
+         * @param {Point} point A point in svg units.
+         * @returns {Point} Result.
          */
-        Ink.prototype.translateWithTransform = function (element, deltaX, deltaY) {
-            var transform = element.attr("transform");
-            if (transform) {
-                var xy = transform.replace("translate(", "").replace(")", "").split(" ");
-                if (xy.length > 2) {
-                    throw new MIL.MILException("The 'transform' of the element contains more than just a 'translate()'");
-                }
-                var prevX = +xy[0];
-                var prevY = (xy.length === 1) ? 0 : +xy[1];
-                deltaX += prevX;
-                deltaY += prevY;
+        InkSnapping.prototype.SnapToGrid = function (point) {
+            if (this._gridSpacing === 0) {
+                return (point);
             }
-            element.attr("transform", "translate(" + deltaX + " " + deltaY + ")");
+            return ({ x: this.snapValueToGrid(point.x), y: this.snapValueToGrid(point.y) });
         };
         /**
-         * [Private Method] Returns the Ink path (as a D3 Selection) that's associated with the specified Hull element.
-         * @param {DomElement} hullPath The svg path element of an Ink Hull.
-         * @returns {D3Selection} Result.
+         * [Private Method] Returns the multiple of GridSpacing() nearest to the supplied value (which must be non-zero).
+         * @param {number} value The value to snap.
+         * @returns {number} Result.
          */
-        Ink.prototype.getInkPathAssociatedWithHull = function (hullPath) {
-            var pathDomElement = MIL.Utils.GetDomElement(hullPath, SVGPathElement);
-            // PORT: Original line:
-            // return (pathDomElement !== null ? pathDomElement.__MILAssociatedInkPath__ as D3Selection : null);
-            return pathDomElement.__MILAssociatedInkPath__;
+        InkSnapping.prototype.snapValueToGrid = function (value) {
+            return (Math.round(value / this._gridSpacing) * this._gridSpacing);
         };
         /**
-         * [Private Method] When an Ink is complete, creates a single "composite" path to replace the multiple [overlapping] constituent paths.
-         * @param {PointerEvent} e The pointerUp event for the Ink (when it ends).
+         * [Internal] Snaps (in-place) the first and last of the supplied points - the points of an Ink that's being completed - to the nearest endpoint (if any) of another Ink within EndpointSnapDistance().
+         * @param {Ink} ink The Ink being completed (which is never snapped to).
+         * @param {Point[]} pathPoints The points of the Ink.
+         * @internal
          */
-        Ink.prototype.consolidatePaths = function (e) {
-            var pointerID = MIL.makePointerID(e);
-            var isEraser = this._isEraserDrawing;
-            var svgInfo = MIL.getSvgInfo(e.target);
-            // Add a single "composite" path to replace the multiple [overlapping] constituent paths
-            var path = this._finalPath = svgInfo.gSelection.append("path").attr("d", _inkLineGenerator(MIL._inkCompletePathPointData[pointerID]) + (this._isAutoCose ? "Z" : ""));
-            this.applyStyle();
-            path.classed("MILInkPath", true); // Just to make it easier to find the ink paths using CSS selector syntax ("path.MILInkPath") 
-            // Remove the multiple [overlapping] constituent paths
-            var constituentPaths = svgInfo.gSelection.selectAll("[data-pointerID=" + pointerID + "]");
-            constituentPaths.remove();
-            // Optionally, add a "hull" path that overlays the composite path by "filling" the path with overlapping lines (and dots) [in
-            // effect creating a hit-testable hull over the drawn path]. This allows the user to drag the path if needed [to reposition it],
-            // or to add other gestures to the hull (eg. tap, resize, etc).
-            // Note: We take this approach, rather than just relying on hit-testing the transparency-filled path itself, for the following reasons:
-            //       1) It allows us more control over the type of hull that we want to create (concave or convex). 
-            //          For example, if the Ink is known (in advance) to be hand-writing the caller can specify a convex hull.
-            //       2) It allows us to combine Inks more easily (there is no natural fill that will "cover" a path consisting of multiple disjoint lines).
-            //       3) It allows us to have the same hull mechanics for both singleton and combined inks (rather than using the [filled] Ink.Path()
-            //          directly as the "hull" for a singleton Ink, and then having a separate hull-path for a combined Ink).
-            //       4) It provides a consistent target for gestures on the Ink.
-            // Note: The hull CANNOT be added [by changing Ink.HullType()] after the ink has been created.
-            if ((this.HullType() !== MIL.InkHullType.None) && !isEraser) {
-                var pathPoints = MIL._inkCompletePathPointData[pointerID];
-                var boundingRect = MIL.Utils.GetBoundingRectForPoints(pathPoints);
-                var offsetTop = boundingRect.y, offsetLeft = boundingRect.x;
-                var height = boundingRect.height;
-                var width = boundingRect.width;
-                var penWidth = MIL.Utils.ToNumber(path.style("stroke-width"));
-                var adj = penWidth / 2;
-                var rectLeft = offsetLeft - adj;
-                var rectTop = offsetTop - adj;
-                var rectWidth = width + penWidth;
-                var rectHeight = height + penWidth;
-                var hullPath = svgInfo.gSelection.append("path");
-                var d = "";
-                hullPath.node().__MILAssociatedInkPath__ = path; // "tag" the hull with its corresponding Ink path
-                hullPath.classed("MILInkHullPath", true); // Just to make it easier to find the hulls using CSS selector syntax ("path.MILInkHullPath")
-                hullPath.style("stroke", this.HullColor());
-                hullPath.style("stroke-width", "1px");
-                hullPath.style("fill", this.HullColor());
-                var polygonPoints = MIL.Utils.ConvertPointsToXYPoints(pathPoints);
-                var isStraightLine = MIL.Utils.IsStraightLine(polygonPoints);
-                if (this.HullType() === MIL.InkHullType.Concave) {
-                    if (isStraightLine) {
-                        MIL.log("Ink determined to be a straight-line");
-                        for (var i = 0; i < polygonPoints.length; i++) {
-                            d += (!d ? "M " : " L ") + polygonPoints[i][0] + " " + polygonPoints[i][1];
-                        }
-                        hullPath.attr("d", d);
-                        hullPath.style("stroke-width", (MIL.Utils.ToNumber(window.getComputedStyle(this._finalPath.node()).strokeWidth) * 7) + "px");
-                        hullPath.style("fill", "");
-                    }
-                    else {
-                        for (var i = 0; i < pathPoints.length; i++) {
-                            d += (!d ? "M " : " L ") + pathPoints[i].x + " " + pathPoints[i].y;
-                        }
-                        hullPath.attr("d", d);
-                    }
-                }
-                if (this.HullType() === MIL.InkHullType.Convex) {
-                    var hullVertices = d3.polygonHull(polygonPoints);
-                    for (var i = 0; i < hullVertices.length; i++) {
-                        d += (!d ? "M " : " L ") + hullVertices[i][0] + " " + hullVertices[i][1];
-                    }
-                    hullPath.attr("d", d);
-                }
-                this._hullPath = hullPath;
-                // Ensure creation of the resize gesture [when the ResizeWith() setter is first called, it's target (Ink.HullPath()) won't yet exist so the gesture won't get created]
-                if (this._resizeGesturePointerType) {
-                    this.ResizeWith(this._resizeGesturePointerType);
+        InkSnapping.prototype.snapEndpoints = function (ink, pathPoints) {
+            var distance = this._endpointSnapDistance;
+            if ((distance === 0) || (pathPoints.length === 0)) {
+                return;
+            }
+            var endIndices = (pathPoints.length === 1) ? [0] : [0, pathPoints.length - 1];
+            var _loop_3 = function (i) {
+                var point = pathPoints[endIndices[i]];
+                var searchRect = { x: point.x - distance, y: point.y - distance, width: distance * 2, height: distance * 2 };
+                var candidateInks = MIL.getSpatialIndex(this_1._gSelection).Search(searchRect).filter(function (candidateInk) { return ((candidateInk !== ink) && !candidateInk.IsEraserDrawing() && isInVisibleLayer(candidateInk)); });
+                var nearestEndpoint = null;
+                var nearestDistance = distance;
+                candidateInks.forEach(function (candidateInk) {
+                    var pathPointsCollection = candidateInk.Path().node().__MILPathPointsCollection__;
+                    pathPointsCollection.forEach(function (linePoints) {
+                        [linePoints[0], linePoints[linePoints.length - 1]].forEach(function (endpoint) {
+                            var endpointDistance = MIL.Utils.GetDistanceBetweenPoints(point, endpoint);
+                            if (endpointDistance <= nearestDistance) {
+                                nearestEndpoint = endpoint;
+                                nearestDistance = endpointDistance;
+                            }
+                        });
+                    });
+                });
+                if (nearestEndpoint !== null) {
+                    pathPoints[endIndices[i]] = { x: nearestEndpoint.x, y: nearestEndpoint.y };
                 }
+            };
+            var this_1 = this;
+            for (var i = 0; i < endIndices.length; i++) {
+                _loop_3(i);
             }
         };
         /**
-         * [Private Method] Scales (resizes) the specified Ink path.
-         * @param {D3SingleSelection} inkPath The Ink path to scale (as a D3 Selection of the svg Path element).
-         * @param {number} oldScale The old (starting) scale of the Ink.
-         * @param {number} newScale The new (ending) scale of the Ink.
-         * @param {number} startStrokeWidth The starting thickness (in pixels) of the Ink line.
-         * @param {boolean} useTransform If true, use a [fast] svg transform to do the scaling (but doesn't update __MILPathPointsCollection__).
-         *                               If false, uses a [slow] manual redraw to do the scaling (and updates __MILPathPointsCollection__).
+         * [Internal] Returns the DragSnapState for a drag of the supplied Inks, or null if AlignmentSnapDistance() is 0 (in which case snapDragDelta() only snaps to the grid).
+         * @param {Ink[]} draggedInks The Inks being dragged.
+         * @returns {DragSnapState | null} Result.
+         * @internal
          */
-        Ink.prototype.scaleInkPath = function (inkPath, oldScale, newScale, startStrokeWidth, useTransform) {
-            if (useTransform) {
-                // Note: Updating the transform is faster than doing a "manual" scale followed by
-                //       calling _inkLineGenerator(), but it doesn't update __MILPathPointsCollection__
-                var pathDomElement = inkPath.node();
-                var zoomFocalPoint = MIL.Utils.GetCentroidPoint(pathDomElement);
-                var offsetX = zoomFocalPoint.x;
-                var offsetY = zoomFocalPoint.y;
-                var transformList = pathDomElement.transform.baseVal;
-                var matrix = null; // Do NOT use pathDomElement.getCTM() since this will include the pan/zoom transform on the parent 'g' element
-                var svg = MIL.getSvgInfo(pathDomElement).svgDomElement;
-                var zoomFactor = newScale / oldScale; // Factor representing the relative CHANGE in scale
-                if (transformList.numberOfItems === 0) {
-                    // The zoom is just starting, so there's no transform
-                    var emptyMatrixTransform = svg.createSVGTransformFromMatrix(svg.createSVGMatrix());
-                    transformList.appendItem(emptyMatrixTransform);
-                }
-                matrix = transformList.getItem(0).matrix;
-                // Note: These matrix multiplications are performed in right-to-left order (just like the "transform" attribute)
-                var modifierMatrix = svg.createSVGMatrix().translate(offsetX, offsetY).scale(zoomFactor).translate(-offsetX, -offsetY);
-                var newMatrix = matrix.multiply(modifierMatrix);
-                transformList.getItem(0).setMatrix(newMatrix);
-                // Finally, adjust the stroke-width (which has also been scaled by the transform) to keep it constant
-                // Note: pathDomElement.setAttribute("vector-effect", "non-scaling-stroke") doesn't work on IE11 (which implements SVG 1.1 that doesn't include vector-effect).
-                // Note: We don't try to adjust stroke-dasharray (if set) because doing so causes performance issues (on IE11).
-                var finalScale = newMatrix.a;
-                var newStrokeWidth = startStrokeWidth / finalScale;
-                inkPath.style("stroke-width", newStrokeWidth + "px");
+        InkSnapping.prototype.beginDrag = function (draggedInks) {
+            if (this._alignmentSnapDistance === 0) {
+                return (null);
             }
-            else {
-                var scaleDelta = (newScale - oldScale) / oldScale;
-                var pathPointsCollection = inkPath.node().__MILPathPointsCollection__;
-                var scaledPathPointsCollection = [];
-                var allPoints = [];
-                var d = "";
-                var isClosed = (inkPath.attr("d")[inkPath.attr("d").length - 1] === "Z");
-                // Undo the existing scale transform [added when useTransform is 'true']
-                // [the following will result in inkPath.node().transform.baseVal.numberOfItems becoming 0]
-                inkPath.node().setAttribute("transform", ""); // Note: null works on IE11, but not on Chrome
-                for (var c = 0; c < pathPointsCollection.length; c++) {
-                    allPoints = allPoints.concat(pathPointsCollection[c]);
+            var gDomElement = this._gSelection.node();
+            var draggedPoints = [].concat.apply([], draggedInks.map(function (ink) { return (ink.PathPoints()); }));
+            var state = { draggedRect: MIL.Utils.GetBoundingRectForPoints(draggedPoints), xTargets: [], yTargets: [] };
+            MIL._inks.forEach(function (ink) {
+                if ((draggedInks.indexOf(ink) === -1) && (ink.Path() !== null) && !ink.IsEraserDrawing() && gDomElement.contains(ink.Path().node()) && isInVisibleLayer(ink)) {
+                    var rect_1 = MIL.Utils.GetBoundingRectForPoints(ink.PathPoints());
+                    [rect_1.x, rect_1.x + (rect_1.width / 2), rect_1.x + rect_1.width].forEach(function (x) { state.xTargets.push({ value: x, rect: rect_1 }); });
+                    [rect_1.y, rect_1.y + (rect_1.height / 2), rect_1.y + rect_1.height].forEach(function (y) { state.yTargets.push({ value: y, rect: rect_1 }); });
                 }
-                var boundingRect = MIL.Utils.GetBoundingRectForPoints(allPoints);
-                for (var l = 0; l < pathPointsCollection.length; l++) {
-                    var pathData = pathPointsCollection[l];
-                    var scaledPathPoints = [];
-                    for (var i = 0; i < pathData.length; i++) {
-                        // "Re-origin" the points to 0,0
-                        var scaledX = pathData[i].x - boundingRect.x;
-                        var scaledY = pathData[i].y - boundingRect.y;
-                        // Now scale them
-                        scaledX *= (1 + scaleDelta);
-                        scaledY *= (1 + scaleDelta);
-                        // Finally, move them back so that they stay centered on the bounding rect
-                        scaledX += boundingRect.x - ((boundingRect.width * scaleDelta) / 2);
-                        scaledY += boundingRect.y - ((boundingRect.height * scaleDelta) / 2);
-                        scaledPathPoints.push({ x: scaledX, y: scaledY });
+            });
+            return (state);
+        };
+        /**
+         * [Internal] Returns the snapped version of the supplied drag delta (the total movement since the drag started), and updates the alignment guides to match.
+         * @param {DragSnapState | null} state The state returned by beginDrag().
+         * @param {number} deltaX The [unsnapped] delta on the x-axis.
+         * @param {number} deltaY The [unsnapped] delta on the y-axis.
+         * @returns {Point} The snapped delta.
+         * @internal
+         */
+        InkSnapping.prototype.snapDragDelta = function (state, deltaX, deltaY) {
+            var snappedDelta = (this._gridSpacing === 0) ? { x: deltaX, y: deltaY } : { x: this.snapValueToGrid(deltaX), y: this.snapValueToGrid(deltaY) };
+            this.removeAlignmentGuides();
+            if ((state !== null) && (this._alignmentSnapDistance > 0)) {
+                var rect = state.draggedRect;
+                var xAlignment = this.findAlignment([rect.x, rect.x + (rect.width / 2), rect.x + rect.width], deltaX, state.xTargets);
+                var yAlignment = this.findAlignment([rect.y, rect.y + (rect.height / 2), rect.y + rect.height], deltaY, state.yTargets);
+                if (xAlignment !== null) {
+                    snappedDelta.x = deltaX + xAlignment.offset;
+                }
+                if (yAlignment !== null) {
+                    snappedDelta.y = deltaY + yAlignment.offset;
+                }
+                // Draw the guides (which span both the dragged rectangle and the rectangle of the Ink being aligned to)
+                var draggedRect = { x: rect.x + snappedDelta.x, y: rect.y + snappedDelta.y, width: rect.width, height: rect.height };
+                if (xAlignment !== null) {
+                    var top_1 = Math.min(draggedRect.y, xAlignment.target.rect.y);
+                    var bottom = Math.max(draggedRect.y + draggedRect.height, xAlignment.target.rect.y + xAlignment.target.rect.height);
+                    this.addAlignmentGuide(xAlignment.target.value, top_1, xAlignment.target.value, bottom);
+                }
+                if (yAlignment !== null) {
+                    var left = Math.min(draggedRect.x, yAlignment.target.rect.x);
+                    var right = Math.max(draggedRect.x + draggedRect.width, yAlignment.target.rect.x + yAlignment.target.rect.width);
+                    this.addAlignmentGuide(left, yAlignment.target.value, right, yAlignment.target.value);
+                }
+            }
+            return (snappedDelta);
+        };
+        /**
+         * [Internal] Ends a drag started with beginDrag() by removing the alignment guides (if any).
+         * @internal
+         */
+        InkSnapping.prototype.endDrag = function () {
+            this.removeAlignmentGuides();
+        };
+        /**
+         * [Private Method] Returns the closest alignment (within AlignmentSnapDistance()) between the supplied values - moved by 'delta' - and the supplied targets,
+         * as the offset to add to 'delta' along with the target aligned to. Returns null if there is no such alignment.
+         * @param {number[]} values The edge/center values (on one axis) of the dragged rectangle, before it was moved.
+         * @param {number} delta The [unsnapped] drag delta on the same axis.
+         * @param {AlignmentTarget[]} targets The values (on the same axis) to align to.
+         * @returns {Alignment | null} Result.
+         */
+        InkSnapping.prototype.findAlignment = function (values, delta, targets) {
+            var result = null;
+            var minDistance = this._alignmentSnapDistance;
+            for (var v = 0; v < values.length; v++) {
+                for (var t = 0; t < targets.length; t++) {
+                    var offset = targets[t].value - (values[v] + delta);
+                    if (Math.abs(offset) <= minDistance) {
+                        result = { offset: offset, target: targets[t] };
+                        minDistance = Math.abs(offset);
                     }
-                    scaledPathPointsCollection.push(scaledPathPoints);
-                    d += _inkLineGenerator(scaledPathPoints);
                 }
-                inkPath.attr("d", d + (isClosed ? "Z" : ""));
-                inkPath.node().__MILPathPointsCollection__ = scaledPathPointsCollection;
-                // Finally, revert the stroke-width to its original value [after having adjusted it when useTransform is true]
-                inkPath.style("stroke-width", startStrokeWidth + "px");
             }
+            return (result);
         };
         /**
-         * [Private Method] Scales (resizes) the specified Ink Hull path (a d3 selection of an svg Path element). Also scales the Hull's line thickness.
-         * @param {D3SingleSelection} hullPath The Ink Hull path to scale.
-         * @param {number} scaleDelta The ratio to scale by.
+         * [Private Method] Adds an alignment guide line (on top of all the Inks) between the specified points.
+         * @param {number} x1 The x-coordinate of the start of the line.
+         * @param {number} y1 The y-coordinate of the start of the line.
+         * @param {number} x2 The x-coordinate of the end of the line.
+         * @param {number} y2 The y-coordinate of the end of the line.
          */
-        Ink.prototype.scaleHullPath = function (hullPath, scaleDelta) {
-            var hullPathDomElement = MIL.Utils.GetDomElement(hullPath, SVGPathElement);
-            var values = hullPathDomElement.getAttribute("d").split(" ");
-            var hullPathData = "";
-            var ink = MIL.GetInkByElement(hullPath);
-            var scaledOutlinePathPoints = [];
-            var boundingRect = hullPathDomElement.getBBox();
-            for (var i = 0; i < values.length; i++) {
-                if (isNaN(+values[i])) {
-                    if (values[i].length !== 1) {
-                        throw new MIL.MILException("Unexpected value ('" + values[i] + "') in 'd'");
-                    }
-                    // M or L
-                    hullPathData += values[i] + " ";
-                }
-                else {
-                    // x y
-                    // "Re-origin" the points to 0,0
-                    var scaledX = +values[i] - boundingRect.x;
-                    var scaledY = +values[++i] - boundingRect.y;
-                    // Now scale them
-                    scaledX *= (1 + scaleDelta);
-                    scaledY *= (1 + scaleDelta);
-                    // Finally, move them back so that they stay centered on the bounding rect
-                    scaledX += boundingRect.x - ((boundingRect.width * scaleDelta) / 2);
-                    scaledY += boundingRect.y - ((boundingRect.height * scaleDelta) / 2);
-                    hullPathData += scaledX + " " + scaledY + " ";
-                    if (ink.IsCombined()) {
-                        scaledOutlinePathPoints.push({ x: scaledX, y: scaledY });
-                    }
-                }
+        InkSnapping.prototype.addAlignmentGuide = function (x1, y1, x2, y2) {
+            var line = this._gSelection.append("line").classed(ALIGNMENT_GUIDE_CLASS_NAME, true)
+                .attr("x1", x1).attr("y1", y1).attr("x2", x2).attr("y2", y2).style("pointer-events", "none");
+            if (this._alignmentGuideClassName) {
+                line.classed(this._alignmentGuideClassName, true);
             }
-            hullPathDomElement.setAttribute("d", hullPathData.trim());
-            // Scale the hull stroke-width (we keep this proportional, unlike the Ink path)
-            var strokeWidth = MIL.Utils.ToNumber(hullPath.style("stroke-width"));
-            strokeWidth *= (1 + scaleDelta);
-            hullPath.style("stroke-width", strokeWidth + "px");
-            if (ink.IsCombined()) {
-                ink._combinedOutlinePathPoints = scaledOutlinePathPoints;
+            else {
+                line.style("stroke", "magenta").style("stroke-width", "1px").style("stroke-dasharray", "4 2").attr("vector-effect", "non-scaling-stroke");
             }
         };
-        /**
-         * [Internal] Directly sets the Ink/Hull Paths (eg. when combining Inks).
-         * @param {D3SingleSelection} hullPath The new Hull path.
-         * @param {D3SingleSelection} inkPath The new Ink path.
-         * @param {Point[]} hullPoints The new Hull points (combined outline).
-         * @internal
-         */
-        Ink.prototype.setHullAndPath = function (hullPath, inkPath, hullPoints) {
-            this._hullPath = hullPath; // Ink.HullPath() is read-only
-            this._finalPath = inkPath; // Ink.FinalPath() is read-only
-            this._combinedOutlinePathPoints = hullPoints;
+        /** [Private Method] Removes all the alignment guide lines. */
+        InkSnapping.prototype.removeAlignmentGuides = function () {
+            this._gSelection.selectAll("line." + ALIGNMENT_GUIDE_CLASS_NAME).remove();
         };
-        return Ink;
+        return InkSnapping;
     }());
-    MIL.Ink = Ink;
+    MIL.InkSnapping = InkSnapping;
+    /**
+     * Returns the snapping settings (see InkSnapping) associated with the specified <svg> element.
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to find the snapping settings for.
+     * @returns {InkSnapping} The associated snapping settings.
+     */
+    function Snapping(svg) {
+        var svgDomElement = MIL.Utils.GetDomElement(svg, SVGSVGElement);
+        var svgInfo = MIL.getSvgInfo(svgDomElement);
+        return (svgInfo.snapping);
+    }
+    MIL.Snapping = Snapping;
+    /**
+     * [Private Method] Returns true if the supplied Ink is not in a hidden layer (see InkLayer.IsVisible()).
+     * @param {Ink} ink The Ink to check.
+     * @returns {boolean} Result.
+     */
+    function isInVisibleLayer(ink) {
+        var layer = MIL.getElementLayer(ink.Path());
+        return ((layer === null) || layer.IsVisible());
+    }
 })(MIL || (MIL = {}));
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT license.
 var MIL;
 (function (MIL) {
-    // This is only exported because of the eventWatchdog() bug-detector code in MIL.Initialize()
-    MIL._activePointerCaptures = {}; // The set of PointerID's being captured to an element - Key: TargetElementID, Value = Array of PointerID
-    /** The Gesture class. To create a new Gesture, use MIL.CreateGesture(). */
-    var Gesture = /** @class */ (function () {
-        function Gesture(name, ignoreGestureDefaults) {
-            if (name[name.length - 1] === "*") {
-                throw new MIL.MILException("Gesture name '" + name + "' is invalid (cannot end with '*'): consider using MIL.CreateGesture() instead");
-            }
-            this._name = name;
-            this._targetDomElement = ignoreGestureDefaults ? null : MIL.GestureDefaults.Target();
-            this._pointerType = null;
-            this._pointerTypePermutations = [];
-            this._pointerTypeOrdinals = [];
-            this._conditional = null;
-            this._isExclusive = true;
-            this._isEnabled = true;
-            this._isCancelled = false;
-            this._groupName = ignoreGestureDefaults ? "default" : MIL.GestureDefaults.GroupName();
-            this._recognitionTimeoutInMs = ignoreGestureDefaults ? 0 : MIL.GestureDefaults.RecognitionTimeoutInMs();
-            this._completionTimeoutInMs = -1;
-            this._gestureStartedHandler = ignoreGestureDefaults ? null : MIL.GestureDefaults.StartedHandler();
-            this._gestureEndedHandler = ignoreGestureDefaults ? null : MIL.GestureDefaults.EndedHandler();
-            this._gestureCancelledHandler = ignoreGestureDefaults ? null : MIL.GestureDefaults.CancelledHandler();
-            this._onMoveHandler = null;
-            this._activePointerList = [];
-            this._activePointerTypeOrdinals = [];
-            this._capturesPointers = true;
-            this._isCapturing = false;
-            this._ink = null;
-            this._startedTime = 0;
-            this._endedTime = 0;
-            this._repeatCount = 0;
-            this._repeatTimeoutInMs = 0;
-            this._repeatOccurrenceCount = 0;
-            this._lastRepeatRecognitionTime = 0;
-            this._checkForGesturesOnEnd = false;
-            this._allowEventPropagation = true;
-            this._completionTimerID = -1;
+    var MAX_ENTRIES_PER_NODE = 8; // Once exceeded, the node is split into 4 child nodes
+    var MAX_TREE_DEPTH = 12; // Nodes at this depth are never split
+    var MIN_ROOT_SIZE = 256; // In pixels
+    /**
+     * [Internal] The InkSpatialIndex class. Each <svg> (see MIL.Initialize()) has its own InkSpatialIndex, which is a quadtree over the bounding
+     * rectangles of the [completed] Inks in the svg. It's used to quickly narrow down the Inks that may be near a point, or overlap a region, before
+     * doing more expensive tests (eg. Utils.CountPointsInPolygon()). The tree grows as needed to contain any Ink, regardless of where it's drawn.
+     * Note: An Ink is indexed by the bounding rectangle of its __MILPathPointsCollection__ points, inflated by half the [computed] stroke-width of its Path(),
+     *       so the index must be updated (see Update()) whenever the points or the stroke-width of an Ink change.
+     * @internal
+     */
+    var InkSpatialIndex = /** @class */ (function () {
+        function InkSpatialIndex() {
+            this._root = null;
+            this._entries = {};
+            this._count = 0;
+            this._nextOrder = 0;
         }
-        Gesture.prototype.Name = function (name) {
-            var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._name; }), name));
+        /**
+         * [ReadOnly Property] The number of Inks in the index.
+         * @returns {number} Property value.
+         */
+        InkSpatialIndex.prototype.Count = function () {
+            MIL.readOnlyProperty("Count", arguments);
+            return (this._count);
         };
-        Gesture.prototype.Target = function (element) {
-            if (element === undefined) {
-                return (this._targetDomElement);
-            }
-            else {
-                var targetDomElement = MIL.Utils.GetDomElement(element);
-                if (!document.body.contains(targetDomElement)) {
-                    throw new MIL.MILException("The specified DOM element does not exist in the document body");
-                }
-                MIL.tagWithTargetElementID(targetDomElement);
-                this._targetDomElement = targetDomElement;
-                return (this);
-            }
+        /**
+         * Returns true if the supplied Ink is in the index.
+         * @param {Ink} ink The Ink to check for.
+         * @returns {boolean} Result.
+         */
+        InkSpatialIndex.prototype.Contains = function (ink) {
+            return (this._entries[ink.InkID()] !== undefined);
         };
-        Gesture.prototype.PointerType = function (pointerType) {
-            if (pointerType === undefined) {
-                return (this._pointerType);
-            }
-            else {
-                var validTypes = ["pen", "touch", "mouse", "hover", "any"];
-                var pointerTypePermutations = [];
-                var pointerTypeOrdinals = []; // [string[]]
-                pointerType = pointerType.toLowerCase();
-                // Populate pointerTypePermutations [which is necessary to handle or-style pointerType values, eg. "pen|touch+touch" meaning "pen or touch, plus a second touch"].
-                pointerTypePermutations = this.permutePointerType(pointerType);
-                for (var p = 0; p < pointerTypePermutations.length; p++) {
-                    var groups = pointerTypePermutations[p].split("+");
-                    pointerTypeOrdinals.push([]);
-                    // Populate pointerTypeOrdinals[] (and validate pointerType)
-                    // Note that pointerType can be of the form "touch:2+pen" or "touch+touch+pen"
-                    for (var g = 0; g < groups.length; g++) {
-                        var parts = groups[g].split(":");
-                        var type = parts[0];
-                        var instanceCount = 1;
-                        if (validTypes.indexOf(type) === -1) {
-                            throw new MIL.MILException("Invalid pointerType '" + type + "'; valid values (separated by '+') are: " + validTypes.join(", "));
-                        }
-                        if (parts.length === 1) {
-                            for (var i = 0; i < pointerTypeOrdinals[p].length; i++) {
-                                if (pointerTypeOrdinals[p][i].indexOf(type) === 0) {
-                                    instanceCount++;
-                                }
-                            }
-                            pointerTypeOrdinals[p].push(type + ":" + instanceCount);
-                        }
-                        else {
-                            instanceCount = Number(parts[1]);
-                            if (isNaN(instanceCount)) {
-                                throw new MIL.MILException("Invalid pointerType '" + groups[g] + "'; should be of the form '" + type + ":{number}'");
-                            }
-                            if ((instanceCount < 1) || (instanceCount > 10)) {
-                                throw new MIL.MILException("Invalid pointerType '" + groups[g] + "'; the instance count must be between 1 and 10");
-                            }
-                            for (var i = 1; i <= instanceCount; i++) {
-                                pointerTypeOrdinals[p].push(type + ":" + i);
-                            }
-                        }
-                    }
-                }
-                this._pointerType = pointerType;
-                this._pointerTypePermutations = pointerTypePermutations;
-                this._pointerTypeOrdinals = pointerTypeOrdinals;
-                return (this);
+        /**
+         * Adds the supplied Ink to the index or, if it's already in the index, updates its bounding rectangle (eg. after it's been moved or re-scaled).
+         * @param {Ink} ink The [completed] Ink to add or update.
+         */
+        InkSpatialIndex.prototype.Update = function (ink) {
+            if ((ink.Path() === null) || ink.IsNonDrawing()) {
+                throw new MIL.MILException("Only a completed, drawing, Ink can be added to an InkSpatialIndex");
+            }
+            var existingEntry = this._entries[ink.InkID()];
+            var order = existingEntry ? existingEntry.order : this._nextOrder++;
+            if (existingEntry) {
+                this.removeEntry(existingEntry);
+            }
+            var entry = { ink: ink, rect: InkSpatialIndex.getInkRect(ink), order: order, node: null };
+            this.growToContain(entry.rect);
+            this.insertEntry(this._root, entry, 0);
+            this._entries[ink.InkID()] = entry;
+            this._count++;
+        };
+        /**
+         * Removes the supplied Ink from the index. Has no effect if the Ink is not in the index.
+         * @param {Ink} ink The Ink to remove.
+         */
+        InkSpatialIndex.prototype.Remove = function (ink) {
+            var entry = this._entries[ink.InkID()];
+            if (entry) {
+                this.removeEntry(entry);
             }
         };
         /**
-         * [ReadOnly Property] The set of all permutations of PointerType.
-         * @returns {string[]} Result.
+         * Returns the Inks whose [indexed] bounding rectangles intersect the supplied rectangle, in the order they were added to the index.
+         * @param {Rect} rect The rectangle (in svg space) to search.
+         * @returns {Ink[]} Result.
          */
-        Gesture.prototype.PointerTypePermutations = function () {
-            MIL.readOnlyProperty("PointerTypePermutations", arguments);
-            return (this._pointerTypePermutations);
+        InkSpatialIndex.prototype.Search = function (rect) {
+            var foundEntries = [];
+            if (this._root !== null) {
+                InkSpatialIndex.searchNode(this._root, rect, foundEntries);
+            }
+            foundEntries.sort(function (entry1, entry2) { return (entry1.order - entry2.order); });
+            return (foundEntries.map(function (entry) { return (entry.ink); }));
         };
-        Gesture.prototype.Conditional = function (callback) {
-            var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._conditional; }), callback));
+        /**
+         * Returns the Inks whose [indexed] bounding rectangles are within 'tolerance' pixels of the supplied point, in the order they were added to the index.
+         * @param {Point} point The point (in svg space) to search around.
+         * @param {number} [tolerance] [Optional] The distance (in pixels) from 'point' to search within. Defaults to 0.
+         * @returns {Ink[]} Result.
+         */
+        InkSpatialIndex.prototype.SearchPoint = function (point, tolerance) {
+            if (tolerance === void 0) { tolerance = 0; }
+            return (this.Search({ x: point.x - tolerance, y: point.y - tolerance, width: tolerance * 2, height: tolerance * 2 }));
         };
-        Gesture.prototype.IsExclusive = function (exclusive) {
-            var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._isExclusive; }), exclusive));
+        /**
+         * [Private Method] Removes the supplied entry from its quadtree node, and from the index.
+         * @param {SpatialIndexEntry} entry The entry to remove.
+         */
+        InkSpatialIndex.prototype.removeEntry = function (entry) {
+            var index = entry.node.entries.indexOf(entry);
+            if (index !== -1) {
+                entry.node.entries.splice(index, 1);
+            }
+            delete this._entries[entry.ink.InkID()];
+            this._count--;
         };
-        Gesture.prototype.IsEnabled = function (enabled) {
-            if (enabled === undefined) {
-                return (this._isEnabled && MIL.IsGestureGroupEnabled(this._groupName));
+        /**
+         * [Private Method] Replaces the root node with successively larger [parent] nodes until the root fully contains the supplied rectangle.
+         * @param {Rect} rect The rectangle the root must contain.
+         */
+        InkSpatialIndex.prototype.growToContain = function (rect) {
+            if (this._root === null) {
+                var size = Math.max(rect.width, rect.height, MIN_ROOT_SIZE);
+                this._root = { rect: { x: rect.x - ((size - rect.width) / 2), y: rect.y - ((size - rect.height) / 2), width: size, height: size }, entries: [], children: null };
+                return;
             }
-            else {
-                this._isEnabled = Boolean(enabled);
-                return (this);
+            while (!InkSpatialIndex.containsRect(this._root.rect, rect)) {
+                // Double the size of the root, growing towards the rectangle; the old root becomes one of the quadrants of the new root
+                var oldRoot = this._root;
+                var size = oldRoot.rect.width;
+                var growLeft = (rect.x < oldRoot.rect.x);
+                var growUp = (rect.y < oldRoot.rect.y);
+                var newRootRect = { x: growLeft ? oldRoot.rect.x - size : oldRoot.rect.x, y: growUp ? oldRoot.rect.y - size : oldRoot.rect.y, width: size * 2, height: size * 2 };
+                var newRoot = { rect: newRootRect, entries: [], children: InkSpatialIndex.createChildNodes(newRootRect) };
+                var oldRootQuadrant = (growUp ? 2 : 0) + (growLeft ? 1 : 0);
+                newRoot.children[oldRootQuadrant] = oldRoot;
+                this._root = newRoot;
             }
         };
-        Gesture.prototype.GroupName = function (name) {
-            var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._groupName; }), name));
-        };
-        Gesture.prototype.RecognitionTimeoutInMs = function (timeout) {
-            var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._recognitionTimeoutInMs; }), timeout));
-        };
-        Gesture.prototype.CompletionTimeoutInMs = function (timeout) {
-            var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._completionTimeoutInMs; }), timeout));
-        };
-        Gesture.prototype.GestureStartedHandler = function (handler) {
-            var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._gestureStartedHandler; }), handler));
-        };
-        Gesture.prototype.GestureEndedHandler = function (handler) {
-            var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._gestureEndedHandler; }), handler));
-        };
-        Gesture.prototype.GestureCancelledHandler = function (handler) {
-            var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._gestureCancelledHandler; }), handler));
+        /**
+         * [Private Method] Adds the supplied entry to the deepest node (at or below 'node') that fully contains the entry's rectangle, splitting full nodes as needed.
+         * @param {QuadTreeNode} node The node to start at (which must contain the entry's rectangle).
+         * @param {SpatialIndexEntry} entry The entry to add.
+         * @param {number} depth The depth of 'node' (the root is at depth 0).
+         */
+        InkSpatialIndex.prototype.insertEntry = function (node, entry, depth) {
+            if ((node.children === null) && (node.entries.length >= MAX_ENTRIES_PER_NODE) && (depth < MAX_TREE_DEPTH)) {
+                // Split the node, moving any entries that fit inside a child node into that child
+                var existingEntries = node.entries;
+                node.children = InkSpatialIndex.createChildNodes(node.rect);
+                node.entries = [];
+                for (var i = 0; i < existingEntries.length; i++) {
+                    this.insertEntry(node, existingEntries[i], depth);
+                }
+            }
+            if (node.children !== null) {
+                for (var i = 0; i < node.children.length; i++) {
+                    if (InkSpatialIndex.containsRect(node.children[i].rect, entry.rect)) {
+                        this.insertEntry(node.children[i], entry, depth + 1);
+                        return;
+                    }
+                }
+            }
+            // The entry straddles the child nodes (or the node is a leaf)
+            node.entries.push(entry);
+            entry.node = node;
         };
-        Gesture.prototype.OnMoveHandler = function (handler) {
-            if (handler === undefined) {
-                return (this._onMoveHandler);
+        /**
+         * [Private Static Method] Adds the entries (at or below 'node') whose rectangles intersect 'rect' to 'foundEntries'.
+         * @param {QuadTreeNode} node The node to search.
+         * @param {Rect} rect The rectangle to search for.
+         * @param {SpatialIndexEntry[]} foundEntries The entries found so far.
+         */
+        InkSpatialIndex.searchNode = function (node, rect, foundEntries) {
+            if (!InkSpatialIndex.intersectsRect(node.rect, rect)) {
+                return;
             }
-            else {
-                if (this._targetDomElement === null) {
-                    throw new MIL.MILException("The Target() of the Gesture must be defined before setting the OnMoveHandler()");
-                }
-                var gesture = this; // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
-                var onMoveHandler = (handler instanceof Function) ? function onMoveHandlerWrapper(e) {
-                    handler.call(gesture, e);
-                    // Since we handled the PointerMove event, we prevent it from bubbling [up its parent chain].
-                    // However, in order to allow other active gestures with a move handler on _targetDomElement) we use stopPropagation() NOT stopImmediatePropagation(). 
-                    // An example of this would be when a 1-touch Pan becomes a 2-touch Zoom [Pan remains active during the Zoom], in which which case we want both gestures
-                    // to continue to receive pointerMove events (in particular, we don't want the Pan to prevent the Zoom gesture from receiving pointerMove events).
-                    e.stopPropagation();
-                } : null;
-                if (this._onMoveHandler !== null) {
-                    this._targetDomElement.removeEventListener("pointermove", this._onMoveHandler);
+            for (var i = 0; i < node.entries.length; i++) {
+                if (InkSpatialIndex.intersectsRect(node.entries[i].rect, rect)) {
+                    foundEntries.push(node.entries[i]);
                 }
-                if (onMoveHandler !== null) {
-                    this._targetDomElement.addEventListener("pointermove", onMoveHandler);
+            }
+            if (node.children !== null) {
+                for (var i = 0; i < node.children.length; i++) {
+                    InkSpatialIndex.searchNode(node.children[i], rect, foundEntries);
                 }
-                this._onMoveHandler = onMoveHandler;
-                return (this);
             }
         };
-        Gesture.prototype.CapturesPointers = function (capturesPointers) {
-            var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._capturesPointers; }), capturesPointers));
-        };
         /**
-         * [ReadOnly Property] The most recent time the Gesture started (was recognized).
-         * @returns {number} Result.
+         * [Private Static Method] Returns the 4 [empty] child nodes of a node with the supplied rectangle, in the order [TL, TR, BL, BR].
+         * @param {Rect} rect The rectangle of the parent node.
+         * @returns {QuadTreeNode[]} Result.
          */
-        Gesture.prototype.StartedTime = function () {
-            MIL.readOnlyProperty("StartedTime", arguments);
-            return (this._startedTime);
+        InkSpatialIndex.createChildNodes = function (rect) {
+            var halfWidth = rect.width / 2;
+            var halfHeight = rect.height / 2;
+            var childNodes = [];
+            for (var i = 0; i < 4; i++) {
+                var childRect = { x: rect.x + ((i % 2) * halfWidth), y: rect.y + (Math.floor(i / 2) * halfHeight), width: halfWidth, height: halfHeight };
+                childNodes.push({ rect: childRect, entries: [], children: null });
+            }
+            return (childNodes);
         };
         /**
-         * [Internal] Sets the most recent time the Gesture started (was recognized).
-         * @param {number} time A time.
-         * @internal
+         * [Private Static Method] Returns the rectangle that the supplied Ink is indexed by.
+         * @param {Ink} ink The Ink to get the rectangle for.
+         * @returns {Rect} Result.
          */
-        Gesture.prototype.startedTime = function (time) {
-            this._startedTime = time;
+        InkSpatialIndex.getInkRect = function (ink) {
+            var pathDomElement = ink.Path().node();
+            var pathPointsCollection = pathDomElement.__MILPathPointsCollection__;
+            var pathPoints = [].concat.apply([], pathPointsCollection);
+            if (pathPoints.length === 0) {
+                pathPoints = ink.PathPoints() || [];
+            }
+            var rect = (pathPoints.length > 0) ? MIL.Utils.GetBoundingRectForPoints(pathPoints) : { x: 0, y: 0, width: 0, height: 0 };
+            var halfStrokeWidth = (MIL.Utils.ToNumber(window.getComputedStyle(pathDomElement).strokeWidth) || 0) / 2;
+            return ({ x: rect.x - halfStrokeWidth, y: rect.y - halfStrokeWidth, width: rect.width + (halfStrokeWidth * 2), height: rect.height + (halfStrokeWidth * 2) });
         };
         /**
-         * [ReadOnly Property] If the Gesture is currently active, returns the list of PointerID's involved.
-         * @returns {string[]} Result.
+         * [Private Static Method] Returns true if 'outerRect' fully contains 'innerRect'.
+         * @param {Rect} outerRect The containing rectangle.
+         * @param {Rect} innerRect The contained rectangle.
+         * @returns {boolean} Result.
          */
-        Gesture.prototype.ActivePointerList = function () {
-            MIL.readOnlyProperty("ActivePointerList", arguments);
-            return (this._activePointerList);
+        InkSpatialIndex.containsRect = function (outerRect, innerRect) {
+            return ((innerRect.x >= outerRect.x) && (innerRect.y >= outerRect.y) &&
+                (innerRect.x + innerRect.width <= outerRect.x + outerRect.width) && (innerRect.y + innerRect.height <= outerRect.y + outerRect.height));
         };
         /**
-         * [Internal] Sets the pointer IDs that the Gesture was recognized with.
-         * @param {string[]} pointerList A list of pointer IDs.
-         * @internal
+         * [Private Static Method] Returns true if the supplied rectangles overlap (or touch).
+         * @param {Rect} rect1 The first rectangle.
+         * @param {Rect} rect2 The second rectangle.
+         * @returns {boolean} Result.
          */
-        Gesture.prototype.activePointerList = function (pointerList) {
-            this._activePointerList = pointerList;
+        InkSpatialIndex.intersectsRect = function (rect1, rect2) {
+            return ((rect1.x <= rect2.x + rect2.width) && (rect2.x <= rect1.x + rect1.width) && (rect1.y <= rect2.y + rect2.height) && (rect2.y <= rect1.y + rect1.height));
         };
-        /**
-         *[ReadOnly Property] If the Gesture is currently active, returns the list of pointer type ordinals involved (eg. ["pen:1", "touch:1", "touch:2"]).
-         * @returns {string[]} Result.
-         */
-        Gesture.prototype.ActivePointerTypeOrdinals = function () {
-            MIL.readOnlyProperty("ActivePointerTypeOrdinals", arguments);
+        return InkSpatialIndex;
+    }());
+    MIL.InkSpatialIndex = InkSpatialIndex;
+    /**
+     * [Internal] Returns the InkSpatialIndex for the <svg> that contains the specified 'targetElement', or null if the element is not in an svg that MIL has been initialized for.
+     * @param {TargetDomElement} targetElement The SVGElement to inspect.
+     * @returns {InkSpatialIndex | null} Result.
+     * @internal
+     */
+    function getSpatialIndex(targetElement) {
+        var svgInfo = MIL.getSvgInfo(targetElement);
+        return (svgInfo ? svgInfo.spatialIndex : null);
+    }
+    MIL.getSpatialIndex = getSpatialIndex;
+})(MIL || (MIL = {}));
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT license.
+var MIL;
+(function (MIL) {
+    // PORT: This is essentially a static class: is there a better way to write this code?
+    /**
+     * The GestureDefaults namespace.
+     * Setting GestureDefault properties saves having to re-specify the corresponding Gesture properties [repetitively] each time CreateGesture() is called.
+     */
+    var GestureDefaults;
+    (function (GestureDefaults) {
+        var _defaults = {
+            targetDomElement: null,
+            startedHandler: null,
+            endedHandler: null,
+            cancelledHandler: null,
+            groupName: "default",
+            recognitionTimeoutInMs: 0,
+            _parentObj: GestureDefaults
+        };
+        /**
+         * Resets all defaults. Returns the GestureDefaults namespace.
+         * @returns {GestureDefaultsType} The GestureDefaults namespace.
+         */
+        function Reset() {
+            _defaults.targetDomElement = null;
+            _defaults.startedHandler = null;
+            _defaults.endedHandler = null;
+            _defaults.cancelledHandler = null;
+            _defaults.groupName = "default";
+            _defaults.recognitionTimeoutInMs = 0;
+            _defaults._parentObj = this;
+            return (this);
+        }
+        GestureDefaults.Reset = Reset;
+        function Target(targetDomElement) {
+            if (targetDomElement === undefined) {
+                return (_defaults.targetDomElement);
+            }
+            else {
+                var domElement = MIL.Utils.GetDomElement(targetDomElement);
+                if (!document.body.contains(domElement)) {
+                    throw new MIL.MILException("The specified targetDomElement does not exist in the document body");
+                }
+                MIL.tagWithTargetElementID(domElement);
+                _defaults.targetDomElement = domElement;
+                return (this);
+            }
+        }
+        GestureDefaults.Target = Target;
+        function StartedHandler(handler) {
+            return (MIL.getOrSetProperty(_defaults, MIL.nameof(function () { return _defaults.startedHandler; }), handler));
+        }
+        GestureDefaults.StartedHandler = StartedHandler;
+        function EndedHandler(handler) {
+            return (MIL.getOrSetProperty(_defaults, MIL.nameof(function () { return _defaults.endedHandler; }), handler));
+        }
+        GestureDefaults.EndedHandler = EndedHandler;
+        function CancelledHandler(handler) {
+            return (MIL.getOrSetProperty(_defaults, MIL.nameof(function () { return _defaults.cancelledHandler; }), handler));
+        }
+        GestureDefaults.CancelledHandler = CancelledHandler;
+        function RecognitionTimeoutInMs(timeoutInMs) {
+            return (MIL.getOrSetProperty(_defaults, MIL.nameof(function () { return _defaults.recognitionTimeoutInMs; }), timeoutInMs));
+        }
+        GestureDefaults.RecognitionTimeoutInMs = RecognitionTimeoutInMs;
+        function GroupName(name) {
+            return (MIL.getOrSetProperty(_defaults, MIL.nameof(function () { return _defaults.groupName; }), name));
+        }
+        GestureDefaults.GroupName = GroupName;
+    })(GestureDefaults = MIL.GestureDefaults || (MIL.GestureDefaults = {}));
+})(MIL || (MIL = {}));
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT license.
+var MIL;
+(function (MIL) {
+    var _nextInkID = 1; // Used to assign ID's to Ink objects
+    /**
+     * [Internal] While being drawn, an Ink consists of a series of [slightly] overlapping paths; the path that is actively being drawn is the 'current' path.
+     * @internal
+     */
+    MIL._inkCurrentPathPointData = {}; // Key: PointerID, Value: Array of points in current path
+    var _inkCurrentPath = {}; // Key: PointerID, Value: Current path element
+    /**
+     * [Internal] All the points in the Ink (in all paths) as it is being drawn.
+     * @internal
+     */
+    MIL._inkCompletePathPointData = {}; // Key: PointerID, Value: Cumulative array of unique points in all paths
+    /**
+     * [Internal] The sample channels (pressure, tilt, etc.) for each point in _inkCompletePathPointData.
+     * @internal
+     */
+    MIL._inkCompletePathSampleData = {}; // Key: PointerID, Value: Cumulative array of sample channels (one per point in _inkCompletePathPointData)
+    var _inkLineGenerators = {}; // Key: InkCurve, Value: d3 line generator (created on first use)
+    /**
+     * [Internal] Returns the path data ('d') for the supplied points, which will be either curved (using the specified curve) or linear.
+     * @param {Point[]} pathPoints The points of the line.
+     * @param {boolean} isLinear Whether the points should be joined by straight lines (rather than by a curve), eg. for a beautified shape.
+     * @param {InkCurve} [curve] [Optional] The curve to use when isLinear is false. Defaults to InkCurve.Basis.
+     * @returns {string} Result.
+     * @internal
+     */
+    function getInkLinePathData(pathPoints, isLinear, curve) {
+        if (curve === void 0) { curve = MIL.InkCurve.Basis; }
+        var lineCurve = isLinear ? MIL.InkCurve.Linear : curve;
+        if (_inkLineGenerators[lineCurve] === undefined) {
+            _inkLineGenerators[lineCurve] = d3.line()
+                .curve(getCurveFactory(lineCurve))
+                .x(function (d) { return (d.x); })
+                .y(function (d) { return (d.y); });
+        }
+        return (_inkLineGenerators[lineCurve](pathPoints));
+    }
+    MIL.getInkLinePathData = getInkLinePathData;
+    /**
+     * [Private Method] Returns the d3 curve factory for the specified InkCurve.
+     * @param {InkCurve} curve The curve to get the factory for.
+     * @returns {d3.CurveFactory} Result.
+     */
+    function getCurveFactory(curve) {
+        switch (curve) {
+            case MIL.InkCurve.Basis:
+                return (d3.curveBasis); // See http://bl.ocks.org/mbostock/4342190
+            case MIL.InkCurve.CatmullRom:
+                return (d3.curveCatmullRom);
+            case MIL.InkCurve.Monotone:
+                return (d3.curveMonotoneX);
+            default:
+                return (d3.curveLinear);
+        }
+    }
+    /** The number of straight segments that each cubic Bézier segment of a curved Ink line is approximated by (see getInkLineCurvePoints()). */
+    var CURVE_FLATTENING_SEGMENT_COUNT = 8;
+    /**
+     * [Private Method] Returns the points of a polyline that closely follows the line drawn by getInkLinePathData() for the supplied points (which,
+     * for a curved line, doesn't necessarily pass through the points themselves).
+     * @param {Point[]} pathPoints The points of the line.
+     * @param {boolean} isLinear Whether the points are joined by straight lines (rather than by a curve).
+     * @param {InkCurve} curve The curve used when isLinear is false.
+     * @returns {Point[]} Result.
+     */
+    function getInkLineCurvePoints(pathPoints, isLinear, curve) {
+        var curvePoints = [];
+        var currentPoint = null;
+        var addPoint = function (x, y) {
+            currentPoint = { x: x, y: y };
+            curvePoints.push(currentPoint);
+        };
+        // Rather than parsing the path data, we have the d3 line generator "draw" the curve into a context that records it as a polyline
+        var flatteningContext = {
+            moveTo: addPoint,
+            lineTo: addPoint,
+            bezierCurveTo: function (x1, y1, x2, y2, x, y) {
+                var startPoint = currentPoint;
+                for (var s = 1; s <= CURVE_FLATTENING_SEGMENT_COUNT; s++) {
+                    var t = s / CURVE_FLATTENING_SEGMENT_COUNT;
+                    var mt = 1 - t;
+                    addPoint((mt * mt * mt * startPoint.x) + (3 * mt * mt * t * x1) + (3 * mt * t * t * x2) + (t * t * t * x), (mt * mt * mt * startPoint.y) + (3 * mt * mt * t * y1) + (3 * mt * t * t * y2) + (t * t * t * y));
+                }
+            },
+            closePath: function () {
+                if (curvePoints.length > 0) {
+                    addPoint(curvePoints[0].x, curvePoints[0].y);
+                }
+            }
+        };
+        d3.line()
+            .curve(getCurveFactory(isLinear ? MIL.InkCurve.Linear : curve))
+            .x(function (d) { return (d.x); })
+            .y(function (d) { return (d.y); })
+            .context(flatteningContext)(pathPoints); // Note: d3 only calls the methods of the context that flatteningContext implements
+        return (curvePoints);
+    }
+    /**
+     * [Private Method] Returns the sample channels (pressure, tilt, etc.) of the supplied PointerEvent.
+     * @param {PointerEvent} e A PointerEvent.
+     * @returns {InkSampleChannels} Result.
+     */
+    function getSampleChannels(e) {
+        var timestamp = (e.__MILTimeStamp__ !== undefined) ? e.__MILTimeStamp__ : Date.now(); // e.TimeStamp is not consistent bewteen IE11 and Chrome
+        return ({ timestamp: timestamp, pressure: e.pressure, tiltX: e.tiltX || 0, tiltY: e.tiltY || 0, twist: e.twist || 0, width: e.width, height: e.height });
+    }
+    /** The cutoff frequency (in Hz) used by the 1€ filter (see InkSmoothingMode.OneEuro) to smooth the pointer velocity. */
+    var ONE_EURO_VELOCITY_CUTOFF = 1;
+    /**
+     * [Private Method] Returns the smoothed position of the supplied [raw] pointer position, according to the supplied smoothing options. Updates 'state' accordingly.
+     * @param {Point} point The pointer position.
+     * @param {number} timestamp The time of the pointer position (in milliseconds).
+     * @param {InkSmoothingOptions} options The smoothing options.
+     * @param {InkSmoothingState} state The smoothing state of the line being drawn.
+     * @returns {Point} Result.
+     */
+    function smoothPoint(point, timestamp, options, state) {
+        switch (options.mode) {
+            case MIL.InkSmoothingMode.MovingAverage:
+                var sumX_1 = 0, sumY_1 = 0;
+                state.recentPoints.push(point);
+                if (state.recentPoints.length > options.windowSize) {
+                    state.recentPoints.shift();
+                }
+                state.recentPoints.forEach(function (recentPoint) { sumX_1 += recentPoint.x; sumY_1 += recentPoint.y; });
+                return ({ x: sumX_1 / state.recentPoints.length, y: sumY_1 / state.recentPoints.length });
+            case MIL.InkSmoothingMode.OneEuro:
+                if (state.prevPoint === null) {
+                    state.prevPoint = point;
+                    state.prevVelocity = { x: 0, y: 0 };
+                    state.prevTimestamp = timestamp;
+                    return (point);
+                }
+                // See https://gery.casiez.net/1euro/ (the filter is applied to x and y independently, but with a cutoff based on the [combined] speed)
+                var elapsedTimeInSeconds_1 = Math.max(timestamp - state.prevTimestamp, 1) / 1000; // Coalesced events can have the same timestamp
+                var getAlpha = function (cutoffInHz) { return (1 / (1 + (1 / (2 * Math.PI * cutoffInHz)) / elapsedTimeInSeconds_1)); };
+                var velocityAlpha = getAlpha(ONE_EURO_VELOCITY_CUTOFF);
+                var velocity = {
+                    x: state.prevVelocity.x + (velocityAlpha * (((point.x - state.prevPoint.x) / elapsedTimeInSeconds_1) - state.prevVelocity.x)),
+                    y: state.prevVelocity.y + (velocityAlpha * (((point.y - state.prevPoint.y) / elapsedTimeInSeconds_1) - state.prevVelocity.y))
+                };
+                var speed = Math.sqrt((velocity.x * velocity.x) + (velocity.y * velocity.y));
+                var alpha = getAlpha(options.minCutoff + (options.beta * speed));
+                var smoothedPoint = { x: state.prevPoint.x + (alpha * (point.x - state.prevPoint.x)), y: state.prevPoint.y + (alpha * (point.y - state.prevPoint.y)) };
+                state.prevPoint = smoothedPoint;
+                state.prevVelocity = velocity;
+                state.prevTimestamp = timestamp;
+                return (smoothedPoint);
+            default:
+                return (point);
+        }
+    }
+    /** The pointer velocity (in pixels per millisecond) at, or above, which an Ink with InkRenderMode.VariableWidth is drawn with its minimum width [when pen pressure is not available]. */
+    var VARIABLE_WIDTH_MAX_VELOCITY = 2;
+    /**
+     * [Internal] Returns the path data ('d') for a filled outline of the supplied line, with the line having the specified width at each point (see getVariableWidths()).
+     * @param {Point[]} pathPoints The path-points of the line.
+     * @param {number[]} widths The width (in pixels) of the line at each point in 'pathPoints'.
+     * @param {boolean} isLinear Whether the outline should be drawn with straight lines (rather than a curve).
+     * @param {InkCurve} curve The curve to draw the outline with when isLinear is false.
+     * @returns {string} Result.
+     * @internal
+     */
+    function getVariableWidthPathData(pathPoints, widths, isLinear, curve) {
+        var leftPoints = [];
+        var rightPoints = [];
+        var tangentX = 1, tangentY = 0;
+        var isDot = true;
+        var arc = function (radius, toPoint) { return (" A" + radius + " " + radius + " 0 0 0 " + toPoint.x + " " + toPoint.y); };
+        for (var i = 0; i < pathPoints.length; i++) {
+            var prevPoint = pathPoints[Math.max(0, i - 1)];
+            var nextPoint = pathPoints[Math.min(pathPoints.length - 1, i + 1)];
+            var length_1 = MIL.Utils.GetDistanceBetweenPoints(prevPoint, nextPoint);
+            var halfWidth = widths[i] / 2;
+            // Note: If the point has no length (eg. it's a duplicate of its neighbors) we re-use the previous tangent
+            if (length_1 > 0) {
+                tangentX = (nextPoint.x - prevPoint.x) / length_1;
+                tangentY = (nextPoint.y - prevPoint.y) / length_1;
+                isDot = false;
+            }
+            leftPoints.push({ x: pathPoints[i].x - (tangentY * halfWidth), y: pathPoints[i].y + (tangentX * halfWidth) });
+            rightPoints.push({ x: pathPoints[i].x + (tangentY * halfWidth), y: pathPoints[i].y - (tangentX * halfWidth) });
+        }
+        if (isDot) {
+            var radius = Math.max(widths[0], 1) / 2;
+            var point = pathPoints[0];
+            return ("M" + (point.x - radius) + " " + point.y + " A" + radius + " " + radius + " 0 1 0 " + (point.x + radius) + " " + point.y +
+                " A" + radius + " " + radius + " 0 1 0 " + (point.x - radius) + " " + point.y + "Z");
+        }
+        // Draw the left side, then a [round] cap at the end, then the right side (in reverse), then a [round] cap at the start
+        var lastIndex = pathPoints.length - 1;
+        var d = getInkLinePathData(leftPoints, isLinear, curve);
+        d += arc(widths[lastIndex] / 2, rightPoints[lastIndex]);
+        d += getInkLinePathData(rightPoints.reverse(), isLinear, curve).replace(/^M/, "L");
+        d += arc(widths[0] / 2, leftPoints[0]) + "Z";
+        return (d);
+    }
+    MIL.getVariableWidthPathData = getVariableWidthPathData;
+    /**
+     * [Internal] Returns the width (in pixels) of the supplied line at each of its points, when drawn with InkRenderMode.VariableWidth.
+     * The width is based on the pen pressure if it's available, or on the pointer velocity (if only the timestamps are available), otherwise it's constant.
+     * @param {Point[]} pathPoints The path-points of the line.
+     * @param {InkSampleChannels[] | null} sampleChannels The sample channels for each point in 'pathPoints', or null.
+     * @param {number} strokeWidth The nominal width (in pixels) of the line.
+     * @param {InkVariableWidthOptions} options The options that control how the width varies.
+     * @param {boolean} isComplete Whether the line is complete. The end of the line is only tapered when the line is complete.
+     * @returns {number[]} Result.
+     * @internal
+     */
+    function getVariableWidths(pathPoints, sampleChannels, strokeWidth, options, isComplete) {
+        var hasChannels = Boolean(sampleChannels) && (sampleChannels.length === pathPoints.length);
+        var hasPressure = hasChannels && sampleChannels.every(function (channels) { return (typeof channels.pressure === "number"); }) &&
+            sampleChannels.some(function (channels) { return (channels.pressure !== sampleChannels[0].pressure); }); // A mouse (and most touch screens) report a constant pressure
+        var hasTimestamps = hasChannels && sampleChannels.every(function (channels) { return (typeof channels.timestamp === "number"); });
+        var distances = [0]; // The distance along the line to each point
+        var widths = [];
+        var smoothedPressure = 0.5;
+        var ease = function (t) { return (t * (2 - t)); };
+        for (var i = 1; i < pathPoints.length; i++) {
+            distances.push(distances[i - 1] + MIL.Utils.GetDistanceBetweenPoints(pathPoints[i - 1], pathPoints[i]));
+        }
+        var totalDistance = distances[distances.length - 1];
+        for (var i = 0; i < pathPoints.length; i++) {
+            var pressure = 0.5;
+            if (hasPressure) {
+                pressure = sampleChannels[i].pressure;
+            }
+            else {
+                if (hasTimestamps && (pathPoints.length > 1)) {
+                    // Simulate pressure from the velocity: the faster the pointer moves, the thinner the line [like a felt-tip pen]
+                    var j = Math.max(1, i);
+                    var elapsedMs = Math.max(1, sampleChannels[j].timestamp - sampleChannels[j - 1].timestamp);
+                    var velocity = (distances[j] - distances[j - 1]) / elapsedMs;
+                    pressure = 1 - Math.min(1, velocity / VARIABLE_WIDTH_MAX_VELOCITY);
+                }
+            }
+            smoothedPressure = (i === 0) ? pressure : smoothedPressure + ((1 - options.smoothing) * (pressure - smoothedPressure));
+            var width = strokeWidth * (1 + (options.thinning * ((smoothedPressure * 2) - 1)));
+            if (totalDistance > 0) {
+                if (options.taperStart > 0) {
+                    width *= ease(Math.min(1, distances[i] / options.taperStart));
+                }
+                if (isComplete && (options.taperEnd > 0)) {
+                    width *= ease(Math.min(1, (totalDistance - distances[i]) / options.taperEnd));
+                }
+            }
+            widths.push(Math.max(0, width));
+        }
+        return (widths);
+    }
+    MIL.getVariableWidths = getVariableWidths;
+    /**
+     * [Private Method] Appends to state.widths the width (in pixels) of each point in 'pathPoints' that doesn't yet have one, so that each pointerMove only costs the new points.
+     * This matches getVariableWidths() for an incomplete line, except that pressure is only used once it starts to vary (earlier points keep their velocity-based widths).
+     * Once the Ink is complete, its widths are re-computed for the whole line by getVariableWidths().
+     * @param {InkVariableWidthState} state The variable-width state of the line being drawn.
+     * @param {Point[]} pathPoints The path-points of the line so far.
+     * @param {InkSampleChannels[]} sampleChannels The sample channels for each point in 'pathPoints'.
+     * @param {number} strokeWidth The nominal width (in pixels) of the line.
+     * @param {InkVariableWidthOptions} options The options that control how the width varies.
+     */
+    function appendVariableWidths(state, pathPoints, sampleChannels, strokeWidth, options) {
+        var ease = function (t) { return (t * (2 - t)); };
+        for (var i = state.widths.length; i < pathPoints.length; i++) {
+            var channels = sampleChannels[i];
+            var segmentDistance = (i > 0) ? MIL.Utils.GetDistanceBetweenPoints(pathPoints[i - 1], pathPoints[i]) : 0;
+            var pressure = 0.5;
+            state.distance += segmentDistance;
+            // A mouse (and most touch screens) report a constant pressure
+            if ((i > 0) && (typeof channels.pressure === "number") && (channels.pressure !== sampleChannels[0].pressure)) {
+                state.isPressureVarying = true;
+            }
+            if (state.isPressureVarying && (typeof channels.pressure === "number")) {
+                pressure = channels.pressure;
+            }
+            else {
+                if ((i > 0) && (typeof channels.timestamp === "number") && (typeof sampleChannels[i - 1].timestamp === "number")) {
+                    // Simulate pressure from the velocity: the faster the pointer moves, the thinner the line [like a felt-tip pen]
+                    var elapsedMs = Math.max(1, channels.timestamp - sampleChannels[i - 1].timestamp);
+                    var velocity = segmentDistance / elapsedMs;
+                    pressure = 1 - Math.min(1, velocity / VARIABLE_WIDTH_MAX_VELOCITY);
+                }
+            }
+            state.smoothedPressure = (i === 0) ? pressure : state.smoothedPressure + ((1 - options.smoothing) * (pressure - state.smoothedPressure));
+            var width = strokeWidth * (1 + (options.thinning * ((state.smoothedPressure * 2) - 1)));
+            if (options.taperStart > 0) {
+                width *= ease(Math.min(1, state.distance / options.taperStart));
+            }
+            state.widths.push(Math.max(0, width));
+        }
+    }
+    /**
+     * [Private Method] Returns the shortest distance (in pixels) between the line segment 'start'-'end' and the supplied polyline.
+     * Note: 'start' and 'end' can be the same point, and 'polylinePoints' can contain a single point.
+     * @param {Point} start The start of the line segment.
+     * @param {Point} end The end of the line segment.
+     * @param {Point[]} polylinePoints The points of the polyline.
+     * @returns {number} Result.
+     */
+    function getDistanceToPolyline(start, end, polylinePoints) {
+        var cross = function (p1, p2, p3) { return (((p2.x - p1.x) * (p3.y - p1.y)) - ((p2.y - p1.y) * (p3.x - p1.x))); };
+        var distanceToSegment = function (point, segmentStart, segmentEnd) {
+            var isDegenerate = (segmentStart.x === segmentEnd.x) && (segmentStart.y === segmentEnd.y); // Utils.GetClosestPointOnLine() does not handle a zero-length line
+            return (MIL.Utils.GetDistanceBetweenPoints(point, isDegenerate ? segmentStart : MIL.Utils.GetClosestPointOnLine(point, segmentStart, segmentEnd)));
+        };
+        var minDistance = Number.MAX_VALUE;
+        for (var i = 0; i < polylinePoints.length; i++) {
+            var p1 = polylinePoints[i];
+            var p2 = polylinePoints[Math.min(i + 1, polylinePoints.length - 1)];
+            // Do the segments intersect?
+            if (((cross(p1, p2, start) * cross(p1, p2, end)) < 0) && ((cross(start, end, p1) * cross(start, end, p2)) < 0)) {
+                return (0);
+            }
+            minDistance = Math.min(minDistance, distanceToSegment(start, p1, p2), distanceToSegment(end, p1, p2), distanceToSegment(p1, start, end), distanceToSegment(p2, start, end));
+        }
+        return (minDistance);
+    }
+    /**
+     * [Private Method] Returns a copy of the supplied line with additional points (interpolated along each segment) so that no 2 consecutive points are further apart than 'maxSpacing'.
+     * The sample channels of an added point are those of the point at the start of its segment.
+     * @param {InkLine} line The line to add points to.
+     * @param {number} maxSpacing The maximum distance (in pixels) between consecutive points.
+     * @returns {InkLine} Result.
+     */
+    function densifyInkLine(line, maxSpacing) {
+        var pathPoints = [];
+        var sampleChannels = line.sampleChannels ? [] : null;
+        for (var i = 0; i < line.pathPoints.length; i++) {
+            var point = line.pathPoints[i];
+            var nextPoint = line.pathPoints[i + 1];
+            var stepCount = nextPoint ? Math.max(1, Math.ceil(MIL.Utils.GetDistanceBetweenPoints(point, nextPoint) / Math.max(maxSpacing, 0.5))) : 1;
+            for (var s = 0; s < stepCount; s++) {
+                pathPoints.push({ x: point.x + (nextPoint ? ((nextPoint.x - point.x) * s / stepCount) : 0), y: point.y + (nextPoint ? ((nextPoint.y - point.y) * s / stepCount) : 0) });
+                if (sampleChannels) {
+                    sampleChannels.push(line.sampleChannels[i]);
+                }
+            }
+        }
+        return ({ pathPoints: pathPoints, sampleChannels: sampleChannels, isLinear: line.isLinear });
+    }
+    /**
+     * [Private Method] Returns a copy of the supplied sample channels, or null if 'sampleChannels' is not set or does not have one entry for each of the supplied points.
+     * @param {Point[]} pathPoints The path-points of a line in an Ink.
+     * @param {InkSampleChannels[] | null} sampleChannels The sample channels for each point in 'pathPoints', or null.
+     * @returns {InkSampleChannels[] | null} Result.
+     */
+    function copySampleChannels(pathPoints, sampleChannels) {
+        if (!Array.isArray(sampleChannels) || (sampleChannels.length !== pathPoints.length)) {
+            return (null);
+        }
+        return (sampleChannels.map(function (channels) {
+            return ({ timestamp: channels.timestamp, pressure: channels.pressure, tiltX: channels.tiltX, tiltY: channels.tiltY, twist: channels.twist, width: channels.width, height: channels.height });
+        }));
+    }
+    /**
+     * [Internal] Returns the InkSamples created by combining the supplied points with their corresponding sample channels (which may be null if the channels were not captured).
+     * @param {Point[]} pathPoints The path-points of a line in an Ink.
+     * @param {InkSampleChannels[] | null} sampleChannels The sample channels for each point in 'pathPoints', or null.
+     * @returns {InkSample[]} Result.
+     * @internal
+     */
+    function getInkSamples(pathPoints, sampleChannels) {
+        var hasChannels = Boolean(sampleChannels) && (sampleChannels.length === pathPoints.length);
+        return (pathPoints.map(function (point, i) {
+            var channels = hasChannels ? sampleChannels[i] : null;
+            return ({
+                x: point.x,
+                y: point.y,
+                timestamp: channels ? channels.timestamp : null,
+                pressure: channels ? channels.pressure : null,
+                tiltX: channels ? channels.tiltX : null,
+                tiltY: channels ? channels.tiltY : null,
+                twist: channels ? channels.twist : null,
+                width: channels ? channels.width : null,
+                height: channels ? channels.height : null
+            });
+        }));
+    }
+    MIL.getInkSamples = getInkSamples;
+    /** The CSS class added to the Path() and HullPath() of an Ink whose RenderMode() is InkRenderMode.Highlighter. */
+    var HIGHLIGHTER_CLASS_NAME = "MILHighlighterInk";
+    /** The stroke-opacity of a highlighter Ink that has no Class() [an Ink with a Class() gets its opacity from the class]. */
+    var HIGHLIGHTER_STROKE_OPACITY = "0.5";
+    /**
+     * [Private Method] Moves the specified element (the Path() or HullPath() of a highlighter Ink) so that it's beneath every [sibling] non-highlighter Ink path, hull
+     * and in-flight (constituent) path. The element is left where it is if there are no such siblings after it.
+     * @param {DomElement} element The element to move.
+     */
+    function moveBelowNonHighlighterInks(element) {
+        var parentElement = element.parentNode;
+        for (var sibling = parentElement.firstChild; sibling !== null; sibling = sibling.nextSibling) {
+            if (sibling === element) {
+                // The element is already beneath all the [subsequent] non-highlighter Inks
+                return;
+            }
+            var siblingSelection = d3.select(sibling);
+            var isInkElement = siblingSelection.classed("MILInkPath") || siblingSelection.classed("MILInkHullPath") || (siblingSelection.attr("data-pointerID") !== null);
+            if (isInkElement && !siblingSelection.classed(HIGHLIGHTER_CLASS_NAME)) {
+                parentElement.insertBefore(element, sibling);
+                return;
+            }
+        }
+    }
+    /** The width and height of an arrowhead (see InkDecoration), as a multiple of the Ink's stroke-width, when the Ink's Scale() is 1. */
+    var ARROWHEAD_MARKER_SIZE = 4;
+    /** The CSS class of the <defs> element that holds the arrowhead <marker> elements of the Inks on an <svg>. */
+    var ARROWHEAD_MARKERS_CLASS_NAME = "MILArrowheadMarkers";
+    /**
+     * [Private Method] Returns the <defs> element that holds the arrowhead <marker> elements of the Inks on the specified <svg>, creating it if needed.
+     * @param {SVGSVGElement} svgDomElement An <svg> element (previously initialized with MIL.Initialize()).
+     * @returns {D3SingleSelection} Result.
+     */
+    function getArrowheadMarkerDefs(svgDomElement) {
+        var defs = d3.select(svgDomElement).select("defs." + ARROWHEAD_MARKERS_CLASS_NAME);
+        if (defs.empty()) {
+            defs = d3.select(svgDomElement).insert("defs", ":first-child").classed(ARROWHEAD_MARKERS_CLASS_NAME, true);
+        }
+        return (defs);
+    }
+    /**
+     * [Private Method] Replaces the content of the specified <marker> element with the supplied arrowhead.
+     * Note: The marker uses 'strokeWidth' markerUnits, so the arrowhead is sized relative to the stroke-width of the Ink path that references it.
+     * @param {D3SingleSelection} marker The <marker> element.
+     * @param {InkArrowhead} arrowhead The arrowhead to draw (cannot be InkArrowhead.None).
+     * @param {boolean} isStart Whether the marker is for the start of the line (in which case the arrowhead points backwards along the line).
+     * @param {string} color The color of the arrowhead.
+     * @param {number} scale The Ink.Scale() of the Ink.
+     */
+    function drawArrowheadMarker(marker, arrowhead, isStart, color, scale) {
+        var size = ARROWHEAD_MARKER_SIZE * scale;
+        marker.attr("viewBox", "0 0 10 10").attr("refY", 5).attr("markerWidth", size).attr("markerHeight", size).attr("orient", "auto");
+        marker.selectAll("*").remove();
+        switch (arrowhead) {
+            case MIL.InkArrowhead.Triangle:
+                // Note: The triangle is centered on the end of the line so that it covers the line's end-cap
+                marker.attr("refX", 5).append("path").attr("d", isStart ? "M 10 0 L 0 5 L 10 10 Z" : "M 0 0 L 10 5 L 0 10 Z").style("fill", color).style("stroke", "none");
+                break;
+            case MIL.InkArrowhead.Open:
+                // Note: The stroke-width (in marker units) matches the width of the line [which is 10 / ARROWHEAD_MARKER_SIZE]
+                marker.attr("refX", isStart ? 1 : 9).append("path").attr("d", isStart ? "M 9 1 L 1 5 L 9 9" : "M 1 1 L 9 5 L 1 9")
+                    .style("fill", "none").style("stroke", color).style("stroke-width", 10 / ARROWHEAD_MARKER_SIZE).style("stroke-linecap", "round").style("stroke-linejoin", "round");
+                break;
+            case MIL.InkArrowhead.Circle:
+                marker.attr("refX", 5).append("circle").attr("cx", 5).attr("cy", 5).attr("r", 4).style("fill", color).style("stroke", "none");
+                break;
+            default:
+                throw new MIL.MILException("Unsupported arrowhead '" + arrowhead + "'");
+        }
+    }
+    /**
+     * [Internal] Invokes the MILSettings.OnInkChangedHandler() (if any) of the specified <svg> to report a change to the supplied Ink. Changes to non-drawing Inks are not reported.
+     * Since the handler is often invoked while a history transaction is open (see MIL.History()), an error thrown by the handler is logged rather than being allowed to abort the change.
+     * @param {SVGInfo} svgInfo The SVGInfo of the <svg> the Ink belongs to.
+     * @param {Ink} ink The changed Ink.
+     * @param {InkChange} change A description of the change.
+     * @internal
+     */
+    function raiseInkChanged(svgInfo, ink, change) {
+        var onInkChangedHandler = svgInfo.settings.OnInkChangedHandler();
+        if ((onInkChangedHandler !== null) && !ink.IsNonDrawing()) {
+            try {
+                onInkChangedHandler.call(ink, ink, change);
+            }
+            catch (error) {
+                MIL.log("Warning: The OnInkChangedHandler failed for Ink '" + ink.InkID() + "' (change: " + MIL.InkChangeType[change.type] + "): " + ((error instanceof Error) ? error.message : error));
+            }
+        }
+    }
+    MIL.raiseInkChanged = raiseInkChanged;
+    /** The Ink class. */
+    var Ink = /** @class */ (function () {
+        function Ink(pointerID) {
+            this._inkID = "Ink" + _nextInkID++;
+            this._pointerID = pointerID;
+            this._isStarted = false;
+            this._parentGesture = null;
+            this._className = "";
+            this._strokeColor = "";
+            this._strokeWidth = "";
+            this._eraserClassName = "";
+            this._hullType = MIL.InkHullType.None;
+            this._hullColor = "transparent";
+            this._isNonDrawing = null;
+            this._cometTailClassName = "";
+            this._cometTailDurationInMs = 500;
+            this._isAutoCose = false;
+            this._isAutoBeautify = false;
+            this._renderMode = MIL.InkRenderMode.Stroke;
+            this._isAutoStraighten = false;
+            this._variableWidthOptions = { thinning: 0.5, smoothing: 0.5, taperStart: 0, taperEnd: 0 };
+            this._decoration = { dashArray: "", startArrowhead: MIL.InkArrowhead.None, endArrowhead: MIL.InkArrowhead.None, lineCap: "", lineJoin: "", fill: "" };
+            this._isClosed = false;
+            this._curve = MIL.InkCurve.Basis;
+            this._smoothingOptions = { mode: MIL.InkSmoothingMode.None, windowSize: 4, minCutoff: 1, beta: 0.007 };
+            this._smoothingState = null;
+            this._variableWidthState = null;
+            this._simplificationTolerance = 0;
+            this._minPointDistance = 3;
+            this._hullPath = null;
+            this._finalPath = null;
+            this._nonDrawingPathPoints = null;
+            this._nonDrawingSampleChannels = null;
+            this._combinedOutlinePathPoints = null;
+            this._constituents = null;
+            this._isEraserDrawing = false;
+            this._isCoercingInkToRuler = false;
+            this._resizeGesturePointerType = "";
+            this._resizeGesture = null;
+            this._onResizeCompleteHandler = null;
+            this._scale = 1;
+            this._rotation = 0;
+            this._onDragMoveHandler = null;
+            this._previousDragMovePoint = null;
+            this._groupDragSelectionClassName = null;
+            this._dragGesture = null;
+            this._dragDelta = null;
+            this._dragSnapState = null;
+        }
+        /**
+         * [ReadOnly Property] The unique, system-supplied name of the Ink instance.
+         * @returns {string} Property value.
+        */
+        Ink.prototype.InkID = function () {
+            MIL.readOnlyProperty("InkID", arguments);
+            return (this._inkID);
+        };
+        /**
+         * [ReadOnly Property] The unique MIL PointerID that is currently being used to draw the Ink instance (will be null after the Ink is drawn).
+         * @returns {string} Property value.
+         */
+        Ink.prototype.PointerID = function () {
+            MIL.readOnlyProperty("PointerID", arguments);
+            return (this._pointerID);
+        };
+        Ink.prototype.ParentGesture = function (gesture) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._parentGesture; }), gesture));
+        };
+        Ink.prototype.Class = function (className) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._className; }), className));
+        };
+        Ink.prototype.StrokeColor = function (color) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._strokeColor; }), color));
+        };
+        Ink.prototype.StrokeWidth = function (width) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._strokeWidth; }), width));
+        };
+        Ink.prototype.EraserClass = function (className) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._eraserClassName; }), className));
+        };
+        Ink.prototype.CometTailClass = function (className) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._cometTailClassName; }), className));
+        };
+        Ink.prototype.CometTailDurationInMs = function (durationInMs) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._cometTailDurationInMs; }), durationInMs));
+        };
+        Ink.prototype.HullType = function (hullType) {
+            if (hullType === undefined) {
+                return (this._hullType);
+            }
+            else {
+                if (this._hullPath !== null) {
+                    // TODO: This is just for simplicity, but technically it could be changed
+                    // Note: The hullType can be changed (one-way) from Concave to Convex as a side-effect of using Gesture.CombineInks()
+                    throw new MIL.MILException("Ink.HullType cannot be changed after the Ink has been created");
+                }
+                this._hullType = hullType;
+                return (this);
+            }
+        };
+        Ink.prototype.HullColor = function (color) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._hullColor; }), (color === "debug") ? "rgba(0,128,0,0.2)" : color));
+        };
+        Ink.prototype.IsNonDrawing = function (isNonDrawing) {
+            if (isNonDrawing === undefined) {
+                return ((this._isNonDrawing === null) ? false : this._isNonDrawing);
+            }
+            else {
+                if (this._isNonDrawing !== null) {
+                    throw new MIL.MILException("Ink.IsNonDrawing cannot be changed once set");
+                }
+                if (isNonDrawing && (this._hullType !== MIL.InkHullType.None)) {
+                    throw new MIL.MILException("Ink.IsNonDrawing can only be set when Ink.HullType is 'None'");
+                }
+                this._isNonDrawing = isNonDrawing;
+                return (this);
+            }
+        };
+        Ink.prototype.IsAutoClose = function (isAutoClose) {
+            if (isAutoClose === undefined) {
+                return (this._isAutoCose);
+            }
+            else {
+                if (this.Path() !== null) {
+                    throw new MIL.MILException("Ink.IsAutoClose cannot be changed after the Ink has been created");
+                }
+                this._isAutoCose = isAutoClose;
+                return (this);
+            }
+        };
+        Ink.prototype.IsAutoBeautify = function (isAutoBeautify) {
+            if (isAutoBeautify === undefined) {
+                return (this._isAutoBeautify);
+            }
+            else {
+                if (this.Path() !== null) {
+                    throw new MIL.MILException("Ink.IsAutoBeautify cannot be changed after the Ink has been created");
+                }
+                this._isAutoBeautify = isAutoBeautify;
+                return (this);
+            }
+        };
+        Ink.prototype.IsAutoStraighten = function (isAutoStraighten) {
+            if (isAutoStraighten === undefined) {
+                return (this._isAutoStraighten);
+            }
+            else {
+                if (this.Path() !== null) {
+                    throw new MIL.MILException("Ink.IsAutoStraighten cannot be changed after the Ink has been created");
+                }
+                this._isAutoStraighten = isAutoStraighten;
+                return (this);
+            }
+        };
+        Ink.prototype.RenderMode = function (mode) {
+            if (mode === undefined) {
+                return (this._renderMode);
+            }
+            else {
+                if (this.Path() !== null) {
+                    throw new MIL.MILException("Ink.RenderMode cannot be changed after the Ink has been created");
+                }
+                this._renderMode = mode;
+                return (this);
+            }
+        };
+        Ink.prototype.VariableWidthOptions = function (options) {
+            var currentOptions = this._variableWidthOptions;
+            if (options === undefined) {
+                return ({ thinning: currentOptions.thinning, smoothing: currentOptions.smoothing, taperStart: currentOptions.taperStart, taperEnd: currentOptions.taperEnd });
+            }
+            else {
+                if (this.Path() !== null) {
+                    throw new MIL.MILException("Ink.VariableWidthOptions cannot be changed after the Ink has been created");
+                }
+                var newOptions = {
+                    thinning: (options.thinning !== undefined) ? options.thinning : currentOptions.thinning,
+                    smoothing: (options.smoothing !== undefined) ? options.smoothing : currentOptions.smoothing,
+                    taperStart: (options.taperStart !== undefined) ? options.taperStart : currentOptions.taperStart,
+                    taperEnd: (options.taperEnd !== undefined) ? options.taperEnd : currentOptions.taperEnd
+                };
+                if ((newOptions.thinning < 0) || (newOptions.thinning > 1) || (newOptions.smoothing < 0) || (newOptions.smoothing > 1)) {
+                    throw new MIL.MILException("VariableWidthOptions 'thinning' and 'smoothing' must be in the range 0..1");
+                }
+                if ((newOptions.taperStart < 0) || (newOptions.taperEnd < 0)) {
+                    throw new MIL.MILException("VariableWidthOptions 'taperStart' and 'taperEnd' cannot be negative");
+                }
+                this._variableWidthOptions = newOptions;
+                return (this);
+            }
+        };
+        Ink.prototype.Decoration = function (decoration) {
+            if (decoration === undefined) {
+                return (this.mergeDecoration({}));
+            }
+            else {
+                if (this.Path() !== null) {
+                    throw new MIL.MILException("Ink.Decoration cannot be changed after the Ink has been created (use Ink.Redecorate() instead)");
+                }
+                this._decoration = this.mergeDecoration(decoration);
+                return (this);
+            }
+        };
+        /**
+         * [Private Method] Returns a copy of the Ink's current Decoration() with the supplied options applied, throwing if any of the options are invalid.
+         * @param {Partial<InkDecoration>} decoration The options to apply (options that are not specified keep their current value).
+         * @returns {InkDecoration} Result.
+         */
+        Ink.prototype.mergeDecoration = function (decoration) {
+            var currentDecoration = this._decoration;
+            var newDecoration = {
+                dashArray: (decoration.dashArray !== undefined) ? (decoration.dashArray || "") : currentDecoration.dashArray,
+                startArrowhead: (decoration.startArrowhead !== undefined) ? decoration.startArrowhead : currentDecoration.startArrowhead,
+                endArrowhead: (decoration.endArrowhead !== undefined) ? decoration.endArrowhead : currentDecoration.endArrowhead,
+                lineCap: (decoration.lineCap !== undefined) ? (decoration.lineCap || "") : currentDecoration.lineCap,
+                lineJoin: (decoration.lineJoin !== undefined) ? (decoration.lineJoin || "") : currentDecoration.lineJoin,
+                fill: (decoration.fill !== undefined) ? (decoration.fill || "") : currentDecoration.fill
+            };
+            if ((MIL.InkArrowhead[newDecoration.startArrowhead] === undefined) || (MIL.InkArrowhead[newDecoration.endArrowhead] === undefined)) {
+                throw new MIL.MILException("Decoration 'startArrowhead' and 'endArrowhead' must be InkArrowhead values");
+            }
+            if (["", "butt", "round", "square"].indexOf(newDecoration.lineCap) === -1) {
+                throw new MIL.MILException("Decoration 'lineCap' must be \"butt\", \"round\" or \"square\" (or an empty string)");
+            }
+            if (["", "miter", "round", "bevel"].indexOf(newDecoration.lineJoin) === -1) {
+                throw new MIL.MILException("Decoration 'lineJoin' must be \"miter\", \"round\" or \"bevel\" (or an empty string)");
+            }
+            return (newDecoration);
+        };
+        Ink.prototype.Curve = function (curve) {
+            if (curve === undefined) {
+                return (this._curve);
+            }
+            else {
+                if (this.Path() !== null) {
+                    throw new MIL.MILException("Ink.Curve cannot be changed after the Ink has been created");
+                }
+                this._curve = curve;
+                return (this);
+            }
+        };
+        Ink.prototype.SmoothingOptions = function (options) {
+            var currentOptions = this._smoothingOptions;
+            if (options === undefined) {
+                return ({ mode: currentOptions.mode, windowSize: currentOptions.windowSize, minCutoff: currentOptions.minCutoff, beta: currentOptions.beta });
+            }
+            else {
+                if (this.Path() !== null) {
+                    throw new MIL.MILException("Ink.SmoothingOptions cannot be changed after the Ink has been created");
+                }
+                var newOptions = {
+                    mode: (options.mode !== undefined) ? options.mode : currentOptions.mode,
+                    windowSize: (options.windowSize !== undefined) ? options.windowSize : currentOptions.windowSize,
+                    minCutoff: (options.minCutoff !== undefined) ? options.minCutoff : currentOptions.minCutoff,
+                    beta: (options.beta !== undefined) ? options.beta : currentOptions.beta
+                };
+                if ((newOptions.windowSize < 1) || (Math.floor(newOptions.windowSize) !== newOptions.windowSize)) {
+                    throw new MIL.MILException("SmoothingOptions 'windowSize' must be an integer greater than or equal to 1");
+                }
+                if ((newOptions.minCutoff <= 0) || (newOptions.beta < 0)) {
+                    throw new MIL.MILException("SmoothingOptions 'minCutoff' must be greater than 0, and 'beta' cannot be negative");
+                }
+                this._smoothingOptions = newOptions;
+                return (this);
+            }
+        };
+        Ink.prototype.SimplificationTolerance = function (toleranceInPx) {
+            if (toleranceInPx === undefined) {
+                return (this._simplificationTolerance);
+            }
+            else {
+                if (this.Path() !== null) {
+                    throw new MIL.MILException("Ink.SimplificationTolerance cannot be changed after the Ink has been created");
+                }
+                if (toleranceInPx < 0) {
+                    throw new MIL.MILException("SimplificationTolerance (" + toleranceInPx + ") cannot be negative");
+                }
+                this._simplificationTolerance = toleranceInPx;
+                return (this);
+            }
+        };
+        Ink.prototype.MinPointDistance = function (distanceInPx) {
+            if (distanceInPx === undefined) {
+                return (this._minPointDistance);
+            }
+            else {
+                if (distanceInPx < 0) {
+                    throw new MIL.MILException("MinPointDistance (" + distanceInPx + ") cannot be negative");
+                }
+                this._minPointDistance = distanceInPx;
+                return (this);
+            }
+        };
+        /**
+         * [Private Method] Returns true if the Ink is drawn as a filled outline (ie. its RenderMode() is InkRenderMode.VariableWidth and it's neither an eraser Ink nor a combined Ink).
+         * @returns {boolean} Result.
+         */
+        Ink.prototype.isVariableWidth = function () {
+            return ((this._renderMode === MIL.InkRenderMode.VariableWidth) && !this._isEraserDrawing && !this.IsCombined());
+        };
+        /**
+         * [Private Method] Returns true if the Ink is drawn as a highlighter (ie. its RenderMode() is InkRenderMode.Highlighter and it's not an eraser Ink).
+         * @returns {boolean} Result.
+         */
+        Ink.prototype.isHighlighter = function () {
+            return ((this._renderMode === MIL.InkRenderMode.Highlighter) && !this._isEraserDrawing);
+        };
+        /**
+         * [Private Method] Applies the highlighter style (translucent, with flat ends and 'multiply' blending) to the specified path of the Ink.
+         * Note: Must be called after the Class/StrokeColor/StrokeWidth have been applied to the path.
+         * @param {DomElement} pathDomElement Either the final "consolidated" path, or the current constituent path of an in-flight inking.
+         */
+        Ink.prototype.applyHighlighterStyle = function (pathDomElement) {
+            d3.select(pathDomElement).classed(HIGHLIGHTER_CLASS_NAME, true);
+            // Apply defaults if no Class and no StrokeColor/StrokeWidth are provided [these replace the regular "black/4px" defaults]
+            if (!this._className) {
+                pathDomElement.style.stroke = this._strokeColor || "yellow";
+                pathDomElement.style.strokeWidth = this._strokeWidth || "20px";
+            }
+            pathDomElement.style.strokeOpacity = !this._className ? HIGHLIGHTER_STROKE_OPACITY : "";
+            pathDomElement.style.strokeLinecap = "butt"; // Flat ends, like the chisel tip of a highlighter pen
+            pathDomElement.style.strokeLinejoin = "bevel";
+            pathDomElement.style.setProperty("mix-blend-mode", "multiply"); // So that the Ink (and any content) beneath the highlighter is darkened rather than covered
+        };
+        /**
+         * [Internal] If the Ink is a highlighter (see InkRenderMode.Highlighter), applies the highlighter style to its Path() and moves its Path() and HullPath() beneath all
+         * non-highlighter Inks. Called whenever the Ink's [final] path is (re)created, since a highlighter must never cover regular Ink.
+         * @internal
+         */
+        Ink.prototype.applyHighlighter = function () {
+            if (!this.isHighlighter() || (this.Path() === null)) {
+                return;
+            }
+            this.applyHighlighterStyle(this.Path().node());
+            moveBelowNonHighlighterInks(this.Path().node());
+            if (this.HullPath() !== null) {
+                this.HullPath().classed(HIGHLIGHTER_CLASS_NAME, true);
+                moveBelowNonHighlighterInks(this.HullPath().node());
+            }
+        };
+        /**
+         * [Internal] Applies the Ink's Decoration() to its Path(), including (re)drawing its arrowheads to match its current stroke color and Scale().
+         * Called whenever the Ink's [final] path is (re)created, re-styled, re-scaled or opened/closed.
+         * @internal
+         */
+        Ink.prototype.applyDecoration = function () {
+            if ((this.Path() === null) || this._isEraserDrawing) {
+                return;
+            }
+            var pathDomElement = this.Path().node();
+            var decoration = this._decoration;
+            var isHighlighter = this.isHighlighter();
+            // Note: A variable-width Ink is drawn as a filled outline, so it can't be dashed or [separately] filled
+            if (!this.isVariableWidth()) {
+                pathDomElement.style.strokeDasharray = decoration.dashArray;
+                pathDomElement.style.fill = (this._isClosed && decoration.fill) ? decoration.fill : "";
+            }
+            pathDomElement.style.strokeLinecap = decoration.lineCap || (isHighlighter ? "butt" : "");
+            pathDomElement.style.strokeLinejoin = decoration.lineJoin || (isHighlighter ? "bevel" : "");
+            this.drawArrowhead(true);
+            this.drawArrowhead(false);
+        };
+        /**
+         * [Private Method] Draws (or removes) the start or end arrowhead of the Ink, as specified by its Decoration().
+         * Each Ink has its own <marker> elements (so that they can match its stroke color and Scale()), which are removed when the Ink is deleted.
+         * @param {boolean} isStart Whether to draw the start arrowhead (rather than the end arrowhead).
+         */
+        Ink.prototype.drawArrowhead = function (isStart) {
+            var pathSelection = this.Path();
+            var arrowhead = isStart ? this._decoration.startArrowhead : this._decoration.endArrowhead;
+            var defs = getArrowheadMarkerDefs(MIL.getSvgInfo(pathSelection).svgDomElement);
+            var markerID = this.getArrowheadMarkerID(isStart);
+            var marker = defs.selectAll("marker").filter(function () { return (this.id === markerID); });
+            if ((arrowhead === MIL.InkArrowhead.None) || this.isVariableWidth()) {
+                marker.remove();
+                pathSelection.attr(isStart ? "marker-start" : "marker-end", null);
+            }
+            else {
+                if (marker.empty()) {
+                    marker = defs.append("marker").attr("id", markerID);
+                }
+                drawArrowheadMarker(marker, arrowhead, isStart, window.getComputedStyle(pathSelection.node()).stroke, this._scale);
+                pathSelection.attr(isStart ? "marker-start" : "marker-end", "url(#" + markerID + ")");
+            }
+        };
+        /**
+         * [Private Method] Returns the ID of the <marker> element for the start or end arrowhead of the Ink.
+         * @param {boolean} isStart Whether to return the ID for the start arrowhead (rather than the end arrowhead).
+         * @returns {string} Result.
+         */
+        Ink.prototype.getArrowheadMarkerID = function (isStart) {
+            return ("MILArrowhead_" + this._inkID + (isStart ? "_Start" : "_End"));
+        };
+        /**
+         * [Internal] Returns the path data ('d') for the supplied lines of the Ink, drawn according to the Ink's RenderMode().
+         * The __MILIsLinearCollection__ and __MILSampleChannelsCollection__ of the Ink's Path() must already be set.
+         * @param {Point[][]} pathPointsCollection The path-points of each line in the Ink.
+         * @param {number} [strokeWidth] [Optional] The nominal width (in pixels) of the Ink's line. Defaults to the [computed] stroke-width of the Ink's Path().
+         * @returns {string} Result.
+         * @internal
+         */
+        Ink.prototype.getPathData = function (pathPointsCollection, strokeWidth) {
+            var pathDomElement = this._finalPath.node();
+            var isLinearCollection = pathDomElement.__MILIsLinearCollection__ || [];
+            var sampleChannelsCollection = pathDomElement.__MILSampleChannelsCollection__ || [];
+            var d = "";
+            if (this.isVariableWidth()) {
+                var width = (strokeWidth !== undefined) ? strokeWidth : MIL.Utils.ToNumber(window.getComputedStyle(pathDomElement).strokeWidth);
+                for (var l = 0; l < pathPointsCollection.length; l++) {
+                    var pathPoints = pathPointsCollection[l];
+                    var sampleChannels = sampleChannelsCollection[l] || null;
+                    // A closed line is drawn by joining its last point back to its first point
+                    if (this._isClosed && (pathPoints.length > 1)) {
+                        pathPoints = pathPoints.concat([pathPoints[0]]);
+                        sampleChannels = sampleChannels ? sampleChannels.concat([sampleChannels[0]]) : null;
+                    }
+                    d += getVariableWidthPathData(pathPoints, getVariableWidths(pathPoints, sampleChannels, width, this._variableWidthOptions, true), Boolean(isLinearCollection[l]), this._curve);
+                }
+            }
+            else {
+                for (var l = 0; l < pathPointsCollection.length; l++) {
+                    d += getInkLinePathData(pathPointsCollection[l], Boolean(isLinearCollection[l]), this._curve);
+                }
+                d += (this._isClosed ? "Z" : "");
+            }
+            return (d);
+        };
+        Ink.prototype.ResizeWith = function (pointerType) {
+            if (pointerType === undefined) {
+                return (this._resizeGesturePointerType);
+            }
+            else {
+                if (this._resizeGesture !== null) {
+                    MIL.RemoveGestureByName(this._resizeGesture.Name());
+                    this._resizeGesture = null;
+                }
+                if (pointerType && this._hullPath) {
+                    var ink = this; // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
+                    var startInkScale; // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
+                    var startInkStrokeWidth = MIL.Utils.ToNumber(window.getComputedStyle(ink.Path().node()).strokeWidth); // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
+                    var startMidPoint; // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
+                    var startTwistAngle; // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
+                    var pivot; // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
+                    var manipulation; // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
+                    this._resizeGesture = MIL.CreateGesture("InkResize*", true).PointerType(pointerType).Target(this._hullPath)
+                        .RecognitionTimeoutInMs(50) // TODO: The caller should have control over this timeout
+                        .GestureStartedHandler(function () {
+                        var gesture = this;
+                        // To prevent the ink resize gesture from happening in parallel with an ink drag - which
+                        // could potentially cause undesirable interactions - we terminate an in-progress drag
+                        if (ink._dragGesture !== null) {
+                            ink._dragGesture.Cancel("The Ink is being resized");
+                            ink.DragEnd();
+                        }
+                        startInkScale = ink.Scale();
+                        startMidPoint = MIL.Utils.GetLineMidPoint(gesture.GetCurrentSvgPoint("{P1}"), gesture.GetCurrentSvgPoint("{P2}"));
+                        startTwistAngle = Ink.getTwistAngle(gesture);
+                        pivot = ink.getCenterPoint();
+                        manipulation = { scale: 1, angle: 0, deltaX: 0, deltaY: 0 };
+                        var startResizeDistance = gesture.GetDistance("{P1}", "{P2}");
+                        this.OnMoveHandler(function () {
+                            var midPoint = MIL.Utils.GetLineMidPoint(this.GetCurrentSvgPoint("{P1}"), this.GetCurrentSvgPoint("{P2}"));
+                            var twistAngle = Ink.getTwistAngle(this);
+                            var newManipulation = {
+                                scale: this.GetDistance("{P1}", "{P2}") / startResizeDistance,
+                                angle: ((twistAngle - startTwistAngle + 540) % 360) - 180,
+                                deltaX: midPoint.x - startMidPoint.x,
+                                deltaY: midPoint.y - startMidPoint.y
+                            };
+                            if ((newManipulation.scale !== manipulation.scale) || (newManipulation.angle !== manipulation.angle) ||
+                                (newManipulation.deltaX !== manipulation.deltaX) || (newManipulation.deltaY !== manipulation.deltaY)) {
+                                // For performance, we'll transform the hull (if any) only when the gesture ends
+                                ink.manipulateWithTransform(pivot, newManipulation, startInkStrokeWidth);
+                                manipulation = newManipulation;
+                            }
+                        });
+                    })
+                        .GestureEndedHandler(function () {
+                        var history = MIL.getSvgInfo(ink.Path()).history;
+                        // Apply the manipulation to the path-points (and hull), replacing the transform. Because the transform is relative to the
+                        // start of the gesture, we scale (which is around the center of the Ink, ie. the pivot), then rotate, then translate.
+                        history.BeginTransaction("ManipulateInk");
+                        try {
+                            ink.Scale(startInkScale * manipulation.scale, startInkScale, startInkStrokeWidth, false);
+                            if (manipulation.angle !== 0) {
+                                ink.Rotation(ink.Rotation() + manipulation.angle, pivot);
+                            }
+                            if ((manipulation.deltaX !== 0) || (manipulation.deltaY !== 0)) {
+                                ink.translate(manipulation.deltaX, manipulation.deltaY);
+                                MIL.recordInksTranslated([ink], manipulation.deltaX, manipulation.deltaY);
+                            }
+                        }
+                        finally {
+                            history.EndTransaction();
+                        }
+                        if (ink.OnResizeCompleteHandler() !== null) {
+                            ink.OnResizeCompleteHandler().call(ink);
+                        }
+                    });
+                    if (this._resizeGesture.PointerCount() !== 2) {
+                        throw new MIL.MILException("The pointerType supplied to Ink.ResizeWith() must specify exactly 2 pointers (eg. 'touch:2' or 'pen+touch')");
+                    }
+                    MIL.AddGesture(this._resizeGesture);
+                }
+                this._resizeGesturePointerType = pointerType;
+                return (this);
+            }
+        };
+        Ink.prototype.OnResizeCompleteHandler = function (handler) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._onResizeCompleteHandler; }), handler));
+        };
+        /**
+         * [ReadOnly Property] Whether the Ink instance was drawn with the pen eraser tip.
+         * Note: This is automatically set to true when the 'pointerType' of the Ink is 'pen', and the eraser-tip of the pen is used to draw with.
+         * @returns {boolean} Property value.
+         */
+        Ink.prototype.IsEraserDrawing = function () {
+            MIL.readOnlyProperty("IsEraserDrawing", arguments);
+            return (this._isEraserDrawing);
+        };
+        /**
+         * [ReadOnly Property] Whether the Ink instance is the result of combining one-or-more Inks.
+         * @returns {boolean} Property value.
+         */
+        Ink.prototype.IsCombined = function () {
+            MIL.readOnlyProperty("IsCombined", arguments);
+            return (this._combinedOutlinePathPoints !== null);
+        };
+        /**
+         * Splits (ungroups) a combined Ink (see Ink.IsCombined()) back into the Inks it was created from, then deletes the combined Ink.
+         * Each new Ink has the style, Hull and ResizeWith() of its original Ink, but the current geometry of its lines (so any move, resize or rotation of the
+         * combined Ink is kept). If the original Inks are not known (eg. the combined Ink was imported from InkML) each line becomes an Ink with the style of the combined Ink.
+         * The split is recorded in the undo/redo history (see MIL.History()) as a single command. Returns the new Inks (in z-order), or an empty array if the Ink is not combined.
+         * Note: The new Inks are new instances, so any Gestures (eg. a drag Gesture) that the app added to the combined Ink must be added to them.
+         * @returns {Ink[]} Result.
+         */
+        Ink.prototype.Split = function () {
+            if (this.Path() === null) {
+                throw new MIL.MILException("Ink.Split() cannot be called until the Ink has been created");
+            }
+            if (!this.IsCombined()) {
+                return ([]);
+            }
+            var ink = this;
+            var svgInfo = MIL.getSvgInfo(this.Path());
+            var parentDomElement = this.Path().node().parentNode; // Either the 'g' element returned by MIL.Initialize(), or the 'g' element of a layer
+            var serializedCombinedInk = this.serialize();
+            var constituents = this._constituents || serializedCombinedInk.pathPointsCollection.map(function () {
+                var constituent = ink.getConstituents()[0];
+                constituent.ink.combinedOutlinePathPoints = null; // Each line becomes a regular (not combined) Ink
+                return ({ lineCount: 1, ink: constituent.ink });
+            });
+            var lineIndex = 0;
+            var newInks = [];
+            svgInfo.history.BeginTransaction("SplitInk");
+            try {
+                constituents.forEach(function (constituent) {
+                    var serializedInk = JSON.parse(JSON.stringify(constituent.ink)); // So that the constituent can't be modified
+                    var lineEndIndex = lineIndex + constituent.lineCount;
+                    serializedInk.pathPointsCollection = serializedCombinedInk.pathPointsCollection.slice(lineIndex, lineEndIndex);
+                    serializedInk.isLinearCollection = serializedCombinedInk.isLinearCollection.slice(lineIndex, lineEndIndex);
+                    serializedInk.sampleChannelsCollection = serializedCombinedInk.sampleChannelsCollection.slice(lineIndex, lineEndIndex);
+                    serializedInk.scale *= ink._scale;
+                    serializedInk.rotation = ((serializedInk.rotation || 0) + ink._rotation) % 360;
+                    lineIndex = lineEndIndex;
+                    // An original Ink that was itself a combined Ink [whose constituents are not known] gets a new outline
+                    if (serializedInk.combinedOutlinePathPoints) {
+                        var allXYPoints = MIL.Utils.ConvertPointsToXYPoints([].concat.apply([], serializedInk.pathPointsCollection));
+                        serializedInk.combinedOutlinePathPoints = MIL.Utils.ConvertXYPointsToPoints(d3.polygonHull(allXYPoints) || allXYPoints);
+                    }
+                    var newInk = new Ink(null).rehydrate(parentDomElement, serializedInk);
+                    // Preserve the z-order (and layer) of the Ink
+                    parentDomElement.insertBefore(newInk.Path().node(), ink.Path().node());
+                    if (newInk.HullPath() !== null) {
+                        parentDomElement.insertBefore(newInk.HullPath().node(), ink.Path().node());
+                    }
+                    newInks.push(newInk);
+                });
+                this.Delete();
+            }
+            finally {
+                svgInfo.history.EndTransaction();
+            }
+            MIL.log("Ink '" + serializedCombinedInk.id + "' split into " + newInks.length + " Inks");
+            return (newInks);
+        };
+        /**
+         * [Internal] Returns the original Inks that the Ink was created from (for a combined Ink whose constituents are known), or the Ink itself (without its geometry).
+         * Used when the Ink is combined (see Gesture.CombineInks()) so that the combined Ink can later be split (see Ink.Split()).
+         * @returns {SerializedInkConstituent[]} Result.
+         * @internal
+         */
+        Ink.prototype.getConstituents = function () {
+            if (this._constituents !== null) {
+                return (this._constituents);
+            }
+            var serializedInk = this.serialize();
+            var lineCount = serializedInk.pathPointsCollection.length;
+            serializedInk.pathPointsCollection = [];
+            serializedInk.isLinearCollection = [];
+            serializedInk.sampleChannelsCollection = [];
+            serializedInk.combinedOutlinePathPoints = this.IsCombined() ? [] : null; // The outline is re-computed by Split()
+            serializedInk.constituents = null;
+            return ([{ lineCount: lineCount, ink: serializedInk }]);
+        };
+        /**
+         * [ReadOnly Property] The hull path (as a d3 selection) of the Ink instance. Will be null if the Ink was created with HullType(InkHullType.None).
+         * @returns {D3SingleSelection} Property value.
+         */
+        Ink.prototype.HullPath = function () {
+            MIL.readOnlyProperty("HullPath", arguments);
+            return (this._hullPath);
+        };
+        /**
+         * [ReadOnly Property] The layer (see MIL.Layers()) that the Ink is in. Will be null if the Ink is not in a layer, or has not yet been created. See also InkLayer.MoveInks().
+         * @returns {InkLayer | null} Property value.
+         */
+        Ink.prototype.Layer = function () {
+            MIL.readOnlyProperty("Layer", arguments);
+            return ((this._finalPath !== null) ? MIL.getElementLayer(this._finalPath) : null);
+        };
+        /**
+         * [ReadOnly Property] The path (as a d3 selection) of the Ink instance. Will be null if the Ink was created with IsNonDrawing(true).
+         * @returns {D3SingleSelection} Property value.
+         */
+        Ink.prototype.Path = function () {
+            MIL.readOnlyProperty("Path", arguments);
+            return (this._finalPath);
+        };
+        /**
+         * [ReadOnly Property] The {x, y} points in the Ink instance.
+         * @returns {Point[]} Property value.
+         */
+        Ink.prototype.PathPoints = function () {
+            MIL.readOnlyProperty("PathPoints", arguments);
+            if (this._isNonDrawing) {
+                return (this._nonDrawingPathPoints);
+            }
+            else {
+                var path = this._finalPath.node();
+                var pathPointsCollection = path.__MILPathPointsCollection__;
+                var pathLineCount = pathPointsCollection.length;
+                if (this._combinedOutlinePathPoints) {
+                    // Return the points of the convex hull that covers the original set of ink paths that were combined (via Gesture.CombineInks()).
+                    // While a loss in fidelity, this is arguably consistent with the nature of what it means to combine ink paths.
+                    // The alternative would be to return __MILPathPointsCollection__, but the caller is expecting Ink.PathPoints() to return a single array
+                    // of points, not an array of array of points.
+                    // Note: It's valid for __MILPathPointsCollection__ to only have one entry, yet also have _combinedOutlinePathPoints set: this can
+                    //       legitimately happen if a single ink path is "combined", eg. to change the hull-type of the ink from concave to convex. 
+                    return (this._combinedOutlinePathPoints);
+                }
+                else {
+                    if (pathLineCount !== 1) {
+                        throw new MIL.MILException("Internal state error: __MILPathPointsCollection__ was expected to contain 1 entry, but is has " + pathLineCount + " entries.");
+                    }
+                    return (pathPointsCollection[0]); // The {x, y} points of the final (consolidated) SVG path
+                }
+            }
+        };
+        /**
+         * [ReadOnly Property] The samples (points with their pressure, tilt, timestamp, etc.) in the Ink instance, with one array of samples for each line in the Ink.
+         * A combined Ink (see Ink.IsCombined()) can have multiple lines; all other Inks have a single line. Unlike PathPoints(), the samples of a combined Ink are those of its lines (not of its hull).
+         * @returns {InkSample[][]} Property value.
+         */
+        Ink.prototype.Samples = function () {
+            MIL.readOnlyProperty("Samples", arguments);
+            if (this._isNonDrawing) {
+                return ([getInkSamples(this._nonDrawingPathPoints || [], this._nonDrawingSampleChannels)]);
+            }
+            else {
+                var pathDomElement = this._finalPath.node();
+                var pathPointsCollection = pathDomElement.__MILPathPointsCollection__;
+                var sampleChannelsCollection_1 = pathDomElement.__MILSampleChannelsCollection__ || [];
+                return (pathPointsCollection.map(function (pathPoints, l) { return (getInkSamples(pathPoints, sampleChannelsCollection_1[l] || null)); }));
+            }
+        };
+        /**
+         * Returns the distance (in svg coordinates) from the supplied point to the nearest edge of the Ink's stroke, or 0 if the point is on the stroke.
+         * The distance is to the line as it's actually drawn (ie. following the Ink's Curve()), and takes the [current] stroke-width of the Ink into account,
+         * including the varying width of an Ink with InkRenderMode.VariableWidth. Since both the point and the Ink are in svg coordinates, the distance is unaffected by zooming or panning.
+         * @param {Point} point The point (in svg coordinates, eg. from MIL.TransposePointer()) to measure the distance to.
+         * @returns {number} Result.
+         */
+        Ink.prototype.DistanceToPoint = function (point) {
+            if (this.Path() === null) {
+                throw new MIL.MILException("Ink.DistanceToPoint() cannot be called until the Ink has been created");
+            }
+            var pathDomElement = this.Path().node();
+            var pathPointsCollection = pathDomElement.__MILPathPointsCollection__;
+            var isLinearCollection = pathDomElement.__MILIsLinearCollection__ || [];
+            var sampleChannelsCollection = pathDomElement.__MILSampleChannelsCollection__ || [];
+            var strokeWidth = MIL.Utils.ToNumber(window.getComputedStyle(pathDomElement).strokeWidth);
+            var minDistance = Number.MAX_VALUE;
+            for (var l = 0; l < pathPointsCollection.length; l++) {
+                var pathPoints = pathPointsCollection[l];
+                if (pathPoints.length === 0) {
+                    continue;
+                }
+                var curvePoints = getInkLineCurvePoints(pathPoints, Boolean(isLinearCollection[l]), this._curve);
+                var halfWidth = strokeWidth / 2;
+                if (this._isClosed && (curvePoints.length > 1)) {
+                    curvePoints.push(curvePoints[0]);
+                }
+                if (this.isVariableWidth()) {
+                    // Use the width of the line at the path-point closest to 'point'
+                    var widths = getVariableWidths(pathPoints, sampleChannelsCollection[l] || null, strokeWidth, this._variableWidthOptions, true);
+                    var closestPointIndex = 0;
+                    for (var i = 1; i < pathPoints.length; i++) {
+                        if (MIL.Utils.GetDistanceBetweenPoints(point, pathPoints[i]) < MIL.Utils.GetDistanceBetweenPoints(point, pathPoints[closestPointIndex])) {
+                            closestPointIndex = i;
+                        }
+                    }
+                    halfWidth = widths[closestPointIndex] / 2;
+                }
+                minDistance = Math.min(minDistance, Math.max(0, getDistanceToPolyline(point, point, curvePoints) - halfWidth));
+            }
+            return (minDistance);
+        };
+        /** Deletes the Ink's Hull. */
+        Ink.prototype.DeleteHull = function () {
+            if (this.HullPath()) {
+                MIL.RemoveGesturesByTarget(this.HullPath()); // Note: Gestures on Ink usually target the hull-path
+                this.HullPath().remove();
+                this._hullPath = null;
+            }
+        };
+        /** Cancels the Ink instance (while it's in the process of being created). Since the Ink was never completed, this does not add a command to the CommandHistory (see MIL.History()). */
+        Ink.prototype.Cancel = function () {
+            if (this._finalPath !== null) {
+                MIL.log("Warning: Ink cannot be cancelled after it has been created");
+                return;
+            }
+            var pointerID = this._pointerID;
+            var svgInfo = MIL.getSvgInfo(this.ParentGesture().Target());
+            // Remove the multiple [overlapping] constituent paths
+            var constituentPaths = svgInfo.gSelection.selectAll("[data-pointerID=" + pointerID + "]");
+            constituentPaths.remove();
+            this._finalPath = null;
+            this._pointerID = null;
+            this._nonDrawingPathPoints = null;
+            this._nonDrawingSampleChannels = null;
+            this._isStarted = false;
+            this.deleteInksEntry();
+            delete MIL._inkCompletePathPointData[pointerID];
+            delete MIL._inkCompletePathSampleData[pointerID];
+            delete MIL._inkCurrentPathPointData[pointerID];
+            delete _inkCurrentPath[pointerID];
+        };
+        /** Deletes the Ink instance (and any Gestures that target it). The removed Gestures are reported to MILSettings.OnInkChangedHandler() (see InkChange.removedGestures). */
+        Ink.prototype.Delete = function () {
+            var svgInfo = MIL.getSvgInfo(this.Path());
+            var removedGestures = (this.HullPath() !== null) ? MIL.RemoveGesturesByTarget(this.HullPath()) : []; // Note: Gestures on Ink usually target the hull-path
+            MIL.recordInkDeleted(this);
+            svgInfo.selection.inkDeleted(this);
+            svgInfo.spatialIndex.Remove(this);
+            this.DeleteHull();
+            // Remove the arrowhead markers (if any)
+            var markerIDs = [this.getArrowheadMarkerID(true), this.getArrowheadMarkerID(false)];
+            getArrowheadMarkerDefs(svgInfo.svgDomElement).selectAll("marker").filter(function () { return (markerIDs.indexOf(this.id) !== -1); }).remove();
+            removedGestures = removedGestures.concat(MIL.RemoveGesturesByTarget(this.Path())); // Note: Gestures on Ink rarely target the ink-path (they typically target the hull-path)
+            this.Path().remove();
+            this.deleteInksEntry();
+            raiseInkChanged(svgInfo, this, { type: MIL.InkChangeType.Deleted, removedGestures: removedGestures });
+            if (this.ParentGesture() !== null) {
+                MIL.log("Ink created by gesture '" + this.ParentGesture().Name() + "' was deleted (" + MIL._inks.length + " Inks remain)");
+            }
+            else {
+                // The Ink was not created by a Gesture (eg. it was created by MIL.DeserializeInks())
+                MIL.log("Ink '" + this.InkID() + "' was deleted (" + MIL._inks.length + " Inks remain)");
+            }
+        };
+        /** [Private Method] Removes the Ink instance from the list of all Inks (_inks). */
+        Ink.prototype.deleteInksEntry = function () {
+            // TODO: Ink shouldn't really have any knowledge of _inks
+            var index = MIL._inks.indexOf(this);
+            if (index !== -1) {
+                MIL._inks.splice(index, 1);
+            }
+            // ParentGesture.Ink() is the LATEST Ink created by the Gesture (Gesture:Ink is 1:m)
+            if ((this.ParentGesture() !== null) && (this.ParentGesture().Ink() === this)) {
+                this.ParentGesture().ink(null);
+            }
+        };
+        Ink.prototype.Scale = function (scale, startScale, startStrokeWidth, excludeHull) {
+            if ((scale === undefined) && (startScale === undefined) && (startStrokeWidth === undefined) && (excludeHull === undefined)) {
+                return (this._scale);
+            }
+            else {
+                var oldScale = excludeHull ? this._scale : startScale;
+                var newScale = scale;
+                this.scaleInkPath(this.Path(), oldScale, newScale, startStrokeWidth, excludeHull);
+                if (this.HullPath()) {
+                    // Hide the hull while we're scaling
+                    this.HullPath().style("visibility", excludeHull ? "hidden" : "visible");
+                    if (!excludeHull) {
+                        var scaleDelta = (scale - startScale) / startScale;
+                        this.scaleHullPath(this.HullPath(), scaleDelta);
+                    }
+                }
+                this._scale = scale;
+                this.applyDecoration(); // The arrowheads (if any) are sized by the scale
+                if (!excludeHull) {
+                    MIL.recordInkScaled(this, startScale, scale, startStrokeWidth);
+                }
+                MIL.getInkSelection(this.Path()).inkChanged(this, excludeHull);
+                MIL.getSpatialIndex(this.Path()).Update(this);
+                // Note: Like the undo/redo history, only the final scaling (ie. when the hull is included) is reported
+                if (!excludeHull) {
+                    raiseInkChanged(MIL.getSvgInfo(this.Path()), this, { type: MIL.InkChangeType.Resized, scaleX: scale / startScale, scaleY: scale / startScale });
+                }
+                // log("DEBUG: Ink scaled to " + this._scale.toFixed(2) + "x", FeatureNames.Debug);
+                return (this);
+            }
+        };
+        Ink.prototype.Rotation = function (angle, pivot) {
+            if (angle === undefined) {
+                return (this._rotation);
+            }
+            else {
+                if (this.Path() === null) {
+                    throw new MIL.MILException("Ink.Rotation cannot be set until the Ink has been created");
+                }
+                var oldRotation = this._rotation;
+                var rotationPivot_1 = pivot || this.getCenterPoint();
+                var angleDelta_1 = angle - oldRotation;
+                var rotatePoints = function (points) { return (Ink.rotatePoints(points, angleDelta_1, rotationPivot_1)); };
+                this.transformInkPath(this.Path(), rotatePoints);
+                if (this.HullPath()) {
+                    this.transformHullPath(this.HullPath(), rotatePoints);
+                }
+                this._rotation = ((angle % 360) + 360) % 360;
+                MIL.recordInkRotated(this, oldRotation, this._rotation, rotationPivot_1);
+                MIL.getInkSelection(this.Path()).inkChanged(this, false);
+                MIL.getSpatialIndex(this.Path()).Update(this);
+                raiseInkChanged(MIL.getSvgInfo(this.Path()), this, { type: MIL.InkChangeType.Rotated, angle: angleDelta_1 });
+                return (this);
+            }
+        };
+        /**
+         * [Private Method] Returns the center of the bounding rectangle of the Ink's path-points.
+         * @returns {Point} Result.
+         */
+        Ink.prototype.getCenterPoint = function () {
+            var boundingRect = MIL.Utils.GetBoundingRectForPoints(this.PathPoints());
+            return ({ x: boundingRect.x + (boundingRect.width / 2), y: boundingRect.y + (boundingRect.height / 2) });
+        };
+        /**
+         * [Private Static Method] Returns the angle (in degrees, clockwise from the x-axis) of the line from the {P1} pointer to the {P2} pointer of the supplied Gesture.
+         * @param {Gesture} gesture A Gesture with at least 2 pointers.
+         * @returns {number} Result.
+         */
+        Ink.getTwistAngle = function (gesture) {
+            var point1 = gesture.GetCurrentSvgPoint("{P1}");
+            var point2 = gesture.GetCurrentSvgPoint("{P2}");
+            return (Math.atan2(point2.y - point1.y, point2.x - point1.x) * (180 / Math.PI));
+        };
+        /**
+         * [Private Method] Applies the supplied manipulation to the Ink's path using a [fast] svg transform (which doesn't update __MILPathPointsCollection__). The Hull (if any) is hidden.
+         * @param {Point} pivot The point to scale and rotate around.
+         * @param {InkManipulation} manipulation The manipulation, relative to the state of the Ink when the manipulation started.
+         * @param {number} startStrokeWidth The thickness (in pixels) of the Ink line when the manipulation started.
+         */
+        Ink.prototype.manipulateWithTransform = function (pivot, manipulation, startStrokeWidth) {
+            // Note: These transforms are applied in right-to-left order
+            this.Path().attr("transform", "translate(" + manipulation.deltaX + " " + manipulation.deltaY + ") " +
+                "translate(" + pivot.x + " " + pivot.y + ") rotate(" + manipulation.angle + ") scale(" + manipulation.scale + ") translate(" + -pivot.x + " " + -pivot.y + ")");
+            // Keep the stroke-width constant [the transform also scales it]
+            this.Path().style("stroke-width", (startStrokeWidth / manipulation.scale) + "px");
+            if (this.HullPath()) {
+                this.HullPath().style("visibility", "hidden");
+            }
+            MIL.getInkSelection(this.Path()).inkChanged(this, true);
+        };
+        /**
+         * [Internal] If the Ink is being dragged, returns the latest position of the pointer doing the dragging. Otherwise, returns null.
+         * @returns {Point | null} Result.
+         * @internal
+         */
+        Ink.prototype.previousDragMovePoint = function () {
+            return (this._previousDragMovePoint);
+        };
+        /** [Private Method] Applies the current Class/StrokeColor/StrokeWidth to either the final "consolidated" path (if available), or the current constituent path of an in-flight inking. */
+        Ink.prototype.applyStyle = function () {
+            var pathSelection = (this._finalPath !== null) ? this._finalPath : _inkCurrentPath[this._pointerID];
+            if (this._isEraserDrawing) {
+                if (this._eraserClassName) {
+                    pathSelection.attr("class", this._eraserClassName);
+                }
+                else {
+                    // Apply defaults if no EraserClass was provided
+                    pathSelection.node().style.stroke = "white";
+                    pathSelection.node().style.strokeWidth = "20px";
+                }
+                pathSelection.node().__MILIsEraser__ = true; // To make it easy to detect eraser paths
+            }
+            else {
+                // Apply Class/StrokeColor/StrokeWidth (if any)
+                if (this._isNonDrawing && this._cometTailClassName) {
+                    pathSelection.attr("class", this._cometTailClassName);
+                }
+                else {
+                    pathSelection.attr("class", this._className);
+                    pathSelection.node().style.stroke = !this._className ? this._strokeColor : "";
+                    pathSelection.node().style.strokeWidth = !this._className ? this._strokeWidth : "";
+                    // Apply defaults if no Class and no StrokeColor/StrokeWidth are provided
+                    if (!this.Class()) {
+                        if (!this.StrokeColor()) {
+                            pathSelection.node().style.stroke = "black";
+                        }
+                        if (!this.StrokeWidth()) {
+                            pathSelection.node().style.strokeWidth = "4px";
+                        }
+                    }
+                    // A variable-width Ink is drawn as a filled outline, so we fill it with the stroke color and hide the stroke.
+                    // Note: We hide the stroke using 'stroke-opacity' (rather than 'stroke: none') so that the [nominal] stroke color and width remain available.
+                    if (this.isVariableWidth()) {
+                        pathSelection.node().style.fill = window.getComputedStyle(pathSelection.node()).stroke;
+                        pathSelection.node().style.strokeOpacity = "0";
+                    }
+                    // Note: The 'class' attribute was replaced [above] so the highlighter class has to be re-added
+                    if (this.isHighlighter()) {
+                        this.applyHighlighterStyle(pathSelection.node());
+                        moveBelowNonHighlighterInks(pathSelection.node());
+                    }
+                }
+            }
+        };
+        /**
+         * Changes the Class/StrokeColor/StrokeWidth of the [created] Ink instance, re-styling its existing path (whereas setting Class()/StrokeColor()/StrokeWidth()
+         * only affects an Ink that has not yet been started). The change is recorded in the undo/redo history (see MIL.History()).
+         * @param {string} className The new CSS class to use to draw the Ink. Can be null, in which case 'strokeColor' and 'strokeWidth' are used.
+         * @param {string} [strokeColor] [Optional] The new color to use to draw the Ink (ignored if 'className' is supplied). Defaults to black (or yellow for a highlighter).
+         * @param {string} [strokeWidth] [Optional] The new thickness to use to draw the Ink (ignored if 'className' is supplied). Defaults to 4px (or 20px for a highlighter).
+         * @returns {this} The Ink instance.
+         */
+        Ink.prototype.Restyle = function (className, strokeColor, strokeWidth) {
+            if (this.Path() === null) {
+                throw new MIL.MILException("Ink.Restyle() cannot be called until the Ink has been created");
+            }
+            var pathDomElement = this.Path().node();
+            var oldStyle = { className: this._className, strokeColor: this._strokeColor, strokeWidth: this._strokeWidth };
+            if (this._className) {
+                this.Path().classed(this._className, false);
+            }
+            this._className = className || "";
+            this._strokeColor = strokeColor || "";
+            this._strokeWidth = strokeWidth || "";
+            if (this._className) {
+                this.Path().classed(this._className, true);
+            }
+            pathDomElement.style.stroke = !this._className ? (this._strokeColor || "black") : "";
+            pathDomElement.style.strokeWidth = !this._className ? (this._strokeWidth || "4px") : "";
+            if (this.isHighlighter()) {
+                this.applyHighlighterStyle(pathDomElement);
+            }
+            // A variable-width Ink is a filled outline whose shape depends on the [nominal] stroke-width, so it has to be re-drawn
+            if (this.isVariableWidth()) {
+                pathDomElement.style.fill = window.getComputedStyle(pathDomElement).stroke;
+                this.Path().attr("d", this.getPathData(pathDomElement.__MILPathPointsCollection__));
+            }
+            this.applyDecoration(); // The arrowheads (if any) use the stroke color
+            MIL.getSpatialIndex(this.Path()).Update(this); // The indexed rectangle includes the stroke-width
+            MIL.recordInkRestyled(this, oldStyle, { className: this._className, strokeColor: this._strokeColor, strokeWidth: this._strokeWidth });
+            raiseInkChanged(MIL.getSvgInfo(this.Path()), this, { type: MIL.InkChangeType.Restyled });
+            return (this);
+        };
+        /**
+         * Changes the Decoration() of the [created] Ink instance, re-drawing its existing path (whereas setting Decoration() only affects an Ink that has not yet been started).
+         * Options that are not specified keep their current value. The change is recorded in the undo/redo history (see MIL.History()).
+         * @param {Partial<InkDecoration>} decoration The options to change.
+         * @returns {this} The Ink instance.
+         */
+        Ink.prototype.Redecorate = function (decoration) {
+            if (this.Path() === null) {
+                throw new MIL.MILException("Ink.Redecorate() cannot be called until the Ink has been created");
+            }
+            var oldDecoration = this.Decoration();
+            this._decoration = this.mergeDecoration(decoration);
+            this.applyDecoration();
+            MIL.recordInkRedecorated(this, oldDecoration, this.Decoration());
+            raiseInkChanged(MIL.getSvgInfo(this.Path()), this, { type: MIL.InkChangeType.Restyled });
+            return (this);
+        };
+        Ink.prototype.OnDragMoveHandler = function (handler) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._onDragMoveHandler; }), handler));
+        };
+        /**
+         * [Private Method] Returns true if the specified PointerEvent was generated from the pen eraser.
+         * @param {PointerEvent} e A PointerEvent.
+         * @return {boolean} Result.
+         */
+        Ink.prototype.isEraser = function (e) {
+            // Check if the [pen] eraser button is currently pressed, or if 'e' is the [pointer-up] event when the [pen] eraser button stopped being pressed
+            // (ie. the eraser button was the source of the [pen] button state-transition [to not-pressed]) [see http://www.w3.org/TR/pointerevents2/]
+            var isEraser = (e.pointerType === "pen") && (((e.buttons & MIL.PenButton.Eraser) === MIL.PenButton.Eraser) || (e.button === 5));
+            return (isEraser);
+        };
+        /**
+         * Starts the Ink instance.
+         * @returns {Ink} The Ink instance.
+         */
+        Ink.prototype.Start = function () {
+            // Prevent starting more than once
+            if (this._isStarted) {
+                MIL.log("Warning: An Ink cannot be started more than once");
+                return (this);
+            }
+            var e = MIL.getPointerDownEvent(this._pointerID, this.ParentGesture().Target());
+            var isEraser = this.isEraser(e);
+            var svgInfo = MIL.getSvgInfo(e.target);
+            var ruler = svgInfo.ruler;
+            this._isEraserDrawing = !this.IsNonDrawing() && isEraser;
+            // Prevent drawing into a locked or hidden layer (by cancelling the gesture, which also cancels the Ink, so that it's never completed)
+            var activeLayer = svgInfo.layers.ActiveLayer();
+            if (!this.IsNonDrawing() && (activeLayer !== null) && !activeLayer.isEditable()) {
+                this.ParentGesture().Cancel("An Ink cannot be drawn while the active layer ('" + activeLayer.Name() + "') is locked or hidden");
+                return (this);
+            }
+            if (!this._isNonDrawing && this._cometTailClassName) {
+                throw new MIL.MILException("Ink.CometTailClass() can only be set when IsNonDrawing() is true");
+            }
+            // Determine if the Ink should be coerced to the Ruler (if available and visible)
+            if (!this.IsNonDrawing() && ruler && ruler.IsVisible()) {
+                var line = ruler.GetFaceEdgeLine();
+                var inkStartPoint = this.ParentGesture().GetStartSvgPoint("{P1}");
+                var pointOnLine = MIL.Utils.GetClosestPointOnLine(inkStartPoint, line[0], line[1]);
+                var distanceToRuler = MIL.Utils.GetDistanceBetweenPoints(inkStartPoint, pointOnLine);
+                this._isCoercingInkToRuler = (distanceToRuler < (ruler.Height() * 0.25));
+            }
+            else {
+                this._isCoercingInkToRuler = false;
+            }
+            // Note: This is raised before starting the new line (which adds the first point)
+            raiseInkChanged(svgInfo, this, { type: MIL.InkChangeType.Started });
+            // Start a new line (path)
+            this.startNewLine(e);
+            // There's no need to track a non-drawing Ink because it doesn't add a Path element
+            if (!this.IsNonDrawing()) {
+                MIL._inks.push(this); // Note: Must be explicitly removed via Ink.Delete() or Ink.Cancel()
+            }
+            this._isStarted = true;
+            return (this);
+        };
+        /**
+         * [Private Method] Starts drawing a new line (path) using the specified pointerDown event. The line will be drawn in the active layer (see MIL.Layers()), if any, of the corresponding <svg>.
+         * @param {PointerEvent} e A pointerDown event.
+         */
+        Ink.prototype.startNewLine = function (e) {
+            var pointerID = MIL.makePointerID(e);
+            var svgInfo = MIL.getSvgInfo(e.target);
+            var isCometTail = this._isNonDrawing && Boolean(this._cometTailClassName);
+            var isDrawing = !this._isNonDrawing || isCometTail;
+            if (isDrawing) {
+                // Note: A comet-tail is transient (and isn't an Ink), so it's always drawn on top of all layers. Subsequent lines are added alongside the first line
+                //       (rather than to the active layer) in case the active layer changed, or was locked or hidden, while the Ink was being drawn.
+                var container = isCometTail ? svgInfo.gDomElement : ((_inkCurrentPath[pointerID] !== undefined) ? _inkCurrentPath[pointerID].node().parentNode : MIL.getInkContainer(svgInfo));
+                _inkCurrentPath[pointerID] = d3.select(container).append("path").attr("data-pointerID", pointerID); // "tag" the path with the pointerID that drew it
+                this.applyStyle();
+                if (isCometTail) {
+                    // Start a fade-out of the new (current) path
+                    var currentPath = _inkCurrentPath[pointerID]; // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
+                    MIL.Utils.Fade(currentPath, this._cometTailDurationInMs, null, function onFadeComplete() { if (currentPath)
+                        currentPath.remove(); });
+                }
+            }
+            // Is this line brand new?
+            if (MIL._inkCompletePathPointData[pointerID].length === 0) {
+                if (MIL._postponedPointerEvents.length > 0) {
+                    // Add the pending _postponedPointerEvents to the path
+                    for (var i = 0; i < MIL._postponedPointerEvents.length; i++) {
+                        if (this._pointerID === MIL.makePointerID(MIL._postponedPointerEvents[i])) {
+                            this.OnPointerMove(MIL._postponedPointerEvents[i]);
+                        }
+                    }
+                }
+                else {
+                    // Add the initial pointerDown point to the path
+                    this.OnPointerMove(e);
+                }
+            }
+        };
+        /**
+         * [Internal] Handler for a pointerMove event. Typically this is called by the Ink's owning Gesture (or by the Ink itself).
+         * @param {PointerEvent} e A pointerMove event.
+         */
+        Ink.prototype.OnPointerMove = function (e) {
+            var pointerID = MIL.makePointerID(e);
+            var svgInfo = MIL.getSvgInfo(e.target);
+            // Since the main 'g' element can be transformed (ie. zoomed and/or panned), we need to transform the e.clientX/Y point into the coordinate space of the [potentially transformed] 'g' element
+            var pointInTransformSpace = MIL.TransposePointer(e, svgInfo.gDomElement);
+            var x = pointInTransformSpace.x, y = pointInTransformSpace.y;
+            var newPoint = { x: x, y: y };
+            if (this._isCoercingInkToRuler) {
+                // Was the ruler hidden while we were drawing?
+                if (!svgInfo.ruler.IsVisible()) {
+                    this.OnPointerUp(e);
+                    return;
+                }
+                var line = svgInfo.ruler.GetFaceEdgeLine();
+                var pointOnLine = MIL.Utils.GetClosestPointOnLine(newPoint, line[0], line[1]);
+                var distanceToRuler = MIL.Utils.GetDistanceBetweenPoints(newPoint, pointOnLine);
+                // Has the pointer moved too far away from the ruler?
+                if (distanceToRuler > (svgInfo.ruler.Height() * 0.25)) {
+                    this.OnPointerUp(e);
+                    return;
+                }
+                newPoint = { x: pointOnLine.x, y: pointOnLine.y };
+            }
+            var maxPathSegments = this._isNonDrawing ? 8 : 100; // The non-drawing case is for a comet-tail
+            var overlappingPathSegments = this._isNonDrawing ? 7 : 2; // The non-drawing case is for a comet-tail
+            var pathPointData = MIL._inkCurrentPathPointData[pointerID];
+            var completePathPointData = MIL._inkCompletePathPointData[pointerID];
+            var isCometTail = this._isNonDrawing && Boolean(this._cometTailClassName);
+            var isDrawing = !this._isNonDrawing || isCometTail;
+            if (pathPointData === undefined) {
+                // A movement of the touch/mouse/pen has been detected, but before we got a 'pointerDown' for it [which is a valid condition]
+                return;
+            }
+            // To prevent a slow-down in rendering speed when pathPointData gets large [or to draw the comet-tail], we periodically spawn a new path
+            if (isDrawing && (pathPointData.length === maxPathSegments)) {
+                pathPointData.length = 0;
+                // Smooth the "join" between the old and new path [by adding the last overlappingPathSegments from the complete path-point list to the new "component" path]
+                if ((overlappingPathSegments > 0) && (overlappingPathSegments <= completePathPointData.length)) {
+                    var tailPoints = completePathPointData.slice(-overlappingPathSegments);
+                    Array.prototype.push.apply(pathPointData, tailPoints);
+                }
+                this.startNewLine(e);
+            }
+            var sampleChannels = getSampleChannels(e);
+            // Optionally, smooth the [raw] pointer position
+            if (this._smoothingOptions.mode !== MIL.InkSmoothingMode.None) {
+                if (completePathPointData.length === 0) {
+                    this._smoothingState = { recentPoints: [], prevPoint: null, prevVelocity: null, prevTimestamp: 0 };
+                }
+                newPoint = smoothPoint(newPoint, sampleChannels.timestamp, this._smoothingOptions, this._smoothingState);
+            }
+            // Optionally, snap the point to the grid (see MIL.Snapping())
+            if (!this._isNonDrawing && !this._isEraserDrawing && !this._isCoercingInkToRuler) {
+                newPoint = svgInfo.snapping.SnapToGrid(newPoint);
+            }
+            // Append new data point [but only if it's "different" from the last point (to help smooth the line and to cut down on the number of points stored)]
+            var isPointDifferentThanLast = true;
+            if (completePathPointData.length > 0) {
+                var lastPoint = completePathPointData[completePathPointData.length - 1];
+                var distanceThreshold = this._minPointDistance;
+                isPointDifferentThanLast = (Math.abs(lastPoint.x - newPoint.x) >= distanceThreshold) || (Math.abs(lastPoint.y - newPoint.y) >= distanceThreshold);
+            }
+            if (isPointDifferentThanLast) {
+                completePathPointData.push(newPoint);
+                MIL._inkCompletePathSampleData[pointerID].push(sampleChannels);
+                raiseInkChanged(svgInfo, this, { type: MIL.InkChangeType.PointAdded, point: newPoint });
+                if (isDrawing) {
+                    // Redraw the path
+                    pathPointData.push(newPoint);
+                    if (this.isVariableWidth() && !this._isNonDrawing) {
+                        // Note: The widths are kept for the complete line (so that they match where the spawned paths overlap), but only the widths for the points
+                        //       in pathPointData [which are always the last points in completePathPointData] are used. The end of the line is not tapered until the Ink is complete.
+                        var currentPath = _inkCurrentPath[pointerID];
+                        var strokeWidth = MIL.Utils.ToNumber(window.getComputedStyle(currentPath.node()).strokeWidth);
+                        if (completePathPointData.length === 1) {
+                            this._variableWidthState = { widths: [], distance: 0, smoothedPressure: 0.5, isPressureVarying: false };
+                        }
+                        appendVariableWidths(this._variableWidthState, completePathPointData, MIL._inkCompletePathSampleData[pointerID], strokeWidth, this._variableWidthOptions);
+                        currentPath.attr("d", getVariableWidthPathData(pathPointData, this._variableWidthState.widths.slice(-pathPointData.length), false, this._curve));
+                    }
+                    else {
+                        _inkCurrentPath[pointerID].attr("d", getInkLinePathData(pathPointData, false, this._curve));
+                    }
+                }
+            }
+        };
+        /**
+         * [Internal] Handler for a pointerUp event. Typically this is called by the Ink's owning Gesture (or by the Ink itself).
+         * @param {PointerEvent} e A pointerUp event.
+         */
+        Ink.prototype.OnPointerUp = function (e) {
+            var history = MIL.getSvgInfo(e.target).history;
+            // Completing the Ink can also beautify, combine or erase Inks, which we want to undo as a single command
+            history.BeginTransaction("DrawInk");
+            try {
+                this.completeInk(e);
+            }
+            finally {
+                history.EndTransaction();
+            }
+        };
+        /**
+         * [Private Method] Completes the Ink (and, if needed, beautifies it, auto-combines it with other Inks, or erases other Inks with it) when its pointer is lifted.
+         * @param {PointerEvent} e A pointerUp event.
+         */
+        Ink.prototype.completeInk = function (e) {
+            var pointerID = MIL.makePointerID(e);
+            var svgInfo = MIL.getSvgInfo(e.target);
+            if (this._isNonDrawing) {
+                this._nonDrawingPathPoints = MIL._inkCompletePathPointData[pointerID];
+                this._nonDrawingSampleChannels = MIL._inkCompletePathSampleData[pointerID];
+            }
+            else {
+                if (MIL._inkCompletePathPointData[pointerID] !== undefined) {
+                    // Handle a simple mouse click [in which case onPointerMove() will not have fired]
+                    if ((e.pointerType === "mouse") && (MIL._inkCompletePathPointData[pointerID].length === 0)) {
+                        // Since the main 'g' element can be transformed (ie. zoomed and/or panned), we need to transform the e.clientX/Y point into the coordinate space of the [potentially transformed] 'g' element
+                        var pointInTransformSpace = MIL.TransposePointer(e, svgInfo.gDomElement);
+                        var clickPoint = { x: pointInTransformSpace.x, y: pointInTransformSpace.y };
+                        if (!this._isEraserDrawing && !this._isCoercingInkToRuler) {
+                            clickPoint = svgInfo.snapping.SnapToGrid(clickPoint); // See MIL.Snapping()
+                        }
+                        MIL._inkCompletePathPointData[pointerID].push(clickPoint);
+                        MIL._inkCompletePathSampleData[pointerID].push(getSampleChannels(e));
+                        raiseInkChanged(svgInfo, this, { type: MIL.InkChangeType.PointAdded, point: clickPoint });
+                    }
+                    // Optionally, snap the start and end points to the endpoints of other Inks (see MIL.Snapping())
+                    if (!this._isEraserDrawing && !this._isCoercingInkToRuler) {
+                        svgInfo.snapping.snapEndpoints(this, MIL._inkCompletePathPointData[pointerID]);
+                    }
+                    this.consolidatePaths(e);
+                }
+                if (this._isAutoStraighten && this.isHighlighter() && (this.PathPoints().length > 1) && (this._isCoercingInkToRuler || this.IsStraightLine())) {
+                    this.straighten();
+                }
+                else if (this._isAutoBeautify && !this._isEraserDrawing && !this._isCoercingInkToRuler && (this.PathPoints().length > 1)) {
+                    var gDomElement = MIL.DebugFeature(MIL.FeatureNames.ShapeRecognition) ? svgInfo.gDomElement : undefined;
+                    var shape = MIL.RecognizeShape(this.PathPoints(), 0.8, undefined, undefined, gDomElement, MIL.getBeautifiableShapeIDs());
+                    if (shape !== null) {
+                        this.Beautify(shape);
+                    }
+                }
+            }
+            this._pointerID = null; // To indicate that the inking is complete [and prevent getInkingGesture() from continuing to find gestures whose inking is complete]
+            this._isStarted = false;
+            delete MIL._inkCompletePathPointData[pointerID];
+            delete MIL._inkCompletePathSampleData[pointerID];
+            delete MIL._inkCurrentPathPointData[pointerID];
+            delete _inkCurrentPath[pointerID];
+            if (!this._isNonDrawing && (this._finalPath !== null)) {
+                svgInfo.spatialIndex.Update(this);
+                MIL.recordInkAdded(this);
+                raiseInkChanged(svgInfo, this, { type: MIL.InkChangeType.Completed });
+            }
+            // Check if we should automatically combine this Ink with one-or-more other Inks that overlap with it in some way
+            if (!this._isEraserDrawing && !this._isNonDrawing && !this._isCoercingInkToRuler && (svgInfo.settings.InkAutoCombineMode() !== MIL.InkAutoCombineMode.Off)) {
+                var inksToCombine = [this];
+                var combinedPathClassName = "";
+                var autoCombineMode = svgInfo.settings.InkAutoCombineMode();
+                var combinationTargetFound = false;
+                var pointsToTest = this.PathPoints();
+                // Only Inks whose bounding rectangles overlap this Ink can possibly contain any of its points
+                var candidateInks = svgInfo.spatialIndex.Search(MIL.Utils.GetBoundingRectForPoints(pointsToTest));
+                for (var i = 0; i < candidateInks.length; i++) {
+                    // Note: A highlighter is only combined with other highlighters (otherwise the combined Ink couldn't stay beneath regular Ink), and an Ink is only
+                    //       combined with Inks in the same [editable] layer (the active layer can be locked or hidden while the new Ink is being drawn)
+                    if ((candidateInks[i] === this) || (candidateInks[i].isHighlighter() !== this.isHighlighter()) || (candidateInks[i].Path().node().parentNode !== this.Path().node().parentNode) || !MIL.isInEditableLayer(candidateInks[i].Path())) {
+                        continue;
+                    }
+                    var polygonPoints = candidateInks[i].PathPoints(); // Note: These are actually {x,y} points, not [x,y] points
+                    if ((autoCombineMode & MIL.InkAutoCombineMode.ContainedWithin) === MIL.InkAutoCombineMode.ContainedWithin) {
+                        var containedPointCount = MIL.Utils.CountPointsInPolygon(polygonPoints, pointsToTest);
+                        combinationTargetFound = (containedPointCount === pointsToTest.length);
+                    }
+                    if (!combinationTargetFound && ((autoCombineMode & MIL.InkAutoCombineMode.StartsWithin) === MIL.InkAutoCombineMode.StartsWithin)) {
+                        combinationTargetFound = MIL.Utils.IsPointInPolygon(polygonPoints, pointsToTest[0].x, pointsToTest[0].y);
+                    }
+                    if (!combinationTargetFound && ((autoCombineMode & MIL.InkAutoCombineMode.EndsWithin) === MIL.InkAutoCombineMode.EndsWithin)) {
+                        combinationTargetFound = MIL.Utils.IsPointInPolygon(polygonPoints, pointsToTest[pointsToTest.length - 1].x, pointsToTest[pointsToTest.length - 1].y);
+                    }
+                    if (!combinationTargetFound && ((autoCombineMode & MIL.InkAutoCombineMode.AnyPointWithin) === MIL.InkAutoCombineMode.AnyPointWithin)) {
+                        combinationTargetFound = MIL.Utils.IsAnyPointInPolygon(polygonPoints, pointsToTest);
+                    }
+                    if (combinationTargetFound) {
+                        combinedPathClassName = candidateInks[i].Class() ? candidateInks[i].Class() : combinedPathClassName;
+                        inksToCombine.push(candidateInks[i]);
+                        combinationTargetFound = false;
+                    }
+                }
+                if (inksToCombine.length > 1) {
+                    this.ParentGesture().CombineInks(inksToCombine, combinedPathClassName);
+                }
+            }
+            // Check if we should erase (split/trim or delete) the Inks that this [eraser] Ink crosses
+            if (this._isEraserDrawing && (this._finalPath !== null) && (svgInfo.settings.InkEraserMode() !== MIL.InkEraserMode.Draw)) {
+                this.eraseInks(svgInfo);
+            }
+        };
+        /**
+         * [Private Method] Erases the Inks (on the same 'g' element as the Ink, which must be an eraser Ink) that the Ink's path crosses, according to svgInfo.settings.InkEraserMode().
+         * The erased Inks are deleted and - when the mode is InkEraserMode.Split - replaced by new Inks for the parts that remain. Finally, the [eraser] Ink itself is deleted.
+         * @param {SVGInfo} svgInfo The SVGInfo of the <svg> the Ink was drawn on.
+         */
+        Ink.prototype.eraseInks = function (svgInfo) {
+            var eraser = this;
+            var eraserPoints = this.PathPoints();
+            var eraserRadius = MIL.Utils.ToNumber(window.getComputedStyle(this._finalPath.node()).strokeWidth) / 2;
+            var eraserRect = MIL.Utils.GetBoundingRectForPoints(eraserPoints);
+            var isStrokeEraser = (svgInfo.settings.InkEraserMode() === MIL.InkEraserMode.Stroke);
+            var onInkErasedHandler = svgInfo.settings.OnInkErasedHandler();
+            var erasedInkCount = 0;
+            var searchRect = { x: eraserRect.x - eraserRadius, y: eraserRect.y - eraserRadius, width: eraserRect.width + (eraserRadius * 2), height: eraserRect.height + (eraserRadius * 2) };
+            var targetInks = svgInfo.spatialIndex.Search(searchRect).filter(function (ink) {
+                return ((ink !== eraser) && !ink.IsEraserDrawing() && svgInfo.gDomElement.contains(ink.Path().node()) && MIL.isInEditableLayer(ink.Path()));
+            });
+            targetInks.forEach(function (ink) {
+                var pathDomElement = ink.Path().node();
+                var pathPointsCollection = pathDomElement.__MILPathPointsCollection__;
+                var inkRect = MIL.Utils.GetBoundingRectForPoints([].concat.apply([], pathPointsCollection));
+                var eraseDistance = eraserRadius + (MIL.Utils.ToNumber(window.getComputedStyle(pathDomElement).strokeWidth) / 2); // The distance at which the [visible] eraser and Ink lines overlap
+                var isTooFarAway = (inkRect.x - eraseDistance > eraserRect.x + eraserRect.width) || (inkRect.x + inkRect.width + eraseDistance < eraserRect.x) ||
+                    (inkRect.y - eraseDistance > eraserRect.y + eraserRect.height) || (inkRect.y + inkRect.height + eraseDistance < eraserRect.y);
+                if (isTooFarAway) {
+                    return;
+                }
+                var remainingLines = ink.getUnerasedLines(eraserPoints, eraseDistance);
+                if (remainingLines !== null) {
+                    var newInks = isStrokeEraser ? [] : ink.createInksFromLines(remainingLines);
+                    ink.Delete();
+                    erasedInkCount++;
+                    if (onInkErasedHandler !== null) {
+                        onInkErasedHandler.call(eraser, ink, newInks);
+                    }
+                }
+            });
+            MIL.log(erasedInkCount + " Ink(s) erased by Ink '" + this.InkID() + "' (mode: " + MIL.InkEraserMode[svgInfo.settings.InkEraserMode()] + ")");
+            this.Delete();
+        };
+        /**
+         * [Private Method] Returns the parts of the Ink's lines that remain after erasing the parts that are within 'eraseDistance' of the supplied eraser path, or null if no part of the Ink is erased.
+         * Parts with fewer than 2 points are discarded.
+         * @param {Point[]} eraserPoints The points of the eraser path.
+         * @param {number} eraseDistance The distance (in pixels) from the eraser path within which the Ink is erased.
+         * @returns {InkLine[] | null} Result.
+         */
+        Ink.prototype.getUnerasedLines = function (eraserPoints, eraseDistance) {
+            var pathDomElement = this.Path().node();
+            var pathPointsCollection = pathDomElement.__MILPathPointsCollection__;
+            var isLinearCollection = pathDomElement.__MILIsLinearCollection__ || [];
+            var sampleChannelsCollection = pathDomElement.__MILSampleChannelsCollection__ || [];
+            var isClosed = this._isClosed && (pathPointsCollection.length === 1); // A combined Ink is never treated as being closed
+            var isAnyLineErased = false;
+            var remainingLines = [];
+            var _loop_4 = function (l) {
+                var pathPoints = pathPointsCollection[l];
+                var sampleChannels = (sampleChannelsCollection[l] && (sampleChannelsCollection[l].length === pathPoints.length)) ? sampleChannelsCollection[l] : null;
+                var line = { pathPoints: pathPoints, sampleChannels: sampleChannels, isLinear: Boolean(isLinearCollection[l]) };
+                var isLineErased = false;
+                for (var i = 0; (i < pathPoints.length) && !isLineErased; i++) {
+                    var nextPoint = (i < pathPoints.length - 1) ? pathPoints[i + 1] : (isClosed ? pathPoints[0] : pathPoints[i]);
+                    isLineErased = (getDistanceToPolyline(pathPoints[i], nextPoint, eraserPoints) < eraseDistance);
+                }
+                if (!isLineErased) {
+                    remainingLines.push(line);
+                    return "continue";
+                }
+                // Add points so that the eraser can't pass between 2 points without erasing at least one of them [the points can be far apart, eg. after the Ink has been scaled-up].
+                // Note: When a closed line is erased it becomes open, so we include the segment that joins the last point to the first point.
+                if (isClosed) {
+                    line.pathPoints = pathPoints.concat([pathPoints[0]]);
+                    line.sampleChannels = sampleChannels ? sampleChannels.concat([sampleChannels[0]]) : null;
+                }
+                line = densifyInkLine(line, eraseDistance / 2);
+                var isErased = line.pathPoints.map(function (point) { return (getDistanceToPolyline(point, point, eraserPoints) < eraseDistance); });
+                var runs = []; // Each run is the [contiguous] indices of the unerased points
+                var run = null;
+                for (var i = 0; i < line.pathPoints.length; i++) {
+                    if (isErased[i]) {
+                        run = null;
+                    }
+                    else {
+                        if (run === null) {
+                            run = [];
+                            runs.push(run);
+                        }
+                        run.push(i);
+                    }
+                }
+                // For a closed line, the last run and the first run are joined [at the start point, which the last point duplicates]
+                if (isClosed && (runs.length > 1) && !isErased[0] && !isErased[line.pathPoints.length - 1]) {
+                    runs[0] = runs.pop().concat(runs[0].slice(1));
+                }
+                isAnyLineErased = true;
+                runs.filter(function (indices) { return (indices.length >= 2); }).forEach(function (indices) {
+                    remainingLines.push({
+                        pathPoints: indices.map(function (i) { return ({ x: line.pathPoints[i].x, y: line.pathPoints[i].y }); }),
+                        sampleChannels: line.sampleChannels ? indices.map(function (i) { return (line.sampleChannels[i]); }) : null,
+                        isLinear: line.isLinear
+                    });
+                });
+            };
+            for (var l = 0; l < pathPointsCollection.length; l++) {
+                _loop_4(l);
+            }
+            return (isAnyLineErased ? remainingLines : null);
+        };
+        /**
+         * [Private Method] Creates new Inks (with the same properties as the Ink) from the supplied lines, and adds them to the <svg> directly below the Ink.
+         * A new Ink is created for each line, unless the Ink is combined (see Ink.IsCombined()) in which case a single new combined Ink is created for all the lines.
+         * @param {InkLine[]} lines The lines to create the new Inks from.
+         * @returns {Ink[]} The new Inks.
+         */
+        Ink.prototype.createInksFromLines = function (lines) {
+            var ink = this;
+            var gDomElement = this.Path().node().parentNode; // Either the 'g' element returned by MIL.Initialize(), or the 'g' element of a layer
+            var lineGroups = this.IsCombined() ? [lines] : lines.map(function (line) { return ([line]); });
+            return (lineGroups.filter(function (lineGroup) { return (lineGroup.length > 0); }).map(function (lineGroup) {
+                var serializedInk = ink.serialize();
+                var allXYPoints = MIL.Utils.ConvertPointsToXYPoints([].concat.apply([], lineGroup.map(function (line) { return (line.pathPoints); })));
+                serializedInk.id = ""; // The new Ink will be assigned a new ID
+                serializedInk.isClosed = false;
+                serializedInk.pathPointsCollection = lineGroup.map(function (line) { return (line.pathPoints); });
+                serializedInk.isLinearCollection = lineGroup.map(function (line) { return (line.isLinear); });
+                serializedInk.sampleChannelsCollection = lineGroup.map(function (line) { return (line.sampleChannels); });
+                serializedInk.combinedOutlinePathPoints = ink.IsCombined() ? MIL.Utils.ConvertXYPointsToPoints(d3.polygonHull(allXYPoints) || allXYPoints) : null;
+                serializedInk.constituents = null; // The remaining lines no longer correspond to the original Inks
+                var newInk = new Ink(null).rehydrate(gDomElement, serializedInk);
+                // Preserve the z-order of the Ink
+                gDomElement.insertBefore(newInk.Path().node(), ink.Path().node());
+                if (newInk.HullPath() !== null) {
+                    gDomElement.insertBefore(newInk.HullPath().node(), ink.Path().node());
+                }
+                return (newInk);
+            }));
+        };
+        /**
+         * Replaces the Ink's path with the idealized geometry (eg. a perfect ellipse) of the specified shape, fitted to the Ink's existing path.
+         * The Ink's hull is updated to cover the new path, but is otherwise preserved (so any Gestures that target it, eg. drag and resize, continue to work).
+         * Returns false if the shape does not support beautification (see MIL.BeautifyShape()).
+         * Note: The Ink is assumed to have already been recognized as the shape (eg. by MIL.RecognizeShape()).
+         * @param {ShapeID} shapeID The ID of the shape to beautify the Ink as.
+         * @returns {boolean} Result.
+         */
+        Ink.prototype.Beautify = function (shapeID) {
+            if (this.Path() === null) {
+                throw new MIL.MILException("Ink.Beautify() cannot be called until the Ink has been created");
+            }
+            if (this.IsCombined() || this._isEraserDrawing) {
+                throw new MIL.MILException("Ink.Beautify() cannot be called on a combined Ink or on an eraser Ink");
+            }
+            if (this._dragGesture !== null) {
+                throw new MIL.MILException("Ink.Beautify() cannot be called while the Ink is being dragged");
+            }
+            var beautifiedShape = MIL.BeautifyShape(shapeID, this.PathPoints());
+            if (beautifiedShape === null) {
+                return (false);
+            }
+            // Re-sample the beautified shape [so the "density" of __MILPathPointsCollection__ remains high enough that intersection
+            // detection (ie. detecting if points of the Ink are inside another region) continues to work well]
+            var pathPoints = this.resampleBeautifiedShape(beautifiedShape, 5);
+            var inkPath = this.Path();
+            inkPath.node().__MILPathPointsCollection__ = [pathPoints];
+            inkPath.node().__MILIsLinearCollection__ = [true]; // So that the path is not re-drawn as a curve when it's subsequently translated or scaled
+            inkPath.node().__MILSampleChannelsCollection__ = [null]; // The beautified points don't correspond to the captured samples
+            this._isClosed = beautifiedShape.isClosed;
+            inkPath.attr("d", this.getPathData([pathPoints]));
+            this.applyDecoration(); // The fill (if any) only applies to a closed path
+            if (this.HullPath() !== null) {
+                this.drawHull(this.HullPath(), pathPoints);
+            }
+            // Note: Beautify() is typically called before the Ink has been added to the index (see completeInk()), in which case the change is reported as part of InkChangeType.Completed
+            if (MIL.getSpatialIndex(inkPath).Contains(this)) {
+                MIL.getSpatialIndex(inkPath).Update(this);
+                raiseInkChanged(MIL.getSvgInfo(inkPath), this, { type: MIL.InkChangeType.Beautified, shapeID: shapeID });
+            }
+            MIL.log("Ink '" + this.InkID() + "' beautified as shape '" + MIL.getShapeName(shapeID) + "'");
+            return (true);
+        };
+        /**
+         * [Private Method] Replaces the [just completed] path of a highlighter Ink with a straight line: if the Ink was drawn against the Ruler the line joins its first and last points,
+         * otherwise it's a horizontal line (at the average height of the points) that spans the points [so that it neatly highlights a line of text].
+         */
+        Ink.prototype.straighten = function () {
+            var inkPath = this.Path();
+            var pathPoints = this.PathPoints();
+            var linePoints;
+            if (this._isCoercingInkToRuler) {
+                linePoints = [pathPoints[0], pathPoints[pathPoints.length - 1]];
+            }
+            else {
+                var boundingRect = MIL.Utils.GetBoundingRectForPoints(pathPoints);
+                var averageY = pathPoints.reduce(function (sum, point) { return (sum + point.y); }, 0) / pathPoints.length;
+                var isLeftToRight = (pathPoints[0].x <= pathPoints[pathPoints.length - 1].x);
+                var left = { x: boundingRect.x, y: averageY }, right = { x: boundingRect.x + boundingRect.width, y: averageY };
+                linePoints = isLeftToRight ? [left, right] : [right, left];
+            }
+            // Re-sample the line [for the same reason as Beautify()]
+            var straightenedPoints = this.resampleBeautifiedShape({ points: linePoints, isClosed: false }, 5);
+            inkPath.node().__MILPathPointsCollection__ = [straightenedPoints];
+            inkPath.node().__MILIsLinearCollection__ = [true];
+            inkPath.node().__MILSampleChannelsCollection__ = [null]; // The straightened points don't correspond to the captured samples
+            this._isClosed = false;
+            inkPath.attr("d", this.getPathData([straightenedPoints]));
+            this.applyDecoration();
+            if (this.HullPath() !== null) {
+                this.drawHull(this.HullPath(), straightenedPoints);
+            }
+        };
+        /**
+         * [Private Method] Returns the vertices of the supplied BeautifiedShape with additional points inserted along each edge so that no two consecutive points are further apart than 'maxDistanceInPxBetweenPoints'.
+         * @param {BeautifiedShape} beautifiedShape The shape to re-sample.
+         * @param {number} maxDistanceInPxBetweenPoints The maximum distance (in pixels) between consecutive points.
+         * @returns {Point[]} Result.
+         */
+        Ink.prototype.resampleBeautifiedShape = function (beautifiedShape, maxDistanceInPxBetweenPoints) {
+            var vertices = beautifiedShape.points;
+            var edgeCount = beautifiedShape.isClosed ? vertices.length : vertices.length - 1;
+            var resampledPoints = [{ x: vertices[0].x, y: vertices[0].y }];
+            for (var i = 0; i < edgeCount; i++) {
+                var startPoint = vertices[i];
+                var endPoint = vertices[(i + 1) % vertices.length];
+                var segmentCount = Math.max(1, Math.ceil(MIL.Utils.GetDistanceBetweenPoints(startPoint, endPoint) / maxDistanceInPxBetweenPoints));
+                var isClosingEdge = beautifiedShape.isClosed && (i === edgeCount - 1);
+                // Note: We don't add the end point of the closing edge since it's the same as the first point (the path is closed with 'Z')
+                for (var s = 1; s <= (isClosingEdge ? segmentCount - 1 : segmentCount); s++) {
+                    var ratio = s / segmentCount;
+                    resampledPoints.push({ x: startPoint.x + ((endPoint.x - startPoint.x) * ratio), y: startPoint.y + ((endPoint.y - startPoint.y) * ratio) });
+                }
+            }
+            return (resampledPoints);
+        };
+        /**
+         * Starts a drag operation for the Ink. When the drag is complete, call Ink.DragEnd().
+         * @param {Gesture} dragGesture The Gesture being used to drag the Ink (must target the Ink's Hull).
+         * @param {string} [groupDragSelectionClassName] [Optional] The name of a class used to find the set of Inks to drag (ie. a multi-select drag).
+         * If not supplied, and the Ink is selected (see MIL.Selection()), all the selected Inks are dragged.
+         */
+        Ink.prototype.DragStart = function (dragGesture, groupDragSelectionClassName) {
+            if (dragGesture.Target() !== this.HullPath().node()) {
+                throw new MIL.MILException("The specified 'dragGesture' must target the Ink.HullPath()");
+            }
+            var ink = this;
+            var startPoint = dragGesture.GetStartSvgPoint("{P1}"); // TODO: Revisit defaulting to using the {P1} pointer of the drag gesture
+            var svgInfo = MIL.getSvgInfo(dragGesture.Target());
+            var inkPath = this.Path();
+            var hullPath = this.HullPath();
+            if ((groupDragSelectionClassName === undefined) && svgInfo.selection.Contains(this)) {
+                groupDragSelectionClassName = MIL.SELECTED_INK_CLASS_NAME;
+            }
+            var isDraggedSelection = groupDragSelectionClassName && inkPath.classed(groupDragSelectionClassName);
+            this._previousDragMovePoint = startPoint;
+            this._groupDragSelectionClassName = groupDragSelectionClassName || null;
+            this._dragGesture = dragGesture;
+            this._dragDelta = { x: 0, y: 0 };
+            // Re-create the inkHull (drag target) and the inkPath (we do this to change the z-order of these elements [z-order = order
+            // added to SVG] to "top", so that they are dragged above erasure paths and other draggable elements)
+            var selectedPaths = inkPath;
+            var selectedHulls = hullPath;
+            if (isDraggedSelection) {
+                var g = svgInfo.gSelection;
+                selectedPaths = g.selectAll("path.MILInkPath" + (ink._groupDragSelectionClassName ? "." + ink._groupDragSelectionClassName : ""));
+                selectedHulls = g.selectAll("path.MILInkHullPath").filter(function () { return (ink.getInkPathAssociatedWithHull(this).classed(ink._groupDragSelectionClassName)); });
+            }
+            // Note: Each element stays in its layer (if any)
+            var draggedPathElements = selectedPaths.nodes();
+            draggedPathElements.forEach(function (element) { element.parentNode.appendChild(element); });
+            var draggedHullElements = selectedHulls.nodes();
+            draggedHullElements.forEach(function (element) { element.parentNode.appendChild(element); });
+            // Note: The dragged Inks are excluded from the alignment targets
+            var draggedInks = draggedPathElements.map(function (element) { return (MIL.GetInkByElement(element)); }).filter(Boolean);
+            this._dragSnapState = svgInfo.snapping.beginDrag(draggedInks);
+            // A dragged highlighter must still remain beneath all the [non-dragged] regular Inks
+            draggedPathElements.concat(draggedHullElements).forEach(function (element) {
+                if (d3.select(element).classed(HIGHLIGHTER_CLASS_NAME)) {
+                    moveBelowNonHighlighterInks(element);
+                }
+            });
+            // The dragGesture didn't create the Ink whose hull it's targeted on, but since it needs to operate on the
+            // Ink.Path() in addition to the Ink.HullPath() [its Target()], we tag the gesture with its "host" Ink
+            if ((dragGesture.Ink() !== null) && (dragGesture.Ink() !== this)) {
+                throw new MIL.MILException("The specified 'dragGesture' has an unexpected Ink() value");
+            }
+            dragGesture.ink(this);
+            svgInfo.selection.inkChanged(this, true);
+            dragGesture.OnMoveHandler(Ink.dragMove); // This handler will be removed automatically when the gesture ends [by removePointer()])
+        };
+        /**
+         * [Private Static Method] A handler for pointerMove events when the Ink is being dragged.
+         * Note: The value of 'this' must be explicitly set to the Gesture that is performing the drag [eg. using call()] otherwise the method will throw.
+         * @param {PointerEvent} e A pointerMove event.
+         */
+        Ink.dragMove = function (e) {
+            // Note: Gesture.OnMoveHandler() [which is how Ink.dragMove() gets called] will prevent e from bubbling
+            // PORT: This check was added (because by default 'this' will be 'typeof Ink' due to it being a static member of the Ink class)
+            if (MIL.Utils.GetObjectType(this) !== "Gesture") {
+                throw new MIL.MILException("The value of 'this' has not been explicitly set to a Gesture instance");
+            }
+            var dragGesture = MIL.ThisGesture(this);
+            var ink = dragGesture.Ink();
+            var pointerID = dragGesture.GetPointerID("{P1}"); // TODO: Revisit defaulting to using the {P1} pointer of the drag gesture
+            // We only care about pointer-move events for the {P1} pointer
+            if (MIL.makePointerID(e) !== pointerID) {
+                return;
+            }
+            var currentPoint = dragGesture.GetCurrentSvgPoint("{P1}");
+            var startPoint = dragGesture.GetStartSvgPoint("{P1}");
+            var svgInfo = MIL.getSvgInfo(dragGesture.Target());
+            var inkPath = ink.Path();
+            // The total translation is snapped (see MIL.Snapping()), so the [incremental] delta is the change in the snapped translation since the previous move
+            var dragDelta = svgInfo.snapping.snapDragDelta(ink._dragSnapState, currentPoint.x - startPoint.x, currentPoint.y - startPoint.y);
+            var deltaX = (dragDelta.x - ink._dragDelta.x);
+            var deltaY = (dragDelta.y - ink._dragDelta.y);
+            ink._previousDragMovePoint = currentPoint;
+            ink._dragDelta = dragDelta;
+            if ((deltaX !== 0) || (deltaY !== 0)) {
+                if (ink._groupDragSelectionClassName && inkPath.classed(ink._groupDragSelectionClassName)) {
+                    var g = svgInfo.gSelection;
+                    var selectedPaths = g.selectAll("path.MILInkPath" + (ink._groupDragSelectionClassName ? "." + ink._groupDragSelectionClassName : ""));
+                    var selectedHulls = g.selectAll("path.MILInkHullPath").filter(function () { return (ink.getInkPathAssociatedWithHull(this).classed(ink._groupDragSelectionClassName)); });
+                    // Move the inkPath(s) (using the "fast" translation method)
+                    selectedPaths.each(function (d, i) {
+                        var inkPath = d3.select(this);
+                        ink.translateInkPath(inkPath, deltaX, deltaY, true);
+                    });
+                    // Move the inkHull(s)
+                    selectedHulls.each(function (d, i) {
+                        var inkHullPath = d3.select(this);
+                        ink.translateHullPath(inkHullPath, deltaX, deltaY, true);
+                    });
+                }
+                else {
+                    // Move the inkPath (using the "fast" translation method)
+                    ink.translateInkPath(inkPath, deltaX, deltaY, true);
+                    // Move the inkHull
+                    ink.translateHullPath(ink.HullPath(), deltaX, deltaY, true);
+                }
+                // Call the user-supplied drag-move handler (if any) [eg. to move user content associated with the ink/hull]
+                if (ink.OnDragMoveHandler() !== null) {
+                    ink.OnDragMoveHandler()(deltaX, deltaY); // PORT: Design change idea: should we modify this to a call() so that we can also supply the Ink instance?
+                }
+            }
+        };
+        /** Ends the drag operation started by Ink.DragStart(). */
+        Ink.prototype.DragEnd = function () {
+            if (this._dragGesture === null) {
+                return;
+            }
+            var ink = this;
+            var dragGesture = this._dragGesture;
+            var currentPoint = dragGesture.GetCurrentSvgPoint("{P1}"); // TODO: Revisit defaulting to using the {P1} pointer of the drag gesture
+            var startPoint = dragGesture.GetStartSvgPoint("{P1}");
+            var svgInfo = MIL.getSvgInfo(dragGesture.Target());
+            var dragDelta = svgInfo.snapping.snapDragDelta(this._dragSnapState, currentPoint.x - startPoint.x, currentPoint.y - startPoint.y);
+            var deltaX = dragDelta.x;
+            var deltaY = dragDelta.y;
+            var inkPath = this.Path();
+            var hullPath = this.HullPath();
+            var isDraggedSelection = this._groupDragSelectionClassName && inkPath.classed(this._groupDragSelectionClassName);
+            var draggedInks = [this];
+            // Do the final "manual" translation of the ink (to update __MILPathPointsCollection__ and clear the transform) and hull
+            if (isDraggedSelection) {
+                var g = svgInfo.gSelection;
+                var selectedPaths = g.selectAll("path.MILInkPath" + (ink._groupDragSelectionClassName ? "." + ink._groupDragSelectionClassName : ""));
+                var selectedHulls = g.selectAll("path.MILInkHullPath").filter(function () { return (ink.getInkPathAssociatedWithHull(this).classed(ink._groupDragSelectionClassName)); });
+                draggedInks = [];
+                selectedPaths.each(function (d, i) {
+                    var inkPath = d3.select(this);
+                    ink.translateInkPath(inkPath, deltaX, deltaY, false);
+                    draggedInks.push(MIL.GetInkByElement(inkPath));
+                });
+                selectedHulls.each(function (d, i) {
+                    var inkHullPath = d3.select(this);
+                    ink.translateHullPath(inkHullPath, deltaX, deltaY, false);
+                });
+            }
+            else {
+                this.translateInkPath(inkPath, deltaX, deltaY, false);
+                this.translateHullPath(hullPath, deltaX, deltaY, false);
+            }
+            draggedInks = draggedInks.filter(Boolean);
+            MIL.recordInksTranslated(draggedInks, deltaX, deltaY);
+            draggedInks.forEach(function (draggedInk) { svgInfo.spatialIndex.Update(draggedInk); });
+            svgInfo.selection.inkChanged(this, false);
+            draggedInks.forEach(function (draggedInk) { raiseInkChanged(svgInfo, draggedInk, { type: MIL.InkChangeType.Dragged, deltaX: deltaX, deltaY: deltaY }); });
+            svgInfo.snapping.endDrag();
+            this._previousDragMovePoint = null;
+            this._groupDragSelectionClassName = null;
+            this._dragGesture = null;
+            this._dragDelta = null;
+            this._dragSnapState = null;
+        };
+        /**
+         * Returns the convex area of the Ink instance.
+         * @returns {number} Result.
+         */
+        Ink.prototype.GetConvexArea = function () {
+            var convexArea = 0;
+            if (this._finalPath !== null) {
+                var polygonPoints = MIL.Utils.ConvertPointsToXYPoints(this.PathPoints());
+                var convexHullVertices = d3.polygonHull(polygonPoints); // Returned points are in counter-clockwise order [which d3.polygonArea (see below) needs to return a positive value]
+                if (convexHullVertices) {
+                    convexArea = d3.polygonArea(convexHullVertices);
+                }
+            }
+            return (convexArea);
+        };
+        /**
+         * Returns true if the Ink instance is completely within the specified targetInk, false otherwise.
+         * Note: returns false if targetInk is the current Ink instance.
+         * @param {Ink} targetInk The "bounding" Ink instance.
+         * @returns {boolean} Result.
+         */
+        Ink.prototype.IsInside = function (targetInk) {
+            if (targetInk === this) {
+                return (false);
+            }
+            var pointsToTest = this.PathPoints();
+            var containedPointCount = MIL.Utils.CountPointsInPolygon(targetInk.PathPoints(), pointsToTest);
+            var isInside = (containedPointCount === pointsToTest.length);
+            return (isInside);
+        };
+        /**
+         * Using a grid-quantizing scheme, returns an array of {x,y} points (of length numGridPoints) that lie within the Ink instance.
+         * An empty array will be returned if no layout grid can be computed.
+         * Typically this is used to create locations ("landing sites") to move other items into the Ink region (eg. when the Ink is being used as a container).
+         * @param {number} numGridPoints The number of grid points to create.
+         * @returns {Point[]} Result.
+         */
+        Ink.prototype.GetLayoutGridPoints = function (numGridPoints) {
+            var boundingRect = MIL.Utils.GetBoundingRectForPoints(this.PathPoints());
+            var numCols = Math.ceil(Math.sqrt(numGridPoints)) + 2; // Just a [very] approximate starting value
+            var numRows = Math.ceil(numCols * (boundingRect.height / boundingRect.width)); // Just a [very] approximate starting value
+            // Step 1: Reduce numRows/numCols so that their product is LESS than numGridPoints
+            if (boundingRect.height >= boundingRect.width) {
+                while (((numRows * numCols) > numGridPoints) && (numCols > 1)) {
+                    numCols--;
+                }
+                while (((numRows * numCols) > numGridPoints) && (numRows > 1)) {
+                    numRows--;
+                }
+            }
+            else {
+                while (((numRows * numCols) > numGridPoints) && (numRows > 1)) {
+                    numRows--;
+                }
+                while (((numRows * numCols) > numGridPoints) && (numCols > 1)) {
+                    numCols--;
+                }
+            }
+            var gridPoints = [];
+            var polygonPoints = MIL.Utils.ConvertPointsToXYPoints(this.PathPoints());
+            var retryCount = 0;
+            var aborted = false;
+            // Step 2: Iteratively create a grid of points using numRows/numCols, increasing both as needed until the grid has MORE [contained] points than numGridPoints
+            while ((gridPoints.length < numGridPoints) && !aborted) {
+                for (var r = (numRows === 1 ? 0 : 1); r < numRows; r++) {
+                    var testPointY = boundingRect.y + ((numRows === 1) ? (boundingRect.height / 2) : (r * (boundingRect.height / numRows)));
+                    for (var c = (numCols === 1 ? 0 : 1); c < numCols; c++) {
+                        var testPointX = boundingRect.x + ((numCols === 1) ? (boundingRect.width / 2) : (c * (boundingRect.width / numCols)));
+                        if (MIL.Utils.IsPointInPolygon(polygonPoints, testPointX, testPointY)) {
+                            gridPoints.push({ x: testPointX, y: testPointY });
+                        }
+                    }
+                }
+                // Do we need to try again?
+                if (gridPoints.length < numGridPoints) {
+                    gridPoints.length = 0;
+                    numRows += 1;
+                    numCols += 1;
+                    aborted = (retryCount++ === 5); // It's expensive to retry too many times
+                }
+            }
+            // Step 3: Trim gridPoints to numGridPoints by a) [conservatively] downsampling, then b) trimming the remaining excess gridPoints equally from the start/end
+            if (!aborted) {
+                var deleteCount = gridPoints.length - numGridPoints;
+                if (deleteCount > 0) {
+                    var downsamplingStepSize = Math.floor(gridPoints.length / numGridPoints);
+                    if (downsamplingStepSize > 1) {
+                        var downsampledGridPoints = [];
+                        for (var i = 0; i < gridPoints.length; i += downsamplingStepSize) {
+                            downsampledGridPoints.push(gridPoints[i]);
+                        }
+                        gridPoints = downsampledGridPoints;
+                        deleteCount = gridPoints.length - numGridPoints;
+                    }
+                    if (deleteCount > 0) {
+                        var deleteFromStart = (deleteCount % 2 === 0) ? deleteCount / 2 : Math.floor(deleteCount / 2);
+                        var deleteFromEnd = (deleteCount % 2 === 0) ? deleteCount / 2 : Math.ceil(deleteCount / 2);
+                        gridPoints.splice(0, deleteFromStart);
+                        gridPoints.splice(gridPoints.length - deleteFromEnd, deleteFromEnd);
+                    }
+                }
+            }
+            // DEBUG:
+            // let gDomElement: SVGGElement = getSvgInfo(this.Path()).gDomElement;
+            // gridPoints.forEach(function (point) { Utils.DebugDrawPoints(gDomElement, [point], 3); });
+            return (gridPoints);
+        };
+        /**
+         * Returns true if the Ink instance is [approximately] a straight line.
+         * @returns {boolean} Result.
+         */
+        Ink.prototype.IsStraightLine = function () {
+            var polygonPoints = MIL.Utils.ConvertPointsToXYPoints(this.PathPoints());
+            var isStraightLine = MIL.Utils.IsStraightLine(polygonPoints);
+            return (isStraightLine);
+        };
+        /**
+         * [Private Method] Translates the specified Ink path by the specified x/y delta.
+         * @param {D3SingleSelection} inkPath The Ink path to translate (as a D3 Selection of the svg Path element).
+         * @param {number} deltaX The number of pixels to translate by on the x-axis.
+         * @param {number} deltaY The number of pixels to translate by on the y-axis.
+         * @param {boolean} useTransform If true, use a [fast] svg transform to do the translation (but doesn't update __MILPathPointsCollection__).
+         *                               If false, uses a [slow] manual redraw to do the translation (and updates __MILPathPointsCollection__).
+         */
+        Ink.prototype.translateInkPath = function (inkPath, deltaX, deltaY, useTransform) {
+            if (useTransform === true) {
+                // Note: Updating the transform is MUCH faster than doing a "manual" translation followed by
+                //       calling _inkLineGenerator(), but it doesn't update __MILPathPointsCollection__
+                this.translateWithTransform(inkPath, deltaX, deltaY);
+            }
+            else {
+                var pathPointsCollection = inkPath.node().__MILPathPointsCollection__;
+                var translatedPathPointsCollection = [];
+                var pathInk = MIL.GetInkByElement(inkPath) || this; // When dragging a selection, inkPath can belong to another Ink
+                // Undo any existing transform translation [created when useTransform is 'true']
+                inkPath.attr("transform", null);
+                for (var l = 0; l < pathPointsCollection.length; l++) {
+                    var pathData = pathPointsCollection[l];
+                    var translatedPathPoints = [];
+                    for (var i = 0; i < pathData.length; i++) {
+                        var translatedX = pathData[i].x + deltaX;
+                        var translatedY = pathData[i].y + deltaY;
+                        translatedPathPoints.push({ x: translatedX, y: translatedY });
+                    }
+                    translatedPathPointsCollection.push(translatedPathPoints);
+                }
+                inkPath.attr("d", pathInk.getPathData(translatedPathPointsCollection));
+                inkPath.node().__MILPathPointsCollection__ = translatedPathPointsCollection;
+            }
+        };
+        /**
+         * [Internal] Translates the Ink (and its Hull, if any) by the specified x/y delta.
+         * @param {number} deltaX The number of pixels to translate by on the x-axis.
+         * @param {number} deltaY The number of pixels to translate by on the y-axis.
+         * @internal
+         */
+        Ink.prototype.translate = function (deltaX, deltaY) {
+            this.translateInkPath(this.Path(), deltaX, deltaY, false);
+            if (this.HullPath() !== null) {
+                this.translateHullPath(this.HullPath(), deltaX, deltaY, false);
+            }
+            MIL.getInkSelection(this.Path()).inkChanged(this, false);
+            MIL.getSpatialIndex(this.Path()).Update(this);
+            raiseInkChanged(MIL.getSvgInfo(this.Path()), this, { type: MIL.InkChangeType.Dragged, deltaX: deltaX, deltaY: deltaY });
+        };
+        /**
+         * [Internal] Stretches the Ink (and its Hull, if any) by independent x/y scale factors, keeping 'origin' fixed. Unlike Scale(), the aspect ratio of
+         * the Ink can change, so the Ink's Scale() is not updated. The stroke-width of the Ink is unaffected. The change is recorded in the undo/redo history.
+         * @param {number} scaleX The factor to scale by on the x-axis (must be non-zero).
+         * @param {number} scaleY The factor to scale by on the y-axis (must be non-zero).
+         * @param {Point} origin The point that remains fixed.
+         * @internal
+         */
+        Ink.prototype.stretch = function (scaleX, scaleY, origin) {
+            var stretchPoints = function (points) {
+                return (points.map(function (point) { return ({ x: origin.x + ((point.x - origin.x) * scaleX), y: origin.y + ((point.y - origin.y) * scaleY) }); }));
+            };
+            this.transformInkPath(this.Path(), stretchPoints);
+            if (this.HullPath() !== null) {
+                this.transformHullPath(this.HullPath(), stretchPoints);
+            }
+            MIL.recordInkStretched(this, scaleX, scaleY, origin);
+            MIL.getInkSelection(this.Path()).inkChanged(this, false);
+            MIL.getSpatialIndex(this.Path()).Update(this);
+            raiseInkChanged(MIL.getSvgInfo(this.Path()), this, { type: MIL.InkChangeType.Resized, scaleX: scaleX, scaleY: scaleY });
+        };
+        /**
+         * [Private Method] Translates the specified Ink Hull path by the specified x/y delta.
+         * @param {D3SingleSelection} hullPath The Ink Hull path to translate (as a D3 Selection of the svg Path element).
+         * @param {number} deltaX The number of pixels to translate by on the x-axis.
+         * @param {number} deltaY The number of pixels to translate by on the y-axis.
+         * @param {boolean} useTransform If true, use a [fast] svg transform to do the translation (but doesn't update __MILPathPointsCollection__).
+         *                               If false, uses a [slow] manual redraw to do the translation (and updates __MILPathPointsCollection__).
+         */
+        Ink.prototype.translateHullPath = function (hullPath, deltaX, deltaY, useTransform) {
+            if (useTransform === true) {
+                // Note: Updating the transform is MUCH faster than doing a "manual" translation of the "d" attribute
+                //       but it doesn't update ink._combinedOutlinePathPoints
+                this.translateWithTransform(hullPath, deltaX, deltaY);
+            }
+            else {
+                var hullPathDomElement = MIL.Utils.GetDomElement(hullPath, SVGPathElement);
+                var values = hullPathDomElement.getAttribute("d").split(" ");
+                var hullPathData = "";
+                var ink = MIL.GetInkByElement(hullPath);
+                var translatedOutlinePathPoints = [];
+                // Undo any existing transform translation [created when useTransform is 'true']
+                hullPath.attr("transform", null);
+                for (var i = 0; i < values.length; i++) {
+                    if (isNaN(+values[i])) {
+                        if (values[i].length !== 1) {
+                            throw new MIL.MILException("Unexpected value ('" + values[i] + "') in 'd'");
+                        }
+                        // M or L 
+                        hullPathData += values[i] + " ";
+                    }
+                    else {
+                        // x y
+                        var translatedX = +values[i] + deltaX;
+                        var translatedY = +values[++i] + deltaY;
+                        hullPathData += translatedX + " " + translatedY + " ";
+                        if (ink.IsCombined()) {
+                            translatedOutlinePathPoints.push({ x: translatedX, y: translatedY });
+                        }
+                    }
+                }
+                hullPathDomElement.setAttribute("d", hullPathData.trim());
+                if (ink.IsCombined()) {
+                    ink._combinedOutlinePathPoints = translatedOutlinePathPoints;
+                }
+            }
+        };
+        // TODO: There may be a better way to do this [eg. https://mikewilliamson.wordpress.com/2013/08/27/matrix-transforms-in-svg/]
+        /**
+         * [Private Method] Translates [by altering the 'transform' attribute] the specified DOM element by the specified x/y delta.
+         * @param {D3SingleSelection} element D3 selection of the DOM element to translate.
+         * @param {number} deltaX The number of pixels to translate by on the x-axis.
+         * @param {number} deltaY The number of pixels to translate by on the y-axis.
+         */
+        Ink.prototype.translateWithTransform = function (element, deltaX, deltaY) {
+            var transform = element.attr("transform");
+            if (transform) {
+                var xy = transform.replace("translate(", "").replace(")", "").split(" ");
+                if (xy.length > 2) {
+                    throw new MIL.MILException("The 'transform' of the element contains more than just a 'translate()'");
+                }
+                var prevX = +xy[0];
+                var prevY = (xy.length === 1) ? 0 : +xy[1];
+                deltaX += prevX;
+                deltaY += prevY;
+            }
+            element.attr("transform", "translate(" + deltaX + " " + deltaY + ")");
+        };
+        /**
+         * [Private Method] Returns the Ink path (as a D3 Selection) that's associated with the specified Hull element.
+         * @param {DomElement} hullPath The svg path element of an Ink Hull.
+         * @returns {D3Selection} Result.
+         */
+        Ink.prototype.getInkPathAssociatedWithHull = function (hullPath) {
+            var pathDomElement = MIL.Utils.GetDomElement(hullPath, SVGPathElement);
+            // PORT: Original line:
+            // return (pathDomElement !== null ? pathDomElement.__MILAssociatedInkPath__ as D3Selection : null);
+            return pathDomElement.__MILAssociatedInkPath__;
+        };
+        /**
+         * [Private Method] When an Ink is complete, creates a single "composite" path to replace the multiple [overlapping] constituent paths.
+         * @param {PointerEvent} e The pointerUp event for the Ink (when it ends).
+         */
+        Ink.prototype.consolidatePaths = function (e) {
+            var pointerID = MIL.makePointerID(e);
+            var isEraser = this._isEraserDrawing;
+            var svgInfo = MIL.getSvgInfo(e.target);
+            // Optionally, simplify the line [so that the path, the hull and shape recognition all use the simplified points]
+            if (this._simplificationTolerance > 0) {
+                var keptIndices = MIL.Utils.getSimplifiedPointIndices(MIL._inkCompletePathPointData[pointerID], this._simplificationTolerance);
+                MIL._inkCompletePathPointData[pointerID] = keptIndices.map(function (index) { return (MIL._inkCompletePathPointData[pointerID][index]); });
+                MIL._inkCompletePathSampleData[pointerID] = keptIndices.map(function (index) { return (MIL._inkCompletePathSampleData[pointerID][index]); });
+            }
+            this._smoothingState = null;
+            this._variableWidthState = null;
+            // Add a single "composite" path to replace the multiple [overlapping] constituent paths
+            var inkContainer = d3.select(_inkCurrentPath[pointerID].node().parentNode); // The 'g' element the Ink was drawn in (see startNewLine())
+            var path = this._finalPath = inkContainer.append("path");
+            this.applyStyle();
+            path.classed("MILInkPath", true); // Just to make it easier to find the ink paths using CSS selector syntax ("path.MILInkPath") 
+            // We store the path-points on the Path DOM element directly because this makes it easier to subsequently access them.
+            // Even though we only have a single array of points, we store them as an array of array of points in order to support
+            // multi-line paths [created via Gesture.CombineInks()].
+            path.node().__MILPathPointsCollection__ = [MIL._inkCompletePathPointData[pointerID]];
+            path.node().__MILSampleChannelsCollection__ = [MIL._inkCompletePathSampleData[pointerID]]; // See Ink.Samples()
+            this._isClosed = this._isAutoCose;
+            path.attr("d", this.getPathData([MIL._inkCompletePathPointData[pointerID]]));
+            // Remove the multiple [overlapping] constituent paths
+            var constituentPaths = svgInfo.gSelection.selectAll("[data-pointerID=" + pointerID + "]");
+            constituentPaths.remove();
+            // Optionally, add a "hull" path that overlays the composite path by "filling" the path with overlapping lines (and dots) [in
+            // effect creating a hit-testable hull over the drawn path]. This allows the user to drag the path if needed [to reposition it],
+            // or to add other gestures to the hull (eg. tap, resize, etc).
+            // Note: We take this approach, rather than just relying on hit-testing the transparency-filled path itself, for the following reasons:
+            //       1) It allows us more control over the type of hull that we want to create (concave or convex). 
+            //          For example, if the Ink is known (in advance) to be hand-writing the caller can specify a convex hull.
+            //       2) It allows us to combine Inks more easily (there is no natural fill that will "cover" a path consisting of multiple disjoint lines).
+            //       3) It allows us to have the same hull mechanics for both singleton and combined inks (rather than using the [filled] Ink.Path()
+            //          directly as the "hull" for a singleton Ink, and then having a separate hull-path for a combined Ink).
+            //       4) It provides a consistent target for gestures on the Ink.
+            // Note: The hull CANNOT be added [by changing Ink.HullType()] after the ink has been created.
+            if ((this.HullType() !== MIL.InkHullType.None) && !isEraser) {
+                var pathPoints = MIL._inkCompletePathPointData[pointerID];
+                var boundingRect = MIL.Utils.GetBoundingRectForPoints(pathPoints);
+                var offsetTop = boundingRect.y, offsetLeft = boundingRect.x;
+                var height = boundingRect.height;
+                var width = boundingRect.width;
+                var penWidth = MIL.Utils.ToNumber(path.style("stroke-width"));
+                var adj = penWidth / 2;
+                var rectLeft = offsetLeft - adj;
+                var rectTop = offsetTop - adj;
+                var rectWidth = width + penWidth;
+                var rectHeight = height + penWidth;
+                var hullPath = inkContainer.append("path");
+                hullPath.node().__MILAssociatedInkPath__ = path; // "tag" the hull with its corresponding Ink path
+                hullPath.classed("MILInkHullPath", true); // Just to make it easier to find the hulls using CSS selector syntax ("path.MILInkHullPath")
+                this.drawHull(hullPath, pathPoints);
+                this._hullPath = hullPath;
+                // Ensure creation of the resize gesture [when the ResizeWith() setter is first called, it's target (Ink.HullPath()) won't yet exist so the gesture won't get created]
+                if (this._resizeGesturePointerType) {
+                    this.ResizeWith(this._resizeGesturePointerType);
+                }
+            }
+            this.applyHighlighter();
+            this.applyDecoration();
+        };
+        /**
+         * [Private Method] Sets the style and path data ('d') of the specified Ink Hull path so that it covers the supplied path-points (using the Ink's HullType).
+         * @param {D3SingleSelection} hullPath The Ink Hull path to draw.
+         * @param {Point[]} pathPoints The path-points the hull should cover.
+         */
+        Ink.prototype.drawHull = function (hullPath, pathPoints) {
+            var d = "";
+            hullPath.style("stroke", this.HullColor());
+            hullPath.style("stroke-width", "1px");
+            hullPath.style("fill", this.HullColor());
+            var polygonPoints = MIL.Utils.ConvertPointsToXYPoints(pathPoints);
+            var isStraightLine = MIL.Utils.IsStraightLine(polygonPoints);
+            if (this.HullType() === MIL.InkHullType.Concave) {
+                if (isStraightLine) {
+                    MIL.log("Ink determined to be a straight-line");
+                    for (var i = 0; i < polygonPoints.length; i++) {
+                        d += (!d ? "M " : " L ") + polygonPoints[i][0] + " " + polygonPoints[i][1];
+                    }
+                    hullPath.attr("d", d);
+                    hullPath.style("stroke-width", (MIL.Utils.ToNumber(window.getComputedStyle(this._finalPath.node()).strokeWidth) * 7) + "px");
+                    hullPath.style("fill", "");
+                }
+                else {
+                    for (var i = 0; i < pathPoints.length; i++) {
+                        d += (!d ? "M " : " L ") + pathPoints[i].x + " " + pathPoints[i].y;
+                    }
+                    hullPath.attr("d", d);
+                }
+            }
+            if (this.HullType() === MIL.InkHullType.Convex) {
+                var hullVertices = d3.polygonHull(polygonPoints);
+                for (var i = 0; i < hullVertices.length; i++) {
+                    d += (!d ? "M " : " L ") + hullVertices[i][0] + " " + hullVertices[i][1];
+                }
+                hullPath.attr("d", d);
+            }
+        };
+        /**
+         * [Private Method] Re-draws the specified Ink path (and updates __MILPathPointsCollection__) after applying 'transformPoints' to each of its lines.
+         * @param {D3SingleSelection} inkPath The Ink path to transform (as a D3 Selection of the svg Path element).
+         * @param {(points: Point[]) => Point[]} transformPoints A function that returns the transformed (eg. rotated) version of the supplied points.
+         */
+        Ink.prototype.transformInkPath = function (inkPath, transformPoints) {
+            var pathPointsCollection = inkPath.node().__MILPathPointsCollection__;
+            var transformedPathPointsCollection = pathPointsCollection.map(transformPoints);
+            inkPath.attr("d", this.getPathData(transformedPathPointsCollection));
+            inkPath.node().__MILPathPointsCollection__ = transformedPathPointsCollection;
+        };
+        /**
+         * [Private Method] Re-draws the specified Ink Hull path after applying 'transformPoints' to its points.
+         * @param {D3SingleSelection} hullPath The Ink Hull path to transform.
+         * @param {(points: Point[]) => Point[]} transformPoints A function that returns the transformed (eg. rotated) version of the supplied points.
+         */
+        Ink.prototype.transformHullPath = function (hullPath, transformPoints) {
+            var hullPathDomElement = MIL.Utils.GetDomElement(hullPath, SVGPathElement);
+            var values = hullPathDomElement.getAttribute("d").split(" ");
+            var hullPathData = "";
+            for (var i = 0; i < values.length; i++) {
+                if (isNaN(+values[i])) {
+                    if (values[i].length !== 1) {
+                        throw new MIL.MILException("Unexpected value ('" + values[i] + "') in 'd'");
+                    }
+                    // M or L
+                    hullPathData += values[i] + " ";
+                }
+                else {
+                    // x y
+                    var transformedPoint = transformPoints([{ x: +values[i], y: +values[++i] }])[0];
+                    hullPathData += transformedPoint.x + " " + transformedPoint.y + " ";
+                }
+            }
+            hullPathDomElement.setAttribute("d", hullPathData.trim());
+            if (this.IsCombined()) {
+                this._combinedOutlinePathPoints = transformPoints(this._combinedOutlinePathPoints);
+            }
+        };
+        /**
+         * [Private Static Method] Returns the supplied points rotated around 'pivot'.
+         * @param {Point[]} points The points to rotate.
+         * @param {number} angle The angle (in degrees, clockwise) to rotate by.
+         * @param {Point} pivot The point to rotate around.
+         * @returns {Point[]} Result.
+         */
+        Ink.rotatePoints = function (points, angle, pivot) {
+            var radians = angle * (Math.PI / 180);
+            var cos = Math.cos(radians), sin = Math.sin(radians);
+            return (points.map(function (point) {
+                var offsetX = point.x - pivot.x, offsetY = point.y - pivot.y;
+                return ({ x: pivot.x + (offsetX * cos) - (offsetY * sin), y: pivot.y + (offsetX * sin) + (offsetY * cos) });
+            }));
+        };
+        /**
+         * [Private Method] Scales (resizes) the specified Ink path.
+         * @param {D3SingleSelection} inkPath The Ink path to scale (as a D3 Selection of the svg Path element).
+         * @param {number} oldScale The old (starting) scale of the Ink.
+         * @param {number} newScale The new (ending) scale of the Ink.
+         * @param {number} startStrokeWidth The starting thickness (in pixels) of the Ink line.
+         * @param {boolean} useTransform If true, use a [fast] svg transform to do the scaling (but doesn't update __MILPathPointsCollection__).
+         *                               If false, uses a [slow] manual redraw to do the scaling (and updates __MILPathPointsCollection__).
+         */
+        Ink.prototype.scaleInkPath = function (inkPath, oldScale, newScale, startStrokeWidth, useTransform) {
+            if (useTransform) {
+                // Note: Updating the transform is faster than doing a "manual" scale followed by
+                //       calling _inkLineGenerator(), but it doesn't update __MILPathPointsCollection__
+                var pathDomElement = inkPath.node();
+                var zoomFocalPoint = MIL.Utils.GetCentroidPoint(pathDomElement);
+                var offsetX = zoomFocalPoint.x;
+                var offsetY = zoomFocalPoint.y;
+                var transformList = pathDomElement.transform.baseVal;
+                var matrix = null; // Do NOT use pathDomElement.getCTM() since this will include the pan/zoom transform on the parent 'g' element
+                var svg = MIL.getSvgInfo(pathDomElement).svgDomElement;
+                var zoomFactor = newScale / oldScale; // Factor representing the relative CHANGE in scale
+                if (transformList.numberOfItems === 0) {
+                    // The zoom is just starting, so there's no transform
+                    var emptyMatrixTransform = svg.createSVGTransformFromMatrix(svg.createSVGMatrix());
+                    transformList.appendItem(emptyMatrixTransform);
+                }
+                matrix = transformList.getItem(0).matrix;
+                // Note: These matrix multiplications are performed in right-to-left order (just like the "transform" attribute)
+                var modifierMatrix = svg.createSVGMatrix().translate(offsetX, offsetY).scale(zoomFactor).translate(-offsetX, -offsetY);
+                var newMatrix = matrix.multiply(modifierMatrix);
+                transformList.getItem(0).setMatrix(newMatrix);
+                // Finally, adjust the stroke-width (which has also been scaled by the transform) to keep it constant
+                // Note: pathDomElement.setAttribute("vector-effect", "non-scaling-stroke") doesn't work on IE11 (which implements SVG 1.1 that doesn't include vector-effect).
+                // Note: We don't try to adjust stroke-dasharray (if set) because doing so causes performance issues (on IE11).
+                var finalScale = newMatrix.a;
+                var newStrokeWidth = startStrokeWidth / finalScale;
+                inkPath.style("stroke-width", newStrokeWidth + "px");
+            }
+            else {
+                var scaleDelta = (newScale - oldScale) / oldScale;
+                var pathPointsCollection = inkPath.node().__MILPathPointsCollection__;
+                var scaledPathPointsCollection = [];
+                var allPoints = [];
+                // Undo the existing scale transform [added when useTransform is 'true']
+                // [the following will result in inkPath.node().transform.baseVal.numberOfItems becoming 0]
+                inkPath.node().setAttribute("transform", ""); // Note: null works on IE11, but not on Chrome
+                for (var c = 0; c < pathPointsCollection.length; c++) {
+                    allPoints = allPoints.concat(pathPointsCollection[c]);
+                }
+                var boundingRect = MIL.Utils.GetBoundingRectForPoints(allPoints);
+                for (var l = 0; l < pathPointsCollection.length; l++) {
+                    var pathData = pathPointsCollection[l];
+                    var scaledPathPoints = [];
+                    for (var i = 0; i < pathData.length; i++) {
+                        // "Re-origin" the points to 0,0
+                        var scaledX = pathData[i].x - boundingRect.x;
+                        var scaledY = pathData[i].y - boundingRect.y;
+                        // Now scale them
+                        scaledX *= (1 + scaleDelta);
+                        scaledY *= (1 + scaleDelta);
+                        // Finally, move them back so that they stay centered on the bounding rect
+                        scaledX += boundingRect.x - ((boundingRect.width * scaleDelta) / 2);
+                        scaledY += boundingRect.y - ((boundingRect.height * scaleDelta) / 2);
+                        scaledPathPoints.push({ x: scaledX, y: scaledY });
+                    }
+                    scaledPathPointsCollection.push(scaledPathPoints);
+                }
+                // Note: A variable-width Ink keeps its [nominal] width, just like the stroke-width of a regular Ink
+                inkPath.attr("d", this.getPathData(scaledPathPointsCollection, startStrokeWidth));
+                inkPath.node().__MILPathPointsCollection__ = scaledPathPointsCollection;
+                // Finally, revert the stroke-width to its original value [after having adjusted it when useTransform is true]
+                inkPath.style("stroke-width", startStrokeWidth + "px");
+            }
+        };
+        /**
+         * [Private Method] Scales (resizes) the specified Ink Hull path (a d3 selection of an svg Path element). Also scales the Hull's line thickness.
+         * @param {D3SingleSelection} hullPath The Ink Hull path to scale.
+         * @param {number} scaleDelta The ratio to scale by.
+         */
+        Ink.prototype.scaleHullPath = function (hullPath, scaleDelta) {
+            var hullPathDomElement = MIL.Utils.GetDomElement(hullPath, SVGPathElement);
+            var values = hullPathDomElement.getAttribute("d").split(" ");
+            var hullPathData = "";
+            var ink = MIL.GetInkByElement(hullPath);
+            var scaledOutlinePathPoints = [];
+            var boundingRect = hullPathDomElement.getBBox();
+            for (var i = 0; i < values.length; i++) {
+                if (isNaN(+values[i])) {
+                    if (values[i].length !== 1) {
+                        throw new MIL.MILException("Unexpected value ('" + values[i] + "') in 'd'");
+                    }
+                    // M or L
+                    hullPathData += values[i] + " ";
+                }
+                else {
+                    // x y
+                    // "Re-origin" the points to 0,0
+                    var scaledX = +values[i] - boundingRect.x;
+                    var scaledY = +values[++i] - boundingRect.y;
+                    // Now scale them
+                    scaledX *= (1 + scaleDelta);
+                    scaledY *= (1 + scaleDelta);
+                    // Finally, move them back so that they stay centered on the bounding rect
+                    scaledX += boundingRect.x - ((boundingRect.width * scaleDelta) / 2);
+                    scaledY += boundingRect.y - ((boundingRect.height * scaleDelta) / 2);
+                    hullPathData += scaledX + " " + scaledY + " ";
+                    if (ink.IsCombined()) {
+                        scaledOutlinePathPoints.push({ x: scaledX, y: scaledY });
+                    }
+                }
+            }
+            hullPathDomElement.setAttribute("d", hullPathData.trim());
+            // Scale the hull stroke-width (we keep this proportional, unlike the Ink path)
+            var strokeWidth = MIL.Utils.ToNumber(hullPath.style("stroke-width"));
+            strokeWidth *= (1 + scaleDelta);
+            hullPath.style("stroke-width", strokeWidth + "px");
+            if (ink.IsCombined()) {
+                ink._combinedOutlinePathPoints = scaledOutlinePathPoints;
+            }
+        };
+        /**
+         * [Internal] Directly sets the Ink/Hull Paths (eg. when combining Inks).
+         * @param {D3SingleSelection} hullPath The new Hull path.
+         * @param {D3SingleSelection} inkPath The new Ink path.
+         * @param {Point[]} hullPoints The new Hull points (combined outline).
+         * @param {SerializedInkConstituent[]} [constituents] [Optional] The original Inks that the Ink was combined from (see Ink.Split()), or null if they are not known.
+         * @internal
+         */
+        Ink.prototype.setHullAndPath = function (hullPath, inkPath, hullPoints, constituents) {
+            if (constituents === void 0) { constituents = null; }
+            this._hullPath = hullPath; // Ink.HullPath() is read-only
+            this._finalPath = inkPath; // Ink.FinalPath() is read-only
+            this._combinedOutlinePathPoints = hullPoints;
+            this._constituents = constituents;
+            this._isClosed = /Z\s*$/i.test(inkPath.attr("d") || "");
+        };
+        /**
+         * [Internal] Returns a serializable representation of the Ink (see MIL.SerializeInks()).
+         * @returns {SerializedInk} Result.
+         * @internal
+         */
+        Ink.prototype.serialize = function () {
+            var pathDomElement = this.Path().node();
+            var pathPointsCollection = pathDomElement.__MILPathPointsCollection__;
+            var isLinearCollection = pathDomElement.__MILIsLinearCollection__ || [];
+            var sampleChannelsCollection = pathDomElement.__MILSampleChannelsCollection__ || [];
+            var copyPoints = function (points) { return (points.map(function (point) { return ({ x: point.x, y: point.y }); })); };
+            return ({
+                id: this.InkID(),
+                className: this.Class(),
+                strokeColor: this.StrokeColor(),
+                strokeWidth: this.StrokeWidth(),
+                eraserClassName: this.EraserClass(),
+                hullType: (this.HullPath() !== null) ? MIL.InkHullType[this.HullType()] : MIL.InkHullType[MIL.InkHullType.None],
+                hullColor: this.HullColor(),
+                scale: this.Scale(),
+                rotation: this._rotation,
+                isEraser: this.IsEraserDrawing(),
+                isClosed: this._isClosed,
+                renderMode: MIL.InkRenderMode[this._renderMode],
+                variableWidthOptions: this.VariableWidthOptions(),
+                curve: MIL.InkCurve[this._curve],
+                decoration: {
+                    dashArray: this._decoration.dashArray,
+                    startArrowhead: MIL.InkArrowhead[this._decoration.startArrowhead],
+                    endArrowhead: MIL.InkArrowhead[this._decoration.endArrowhead],
+                    lineCap: this._decoration.lineCap,
+                    lineJoin: this._decoration.lineJoin,
+                    fill: this._decoration.fill
+                },
+                resizeWith: this.ResizeWith(),
+                pathPointsCollection: pathPointsCollection.map(copyPoints),
+                isLinearCollection: pathPointsCollection.map(function (points, i) { return (Boolean(isLinearCollection[i])); }),
+                sampleChannelsCollection: pathPointsCollection.map(function (points, i) { return (copySampleChannels(points, sampleChannelsCollection[i])); }),
+                combinedOutlinePathPoints: this.IsCombined() ? copyPoints(this._combinedOutlinePathPoints) : null,
+                constituents: (this._constituents !== null) ? JSON.parse(JSON.stringify(this._constituents)) : null
+            });
+        };
+        /**
+         * [Internal] Creates the Ink/Hull Paths (on the specified 'g' element) from a SerializedInk (see MIL.DeserializeInks()), and adds the Ink to the list of all Inks (_inks).
+         * Note: The ID of the serialized Ink is only preserved if it's set, and is not already being used by another Ink.
+         * @param {SVGGElement} gDomElement The 'g' element (see MIL.Initialize()), or the 'g' element of a layer (see MIL.Layers()), to add the Ink/Hull Paths to.
+         * @param {SerializedInk} serializedInk The Ink to re-create.
+         * @returns {Ink} The Ink instance.
+         * @internal
+         */
+        Ink.prototype.rehydrate = function (gDomElement, serializedInk) {
+            if (this.Path() !== null) {
+                throw new MIL.MILException("Ink.rehydrate() cannot be called after the Ink has been created");
+            }
+            var gSelection = d3.select(gDomElement);
+            var copyPoints = function (points) { return (points.map(function (point) { return ({ x: point.x, y: point.y }); })); };
+            var pathPointsCollection = serializedInk.pathPointsCollection.map(copyPoints);
+            var isLinearCollection = serializedInk.isLinearCollection || [];
+            var sampleChannelsCollection = serializedInk.sampleChannelsCollection || []; // Not present in version 1 documents
+            if ((typeof serializedInk.id === "string") && serializedInk.id && (MIL.GetInkByID(serializedInk.id) === null)) {
+                var inkIDNumber = +serializedInk.id.replace(/^Ink/, "");
+                this._inkID = serializedInk.id;
+                // Prevent Inks created subsequently from being assigned the [preserved] ID
+                if (!isNaN(inkIDNumber) && (inkIDNumber >= _nextInkID)) {
+                    _nextInkID = inkIDNumber + 1;
+                }
+            }
+            this._className = serializedInk.className;
+            this._strokeColor = serializedInk.strokeColor;
+            this._strokeWidth = serializedInk.strokeWidth;
+            this._eraserClassName = serializedInk.eraserClassName;
+            this._hullType = MIL.InkHullType[serializedInk.hullType];
+            this._hullColor = serializedInk.hullColor;
+            this._scale = serializedInk.scale;
+            this._rotation = serializedInk.rotation || 0; // Not present in version 1 to 4 documents
+            this._isEraserDrawing = serializedInk.isEraser;
+            this._isNonDrawing = false;
+            this._isClosed = serializedInk.isClosed;
+            // Note: renderMode and variableWidthOptions are not present in version 1 and 2 documents
+            if (serializedInk.renderMode) {
+                this.RenderMode(MIL.InkRenderMode[serializedInk.renderMode]);
+            }
+            if (serializedInk.variableWidthOptions) {
+                this.VariableWidthOptions(serializedInk.variableWidthOptions);
+            }
+            // Note: curve is not present in version 1 to 3 documents
+            if (serializedInk.curve) {
+                this.Curve(MIL.InkCurve[serializedInk.curve]);
+            }
+            // Note: decoration is not present in version 1 to 6 documents
+            if (serializedInk.decoration) {
+                this.Decoration({
+                    dashArray: serializedInk.decoration.dashArray,
+                    startArrowhead: MIL.InkArrowhead[serializedInk.decoration.startArrowhead],
+                    endArrowhead: MIL.InkArrowhead[serializedInk.decoration.endArrowhead],
+                    lineCap: serializedInk.decoration.lineCap,
+                    lineJoin: serializedInk.decoration.lineJoin,
+                    fill: serializedInk.decoration.fill
+                });
+            }
+            var path = this._finalPath = gSelection.append("path");
+            this.applyStyle();
+            path.classed("MILInkPath", true); // Just to make it easier to find the ink paths using CSS selector syntax ("path.MILInkPath") 
+            path.node().__MILPathPointsCollection__ = pathPointsCollection;
+            path.node().__MILIsLinearCollection__ = pathPointsCollection.map(function (points, i) { return (Boolean(isLinearCollection[i])); });
+            path.node().__MILSampleChannelsCollection__ = pathPointsCollection.map(function (points, i) { return (copySampleChannels(points, sampleChannelsCollection[i])); });
+            path.attr("d", this.getPathData(pathPointsCollection));
+            if ((this._hullType !== MIL.InkHullType.None) && !this._isEraserDrawing) {
+                var hullPath = gSelection.append("path");
+                hullPath.node().__MILAssociatedInkPath__ = path; // "tag" the hull with its corresponding Ink path
+                hullPath.classed("MILInkHullPath", true); // Just to make it easier to find the hulls using CSS selector syntax ("path.MILInkHullPath")
+                if (serializedInk.combinedOutlinePathPoints) {
+                    var hullPoints = copyPoints(serializedInk.combinedOutlinePathPoints);
+                    var dHull = "";
+                    // Note: This matches how the hull is created by Gesture.CombineInks()
+                    for (var i = 0; i < hullPoints.length; i++) {
+                        dHull += (!dHull ? "M " : " L ") + hullPoints[i].x + " " + hullPoints[i].y;
+                    }
+                    hullPath.attr("d", dHull);
+                    hullPath.node().style.stroke = hullPath.node().style.fill = this._hullColor;
+                    hullPath.node().style.strokeWidth = "1px";
+                    this._combinedOutlinePathPoints = hullPoints;
+                    this._constituents = serializedInk.constituents || null; // Not present in version 1 to 5 documents
+                }
+                else {
+                    this.drawHull(hullPath, this.PathPoints());
+                }
+                this._hullPath = hullPath;
+            }
+            this.applyHighlighter(); // Both the path and the hull were appended [ie. on top of any existing Inks]
+            this.applyDecoration();
+            MIL._inks.push(this); // Note: Must be explicitly removed via Ink.Delete()
+            MIL.getSpatialIndex(this.Path()).Update(this);
+            // Ensure creation of the resize gesture [its target (Ink.HullPath()) now exists]
+            if (serializedInk.resizeWith) {
+                this.ResizeWith(serializedInk.resizeWith);
+            }
+            MIL.recordInkAdded(this);
+            raiseInkChanged(MIL.getSvgInfo(this.Path()), this, { type: MIL.InkChangeType.Added });
+            return (this);
+        };
+        return Ink;
+    }());
+    MIL.Ink = Ink;
+})(MIL || (MIL = {}));
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT license.
+var MIL;
+(function (MIL) {
+    // This is only exported because of the eventWatchdog() bug-detector code in MIL.Initialize()
+    MIL._activePointerCaptures = {}; // The set of PointerID's being captured to an element - Key: TargetElementID, Value = Array of PointerID
+    /** The Gesture class. To create a new Gesture, use MIL.CreateGesture(). */
+    var Gesture = /** @class */ (function () {
+        function Gesture(name, ignoreGestureDefaults) {
+            if (name[name.length - 1] === "*") {
+                throw new MIL.MILException("Gesture name '" + name + "' is invalid (cannot end with '*'): consider using MIL.CreateGesture() instead");
+            }
+            this._name = name;
+            this._targetDomElement = ignoreGestureDefaults ? null : MIL.GestureDefaults.Target();
+            this._pointerType = null;
+            this._pointerTypePermutations = [];
+            this._pointerTypeOrdinals = [];
+            this._conditional = null;
+            this._isExclusive = true;
+            this._isEnabled = true;
+            this._isCancelled = false;
+            this._groupName = ignoreGestureDefaults ? "default" : MIL.GestureDefaults.GroupName();
+            this._recognitionTimeoutInMs = ignoreGestureDefaults ? 0 : MIL.GestureDefaults.RecognitionTimeoutInMs();
+            this._completionTimeoutInMs = -1;
+            this._gestureStartedHandler = ignoreGestureDefaults ? null : MIL.GestureDefaults.StartedHandler();
+            this._gestureEndedHandler = ignoreGestureDefaults ? null : MIL.GestureDefaults.EndedHandler();
+            this._gestureCancelledHandler = ignoreGestureDefaults ? null : MIL.GestureDefaults.CancelledHandler();
+            this._onMoveHandler = null;
+            this._activePointerList = [];
+            this._activePointerTypeOrdinals = [];
+            this._capturesPointers = true;
+            this._isCapturing = false;
+            this._ink = null;
+            this._startedTime = 0;
+            this._endedTime = 0;
+            this._repeatCount = 0;
+            this._repeatTimeoutInMs = 0;
+            this._repeatOccurrenceCount = 0;
+            this._lastRepeatRecognitionTime = 0;
+            this._checkForGesturesOnEnd = false;
+            this._allowEventPropagation = true;
+            this._completionTimerID = -1;
+        }
+        Gesture.prototype.Name = function (name) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._name; }), name));
+        };
+        Gesture.prototype.Target = function (element) {
+            if (element === undefined) {
+                return (this._targetDomElement);
+            }
+            else {
+                var targetDomElement = MIL.Utils.GetDomElement(element);
+                if (!document.body.contains(targetDomElement)) {
+                    throw new MIL.MILException("The specified DOM element does not exist in the document body");
+                }
+                MIL.tagWithTargetElementID(targetDomElement);
+                this._targetDomElement = targetDomElement;
+                return (this);
+            }
+        };
+        Gesture.prototype.PointerType = function (pointerType) {
+            if (pointerType === undefined) {
+                return (this._pointerType);
+            }
+            else {
+                var validTypes = ["pen", "touch", "mouse", "hover", "any"];
+                var pointerTypePermutations = [];
+                var pointerTypeOrdinals = []; // [string[]]
+                pointerType = pointerType.toLowerCase();
+                // Populate pointerTypePermutations [which is necessary to handle or-style pointerType values, eg. "pen|touch+touch" meaning "pen or touch, plus a second touch"].
+                pointerTypePermutations = this.permutePointerType(pointerType);
+                for (var p = 0; p < pointerTypePermutations.length; p++) {
+                    var groups = pointerTypePermutations[p].split("+");
+                    pointerTypeOrdinals.push([]);
+                    // Populate pointerTypeOrdinals[] (and validate pointerType)
+                    // Note that pointerType can be of the form "touch:2+pen" or "touch+touch+pen"
+                    for (var g = 0; g < groups.length; g++) {
+                        var parts = groups[g].split(":");
+                        var type = parts[0];
+                        var instanceCount = 1;
+                        if (validTypes.indexOf(type) === -1) {
+                            throw new MIL.MILException("Invalid pointerType '" + type + "'; valid values (separated by '+') are: " + validTypes.join(", "));
+                        }
+                        if (parts.length === 1) {
+                            for (var i = 0; i < pointerTypeOrdinals[p].length; i++) {
+                                if (pointerTypeOrdinals[p][i].indexOf(type) === 0) {
+                                    instanceCount++;
+                                }
+                            }
+                            pointerTypeOrdinals[p].push(type + ":" + instanceCount);
+                        }
+                        else {
+                            instanceCount = Number(parts[1]);
+                            if (isNaN(instanceCount)) {
+                                throw new MIL.MILException("Invalid pointerType '" + groups[g] + "'; should be of the form '" + type + ":{number}'");
+                            }
+                            if ((instanceCount < 1) || (instanceCount > 10)) {
+                                throw new MIL.MILException("Invalid pointerType '" + groups[g] + "'; the instance count must be between 1 and 10");
+                            }
+                            for (var i = 1; i <= instanceCount; i++) {
+                                pointerTypeOrdinals[p].push(type + ":" + i);
+                            }
+                        }
+                    }
+                }
+                this._pointerType = pointerType;
+                this._pointerTypePermutations = pointerTypePermutations;
+                this._pointerTypeOrdinals = pointerTypeOrdinals;
+                return (this);
+            }
+        };
+        /**
+         * [ReadOnly Property] The set of all permutations of PointerType.
+         * @returns {string[]} Result.
+         */
+        Gesture.prototype.PointerTypePermutations = function () {
+            MIL.readOnlyProperty("PointerTypePermutations", arguments);
+            return (this._pointerTypePermutations);
+        };
+        Gesture.prototype.Conditional = function (callback) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._conditional; }), callback));
+        };
+        Gesture.prototype.IsExclusive = function (exclusive) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._isExclusive; }), exclusive));
+        };
+        Gesture.prototype.IsEnabled = function (enabled) {
+            if (enabled === undefined) {
+                return (this._isEnabled && MIL.IsGestureGroupEnabled(this._groupName));
+            }
+            else {
+                this._isEnabled = Boolean(enabled);
+                return (this);
+            }
+        };
+        Gesture.prototype.GroupName = function (name) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._groupName; }), name));
+        };
+        Gesture.prototype.RecognitionTimeoutInMs = function (timeout) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._recognitionTimeoutInMs; }), timeout));
+        };
+        Gesture.prototype.CompletionTimeoutInMs = function (timeout) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._completionTimeoutInMs; }), timeout));
+        };
+        Gesture.prototype.GestureStartedHandler = function (handler) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._gestureStartedHandler; }), handler));
+        };
+        Gesture.prototype.GestureEndedHandler = function (handler) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._gestureEndedHandler; }), handler));
+        };
+        Gesture.prototype.GestureCancelledHandler = function (handler) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._gestureCancelledHandler; }), handler));
+        };
+        Gesture.prototype.OnMoveHandler = function (handler) {
+            if (handler === undefined) {
+                return (this._onMoveHandler);
+            }
+            else {
+                if (this._targetDomElement === null) {
+                    throw new MIL.MILException("The Target() of the Gesture must be defined before setting the OnMoveHandler()");
+                }
+                var gesture = this; // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
+                var onMoveHandler = (handler instanceof Function) ? function onMoveHandlerWrapper(e) {
+                    handler.call(gesture, e);
+                    // Since we handled the PointerMove event, we prevent it from bubbling [up its parent chain].
+                    // However, in order to allow other active gestures with a move handler on _targetDomElement) we use stopPropagation() NOT stopImmediatePropagation(). 
+                    // An example of this would be when a 1-touch Pan becomes a 2-touch Zoom [Pan remains active during the Zoom], in which which case we want both gestures
+                    // to continue to receive pointerMove events (in particular, we don't want the Pan to prevent the Zoom gesture from receiving pointerMove events).
+                    e.stopPropagation();
+                } : null;
+                if (this._onMoveHandler !== null) {
+                    this._targetDomElement.removeEventListener("pointermove", this._onMoveHandler);
+                }
+                if (onMoveHandler !== null) {
+                    this._targetDomElement.addEventListener("pointermove", onMoveHandler);
+                }
+                this._onMoveHandler = onMoveHandler;
+                return (this);
+            }
+        };
+        Gesture.prototype.CapturesPointers = function (capturesPointers) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._capturesPointers; }), capturesPointers));
+        };
+        /**
+         * [ReadOnly Property] The most recent time the Gesture started (was recognized).
+         * @returns {number} Result.
+         */
+        Gesture.prototype.StartedTime = function () {
+            MIL.readOnlyProperty("StartedTime", arguments);
+            return (this._startedTime);
+        };
+        /**
+         * [Internal] Sets the most recent time the Gesture started (was recognized).
+         * @param {number} time A time.
+         * @internal
+         */
+        Gesture.prototype.startedTime = function (time) {
+            this._startedTime = time;
+        };
+        /**
+         * [ReadOnly Property] If the Gesture is currently active, returns the list of PointerID's involved.
+         * @returns {string[]} Result.
+         */
+        Gesture.prototype.ActivePointerList = function () {
+            MIL.readOnlyProperty("ActivePointerList", arguments);
+            return (this._activePointerList);
+        };
+        /**
+         * [Internal] Sets the pointer IDs that the Gesture was recognized with.
+         * @param {string[]} pointerList A list of pointer IDs.
+         * @internal
+         */
+        Gesture.prototype.activePointerList = function (pointerList) {
+            this._activePointerList = pointerList;
+        };
+        /**
+         *[ReadOnly Property] If the Gesture is currently active, returns the list of pointer type ordinals involved (eg. ["pen:1", "touch:1", "touch:2"]).
+         * @returns {string[]} Result.
+         */
+        Gesture.prototype.ActivePointerTypeOrdinals = function () {
+            MIL.readOnlyProperty("ActivePointerTypeOrdinals", arguments);
             return (this._activePointerTypeOrdinals);
         };
         /**
-         * [Internal] Sets the pointer type ordinals that the Gesture was recognized with.
-         * @param {string[]} pointerTypeOrdinalsList A list of pointer IDs.
-         * @internal
+         * [Internal] Sets the pointer type ordinals that the Gesture was recognized with.
+         * @param {string[]} pointerTypeOrdinalsList A list of pointer IDs.
+         * @internal
+         */
+        Gesture.prototype.activePointerTypeOrdinals = function (pointerTypeOrdinalsList) {
+            this._activePointerTypeOrdinals = pointerTypeOrdinalsList;
+        };
+        /**
+         * [Internal] Returns the pointer type ordinal list for the specified permutationIndex (there is one index for each permutation of Gesture.PointerType [see Gesture.PointerTypePermutations]).
+         * @param {number} permutationIndex An index value.
+         * @returns {string[]} Result.
+         * @internal
+         */
+        Gesture.prototype.getPointerTypeOrdinals = function (permutationIndex) {
+            return (this._pointerTypeOrdinals[permutationIndex].slice()); // Note: We use slice() just to create a copy of the array
+        };
+        /**
+         * [ReadOnly Property] Returns true if the Gesture is active (is currently a recognized Gesture).
+         * Note that a Gesture can be both simultaneously active and cancelled (aborted).
+         * @returns {boolean} Result.
+         */
+        Gesture.prototype.IsActive = function () {
+            MIL.readOnlyProperty("IsActive", arguments);
+            return (this._activePointerList.length > 0);
+        };
+        /**
+         * [ReadOnly Property] Returns true if the Gesture was cancelled (after being recognized).
+         * Note: Once set, will remain true until the Gesture is recognized again.
+         * @returns {boolean} Result.
+         */
+        Gesture.prototype.IsCancelled = function () {
+            MIL.readOnlyProperty("IsCancelled", arguments);
+            return (this._isCancelled);
+        };
+        /**
+         * [Internal] Sets the Gesture.IsCancelled state.
+         * @param {boolean} cancelled Flag.
+         * @internal
+         */
+        Gesture.prototype.isCancelled = function (cancelled) {
+            this._isCancelled = cancelled;
+        };
+        /**
+         * [ReadOnly Property] Returns the number of pointers that this gesture requires.
+         * @returns {number} Result.
+         */
+        Gesture.prototype.PointerCount = function () {
+            MIL.readOnlyProperty("PointerCount", arguments);
+            return (this._pointerTypeOrdinals[0].length);
+        };
+        Gesture.prototype.RepeatCount = function (count) {
+            if (count === undefined) {
+                return (this._repeatCount);
+            }
+            else {
+                if (count > 1) {
+                    this._repeatCount = count;
+                    // If needed, default the RepeatTimeoutInMs to 200ms
+                    if (this._repeatTimeoutInMs === 0) {
+                        this.RepeatTimeoutInMs(200);
+                    }
+                }
+                return (this);
+            }
+        };
+        Gesture.prototype.RepeatTimeoutInMs = function (timeout) {
+            if (timeout === undefined) {
+                return (this._repeatTimeoutInMs);
+            }
+            else {
+                // Note: Timeouts less than 175ms are too small (most users typically can't double/triple-tap that fast, so the gesture would go unrecognized in too many instances)
+                this._repeatTimeoutInMs = Math.min(1000, Math.max(175, timeout));
+                // If needed, default the RepeatCount to 2
+                if (this._repeatCount === 0) {
+                    this.RepeatCount(2);
+                }
+                return (this);
+            }
+        };
+        Gesture.prototype.repeatOccurrenceCount = function (count) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._repeatOccurrenceCount; }), count));
+        };
+        Gesture.prototype.lastRepeatRecognitionTime = function (time) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._lastRepeatRecognitionTime; }), time));
+        };
+        /**
+         * [Internal] Sets the time the Gesture last ended.
+         * @param {number} time A time.
+         * @internal
+         */
+        Gesture.prototype.endedTime = function (time) {
+            var _this = this;
+            MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._endedTime; }), time);
+        };
+        Gesture.prototype.CheckForGesturesOnEnd = function (check) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._checkForGesturesOnEnd; }), check));
+        };
+        Gesture.prototype.AllowEventPropagation = function (allow) {
+            var _this = this;
+            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._allowEventPropagation; }), allow));
+        };
+        /**
+         * Remove/re-add the Gesture.Target to change its z-order to "top most" [z-order = order added to SVG].
+         * @returns {D3SingleSelection} A d3 selection of Gesture.Target().
          */
-        Gesture.prototype.activePointerTypeOrdinals = function (pointerTypeOrdinalsList) {
-            this._activePointerTypeOrdinals = pointerTypeOrdinalsList;
+        Gesture.prototype.BringTargetToFront = function () {
+            var gesture = this;
+            var targetDomElement = gesture.Target();
+            var svgInfo = MIL.getSvgInfo(targetDomElement);
+            var gDomElement = svgInfo.gDomElement;
+            gDomElement.removeChild(targetDomElement);
+            gDomElement.appendChild(targetDomElement);
+            return (d3.select(targetDomElement));
+        };
+        /** Capture all pointers used by this Gesture to the Gesture's target. */
+        Gesture.prototype.SetPointerCapture = function () {
+            var gesture = this;
+            if (gesture.CapturesPointers()) {
+                gesture.ActivePointerList().forEach(function (pointerID) {
+                    // Note: Calling setPointerCapture() will prevent any further bubbling of events
+                    var pointerId = MIL.getPointerDownEvent(pointerID, gesture.Target()).pointerId;
+                    var targetElementID = MIL.getTargetElementID(gesture.Target());
+                    gesture.Target().setPointerCapture(pointerId);
+                    gesture._isCapturing = true;
+                    // Note: Calling gesture_setPointerCapture() again [for the same element/pointer] is a valid condition, and since calling setPointerCapture()
+                    //       twice (or more) seems to have no unwanted side-effects we don't check for or disallow it.
+                    //       An example of this would be when 1-touch Pan becomes a 2-touch Zoom: the Pan will have captured the {P1} pointer to the SVG, then 
+                    //       when the Zoom gesture starts (which also uses {P1}) it will capture it again.
+                    if (MIL._activePointerCaptures[targetElementID] === undefined) {
+                        MIL._activePointerCaptures[targetElementID] = [];
+                    }
+                    MIL._activePointerCaptures[targetElementID].push(pointerID);
+                    MIL.log("SET pointer-capture for " + pointerID + " (" + pointerId + ") on " + targetElementID, MIL.FeatureNames.PointerCapture);
+                });
+            }
+        };
+        /** Releases capture of all pointers used by the Gesture from the Gesture's target. */
+        Gesture.prototype.ReleasePointerCapture = function () {
+            var gesture = this;
+            if (gesture.CapturesPointers() && gesture._isCapturing) {
+                gesture.ActivePointerList().forEach(function (pointerID) {
+                    var pointerId = MIL.getPointerDownEvent(pointerID, gesture.Target()).pointerId;
+                    var targetElementID = MIL.getTargetElementID(gesture.Target());
+                    gesture.Target().releasePointerCapture(pointerId);
+                    gesture._isCapturing = false;
+                    // Check if we're trying to releasePointerCapture [on an element/pointer] without first capturing it
+                    if (!MIL._activePointerCaptures[targetElementID] || (MIL._activePointerCaptures[targetElementID].indexOf(pointerID) === -1)) {
+                        throw new MIL.MILException("Attempt to release pointer capture of '" + pointerID + "' from element '" + targetElementID + "' when it has not been captured");
+                    }
+                    MIL._activePointerCaptures[targetElementID].splice(MIL._activePointerCaptures[targetElementID].indexOf(pointerID), 1);
+                    if (MIL._activePointerCaptures[targetElementID].length === 0) {
+                        delete MIL._activePointerCaptures[targetElementID];
+                    }
+                    MIL.log("RELEASED pointer-capture for " + pointerID + " (" + pointerId + ") on " + targetElementID, MIL.FeatureNames.PointerCapture);
+                });
+            }
         };
         /**
-         * [Internal] Returns the pointer type ordinal list for the specified permutationIndex (there is one index for each permutation of Gesture.PointerType [see Gesture.PointerTypePermutations]).
-         * @param {number} permutationIndex An index value.
-         * @returns {string[]} Result.
+         * [Internal] Starts a timer used to detect either:
+         * 1) When a non-repeating gesture exceeds its CompletionTimeoutInMs(), or
+         * 2) When a repeating gesture fails to be fully recognized [after being "partially" recognized (eg. only the first of two
+         *    taps was recognized)] because the time between the prior occurrence being recognized and now exceeds RepeatTimeoutInMs()
+         * @param {number} timeoutInMs A timeout (in milliseconds).
+         * @param {string} timeoutType Either "completion" or "repeat". // PORT: Use an enum instead?
+         * @param {boolean} propagateEventsOnTimeout Whether or not to propagate events if timeoutInMs expires. The onTick handler (if supplied) will always be called.
+         * @param {VoidCallback} [onTick] [Optional] A callback to invoke if timeoutInMs expires.
          * @internal
          */
-        Gesture.prototype.getPointerTypeOrdinals = function (permutationIndex) {
-            return (this._pointerTypeOrdinals[permutationIndex].slice()); // Note: We use slice() just to create a copy of the array
+        Gesture.prototype.startCompletionTimeout = function (timeoutInMs, timeoutType, propagateEventsOnTimeout, onTick) {
+            var gesture = this;
+            if (gesture._completionTimerID !== -1) {
+                clearTimeout(gesture._completionTimerID);
+                gesture._completionTimerID = -1;
+            }
+            if (timeoutInMs > 0) {
+                gesture._completionTimerID = setTimeout(function () {
+                    if (onTick) {
+                        onTick();
+                    }
+                    if (gesture._endedTime === 0) {
+                        gesture.Cancel(timeoutType + " timeout [" + timeoutInMs + "ms] expired"); // timeoutType will be either "completion" or "repeat"
+                        // Look for other gestures that may apply to the target of the [timed-out] gesture
+                        var recognitionResult = MIL.recognizeGesture(gesture.Target(), 0, 0, false);
+                        if (!recognitionResult.success && recognitionResult.propagateEvents && propagateEventsOnTimeout) {
+                            // Propagate any queued events to allow any gestures on the target's parent element to be recognized
+                            MIL.propagateQueuedEvents(gesture.Target());
+                        }
+                        gesture._repeatOccurrenceCount = 0;
+                        gesture._isCancelled = false;
+                        // Since the gesture was cancelled [due to not completing in time] we clear the gesture's 
+                        // pointerList to prevent the gesture from subsequently being recognized during pointerUp
+                        gesture._activePointerList.length = 0;
+                        gesture._activePointerTypeOrdinals.length = 0;
+                    }
+                    else {
+                        MIL.log("Gesture '" + gesture.Name() + "'" + (gesture._repeatOccurrenceCount > 0 ? (" [occurrence #" + gesture._repeatOccurrenceCount + "]") : "") + " completed within its " + gesture._completionTimeoutInMs + "ms timeout", MIL.FeatureNames.GestureRecognition);
+                    }
+                }, timeoutInMs);
+            }
         };
         /**
-         * [ReadOnly Property] Returns true if the Gesture is active (is currently a recognized Gesture).
-         * Note that a Gesture can be both simultaneously active and cancelled (aborted).
-         * @returns {boolean} Result.
+         * [Internal] Stops the timer started with startCompletionTimeout().
+         * @internal
          */
-        Gesture.prototype.IsActive = function () {
-            MIL.readOnlyProperty("IsActive", arguments);
-            return (this._activePointerList.length > 0);
+        Gesture.prototype.stopCompletionTimeout = function () {
+            if (this._completionTimerID !== -1) {
+                clearTimeout(this._completionTimerID);
+                this._completionTimerID = -1;
+            }
         };
         /**
-         * [ReadOnly Property] Returns true if the Gesture was cancelled (after being recognized).
-         * Note: Once set, will remain true until the Gesture is recognized again.
-         * @returns {boolean} Result.
+         * Returns the name of the pointer (eg. "touch:2", meaning the second touch) at the specified ordinal (eg. "{P3}", meaning the third pointer in the Gesture).
+         * Returns null if pointerOrdinal is not an ordinal specifier.
+         * Note: If the Gesture.PointerType() includes an 'or' operator ('|') then the value of a given ordinal can change depending on which permutation of pointers invoked the Gesture.
+         * @param {string} pointerOrdinal A pointer ordinal of the form "{Pn}", where n is 1..9.
+         * @returns {string | null} Result.
          */
-        Gesture.prototype.IsCancelled = function () {
-            MIL.readOnlyProperty("IsCancelled", arguments);
-            return (this._isCancelled);
+        Gesture.prototype.GetPointerNameByOrdinal = function (pointerOrdinal) {
+            var matches = pointerOrdinal.match("{P([1-9])}");
+            if (matches !== null) {
+                var ordinal = Number(matches[1]);
+                if (this._activePointerTypeOrdinals.length === 0) {
+                    throw new MIL.MILException("Unable to determine the pointer name for ordinal identifier '" + pointerOrdinal + "' because gesture '" + this.Name() + "' is not active");
+                }
+                if (ordinal <= this._activePointerTypeOrdinals.length) {
+                    return (this._activePointerTypeOrdinals[ordinal - 1]);
+                }
+                else {
+                    throw new MIL.MILException("Ordinal identifier '" + pointerOrdinal + "' is invalid for gesture '" + this.Name() + "', which only uses " + this.PointerCount() + " pointer(s)");
+                }
+            }
+            else {
+                return (null);
+            }
         };
         /**
-         * [Internal] Sets the Gesture.IsCancelled state.
-         * @param {boolean} cancelled Flag.
-         * @internal
+         * Returns the pointer ID (eg. "PointerID_pen_123") for the specified pointer type, which can be in any of these forms: "touch:2" [meaning the second touch pointer that made contact],
+         * "touch" [which is the same as "touch:1"], or "{P1}" [meaning pointer ordinal #1 in Gesture.PointerType()]. Throws if the Gesture does not have a pointer of the specified type.
+         * @param {string} pointerType A pointer type.
+         * @returns {string} A pointer ID.
          */
-        Gesture.prototype.isCancelled = function (cancelled) {
-            this._isCancelled = cancelled;
+        Gesture.prototype.GetPointerID = function (pointerType) {
+            if (!pointerType) {
+                throw new MIL.MILException("The pointerType parameter is missing or invalid");
+            }
+            // If pointerType is of the form "{Pn}", then return the pointer at ordinal n (eg. for a gesture defined as "pen+touch:2", ordinal 1 = "pen:1", 2 = "touch:1", 3 = "touch:2").
+            // Using ordinal notation allows calling code to be written more generically (if so desired) - eg. allowing a gesture to be redefined to use different pointer types with fewer code changes.
+            var pointerName = this.GetPointerNameByOrdinal(pointerType);
+            if (pointerName !== null) {
+                return (this.GetPointerID(pointerName));
+            }
+            var targetType = pointerType;
+            var targetInstance = 1;
+            var instance = 0;
+            // Note: pointerType can be of the form "touch:2" meaning "the second touch pointer that made contact"
+            var parts = pointerType.split(":");
+            targetType = parts[0];
+            targetInstance = (parts.length === 1) ? 1 : +parts[1];
+            for (var i = 0; i < this._activePointerList.length; i++) {
+                var pointerID = this._activePointerList[i];
+                if ((pointerID.indexOf(targetType) !== -1) || (targetType === "any") || ((targetType === "hover") && MIL.canHover(pointerID, this.Target()))) {
+                    if (++instance === targetInstance) {
+                        return (pointerID);
+                    }
+                }
+            }
+            throw new MIL.MILException("Gesture '" + this.Name() + "' (defined as '" + this.PointerType() + "') does not have a pointer of type '" + pointerType + "'");
         };
         /**
-         * [ReadOnly Property] Returns the number of pointers that this gesture requires.
+         * Returns the distance (in pixels) between 2 pointers in the [active] Gesture.
+         * @param {string} pointerType1 The first pointer type (eg. "{P1}").
+         * @param {string} pointerType2 The second pointer type (eg. "{P2}").
          * @returns {number} Result.
          */
-        Gesture.prototype.PointerCount = function () {
-            MIL.readOnlyProperty("PointerCount", arguments);
-            return (this._pointerTypeOrdinals[0].length);
+        Gesture.prototype.GetDistance = function (pointerType1, pointerType2) {
+            var e1 = MIL.getLatestPointerMoveEvent(this.GetPointerID(pointerType1), this.Target());
+            var e2 = MIL.getLatestPointerMoveEvent(this.GetPointerID(pointerType2), this.Target());
+            var pixelDistance = MIL.Utils.GetDistanceBetweenEvents(e1, e2);
+            return (pixelDistance);
         };
-        Gesture.prototype.RepeatCount = function (count) {
-            if (count === undefined) {
-                return (this._repeatCount);
-            }
-            else {
-                if (count > 1) {
-                    this._repeatCount = count;
-                    // If needed, default the RepeatTimeoutInMs to 200ms
-                    if (this._repeatTimeoutInMs === 0) {
-                        this.RepeatTimeoutInMs(200);
-                    }
-                }
-                return (this);
-            }
+        /**
+         * Given a pointerType (eg. "{P1}", "touch:2") returns the point (in screen coordinates) where that pointer started (PointerDown).
+         * @param {string} pointerType A pointer type.
+         * @returns {Point} Result.
+         */
+        Gesture.prototype.GetStartScreenPoint = function (pointerType) {
+            // Note: e.clientX/Y are relative to [the top-left (0,0)] of the document window; if the window (and/or container(s) of
+            //       the SVG) has been scrolled, the caller will need to adjust for this (eg. by adding window.pageXOffset/pageYOffset)
+            var e = MIL.getPointerDownEvent(this.GetPointerID(pointerType), this.Target());
+            return ({ x: e.clientX, y: e.clientY });
+        };
+        /**
+         * Given a pointerType (eg. "{P1}", "touch:2") returns the point (in svg space) where that pointer started (PointerDown).
+         * @param {string} pointerType A pointer type.
+         * @returns {Point} Result.
+         */
+        Gesture.prototype.GetStartSvgPoint = function (pointerType) {
+            var e = MIL.getPointerDownEvent(this.GetPointerID(pointerType), this.Target());
+            var svgInfo = MIL.getSvgInfo(e.target);
+            // Since svgInfo.gDomElement can be transformed (ie. zoomed and/or panned), we need to transform the e.clientX/Y point into the coordinate space of the [potentially transformed] 'g' element
+            // Note: e.clientX/Y are relative to [the top-left (0,0)] of the document window
+            var pointInTransformSpace = MIL.TransposePointer(e, svgInfo.gDomElement);
+            return ({ x: pointInTransformSpace.x, y: pointInTransformSpace.y });
+        };
+        /**
+         * Given a pointerType (eg. "{P1}", "touch:2") returns the point (in screen coordinates) where that pointer started (PointerDown).
+         * @param {string} pointerType A pointer type.
+         * @returns {Point} Result.
+         */
+        Gesture.prototype.GetCurrentScreenPoint = function (pointerType) {
+            // Note: e.clientX/Y are relative to [the top-left (0,0)] of the document window
+            var e = MIL.getLatestPointerMoveEvent(this.GetPointerID(pointerType), this.Target());
+            return ({ x: e.clientX, y: e.clientY });
+        };
+        /**
+         * Returns the current position (in svg coordinates) of the specified pointer type (eg. "{P1}", "touch:2").
+         * @param {string} pointerType A pointer type.
+         * @returns {Point} Result.
+         */
+        Gesture.prototype.GetCurrentSvgPoint = function (pointerType) {
+            var e = MIL.getLatestPointerMoveEvent(this.GetPointerID(pointerType), this.Target());
+            var svgInfo = MIL.getSvgInfo(e.target);
+            // Since svgInfo.gDomElement can be transformed (ie. zoomed and/or panned), we need to transform the e.clientX/Y point into the coordinate space of the [potentially transformed] 'g' element
+            var pointInTransformSpace = MIL.TransposePointer(e, svgInfo.gDomElement);
+            return (pointInTransformSpace);
+        };
+        /**
+         * Returns the initial pointerDown event for the specified pointer type (eg. "{P1}", "touch:2").
+         * @param {string} pointerType A pointer type.
+         * @returns {PointerEvent} Result.
+         */
+        Gesture.prototype.GetStartEvent = function (pointerType) {
+            var e = MIL.getPointerDownEvent(this.GetPointerID(pointerType), this.Target());
+            return (e);
         };
-        Gesture.prototype.RepeatTimeoutInMs = function (timeout) {
-            if (timeout === undefined) {
-                return (this._repeatTimeoutInMs);
+        /**
+         * Returns the latest pointerMove event for the specified pointer type (eg. "{P1}", "touch:2").
+         * @param {string} pointerType A pointer type.
+         * @returns {PointerEvent} Result.
+         */
+        Gesture.prototype.GetCurrentEvent = function (pointerType) {
+            var e = MIL.getLatestPointerMoveEvent(this.GetPointerID(pointerType), this.Target());
+            return (e);
+        };
+        Gesture.prototype.Ink = function (pointerType) {
+            if (pointerType === undefined) {
+                return (this._ink);
             }
             else {
-                // Note: Timeouts less than 175ms are too small (most users typically can't double/triple-tap that fast, so the gesture would go unrecognized in too many instances)
-                this._repeatTimeoutInMs = Math.min(1000, Math.max(175, timeout));
-                // If needed, default the RepeatCount to 2
-                if (this._repeatCount === 0) {
-                    this.RepeatCount(2);
+                var pointerID = this.GetPointerID(pointerType);
+                var e = MIL.getPointerDownEvent(pointerID, this.Target());
+                if (MIL._inkCompletePathPointData[pointerID] !== undefined) {
+                    throw new MIL.MILException("Inking has already started for gesture '" + this.Name() + "'");
                 }
-                return (this);
+                MIL._inkCurrentPathPointData[pointerID] = []; // Reset point data
+                MIL._inkCompletePathPointData[pointerID] = []; // Reset point data
+                MIL._inkCompletePathSampleData[pointerID] = []; // Reset sample data
+                this._ink = new MIL.Ink(pointerID).ParentGesture(this);
+                return (this._ink);
             }
         };
-        Gesture.prototype.repeatOccurrenceCount = function (count) {
-            var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._repeatOccurrenceCount; }), count));
-        };
-        Gesture.prototype.lastRepeatRecognitionTime = function (time) {
-            var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._lastRepeatRecognitionTime; }), time));
-        };
         /**
-         * [Internal] Sets the time the Gesture last ended.
-         * @param {number} time A time.
+         * [Internal] Sets the latest Ink created by the Gesture.
+         * @param {Ink | null} newInk An Ink instance (or null) to be assigned to the Gesture.
          * @internal
          */
-        Gesture.prototype.endedTime = function (time) {
-            var _this = this;
-            MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._endedTime; }), time);
-        };
-        Gesture.prototype.CheckForGesturesOnEnd = function (check) {
-            var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._checkForGesturesOnEnd; }), check));
-        };
-        Gesture.prototype.AllowEventPropagation = function (allow) {
-            var _this = this;
-            return (MIL.getOrSetProperty(this, MIL.nameof(function () { return _this._allowEventPropagation; }), allow));
+        Gesture.prototype.ink = function (newInk) {
+            this._ink = newInk;
         };
         /**
-         * Remove/re-add the Gesture.Target to change its z-order to "top most" [z-order = order added to SVG].
-         * @returns {D3SingleSelection} A d3 selection of Gesture.Target().
+         * Combines the supplied Inks into a single Ink, which will have a new [convex] hull that covers the combined Ink paths.
+         * Returns the new (combined) Ink instance, or null if inksToCombine is empty. The combined Ink uses the Curve() and Decoration() of the first Ink in inksToCombine
+         * (note that its arrowheads, if any, are drawn only at the start of its first line and at the end of its last line).
+         * @param {Ink[]} inksToCombine The array of Inks to combine.
+         * @param {string} className The name of the CSS class to apply to the combined ink.
+         * @param {boolean} [makeInkPathMatchHull] [Optional] When true, the path of the new ink will match the new [convex] hull [eg. when combining 2 paths that are "grouping containers"]
+         * @returns {Ink | null} The resulting [new] combined Ink.
          */
-        Gesture.prototype.BringTargetToFront = function () {
-            var gesture = this;
-            var targetDomElement = gesture.Target();
-            var svgInfo = MIL.getSvgInfo(targetDomElement);
-            var gDomElement = svgInfo.gDomElement;
-            gDomElement.removeChild(targetDomElement);
-            gDomElement.appendChild(targetDomElement);
-            return (d3.select(targetDomElement));
-        };
-        /** Capture all pointers used by this Gesture to the Gesture's target. */
-        Gesture.prototype.SetPointerCapture = function () {
-            var gesture = this;
-            if (gesture.CapturesPointers()) {
-                gesture.ActivePointerList().forEach(function (pointerID) {
-                    // Note: Calling setPointerCapture() will prevent any further bubbling of events
-                    var pointerId = MIL.getPointerDownEvent(pointerID, gesture.Target()).pointerId;
-                    var targetElementID = MIL.getTargetElementID(gesture.Target());
-                    gesture.Target().setPointerCapture(pointerId);
-                    gesture._isCapturing = true;
-                    // Note: Calling gesture_setPointerCapture() again [for the same element/pointer] is a valid condition, and since calling setPointerCapture()
-                    //       twice (or more) seems to have no unwanted side-effects we don't check for or disallow it.
-                    //       An example of this would be when 1-touch Pan becomes a 2-touch Zoom: the Pan will have captured the {P1} pointer to the SVG, then 
-                    //       when the Zoom gesture starts (which also uses {P1}) it will capture it again.
-                    if (MIL._activePointerCaptures[targetElementID] === undefined) {
-                        MIL._activePointerCaptures[targetElementID] = [];
+        Gesture.prototype.CombineInks = function (inksToCombine, className, makeInkPathMatchHull) {
+            if (inksToCombine.length === 0) {
+                return (null);
+            }
+            var svgInfo = MIL.getSvgInfo(inksToCombine[0].Path());
+            var dInk = "", dHull = "";
+            var allPathPointArrays = []; // Array of arrays of {x, y} points
+            var allIsLinearFlags = []; // Whether each array in allPathPointArrays is drawn with straight lines (rather than a curve)
+            var allSampleChannelArrays = []; // The sample channels (pressure, tilt, etc.) for each array in allPathPointArrays [or null if not captured]
+            var allVertices = []; // Array of [x, y] arrays
+            var resizeGesturePointerType = "";
+            var onResizeCompleteHandler = null;
+            var constituents = []; // The original Inks [so that the combined Ink can be split (see Ink.Split())]
+            var inkCount = 0;
+            var isAllHighlighters = inksToCombine.every(function (ink) { return (ink.RenderMode() === MIL.InkRenderMode.Highlighter); });
+            var inkContainer = d3.select(inksToCombine[0].Path().node().parentNode); // The combined Ink is added to the layer (if any) of the first Ink
+            var newInk = null;
+            // The deletion of the source Inks and the creation of the combined Ink are undone as a single command
+            svgInfo.history.BeginTransaction("CombineInks");
+            try {
+                inksToCombine.forEach(function (ink) {
+                    var pathDomElement = ink.Path().node();
+                    var inkPathPointsCollection = pathDomElement.__MILPathPointsCollection__;
+                    var inkIsLinearCollection = pathDomElement.__MILIsLinearCollection__ || [];
+                    var inkSampleChannelsCollection = pathDomElement.__MILSampleChannelsCollection__ || [];
+                    // Note: A combined Ink is always rendered with InkRenderMode.Stroke, so a variable-width Ink [which is drawn as a filled outline] is re-drawn as a curve
+                    dInk += (ink.RenderMode() === MIL.InkRenderMode.VariableWidth) ? "" : pathDomElement.getAttribute("d");
+                    var _loop_5 = function (i) {
+                        var pathPoints = inkPathPointsCollection[i];
+                        if (ink.RenderMode() === MIL.InkRenderMode.VariableWidth) {
+                            dInk += MIL.getInkLinePathData(pathPoints, Boolean(inkIsLinearCollection[i]), inksToCombine[0].Curve());
+                        }
+                        var vertices = d3.range(pathPoints.length).map(function (d) { return ([pathPoints[d].x, pathPoints[d].y]); });
+                        allPathPointArrays.push(pathPoints);
+                        allIsLinearFlags.push(Boolean(inkIsLinearCollection[i]));
+                        allSampleChannelArrays.push(inkSampleChannelsCollection[i] || null);
+                        allVertices = allVertices.concat(vertices);
+                    };
+                    for (var i = 0; i < inkPathPointsCollection.length; i++) {
+                        _loop_5(i);
                     }
-                    MIL._activePointerCaptures[targetElementID].push(pointerID);
-                    MIL.log("SET pointer-capture for " + pointerID + " (" + pointerId + ") on " + targetElementID, MIL.FeatureNames.PointerCapture);
+                    // If ANY of the combined inks allows resizing, then so will the new combined ink
+                    if (ink.ResizeWith()) {
+                        resizeGesturePointerType = ink.ResizeWith();
+                        onResizeCompleteHandler = ink.OnResizeCompleteHandler();
+                    }
+                    constituents = constituents.concat(ink.getConstituents());
+                    ink.Delete();
+                    inkCount++;
                 });
+                var inkPath = inkContainer.append("path");
+                var hullPath = inkContainer.append("path"); // Must add this AFTER adding the [new] inkPath (so that the Hull's z-order is higher)
+                var hullVertices = d3.polygonHull(allVertices); // Produces a convex hull
+                var hullPoints = MIL.Utils.ConvertXYPointsToPoints(hullVertices);
+                var hullColor = inksToCombine[0].HullColor();
+                // Note: We don't simply use _inkLineGenerator to create the hull 'd' in order to match how the hullPath
+                //       is created in ink_consolidatePaths() [and how it's subsequently processed by translateHullPath()]
+                for (var i = 0; i < hullPoints.length; i++) {
+                    dHull += (!dHull ? "M " : " L ") + hullPoints[i].x + " " + hullPoints[i].y;
+                }
+                hullPath.attr("d", dHull);
+                hullPath.node().style.stroke = hullPath.node().style.fill = hullColor;
+                hullPath.node().style.strokeWidth = "1px";
+                hullPath.classed("MILInkHullPath", true); // Just to make it easier to find the hulls using CSS selector syntax ("path.MILInkHullPath")
+                if (makeInkPathMatchHull) {
+                    // Re-create the inkPath to match the new [convex] hull
+                    inkPath.attr("d", dHull + "Z");
+                    // Re-sample the inkPath [so the "density" of __MILPathPointsCollection__ remains high enough that intersection
+                    // detection (ie. detecting if points of the new inkPath are inside another region) continues to work well]
+                    var sampledHullPoints = MIL.Utils.SamplePointsFromPath(inkPath.node(), false, 5);
+                    if (sampledHullPoints.length > hullPoints.length) {
+                        dHull = "";
+                        for (var i = 0; i < sampledHullPoints.length; i++) {
+                            dHull += (!dHull ? "M " : " L ") + sampledHullPoints[i].x + " " + sampledHullPoints[i].y;
+                        }
+                        inkPath.attr("d", dHull + "Z");
+                        hullPoints = sampledHullPoints;
+                    }
+                    inkPath.node().__MILPathPointsCollection__ = [hullPoints];
+                    inkPath.node().__MILIsLinearCollection__ = [true];
+                    inkPath.node().__MILSampleChannelsCollection__ = [null]; // The hull points don't correspond to the captured samples
+                }
+                else {
+                    inkPath.attr("d", dInk);
+                    inkPath.node().__MILPathPointsCollection__ = allPathPointArrays;
+                    inkPath.node().__MILIsLinearCollection__ = allIsLinearFlags;
+                    inkPath.node().__MILSampleChannelsCollection__ = allSampleChannelArrays;
+                }
+                inkPath.classed("MILInkPath", true).classed(className, true); // We add the 'MILInkPath' class just to make it easier to find the ink paths using CSS selector syntax ("path.MILInkPath") 
+                // "tag" the hull with its corresponding ink path
+                hullPath.node().__MILAssociatedInkPath__ = inkPath;
+                newInk = new MIL.Ink(null).Class(className).ParentGesture(this).IsNonDrawing(false).HullType(MIL.InkHullType.Convex).HullColor(hullColor).Curve(inksToCombine[0].Curve());
+                // Combining only highlighters produces a highlighter (which uses the color/width of the first Ink, if there's no className)
+                if (isAllHighlighters) {
+                    newInk.RenderMode(MIL.InkRenderMode.Highlighter).StrokeColor(inksToCombine[0].StrokeColor()).StrokeWidth(inksToCombine[0].StrokeWidth());
+                }
+                newInk.Decoration(inksToCombine[0].Decoration());
+                // Note: When the inkPath matches the hull its lines no longer correspond to the original Inks, so the combined Ink can't be split back into them
+                newInk.setHullAndPath(hullPath, inkPath, hullPoints, makeInkPathMatchHull ? null : constituents); // Port: Added
+                newInk.applyHighlighter();
+                newInk.applyDecoration();
+                // If needed, ensure re-creation of the resize gesture
+                if (resizeGesturePointerType) {
+                    newInk.ResizeWith(resizeGesturePointerType);
+                    newInk.OnResizeCompleteHandler(onResizeCompleteHandler);
+                }
+                this._ink = newInk;
+                MIL._inks.push(newInk); // Note: Must be explicitly removed via Ink.Delete()
+                svgInfo.spatialIndex.Update(newInk);
+                MIL.recordInkAdded(newInk);
+            }
+            finally {
+                svgInfo.history.EndTransaction();
+            }
+            MIL.raiseInkChanged(svgInfo, newInk, { type: MIL.InkChangeType.Combined, combinedInks: inksToCombine });
+            MIL.log(allPathPointArrays.length + " Ink paths combined by gesture '" + this.Name() + "'");
+            return (newInk);
+        };
+        /**
+         * Cancels (stops) the Gesture (if it's active).
+         * @param {string} reason The reason why the gesture was cancelled.
+         */
+        Gesture.prototype.Cancel = function (reason) {
+            if (!this.IsActive()) {
+                // It's OK to cancel an inactive gesture: setting a gesture as cancelled is how recognizeGesture() [et al] flags certain gestures to be skipped
+            }
+            this._isCancelled = true;
+            // Note: We don't reset this._activePointerList here, we'll let the normal removePointer() pathway do that
+            // Is the gesture currently in the process of creating an Ink?
+            if ((this._ink !== null) && (this._ink.Path() === null)) {
+                this._ink.Cancel();
+                this._ink = null;
+            }
+            MIL.log("Gesture '" + this.Name() + "' cancelled (reason: " + (reason || "[None]") + ")");
+            if (this.GestureCancelledHandler() !== null) {
+                this.GestureCancelledHandler().call(this, (reason !== undefined) ? reason : null);
+            }
+            if (this._onMoveHandler !== null) {
+                this._targetDomElement.removeEventListener("pointermove", this._onMoveHandler);
+                this._onMoveHandler = null;
             }
+            this.ReleasePointerCapture();
         };
-        /** Releases capture of all pointers used by the Gesture from the Gesture's target. */
-        Gesture.prototype.ReleasePointerCapture = function () {
-            var gesture = this;
-            if (gesture.CapturesPointers() && gesture._isCapturing) {
-                gesture.ActivePointerList().forEach(function (pointerID) {
-                    var pointerId = MIL.getPointerDownEvent(pointerID, gesture.Target()).pointerId;
-                    var targetElementID = MIL.getTargetElementID(gesture.Target());
-                    gesture.Target().releasePointerCapture(pointerId);
-                    gesture._isCapturing = false;
-                    // Check if we're trying to releasePointerCapture [on an element/pointer] without first capturing it
-                    if (!MIL._activePointerCaptures[targetElementID] || (MIL._activePointerCaptures[targetElementID].indexOf(pointerID) === -1)) {
-                        throw new MIL.MILException("Attempt to release pointer capture of '" + pointerID + "' from element '" + targetElementID + "' when it has not been captured");
-                    }
-                    MIL._activePointerCaptures[targetElementID].splice(MIL._activePointerCaptures[targetElementID].indexOf(pointerID), 1);
-                    if (MIL._activePointerCaptures[targetElementID].length === 0) {
-                        delete MIL._activePointerCaptures[targetElementID];
+        /**
+         * [Private Method] Returns true if a permutation of targetPointerType [other than itself] exists in pointerTypePermutations.
+         * @param {string} targetPointerType A pointer type (eg. "pen+touch")
+         * @param {string[]} pointerTypePermutations An array of pointer types (eg. ["touch+pen", "pen+touch"]).
+         * @returns {boolean} Result.
+         */
+        Gesture.prototype.isExistingPointerTypePermutation = function (targetPointerType, pointerTypePermutations) {
+            var permutationExists = false;
+            var targetGroups = targetPointerType.split("+");
+            var targetIndex = pointerTypePermutations.indexOf(targetPointerType);
+            for (var i = 0; i < pointerTypePermutations.length; i++) {
+                var groups = pointerTypePermutations[i].split("+");
+                if ((i === targetIndex) || (targetGroups.length !== groups.length)) {
+                    continue;
+                }
+                for (var g = 0; g < targetGroups.length; g++) {
+                    var matchIndex = groups.indexOf(targetGroups[g]);
+                    if (matchIndex !== -1) {
+                        groups.splice(matchIndex, 1);
                     }
-                    MIL.log("RELEASED pointer-capture for " + pointerID + " (" + pointerId + ") on " + targetElementID, MIL.FeatureNames.PointerCapture);
-                });
+                }
+                if (groups.length === 0) {
+                    permutationExists = true;
+                    break;
+                }
             }
+            return (permutationExists);
         };
         /**
-         * [Internal] Starts a timer used to detect either:
-         * 1) When a non-repeating gesture exceeds its CompletionTimeoutInMs(), or
-         * 2) When a repeating gesture fails to be fully recognized [after being "partially" recognized (eg. only the first of two
-         *    taps was recognized)] because the time between the prior occurrence being recognized and now exceeds RepeatTimeoutInMs()
-         * @param {number} timeoutInMs A timeout (in milliseconds).
-         * @param {string} timeoutType Either "completion" or "repeat". // PORT: Use an enum instead?
-         * @param {boolean} propagateEventsOnTimeout Whether or not to propagate events if timeoutInMs expires. The onTick handler (if supplied) will always be called.
-         * @param {VoidCallback} [onTick] [Optional] A callback to invoke if timeoutInMs expires.
-         * @internal
+         * [Private Method] Given a pointer type specifier (eg. "pen|touch+touch"), returns all possible [and logically unique] permutations (there will only be more than one permutation if pointerType includes the 'or' operator (|)).
+         * Example (for illustration only): A pointerType of "pen|touch:2+mouse|touch" will return ["pen+mouse", "pen+touch", "touch:2+mouse", "touch:2+touch"].
+         * @param {string} pointerType A pointer type specifier.
+         * @returns {string[]} Result.
          */
-        Gesture.prototype.startCompletionTimeout = function (timeoutInMs, timeoutType, propagateEventsOnTimeout, onTick) {
-            var gesture = this;
-            if (gesture._completionTimerID !== -1) {
-                clearTimeout(gesture._completionTimerID);
-                gesture._completionTimerID = -1;
+        Gesture.prototype.permutePointerType = function (pointerType) {
+            if (pointerType.indexOf("|") === -1) {
+                // Only or-style pointerType values result in permutations
+                return ([pointerType]);
             }
-            if (timeoutInMs > 0) {
-                gesture._completionTimerID = setTimeout(function () {
-                    if (onTick) {
-                        onTick();
+            else {
+                var andGroups = pointerType.split("+"); // Note: There may not be a "+"
+                var pointerTypePermutations = [];
+                for (var g = 0; g < andGroups.length; g++) {
+                    var initialAdd = (pointerTypePermutations.length === 0);
+                    var andGroup = andGroups[g];
+                    if (andGroup.indexOf("|") === -1) {
+                        // A "non-or" group (eg. "touch:2")
+                        if (initialAdd) {
+                            pointerTypePermutations.push(andGroup);
+                        }
+                        else {
+                            // Add new permutations
+                            for (var i = 0; i < pointerTypePermutations.length; i++) {
+                                pointerTypePermutations[i] += "+" + andGroup;
+                            }
+                        }
                     }
-                    if (gesture._endedTime === 0) {
-                        gesture.Cancel(timeoutType + " timeout [" + timeoutInMs + "ms] expired"); // timeoutType will be either "completion" or "repeat"
-                        // Look for other gestures that may apply to the target of the [timed-out] gesture
-                        var recognitionResult = MIL.recognizeGesture(gesture.Target(), 0, 0, false);
-                        if (!recognitionResult.success && recognitionResult.propagateEvents && propagateEventsOnTimeout) {
-                            // Propagate any queued events to allow any gestures on the target's parent element to be recognized
-                            MIL.propagateQueuedEvents(gesture.Target());
+                    else {
+                        // An "or" group (eg. "touch|pen:2")
+                        var types = andGroup.split("|");
+                        if (andGroup.indexOf("any") !== -1) {
+                            throw new MIL.MILException("Invalid pointerType '" + andGroup + "'; the pointerType 'any' is invalid when using the 'or' (|) specifier");
+                        }
+                        for (var type in types) {
+                            var parts = type.split(":");
+                            var instanceCount = (parts.length === 2) ? +parts[1] : 1;
+                            if ((parts.length > 2) || isNaN(instanceCount)) {
+                                throw new MIL.MILException("Invalid pointerType '" + andGroup + "'");
+                            }
+                        }
+                        if (initialAdd) {
+                            // Example: "touch:2|pen" becomes "touch:2", "pen"
+                            for (var t = 0; t < types.length; t++) {
+                                pointerTypePermutations.push(types[t]);
+                            }
+                        }
+                        else {
+                            // Add new permutations
+                            var existingPermutationCount = pointerTypePermutations.length;
+                            for (var i = 0; i < existingPermutationCount; i++) {
+                                for (var t = 0; t < types.length; t++) {
+                                    var newPermutation = pointerTypePermutations[i] + "+" + types[t];
+                                    pointerTypePermutations.push(newPermutation);
+                                }
+                            }
+                            // Remove the previous [partial] permutations
+                            pointerTypePermutations.splice(0, existingPermutationCount);
                         }
-                        gesture._repeatOccurrenceCount = 0;
-                        gesture._isCancelled = false;
-                        // Since the gesture was cancelled [due to not completing in time] we clear the gesture's 
-                        // pointerList to prevent the gesture from subsequently being recognized during pointerUp
-                        gesture._activePointerList.length = 0;
-                        gesture._activePointerTypeOrdinals.length = 0;
                     }
-                    else {
-                        MIL.log("Gesture '" + gesture.Name() + "'" + (gesture._repeatOccurrenceCount > 0 ? (" [occurrence #" + gesture._repeatOccurrenceCount + "]") : "") + " completed within its " + gesture._completionTimeoutInMs + "ms timeout", MIL.FeatureNames.GestureRecognition);
+                }
+                // Remove any logical duplicates [eg. "pen+touch" is a duplicate of "touch+pen"]
+                for (var i = pointerTypePermutations.length - 1; i >= 0; i--) {
+                    if (this.isExistingPointerTypePermutation(pointerTypePermutations[i], pointerTypePermutations)) {
+                        pointerTypePermutations.splice(i, 1);
                     }
-                }, timeoutInMs);
+                }
+                return (pointerTypePermutations);
             }
         };
+        return Gesture;
+    }());
+    MIL.Gesture = Gesture;
+})(MIL || (MIL = {}));
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT license.
+var MIL;
+(function (MIL) {
+    /**
+     * The BuiltInGestures namespace.
+     * This namespace provides a quick way to create basic Gestures (trading granular control for simplicity).
+     */
+    var BuiltInGestures;
+    (function (BuiltInGestures) {
         /**
-         * [Internal] Stops the timer started with startCompletionTimeout().
-         * @internal
+         * Creates a 'Tap-and-Hold' Gesture. Can be used in conjunction with BuiltInGestures.Tap (even for the same pointerType) but only if added to the target AFTER adding Tap.
+         * @param {string} gestureName The name of the Gesture.
+         * @param {TargetDomElement} targetElement The DOM element the Gesture will target.
+         * @param {string} pointerType A pointer type. If more than one pointer is specified, only {P1} will be used.
+         * @param {GestureEventHandler} onTapAndHold A handler called when the tap-and-hold occurs.
+         * @param {number} [holdTimeoutInMs] [Optional] The amount of time the tap should be held for. If the gesture ends before this timeout, the gesture will be cancelled.
+         * @param {number} [maximumDistanceInPx] [Optional] The maximum distance the pointer can move from the original contact position to still be considered a tap-and-hold. If the pointer moves more than this, the gesture will be cancelled.
+         * @returns {Gesture} Result.
          */
-        Gesture.prototype.stopCompletionTimeout = function () {
-            if (this._completionTimerID !== -1) {
-                clearTimeout(this._completionTimerID);
-                this._completionTimerID = -1;
-            }
-        };
+        function TapAndHold(gestureName, targetElement, pointerType, onTapAndHold, holdTimeoutInMs, maximumDistanceInPx) {
+            if (holdTimeoutInMs === void 0) { holdTimeoutInMs = 333; }
+            if (maximumDistanceInPx === void 0) { maximumDistanceInPx = 10; }
+            gestureName = ensureNameCanBeMadeUnique(gestureName);
+            var timerID = -1;
+            var tapStartPoint = null;
+            var tapAndHoldGesture = MIL.CreateGesture(gestureName, true)
+                .Target(targetElement)
+                .PointerType(pointerType)
+                .GestureStartedHandler(function () {
+                var gesture = this;
+                tapStartPoint = gesture.GetCurrentScreenPoint("{P1}");
+                timerID = setTimeout(function () {
+                    if (!gesture.IsActive() || (timerID === -1)) {
+                        return;
+                    }
+                    var distanceInPixels = MIL.Utils.GetDistanceBetweenPoints(tapStartPoint, gesture.GetCurrentScreenPoint("{P1}"));
+                    if (distanceInPixels < maximumDistanceInPx) {
+                        if (onTapAndHold) {
+                            onTapAndHold.call(gesture);
+                        }
+                    }
+                    else {
+                        gesture.Cancel("The pointer moved more [" + distanceInPixels.toFixed(2) + "px] than the maximum specified [" + maximumDistanceInPx + "px])");
+                    }
+                    timerID = -1;
+                }, holdTimeoutInMs);
+            })
+                .GestureEndedHandler(function () {
+                var gesture = this;
+                if (timerID !== -1) {
+                    clearTimeout(timerID);
+                    timerID = -1;
+                    gesture.Cancel("The tap-and-hold ended before the hold timeout [" + holdTimeoutInMs + "ms] elapsed");
+                }
+            });
+            return (tapAndHoldGesture);
+        }
+        BuiltInGestures.TapAndHold = TapAndHold;
         /**
-         * Returns the name of the pointer (eg. "touch:2", meaning the second touch) at the specified ordinal (eg. "{P3}", meaning the third pointer in the Gesture).
-         * Returns null if pointerOrdinal is not an ordinal specifier.
-         * Note: If the Gesture.PointerType() includes an 'or' operator ('|') then the value of a given ordinal can change depending on which permutation of pointers invoked the Gesture.
-         * @param {string} pointerOrdinal A pointer ordinal of the form "{Pn}", where n is 1..9.
-         * @returns {string | null} Result.
+         * Creates a 'Tap' Gesture.
+         * @param {string} gestureName The name of the Gesture.
+         * @param {TargetDomElement} targetElement The DOM element the Gesture will target.
+         * @param {string} pointerType A pointer type. If more than one pointer is specified, only {P1} will be used.
+         * @param {GestureEventHandler} onTap A handler called when the tap occurs.
+         * @param {number} [completionTimeoutInMs] [Optional] The maximum amount of time the Gesture should take. If the gesture does not end before this timeout, the gesture will be cancelled.
+         * @param {number} [maximumDistanceInPx] [Optional] The maximum distance the pointer can move from the original contact position to still be considered a tap.
+         * @returns {Gesture} Result.
          */
-        Gesture.prototype.GetPointerNameByOrdinal = function (pointerOrdinal) {
-            var matches = pointerOrdinal.match("{P([1-9])}");
-            if (matches !== null) {
-                var ordinal = Number(matches[1]);
-                if (this._activePointerTypeOrdinals.length === 0) {
-                    throw new MIL.MILException("Unable to determine the pointer name for ordinal identifier '" + pointerOrdinal + "' because gesture '" + this.Name() + "' is not active");
-                }
-                if (ordinal <= this._activePointerTypeOrdinals.length) {
-                    return (this._activePointerTypeOrdinals[ordinal - 1]);
+        function Tap(gestureName, targetElement, pointerType, onTap, completionTimeoutInMs, maximumDistanceInPx) {
+            if (completionTimeoutInMs === void 0) { completionTimeoutInMs = 150; }
+            if (maximumDistanceInPx === void 0) { maximumDistanceInPx = 5; }
+            gestureName = ensureNameCanBeMadeUnique(gestureName);
+            var tapStartPoint = null;
+            var tapGesture = MIL.CreateGesture(gestureName, true)
+                .Target(targetElement)
+                .PointerType(pointerType)
+                .CompletionTimeoutInMs(completionTimeoutInMs) // If the gesture does not end before this timeout, the gesture will be cancelled
+                .GestureStartedHandler(function () {
+                var gesture = this;
+                tapStartPoint = gesture.GetCurrentScreenPoint("{P1}");
+            })
+                .GestureEndedHandler(function () {
+                var gesture = this;
+                var distanceInPixels = MIL.Utils.GetDistanceBetweenPoints(tapStartPoint, gesture.GetCurrentScreenPoint("{P1}"));
+                if (distanceInPixels < maximumDistanceInPx) {
+                    if (onTap) {
+                        onTap.call(gesture);
+                    }
                 }
                 else {
-                    throw new MIL.MILException("Ordinal identifier '" + pointerOrdinal + "' is invalid for gesture '" + this.Name() + "', which only uses " + this.PointerCount() + " pointer(s)");
+                    MIL.log("Tap gesture '" + gesture.Name() + "' failed (reason: the pointer moved more [" + distanceInPixels.toFixed(2) + "px] than the maximum specified [" + maximumDistanceInPx + "px])");
                 }
-            }
-            else {
-                return (null);
-            }
-        };
+            });
+            return (tapGesture);
+        }
+        BuiltInGestures.Tap = Tap;
         /**
-         * Returns the pointer ID (eg. "PointerID_pen_123") for the specified pointer type, which can be in any of these forms: "touch:2" [meaning the second touch pointer that made contact],
-         * "touch" [which is the same as "touch:1"], or "{P1}" [meaning pointer ordinal #1 in Gesture.PointerType()]. Throws if the Gesture does not have a pointer of the specified type.
-         * @param {string} pointerType A pointer type.
-         * @returns {string} A pointer ID.
+         * Creates a shape-recognizer Gesture.
+         * @param {string} gestureName The name of the Gesture.
+         * @param {TargetDomElement} targetElement The DOM element the Gesture will target.
+         * @param {string} pointerType A pointer type. If more than one pointer is specified, only {P1} will be used.
+         * @param {number} minPercentMatch The percentage of points in the drawn path that must be inside the shape-template to trigger a match (or, when using ShapeRecognitionEngine.Template, the minimum score (0..1) of the match).
+         * @param {ShapeRecognizedHandler} onShapeRecognized A handler called when the shape is recognized.
+         * @param {string} [cometTailClassName] [Optional] The CSS class to use to draw a 'comet tail' as the shape is drawn.
+         * @param {ShapeID[]} [shapeList] [Optional] The list of shapes to be recognized (must be MIL.RecognizableShape values and/or the IDs of custom shapes added with MIL.AddRecognizableShape()). Note: Providing a shapeList helps to reduce false-positives (misrecognitions). // PORT: Was string[]
+         * @param {number} [targetWidth] [Optional] The width (in pixels) of the area that the shape recognition will occur within.
+         * @param {number} [targetHeight] [Optional] The height (in pixels) of the area that the shape recognition will occur within.
+         * @param {ShapeRecognitionEngine} [engine] [Optional] The engine to use to recognize the shape. Defaults to ShapeRecognitionEngine.Outline.
+         * When using ShapeRecognitionEngine.Template, templates must first be added (with MIL.AddShapeTemplate()) for the shapes to be recognized, and targetWidth/targetHeight are not used.
+         * @returns {Gesture} Result.
          */
-        Gesture.prototype.GetPointerID = function (pointerType) {
-            if (!pointerType) {
-                throw new MIL.MILException("The pointerType parameter is missing or invalid");
-            }
-            // If pointerType is of the form "{Pn}", then return the pointer at ordinal n (eg. for a gesture defined as "pen+touch:2", ordinal 1 = "pen:1", 2 = "touch:1", 3 = "touch:2").
-            // Using ordinal notation allows calling code to be written more generically (if so desired) - eg. allowing a gesture to be redefined to use different pointer types with fewer code changes.
-            var pointerName = this.GetPointerNameByOrdinal(pointerType);
-            if (pointerName !== null) {
-                return (this.GetPointerID(pointerName));
-            }
-            var targetType = pointerType;
-            var targetInstance = 1;
-            var instance = 0;
-            // Note: pointerType can be of the form "touch:2" meaning "the second touch pointer that made contact"
-            var parts = pointerType.split(":");
-            targetType = parts[0];
-            targetInstance = (parts.length === 1) ? 1 : +parts[1];
-            for (var i = 0; i < this._activePointerList.length; i++) {
-                var pointerID = this._activePointerList[i];
-                if ((pointerID.indexOf(targetType) !== -1) || (targetType === "any") || ((targetType === "hover") && MIL.canHover(pointerID, this.Target()))) {
-                    if (++instance === targetInstance) {
-                        return (pointerID);
+        function ShapeRecognizer(gestureName, targetElement, pointerType, minPercentMatch, onShapeRecognized, cometTailClassName, shapeList, targetWidth, targetHeight, engine) {
+            if (engine === void 0) { engine = MIL.ShapeRecognitionEngine.Outline; }
+            gestureName = ensureNameCanBeMadeUnique(gestureName);
+            if (shapeList) {
+                shapeList.forEach(function (v, i) {
+                    var isRecognizable = (engine === MIL.ShapeRecognitionEngine.Template) ? (MIL.GetShapeTemplateCount(v) > 0) : (MIL.GetRecognizableShape(v) !== null);
+                    if (!isRecognizable) {
+                        throw new MIL.MILException("shapeList[" + i + "] (" + v + ") is not a recognizable shape");
                     }
-                }
+                });
             }
-            throw new MIL.MILException("Gesture '" + this.Name() + "' (defined as '" + this.PointerType() + "') does not have a pointer of type '" + pointerType + "'");
-        };
-        /**
-         * Returns the distance (in pixels) between 2 pointers in the [active] Gesture.
-         * @param {string} pointerType1 The first pointer type (eg. "{P1}").
-         * @param {string} pointerType2 The second pointer type (eg. "{P2}").
-         * @returns {number} Result.
-         */
-        Gesture.prototype.GetDistance = function (pointerType1, pointerType2) {
-            var e1 = MIL.getLatestPointerMoveEvent(this.GetPointerID(pointerType1), this.Target());
-            var e2 = MIL.getLatestPointerMoveEvent(this.GetPointerID(pointerType2), this.Target());
-            var pixelDistance = MIL.Utils.GetDistanceBetweenEvents(e1, e2);
-            return (pixelDistance);
-        };
-        /**
-         * Given a pointerType (eg. "{P1}", "touch:2") returns the point (in screen coordinates) where that pointer started (PointerDown).
-         * @param {string} pointerType A pointer type.
-         * @returns {Point} Result.
-         */
-        Gesture.prototype.GetStartScreenPoint = function (pointerType) {
-            // Note: e.clientX/Y are relative to [the top-left (0,0)] of the document window; if the window (and/or container(s) of
-            //       the SVG) has been scrolled, the caller will need to adjust for this (eg. by adding window.pageXOffset/pageYOffset)
-            var e = MIL.getPointerDownEvent(this.GetPointerID(pointerType), this.Target());
-            return ({ x: e.clientX, y: e.clientY });
-        };
-        /**
-         * Given a pointerType (eg. "{P1}", "touch:2") returns the point (in svg space) where that pointer started (PointerDown).
-         * @param {string} pointerType A pointer type.
-         * @returns {Point} Result.
-         */
-        Gesture.prototype.GetStartSvgPoint = function (pointerType) {
-            var e = MIL.getPointerDownEvent(this.GetPointerID(pointerType), this.Target());
-            var svgInfo = MIL.getSvgInfo(e.target);
-            // Since svgInfo.gDomElement can be transformed (ie. zoomed and/or panned), we need to transform the e.clientX/Y point into the coordinate space of the [potentially transformed] 'g' element
-            // Note: e.clientX/Y are relative to [the top-left (0,0)] of the document window
-            var pointInTransformSpace = MIL.TransposePointer(e, svgInfo.gDomElement);
-            return ({ x: pointInTransformSpace.x, y: pointInTransformSpace.y });
-        };
-        /**
-         * Given a pointerType (eg. "{P1}", "touch:2") returns the point (in screen coordinates) where that pointer started (PointerDown).
-         * @param {string} pointerType A pointer type.
-         * @returns {Point} Result.
-         */
-        Gesture.prototype.GetCurrentScreenPoint = function (pointerType) {
-            // Note: e.clientX/Y are relative to [the top-left (0,0)] of the document window
-            var e = MIL.getLatestPointerMoveEvent(this.GetPointerID(pointerType), this.Target());
-            return ({ x: e.clientX, y: e.clientY });
-        };
-        /**
-         * Returns the current position (in svg coordinates) of the specified pointer type (eg. "{P1}", "touch:2").
-         * @param {string} pointerType A pointer type.
-         * @returns {Point} Result.
-         */
-        Gesture.prototype.GetCurrentSvgPoint = function (pointerType) {
-            var e = MIL.getLatestPointerMoveEvent(this.GetPointerID(pointerType), this.Target());
-            var svgInfo = MIL.getSvgInfo(e.target);
-            // Since svgInfo.gDomElement can be transformed (ie. zoomed and/or panned), we need to transform the e.clientX/Y point into the coordinate space of the [potentially transformed] 'g' element
-            var pointInTransformSpace = MIL.TransposePointer(e, svgInfo.gDomElement);
-            return (pointInTransformSpace);
-        };
-        /**
-         * Returns the initial pointerDown event for the specified pointer type (eg. "{P1}", "touch:2").
-         * @param {string} pointerType A pointer type.
-         * @returns {PointerEvent} Result.
-         */
-        Gesture.prototype.GetStartEvent = function (pointerType) {
-            var e = MIL.getPointerDownEvent(this.GetPointerID(pointerType), this.Target());
-            return (e);
-        };
+            var shapeRecognitionGesture = MIL.CreateGesture(gestureName, true)
+                .Target(targetElement)
+                .PointerType(pointerType)
+                .GestureStartedHandler(function () {
+                var gesture = this;
+                gesture.Ink("{P1}").IsNonDrawing(true).CometTailClass(cometTailClassName === undefined ? "" : cometTailClassName).Start();
+            })
+                .GestureEndedHandler(function () {
+                var gesture = this;
+                var gDomElement = MIL.DebugFeature(MIL.FeatureNames.ShapeRecognition) ? MIL.getSvgInfo(targetElement).gDomElement : undefined;
+                if (engine === MIL.ShapeRecognitionEngine.Template) {
+                    var candidates = MIL.RecognizeShapeFromTemplates(gesture.Ink().PathPoints(), minPercentMatch, shapeList);
+                    if (onShapeRecognized && (candidates.length > 0)) {
+                        onShapeRecognized.call(gesture, candidates[0].id, candidates);
+                    }
+                }
+                else {
+                    var shape = MIL.RecognizeShape(gesture.Ink().PathPoints(), minPercentMatch, targetWidth, targetHeight, gDomElement, shapeList);
+                    if (onShapeRecognized && (shape !== null)) {
+                        onShapeRecognized.call(gesture, shape);
+                    }
+                }
+            });
+            return (shapeRecognitionGesture);
+        }
+        BuiltInGestures.ShapeRecognizer = ShapeRecognizer;
         /**
-         * Returns the latest pointerMove event for the specified pointer type (eg. "{P1}", "touch:2").
-         * @param {string} pointerType A pointer type.
-         * @returns {PointerEvent} Result.
+         * Creates a multi-stroke shape-recognizer Gesture. Each stroke is drawn as an Ink, and consecutive strokes are grouped together until either no new stroke
+         * is started within 'interStrokeTimeoutInMs', or a new stroke starts too far away (more than 'maxInterStrokeDistance') from the existing strokes in the group.
+         * The group is then recognized using MIL.RecognizeMultiStrokeShape(), so templates must first be added (with MIL.AddMultiStrokeTemplate()) for the shapes to be recognized.
+         * Note: The Inks are not deleted after being recognized (or not recognized): onShapeRecognized is responsible for deleting them (if needed).
+         * @param {string} gestureName The name of the Gesture.
+         * @param {TargetDomElement} targetElement The DOM element the Gesture will target.
+         * @param {string} pointerType A pointer type. If more than one pointer is specified, only {P1} will be used.
+         * @param {number} minScore The minimum score (0..1) of the match to trigger recognition.
+         * @param {MultiStrokeShapeRecognizedHandler} onShapeRecognized A handler called when the shape is recognized.
+         * @param {string} [inkClassName] [Optional] The CSS class to use to draw the strokes.
+         * @param {ShapeID[]} [shapeList] [Optional] The list of shapes to be recognized. Note: Providing a shapeList helps to reduce false-positives (misrecognitions).
+         * @param {number} [interStrokeTimeoutInMs] [Optional] The maximum time (after a stroke ends) to wait for the next stroke in the group to start.
+         * @param {number} [maxInterStrokeDistance] [Optional] The maximum distance (in SVG coordinate space) between the bounding rectangle of a new stroke and the bounding rectangle of the existing strokes in the group.
+         * @returns {Gesture} Result.
          */
-        Gesture.prototype.GetCurrentEvent = function (pointerType) {
-            var e = MIL.getLatestPointerMoveEvent(this.GetPointerID(pointerType), this.Target());
-            return (e);
-        };
-        Gesture.prototype.Ink = function (pointerType) {
-            if (pointerType === undefined) {
-                return (this._ink);
+        function MultiStrokeShapeRecognizer(gestureName, targetElement, pointerType, minScore, onShapeRecognized, inkClassName, shapeList, interStrokeTimeoutInMs, maxInterStrokeDistance) {
+            if (interStrokeTimeoutInMs === void 0) { interStrokeTimeoutInMs = 800; }
+            if (maxInterStrokeDistance === void 0) { maxInterStrokeDistance = 50; }
+            gestureName = ensureNameCanBeMadeUnique(gestureName);
+            if (shapeList) {
+                shapeList.forEach(function (v, i) {
+                    if (MIL.GetMultiStrokeTemplateCount(v) === 0) {
+                        throw new MIL.MILException("shapeList[" + i + "] (" + v + ") has no multi-stroke templates");
+                    }
+                });
             }
-            else {
-                var pointerID = this.GetPointerID(pointerType);
-                var e = MIL.getPointerDownEvent(pointerID, this.Target());
-                if (MIL._inkCompletePathPointData[pointerID] !== undefined) {
-                    throw new MIL.MILException("Inking has already started for gesture '" + this.Name() + "'");
+            var timerID = -1;
+            var groupInks = [];
+            var groupBoundingRect = null;
+            // Note: Local function
+            function recognizeGroup(gesture) {
+                // Exclude Inks that were deleted (or combined) while the group was being drawn
+                var inks = groupInks.filter(function (ink) { return (MIL._inks.indexOf(ink) !== -1); });
+                timerID = -1;
+                groupInks = [];
+                groupBoundingRect = null;
+                if (inks.length > 0) {
+                    var strokes = inks.map(function (ink) { return (ink.PathPoints()); });
+                    var candidates = MIL.RecognizeMultiStrokeShape(strokes, minScore, shapeList);
+                    if (onShapeRecognized && (candidates.length > 0)) {
+                        onShapeRecognized.call(gesture, candidates[0].id, inks, candidates);
+                    }
                 }
-                MIL._inkCurrentPathPointData[pointerID] = []; // Reset point data
-                MIL._inkCompletePathPointData[pointerID] = []; // Reset point data
-                this._ink = new MIL.Ink(pointerID).ParentGesture(this);
-                return (this._ink);
             }
-        };
+            var multiStrokeRecognitionGesture = MIL.CreateGesture(gestureName, true)
+                .Target(targetElement)
+                .PointerType(pointerType)
+                .GestureStartedHandler(function () {
+                var gesture = this;
+                var ink = gesture.Ink("{P1}");
+                // The group is still "open", so don't let the timer recognize it while the new stroke is being drawn
+                if (timerID !== -1) {
+                    clearTimeout(timerID);
+                    timerID = -1;
+                }
+                if (inkClassName) {
+                    ink.Class(inkClassName);
+                }
+                ink.Start();
+            })
+                .GestureEndedHandler(function () {
+                var gesture = this;
+                var ink = gesture.Ink();
+                var strokeBoundingRect = MIL.Utils.GetBoundingRectForPoints(ink.PathPoints());
+                if (groupBoundingRect) {
+                    // The distance between the two rects (0 if they overlap)
+                    var deltaX = Math.max(0, groupBoundingRect.x - (strokeBoundingRect.x + strokeBoundingRect.width), strokeBoundingRect.x - (groupBoundingRect.x + groupBoundingRect.width));
+                    var deltaY = Math.max(0, groupBoundingRect.y - (strokeBoundingRect.y + strokeBoundingRect.height), strokeBoundingRect.y - (groupBoundingRect.y + groupBoundingRect.height));
+                    if (Math.sqrt((deltaX * deltaX) + (deltaY * deltaY)) > maxInterStrokeDistance) {
+                        // The new stroke is too far away to be part of the existing group, so recognize the existing group and start a new one
+                        recognizeGroup(gesture);
+                    }
+                }
+                groupInks.push(ink);
+                groupBoundingRect = groupBoundingRect ? MIL.Utils.GetBoundingRectForPoints(MIL.Utils.GetPointsFromRect(groupBoundingRect).concat(MIL.Utils.GetPointsFromRect(strokeBoundingRect))) : strokeBoundingRect;
+                timerID = setTimeout(function () {
+                    recognizeGroup(gesture);
+                }, interStrokeTimeoutInMs);
+            })
+                .GestureCancelledHandler(function () {
+                var gesture = this;
+                // Since the timer was cleared when the [now cancelled] stroke started, restart it so that the existing group still gets recognized
+                if (groupInks.length > 0) {
+                    timerID = setTimeout(function () {
+                        recognizeGroup(gesture);
+                    }, interStrokeTimeoutInMs);
+                }
+            });
+            return (multiStrokeRecognitionGesture);
+        }
+        BuiltInGestures.MultiStrokeShapeRecognizer = MultiStrokeShapeRecognizer;
         /**
-         * [Internal] Sets the latest Ink created by the Gesture.
-         * @param {Ink | null} newInk An Ink instance (or null) to be assigned to the Gesture.
-         * @internal
+         * Creates a radial-swipe Gesture.
+         * @param {string} gestureName The name of the Gesture.
+         * @param {TargetDomElement} targetElement The DOM element the Gesture will target.
+         * @param {string} pointerType A pointer type. If more than one pointer is specified, only {P1} will be used.
+         * @param {number} numRadialSegments The number of radial segments to quantize the gesture into.
+         * @param {number} minDistance The minumum distance (in pixels) of the swipe for it to be recognized.
+         * @param {RadialSwipeHandler} onSwipe A handler called when the swipe is recognized.
+         * @param {function(): string} [getCometTailClassName] [Optional] A function that returns the name of a CSS class used to draw a 'comet tail' for the radial gesture.
+         * @returns {Gesture} Result.
          */
-        Gesture.prototype.ink = function (newInk) {
-            this._ink = newInk;
-        };
+        function RadialSwipe(gestureName, targetElement, pointerType, numRadialSegments, minDistance, onSwipe, getCometTailClassName) {
+            gestureName = ensureNameCanBeMadeUnique(gestureName);
+            var radialSwipeGesture = MIL.CreateGesture(gestureName, true)
+                .Target(targetElement)
+                .PointerType(pointerType)
+                .GestureStartedHandler(function () {
+                var gesture = this;
+                var cometTailClassName = (getCometTailClassName && getCometTailClassName()) ? getCometTailClassName() : "";
+                gesture.Ink("{P1}").IsNonDrawing(true).CometTailClass(cometTailClassName).CometTailDurationInMs(200).Start();
+            })
+                .GestureEndedHandler(function () {
+                var gesture = this;
+                var ink = gesture.Ink();
+                var swipeResult = MIL.RecognizeRadialSwipe(ink.PathPoints(), numRadialSegments, minDistance);
+                if (swipeResult && onSwipe) {
+                    onSwipe.call(gesture, swipeResult);
+                }
+            });
+            return (radialSwipeGesture);
+        }
+        BuiltInGestures.RadialSwipe = RadialSwipe;
         /**
-         * Combines the supplied Inks into a single Ink, which will have a new [convex] hull that covers the combined Ink paths.
-         * Returns the new (combined) Ink instance, or null if inksToCombine is empty.
-         * @param {Ink[]} inksToCombine The array of Inks to combine.
-         * @param {string} className The name of the CSS class to apply to the combined ink.
-         * @param {boolean} [makeInkPathMatchHull] [Optional] When true, the path of the new ink will match the new [convex] hull [eg. when combining 2 paths that are "grouping containers"]
-         * @returns {Ink | null} The resulting [new] combined Ink.
+         * Creates a circular-dial Gesture that detects changes in angle (eg. rotation) around the center of the specified targetElement.
+         * @param {string} gestureName The name of the Gesture.
+         * @param {TargetDomElement} targetElement The DOM element the Gesture will target.
+         * @param {string} pointerType A pointer type.
+         * @param {AngleChangedHandler} onAngleChanged A handler called each time the angle changes (ie. the pointer moves resulting in a different angle).
+         * @returns {Gesture} Result.
          */
-        Gesture.prototype.CombineInks = function (inksToCombine, className, makeInkPathMatchHull) {
-            if (inksToCombine.length === 0) {
-                return (null);
-            }
-            var svgInfo = MIL.getSvgInfo(inksToCombine[0].Path());
-            var dInk = "", dHull = "";
-            var allPathPointArrays = []; // Array of arrays of {x, y} points
-            var allVertices = []; // Array of [x, y] arrays
-            var resizeGesturePointerType = "";
-            var onResizeCompleteHandler = null;
-            var inkCount = 0;
-            inksToCombine.forEach(function (ink) {
-                var pathDomElement = ink.Path().node();
-                var inkPathPointsCollection = pathDomElement.__MILPathPointsCollection__;
-                dInk += pathDomElement.getAttribute("d");
-                var _loop_2 = function (i) {
-                    var pathPoints = inkPathPointsCollection[i];
-                    var vertices = d3.range(pathPoints.length).map(function (d) { return ([pathPoints[d].x, pathPoints[d].y]); });
-                    allPathPointArrays.push(pathPoints);
-                    allVertices = allVertices.concat(vertices);
-                };
-                for (var i = 0; i < inkPathPointsCollection.length; i++) {
-                    _loop_2(i);
-                }
-                // If ANY of the combined inks allows resizing, then so will the new combined ink
-                if (ink.ResizeWith()) {
-                    resizeGesturePointerType = ink.ResizeWith();
-                    onResizeCompleteHandler = ink.OnResizeCompleteHandler();
-                }
-                ink.Delete();
-                inkCount++;
+        function CircularDial(gestureName, targetElement, pointerType, onAngleChanged) {
+            gestureName = ensureNameCanBeMadeUnique(gestureName);
+            var previousHeading = -361; // PORT: This variable was added.
+            var circularDialGesture = MIL.CreateGesture(gestureName, true)
+                .Target(targetElement)
+                .PointerType(pointerType)
+                .GestureStartedHandler(function () {
+                var gesture = this;
+                gesture.OnMoveHandler(function () {
+                    var centroidPoint = MIL.Utils.GetCentroidPoint(gesture.Target());
+                    var heading = MIL.Utils.GetHeadingFromPoints(centroidPoint, gesture.GetCurrentSvgPoint("{P1}"));
+                    if (onAngleChanged && (previousHeading !== heading)) {
+                        onAngleChanged.call(gesture, heading);
+                    }
+                    previousHeading = heading;
+                });
             });
-            var inkPath = svgInfo.gSelection.append("path");
-            var hullPath = svgInfo.gSelection.append("path"); // Must add this AFTER adding the [new] inkPath (so that the Hull's z-order is higher)
-            var hullVertices = d3.polygonHull(allVertices); // Produces a convex hull
-            var hullPoints = MIL.Utils.ConvertXYPointsToPoints(hullVertices);
-            var hullColor = inksToCombine[0].HullColor();
-            // Note: We don't simply use _inkLineGenerator to create the hull 'd' in order to match how the hullPath
-            //       is created in ink_consolidatePaths() [and how it's subsequently processed by translateHullPath()]
-            for (var i = 0; i < hullPoints.length; i++) {
-                dHull += (!dHull ? "M " : " L ") + hullPoints[i].x + " " + hullPoints[i].y;
-            }
-            hullPath.attr("d", dHull);
-            hullPath.node().style.stroke = hullPath.node().style.fill = hullColor;
-            hullPath.node().style.strokeWidth = "1px";
-            hullPath.classed("MILInkHullPath", true); // Just to make it easier to find the hulls using CSS selector syntax ("path.MILInkHullPath")
-            if (makeInkPathMatchHull) {
-                // Re-create the inkPath to match the new [convex] hull
-                inkPath.attr("d", dHull + "Z");
-                // Re-sample the inkPath [so the "density" of __MILPathPointsCollection__ remains high enough that intersection
-                // detection (ie. detecting if points of the new inkPath are inside another region) continues to work well]
-                var sampledHullPoints = MIL.Utils.SamplePointsFromPath(inkPath.node(), false, 5);
-                if (sampledHullPoints.length > hullPoints.length) {
-                    dHull = "";
-                    for (var i = 0; i < sampledHullPoints.length; i++) {
-                        dHull += (!dHull ? "M " : " L ") + sampledHullPoints[i].x + " " + sampledHullPoints[i].y;
+            return (circularDialGesture);
+        }
+        BuiltInGestures.CircularDial = CircularDial;
+        /**
+         * [Private Method] If needed, modifies the supplied gestureName so that it can be made unique.
+         * @param {string} gestureName A Gesture name.
+         * @returns {string} Result.
+         */
+        function ensureNameCanBeMadeUnique(gestureName) {
+            if (gestureName[gestureName.length - 1] !== "*") {
+                gestureName += "*"; // The '*' will get replaced with a unique ID by CreateGesture()
+            }
+            return (gestureName);
+        }
+    })(BuiltInGestures = MIL.BuiltInGestures || (MIL.BuiltInGestures = {}));
+})(MIL || (MIL = {}));
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT license.
+var MIL;
+(function (MIL) {
+    /** The version of the SerializedInkDocument format written by MIL.SerializeInks(). */
+    var SERIALIZED_INK_DOCUMENT_VERSION = 7;
+    /**
+     * Serializes all the Inks on the specified <svg> to a [versioned] JSON document. Use MIL.DeserializeInks() to re-create the Inks.
+     * Note: Gestures (and event handlers) associated with the Inks are not serialized, with the exception of the resize gesture (see Ink.ResizeWith()).
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) whose Inks should be serialized.
+     * @returns {string} The JSON document (a serialized SerializedInkDocument).
+     */
+    function SerializeInks(svg) {
+        var svgInfo = getInitializedSvgInfo(svg);
+        if (MIL.IsInkDragInProgress()) {
+            throw new MIL.MILException("Inks cannot be serialized while an Ink is being dragged");
+        }
+        var inks = getInksInZOrder(svgInfo);
+        var inkDocument = createInkDocument(inks);
+        MIL.log(inks.length + " Inks serialized");
+        return (JSON.stringify(inkDocument));
+    }
+    MIL.SerializeInks = SerializeInks;
+    /**
+     * [Internal] Returns a SerializedInkDocument (of the latest version) containing the supplied Inks.
+     * @param {Ink[]} inks The [completed] Inks, in z-order (bottom-most first).
+     * @returns {SerializedInkDocument} Result.
+     * @internal
+     */
+    function createInkDocument(inks) {
+        return ({
+            version: SERIALIZED_INK_DOCUMENT_VERSION,
+            inks: inks.map(function (ink) { return (ink.serialize()); })
+        });
+    }
+    MIL.createInkDocument = createInkDocument;
+    /**
+     * Re-creates the Inks in the supplied JSON document (created by MIL.SerializeInks()) on the specified <svg>. The new Inks are added above any existing Inks (in the active layer, if any; see MIL.Layers()).
+     * Each Ink will have a HullPath() (if the serialized Ink had one) and can be dragged (see Ink.DragStart()) and resized (see Ink.ResizeWith()), but any other
+     * Gestures that target the Inks (eg. a drag Gesture) must be re-added by the caller.
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to add the Inks to.
+     * @param {string | SerializedInkDocument} json The JSON document (or the already parsed SerializedInkDocument).
+     * @param {boolean} [deleteExistingInks] [Optional] Whether to first delete all existing Inks on the <svg>.
+     * @returns {Ink[]} The re-created Inks (in z-order).
+     */
+    function DeserializeInks(svg, json, deleteExistingInks) {
+        if (deleteExistingInks === void 0) { deleteExistingInks = false; }
+        var svgInfo = getInitializedSvgInfo(svg);
+        var inkDocument = parseInkDocument(json);
+        var inkContainer = MIL.getInkContainer(svgInfo); // Note: Throws if the active layer is locked or hidden
+        var rehydratedInks = [];
+        svgInfo.history.BeginTransaction("DeserializeInks");
+        try {
+            if (deleteExistingInks) {
+                MIL.Inks().forEach(function (ink) {
+                    if (svgInfo.gDomElement.contains(ink.Path().node())) {
+                        ink.Delete();
                     }
-                    inkPath.attr("d", dHull + "Z");
-                    hullPoints = sampledHullPoints;
-                }
-                inkPath.node().__MILPathPointsCollection__ = [hullPoints];
+                });
             }
-            else {
-                inkPath.attr("d", dInk);
-                inkPath.node().__MILPathPointsCollection__ = allPathPointArrays;
-            }
-            inkPath.classed("MILInkPath", true).classed(className, true); // We add the 'MILInkPath' class just to make it easier to find the ink paths using CSS selector syntax ("path.MILInkPath") 
-            // "tag" the hull with its corresponding ink path
-            hullPath.node().__MILAssociatedInkPath__ = inkPath;
-            var newInk = new MIL.Ink(null).Class(className).ParentGesture(this).IsNonDrawing(false).HullType(MIL.InkHullType.Convex).HullColor(hullColor);
-            newInk.setHullAndPath(hullPath, inkPath, hullPoints); // Port: Added
-            // If needed, ensure re-creation of the resize gesture
-            if (resizeGesturePointerType) {
-                newInk.ResizeWith(resizeGesturePointerType);
-                newInk.OnResizeCompleteHandler(onResizeCompleteHandler);
+            inkDocument.inks.forEach(function (serializedInk) {
+                rehydratedInks.push(new MIL.Ink(null).rehydrate(inkContainer, serializedInk));
+            });
+        }
+        finally {
+            svgInfo.history.EndTransaction();
+        }
+        MIL.log(rehydratedInks.length + " Inks deserialized");
+        return (rehydratedInks);
+    }
+    MIL.DeserializeInks = DeserializeInks;
+    /**
+     * [Internal] Returns the supplied JSON document (created by MIL.SerializeInks()) as a SerializedInkDocument, throwing if it's not a valid [and supported] document.
+     * @param {string | SerializedInkDocument} json The JSON document (or the already parsed SerializedInkDocument).
+     * @returns {SerializedInkDocument} Result.
+     * @internal
+     */
+    function parseInkDocument(json) {
+        var inkDocument = null;
+        if (typeof json === "string") {
+            try {
+                inkDocument = JSON.parse(json);
             }
-            this._ink = newInk;
-            MIL._inks.push(newInk); // Note: Must be explicitly removed via Ink.Delete()
-            MIL.log(allPathPointArrays.length + " Ink paths combined by gesture '" + this.Name() + "'");
-            return (newInk);
-        };
-        /**
-         * Cancels (stops) the Gesture (if it's active).
-         * @param {string} reason The reason why the gesture was cancelled.
-         */
-        Gesture.prototype.Cancel = function (reason) {
-            if (!this.IsActive()) {
-                // It's OK to cancel an inactive gesture: setting a gesture as cancelled is how recognizeGesture() [et al] flags certain gestures to be skipped
+            catch (error) {
+                throw new MIL.MILException("The supplied document is not valid JSON (reason: " + error.message + ")");
             }
-            this._isCancelled = true;
-            // Note: We don't reset this._activePointerList here, we'll let the normal removePointer() pathway do that
-            // Is the gesture currently in the process of creating an Ink?
-            if ((this._ink !== null) && (this._ink.Path() === null)) {
-                this._ink.Cancel();
-                this._ink = null;
+        }
+        else {
+            inkDocument = json;
+        }
+        if (!inkDocument || (typeof inkDocument.version !== "number") || !Array.isArray(inkDocument.inks)) {
+            throw new MIL.MILException("The supplied document is not a serialized Ink document");
+        }
+        if (inkDocument.version > SERIALIZED_INK_DOCUMENT_VERSION) {
+            throw new MIL.MILException("The supplied document has an unsupported version (" + inkDocument.version + "); the latest supported version is " + SERIALIZED_INK_DOCUMENT_VERSION);
+        }
+        inkDocument.inks.forEach(function (serializedInk, i) {
+            var isValid = Array.isArray(serializedInk.pathPointsCollection) && (serializedInk.pathPointsCollection.length > 0) &&
+                serializedInk.pathPointsCollection.every(function (points) { return (Array.isArray(points) && (points.length > 0)); }) &&
+                (MIL.InkHullType[serializedInk.hullType] !== undefined) &&
+                (!serializedInk.renderMode || (MIL.InkRenderMode[serializedInk.renderMode] !== undefined)) &&
+                (!serializedInk.curve || (MIL.InkCurve[serializedInk.curve] !== undefined)) &&
+                (!serializedInk.constituents || (Array.isArray(serializedInk.constituents) &&
+                    (serializedInk.constituents.reduce(function (lineCount, constituent) { return (lineCount + constituent.lineCount); }, 0) === serializedInk.pathPointsCollection.length)));
+            if (!isValid) {
+                throw new MIL.MILException("inks[" + i + "] (" + serializedInk.id + ") in the supplied document is not a valid serialized Ink");
+            }
+        });
+        return (inkDocument);
+    }
+    MIL.parseInkDocument = parseInkDocument;
+    /** The [presentation] style properties that MIL.ExportSvg() inlines from the computed style of each exported element. */
+    var EXPORTED_STYLE_PROPERTIES = ["fill", "fill-opacity", "fill-rule", "stroke", "stroke-width", "stroke-opacity", "stroke-linecap", "stroke-linejoin", "stroke-dasharray",
+        "stroke-dashoffset", "opacity", "mix-blend-mode", "visibility", "display", "font-family", "font-size", "font-weight", "font-style", "text-anchor"];
+    /**
+     * Exports the contents of the root <g> element (see MIL.Initialize()) of the specified <svg> as a standalone SVG document.
+     * Styles applied via CSS classes (eg. an Ink.Class() or an Ink.EraserClass()) are inlined, and controls (eg. the RulerControl) and Ink hulls are excluded.
+     * Any markers referenced by the exported elements (eg. the arrowheads of an Ink, see Ink.Decoration()) are included.
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to export.
+     * @param {boolean} [flattenTransform] [Optional] When true, the current pan/zoom transform is applied directly to the coordinates (and line thickness) of
+     * exported Ink paths, rather than being exported as a transform on the root <g> element. Other elements keep the transform, but in a wrapping <g> element.
+     * @returns {string} The SVG document (as a string).
+     */
+    function ExportSvg(svg, flattenTransform) {
+        if (flattenTransform === void 0) { flattenTransform = false; }
+        var svgInfo = getInitializedSvgInfo(svg);
+        if (MIL.IsInkDragInProgress()) {
+            throw new MIL.MILException("An SVG cannot be exported while an Ink is being dragged");
+        }
+        var exportedSvg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+        var exportedG = document.createElementNS("http://www.w3.org/2000/svg", "g");
+        var matrix = MIL.getPanZoomMatrix(svgInfo);
+        exportedSvg.setAttribute("width", svgInfo.svgWidth.toString());
+        exportedSvg.setAttribute("height", svgInfo.svgHeight.toString());
+        exportedSvg.setAttribute("viewBox", "0 0 " + svgInfo.svgWidth + " " + svgInfo.svgHeight);
+        exportedSvg.appendChild(exportedG);
+        if (!flattenTransform) {
+            exportedG.setAttribute("transform", getMatrixTransform(matrix));
+        }
+        exportChildElements(svgInfo.gDomElement, exportedG, flattenTransform ? matrix : null);
+        exportReferencedMarkers(exportedSvg);
+        MIL.log("SVG exported (" + exportedG.childNodes.length + " top-level elements)");
+        return (new XMLSerializer().serializeToString(exportedSvg));
+    }
+    MIL.ExportSvg = ExportSvg;
+    /**
+     * [Private Method] Copies the child nodes of 'sourceElement' to 'targetElement', inlining the computed style of each element, and excluding MIL controls, Ink hulls and in-progress Inks.
+     * @param {Element} sourceElement The element whose child nodes will be copied.
+     * @param {Element} targetElement The element to copy the child nodes to.
+     * @param {DOMMatrix} flattenMatrix The pan/zoom transform to apply to top-level Ink paths, or null to not apply any transform.
+     */
+    function exportChildElements(sourceElement, targetElement, flattenMatrix) {
+        for (var i = 0; i < sourceElement.childNodes.length; i++) {
+            var sourceNode = sourceElement.childNodes[i];
+            if (!(sourceNode instanceof Element)) {
+                // Eg. the content of a <text> element
+                targetElement.appendChild(sourceNode.cloneNode(false));
+                continue;
             }
-            MIL.log("Gesture '" + this.Name() + "' cancelled (reason: " + (reason || "[None]") + ")");
-            if (this.GestureCancelledHandler() !== null) {
-                this.GestureCancelledHandler().call(this, (reason !== undefined) ? reason : null);
+            var sourceDomElement = sourceNode;
+            var isExcluded = sourceDomElement.__MILIsControl__ || sourceDomElement.classList.contains("MILInkHullPath") ||
+                sourceDomElement.classList.contains("MILSelectionAdorner") ||
+                sourceDomElement.hasAttribute("data-pointerID") || // The constituent paths of an in-progress Ink
+                (sourceDomElement.__transition !== undefined); // Eg. a fading 'comet tail' path
+            if (isExcluded) {
+                continue;
             }
-            if (this._onMoveHandler !== null) {
-                this._targetDomElement.removeEventListener("pointermove", this._onMoveHandler);
-                this._onMoveHandler = null;
+            var exportedElement = cloneWithComputedStyle(sourceDomElement);
+            var computedStyle = window.getComputedStyle(sourceDomElement);
+            var isInkPath = sourceDomElement.classList.contains("MILInkPath") && (sourceDomElement.__MILPathPointsCollection__ !== undefined) && (MIL.GetInkByElement(sourceDomElement) !== null);
+            exportChildElements(sourceDomElement, exportedElement, null);
+            if (flattenMatrix) {
+                if (isInkPath) {
+                    var pathPointsCollection = sourceDomElement.__MILPathPointsCollection__;
+                    var transformedPathPointsCollection = pathPointsCollection.map(function (pathPoints) { return (pathPoints.map(function (point) { return (transformPoint(point, flattenMatrix)); })); });
+                    var strokeWidth = MIL.Utils.ToNumber(computedStyle.strokeWidth) * flattenMatrix.a; // Note: The pan/zoom transform is never skewed/rotated, so 'a' is the zoom level
+                    exportedElement.setAttribute("d", MIL.GetInkByElement(sourceDomElement).getPathData(transformedPathPointsCollection, strokeWidth));
+                    exportedElement.style.strokeWidth = strokeWidth + "px";
+                }
+                else {
+                    var transformG = document.createElementNS("http://www.w3.org/2000/svg", "g");
+                    transformG.setAttribute("transform", getMatrixTransform(flattenMatrix));
+                    transformG.appendChild(exportedElement);
+                    exportedElement = transformG;
+                }
             }
-            this.ReleasePointerCapture();
-        };
-        /**
-         * [Private Method] Returns true if a permutation of targetPointerType [other than itself] exists in pointerTypePermutations.
-         * @param {string} targetPointerType A pointer type (eg. "pen+touch")
-         * @param {string[]} pointerTypePermutations An array of pointer types (eg. ["touch+pen", "pen+touch"]).
-         * @returns {boolean} Result.
-         */
-        Gesture.prototype.isExistingPointerTypePermutation = function (targetPointerType, pointerTypePermutations) {
-            var permutationExists = false;
-            var targetGroups = targetPointerType.split("+");
-            var targetIndex = pointerTypePermutations.indexOf(targetPointerType);
-            for (var i = 0; i < pointerTypePermutations.length; i++) {
-                var groups = pointerTypePermutations[i].split("+");
-                if ((i === targetIndex) || (targetGroups.length !== groups.length)) {
-                    continue;
+            targetElement.appendChild(exportedElement);
+        }
+    }
+    /**
+     * [Private Method] Adds a <defs> element to the supplied exported <svg> that contains a copy of each <marker> element referenced by the exported elements (eg. the arrowheads of an Ink, see InkDecoration).
+     * @param {SVGSVGElement} exportedSvg The exported <svg> element.
+     */
+    function exportReferencedMarkers(exportedSvg) {
+        var exportedDefs = null;
+        var exportedMarkerIDs = [];
+        var referencingElements = Array.prototype.slice.call(exportedSvg.querySelectorAll("[marker-start], [marker-end]"));
+        referencingElements.forEach(function (element) {
+            ["marker-start", "marker-end"].forEach(function (attributeName) {
+                var match = (element.getAttribute(attributeName) || "").match(/^url\(#(.+)\)$/);
+                var markerDomElement = match ? document.getElementById(match[1]) : null;
+                if ((markerDomElement === null) || (exportedMarkerIDs.indexOf(match[1]) !== -1)) {
+                    return;
                 }
-                for (var g = 0; g < targetGroups.length; g++) {
-                    var matchIndex = groups.indexOf(targetGroups[g]);
-                    if (matchIndex !== -1) {
-                        groups.splice(matchIndex, 1);
-                    }
+                if (exportedDefs === null) {
+                    exportedDefs = document.createElementNS("http://www.w3.org/2000/svg", "defs");
+                    exportedSvg.insertBefore(exportedDefs, exportedSvg.firstChild);
+                }
+                var exportedMarker = cloneWithComputedStyle(markerDomElement);
+                exportChildElements(markerDomElement, exportedMarker, null);
+                exportedDefs.appendChild(exportedMarker);
+                exportedMarkerIDs.push(match[1]);
+            });
+        });
+    }
+    /**
+     * [Private Method] Returns a [shallow] copy of the supplied element, without its 'class' attribute but with its computed style inlined (see EXPORTED_STYLE_PROPERTIES).
+     * @param {DomElement} sourceDomElement The element to copy.
+     * @returns {Element} Result.
+     */
+    function cloneWithComputedStyle(sourceDomElement) {
+        var exportedElement = sourceDomElement.cloneNode(false);
+        var computedStyle = window.getComputedStyle(sourceDomElement);
+        exportedElement.removeAttribute("class");
+        EXPORTED_STYLE_PROPERTIES.forEach(function (propertyName) {
+            var value = computedStyle.getPropertyValue(propertyName);
+            if (value) {
+                exportedElement.style.setProperty(propertyName, value);
+            }
+        });
+        return (exportedElement);
+    }
+    /**
+     * [Internal] Returns a standalone SVG document (as a string) that contains just the paths of the supplied Inks (in the supplied order), with their styles inlined.
+     * The document's viewBox is the area covered by the Inks, so the Inks keep their svg coordinates and the current pan/zoom is not applied. Used by MIL.Clipboard.
+     * @param {Ink[]} inks The [completed] Inks to export.
+     * @returns {string} Result.
+     * @internal
+     */
+    function exportInksSvg(inks) {
+        var exportedSvg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+        var allPathPoints = [];
+        var maxStrokeWidth = 0;
+        inks.forEach(function (ink) {
+            var pathDomElement = ink.Path().node();
+            exportedSvg.appendChild(cloneWithComputedStyle(pathDomElement));
+            allPathPoints = allPathPoints.concat([].concat.apply([], pathDomElement.__MILPathPointsCollection__));
+            maxStrokeWidth = Math.max(maxStrokeWidth, MIL.Utils.ToNumber(window.getComputedStyle(pathDomElement).strokeWidth));
+        });
+        exportReferencedMarkers(exportedSvg);
+        var boundingRect = MIL.Utils.GetBoundingRectForPoints(allPathPoints);
+        var x = boundingRect.x - (maxStrokeWidth / 2);
+        var y = boundingRect.y - (maxStrokeWidth / 2);
+        var width = boundingRect.width + maxStrokeWidth;
+        var height = boundingRect.height + maxStrokeWidth;
+        exportedSvg.setAttribute("width", width.toString());
+        exportedSvg.setAttribute("height", height.toString());
+        exportedSvg.setAttribute("viewBox", [x, y, width, height].join(" "));
+        return (new XMLSerializer().serializeToString(exportedSvg));
+    }
+    MIL.exportInksSvg = exportInksSvg;
+    /**
+     * [Private Method] Returns the supplied DOMMatrix as the value of an SVG 'transform' attribute.
+     * @param {DOMMatrix} matrix A matrix.
+     * @returns {string} Result.
+     */
+    function getMatrixTransform(matrix) {
+        return ("matrix(" + [matrix.a, matrix.b, matrix.c, matrix.d, matrix.e, matrix.f].join(" ") + ")");
+    }
+    /**
+     * [Private Method] Returns the supplied point transformed by the supplied matrix.
+     * @param {Point} point The point to transform.
+     * @param {DOMMatrix} matrix The matrix to transform by.
+     * @returns {Point} Result.
+     */
+    function transformPoint(point, matrix) {
+        return ({ x: (matrix.a * point.x) + (matrix.c * point.y) + matrix.e, y: (matrix.b * point.x) + (matrix.d * point.y) + matrix.f });
+    }
+    /**
+     * Imports the <path> elements in the supplied SVG document as Inks on the specified <svg>. Each Ink gets a [convex] hull so that it can be dragged, resized and combined
+     * like any other Ink (see Ink.DragStart(), Ink.ResizeWith() and Gesture.CombineInks()). The stroke, stroke-width and [for a closed path] fill of each <path> are preserved, unless a 'className' is supplied.
+     * Note: Transforms in the supplied SVG document (on the <path> elements or their ancestors) are not applied.
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to add the Inks to.
+     * @param {string} svgDocument The SVG document (as a string) to import, eg. as produced by MIL.ExportSvg().
+     * @param {string} [className] [Optional] The CSS class to apply to the imported Inks.
+     * @param {string} [hullColor] [Optional] The color to use to draw the hull for the imported Inks. See Ink.HullColor().
+     * @returns {Ink[]} The imported Inks (in z-order).
+     */
+    function ImportSvgPaths(svg, svgDocument, className, hullColor) {
+        if (hullColor === void 0) { hullColor = "transparent"; }
+        var svgInfo = getInitializedSvgInfo(svg);
+        var parsedDocument = parseSvgDocument(svgDocument);
+        var inkContainer = MIL.getInkContainer(svgInfo); // Note: Throws if the active layer is locked or hidden
+        var importedInks = [];
+        var sourcePaths = Array.prototype.slice.call(parsedDocument.getElementsByTagName("path"));
+        svgInfo.history.BeginTransaction("ImportSvgPaths");
+        try {
+            sourcePaths.forEach(function (sourcePath) {
+                var d = sourcePath.getAttribute("d");
+                if (!d) {
+                    return;
                 }
-                if (groups.length === 0) {
-                    permutationExists = true;
-                    break;
+                // Note: The path is only added temporarily (so that it can be sampled)
+                var sourcePathCopy = d3.select(inkContainer).append("path").attr("d", d);
+                var sampledPoints = MIL.Utils.SamplePointsFromPath(sourcePathCopy.node(), false, 5);
+                sourcePathCopy.remove();
+                if (sampledPoints.length === 0) {
+                    return;
                 }
+                var stroke = getSourcePresentationValue(sourcePath, "stroke");
+                var strokeWidth = getSourcePresentationValue(sourcePath, "stroke-width");
+                var fill = getSourcePresentationValue(sourcePath, "fill");
+                var serializedInk = {
+                    id: "",
+                    className: className || "",
+                    strokeColor: className ? "" : (stroke || "black"),
+                    strokeWidth: className ? "" : (strokeWidth || "4px"),
+                    eraserClassName: "",
+                    hullType: MIL.InkHullType[MIL.InkHullType.Convex],
+                    hullColor: hullColor,
+                    scale: 1,
+                    isEraser: false,
+                    isClosed: /Z\s*$/i.test(d),
+                    resizeWith: "",
+                    pathPointsCollection: [sampledPoints.map(function (point) { return ({ x: point.x, y: point.y }); })],
+                    isLinearCollection: [true],
+                    combinedOutlinePathPoints: null,
+                    decoration: { dashArray: "", startArrowhead: MIL.InkArrowhead[MIL.InkArrowhead.None], endArrowhead: MIL.InkArrowhead[MIL.InkArrowhead.None], lineCap: "", lineJoin: "", fill: (!className && (fill !== "none")) ? fill : "" }
+                };
+                var ink = new MIL.Ink(null).rehydrate(inkContainer, serializedInk);
+                importedInks.push(ink);
+            });
+        }
+        finally {
+            svgInfo.history.EndTransaction();
+        }
+        MIL.log(importedInks.length + " Inks imported from SVG");
+        return (importedInks);
+    }
+    MIL.ImportSvgPaths = ImportSvgPaths;
+    /**
+     * [Internal] Returns the supplied SVG document (as a string) as a parsed Document, throwing if it's not a valid SVG document.
+     * @param {string} svgDocument The SVG document (as a string).
+     * @returns {Document} Result.
+     * @internal
+     */
+    function parseSvgDocument(svgDocument) {
+        var parsedDocument = new DOMParser().parseFromString(svgDocument, "image/svg+xml");
+        if ((parsedDocument.documentElement.nodeName !== "svg") || (parsedDocument.getElementsByTagName("parsererror").length > 0)) {
+            throw new MIL.MILException("The supplied svgDocument is not a valid SVG document");
+        }
+        return (parsedDocument);
+    }
+    MIL.parseSvgDocument = parseSvgDocument;
+    /**
+     * [Private Method] Returns the value of the specified presentation property (eg. "stroke") of the supplied element, from either its inline style or its attributes. Returns "" if not set.
+     * @param {Element} element An element.
+     * @param {string} propertyName The name of a presentation property.
+     * @returns {string} Result.
+     */
+    function getSourcePresentationValue(element, propertyName) {
+        var styleValue = element.style ? element.style.getPropertyValue(propertyName) : "";
+        return (styleValue || element.getAttribute(propertyName) || "");
+    }
+    /** The namespace of InkML (see https://www.w3.org/TR/InkML/). */
+    var INKML_NAMESPACE = "http://www.w3.org/2003/InkML";
+    /** The InkML channels that InkSampleChannels are exported to/imported from (see Ink.Samples()). Note: InkML has no standard channels for the contact width/height. */
+    var INKML_SAMPLE_CHANNELS = {
+        "T": { property: "timestamp", units: "ms" },
+        "F": { property: "pressure", units: "" },
+        "OTx": { property: "tiltX", units: "deg" },
+        "OTy": { property: "tiltY", units: "deg" },
+        "OR": { property: "twist", units: "deg" }
+    };
+    /** The [non-standard] InkML brush properties that the members of SerializedInkDecoration are exported to/imported from (see Ink.Decoration()). */
+    var INKML_DECORATION_BRUSH_PROPERTIES = ["dashArray", "startArrowhead", "endArrowhead", "lineCap", "lineJoin", "fill"];
+    /**
+     * Exports all the Inks on the specified <svg> as an InkML document (see https://www.w3.org/TR/InkML/), for interoperability with other ink platforms.
+     * Each Ink is written as a <trace> (or, for a combined Ink, as a <traceGroup> with a <trace> for each of its lines), and its Class/StrokeColor/StrokeWidth and Decoration are written as a <brush>.
+     * Since InkML has no way to mark a trace as closed, the fill of an Ink is only written for a closed Ink (and, on import, an Ink with a fill is closed).
+     * Lines that have captured samples (see Ink.Samples()) use a context that adds T (timestamp, in milliseconds since 1/1/1970), F (pressure), OTx/OTy (tilt) and OR (twist) channels.
+     * Note: Eraser Inks (see Ink.IsEraserDrawing()) are not exported.
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) whose Inks should be exported.
+     * @returns {string} The InkML document (as a string).
+     */
+    function ExportInkML(svg) {
+        var inks = getInksInZOrder(getInitializedSvgInfo(svg)).filter(function (ink) { return (!ink.IsEraserDrawing()); });
+        var inkMLDocument = document.implementation.createDocument(INKML_NAMESPACE, "ink", null);
+        var inkElement = inkMLDocument.documentElement;
+        var definitionsElement = appendInkMLElement(inkElement, "definitions");
+        var sampleChannelNames = Object.keys(INKML_SAMPLE_CHANNELS);
+        var brushIDs = {}; // Key: Brush properties, Value: Brush xml:id
+        var hasSamples = inks.some(function (ink) {
+            return ((ink.Path().node().__MILSampleChannelsCollection__ || []).some(function (sampleChannels) { return (Boolean(sampleChannels)); }));
+        });
+        var _loop_6 = function (c) {
+            var contextElement = appendInkMLElement(definitionsElement, "context");
+            var traceFormatElement = appendInkMLElement(contextElement, "traceFormat");
+            setInkMLID(contextElement, "ctx" + c);
+            appendInkMLElement(traceFormatElement, "channel", { name: "X", type: "decimal", units: "px" });
+            appendInkMLElement(traceFormatElement, "channel", { name: "Y", type: "decimal", units: "px" });
+            if (c === 1) {
+                sampleChannelNames.forEach(function (channelName) {
+                    var units = INKML_SAMPLE_CHANNELS[channelName].units;
+                    appendInkMLElement(traceFormatElement, "channel", units ? { name: channelName, type: "decimal", units: units } : { name: channelName, type: "decimal" });
+                });
             }
-            return (permutationExists);
         };
-        /**
-         * [Private Method] Given a pointer type specifier (eg. "pen|touch+touch"), returns all possible [and logically unique] permutations (there will only be more than one permutation if pointerType includes the 'or' operator (|)).
-         * Example (for illustration only): A pointerType of "pen|touch:2+mouse|touch" will return ["pen+mouse", "pen+touch", "touch:2+mouse", "touch:2+touch"].
-         * @param {string} pointerType A pointer type specifier.
-         * @returns {string[]} Result.
-         */
-        Gesture.prototype.permutePointerType = function (pointerType) {
-            if (pointerType.indexOf("|") === -1) {
-                // Only or-style pointerType values result in permutations
-                return ([pointerType]);
+        // ctx0 is for lines without samples, ctx1 is for lines with samples
+        for (var c = 0; c < (hasSamples ? 2 : 1); c++) {
+            _loop_6(c);
+        }
+        inks.forEach(function (ink) {
+            var computedStyle = window.getComputedStyle(ink.Path().node());
+            var color = d3.color(computedStyle.stroke);
+            var decoration = ink.Decoration();
+            var isClosed = !ink.IsCombined() && (ink.RenderMode() !== MIL.InkRenderMode.VariableWidth) && /Z\s*$/i.test(ink.Path().attr("d") || ""); // The path of a variable-width Ink is a [closed] outline
+            var brush = {
+                className: ink.Class(),
+                strokeColor: color ? color.formatHex() : "#000000",
+                strokeWidth: MIL.Utils.ToNumber(computedStyle.strokeWidth).toString(),
+                decoration: {
+                    dashArray: decoration.dashArray,
+                    startArrowhead: MIL.InkArrowhead[decoration.startArrowhead],
+                    endArrowhead: MIL.InkArrowhead[decoration.endArrowhead],
+                    lineCap: decoration.lineCap,
+                    lineJoin: decoration.lineJoin,
+                    fill: isClosed ? decoration.fill : ""
+                }
+            };
+            var brushKey = JSON.stringify(brush);
+            var pathPointsCollection = ink.Path().node().__MILPathPointsCollection__;
+            var sampleChannelsCollection = ink.Path().node().__MILSampleChannelsCollection__ || [];
+            // Only add a brush for each unique set of brush properties
+            if (brushIDs[brushKey] === undefined) {
+                var brushElement_1 = appendInkMLElement(definitionsElement, "brush");
+                brushIDs[brushKey] = "br" + Object.keys(brushIDs).length;
+                setInkMLID(brushElement_1, brushIDs[brushKey]);
+                appendInkMLElement(brushElement_1, "brushProperty", { name: "color", value: brush.strokeColor });
+                appendInkMLElement(brushElement_1, "brushProperty", { name: "width", value: brush.strokeWidth, units: "px" });
+                if (brush.className) {
+                    appendInkMLElement(brushElement_1, "brushProperty", { name: "class", value: brush.className });
+                }
+                INKML_DECORATION_BRUSH_PROPERTIES.forEach(function (propertyName) {
+                    var value = brush.decoration[propertyName];
+                    // Only write the decoration options that differ from the default
+                    if (value && (value !== MIL.InkArrowhead[MIL.InkArrowhead.None])) {
+                        appendInkMLElement(brushElement_1, "brushProperty", { name: propertyName, value: value });
+                    }
+                });
             }
-            else {
-                var andGroups = pointerType.split("+"); // Note: There may not be a "+"
-                var pointerTypePermutations = [];
-                for (var g = 0; g < andGroups.length; g++) {
-                    var initialAdd = (pointerTypePermutations.length === 0);
-                    var andGroup = andGroups[g];
-                    if (andGroup.indexOf("|") === -1) {
-                        // A "non-or" group (eg. "touch:2")
-                        if (initialAdd) {
-                            pointerTypePermutations.push(andGroup);
-                        }
-                        else {
-                            // Add new permutations
-                            for (var i = 0; i < pointerTypePermutations.length; i++) {
-                                pointerTypePermutations[i] += "+" + andGroup;
-                            }
-                        }
+            var traceParentElement = inkElement;
+            var brushRef = "#" + brushIDs[brushKey];
+            if (ink.IsCombined()) {
+                traceParentElement = appendInkMLElement(inkElement, "traceGroup", { brushRef: brushRef });
+                setInkMLID(traceParentElement, ink.InkID());
+            }
+            pathPointsCollection.forEach(function (pathPoints, l) {
+                var sampleChannels = sampleChannelsCollection[l];
+                var hasLineSamples = Boolean(sampleChannels) && (sampleChannels.length === pathPoints.length);
+                var contextRef = hasLineSamples ? "#ctx1" : "#ctx0";
+                var traceElement = ink.IsCombined() ? appendInkMLElement(traceParentElement, "trace", { contextRef: contextRef }) : appendInkMLElement(traceParentElement, "trace", { contextRef: contextRef, brushRef: brushRef });
+                setInkMLID(traceElement, ink.InkID() + (ink.IsCombined() ? "_" + l : ""));
+                traceElement.textContent = pathPoints.map(function (point, i) {
+                    var pointData = +point.x.toFixed(2) + " " + +point.y.toFixed(2);
+                    if (hasLineSamples) {
+                        sampleChannelNames.forEach(function (channelName) {
+                            var value = sampleChannels[i][INKML_SAMPLE_CHANNELS[channelName].property];
+                            pointData += " " + (((value === null) || (value === undefined)) ? 0 : +value.toFixed(3));
+                        });
                     }
-                    else {
-                        // An "or" group (eg. "touch|pen:2")
-                        var types = andGroup.split("|");
-                        if (andGroup.indexOf("any") !== -1) {
-                            throw new MIL.MILException("Invalid pointerType '" + andGroup + "'; the pointerType 'any' is invalid when using the 'or' (|) specifier");
-                        }
-                        for (var type in types) {
-                            var parts = type.split(":");
-                            var instanceCount = (parts.length === 2) ? +parts[1] : 1;
-                            if ((parts.length > 2) || isNaN(instanceCount)) {
-                                throw new MIL.MILException("Invalid pointerType '" + andGroup + "'");
-                            }
-                        }
-                        if (initialAdd) {
-                            // Example: "touch:2|pen" becomes "touch:2", "pen"
-                            for (var t = 0; t < types.length; t++) {
-                                pointerTypePermutations.push(types[t]);
-                            }
-                        }
-                        else {
-                            // Add new permutations
-                            var existingPermutationCount = pointerTypePermutations.length;
-                            for (var i = 0; i < existingPermutationCount; i++) {
-                                for (var t = 0; t < types.length; t++) {
-                                    var newPermutation = pointerTypePermutations[i] + "+" + types[t];
-                                    pointerTypePermutations.push(newPermutation);
-                                }
+                    return (pointData);
+                }).join(", ");
+            });
+        });
+        MIL.log(inks.length + " Inks exported to InkML");
+        return (new XMLSerializer().serializeToString(inkMLDocument));
+    }
+    MIL.ExportInkML = ExportInkML;
+    /**
+     * Imports the traces in the supplied InkML document (see https://www.w3.org/TR/InkML/) as Inks on the specified <svg>.
+     * Each top-level <trace> becomes an Ink, and each <traceGroup> becomes a combined Ink (see Ink.IsCombined()). Brushes are mapped to Ink.Class() (if the brush has a "class" property),
+     * or to Ink.StrokeColor() and Ink.StrokeWidth(). Traces can use explicit, first-difference or second-difference encoding. In addition to the [required] X and Y channels,
+     * the T (timestamp), F (pressure), OTx/OTy (tilt) and OR (twist) channels are imported as samples (see Ink.Samples()); all other channels are ignored.
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to add the Inks to.
+     * @param {string} inkML The InkML document (as a string).
+     * @param {InkHullType} [hullType] [Optional] The type of hull to create for each [non-combined] Ink. Combined Inks always have a convex hull.
+     * @param {string} [hullColor] [Optional] The color to use to draw the hull for the imported Inks. See Ink.HullColor().
+     * @returns {Ink[]} The imported Inks (in z-order).
+     */
+    function ImportInkML(svg, inkML, hullType, hullColor) {
+        if (hullType === void 0) { hullType = MIL.InkHullType.Concave; }
+        if (hullColor === void 0) { hullColor = "transparent"; }
+        var svgInfo = getInitializedSvgInfo(svg);
+        var inkMLDocument = new DOMParser().parseFromString(inkML, "application/xml");
+        var inkElement = inkMLDocument.documentElement;
+        var importedInks = [];
+        if ((inkElement.localName !== "ink") || (inkMLDocument.getElementsByTagName("parsererror").length > 0)) {
+            throw new MIL.MILException("The supplied document is not a valid InkML document");
+        }
+        var inkContainer = MIL.getInkContainer(svgInfo); // Note: Throws if the active layer is locked or hidden
+        var getTraceFormat = function (element) {
+            var contextElement = findInkMLElementByRef(inkMLDocument, getInheritedInkMLAttribute(element, "contextRef"));
+            var traceFormatElement = (contextElement ? getInkMLDescendants(contextElement, "traceFormat")[0] : null) || getInkMLDescendants(inkElement, "traceFormat")[0];
+            var traceFormat = traceFormatElement ? getInkMLDescendants(traceFormatElement, "channel").map(function (channelElement) { return (channelElement.getAttribute("name")); }) : [];
+            // The default trace format (when none is specified) is X, Y
+            return ((traceFormat.length > 0) ? traceFormat : ["X", "Y"]);
+        };
+        var getBrush = function (element) {
+            var brushElement = findInkMLElementByRef(inkMLDocument, getInheritedInkMLAttribute(element, "brushRef"));
+            var brush = {
+                className: "",
+                strokeColor: "",
+                strokeWidth: "",
+                decoration: { dashArray: "", startArrowhead: MIL.InkArrowhead[MIL.InkArrowhead.None], endArrowhead: MIL.InkArrowhead[MIL.InkArrowhead.None], lineCap: "", lineJoin: "", fill: "" }
+            };
+            if (brushElement) {
+                getInkMLDescendants(brushElement, "brushProperty").forEach(function (propertyElement) {
+                    var name = propertyElement.getAttribute("name");
+                    var value = propertyElement.getAttribute("value");
+                    switch (name) {
+                        case "class":
+                            brush.className = value;
+                            break;
+                        case "color":
+                            brush.strokeColor = value;
+                            break;
+                        case "width":
+                            brush.strokeWidth = value + "px";
+                            break;
+                        default:
+                            if (INKML_DECORATION_BRUSH_PROPERTIES.indexOf(name) !== -1) {
+                                brush.decoration[name] = value || "";
                             }
-                            // Remove the previous [partial] permutations
-                            pointerTypePermutations.splice(0, existingPermutationCount);
-                        }
+                            break;
                     }
+                });
+            }
+            return (brush);
+        };
+        var inkElements = Array.prototype.slice.call(inkElement.children).filter(function (element) { return ((element.localName === "trace") || (element.localName === "traceGroup")); });
+        svgInfo.history.BeginTransaction("ImportInkML");
+        try {
+            inkElements.forEach(function (element) {
+                var traceElements = (element.localName === "trace") ? [element] : getInkMLDescendants(element, "trace");
+                var traces = traceElements.map(function (traceElement) { return (parseInkMLTrace(traceElement.textContent, getTraceFormat(traceElement))); })
+                    .filter(function (trace) { return (trace.points.length > 0); });
+                var pathPointsCollection = traces.map(function (trace) { return (trace.points); });
+                var isCombined = (element.localName === "traceGroup");
+                if (pathPointsCollection.length === 0) {
+                    return;
                 }
-                // Remove any logical duplicates [eg. "pen+touch" is a duplicate of "touch+pen"]
-                for (var i = pointerTypePermutations.length - 1; i >= 0; i--) {
-                    if (this.isExistingPointerTypePermutation(pointerTypePermutations[i], pointerTypePermutations)) {
-                        pointerTypePermutations.splice(i, 1);
-                    }
+                var brush = getBrush(traceElements[0]);
+                var allPathPoints = [].concat.apply([], pathPointsCollection);
+                var serializedInk = {
+                    id: "",
+                    className: brush.className,
+                    strokeColor: brush.className ? "" : brush.strokeColor,
+                    strokeWidth: brush.className ? "" : brush.strokeWidth,
+                    eraserClassName: "",
+                    hullType: MIL.InkHullType[isCombined ? MIL.InkHullType.Convex : hullType],
+                    hullColor: hullColor,
+                    scale: 1,
+                    isEraser: false,
+                    isClosed: !isCombined && Boolean(brush.decoration.fill),
+                    decoration: JSON.parse(JSON.stringify(brush.decoration)),
+                    resizeWith: "",
+                    pathPointsCollection: pathPointsCollection,
+                    isLinearCollection: [],
+                    sampleChannelsCollection: traces.map(function (trace) { return (trace.sampleChannels); }),
+                    combinedOutlinePathPoints: isCombined ? MIL.Utils.ConvertXYPointsToPoints(d3.polygonHull(MIL.Utils.ConvertPointsToXYPoints(allPathPoints)) || MIL.Utils.ConvertPointsToXYPoints(allPathPoints)) : null
+                };
+                importedInks.push(new MIL.Ink(null).rehydrate(inkContainer, serializedInk));
+            });
+        }
+        finally {
+            svgInfo.history.EndTransaction();
+        }
+        MIL.log(importedInks.length + " Inks imported from InkML");
+        return (importedInks);
+    }
+    MIL.ImportInkML = ImportInkML;
+    /**
+     * [Private Method] Returns the {x, y} points (and, if the trace has any of the channels in INKML_SAMPLE_CHANNELS, the sample channels) in the supplied InkML trace data.
+     * Supports explicit (!), first-difference (') and second-difference (") value encoding.
+     * @param {string} traceData The content of an InkML <trace> element.
+     * @param {InkMLTraceFormat} traceFormat The channels in each point of the trace.
+     * @returns {InkMLTrace} Result.
+     */
+    function parseInkMLTrace(traceData, traceFormat) {
+        var xIndex = traceFormat.indexOf("X");
+        var yIndex = traceFormat.indexOf("Y");
+        var modes = traceFormat.map(function () { return ("!"); }); // The current encoding mode of each channel
+        var values = traceFormat.map(function () { return (0); }); // The current [decoded] value of each channel
+        var velocities = traceFormat.map(function () { return (0); }); // The current first-difference of each channel
+        var points = [];
+        var sampleChannelNames = traceFormat.filter(function (channelName) { return (INKML_SAMPLE_CHANNELS[channelName] !== undefined); });
+        var sampleChannels = (sampleChannelNames.length > 0) ? [] : null;
+        if ((xIndex === -1) || (yIndex === -1)) {
+            throw new MIL.MILException("InkML traces must have both an X and a Y channel");
+        }
+        traceData.split(",").forEach(function (pointData) {
+            var tokens = pointData.match(/[!'"]?([-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?|[*?])/g) || [];
+            if (tokens.length === 0) {
+                return;
+            }
+            for (var c = 0; (c < tokens.length) && (c < traceFormat.length); c++) {
+                var token = tokens[c];
+                if ("!'\"".indexOf(token[0]) !== -1) {
+                    modes[c] = token[0];
+                    token = token.slice(1);
+                }
+                if (token === "?") {
+                    continue;
+                }
+                // "*" means "the same as the previous difference" (or the same value, when using explicit encoding)
+                var value = (token === "*") ? ((modes[c] === "!") ? values[c] : velocities[c]) : +token;
+                switch (modes[c]) {
+                    case "!":
+                        velocities[c] = value - values[c];
+                        values[c] = value;
+                        break;
+                    case "'":
+                        velocities[c] = value;
+                        values[c] += value;
+                        break;
+                    case "\"":
+                        velocities[c] += value;
+                        values[c] += velocities[c];
+                        break;
                 }
-                return (pointerTypePermutations);
             }
-        };
-        return Gesture;
-    }());
-    MIL.Gesture = Gesture;
+            points.push({ x: values[xIndex], y: values[yIndex] });
+            if (sampleChannels) {
+                var channels_1 = { timestamp: null, pressure: null, tiltX: null, tiltY: null, twist: null, width: null, height: null };
+                sampleChannelNames.forEach(function (channelName) {
+                    channels_1[INKML_SAMPLE_CHANNELS[channelName].property] = values[traceFormat.indexOf(channelName)];
+                });
+                sampleChannels.push(channels_1);
+            }
+        });
+        return ({ points: points, sampleChannels: sampleChannels });
+    }
+    /**
+     * [Private Method] Appends a new InkML element (with the specified attributes) to 'parentElement'.
+     * @param {Element} parentElement The parent element.
+     * @param {string} name The name of the new element.
+     * @param {object} [attributes] [Optional] The attributes (name/value pairs) of the new element.
+     * @returns {Element} The new element.
+     */
+    function appendInkMLElement(parentElement, name, attributes) {
+        var element = parentElement.ownerDocument.createElementNS(INKML_NAMESPACE, name);
+        for (var attributeName in attributes) {
+            element.setAttribute(attributeName, attributes[attributeName]);
+        }
+        parentElement.appendChild(element);
+        return (element);
+    }
+    /**
+     * [Private Method] Sets the 'xml:id' attribute of the supplied InkML element.
+     * @param {Element} element An InkML element.
+     * @param {string} id The ID.
+     */
+    function setInkMLID(element, id) {
+        element.setAttributeNS("http://www.w3.org/XML/1998/namespace", "xml:id", id);
+    }
+    /**
+     * [Private Method] Returns the InkML element (in 'inkMLDocument') referenced by 'ref' (eg. "#br0"), or null if there is no such element.
+     * @param {Document} inkMLDocument An InkML document.
+     * @param {string} ref A reference (URI) to an element in the document.
+     * @returns {Element | null} Result.
+     */
+    function findInkMLElementByRef(inkMLDocument, ref) {
+        if (!ref || (ref[0] !== "#")) {
+            return (null);
+        }
+        var allElements = getInkMLDescendants(inkMLDocument.documentElement, "*");
+        var id = ref.slice(1);
+        for (var i = 0; i < allElements.length; i++) {
+            if (allElements[i].getAttributeNS("http://www.w3.org/XML/1998/namespace", "id") === id) {
+                return (allElements[i]);
+            }
+        }
+        return (null);
+    }
+    /**
+     * [Private Method] Returns the value of the specified attribute of the supplied InkML element, or of its nearest ancestor that has the attribute. Returns null if not found.
+     * @param {Element} element An InkML element.
+     * @param {string} attributeName The name of the attribute.
+     * @returns {string | null} Result.
+     */
+    function getInheritedInkMLAttribute(element, attributeName) {
+        while (element && (element.nodeType === Node.ELEMENT_NODE)) {
+            if (element.hasAttribute(attributeName)) {
+                return (element.getAttribute(attributeName));
+            }
+            element = element.parentNode;
+        }
+        return (null);
+    }
+    /**
+     * [Private Method] Returns the descendants of the supplied element that have the specified [local] name (or all descendants if 'localName' is "*"), regardless of namespace.
+     * @param {Element} element An element.
+     * @param {string} localName The local name of the descendants to find.
+     * @returns {Element[]} Result.
+     */
+    function getInkMLDescendants(element, localName) {
+        return (Array.prototype.slice.call(element.getElementsByTagNameNS("*", localName)));
+    }
+    /**
+     * [Internal] Returns the SVGInfo for the specified <svg> element, throwing if the element has not been initialized (with MIL.Initialize()).
+     * @param {TargetDomElement} svg An <svg> element.
+     * @returns {SVGInfo} Result.
+     * @internal
+     */
+    function getInitializedSvgInfo(svg) {
+        var svgDomElement = MIL.Utils.GetDomElement(svg, SVGSVGElement);
+        var svgInfo = MIL.getSvgInfo(svgDomElement);
+        if (!svgInfo) {
+            throw new MIL.MILException("The specified <svg> has not been initialized (see MIL.Initialize())");
+        }
+        return (svgInfo);
+    }
+    MIL.getInitializedSvgInfo = getInitializedSvgInfo;
+    /**
+     * [Private Method] Returns all the Inks on the <svg> of the supplied SVGInfo, in z-order (bottom-most first).
+     * @param {SVGInfo} svgInfo An SVGInfo.
+     * @returns {Ink[]} Result.
+     */
+    function getInksInZOrder(svgInfo) {
+        var inkPathElements = svgInfo.gSelection.selectAll("path.MILInkPath").nodes();
+        var inks = MIL.Inks().filter(function (ink) { return (inkPathElements.indexOf(ink.Path().node()) !== -1); });
+        // Sort the Inks into z-order (ie. document order)
+        inks.sort(function (ink1, ink2) { return (inkPathElements.indexOf(ink1.Path().node()) - inkPathElements.indexOf(ink2.Path().node())); });
+        return (inks);
+    }
 })(MIL || (MIL = {}));
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT license.
 var MIL;
 (function (MIL) {
     /**
-     * The BuiltInGestures namespace.
-     * This namespace provides a quick way to create basic Gestures (trading granular control for simplicity).
+     * The Clipboard namespace. Provides copy, cut, paste and duplicate operations for Inks. The [in-app] clipboard is shared by all the <svg> elements that MIL
+     * has been initialized for, so Inks can be copied from one <svg> and pasted into another. To also use the system clipboard (eg. to move Inks between two
+     * pages, or into another app), call OnCopy()/OnCut()/OnPaste() from handlers for the corresponding DOM ClipboardEvents.
+     * Note: Pasted (and duplicated) Inks are independent copies with their own InkID, style, hull and resize gesture (see Ink.ResizeWith()), but [like Inks re-created by
+     *       MIL.DeserializeInks()] any other Gestures that target the Inks (eg. a drag Gesture) must be added by the caller.
      */
-    var BuiltInGestures;
-    (function (BuiltInGestures) {
+    var Clipboard;
+    (function (Clipboard) {
+        /** The [custom] data type used for the JSON document (see MIL.SerializeInks()) that MIL puts on the system clipboard. */
+        var INK_CLIPBOARD_DATA_TYPE = "application/x-mil-inks+json";
+        /** The distance (in svg pixels, on each axis) that each successive paste (without a point) is offset by, so that pasted Inks don't exactly cover the copied Inks. */
+        var PASTE_OFFSET = 20;
+        var _inkDocument = null; // The copied (or cut) Inks
+        var _pasteCount = 0; // Used to offset each successive paste of _inkDocument (when pasted without a point)
         /**
-         * Creates a 'Tap-and-Hold' Gesture. Can be used in conjunction with BuiltInGestures.Tap (even for the same pointerType) but only if added to the target AFTER adding Tap.
-         * @param {string} gestureName The name of the Gesture.
-         * @param {TargetDomElement} targetElement The DOM element the Gesture will target.
-         * @param {string} pointerType A pointer type. If more than one pointer is specified, only {P1} will be used.
-         * @param {GestureEventHandler} onTapAndHold A handler called when the tap-and-hold occurs.
-         * @param {number} [holdTimeoutInMs] [Optional] The amount of time the tap should be held for. If the gesture ends before this timeout, the gesture will be cancelled.
-         * @param {number} [maximumDistanceInPx] [Optional] The maximum distance the pointer can move from the original contact position to still be considered a tap-and-hold. If the pointer moves more than this, the gesture will be cancelled.
-         * @returns {Gesture} Result.
+         * Returns true if the clipboard contains Inks (see Copy() and Cut()).
+         * @returns {boolean} Result.
          */
-        function TapAndHold(gestureName, targetElement, pointerType, onTapAndHold, holdTimeoutInMs, maximumDistanceInPx) {
-            if (holdTimeoutInMs === void 0) { holdTimeoutInMs = 333; }
-            if (maximumDistanceInPx === void 0) { maximumDistanceInPx = 10; }
-            gestureName = ensureNameCanBeMadeUnique(gestureName);
-            var timerID = -1;
-            var tapStartPoint = null;
-            var tapAndHoldGesture = MIL.CreateGesture(gestureName, true)
-                .Target(targetElement)
-                .PointerType(pointerType)
-                .GestureStartedHandler(function () {
-                var gesture = this;
-                tapStartPoint = gesture.GetCurrentScreenPoint("{P1}");
-                timerID = setTimeout(function () {
-                    if (!gesture.IsActive() || (timerID === -1)) {
-                        return;
-                    }
-                    var distanceInPixels = MIL.Utils.GetDistanceBetweenPoints(tapStartPoint, gesture.GetCurrentScreenPoint("{P1}"));
-                    if (distanceInPixels < maximumDistanceInPx) {
-                        if (onTapAndHold) {
-                            onTapAndHold.call(gesture);
-                        }
-                    }
-                    else {
-                        gesture.Cancel("The pointer moved more [" + distanceInPixels.toFixed(2) + "px] than the maximum specified [" + maximumDistanceInPx + "px])");
-                    }
-                    timerID = -1;
-                }, holdTimeoutInMs);
-            })
-                .GestureEndedHandler(function () {
-                var gesture = this;
-                if (timerID !== -1) {
-                    clearTimeout(timerID);
-                    timerID = -1;
-                    gesture.Cancel("The tap-and-hold ended before the hold timeout [" + holdTimeoutInMs + "ms] elapsed");
-                }
-            });
-            return (tapAndHoldGesture);
+        function HasInks() {
+            return (_inkDocument !== null);
+        }
+        Clipboard.HasInks = HasInks;
+        /** Empties the clipboard. */
+        function Clear() {
+            _inkDocument = null;
+            _pasteCount = 0;
+        }
+        Clipboard.Clear = Clear;
+        /**
+         * Copies the supplied Inks to the clipboard (replacing its current contents). The Inks must all be on the same <svg>. Has no effect if 'inks' is empty.
+         * When subsequently pasted without a point (see Paste()), each paste is offset a little further from the copied Inks.
+         * @param {Ink[]} inks The [completed] Inks to copy.
+         */
+        function Copy(inks) {
+            if (inks.length === 0) {
+                return;
+            }
+            _inkDocument = MIL.createInkDocument(getInksInZOrder(inks));
+            _pasteCount = 1;
+            MIL.log(inks.length + " Ink(s) copied to the clipboard");
+        }
+        Clipboard.Copy = Copy;
+        /**
+         * Copies the supplied Inks to the clipboard (see Copy()), then deletes them. The Inks must all be on the same <svg>. Has no effect if 'inks' is empty.
+         * When subsequently pasted without a point (see Paste()), the first paste puts the Inks back where they were cut from.
+         * @param {Ink[]} inks The [completed] Inks to cut.
+         */
+        function Cut(inks) {
+            if (inks.length === 0) {
+                return;
+            }
+            var svgInfo = MIL.getSvgInfo(inks[0].Path());
+            _inkDocument = MIL.createInkDocument(getInksInZOrder(inks));
+            _pasteCount = 0;
+            svgInfo.history.BeginTransaction("CutInks");
+            try {
+                inks.forEach(function (ink) { ink.Delete(); });
+            }
+            finally {
+                svgInfo.history.EndTransaction();
+            }
+            MIL.log(inks.length + " Ink(s) cut to the clipboard");
+        }
+        Clipboard.Cut = Cut;
+        /**
+         * Pastes the Inks in the clipboard onto the specified <svg>, above any existing Inks. Returns the pasted Inks (in z-order), or an empty array if the clipboard is empty.
+         * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to paste the Inks onto.
+         * @param {Point} [point] [Optional] The point (in svg coordinates) to center the pasted Inks on. If not supplied, the Inks are pasted at the
+         * position they were copied from, offset by a further 20 pixels (on each axis) for each paste since they were copied.
+         * @returns {Ink[]} Result.
+         */
+        function Paste(svg, point) {
+            if (_inkDocument === null) {
+                return ([]);
+            }
+            var offset = PASTE_OFFSET * _pasteCount++;
+            return (pasteInkDocument(MIL.getInitializedSvgInfo(svg), _inkDocument, "PasteInks", point || null, offset, offset));
+        }
+        Clipboard.Paste = Paste;
+        /**
+         * Pastes the Inks in the clipboard onto the specified <svg>, above any existing Inks, offset from the position they were copied from by the specified amount.
+         * Returns the pasted Inks (in z-order), or an empty array if the clipboard is empty.
+         * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to paste the Inks onto.
+         * @param {number} offsetX The distance (in svg pixels) to offset the pasted Inks by on the x-axis.
+         * @param {number} offsetY The distance (in svg pixels) to offset the pasted Inks by on the y-axis.
+         * @returns {Ink[]} Result.
+         */
+        function PasteWithOffset(svg, offsetX, offsetY) {
+            if (_inkDocument === null) {
+                return ([]);
+            }
+            return (pasteInkDocument(MIL.getInitializedSvgInfo(svg), _inkDocument, "PasteInks", null, offsetX, offsetY));
         }
-        BuiltInGestures.TapAndHold = TapAndHold;
+        Clipboard.PasteWithOffset = PasteWithOffset;
         /**
-         * Creates a 'Tap' Gesture.
-         * @param {string} gestureName The name of the Gesture.
-         * @param {TargetDomElement} targetElement The DOM element the Gesture will target.
-         * @param {string} pointerType A pointer type. If more than one pointer is specified, only {P1} will be used.
-         * @param {GestureEventHandler} onTap A handler called when the tap occurs.
-         * @param {number} [completionTimeoutInMs] [Optional] The maximum amount of time the Gesture should take. If the gesture does not end before this timeout, the gesture will be cancelled.
-         * @param {number} [maximumDistanceInPx] [Optional] The maximum distance the pointer can move from the original contact position to still be considered a tap.
-         * @returns {Gesture} Result.
+         * Creates copies of the supplied Inks (on the same <svg>), above any existing Inks, without changing the contents of the clipboard. The Inks must all be on the same <svg>.
+         * Returns the new Inks (in z-order).
+         * @param {Ink[]} inks The [completed] Inks to duplicate.
+         * @param {number} [offsetX] [Optional] The distance (in svg pixels) to offset the new Inks by on the x-axis. Defaults to 20.
+         * @param {number} [offsetY] [Optional] The distance (in svg pixels) to offset the new Inks by on the y-axis. Defaults to 20.
+         * @returns {Ink[]} Result.
          */
-        function Tap(gestureName, targetElement, pointerType, onTap, completionTimeoutInMs, maximumDistanceInPx) {
-            if (completionTimeoutInMs === void 0) { completionTimeoutInMs = 150; }
-            if (maximumDistanceInPx === void 0) { maximumDistanceInPx = 5; }
-            gestureName = ensureNameCanBeMadeUnique(gestureName);
-            var tapStartPoint = null;
-            var tapGesture = MIL.CreateGesture(gestureName, true)
-                .Target(targetElement)
-                .PointerType(pointerType)
-                .CompletionTimeoutInMs(completionTimeoutInMs) // If the gesture does not end before this timeout, the gesture will be cancelled
-                .GestureStartedHandler(function () {
-                var gesture = this;
-                tapStartPoint = gesture.GetCurrentScreenPoint("{P1}");
-            })
-                .GestureEndedHandler(function () {
-                var gesture = this;
-                var distanceInPixels = MIL.Utils.GetDistanceBetweenPoints(tapStartPoint, gesture.GetCurrentScreenPoint("{P1}"));
-                if (distanceInPixels < maximumDistanceInPx) {
-                    if (onTap) {
-                        onTap.call(gesture);
-                    }
-                }
-                else {
-                    MIL.log("Tap gesture '" + gesture.Name() + "' failed (reason: the pointer moved more [" + distanceInPixels.toFixed(2) + "px] than the maximum specified [" + maximumDistanceInPx + "px])");
-                }
-            });
-            return (tapGesture);
+        function Duplicate(inks, offsetX, offsetY) {
+            if (offsetX === void 0) { offsetX = PASTE_OFFSET; }
+            if (offsetY === void 0) { offsetY = PASTE_OFFSET; }
+            if (inks.length === 0) {
+                return ([]);
+            }
+            return (pasteInkDocument(MIL.getSvgInfo(inks[0].Path()), MIL.createInkDocument(getInksInZOrder(inks)), "DuplicateInks", null, offsetX, offsetY));
         }
-        BuiltInGestures.Tap = Tap;
+        Clipboard.Duplicate = Duplicate;
         /**
-         * Creates a shape-recognizer Gesture.
-         * @param {string} gestureName The name of the Gesture.
-         * @param {TargetDomElement} targetElement The DOM element the Gesture will target.
-         * @param {string} pointerType A pointer type. If more than one pointer is specified, only {P1} will be used.
-         * @param {number} minPercentMatch The percentage of points in the drawn path that must be inside the shape-template to trigger a match.
-         * @param {ShapeRecognizedHandler} onShapeRecognized A handler called when the shape is recognized.
-         * @param {string} [cometTailClassName] [Optional] The CSS class to use to draw a 'comet tail' as the shape is drawn.
-         * @param {RecognizableShape[]} [shapeList] [Optional] The list of shapes to be recognized (must be MIL.RecognizableShape values). Note: Providing a shapeList helps to reduce false-positives (misrecognitions). // PORT: Was string[]
-         * @param {number} [targetWidth] [Optional] The width (in pixels) of the area that the shape recognition will occur within.
-         * @param {number} [targetHeight] [Optional] The height (in pixels) of the area that the shape recognition will occur within.
-         * @returns {Gesture} Result.
+         * Handles a 'copy' ClipboardEvent by copying the supplied Inks to both the clipboard (see Copy()) and the system clipboard. Has no effect if 'inks' is empty.
+         * The system clipboard gets a JSON document (see MIL.SerializeInks()), for pasting into another MIL page, and an SVG document (see MIL.ExportSvg()), for pasting into other apps.
+         * @param {ClipboardEvent} e A 'copy' event.
+         * @param {Ink[]} inks The [completed] Inks to copy (eg. MIL.Selection().Inks()).
          */
-        function ShapeRecognizer(gestureName, targetElement, pointerType, minPercentMatch, onShapeRecognized, cometTailClassName, shapeList, targetWidth, targetHeight) {
-            gestureName = ensureNameCanBeMadeUnique(gestureName);
-            if (shapeList) {
-                shapeList.forEach(function (v, i) {
-                    if (MIL.RecognizableShape[i] === undefined) {
-                        throw new MIL.MILException("shapeNameList[" + i + "] (" + v + ") is invalid");
-                    }
-                });
+        function OnCopy(e, inks) {
+            if (inks.length > 0) {
+                Copy(inks);
+                writeSystemClipboard(e, inks);
             }
-            var shapeRecognitionGesture = MIL.CreateGesture(gestureName, true)
-                .Target(targetElement)
-                .PointerType(pointerType)
-                .GestureStartedHandler(function () {
-                var gesture = this;
-                gesture.Ink("{P1}").IsNonDrawing(true).CometTailClass(cometTailClassName === undefined ? "" : cometTailClassName).Start();
-            })
-                .GestureEndedHandler(function () {
-                var gesture = this;
-                var gDomElement = MIL.DebugFeature(MIL.FeatureNames.ShapeRecognition) ? MIL.getSvgInfo(targetElement).gDomElement : undefined;
-                var shape = MIL.RecognizeShape(gesture.Ink().PathPoints(), minPercentMatch, targetWidth, targetHeight, gDomElement, shapeList);
-                if (onShapeRecognized && (shape !== null)) {
-                    onShapeRecognized.call(gesture, shape);
+        }
+        Clipboard.OnCopy = OnCopy;
+        /**
+         * Handles a 'cut' ClipboardEvent by cutting the supplied Inks to both the clipboard (see Cut()) and the system clipboard (see OnCopy()). Has no effect if 'inks' is empty.
+         * @param {ClipboardEvent} e A 'cut' event.
+         * @param {Ink[]} inks The [completed] Inks to cut (eg. MIL.Selection().Inks()).
+         */
+        function OnCut(e, inks) {
+            if (inks.length > 0) {
+                writeSystemClipboard(e, inks); // Note: Must be done before the Inks are deleted
+                Cut(inks);
+            }
+        }
+        Clipboard.OnCut = OnCut;
+        /**
+         * Handles a 'paste' ClipboardEvent by pasting the Inks on the system clipboard onto the specified <svg>. Inks copied by OnCopy()/OnCut() (on any MIL page) are pasted
+         * as Inks, otherwise the <path> elements of an SVG document on the system clipboard are imported as Inks (see MIL.ImportSvgPaths()).
+         * Returns the pasted Inks (in z-order), or an empty array if the system clipboard contains neither [in which case the event is not handled].
+         * @param {ClipboardEvent} e A 'paste' event.
+         * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to paste the Inks onto.
+         * @param {Point} [point] [Optional] The point (in svg coordinates) to center the pasted Inks on. See Paste().
+         * @returns {Ink[]} Result.
+         */
+        function OnPaste(e, svg, point) {
+            var svgInfo = MIL.getInitializedSvgInfo(svg);
+            var json = e.clipboardData.getData(INK_CLIPBOARD_DATA_TYPE);
+            var text = e.clipboardData.getData("text/plain");
+            var svgDocument = e.clipboardData.getData("image/svg+xml") || (/<svg[\s>]/i.test(text) ? text : "");
+            var pastedInks = [];
+            if (!json && (text.trim()[0] === "{")) {
+                // The text may be a JSON document created by MIL.SerializeInks()
+                try {
+                    MIL.parseInkDocument(text);
+                    json = text;
                 }
-            });
-            return (shapeRecognitionGesture);
+                catch (error) {
+                    json = "";
+                }
+            }
+            if (!json && svgDocument) {
+                // Validate the SVG document up-front (so that text that merely contains "<svg" is ignored, rather than failing part way through the paste)
+                try {
+                    MIL.parseSvgDocument(svgDocument);
+                }
+                catch (error) {
+                    svgDocument = "";
+                }
+            }
+            if (json) {
+                var inkDocument = MIL.parseInkDocument(json);
+                // Inks copied from elsewhere (eg. another page) are first pasted at the position they were copied from
+                if ((_inkDocument === null) || (JSON.stringify(_inkDocument) !== JSON.stringify(inkDocument))) {
+                    _inkDocument = inkDocument;
+                    _pasteCount = 0;
+                }
+                pastedInks = Paste(svgInfo.svgDomElement, point);
+            }
+            else {
+                if (svgDocument) {
+                    svgInfo.history.BeginTransaction("PasteInks");
+                    try {
+                        pastedInks = MIL.ImportSvgPaths(svgInfo.svgDomElement, svgDocument);
+                        moveInks(pastedInks, point || null, 0, 0);
+                    }
+                    finally {
+                        svgInfo.history.EndTransaction();
+                    }
+                }
+            }
+            if (pastedInks.length > 0) {
+                e.preventDefault();
+            }
+            return (pastedInks);
         }
-        BuiltInGestures.ShapeRecognizer = ShapeRecognizer;
+        Clipboard.OnPaste = OnPaste;
         /**
-         * Creates a radial-swipe Gesture.
-         * @param {string} gestureName The name of the Gesture.
-         * @param {TargetDomElement} targetElement The DOM element the Gesture will target.
-         * @param {string} pointerType A pointer type. If more than one pointer is specified, only {P1} will be used.
-         * @param {number} numRadialSegments The number of radial segments to quantize the gesture into.
-         * @param {number} minDistance The minumum distance (in pixels) of the swipe for it to be recognized.
-         * @param {RadialSwipeHandler} onSwipe A handler called when the swipe is recognized.
-         * @param {function(): string} [getCometTailClassName] [Optional] A function that returns the name of a CSS class used to draw a 'comet tail' for the radial gesture.
-         * @returns {Gesture} Result.
+         * [Private Method] Returns the supplied Inks in z-order (bottom-most first). Throws if the Inks are not all completed Inks on the same <svg>, or if an Ink is being dragged.
+         * @param {Ink[]} inks The Inks to be copied.
+         * @returns {Ink[]} Result.
          */
-        function RadialSwipe(gestureName, targetElement, pointerType, numRadialSegments, minDistance, onSwipe, getCometTailClassName) {
-            gestureName = ensureNameCanBeMadeUnique(gestureName);
-            var radialSwipeGesture = MIL.CreateGesture(gestureName, true)
-                .Target(targetElement)
-                .PointerType(pointerType)
-                .GestureStartedHandler(function () {
-                var gesture = this;
-                var cometTailClassName = (getCometTailClassName && getCometTailClassName()) ? getCometTailClassName() : "";
-                gesture.Ink("{P1}").IsNonDrawing(true).CometTailClass(cometTailClassName).CometTailDurationInMs(200).Start();
-            })
-                .GestureEndedHandler(function () {
-                var gesture = this;
-                var ink = gesture.Ink();
-                var swipeResult = MIL.RecognizeRadialSwipe(ink.PathPoints(), numRadialSegments, minDistance);
-                if (swipeResult && onSwipe) {
-                    onSwipe.call(gesture, swipeResult);
+        function getInksInZOrder(inks) {
+            if (MIL.IsInkDragInProgress()) {
+                throw new MIL.MILException("Inks cannot be copied while an Ink is being dragged");
+            }
+            inks.forEach(function (ink) {
+                if ((ink.Path() === null) || ink.IsNonDrawing()) {
+                    throw new MIL.MILException("Ink '" + ink.InkID() + "' cannot be copied because it has not been completed");
+                }
+                if (MIL.getSvgInfo(ink.Path()) !== MIL.getSvgInfo(inks[0].Path())) {
+                    throw new MIL.MILException("The Inks to copy must all be on the same <svg>");
                 }
             });
-            return (radialSwipeGesture);
+            return (inks.slice().sort(function (ink1, ink2) {
+                var isInk2AboveInk1 = (ink1.Path().node().compareDocumentPosition(ink2.Path().node()) & Node.DOCUMENT_POSITION_FOLLOWING) !== 0;
+                return (isInk2AboveInk1 ? -1 : 1);
+            }));
         }
-        BuiltInGestures.RadialSwipe = RadialSwipe;
         /**
-         * Creates a circular-dial Gesture that detects changes in angle (eg. rotation) around the center of the specified targetElement.
-         * @param {string} gestureName The name of the Gesture.
-         * @param {TargetDomElement} targetElement The DOM element the Gesture will target.
-         * @param {string} pointerType A pointer type.
-         * @param {AngleChangedHandler} onAngleChanged A handler called each time the angle changes (ie. the pointer moves resulting in a different angle).
-         * @returns {Gesture} Result.
+         * [Private Method] Re-creates the Inks in the supplied SerializedInkDocument (as new Inks) on the <svg> of the supplied SVGInfo, then moves them (see moveInks()).
+         * The whole operation is recorded in the undo/redo history as a single transaction.
+         * @param {SVGInfo} svgInfo The SVGInfo of the <svg> to add the Inks to.
+         * @param {SerializedInkDocument} inkDocument The Inks to re-create.
+         * @param {string} transactionName The name of the history transaction.
+         * @param {Point | null} point The point (in svg coordinates) to center the new Inks on, or null to use offsetX/Y.
+         * @param {number} offsetX The distance (in svg pixels) to offset the new Inks by on the x-axis (when point is null).
+         * @param {number} offsetY The distance (in svg pixels) to offset the new Inks by on the y-axis (when point is null).
+         * @returns {Ink[]} Result.
          */
-        function CircularDial(gestureName, targetElement, pointerType, onAngleChanged) {
-            gestureName = ensureNameCanBeMadeUnique(gestureName);
-            var previousHeading = -361; // PORT: This variable was added.
-            var circularDialGesture = MIL.CreateGesture(gestureName, true)
-                .Target(targetElement)
-                .PointerType(pointerType)
-                .GestureStartedHandler(function () {
-                var gesture = this;
-                gesture.OnMoveHandler(function () {
-                    var centroidPoint = MIL.Utils.GetCentroidPoint(gesture.Target());
-                    var heading = MIL.Utils.GetHeadingFromPoints(centroidPoint, gesture.GetCurrentSvgPoint("{P1}"));
-                    if (onAngleChanged && (previousHeading !== heading)) {
-                        onAngleChanged.call(gesture, heading);
-                    }
-                    previousHeading = heading;
+        function pasteInkDocument(svgInfo, inkDocument, transactionName, point, offsetX, offsetY) {
+            var inkContainer = MIL.getInkContainer(svgInfo); // Note: Throws if the active layer is locked or hidden
+            var newInks = [];
+            svgInfo.history.BeginTransaction(transactionName);
+            try {
+                inkDocument.inks.forEach(function (serializedInk) {
+                    var serializedInkCopy = JSON.parse(JSON.stringify(serializedInk)); // So that the clipboard can't be modified
+                    serializedInkCopy.id = ""; // The new Ink will be assigned a new ID
+                    newInks.push(new MIL.Ink(null).rehydrate(inkContainer, serializedInkCopy));
                 });
-            });
-            return (circularDialGesture);
+                moveInks(newInks, point, offsetX, offsetY);
+            }
+            finally {
+                svgInfo.history.EndTransaction();
+            }
+            MIL.log(newInks.length + " Ink(s) pasted (" + transactionName + ")");
+            return (newInks);
         }
-        BuiltInGestures.CircularDial = CircularDial;
         /**
-         * [Private Method] If needed, modifies the supplied gestureName so that it can be made unique.
-         * @param {string} gestureName A Gesture name.
-         * @returns {string} Result.
+         * [Private Method] Moves the supplied Inks either so that they are centered on 'point' (if supplied), or by offsetX/Y.
+         * @param {Ink[]} inks The Inks to move.
+         * @param {Point | null} point The point (in svg coordinates) to center the Inks on, or null to use offsetX/Y.
+         * @param {number} offsetX The distance (in svg pixels) to move the Inks by on the x-axis (when point is null).
+         * @param {number} offsetY The distance (in svg pixels) to move the Inks by on the y-axis (when point is null).
          */
-        function ensureNameCanBeMadeUnique(gestureName) {
-            if (gestureName[gestureName.length - 1] !== "*") {
-                gestureName += "*"; // The '*' will get replaced with a unique ID by CreateGesture()
+        function moveInks(inks, point, offsetX, offsetY) {
+            var deltaX = offsetX;
+            var deltaY = offsetY;
+            if ((inks.length === 0) || (!point && (deltaX === 0) && (deltaY === 0))) {
+                return;
             }
-            return (gestureName);
+            if (point) {
+                var allPathPoints = [].concat.apply([], inks.map(function (ink) { return (ink.PathPoints()); }));
+                var boundingRect = MIL.Utils.GetBoundingRectForPoints(allPathPoints);
+                deltaX = point.x - (boundingRect.x + (boundingRect.width / 2));
+                deltaY = point.y - (boundingRect.y + (boundingRect.height / 2));
+            }
+            inks.forEach(function (ink) { ink.translate(deltaX, deltaY); });
+            MIL.recordInksTranslated(inks, deltaX, deltaY);
         }
-    })(BuiltInGestures = MIL.BuiltInGestures || (MIL.BuiltInGestures = {}));
+        /**
+         * [Private Method] Puts the supplied Inks on the system clipboard as both a JSON document (see MIL.SerializeInks()) and an SVG document.
+         * @param {ClipboardEvent} e A 'copy' or 'cut' event.
+         * @param {Ink[]} inks The Inks to put on the system clipboard.
+         */
+        function writeSystemClipboard(e, inks) {
+            var inksInZOrder = getInksInZOrder(inks);
+            var svgDocument = MIL.exportInksSvg(inksInZOrder);
+            e.clipboardData.setData(INK_CLIPBOARD_DATA_TYPE, JSON.stringify(MIL.createInkDocument(inksInZOrder)));
+            e.clipboardData.setData("image/svg+xml", svgDocument);
+            e.clipboardData.setData("text/plain", svgDocument); // Many apps will accept SVG markup pasted as text
+            e.preventDefault(); // Otherwise the browser will replace our data with the [default] data for the event
+        }
+    })(Clipboard = MIL.Clipboard || (MIL.Clipboard = {}));
 })(MIL || (MIL = {}));
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT license.
 var MIL;
 (function (MIL) {
     // Type aliases
@@ -6022,6 +11592,20 @@ var MIL;
             return (svgInfo.frame);
         }
         Controls.Frame = Frame;
+        /**
+         * Returns the TransformHandlesControl for the specified <svg> element, creating it if needed.
+         * @param {SVGSVGElement} svg An <svg> element.
+         * @returns {TransformHandlesControl} Result.
+         */
+        function TransformHandles(svg) {
+            var svgDomElement = MIL.Utils.GetDomElement(svg, SVGSVGElement);
+            var svgInfo = MIL.getSvgInfo(svgDomElement);
+            if (svgInfo.transformHandles === null) {
+                svgInfo.transformHandles = new TransformHandlesControl(svgInfo.gDomElement);
+            }
+            return (svgInfo.transformHandles);
+        }
+        Controls.TransformHandles = TransformHandles;
         /**
          * Creates a new RadialMenuControl for the specified <svg> element. Unlike the Ruler and Frame controls, there can be multiple RadialMenu controls for a given <svg>.
          * Use DeleteRadialMenu() when you no longer need the control. This method adds the root level (0) to the menu. To add additional levels, use AddLevel().
@@ -6414,7 +11998,7 @@ var MIL;
                     .GestureEndedHandler(function () {
                     radialMenu._prevMovePoint = null;
                 }));
-                var _loop_3 = function (i) {
+                var _loop_7 = function (i) {
                     var itemImage = radialMenu._sectorImages[i];
                     MIL.AddGesture(MIL.CreateGesture("DefaultRadialMenuItemHover*", true)
                         .Target(itemImage)
@@ -6499,7 +12083,7 @@ var MIL;
                 };
                 // Hover (over [all] sector images) to show tooltip text (if available)
                 for (var i = 0; i < radialMenu._sectorCount; i++) {
-                    _loop_3(i);
+                    _loop_7(i);
                 }
                 // "Ignored" draw (on any sector image) [to prevent event propagation to the <svg>]
                 for (var i = 0; i < radialMenu._sectorCount; i++) {
@@ -7167,6 +12751,30 @@ var MIL;
                     MIL.log(RulerControl.CONTROL_TYPE + ": Brought to front", MIL.FeatureNames.Controls);
                 }
             };
+            /**
+             * [Private Method] Returns the current position, angle and width of the RulerControl instance.
+             * @returns {RulerState} Result.
+             */
+            RulerControl.prototype.getState = function () {
+                return ({ centerPoint: { x: this._centerPoint.x, y: this._centerPoint.y }, rotationAngle: this._rotationAngle, width: this._width });
+            };
+            /**
+             * [Private Method] Records (in the CommandHistory) the change in position, angle and width of the RulerControl instance since 'startState' [if there was a change].
+             * @param {string} commandName The name of the command to record.
+             * @param {RulerState} startState The state (see getState()) of the RulerControl before the change.
+             */
+            RulerControl.prototype.recordStateChange = function (commandName, startState) {
+                var ruler = this;
+                var endState = this.getState();
+                var history = MIL.getHistory(this._gDomElement);
+                var restoreState = function (state) {
+                    ruler.BeginUpdate().CenterPoint({ x: state.centerPoint.x, y: state.centerPoint.y }).RotationAngle(state.rotationAngle).Width(state.width).EndUpdate();
+                };
+                if ((history !== null) && ((startState.centerPoint.x !== endState.centerPoint.x) || (startState.centerPoint.y !== endState.centerPoint.y) ||
+                    (startState.rotationAngle !== endState.rotationAngle) || (startState.width !== endState.width))) {
+                    history.Record({ name: commandName, undo: function () { restoreState(startState); }, redo: function () { restoreState(endState); } });
+                }
+            };
             /**
              * [Private Method] Returns a line (in svg space) of the supplied start and end points.
              * @param {XY} startPoint The start point of the line.
@@ -7222,6 +12830,7 @@ var MIL;
                 var endPointXOffsetToCenterLine = 0;
                 var endPointYOffsetToCenterLine = 0;
                 var centerPointRatio = 0;
+                var startState = null; // The state of the ruler when the [move, or rotate-and-move] gesture started
                 var onRulerRotateAndMove = function (e) {
                     ruler.onRulerRotateAndMove(e, startPointXOffsetToCenterLine, startPointYOffsetToCenterLine, endPointXOffsetToCenterLine, endPointYOffsetToCenterLine, centerPointRatio);
                 };
@@ -7232,6 +12841,7 @@ var MIL;
                     .GestureStartedHandler(function () {
                     var gesture = this;
                     var newMovePoint = ruler._prevMovePoint = gesture.GetCurrentSvgPoint("{P1}");
+                    startState = ruler.getState();
                     var line = ruler.GetFaceEdgeLine();
                     var lineStartPoint = line[0], lineEndPoint = line[1];
                     var lineLength = MIL.Utils.GetDistanceBetweenPoints(lineStartPoint, lineEndPoint);
@@ -7250,6 +12860,7 @@ var MIL;
                 })
                     .GestureEndedHandler(function () {
                     ruler._prevMovePoint = null;
+                    ruler.recordStateChange("MoveRuler", startState);
                 });
                 this._defaultRotateAndMoveGesture = MIL.CreateGesture("DefaultRulerRotateAndMove*", true)
                     .Target(ruler._outlinePath)
@@ -7258,6 +12869,7 @@ var MIL;
                     .GestureStartedHandler(function () {
                     var gesture = this;
                     var rulerCenterLine = ruler.GetCenterLine();
+                    startState = ruler.getState();
                     var centerLineStartPoint = rulerCenterLine[0], centerLineEndPoint = rulerCenterLine[1];
                     var centerLineLength = MIL.Utils.GetDistanceBetweenPoints(centerLineStartPoint, centerLineEndPoint);
                     var point1 = gesture.GetCurrentSvgPoint("{P1}");
@@ -7294,10 +12906,13 @@ var MIL;
                     .GestureEndedHandler(function () {
                     ruler._rotateStartPointPointerType = null;
                     ruler._rotateEndPointPointerType = null;
+                    ruler.recordStateChange("RotateAndMoveRuler", startState);
                 });
                 this._defaultTapGesture = MIL.BuiltInGestures.Tap("DefaultRulerTap", ruler._outlinePath, "touch", function () {
                     var currentAngle = ruler.RotationAngle();
+                    var tapStartState = ruler.getState();
                     ruler.RotationAngle(currentAngle + (90 - (currentAngle % 90)));
+                    ruler.recordStateChange("RotateRuler", tapStartState);
                     /*
                     // DEBUG!
                     let gesture: Gesture = this;
@@ -7425,6 +13040,269 @@ var MIL;
             return RulerControl;
         }());
         Controls.RulerControl = RulerControl;
+        /**
+         * The TransformHandlesControl class. Represents a set of handles, drawn around the selected Inks (see MIL.Selection()), that move, scale and rotate the selection.
+         * Unlike Ink.ResizeWith(), the handles can be used with any pointer type (so a multi-touch device is not required). Dragging a corner or edge handle scales
+         * the selection (holding Shift keeps its aspect ratio), dragging the rotate handle rotates it (holding Shift snaps the rotation to 15 degree increments),
+         * and dragging inside the handles moves it. Each manipulation is recorded in the undo/redo history (see MIL.History()) as a single command.
+         * Note: While the handles are shown, the move area covers the selected Inks, so Gestures that target their Hulls will not be recognized.
+         * Note: DO NOT instantiate this class directly: use the MIL.Controls.TransformHandles() method instead.
+         */
+        var TransformHandlesControl = /** @class */ (function () {
+            /**
+             * [Internal] Creates a TransformHandlesControl instance in the specified gDomElement. Note: Do NOT call this directly - use Controls.TransformHandles() instead.
+             * @param {SVGGElement} gDomElement The parent <g> element.
+             * @internal
+             */
+            function TransformHandlesControl(gDomElement) {
+                this._gDomElement = MIL.Utils.GetDomElement(gDomElement, SVGGElement);
+                this._gHandles = null;
+                this._moveArea = null;
+                this._rotateHandleLine = null;
+                this._rotateHandle = null;
+                this._scaleHandles = [];
+                this._className = "";
+                this._isEnabled = true;
+                this._boundingRect = null;
+                var transformHandles = this;
+                MIL.getSvgInfo(this._gDomElement).selection.onBoundsChanged(function (boundingRect) {
+                    transformHandles._boundingRect = boundingRect;
+                    transformHandles.redraw();
+                });
+            }
+            TransformHandlesControl.prototype.IsEnabled = function (enable) {
+                if (enable === undefined) {
+                    return (this._isEnabled);
+                }
+                else {
+                    this._isEnabled = enable;
+                    this.redraw();
+                    return (this);
+                }
+            };
+            TransformHandlesControl.prototype.Class = function (className) {
+                if (className === undefined) {
+                    return (this._className);
+                }
+                else {
+                    this._className = className;
+                    this.redraw();
+                    return (this);
+                }
+            };
+            /**
+             * [ReadOnly Property] Returns true if the handles are currently shown.
+             * @returns {boolean} Result.
+             */
+            TransformHandlesControl.prototype.IsVisible = function () {
+                MIL.readOnlyProperty("IsVisible", arguments);
+                return (this._isEnabled && (this._boundingRect !== null));
+            };
+            /** Redraws the TransformHandlesControl instance. */
+            TransformHandlesControl.prototype.Redraw = function () {
+                this.redraw();
+            };
+            /** [Private Method] Redraws the TransformHandlesControl instance (or hides it, if it's not visible). */
+            TransformHandlesControl.prototype.redraw = function () {
+                var _this = this;
+                if (this._gHandles === null) {
+                    if (!this.IsVisible()) {
+                        // We create the handles the first time they're needed
+                        return;
+                    }
+                    this._gHandles = d3.select(this._gDomElement).append("g");
+                    this._moveArea = this._gHandles.append("rect"); // We add this first so that it's behind the other handles
+                    this._rotateHandleLine = this._gHandles.append("line").style("pointer-events", "none");
+                    this._rotateHandle = this._gHandles.append("circle").style("cursor", "grab");
+                    this._scaleHandles = TransformHandlesControl.SCALE_HANDLES.map(function (handle) { return _this._gHandles.append("rect").style("cursor", handle.cursor); });
+                    this._gHandles.node().__MILIsControl__ = true;
+                    this.addDefaultGestures();
+                }
+                this._gHandles.attr("transform", null).style("visibility", this.IsVisible() ? "visible" : "hidden");
+                if (!this.IsVisible()) {
+                    return;
+                }
+                MIL.log(TransformHandlesControl.CONTROL_TYPE + ": Redrawing...", MIL.FeatureNames.Controls);
+                // Since Inks can be drawn after the handles were created, we make sure the handles are on top
+                bringToFront(this._gHandles.node(), this._gDomElement);
+                var scaleFactor = MIL.getSvgInfo(this._gDomElement).zoomLevel;
+                var handleSize = TransformHandlesControl.HANDLE_SIZE / scaleFactor;
+                var rect = this._boundingRect;
+                var rotateHandleCenter = { x: rect.x + (rect.width / 2), y: rect.y - (TransformHandlesControl.ROTATE_HANDLE_OFFSET / scaleFactor) };
+                var handles = this._scaleHandles.concat(this._rotateHandle, this._rotateHandleLine);
+                this._moveArea.attr("x", rect.x).attr("y", rect.y).attr("width", rect.width).attr("height", rect.height)
+                    .style("fill", "transparent").style("stroke", "none").style("cursor", "move"); // Note: 'transparent' (unlike 'none') makes the area a hit-target
+                this._rotateHandleLine.attr("x1", rotateHandleCenter.x).attr("y1", rect.y).attr("x2", rotateHandleCenter.x).attr("y2", rotateHandleCenter.y);
+                this._rotateHandle.attr("cx", rotateHandleCenter.x).attr("cy", rotateHandleCenter.y).attr("r", handleSize / 2);
+                TransformHandlesControl.SCALE_HANDLES.forEach(function (handle, i) {
+                    _this._scaleHandles[i]
+                        .attr("x", rect.x + (rect.width * handle.x) - (handleSize / 2)).attr("y", rect.y + (rect.height * handle.y) - (handleSize / 2))
+                        .attr("width", handleSize).attr("height", handleSize);
+                });
+                handles.forEach(function (handle) {
+                    if (_this._className) {
+                        handle.classed(_this._className, true);
+                    }
+                    handle.style("fill", _this._className ? "" : "white");
+                    handle.style("stroke", _this._className ? "" : "dodgerblue");
+                    handle.style("stroke-width", _this._className ? "" : (1 / scaleFactor) + "px");
+                });
+            };
+            /** [Private Method] Adds the Gestures that manipulate the selection [by dragging the move area and the handles]. */
+            TransformHandlesControl.prototype.addDefaultGestures = function () {
+                var transformHandles = this;
+                // Move
+                this.addManipulationGesture(this._moveArea, function (startPoint, currentPoint) {
+                    var deltaX = currentPoint.x - startPoint.x;
+                    var deltaY = currentPoint.y - startPoint.y;
+                    return ({
+                        name: "MoveSelection",
+                        transform: "translate(" + deltaX + " " + deltaY + ")",
+                        apply: function (inks) {
+                            inks.forEach(function (ink) { ink.translate(deltaX, deltaY); });
+                            MIL.recordInksTranslated(inks, deltaX, deltaY);
+                        }
+                    });
+                });
+                // Rotate
+                this.addManipulationGesture(this._rotateHandle, function (startPoint, currentPoint) {
+                    var rect = transformHandles._boundingRect;
+                    var pivot = { x: rect.x + (rect.width / 2), y: rect.y + (rect.height / 2) };
+                    var startAngle = Math.atan2(startPoint.y - pivot.y, startPoint.x - pivot.x) * (180 / Math.PI);
+                    var currentAngle = Math.atan2(currentPoint.y - pivot.y, currentPoint.x - pivot.x) * (180 / Math.PI);
+                    var angle = ((currentAngle - startAngle + 540) % 360) - 180; // -180..180
+                    if (MIL.Utils.IsKeyPressed(MIL.Utils.Keys.SHIFT)) {
+                        angle = Math.round(angle / TransformHandlesControl.ROTATION_SNAP_ANGLE) * TransformHandlesControl.ROTATION_SNAP_ANGLE;
+                    }
+                    return ({
+                        name: "RotateSelection",
+                        transform: "rotate(" + angle + " " + pivot.x + " " + pivot.y + ")",
+                        apply: function (inks) {
+                            inks.forEach(function (ink) { ink.Rotation(ink.Rotation() + angle, pivot); });
+                        }
+                    });
+                });
+                // Scale
+                TransformHandlesControl.SCALE_HANDLES.forEach(function (handle, i) {
+                    transformHandles.addManipulationGesture(transformHandles._scaleHandles[i], function (startPoint, currentPoint) {
+                        var rect = transformHandles._boundingRect;
+                        var anchor = { x: rect.x + (rect.width * (1 - handle.x)), y: rect.y + (rect.height * (1 - handle.y)) }; // The point opposite the handle
+                        var handlePoint = { x: rect.x + (rect.width * handle.x), y: rect.y + (rect.height * handle.y) };
+                        var isEdgeHandle = (handle.x === 0.5) || (handle.y === 0.5);
+                        var scaleX = (handle.x === 0.5) ? 1 : (handlePoint.x + (currentPoint.x - startPoint.x) - anchor.x) / (handlePoint.x - anchor.x);
+                        var scaleY = (handle.y === 0.5) ? 1 : (handlePoint.y + (currentPoint.y - startPoint.y) - anchor.y) / (handlePoint.y - anchor.y);
+                        scaleX = Math.max(TransformHandlesControl.MIN_SCALE, isFinite(scaleX) ? scaleX : 1);
+                        scaleY = Math.max(TransformHandlesControl.MIN_SCALE, isFinite(scaleY) ? scaleY : 1);
+                        if (MIL.Utils.IsKeyPressed(MIL.Utils.Keys.SHIFT)) {
+                            // Keep the aspect ratio. For an edge handle, the "other" axis follows the dragged axis.
+                            scaleX = scaleY = isEdgeHandle ? ((handle.x === 0.5) ? scaleY : scaleX) : Math.max(scaleX, scaleY);
+                        }
+                        return ({
+                            name: "ScaleSelection",
+                            transform: "translate(" + anchor.x + " " + anchor.y + ") scale(" + scaleX + " " + scaleY + ") translate(" + -anchor.x + " " + -anchor.y + ")",
+                            apply: function (inks) {
+                                inks.forEach(function (ink) {
+                                    if (scaleX === scaleY) {
+                                        // Ink.Scale() scales around the center of the Ink, so we then translate the Ink to keep the anchor fixed
+                                        var inkRect = MIL.Utils.GetBoundingRectForPoints(ink.PathPoints());
+                                        var strokeWidth = MIL.Utils.ToNumber(window.getComputedStyle(ink.Path().node()).strokeWidth);
+                                        var deltaX = (1 - scaleX) * (anchor.x - (inkRect.x + (inkRect.width / 2)));
+                                        var deltaY = (1 - scaleY) * (anchor.y - (inkRect.y + (inkRect.height / 2)));
+                                        ink.Scale(ink.Scale() * scaleX, ink.Scale(), strokeWidth, false);
+                                        ink.translate(deltaX, deltaY);
+                                        MIL.recordInksTranslated([ink], deltaX, deltaY);
+                                    }
+                                    else {
+                                        ink.stretch(scaleX, scaleY, anchor);
+                                    }
+                                });
+                            }
+                        });
+                    });
+                });
+            };
+            /**
+             * [Private Method] Adds a Gesture (for any pointer type) that manipulates the selection when 'target' is dragged.
+             * While the Gesture is in progress the manipulation is previewed using an svg transform; when the Gesture ends the manipulation is applied to the selected Inks.
+             * @param {D3SingleSelection} target The handle (or move area) that the Gesture targets.
+             * @param {(startPoint: Point, currentPoint: Point) => TransformHandlesManipulation} getManipulation A function that returns the manipulation for the current position of the pointer.
+             */
+            TransformHandlesControl.prototype.addManipulationGesture = function (target, getManipulation) {
+                var transformHandles = this;
+                var manipulation = null;
+                MIL.AddGesture(MIL.CreateGesture("DefaultTransformHandles*", true)
+                    .Target(target)
+                    .PointerType("pen|touch|mouse")
+                    .GestureStartedHandler(function () {
+                    var gesture = this;
+                    var startPoint = gesture.GetStartSvgPoint("{P1}");
+                    manipulation = null;
+                    gesture.OnMoveHandler(function onTransformHandleMove(e) {
+                        manipulation = getManipulation(startPoint, gesture.GetCurrentSvgPoint("{P1}"));
+                        transformHandles.previewManipulation(manipulation.transform);
+                    });
+                })
+                    .GestureEndedHandler(function () {
+                    transformHandles.endManipulation(manipulation);
+                    manipulation = null;
+                })
+                    .GestureCancelledHandler(function () {
+                    transformHandles.endManipulation(null);
+                    manipulation = null;
+                }));
+            };
+            /**
+             * [Private Method] Applies the supplied svg transform to the selected Inks (and their Hulls), the selection adorner and the handles.
+             * @param {string | null} transform An svg transform, or null to remove the transform.
+             */
+            TransformHandlesControl.prototype.previewManipulation = function (transform) {
+                var svgInfo = MIL.getSvgInfo(this._gDomElement);
+                svgInfo.selection.Inks().forEach(function (ink) {
+                    ink.Path().attr("transform", transform);
+                    if (ink.HullPath() !== null) {
+                        ink.HullPath().attr("transform", transform);
+                    }
+                });
+                svgInfo.gSelection.selectAll("rect.MILSelectionAdorner").attr("transform", transform);
+                this._gHandles.attr("transform", transform);
+            };
+            /**
+             * [Private Method] Removes the preview of the in-progress manipulation, then [if supplied] applies the manipulation to the selected Inks.
+             * @param {TransformHandlesManipulation} manipulation The manipulation to apply, or null if the manipulation was cancelled (or the pointer didn't move).
+             */
+            TransformHandlesControl.prototype.endManipulation = function (manipulation) {
+                var svgInfo = MIL.getSvgInfo(this._gDomElement);
+                var inks = svgInfo.selection.Inks();
+                this.previewManipulation(null);
+                if ((manipulation !== null) && (inks.length > 0)) {
+                    svgInfo.history.BeginTransaction(manipulation.name);
+                    try {
+                        manipulation.apply(inks); // Note: This will [indirectly] redraw the handles
+                    }
+                    finally {
+                        svgInfo.history.EndTransaction();
+                    }
+                    MIL.log(TransformHandlesControl.CONTROL_TYPE + ": " + manipulation.name + " (" + inks.length + " Ink(s))", MIL.FeatureNames.Controls);
+                }
+            };
+            TransformHandlesControl.CONTROL_TYPE = "TransformHandlesControl";
+            TransformHandlesControl.HANDLE_SIZE = 12; // In pixels (the handles are drawn at a constant size on the screen, regardless of the zoom level)
+            TransformHandlesControl.ROTATE_HANDLE_OFFSET = 24; // In pixels (the distance of the rotate handle above the top edge of the selection)
+            TransformHandlesControl.ROTATION_SNAP_ANGLE = 15; // In degrees (used when Shift is pressed)
+            TransformHandlesControl.MIN_SCALE = 0.05; // Prevents the selection from being scaled to nothing (or flipped)
+            TransformHandlesControl.SCALE_HANDLES = [
+                { name: "TopLeft", x: 0, y: 0, cursor: "nwse-resize" },
+                { name: "Top", x: 0.5, y: 0, cursor: "ns-resize" },
+                { name: "TopRight", x: 1, y: 0, cursor: "nesw-resize" },
+                { name: "Right", x: 1, y: 0.5, cursor: "ew-resize" },
+                { name: "BottomRight", x: 1, y: 1, cursor: "nwse-resize" },
+                { name: "Bottom", x: 0.5, y: 1, cursor: "ns-resize" },
+                { name: "BottomLeft", x: 0, y: 1, cursor: "nesw-resize" },
+                { name: "Left", x: 0, y: 0.5, cursor: "ew-resize" }
+            ];
+            return TransformHandlesControl;
+        }());
+        Controls.TransformHandlesControl = TransformHandlesControl;
     })(Controls = MIL.Controls || (MIL.Controls = {}));
 })(MIL || (MIL = {}));
 //# sourceMappingURL=MIL.js.map
\ No newline at end of file
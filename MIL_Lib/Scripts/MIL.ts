@@ -47,8 +47,20 @@ namespace MIL
     /** Type of a callback that takes no parameters and returns a boolean. When the handler is invoked, 'this' will be set to the Gesture instance. */
     export type GestureConditionalCallback = () => boolean;
 
-    /** Type of a handler (callback) for a recognize-shape Gesture. When the handler is invoked, 'this' will be set to the Gesture instance. */
-    export type ShapeRecognizedHandler = (shape: RecognizableShape) => void;
+    /** 
+     * Type of a handler (callback) for a recognize-shape Gesture. When the handler is invoked, 'this' will be set to the Gesture instance. 
+     * When using ShapeRecognitionEngine.Template, 'candidates' will be the ranked list of all the matching shapes (the first of which is 'shape').
+     */
+    export type ShapeRecognizedHandler = (shape: ShapeID, candidates?: ShapeTemplateMatch[]) => void;
+
+    /** Type of the ID of a recognizable shape: either a built-in MIL.RecognizableShape value, or the [string] ID of a custom shape added with MIL.AddRecognizableShape(). */
+    export type ShapeID = RecognizableShape | string;
+
+    /** 
+     * Type of a handler (callback) for a multi-stroke recognize-shape Gesture. When the handler is invoked, 'this' will be set to the Gesture instance (of the last stroke).
+     * 'inks' are the Inks (strokes) that were recognized as the shape, and 'candidates' is the ranked list of all the matching shapes (the first of which is 'shape').
+     */
+    export type MultiStrokeShapeRecognizedHandler = (shape: ShapeID, inks: Ink[], candidates: ShapeTemplateMatch[]) => void;
 
     /** Type of a handler (callback) for a radial-swipe Gesture. When the handler is invoked, 'this' will be set to the Gesture instance. */
     export type RadialSwipeHandler = (swipeResult: RadialSwipeResult) => void;
@@ -206,6 +218,17 @@ namespace MIL
         Always = 1 | 2 | 4 | 8
     }
 
+    /** What happens when the [pen] eraser is used to draw over Inks. See MILSettings.InkEraserMode(). */
+    export enum InkEraserMode
+    {
+        /** The eraser draws a path (see Ink.EraserClass()) over the Inks, but the Inks themselves are not changed. */
+        Draw = 0,
+        /** Where the eraser crosses an Ink, the Ink is split (or trimmed) into new Inks. */
+        Split = 1,
+        /** Any Ink the eraser touches is deleted. */
+        Stroke = 2
+    }
+
     /** 
      * The possible pen buttons [see http://www.w3.org/TR/pointerevents2/]. 
      * Note that these are bitmask values for the PointerEvent.buttons property, and are distinct from the PointerEvent.button property values. 
@@ -230,6 +253,81 @@ namespace MIL
         Convex = 2  // Note: D3 computes convex hulls
     }
 
+    /** How an Ink's path is rendered. */
+    export enum InkRenderMode
+    {
+        /** The Ink is drawn as a curve with a constant stroke-width (see Ink.StrokeWidth()). */
+        Stroke = 0,
+        /** The Ink is drawn as a filled outline whose width varies with the pen pressure (or, if pressure is not available, with the pointer velocity). See Ink.VariableWidthOptions(). */
+        VariableWidth = 1,
+        /** The Ink is drawn as a translucent highlighter stroke (with flat ends and 'multiply' blending) that is always kept beneath regular Inks. See Ink.IsAutoStraighten(). */
+        Highlighter = 2
+    }
+
+    /** The curve used to join the points of an Ink's path. See Ink.Curve(). */
+    export enum InkCurve
+    {
+        /** A cubic basis spline (the default). The curve is smooth, but does not pass through the points (except the first and last). */
+        Basis = 0,
+        /** A Catmull-Rom spline. The curve passes through every point, so it's the best choice for a simplified Ink (see Ink.SimplificationTolerance()). */
+        CatmullRom = 1,
+        /** A cubic spline that preserves monotonicity in x. Best suited to Inks that don't double-back horizontally (eg. a graph line). */
+        Monotone = 2,
+        /** Straight lines. */
+        Linear = 3
+    }
+
+    /** The arrowhead drawn at the start or end of an Ink. See InkDecoration. */
+    export enum InkArrowhead
+    {
+        /** No arrowhead (the default). */
+        None = 0,
+        /** A filled triangle. */
+        Triangle = 1,
+        /** An open 'V' (drawn with lines). */
+        Open = 2,
+        /** A filled circle (eg. for a connector end-point). */
+        Circle = 3
+    }
+
+    /** The type of change to an Ink that's reported to MILSettings.OnInkChangedHandler(). See InkChange. */
+    export enum InkChangeType
+    {
+        /** The Ink has started being drawn. Its Path() will be null until it's completed. */
+        Started = 0,
+        /** A point was added to the Ink while it's being drawn (see InkChange.point). */
+        PointAdded = 1,
+        /** The Ink has been drawn (ie. its pointer was lifted). */
+        Completed = 2,
+        /** The Ink was added other than by being drawn (eg. it was deserialized, imported, pasted, split from another Ink, or restored by an undo/redo). */
+        Added = 3,
+        /** The Ink was deleted (see InkChange.removedGestures). */
+        Deleted = 4,
+        /** The Ink was created by combining other Inks, which will have been deleted (see InkChange.combinedInks). */
+        Combined = 5,
+        /** The Ink was dragged, or otherwise moved (see InkChange.deltaX/Y). */
+        Dragged = 6,
+        /** The Ink was resized, either by scaling (see Ink.Scale()) or by stretching it (see InkChange.scaleX/Y). */
+        Resized = 7,
+        /** The Ink was rotated (see Ink.Rotation()). */
+        Rotated = 8,
+        /** The Ink's style was changed (see Ink.Restyle() and Ink.Redecorate()). */
+        Restyled = 9,
+        /** The Ink's path was replaced with the idealized geometry of a shape (see Ink.Beautify() and InkChange.shapeID). Not raised when an Ink is beautified as it's completed. */
+        Beautified = 10
+    }
+
+    /** How the pointer positions are smoothed while an Ink is being drawn. See Ink.SmoothingOptions(). */
+    export enum InkSmoothingMode
+    {
+        /** No smoothing (the default). */
+        None = 0,
+        /** Each position is replaced with the average of the last InkSmoothingOptions.windowSize positions. */
+        MovingAverage = 1,
+        /** The 1€ filter (see https://gery.casiez.net/1euro/), which smooths slow movements strongly but fast movements only lightly (so that it adds little lag). */
+        OneEuro = 2
+    }
+
     /** 
      * [Internal] Information about the <svg> and <g> host containers. 
      * @internal
@@ -247,7 +345,13 @@ namespace MIL
         settings: MILSettings;
         ruler: Controls.RulerControl; // One per <svg>
         frame: Controls.FrameControl; // One per <svg>
+        transformHandles: Controls.TransformHandlesControl; // One per <svg>
         radialMenus: Controls.RadialMenuControl[]; // Many per <svg> 
+        history: CommandHistory; // One per <svg>
+        selection: InkSelection; // One per <svg>
+        spatialIndex: InkSpatialIndex; // One per <svg>
+        layers: InkLayers; // One per <svg>
+        snapping: InkSnapping; // One per <svg>
 
         constructor(svgDomElement: SVGSVGElement, gDomElement: SVGGElement)
         {
@@ -262,7 +366,13 @@ namespace MIL
             this.settings = new MILSettings();
             this.ruler = null;
             this.frame = null;
+            this.transformHandles = null;
             this.radialMenus = [];
+            this.history = new CommandHistory();
+            this.selection = new InkSelection(this.gSelection);
+            this.spatialIndex = new InkSpatialIndex();
+            this.layers = new InkLayers(this.gSelection);
+            this.snapping = new InkSnapping(this.gSelection);
         }
     }
 
@@ -609,6 +719,30 @@ namespace MIL
         return (svgInfo.settings);
     }
 
+    /**
+     * Returns the undo/redo command history associated with the specified <SVG> element.
+     * @param {SVGSVGElement} svg The SVG element to find the command history for.
+     * @returns {CommandHistory} The associated command history.
+     */
+    export function History(svg: TargetDomElement): CommandHistory
+    {
+        let svgDomElement: SVGSVGElement = Utils.GetDomElement(svg, SVGSVGElement) as SVGSVGElement;
+        let svgInfo: SVGInfo = getSvgInfo(svgDomElement);
+        return (svgInfo.history);
+    }
+
+    /**
+     * Returns the Ink selection associated with the specified <SVG> element.
+     * @param {SVGSVGElement} svg The SVG element to find the Ink selection for.
+     * @returns {InkSelection} The associated Ink selection.
+     */
+    export function Selection(svg: TargetDomElement): InkSelection
+    {
+        let svgDomElement: SVGSVGElement = Utils.GetDomElement(svg, SVGSVGElement) as SVGSVGElement;
+        let svgInfo: SVGInfo = getSvgInfo(svgDomElement);
+        return (svgInfo.selection);
+    }
+
     // Note: This factory method just makes the syntax for creating a Gesture a little cleaner.
     /**
      * Creates a new Gesture with the specified name.
@@ -918,6 +1052,41 @@ namespace MIL
         return (null);
     }
 
+    /**
+     * Returns the Inks (in the specified <svg>) whose stroke is within 'tolerancePx' of the supplied point, ordered from the top-most Ink to the bottom-most Ink (ie. by descending z-order).
+     * Unlike GetInkByElement(), this doesn't rely on the Inks having a hull (see Ink.HullType()), and it measures the distance to the stroke as drawn (see Ink.DistanceToPoint()).
+     * Inks in a locked or hidden layer (see MIL.Layers()) are ignored.
+     * @param {TargetDomElement} svg The SVG element to search.
+     * @param {Point} point The point to test, in svg coordinates (eg. from MIL.TransposePointer() or Gesture.GetCurrentSvgPoint()).
+     * @param {number} [tolerancePx] [Optional] The maximum distance (in screen pixels, so it's independent of the zoom level) from 'point' to the stroke of an Ink. Defaults to 0.
+     * @returns {Ink[]} Result.
+     */
+    export function GetInksAtPoint(svg: TargetDomElement, point: Point, tolerancePx: number = 0): Ink[]
+    {
+        let svgDomElement: SVGSVGElement = Utils.GetDomElement(svg, SVGSVGElement) as SVGSVGElement;
+        let svgInfo: SVGInfo = getSvgInfo(svgDomElement);
+
+        if (tolerancePx < 0)
+        {
+            throw new MILException("tolerancePx (" + tolerancePx + ") cannot be negative");
+        }
+
+        let tolerance: number = tolerancePx / svgInfo.zoomLevel; // Convert from screen pixels to svg coordinates
+        let foundInks: Ink[] = svgInfo.spatialIndex.SearchPoint(point, tolerance).filter(function (ink: Ink)
+        {
+            return (!ink.IsEraserDrawing() && isInEditableLayer(ink.Path()) && (ink.DistanceToPoint(point) <= tolerance));
+        });
+
+        // Sort by z-order [z-order = order in the document], top-most first
+        foundInks.sort(function (ink1: Ink, ink2: Ink)
+        {
+            let isInk2AboveInk1: boolean = (ink1.Path().node().compareDocumentPosition(ink2.Path().node()) & Node.DOCUMENT_POSITION_FOLLOWING) !== 0;
+            return (isInk2AboveInk1 ? 1 : -1);
+        });
+
+        return (foundInks);
+    }
+
     /**
      * Returns the Ink that has the supplied ID, or null if there is no such Ink.
      * @param {string} targetInkID The ID of the Ink to find.
@@ -1046,7 +1215,13 @@ namespace MIL
                 settings: new MILSettings(),
                 ruler: null,
                 frame: null,
-                radialMenus: []
+                transformHandles: null,
+                radialMenus: [],
+                history: new CommandHistory(),
+                selection: new InkSelection(d3.select(gDomElement)),
+                spatialIndex: new InkSpatialIndex(),
+                layers: new InkLayers(d3.select(gDomElement)),
+                snapping: new InkSnapping(d3.select(gDomElement))
             };
         }
 
@@ -1218,10 +1393,12 @@ namespace MIL
      * Removes all the Gestures that target the specified element, optionally filtered by having a name that starts with gestureName.
      * @param {TargetDomElement} targetElement The element to inspect.
      * @param {string} [gestureName] [Optional] Only remove a Gesture if it starts with this name.
+     * @returns {Gesture[]} The removed Gestures (if any).
      */
-    export function RemoveGesturesByTarget(targetElement: TargetDomElement, gestureName?: string): void
+    export function RemoveGesturesByTarget(targetElement: TargetDomElement, gestureName?: string): Gesture[]
     {
         let domElement: DomElement = Utils.GetDomElement(targetElement);
+        let removedGestures: Gesture[] = [];
 
         for (let g = _gestures.length - 1; g >= 0; g--)
         {
@@ -1233,10 +1410,12 @@ namespace MIL
                 if ((gestureName === undefined) || (name.indexOf(gestureName) === 0))
                 {
                     removeGestureAtIndex(g);
+                    removedGestures.push(gesture);
                     // Note that we keep looking for additional gestures on the domElement
                 }
             }
         }
+        return (removedGestures);
     }
 
     /**
@@ -1324,6 +1503,12 @@ namespace MIL
                     }
                 });
 
+                if (svgInfo.transformHandles && svgInfo.transformHandles.IsVisible())
+                {
+                    // To keep the handles a constant size on the screen
+                    svgInfo.transformHandles.Redraw();
+                }
+
                 if (focalScreenPoint === undefined)
                 {
                     // Use the center of the svg
@@ -1372,11 +1557,12 @@ namespace MIL
     }
 
     /**
-     * [Private Method] Returns the matrix transform (which describes the current pan/zoom) for the root <g> element of the supplied svgInfo.
+     * [Internal] Returns the matrix transform (which describes the current pan/zoom) for the root <g> element of the supplied svgInfo.
      * @param {SVGInfo} svgInfo An SVGInfo.
      * @returns {DOMMatrix} Result.
+     * @internal
      */
-    function getPanZoomMatrix(svgInfo: SVGInfo): DOMMatrix
+    export function getPanZoomMatrix(svgInfo: SVGInfo): DOMMatrix
     {
         let svg: SVGSVGElement = svgInfo.svgDomElement;
         let g: SVGGElement = svgInfo.gDomElement;
@@ -2144,44 +2330,307 @@ namespace MIL
         /** An up chevron (^). */
         UpArrow,
         /** An down chevron (v). */
-        DownArrow
+        DownArrow,
+        /** An ellipse or circle (⬭). */
+        Ellipse,
+        /** A straight line (in any direction). */
+        Line,
+        /** A straight arrow (in any direction) drawn as a single stroke: the shaft followed by the head (→). */
+        Arrow
     }
 
     /** Type of a method that computes either a min or a max path-length from the bounding width/height of a Gesture (and/or the bounding width/height that the recognition must occur within). */
-    type PathLengthFunction = (gestureWidth: number, gestureHeight: number, targetWidth?: number, targetHeight?: number) => number;
+    export type PathLengthFunction = (gestureWidth: number, gestureHeight: number, targetWidth?: number, targetHeight?: number) => number;
+    /** Type of a method that performs a custom heuristic check on the path-points of a Gesture, returning true if the check passes. */
+    export type ShapeHeuristicFunction = (pathPoints: Point[]) => boolean;
+    /** Type of a method that converts the path-points of a Gesture into the idealized geometry of a shape. See Ink.Beautify(). */
+    export type ShapeBeautifyFunction = (pathPoints: Point[]) => BeautifiedShape;
+    /** Type of the idealized geometry of a shape, as returned by a ShapeBeautifyFunction. */
+    export type BeautifiedShape = { points: Point[], isClosed: boolean };
     /** Type of the definition of a recognizable shape. */
-    type ShapeDefinition = { id: RecognizableShape, outline: XY[], padding: number, compassHeading?: string, maxHeightRatio?: number, minPathLengthFn?: PathLengthFunction, maxPathLengthFn?: PathLengthFunction};
+    export type ShapeDefinition =
+    {
+        /** The ID of the shape. Either a MIL.RecognizableShape value, or a string (for a custom shape). */
+        id: ShapeID,
+        /** The outline of the shape, as [x, y] points relative (0..1) to the bounding rectangle of the drawn path. */
+        outline: XY[],
+        /** The amount (as a ratio of the bounding width/height of the drawn path) to expand the outline by to allow for "sloppy" drawing. */
+        padding: number,
+        /** [Optional] The compass heading(s) (eg. "NE|E") from the start to the end of the drawn path that the shape requires. */
+        compassHeading?: string,
+        /** [Optional] The maximum ratio of the bounding height to the bounding width of the drawn path. */
+        maxHeightRatio?: number,
+        /** [Optional] A function that computes the minimum length of the drawn path. */
+        minPathLengthFn?: PathLengthFunction,
+        /** [Optional] A function that computes the maximum length of the drawn path. */
+        maxPathLengthFn?: PathLengthFunction,
+        /** [Optional] A function that performs an additional [custom] check on the drawn path. */
+        heuristicFn?: ShapeHeuristicFunction,
+        /** [Optional] A function that converts the drawn path into the idealized geometry of the shape. Required for the shape to be used with Ink.Beautify(). */
+        beautifyFn?: ShapeBeautifyFunction
+    };
 
-    // TODO: Make this extensible by the user
     // Shape recognition is done via a combination of pattern matching [on a predefined outline] and heuristics [for start/end compass heading and line-length].
     // Shapes will often overlap based on pattern matching alone, so the heuristics are critical for shape differentiation. Providing a 'shapeNameList' to 
     // RecognizeShape() also helps reduce false positives because it shrinks the number of possible matches.
+    // Shapes can be added, replaced or removed using AddRecognizableShape() and RemoveRecognizableShape().
     let _recognizableShapes: ShapeDefinition[] =
         [
-            { id: RecognizableShape.CheckMark, outline: [[0.75, 0], [1, 0], [1, 0.25], [0.4, 1], [0, 1], [0, 0.6], [0.15, 0.5], [0.25, 0.7]], padding: 0, compassHeading: "NE|E", maxPathLengthFn: (gestureHeight, gestureWidth) => Math.sqrt(Math.pow(gestureWidth, 2) + Math.pow(gestureHeight, 2)) * 1.5 },
-            { id: RecognizableShape.Triangle, outline: [[0.4, 0], [0.6, 0], [1, 0.8], [1, 1], [0, 1], [0, 0.8]], padding: 0, minPathLengthFn: (gestureHeight, gestureWidth) => Math.sqrt(Math.pow(gestureWidth / 2, 2) + Math.pow(gestureHeight, 2)) * 2.25, maxPathLengthFn: (gestureHeight, gestureWidth) => Math.sqrt(Math.pow(gestureWidth / 2, 2) + Math.pow(gestureHeight, 2)) * 3.3 },
-            { id: RecognizableShape.Star, outline: [[0.50, 0], [0.612, 0.345], [0.976, 0.345], [0.682, 0.559], [0.794, 0.905], [0.5, 0.691], [0.206, 0.905], [0.318, 0.559], [0.024, 0.345], [0.388, 0.345]], padding: 0.25 },
-            { id: RecognizableShape.StrikeThroughHorizontal, outline: [[0, 0], [1, 0], [1, 1], [0, 1]], padding: 0, maxHeightRatio: 0.1, compassHeading: "E|W", minPathLengthFn: (gestureHeight, gestureWidth, targetWidth) => targetWidth / 2, maxPathLengthFn: (gestureHeight, gestureWidth, targetWidth) => targetWidth * 1.2 },
-            { id: RecognizableShape.StrikeThroughDiagonal, outline: [[0.8, 0], [1, 0], [1, 0.2], [0.2, 1], [0, 1], [0, 0.8]], padding: 0, compassHeading: "SW" }, // 100% overlap with "CheckMark" (compassHeading differentiates them)
+            { id: RecognizableShape.CheckMark, outline: [[0.75, 0], [1, 0], [1, 0.25], [0.4, 1], [0, 1], [0, 0.6], [0.15, 0.5], [0.25, 0.7]], padding: 0, compassHeading: "NE|E", maxPathLengthFn: (gestureHeight, gestureWidth) => Math.sqrt(Math.pow(gestureWidth, 2) + Math.pow(gestureHeight, 2)) * 1.5, beautifyFn: beautifyCheckMark },
+            { id: RecognizableShape.Triangle, outline: [[0.4, 0], [0.6, 0], [1, 0.8], [1, 1], [0, 1], [0, 0.8]], padding: 0, minPathLengthFn: (gestureHeight, gestureWidth) => Math.sqrt(Math.pow(gestureWidth / 2, 2) + Math.pow(gestureHeight, 2)) * 2.25, maxPathLengthFn: (gestureHeight, gestureWidth) => Math.sqrt(Math.pow(gestureWidth / 2, 2) + Math.pow(gestureHeight, 2)) * 3.3, beautifyFn: beautifyTriangle },
+            { id: RecognizableShape.Star, outline: [[0.50, 0], [0.612, 0.345], [0.976, 0.345], [0.682, 0.559], [0.794, 0.905], [0.5, 0.691], [0.206, 0.905], [0.318, 0.559], [0.024, 0.345], [0.388, 0.345]], padding: 0.25, beautifyFn: beautifyStar },
+            { id: RecognizableShape.StrikeThroughHorizontal, outline: [[0, 0], [1, 0], [1, 1], [0, 1]], padding: 0, maxHeightRatio: 0.1, compassHeading: "E|W", minPathLengthFn: (gestureHeight, gestureWidth, targetWidth) => targetWidth / 2, maxPathLengthFn: (gestureHeight, gestureWidth, targetWidth) => targetWidth * 1.2, beautifyFn: beautifyHorizontalLine },
+            { id: RecognizableShape.StrikeThroughDiagonal, outline: [[0.8, 0], [1, 0], [1, 0.2], [0.2, 1], [0, 1], [0, 0.8]], padding: 0, compassHeading: "SW", beautifyFn: beautifyLine }, // 100% overlap with "CheckMark" (compassHeading differentiates them)
             { id: RecognizableShape.XOut, outline: [[0, 0.25], [0.1, 0], [0.4, 0], [0.5, 0.25], [1, 0], [1, 0.33], [0.8, 0.5], [1, 0.66], [1, 1], [0.5, 0.75], [0.4, 1], [0.1, 1], [0, 0.75]], padding: 0, minPathLengthFn: (gestureHeight, gestureWidth) => Math.max(gestureHeight, gestureWidth) * 2.2, maxPathLengthFn: (gestureHeight, gestureWidth) => Math.max(gestureHeight, gestureWidth) * 3 }, // Overlaps with "CheckMark"
-            { id: RecognizableShape.Rectangle, outline: [[0, 0], [1, 0], [1, 1], [0, 1]], padding: 0, minPathLengthFn: (gestureHeight, gestureWidth) => ((gestureWidth * 2) + (gestureHeight * 2)) * 0.85, maxPathLengthFn: (gestureHeight, gestureWidth) => (gestureWidth * 2) + (gestureHeight * 2) }, // 100% overlap with "StrikeThroughHorizontal"
-            { id: RecognizableShape.GreaterThan, outline: [[0, 0], [0.2, 0], [1, 0.3], [1, 0.7], [0.2, 1], [0, 1], [0, 0.8], [0.7, 0.5], [0, 0.2]], padding: 0, compassHeading: "S", maxPathLengthFn: (gestureHeight, gestureWidth) => Math.max(gestureHeight, gestureWidth) * 2.3 },
-            { id: RecognizableShape.LessThan, outline: [[1, 0], [0.8, 0], [0, 0.3], [0, 0.7], [0.8, 1], [1, 1], [1, 0.8], [0.3, 0.5], [1, 0.2]], padding: 0, compassHeading: "S", maxPathLengthFn: (gestureHeight, gestureWidth) => Math.max(gestureHeight, gestureWidth) * 2.3 },
-            { id: RecognizableShape.UpArrow, outline: [[0, 1], [0, 0.8], [0.3, 0], [0.7, 0], [1, 0.8], [1, 1], [0.8, 1], [0.5, 0.3], [0.2, 1]], padding: 0, compassHeading: "E|W", maxPathLengthFn: (gestureHeight, gestureWidth) => Math.max(gestureHeight, gestureWidth) * 2.3 },
-            { id: RecognizableShape.DownArrow, outline: [[0, 0], [0.2, 0], [0.5, 0.7], [0.8, 0], [1, 0], [1, 0.2], [0.7, 1], [0.3, 1], [0, 0.2]], padding: 0, compassHeading: "E|W", maxPathLengthFn: (gestureHeight, gestureWidth) => Math.max(gestureHeight, gestureWidth) * 2.3 }
+            { id: RecognizableShape.Rectangle, outline: [[0, 0], [1, 0], [1, 1], [0, 1]], padding: 0, minPathLengthFn: (gestureHeight, gestureWidth) => ((gestureWidth * 2) + (gestureHeight * 2)) * 0.85, maxPathLengthFn: (gestureHeight, gestureWidth) => (gestureWidth * 2) + (gestureHeight * 2), beautifyFn: beautifyRectangle }, // 100% overlap with "StrikeThroughHorizontal"
+            { id: RecognizableShape.GreaterThan, outline: [[0, 0], [0.2, 0], [1, 0.3], [1, 0.7], [0.2, 1], [0, 1], [0, 0.8], [0.7, 0.5], [0, 0.2]], padding: 0, compassHeading: "S", maxPathLengthFn: (gestureHeight, gestureWidth) => Math.max(gestureHeight, gestureWidth) * 2.3, beautifyFn: beautifyGreaterThan },
+            { id: RecognizableShape.LessThan, outline: [[1, 0], [0.8, 0], [0, 0.3], [0, 0.7], [0.8, 1], [1, 1], [1, 0.8], [0.3, 0.5], [1, 0.2]], padding: 0, compassHeading: "S", maxPathLengthFn: (gestureHeight, gestureWidth) => Math.max(gestureHeight, gestureWidth) * 2.3, beautifyFn: beautifyLessThan },
+            { id: RecognizableShape.UpArrow, outline: [[0, 1], [0, 0.8], [0.3, 0], [0.7, 0], [1, 0.8], [1, 1], [0.8, 1], [0.5, 0.3], [0.2, 1]], padding: 0, compassHeading: "E|W", maxPathLengthFn: (gestureHeight, gestureWidth) => Math.max(gestureHeight, gestureWidth) * 2.3, beautifyFn: beautifyUpArrow },
+            { id: RecognizableShape.DownArrow, outline: [[0, 0], [0.2, 0], [0.5, 0.7], [0.8, 0], [1, 0], [1, 0.2], [0.7, 1], [0.3, 1], [0, 0.2]], padding: 0, compassHeading: "E|W", maxPathLengthFn: (gestureHeight, gestureWidth) => Math.max(gestureHeight, gestureWidth) * 2.3, beautifyFn: beautifyDownArrow },
+            { id: RecognizableShape.Ellipse, outline: getRingOutline(0.3), padding: 0.05, minPathLengthFn: (gestureWidth, gestureHeight) => (Math.PI * (gestureWidth + gestureHeight) / 2) * 0.8, maxPathLengthFn: (gestureWidth, gestureHeight) => (Math.PI * (gestureWidth + gestureHeight) / 2) * 1.35, beautifyFn: beautifyEllipse },
+            { id: RecognizableShape.Arrow, outline: [[0, 0], [1, 0], [1, 1], [0, 1]], padding: 0, heuristicFn: isArrow, beautifyFn: beautifyArrow }, // 100% overlap with "Line" (heuristicFn differentiates them, but Arrow must be tested first since an arrow is also a straight[ish] line)
+            { id: RecognizableShape.Line, outline: [[0, 0], [1, 0], [1, 1], [0, 1]], padding: 0, heuristicFn: (pathPoints) => Utils.IsStraightLine(Utils.ConvertPointsToXYPoints(pathPoints)), beautifyFn: beautifyLine } // 100% overlap with "StrikeThroughHorizontal" and "StrikeThroughDiagonal"
         ];
 
     /**
-     * Attempts to recognize a RecognizableShape from the supplied pathPoints. Returns the ID of the recognized shape if successful, or null if not.
+     * Adds a custom shape (or replaces an existing shape) that can be recognized by MIL.RecognizeShape() and BuiltInGestures.ShapeRecognizer().
+     * @param {ShapeDefinition} shapeDefinition The definition of the shape. If shapeDefinition.id is a string, it must not be the name of a MIL.RecognizableShape value (eg. "Star").
+     * @param {boolean} [replaceExisting] [Optional] Whether to replace an existing shape with the same ID. If false (the default), an exception will be thrown if the shape already exists.
+     */
+    export function AddRecognizableShape(shapeDefinition: ShapeDefinition, replaceExisting: boolean = false): void
+    {
+        let id: ShapeID = shapeDefinition.id;
+
+        if (typeof id === "string")
+        {
+            if (!id)
+            {
+                throw new MILException("The shape ID cannot be an empty string");
+            }
+            if (RecognizableShape[id as keyof typeof RecognizableShape] !== undefined)
+            {
+                throw new MILException("The shape ID '" + id + "' is the name of a built-in shape: use MIL.RecognizableShape." + id + " as the ID instead");
+            }
+        }
+        else
+        {
+            if (RecognizableShape[id] === undefined)
+            {
+                throw new MILException("The shape ID (" + id + ") is not a valid MIL.RecognizableShape value");
+            }
+        }
+
+        if (!shapeDefinition.outline || (shapeDefinition.outline.length < 3))
+        {
+            throw new MILException("The outline of shape '" + getShapeName(id) + "' must contain at least 3 points");
+        }
+
+        for (let p = 0; p < shapeDefinition.outline.length; p++)
+        {
+            let xy: XY = shapeDefinition.outline[p];
+            if ((xy[0] < 0) || (xy[0] > 1) || (xy[1] < 0) || (xy[1] > 1))
+            {
+                throw new MILException("The outline of shape '" + getShapeName(id) + "' contains a point (" + xy[0] + ", " + xy[1] + ") that is outside the range 0..1");
+            }
+        }
+
+        if (!(shapeDefinition.padding >= 0))
+        {
+            throw new MILException("The padding of shape '" + getShapeName(id) + "' must be a number greater than or equal to 0");
+        }
+
+        let index: number = getRecognizableShapeIndex(id);
+
+        if ((index !== -1) && !replaceExisting)
+        {
+            throw new MILException("Shape '" + getShapeName(id) + "' already exists: specify 'replaceExisting' as true to replace it");
+        }
+
+        // Note: We store a copy of the definition since RecognizeShape() may modify it (and so that later changes by the caller have no effect)
+        let newShape: ShapeDefinition = {
+            id: id,
+            outline: shapeDefinition.outline.map(function (xy: XY): XY { return ([xy[0], xy[1]]); }),
+            padding: shapeDefinition.padding,
+            compassHeading: shapeDefinition.compassHeading,
+            maxHeightRatio: shapeDefinition.maxHeightRatio,
+            minPathLengthFn: shapeDefinition.minPathLengthFn,
+            maxPathLengthFn: shapeDefinition.maxPathLengthFn,
+            heuristicFn: shapeDefinition.heuristicFn,
+            beautifyFn: shapeDefinition.beautifyFn
+        };
+
+        if (index !== -1)
+        {
+            _recognizableShapes[index] = newShape;
+            log("Replaced recognizable shape '" + getShapeName(id) + "'", FeatureNames.ShapeRecognition);
+        }
+        else
+        {
+            _recognizableShapes.push(newShape);
+            log("Added recognizable shape '" + getShapeName(id) + "'", FeatureNames.ShapeRecognition);
+        }
+    }
+
+    /**
+     * Removes the shape with the specified ID so that it will no longer be recognized by MIL.RecognizeShape() and BuiltInGestures.ShapeRecognizer().
+     * Both custom shapes and built-in shapes can be removed.
+     * @param {ShapeID} shapeID The ID of the shape to remove.
+     * @returns {boolean} True if the shape was removed, false if the shape was not found.
+     */
+    export function RemoveRecognizableShape(shapeID: ShapeID): boolean
+    {
+        let index: number = getRecognizableShapeIndex(shapeID);
+
+        if (index !== -1)
+        {
+            _recognizableShapes.splice(index, 1);
+            log("Removed recognizable shape '" + getShapeName(shapeID) + "'", FeatureNames.ShapeRecognition);
+            return (true);
+        }
+        return (false);
+    }
+
+    /**
+     * Returns (a copy of) the definition of the shape with the specified ID, or null if no such shape exists.
+     * @param {ShapeID} shapeID The ID of the shape to get.
+     * @returns {ShapeDefinition | null} Result.
+     */
+    export function GetRecognizableShape(shapeID: ShapeID): ShapeDefinition | null
+    {
+        let index: number = getRecognizableShapeIndex(shapeID);
+
+        if (index !== -1)
+        {
+            let shape: ShapeDefinition = _recognizableShapes[index];
+            return ({
+                id: shape.id,
+                outline: shape.outline.map(function (xy: XY): XY { return ([xy[0], xy[1]]); }),
+                padding: shape.padding,
+                compassHeading: shape.compassHeading,
+                maxHeightRatio: shape.maxHeightRatio,
+                minPathLengthFn: shape.minPathLengthFn,
+                maxPathLengthFn: shape.maxPathLengthFn,
+                heuristicFn: shape.heuristicFn,
+                beautifyFn: shape.beautifyFn
+            });
+        }
+        return (null);
+    }
+
+    /**
+     * Returns the IDs of all the shapes (both built-in and custom) that can currently be recognized by MIL.RecognizeShape().
+     * @returns {ShapeID[]} Result.
+     */
+    export function RecognizableShapeIDs(): ShapeID[]
+    {
+        return (_recognizableShapes.map(function (shape: ShapeDefinition) { return (shape.id); }));
+    }
+
+    /**
+     * [Private Method] Returns the index (in _recognizableShapes) of the shape with the specified ID, or -1 if not found.
+     * @param {ShapeID} shapeID The ID of the shape to find.
+     * @returns {number} Result.
+     */
+    function getRecognizableShapeIndex(shapeID: ShapeID): number
+    {
+        for (let i = 0; i < _recognizableShapes.length; i++)
+        {
+            if (_recognizableShapes[i].id === shapeID)
+            {
+                return (i);
+            }
+        }
+        return (-1);
+    }
+
+    /**
+     * [Internal] Returns the display name of the shape with the specified ID.
+     * @param {ShapeID} shapeID The ID of the shape.
+     * @returns {string} Result.
+     * @internal
+     */
+    export function getShapeName(shapeID: ShapeID): string
+    {
+        return ((typeof shapeID === "number") ? RecognizableShape[shapeID] : shapeID);
+    }
+
+    /** The outcome of a heuristic check made by MIL.RecognizeShapeCandidates(). */
+    export enum ShapeHeuristicOutcome
+    {
+        /** The shape does not define the heuristic. */
+        NotApplicable,
+        /** The heuristic could not be evaluated (eg. because targetWidth and/or targetHeight was not supplied). */
+        NotEvaluated,
+        /** The drawn path passed the heuristic. */
+        Passed,
+        /** The drawn path failed the heuristic. */
+        Failed
+    }
+
+    /** Type of the result of a heuristic check made by MIL.RecognizeShapeCandidates(). */
+    export type ShapeHeuristicResult =
+    {
+        /** The outcome of the check. */
+        outcome: ShapeHeuristicOutcome,
+        /** The value required by the shape (eg. "NE|E" for a compassHeading, or the computed minimum path-length). Will be undefined if the outcome is NotApplicable or NotEvaluated. */
+        expected?: string | number,
+        /** The value of the drawn path. Will be undefined if the outcome is NotApplicable or NotEvaluated. */
+        actual?: string | number
+    };
+
+    /** Type of a candidate shape returned by MIL.RecognizeShapeCandidates(). */
+    export type ShapeCandidate =
+    {
+        /** The ID of the shape. */
+        id: ShapeID,
+        /** The ratio (0..1) of points in the drawn path that are inside the scaled outline of the shape. */
+        percentInside: number,
+        /** True if percentInside is at least the required minMatchPercent and no heuristic failed. */
+        isMatch: boolean,
+        /** The results of the heuristic checks. */
+        heuristics:
+        {
+            compassHeading: ShapeHeuristicResult,
+            maxHeightRatio: ShapeHeuristicResult,
+            minPathLength: ShapeHeuristicResult,
+            maxPathLength: ShapeHeuristicResult,
+            /** The result of the ShapeDefinition.heuristicFn check (the expected/actual values are not set). */
+            custom: ShapeHeuristicResult
+        },
+        /** The outline of the shape, scaled (and padded) to the bounding rectangle of the drawn path. */
+        scaledOutline: XY[]
+    };
+
+    /**
+     * Attempts to recognize a shape (either a RecognizableShape or a custom shape added with MIL.AddRecognizableShape()) from the supplied pathPoints. Returns the ID of the recognized shape if successful, or null if not.
+     * See also: MIL.RecognizeShapeCandidates().
+     * @param {Point[]} pathPoints The path-points to be recognized.
+     * @param {number} minMatchPercent The percentage of points in the drawn path that must be inside the shape-template to trigger a match.
+     * @param {number} [targetWidth] [Optional] The width (in pixels) of the area that the shape recognition will occur within.
+     * @param {number} [targetHeight] [Optional] The height (in pixels) of the area that the shape recognition will occur within.
+     * @param {SVGGElement} [gDomElement] [Optional] Enables the drawing of debug information (the tested shape outline(s) and the pathPoints).
+     * @param {ShapeID[]} [targetShapeList] [Optional] The list of shapes to be recognized (must be MIL.RecognizableShape values and/or the IDs of custom shapes). Note: Providing a shapeList helps to reduce false-positives (misrecognitions).
+     * @returns {ShapeID | null} The recognized shape (or null).
+     */
+    export function RecognizeShape(pathPoints: Point[], minMatchPercent: number = 0.8, targetWidth?: number, targetHeight?: number, gDomElement?: SVGGElement, targetShapeList?: ShapeID[]): ShapeID | null
+    {
+        let candidates: ShapeCandidate[] = RecognizeShapeCandidates(pathPoints, minMatchPercent, targetWidth, targetHeight, gDomElement, targetShapeList);
+        return (((candidates.length > 0) && candidates[0].isMatch) ? candidates[0].id : null);
+    }
+
+    /**
+     * Evaluates the supplied pathPoints against every shape (either a RecognizableShape or a custom shape added with MIL.AddRecognizableShape()) and returns all the shapes as
+     * candidates, ranked with matches first (see ShapeCandidate.isMatch) and then by percentInside (highest first). The first candidate is the shape that MIL.RecognizeShape() would return
+     * (if its isMatch is true). Unlike MIL.RecognizeShape(), this provides the information needed to offer the user a choice of shapes when the recognition is ambiguous.
      * @param {Point[]} pathPoints The path-points to be recognized.
      * @param {number} minMatchPercent The percentage of points in the drawn path that must be inside the shape-template to trigger a match.
      * @param {number} [targetWidth] [Optional] The width (in pixels) of the area that the shape recognition will occur within.
      * @param {number} [targetHeight] [Optional] The height (in pixels) of the area that the shape recognition will occur within.
      * @param {SVGGElement} [gDomElement] [Optional] Enables the drawing of debug information (the tested shape outline(s) and the pathPoints).
-     * @param {RecognizableShape[]} [targetShapeList] [Optional] The list of shapes to be recognized (must be MIL.RecognizableShapes values). Note: Providing a shapeList helps to reduce false-positives (misrecognitions).
-     * @returns {RecognizableShape | null} The recognized shape (or null).
+     * @param {ShapeID[]} [targetShapeList] [Optional] The list of shapes to be evaluated (must be MIL.RecognizableShape values and/or the IDs of custom shapes).
+     * @returns {ShapeCandidate[]} Result.
      */
-    export function RecognizeShape(pathPoints: Point[], minMatchPercent: number = 0.8, targetWidth?: number, targetHeight?: number, gDomElement?: SVGGElement, targetShapeList?: RecognizableShape[]): RecognizableShape | null
+    export function RecognizeShapeCandidates(pathPoints: Point[], minMatchPercent: number = 0.8, targetWidth?: number, targetHeight?: number, gDomElement?: SVGGElement, targetShapeList?: ShapeID[]): ShapeCandidate[]
     {
         if (DebugFeature(FeatureNames.ShapeRecognition) && (gDomElement === undefined))
         {
@@ -2208,9 +2657,8 @@ namespace MIL
         let svgInfo: SVGInfo = DebugFeature(FeatureNames.ShapeRecognition) ? getSvgInfo(gDomElement) : null;
         let boundingRect: Rect = Utils.GetBoundingRectForPoints(pathPoints);
         let pointsToTest: XY[] = d3.range(pathPoints.length).map(function (d) { return ([pathPoints[d].x, pathPoints[d].y]); });
-        let bestMatchPercent: number = 0;
-        let bestMatchShape: ShapeDefinition = null;
         let pathLength: number = Utils.ComputeTotalLength(pathPoints);
+        let candidates: ShapeCandidate[] = [];
         let d: string = "";
 
         for (let i = 0; i < shapeList.length; i++)
@@ -2238,97 +2686,131 @@ namespace MIL
             // Count how many path-points are inside the shape path
             let containedPathPointCount: number = Utils.CountPointsInPolygon(shapePathPoints, pointsToTest);
             let percentInside: number = containedPathPointCount / pathPoints.length;
+            let isPossibleMatch: boolean = (percentInside >= minMatchPercent);
 
             if (DebugFeature(FeatureNames.ShapeRecognition))
             {
                 // Draw a path for the shape
                 svgInfo.gSelection.append("path").attr("d", d + "Z").attr("stroke", "red").attr("fill", "transparent").node().style.strokeWidth = "1px";
-                log("Shape '" + RecognizableShape[shape.id] + "' matches " + (percentInside * 100).toFixed(2) + "% of path-points [vs " + (minMatchPercent * 100) + "% required]");
+                log("Shape '" + getShapeName(shape.id) + "' matches " + (percentInside * 100).toFixed(2) + "% of path-points [vs " + (minMatchPercent * 100) + "% required]");
             }
 
-            if ((percentInside >= minMatchPercent) && (percentInside > bestMatchPercent))
-            {
-                // We've found a possible match, so now check heuristics
-
-                if (shape.compassHeading)
+            // Check heuristics
+            // Note: Unlike the percentInside check, these are done for all shapes (not just possible matches) so that the caller has complete information
+            let candidate: ShapeCandidate = {
+                id: shape.id,
+                percentInside: percentInside,
+                isMatch: false,
+                heuristics:
                 {
-                    let compassHeadings: string[] = shape.compassHeading.split("|");
-                    let compassHeadingMatches: boolean = false;
+                    compassHeading: { outcome: ShapeHeuristicOutcome.NotApplicable },
+                    maxHeightRatio: { outcome: ShapeHeuristicOutcome.NotApplicable },
+                    minPathLength: { outcome: ShapeHeuristicOutcome.NotApplicable },
+                    maxPathLength: { outcome: ShapeHeuristicOutcome.NotApplicable },
+                    custom: { outcome: ShapeHeuristicOutcome.NotApplicable }
+                },
+                scaledOutline: shapePathPoints
+            };
 
-                    for (let h = 0; h < compassHeadings.length; h++)
-                    {
-                        let compassHeading: string = compassHeadings[h];
-                        let actualCompassHeading = Utils.GetCompassHeading(Utils.GetHeadingFromPoints(pathPoints[0], pathPoints[pathPoints.length - 1]));
-                        compassHeadingMatches = (compassHeading === actualCompassHeading);
+            if (shape.compassHeading)
+            {
+                let compassHeadings: string[] = shape.compassHeading.split("|");
+                let actualCompassHeading: string = Utils.GetCompassHeading(Utils.GetHeadingFromPoints(pathPoints[0], pathPoints[pathPoints.length - 1])) as string;
+                let compassHeadingMatches: boolean = (compassHeadings.indexOf(actualCompassHeading) !== -1);
 
-                        if (compassHeadingMatches)
-                        {
-                            break;
-                        }
-                    }
+                candidate.heuristics.compassHeading = { outcome: compassHeadingMatches ? ShapeHeuristicOutcome.Passed : ShapeHeuristicOutcome.Failed, expected: shape.compassHeading, actual: actualCompassHeading };
 
-                    if (!compassHeadingMatches)
-                    {
-                        log("Shape '" + RecognizableShape[shape.id] + "' doesn't match on compassHeading", FeatureNames.ShapeRecognition);
-                        continue;
-                    }
+                if (!compassHeadingMatches && isPossibleMatch)
+                {
+                    log("Shape '" + getShapeName(shape.id) + "' doesn't match on compassHeading", FeatureNames.ShapeRecognition);
                 }
+            }
 
-                if (shape.maxHeightRatio)
+            if (shape.maxHeightRatio)
+            {
+                let heightRatio: number = (boundingRect.height / boundingRect.width);
+                let isHeightRatioOK: boolean = (heightRatio <= shape.maxHeightRatio);
+
+                candidate.heuristics.maxHeightRatio = { outcome: isHeightRatioOK ? ShapeHeuristicOutcome.Passed : ShapeHeuristicOutcome.Failed, expected: shape.maxHeightRatio, actual: heightRatio };
+
+                if (!isHeightRatioOK && isPossibleMatch)
                 {
-                    let heightRatio: number = (boundingRect.height / boundingRect.width);
-                    if (heightRatio > shape.maxHeightRatio)
-                    {
-                        log("Shape '" + RecognizableShape[shape.id] + "' doesn't match on maxHeightRatio (expected: " + shape.maxHeightRatio + ", actual: " + heightRatio.toFixed(2) + ")", FeatureNames.ShapeRecognition);
-                        continue;
-                    }
+                    log("Shape '" + getShapeName(shape.id) + "' doesn't match on maxHeightRatio (expected: " + shape.maxHeightRatio + ", actual: " + heightRatio.toFixed(2) + ")", FeatureNames.ShapeRecognition);
                 }
+            }
 
-                if (shape.minPathLengthFn || shape.maxPathLengthFn)
-                {
-                    let gestureWidth: number = boundingRect.width;
-                    let gestureHeight: number = boundingRect.height;
+            if (shape.minPathLengthFn || shape.maxPathLengthFn)
+            {
+                let gestureWidth: number = boundingRect.width;
+                let gestureHeight: number = boundingRect.height;
 
-                    if (shape.minPathLengthFn)
+                if (shape.minPathLengthFn)
+                {
+                    if (((shape.minPathLengthFn.toString().indexOf("targetWidth") !== -1) && !targetWidth) ||
+                        ((shape.minPathLengthFn.toString().indexOf("targetHeight") !== -1) && !targetHeight))
                     {
-                        if (((shape.minPathLengthFn.toString().indexOf("targetWidth") !== -1) && !targetWidth) ||
-                            ((shape.minPathLengthFn.toString().indexOf("targetHeight") !== -1) && !targetHeight))
+                        candidate.heuristics.minPathLength = { outcome: ShapeHeuristicOutcome.NotEvaluated };
+                        if (isPossibleMatch)
                         {
-                            log("Shape '" + RecognizableShape[shape.id] + "': Cannot evaluate minPathLength because targetWidth and/or targetHeight was not supplied", FeatureNames.ShapeRecognition);
+                            log("Shape '" + getShapeName(shape.id) + "': Cannot evaluate minPathLength because targetWidth and/or targetHeight was not supplied", FeatureNames.ShapeRecognition);
                         }
-                        else
+                    }
+                    else
+                    {
+                        let minPathLength: number = shape.minPathLengthFn(gestureWidth, gestureHeight, targetWidth, targetHeight);
+                        let isMinPathLengthOK: boolean = (pathLength >= minPathLength);
+
+                        candidate.heuristics.minPathLength = { outcome: isMinPathLengthOK ? ShapeHeuristicOutcome.Passed : ShapeHeuristicOutcome.Failed, expected: minPathLength, actual: pathLength };
+
+                        if (!isMinPathLengthOK && isPossibleMatch)
                         {
-                            let minPathLength: number = shape.minPathLengthFn(gestureWidth, gestureHeight, targetWidth, targetHeight);
-                            if (pathLength < minPathLength)
-                            {
-                                log("Shape '" + RecognizableShape[shape.id] + "' doesn't match on minPathLength (expected: " + minPathLength.toFixed(2) + ", actual: " + pathLength.toFixed(2) + ")", FeatureNames.ShapeRecognition);
-                                continue;
-                            }
+                            log("Shape '" + getShapeName(shape.id) + "' doesn't match on minPathLength (expected: " + minPathLength.toFixed(2) + ", actual: " + pathLength.toFixed(2) + ")", FeatureNames.ShapeRecognition);
                         }
                     }
+                }
 
-                    if (shape.maxPathLengthFn)
+                if (shape.maxPathLengthFn)
+                {
+                    if (((shape.maxPathLengthFn.toString().indexOf("targetWidth") !== -1) && !targetWidth) ||
+                        ((shape.maxPathLengthFn.toString().indexOf("targetHeight") !== -1) && !targetHeight))
                     {
-                        if (((shape.maxPathLengthFn.toString().indexOf("targetWidth") !== -1) && !targetWidth) ||
-                            ((shape.maxPathLengthFn.toString().indexOf("targetHeight") !== -1) && !targetHeight))
+                        candidate.heuristics.maxPathLength = { outcome: ShapeHeuristicOutcome.NotEvaluated };
+                        if (isPossibleMatch)
                         {
-                            log("Shape '" + RecognizableShape[shape.id] + "': Cannot evaluate maxPathLength because targetWidth and/or targetHeight was not supplied", FeatureNames.ShapeRecognition);
+                            log("Shape '" + getShapeName(shape.id) + "': Cannot evaluate maxPathLength because targetWidth and/or targetHeight was not supplied", FeatureNames.ShapeRecognition);
                         }
-                        else
+                    }
+                    else
+                    {
+                        let maxPathLength: number = shape.maxPathLengthFn(gestureWidth, gestureHeight, targetWidth, targetHeight);
+                        let isMaxPathLengthOK: boolean = (pathLength <= maxPathLength);
+
+                        candidate.heuristics.maxPathLength = { outcome: isMaxPathLengthOK ? ShapeHeuristicOutcome.Passed : ShapeHeuristicOutcome.Failed, expected: maxPathLength, actual: pathLength };
+
+                        if (!isMaxPathLengthOK && isPossibleMatch)
                         {
-                            let maxPathLength: number = shape.maxPathLengthFn(gestureWidth, gestureHeight, targetWidth, targetHeight);
-                            if (pathLength > maxPathLength)
-                            {
-                                log("Shape '" + RecognizableShape[shape.id] + "' doesn't match on maxPathLength (expected: " + maxPathLength.toFixed(2) + ", actual: " + pathLength.toFixed(2) + ")", FeatureNames.ShapeRecognition);
-                                continue;
-                            }
+                            log("Shape '" + getShapeName(shape.id) + "' doesn't match on maxPathLength (expected: " + maxPathLength.toFixed(2) + ", actual: " + pathLength.toFixed(2) + ")", FeatureNames.ShapeRecognition);
                         }
                     }
                 }
+            }
+
+            if (shape.heuristicFn)
+            {
+                let isCustomHeuristicOK: boolean = shape.heuristicFn(pathPoints);
 
-                bestMatchPercent = percentInside;
-                bestMatchShape = shape;
+                candidate.heuristics.custom = { outcome: isCustomHeuristicOK ? ShapeHeuristicOutcome.Passed : ShapeHeuristicOutcome.Failed };
+
+                if (!isCustomHeuristicOK && isPossibleMatch)
+                {
+                    log("Shape '" + getShapeName(shape.id) + "' doesn't match on its custom heuristic", FeatureNames.ShapeRecognition);
+                }
             }
+
+            let heuristics: BaseObject = candidate.heuristics;
+            let isAnyHeuristicFailed: boolean = Object.keys(heuristics).some(function (name: string) { return ((heuristics[name] as ShapeHeuristicResult).outcome === ShapeHeuristicOutcome.Failed); });
+            candidate.isMatch = isPossibleMatch && !isAnyHeuristicFailed;
+            candidates.push(candidate);
         }
 
         if (DebugFeature(FeatureNames.ShapeRecognition))
@@ -2342,7 +2824,892 @@ namespace MIL
             svgInfo.gSelection.append("path").attr("d", d).attr("stroke", "blue").attr("fill", "transparent").node().style.strokeWidth = "1px";
         }
 
-        return (bestMatchShape ? bestMatchShape.id : null);
+        // Rank the candidates: matches first, then by percentInside (highest first).
+        // Note: Where the ranking is otherwise equal we preserve the original [shape list] order, since Array.sort() is not guaranteed to be stable (eg. in IE11).
+        let rankedCandidates: ShapeCandidate[] = candidates.slice().sort(function (c1, c2)
+        {
+            if (c1.isMatch !== c2.isMatch)
+            {
+                return (c1.isMatch ? -1 : 1);
+            }
+            if (c1.percentInside !== c2.percentInside)
+            {
+                return (c2.percentInside - c1.percentInside);
+            }
+            return (candidates.indexOf(c1) - candidates.indexOf(c2));
+        });
+
+        return (rankedCandidates);
+    }
+
+    /**
+     * Returns the idealized geometry of the specified shape, fitted to the supplied path-points (which are assumed to have been recognized as the shape, eg. by MIL.RecognizeShape()).
+     * Returns null if the shape does not support beautification (ie. it has no ShapeDefinition.beautifyFn).
+     * @param {ShapeID} shapeID The ID of the shape.
+     * @param {Point[]} pathPoints The path-points (typically from Ink.PathPoints()) that were recognized as the shape.
+     * @returns {BeautifiedShape | null} Result.
+     */
+    export function BeautifyShape(shapeID: ShapeID, pathPoints: Point[]): BeautifiedShape | null
+    {
+        let index: number = getRecognizableShapeIndex(shapeID);
+
+        if (index === -1)
+        {
+            throw new MILException("Shape '" + shapeID + "' is not a recognizable shape");
+        }
+
+        if (pathPoints.length < 2)
+        {
+            throw new MILException("At least 2 pathPoints are required to beautify a shape");
+        }
+
+        let beautifyFn: ShapeBeautifyFunction = _recognizableShapes[index].beautifyFn;
+        return (beautifyFn ? beautifyFn(pathPoints) : null);
+    }
+
+    /**
+     * [Internal] Returns the IDs of all the shapes that can be beautified (ie. those that have a ShapeDefinition.beautifyFn).
+     * @returns {ShapeID[]} Result.
+     * @internal
+     */
+    export function getBeautifiableShapeIDs(): ShapeID[]
+    {
+        return (_recognizableShapes.filter(function (shape: ShapeDefinition) { return (Boolean(shape.beautifyFn)); }).map(function (shape: ShapeDefinition) { return (shape.id); }));
+    }
+
+    /**
+     * [Private Method] Returns the outline (in relative path-points) of a ring, ie. a circle with a [reversed] circular hole in it.
+     * Note: Because Utils.IsPointInPolygon() uses the even-odd rule, points inside the hole are not considered to be inside the outline.
+     * @param {number} innerRadius The radius of the hole (0..0.5).
+     * @returns {XY[]} Result.
+     */
+    function getRingOutline(innerRadius: number): XY[]
+    {
+        let outline: XY[] = [];
+        let segmentCount: number = 24;
+
+        for (let i = 0; i <= segmentCount; i++)
+        {
+            let angle: number = (i / segmentCount) * 2 * Math.PI;
+            outline.push([0.5 + (Math.cos(angle) * 0.5), 0.5 + (Math.sin(angle) * 0.5)]);
+        }
+
+        for (let i = segmentCount; i >= 0; i--)
+        {
+            let angle: number = (i / segmentCount) * 2 * Math.PI;
+            outline.push([0.5 + (Math.cos(angle) * innerRadius), 0.5 + (Math.sin(angle) * innerRadius)]);
+        }
+
+        return (outline);
+    }
+
+    /**
+     * [Private Method] Returns true if the supplied path-points look like a single-stroke arrow, ie. a straight shaft followed by a head with a barb on each side of the shaft.
+     * @param {Point[]} pathPoints The path-points of the drawn arrow.
+     * @returns {boolean} Result.
+     */
+    function isArrow(pathPoints: Point[]): boolean
+    {
+        let startPoint: Point = pathPoints[0];
+        let tipIndex: number = getFarthestPointIndex(pathPoints, startPoint);
+        let tipPoint: Point = pathPoints[tipIndex];
+        let shaftLength: number = Utils.GetDistanceBetweenPoints(startPoint, tipPoint);
+
+        // There must be a shaft, followed by a head
+        if ((tipIndex < 2) || (tipIndex === pathPoints.length - 1) || (shaftLength === 0))
+        {
+            return (false);
+        }
+
+        let shaftPoints: Point[] = pathPoints.slice(0, tipIndex + 1);
+        let headPoints: Point[] = pathPoints.slice(tipIndex + 1);
+        let shaftPathLength: number = Utils.ComputeTotalLength(shaftPoints);
+        let headPathLength: number = Utils.ComputeTotalLength(pathPoints.slice(tipIndex));
+
+        // The shaft must be straight(ish)
+        if (!Utils.IsStraightLine(Utils.ConvertPointsToXYPoints(shaftPoints)) || (shaftPathLength > shaftLength * 1.2))
+        {
+            return (false);
+        }
+
+        // The head must be in proportion to the shaft [guesstimated thresholds]
+        if ((headPathLength < shaftLength * 0.15) || (headPathLength > shaftLength * 1.5))
+        {
+            return (false);
+        }
+
+        // The head must be "behind" the tip, and must have a barb on both sides of the shaft
+        let shaftDirection: Point = { x: (tipPoint.x - startPoint.x) / shaftLength, y: (tipPoint.y - startPoint.y) / shaftLength };
+        let hasLeftBarb: boolean = false, hasRightBarb: boolean = false;
+
+        for (let i = 0; i < headPoints.length; i++)
+        {
+            let deltaX: number = headPoints[i].x - tipPoint.x;
+            let deltaY: number = headPoints[i].y - tipPoint.y;
+            let alongShaft: number = (deltaX * shaftDirection.x) + (deltaY * shaftDirection.y);
+            let acrossShaft: number = (shaftDirection.x * deltaY) - (shaftDirection.y * deltaX); // The [2D] cross-product
+
+            if ((alongShaft > shaftLength * 0.1) || (Utils.GetDistanceBetweenPoints(headPoints[i], tipPoint) > shaftLength * 0.6))
+            {
+                return (false);
+            }
+
+            if (Math.abs(acrossShaft) > shaftLength * 0.05)
+            {
+                hasLeftBarb = hasLeftBarb || (acrossShaft < 0);
+                hasRightBarb = hasRightBarb || (acrossShaft > 0);
+            }
+        }
+
+        return (hasLeftBarb && hasRightBarb);
+    }
+
+    /**
+     * [Private Method] Returns the index of the point (in 'points') that is farthest from 'targetPoint'.
+     * @param {Point[]} points The points to search.
+     * @param {Point} targetPoint The point to measure from.
+     * @returns {number} Result.
+     */
+    function getFarthestPointIndex(points: Point[], targetPoint: Point): number
+    {
+        let farthestIndex: number = 0;
+        let maxDistance: number = -1;
+
+        for (let i = 0; i < points.length; i++)
+        {
+            let distance: number = Utils.GetDistanceBetweenPoints(points[i], targetPoint);
+            if (distance > maxDistance)
+            {
+                maxDistance = distance;
+                farthestIndex = i;
+            }
+        }
+        return (farthestIndex);
+    }
+
+    /**
+     * [Private Method] Returns a BeautifiedShape created by mapping the supplied relative points (in the range 0..1) into the bounding rectangle of 'pathPoints'.
+     * @param {Point[]} pathPoints The path-points of the drawn shape.
+     * @param {XY[]} relativePoints The vertices of the idealized shape (in relative path-points).
+     * @param {boolean} isClosed Whether the idealized shape is closed.
+     * @returns {BeautifiedShape} Result.
+     */
+    function getBeautifiedShapeInBoundingRect(pathPoints: Point[], relativePoints: XY[], isClosed: boolean): BeautifiedShape
+    {
+        let boundingRect: Rect = Utils.GetBoundingRectForPoints(pathPoints);
+        let points: Point[] = relativePoints.map(function (xy: XY) { return ({ x: boundingRect.x + (xy[0] * boundingRect.width), y: boundingRect.y + (xy[1] * boundingRect.height) }); });
+        return ({ points: points, isClosed: isClosed });
+    }
+
+    /** [Private Method] Beautifies a CheckMark. */
+    function beautifyCheckMark(pathPoints: Point[]): BeautifiedShape
+    {
+        return (getBeautifiedShapeInBoundingRect(pathPoints, [[0, 0.6], [0.35, 1], [1, 0]], false));
+    }
+
+    /** [Private Method] Beautifies a Triangle (as an isosceles triangle). */
+    function beautifyTriangle(pathPoints: Point[]): BeautifiedShape
+    {
+        return (getBeautifiedShapeInBoundingRect(pathPoints, [[0.5, 0], [1, 1], [0, 1]], true));
+    }
+
+    /** [Private Method] Beautifies a Star (as a regular pentagram). */
+    function beautifyStar(pathPoints: Point[]): BeautifiedShape
+    {
+        // The outer vertices of the [regular] Star outline (see _recognizableShapes) in drawing order, normalized to fill the bounding rect
+        let starOutline: XY[] = [[0.50, 0], [0.794, 0.905], [0.024, 0.345], [0.976, 0.345], [0.206, 0.905]];
+        let normalizedStarOutline: XY[] = starOutline.map(function (xy: XY) { return ([(xy[0] - 0.024) / 0.952, xy[1] / 0.905] as XY); });
+        return (getBeautifiedShapeInBoundingRect(pathPoints, normalizedStarOutline, true));
+    }
+
+    /** [Private Method] Beautifies a GreaterThan chevron. */
+    function beautifyGreaterThan(pathPoints: Point[]): BeautifiedShape
+    {
+        return (getBeautifiedShapeInBoundingRect(pathPoints, [[0, 0], [1, 0.5], [0, 1]], false));
+    }
+
+    /** [Private Method] Beautifies a LessThan chevron. */
+    function beautifyLessThan(pathPoints: Point[]): BeautifiedShape
+    {
+        return (getBeautifiedShapeInBoundingRect(pathPoints, [[1, 0], [0, 0.5], [1, 1]], false));
+    }
+
+    /** [Private Method] Beautifies an UpArrow chevron. */
+    function beautifyUpArrow(pathPoints: Point[]): BeautifiedShape
+    {
+        return (getBeautifiedShapeInBoundingRect(pathPoints, [[0, 1], [0.5, 0], [1, 1]], false));
+    }
+
+    /** [Private Method] Beautifies a DownArrow chevron. */
+    function beautifyDownArrow(pathPoints: Point[]): BeautifiedShape
+    {
+        return (getBeautifiedShapeInBoundingRect(pathPoints, [[0, 0], [0.5, 1], [1, 0]], false));
+    }
+
+    /** [Private Method] Beautifies a Line (or StrikeThroughDiagonal) as a straight line between the start and end points. */
+    function beautifyLine(pathPoints: Point[]): BeautifiedShape
+    {
+        let startPoint: Point = pathPoints[0];
+        let endPoint: Point = pathPoints[pathPoints.length - 1];
+        return ({ points: [{ x: startPoint.x, y: startPoint.y }, { x: endPoint.x, y: endPoint.y }], isClosed: false });
+    }
+
+    /** [Private Method] Beautifies a StrikeThroughHorizontal as a horizontal line (at the average height of the drawn line). */
+    function beautifyHorizontalLine(pathPoints: Point[]): BeautifiedShape
+    {
+        let boundingRect: Rect = Utils.GetBoundingRectForPoints(pathPoints);
+        let averageY: number = d3.mean(pathPoints, function (point: Point) { return (point.y); });
+        let isLeftToRight: boolean = (pathPoints[0].x <= pathPoints[pathPoints.length - 1].x);
+        let leftPoint: Point = { x: boundingRect.x, y: averageY };
+        let rightPoint: Point = { x: boundingRect.x + boundingRect.width, y: averageY };
+        return ({ points: isLeftToRight ? [leftPoint, rightPoint] : [rightPoint, leftPoint], isClosed: false });
+    }
+
+    /** [Private Method] Beautifies an Arrow as a straight shaft (from the start point to the tip) with 2 symmetrical barbs. */
+    function beautifyArrow(pathPoints: Point[]): BeautifiedShape
+    {
+        let startPoint: Point = pathPoints[0];
+        let tipIndex: number = getFarthestPointIndex(pathPoints, startPoint);
+        let tipPoint: Point = pathPoints[tipIndex];
+        let shaftLength: number = Utils.GetDistanceBetweenPoints(startPoint, tipPoint);
+        let headPoints: Point[] = pathPoints.slice(tipIndex + 1);
+        let barbLength: number = headPoints.length ? Utils.GetDistanceBetweenPoints(tipPoint, headPoints[getFarthestPointIndex(headPoints, tipPoint)]) : 0;
+        let backwardAngle: number = Math.atan2(startPoint.y - tipPoint.y, startPoint.x - tipPoint.x);
+        let barbAngle: number = Math.PI / 6; // 30 degrees
+
+        barbLength = Math.min(Math.max(barbLength, shaftLength * 0.1), shaftLength * 0.4);
+
+        let barbPoint1: Point = { x: tipPoint.x + (Math.cos(backwardAngle - barbAngle) * barbLength), y: tipPoint.y + (Math.sin(backwardAngle - barbAngle) * barbLength) };
+        let barbPoint2: Point = { x: tipPoint.x + (Math.cos(backwardAngle + barbAngle) * barbLength), y: tipPoint.y + (Math.sin(backwardAngle + barbAngle) * barbLength) };
+        let tip: Point = { x: tipPoint.x, y: tipPoint.y };
+
+        return ({ points: [{ x: startPoint.x, y: startPoint.y }, tip, barbPoint1, { x: tip.x, y: tip.y }, barbPoint2], isClosed: false });
+    }
+
+    /** [Private Method] Beautifies a Rectangle as the minimum-area [oriented] rectangle that encloses the drawn path. Rectangles that are nearly axis-aligned are made axis-aligned. */
+    function beautifyRectangle(pathPoints: Point[]): BeautifiedShape
+    {
+        let hullVertices: XY[] = d3.polygonHull(Utils.ConvertPointsToXYPoints(pathPoints)) || Utils.ConvertPointsToXYPoints(pathPoints);
+        let bestAngle: number = 0;
+        let bestArea: number = Number.MAX_VALUE;
+
+        // The minimum-area enclosing rectangle has a side that's collinear with one of the edges of the convex hull
+        for (let i = 0; i < hullVertices.length; i++)
+        {
+            let nextVertex: XY = hullVertices[(i + 1) % hullVertices.length];
+            let angle: number = Math.atan2(nextVertex[1] - hullVertices[i][1], nextVertex[0] - hullVertices[i][0]);
+            let extent: { min: Point, max: Point } = getRotatedExtent(hullVertices, angle);
+            let area: number = (extent.max.x - extent.min.x) * (extent.max.y - extent.min.y);
+
+            if (area < bestArea)
+            {
+                bestArea = area;
+                bestAngle = angle;
+            }
+        }
+
+        // Snap to the nearest axis if within 10 degrees of it
+        let quarterTurn: number = Math.PI / 2;
+        let nearestAxisAngle: number = Math.round(bestAngle / quarterTurn) * quarterTurn;
+        if (Math.abs(bestAngle - nearestAxisAngle) <= (10 * Math.PI / 180))
+        {
+            bestAngle = 0;
+        }
+
+        let bestExtent: { min: Point, max: Point } = getRotatedExtent(hullVertices, bestAngle);
+        let corners: Point[] = [
+            { x: bestExtent.min.x, y: bestExtent.min.y },
+            { x: bestExtent.max.x, y: bestExtent.min.y },
+            { x: bestExtent.max.x, y: bestExtent.max.y },
+            { x: bestExtent.min.x, y: bestExtent.max.y }];
+
+        return ({ points: corners.map(function (corner: Point) { return (rotatePoint(corner, bestAngle)); }), isClosed: true });
+    }
+
+    /** [Private Method] Beautifies an Ellipse as the [oriented] ellipse that best fits the drawn path. Ellipses that are nearly circular are made circular. */
+    function beautifyEllipse(pathPoints: Point[]): BeautifiedShape
+    {
+        let xyPoints: XY[] = Utils.ConvertPointsToXYPoints(pathPoints);
+        let meanX: number = d3.mean(pathPoints, function (point: Point) { return (point.x); });
+        let meanY: number = d3.mean(pathPoints, function (point: Point) { return (point.y); });
+        let covXX: number = 0, covYY: number = 0, covXY: number = 0;
+
+        // Use the principal axis of the points to determine the orientation of the ellipse
+        for (let i = 0; i < pathPoints.length; i++)
+        {
+            let deltaX: number = pathPoints[i].x - meanX;
+            let deltaY: number = pathPoints[i].y - meanY;
+            covXX += deltaX * deltaX;
+            covYY += deltaY * deltaY;
+            covXY += deltaX * deltaY;
+        }
+
+        let angle: number = Math.atan2(2 * covXY, covXX - covYY) / 2;
+        let quarterTurn: number = Math.PI / 2;
+        let nearestAxisAngle: number = Math.round(angle / quarterTurn) * quarterTurn;
+
+        // Snap to the nearest axis if within 10 degrees of it
+        if (Math.abs(angle - nearestAxisAngle) <= (10 * Math.PI / 180))
+        {
+            angle = 0;
+        }
+
+        let extent: { min: Point, max: Point } = getRotatedExtent(xyPoints, angle);
+        let radiusX: number = (extent.max.x - extent.min.x) / 2;
+        let radiusY: number = (extent.max.y - extent.min.y) / 2;
+        let center: Point = { x: extent.min.x + radiusX, y: extent.min.y + radiusY }; // In the rotated coordinate space
+        let points: Point[] = [];
+        let pointCount: number = 72;
+
+        // Make nearly circular ellipses circular
+        if (Math.abs(radiusX - radiusY) <= (Math.max(radiusX, radiusY) * 0.1))
+        {
+            radiusX = radiusY = (radiusX + radiusY) / 2;
+        }
+
+        for (let i = 0; i < pointCount; i++)
+        {
+            let theta: number = (i / pointCount) * 2 * Math.PI;
+            points.push(rotatePoint({ x: center.x + (Math.cos(theta) * radiusX), y: center.y + (Math.sin(theta) * radiusY) }, angle));
+        }
+
+        return ({ points: points, isClosed: true });
+    }
+
+    /**
+     * [Private Method] Returns the extent (min/max) of the supplied vertices after they have been rotated by -angle (around the origin).
+     * @param {XY[]} vertices The vertices to measure.
+     * @param {number} angle The angle (in radians) of the coordinate space to measure in.
+     * @returns {{ min: Point, max: Point }} Result.
+     */
+    function getRotatedExtent(vertices: XY[], angle: number): { min: Point, max: Point }
+    {
+        let min: Point = { x: Number.MAX_VALUE, y: Number.MAX_VALUE };
+        let max: Point = { x: -Number.MAX_VALUE, y: -Number.MAX_VALUE };
+
+        for (let i = 0; i < vertices.length; i++)
+        {
+            let rotatedPoint: Point = rotatePoint({ x: vertices[i][0], y: vertices[i][1] }, -angle);
+            min.x = Math.min(min.x, rotatedPoint.x);
+            min.y = Math.min(min.y, rotatedPoint.y);
+            max.x = Math.max(max.x, rotatedPoint.x);
+            max.y = Math.max(max.y, rotatedPoint.y);
+        }
+        return ({ min: min, max: max });
+    }
+
+    /**
+     * [Private Method] Returns the supplied point rotated by the specified angle around the origin.
+     * @param {Point} point The point to rotate.
+     * @param {number} angle The angle (in radians) to rotate by.
+     * @returns {Point} Result.
+     */
+    function rotatePoint(point: Point, angle: number): Point
+    {
+        let cos: number = Math.cos(angle);
+        let sin: number = Math.sin(angle);
+        return ({ x: (point.x * cos) - (point.y * sin), y: (point.x * sin) + (point.y * cos) });
+    }
+
+    /** The engines that BuiltInGestures.ShapeRecognizer() can use to recognize a shape. */
+    export enum ShapeRecognitionEngine
+    {
+        /** Matches the drawn path against the [scaled] outline of each shape, plus heuristics (see MIL.RecognizeShape()). */
+        Outline,
+        /** Matches the drawn path against example paths (templates) using the Protractor algorithm (see MIL.RecognizeShapeFromTemplates()). */
+        Template
+    }
+
+    /** Type of a candidate shape returned by MIL.RecognizeShapeFromTemplates(). */
+    export type ShapeTemplateMatch =
+    {
+        /** The ID of the matched shape. */
+        id: ShapeID,
+        /** The score of the match (0..1), where 1 is a perfect match. */
+        score: number,
+        /** The angle (in degrees) that the drawn path had to be rotated by to best match the template. */
+        angle: number
+    };
+
+    /** [Private Type] Type of a template [created from an example path] used by MIL.RecognizeShapeFromTemplates(). */
+    type ShapeTemplate = { id: ShapeID, vector: number[], isRotationInvariant: boolean };
+
+    // Template-based shape recognition uses the Protractor algorithm (Yang Li, CHI 2010), a variant of the $1 Unistroke Recognizer (Wobbrock et al., UIST 2007).
+    // Each template is an example path that has been resampled to a fixed number of equidistant points, translated so that its centroid is at the origin,
+    // and then converted to a unit-length vector. Candidates are matched by finding the rotation that yields the minimum angular distance to each template.
+    // Unlike RecognizeShape(), this approach is tolerant of sloppy drawing, and (optionally) of rotation, but it requires at least one example of each shape.
+    const TEMPLATE_RESAMPLE_POINT_COUNT: number = 64;
+    const TEMPLATE_MAX_ROTATION_IN_DEGREES: number = 45; // The maximum rotation allowed for templates that are not rotation invariant
+    let _shapeTemplates: ShapeTemplate[] = [];
+
+    /**
+     * Adds a template (an example path) for the specified shape, for use by MIL.RecognizeShapeFromTemplates(). Multiple templates can be added for the same shape.
+     * @param {ShapeID} shapeID The ID of the shape that the template is an example of. This can either be a MIL.RecognizableShape value, or any string (other than the name of a MIL.RecognizableShape).
+     * @param {Point[] | Ink} examplePath The points of the example path (eg. from Ink.PathPoints()). Can also be an Ink instance.
+     * @param {boolean} [isRotationInvariant] [Optional] Whether the shape can be recognized when drawn at any angle. If false (the default), the shape will
+     * only be recognized when drawn within 45 degrees of the orientation of the example path.
+     */
+    export function AddShapeTemplate(shapeID: ShapeID, examplePath: Point[] | Ink, isRotationInvariant: boolean = false): void
+    {
+        let pathPoints: Point[] = (examplePath instanceof Ink) ? examplePath.PathPoints() : examplePath;
+
+        if ((shapeID === null) || (shapeID === undefined) || (shapeID === ""))
+        {
+            throw new MILException("A shapeID must be supplied");
+        }
+
+        // Note: This also keeps the shape names [used to key the candidates in RecognizeShapeFromTemplates()] unique
+        if ((typeof shapeID === "string") && (RecognizableShape[shapeID as keyof typeof RecognizableShape] !== undefined))
+        {
+            throw new MILException("The shapeID '" + shapeID + "' is the name of a built-in shape: use MIL.RecognizableShape." + shapeID + " as the ID instead");
+        }
+
+        if (!pathPoints || (pathPoints.length < 2) || (Utils.ComputeTotalLength(pathPoints) === 0))
+        {
+            throw new MILException("The example path for shape '" + getShapeName(shapeID) + "' must contain at least 2 distinct points");
+        }
+
+        _shapeTemplates.push({ id: shapeID, vector: getTemplateVector(pathPoints, isRotationInvariant), isRotationInvariant: isRotationInvariant });
+        log("Added template for shape '" + getShapeName(shapeID) + "' (" + GetShapeTemplateCount(shapeID) + " template(s) in total)", FeatureNames.ShapeRecognition);
+    }
+
+    /**
+     * Removes all the templates for the specified shape (or for all shapes if shapeID is not supplied).
+     * @param {ShapeID} [shapeID] [Optional] The ID of the shape whose templates should be removed.
+     * @returns {number} The number of templates removed.
+     */
+    export function RemoveShapeTemplates(shapeID?: ShapeID): number
+    {
+        let originalCount: number = _shapeTemplates.length;
+        _shapeTemplates = (shapeID === undefined) ? [] : _shapeTemplates.filter(function (template: ShapeTemplate) { return (template.id !== shapeID); });
+        return (originalCount - _shapeTemplates.length);
+    }
+
+    /**
+     * Returns the number of templates for the specified shape (or for all shapes if shapeID is not supplied).
+     * @param {ShapeID} [shapeID] [Optional] The ID of the shape whose templates should be counted.
+     * @returns {number} Result.
+     */
+    export function GetShapeTemplateCount(shapeID?: ShapeID): number
+    {
+        return ((shapeID === undefined) ? _shapeTemplates.length : _shapeTemplates.filter(function (template: ShapeTemplate) { return (template.id === shapeID); }).length);
+    }
+
+    /**
+     * Attempts to recognize a shape from the supplied pathPoints by comparing it to the templates added with MIL.AddShapeTemplate().
+     * Returns a list of candidate shapes (one per shape ID, using the best-matching template for that shape) ranked from highest to lowest score.
+     * The list will be empty if no shape has a score of at least minScore.
+     * @param {Point[]} pathPoints The path-points to be recognized.
+     * @param {number} [minScore] [Optional] The minimum score (0..1) that a candidate must have to be included in the result. Defaults to 0 (all candidates).
+     * @param {ShapeID[]} [targetShapeList] [Optional] The list of shapes to be recognized. If not supplied, all shapes that have templates will be considered.
+     * @returns {ShapeTemplateMatch[]} Result.
+     */
+    export function RecognizeShapeFromTemplates(pathPoints: Point[], minScore: number = 0, targetShapeList?: ShapeID[]): ShapeTemplateMatch[]
+    {
+        let bestMatches: { [shapeName: string]: ShapeTemplateMatch } = {}; // Key: Shape name, Value: Best ShapeTemplateMatch for that shape
+        let rankedMatches: ShapeTemplateMatch[] = [];
+
+        if (!pathPoints || (pathPoints.length < 2) || (Utils.ComputeTotalLength(pathPoints) === 0))
+        {
+            return (rankedMatches);
+        }
+
+        // Note: We compute both versions of the candidate vector because each template can be either rotation invariant or not
+        let candidateVector: number[] = getTemplateVector(pathPoints, false);
+        let candidateVectorRotationInvariant: number[] = getTemplateVector(pathPoints, true);
+
+        for (let i = 0; i < _shapeTemplates.length; i++)
+        {
+            let template: ShapeTemplate = _shapeTemplates[i];
+
+            if (targetShapeList && (targetShapeList.indexOf(template.id) === -1))
+            {
+                continue;
+            }
+
+            let vector: number[] = template.isRotationInvariant ? candidateVectorRotationInvariant : candidateVector;
+            let maxRotationInRadians: number = template.isRotationInvariant ? Math.PI : TEMPLATE_MAX_ROTATION_IN_DEGREES * (Math.PI / 180);
+            let match: ShapeTemplateMatch = getTemplateMatch(vector, template, maxRotationInRadians);
+            let shapeName: string = getShapeName(template.id);
+
+            if (!bestMatches[shapeName] || (match.score > bestMatches[shapeName].score))
+            {
+                bestMatches[shapeName] = match;
+            }
+        }
+
+        for (let shapeName in bestMatches)
+        {
+            if (bestMatches[shapeName].score >= minScore)
+            {
+                rankedMatches.push(bestMatches[shapeName]);
+            }
+        }
+        rankedMatches.sort(function (m1, m2) { return (m2.score - m1.score); });
+
+        rankedMatches.forEach(function (match: ShapeTemplateMatch)
+        {
+            log("Shape '" + getShapeName(match.id) + "' has a template score of " + match.score.toFixed(3) + " (rotated " + match.angle.toFixed(1) + " degrees)", FeatureNames.ShapeRecognition);
+        });
+
+        return (rankedMatches);
+    }
+
+    /**
+     * [Private Method] Converts the supplied pathPoints into a [Protractor] vector: the points are resampled, translated so that their centroid is at the origin,
+     * (optionally) rotated so that the first point is at 0 degrees, and then flattened into a unit-length vector of [x1, y1, x2, y2, ...].
+     * @param {Point[]} pathPoints The path-points to convert.
+     * @param {boolean} isRotationInvariant Whether to rotate the points so that the first point is at 0 degrees (relative to the centroid).
+     * @returns {number[]} Result.
+     */
+    function getTemplateVector(pathPoints: Point[], isRotationInvariant: boolean): number[]
+    {
+        let points: Point[] = resamplePathPoints(pathPoints, TEMPLATE_RESAMPLE_POINT_COUNT);
+        let centroid: Point = { x: d3.mean(points, function (p) { return (p.x); }), y: d3.mean(points, function (p) { return (p.y); }) };
+        let indicativeAngle: number = isRotationInvariant ? Math.atan2(points[0].y - centroid.y, points[0].x - centroid.x) : 0;
+        let cos: number = Math.cos(-indicativeAngle);
+        let sin: number = Math.sin(-indicativeAngle);
+        let vector: number[] = [];
+        let sumOfSquares: number = 0;
+
+        for (let i = 0; i < points.length; i++)
+        {
+            let x: number = points[i].x - centroid.x;
+            let y: number = points[i].y - centroid.y;
+            let rotatedX: number = (x * cos) - (y * sin);
+            let rotatedY: number = (x * sin) + (y * cos);
+
+            vector.push(rotatedX, rotatedY);
+            sumOfSquares += (rotatedX * rotatedX) + (rotatedY * rotatedY);
+        }
+
+        let magnitude: number = Math.sqrt(sumOfSquares);
+        return (vector.map(function (v) { return (v / magnitude); }));
+    }
+
+    /**
+     * [Private Method] Returns a new array of 'pointCount' points spaced at equal distances along the path described by pathPoints.
+     * @param {Point[]} pathPoints The path-points to resample.
+     * @param {number} pointCount The number of points to resample to.
+     * @returns {Point[]} Result.
+     */
+    function resamplePathPoints(pathPoints: Point[], pointCount: number): Point[]
+    {
+        let intervalLength: number = Utils.ComputeTotalLength(pathPoints) / (pointCount - 1);
+        let points: Point[] = pathPoints.map(function (p) { return ({ x: p.x, y: p.y }); }); // Note: We copy the points because we insert into the array
+        let resampledPoints: Point[] = [points[0]];
+        let accumulatedLength: number = 0;
+
+        for (let i = 1; i < points.length; i++)
+        {
+            let segmentLength: number = Utils.GetDistanceBetweenPoints(points[i - 1], points[i]);
+
+            if ((accumulatedLength + segmentLength) >= intervalLength)
+            {
+                let ratio: number = (intervalLength - accumulatedLength) / segmentLength;
+                let newPoint: Point = {
+                    x: points[i - 1].x + (ratio * (points[i].x - points[i - 1].x)),
+                    y: points[i - 1].y + (ratio * (points[i].y - points[i - 1].y))
+                };
+                resampledPoints.push(newPoint);
+                points.splice(i, 0, newPoint); // newPoint will be the start of the next segment
+                accumulatedLength = 0;
+            }
+            else
+            {
+                accumulatedLength += segmentLength;
+            }
+        }
+
+        // Rounding errors can leave us one point short
+        while (resampledPoints.length < pointCount)
+        {
+            resampledPoints.push(points[points.length - 1]);
+        }
+
+        return (resampledPoints.slice(0, pointCount));
+    }
+
+    /**
+     * [Private Method] Compares the candidate vector to the template using the [closed-form] optimal rotation from the Protractor algorithm.
+     * @param {number[]} candidateVector The vector of the path being recognized (see getTemplateVector()).
+     * @param {ShapeTemplate} template The template to compare against.
+     * @param {number} maxRotationInRadians The maximum rotation (in either direction) allowed to align candidateVector with the template.
+     * @returns {ShapeTemplateMatch} Result.
+     */
+    function getTemplateMatch(candidateVector: number[], template: ShapeTemplate, maxRotationInRadians: number): ShapeTemplateMatch
+    {
+        let a: number = 0;
+        let b: number = 0;
+
+        for (let i = 0; i < candidateVector.length; i += 2)
+        {
+            a += (template.vector[i] * candidateVector[i]) + (template.vector[i + 1] * candidateVector[i + 1]);
+            b += (template.vector[i] * candidateVector[i + 1]) - (template.vector[i + 1] * candidateVector[i]);
+        }
+
+        // The similarity (cosine) at rotation 'angle' is a.cos(angle) + b.sin(angle), which is maximized at atan2(b, a)
+        let angle: number = Math.atan2(b, a);
+        angle = Math.max(-maxRotationInRadians, Math.min(maxRotationInRadians, angle));
+
+        let similarity: number = Math.max(-1, Math.min(1, (a * Math.cos(angle)) + (b * Math.sin(angle))));
+        let angularDistance: number = Math.acos(similarity); // 0..PI
+        let score: number = Math.max(0, 1 - (angularDistance / (Math.PI / 2))); // An angular distance of 90 degrees (or more) scores 0
+
+        return ({ id: template.id, score: score, angle: -angle * (180 / Math.PI) });
+    }
+
+    /** [Private Type] Type of a point in a [multi-stroke] point-cloud. */
+    type CloudPoint = { x: number, y: number, strokeID: number };
+
+    /** [Private Type] Type of a template [created from a set of example strokes] used by MIL.RecognizeMultiStrokeShape(). */
+    type MultiStrokeTemplate = { id: ShapeID, points: CloudPoint[] };
+
+    // Multi-stroke shape recognition uses the $P Point-Cloud Recognizer (Vatavu, Anthony and Wobbrock, ICMI 2012).
+    // All the strokes are treated as a single "cloud" of points, which makes recognition independent of the number, order and direction of the strokes.
+    // The cloud is resampled to a fixed number of points, scaled (uniformly) to a unit square and translated so that its centroid is at the origin.
+    const MULTISTROKE_RESAMPLE_POINT_COUNT: number = 32;
+    let _multiStrokeTemplates: MultiStrokeTemplate[] = [];
+
+    /**
+     * Adds a template (a set of example strokes) for the specified shape, for use by MIL.RecognizeMultiStrokeShape() and BuiltInGestures.MultiStrokeShapeRecognizer().
+     * Multiple templates can be added for the same shape.
+     * @param {ShapeID} shapeID The ID of the shape that the template is an example of. This can either be a MIL.RecognizableShape value, or any string.
+     * @param {(Point[] | Ink)[]} exampleStrokes The example strokes, each of which is either a set of points (eg. from Ink.PathPoints()) or an Ink instance.
+     */
+    export function AddMultiStrokeTemplate(shapeID: ShapeID, exampleStrokes: (Point[] | Ink)[]): void
+    {
+        if ((shapeID === null) || (shapeID === undefined) || (shapeID === ""))
+        {
+            throw new MILException("A shapeID must be supplied");
+        }
+
+        let cloudPoints: CloudPoint[] = getCloudPoints(exampleStrokes.map(function (stroke) { return ((stroke instanceof Ink) ? stroke.PathPoints() : stroke); }));
+
+        if (cloudPoints === null)
+        {
+            throw new MILException("The example strokes for shape '" + getShapeName(shapeID) + "' must contain at least 2 distinct points");
+        }
+
+        _multiStrokeTemplates.push({ id: shapeID, points: cloudPoints });
+        log("Added multi-stroke template for shape '" + getShapeName(shapeID) + "' (" + GetMultiStrokeTemplateCount(shapeID) + " template(s) in total)", FeatureNames.ShapeRecognition);
+    }
+
+    /**
+     * Removes all the multi-stroke templates for the specified shape (or for all shapes if shapeID is not supplied).
+     * @param {ShapeID} [shapeID] [Optional] The ID of the shape whose multi-stroke templates should be removed.
+     * @returns {number} The number of templates removed.
+     */
+    export function RemoveMultiStrokeTemplates(shapeID?: ShapeID): number
+    {
+        let originalCount: number = _multiStrokeTemplates.length;
+        _multiStrokeTemplates = (shapeID === undefined) ? [] : _multiStrokeTemplates.filter(function (template: MultiStrokeTemplate) { return (template.id !== shapeID); });
+        return (originalCount - _multiStrokeTemplates.length);
+    }
+
+    /**
+     * Returns the number of multi-stroke templates for the specified shape (or for all shapes if shapeID is not supplied).
+     * @param {ShapeID} [shapeID] [Optional] The ID of the shape whose multi-stroke templates should be counted.
+     * @returns {number} Result.
+     */
+    export function GetMultiStrokeTemplateCount(shapeID?: ShapeID): number
+    {
+        return ((shapeID === undefined) ? _multiStrokeTemplates.length : _multiStrokeTemplates.filter(function (template: MultiStrokeTemplate) { return (template.id === shapeID); }).length);
+    }
+
+    /**
+     * Attempts to recognize a shape from the supplied set of strokes by comparing it to the templates added with MIL.AddMultiStrokeTemplate().
+     * Returns a list of candidate shapes (one per shape ID, using the best-matching template for that shape) ranked from highest to lowest score.
+     * The list will be empty if no shape has a score of at least minScore. Note: The 'angle' of each candidate will always be 0.
+     * @param {Point[][]} strokes The strokes to be recognized (eg. the PathPoints() of several Inks). The number, order and direction of the strokes does not matter.
+     * @param {number} [minScore] [Optional] The minimum score (0..1) that a candidate must have to be included in the result. Defaults to 0 (all candidates).
+     * @param {ShapeID[]} [targetShapeList] [Optional] The list of shapes to be recognized. If not supplied, all shapes that have multi-stroke templates will be considered.
+     * @returns {ShapeTemplateMatch[]} Result.
+     */
+    export function RecognizeMultiStrokeShape(strokes: Point[][], minScore: number = 0, targetShapeList?: ShapeID[]): ShapeTemplateMatch[]
+    {
+        let bestMatches: { [shapeName: string]: ShapeTemplateMatch } = {}; // Key: Shape name, Value: Best ShapeTemplateMatch for that shape
+        let rankedMatches: ShapeTemplateMatch[] = [];
+        let cloudPoints: CloudPoint[] = getCloudPoints(strokes);
+
+        if (cloudPoints === null)
+        {
+            return (rankedMatches);
+        }
+
+        for (let i = 0; i < _multiStrokeTemplates.length; i++)
+        {
+            let template: MultiStrokeTemplate = _multiStrokeTemplates[i];
+
+            if (targetShapeList && (targetShapeList.indexOf(template.id) === -1))
+            {
+                continue;
+            }
+
+            let distance: number = getGreedyCloudMatchDistance(cloudPoints, template.points);
+            let score: number = Math.max(0, (2 - distance) / 2);
+            let shapeName: string = getShapeName(template.id);
+
+            if (!bestMatches[shapeName] || (score > bestMatches[shapeName].score))
+            {
+                bestMatches[shapeName] = { id: template.id, score: score, angle: 0 };
+            }
+        }
+
+        for (let shapeName in bestMatches)
+        {
+            if (bestMatches[shapeName].score >= minScore)
+            {
+                rankedMatches.push(bestMatches[shapeName]);
+            }
+        }
+        rankedMatches.sort(function (m1, m2) { return (m2.score - m1.score); });
+
+        rankedMatches.forEach(function (match: ShapeTemplateMatch)
+        {
+            log("Shape '" + getShapeName(match.id) + "' has a multi-stroke template score of " + match.score.toFixed(3) + " (" + strokes.length + " stroke(s))", FeatureNames.ShapeRecognition);
+        });
+
+        return (rankedMatches);
+    }
+
+    /**
+     * [Private Method] Converts the supplied strokes into a normalized [$P] point-cloud: the points are resampled, scaled uniformly to a unit square, and
+     * translated so that their centroid is at the origin. Returns null if the strokes don't contain at least 2 distinct points.
+     * @param {Point[][]} strokes The strokes to convert.
+     * @returns {CloudPoint[] | null} Result.
+     */
+    function getCloudPoints(strokes: Point[][]): CloudPoint[] | null
+    {
+        let points: CloudPoint[] = [];
+
+        for (let s = 0; s < strokes.length; s++)
+        {
+            for (let p = 0; p < strokes[s].length; p++)
+            {
+                points.push({ x: strokes[s][p].x, y: strokes[s][p].y, strokeID: s });
+            }
+        }
+
+        let boundingRect: Rect = (points.length > 0) ? Utils.GetBoundingRectForPoints(points) : null;
+        let size: number = boundingRect ? Math.max(boundingRect.width, boundingRect.height) : 0;
+
+        if (size === 0)
+        {
+            return (null);
+        }
+
+        // Resample (note that the distance between strokes does not contribute to the path length)
+        let pathLength: number = 0;
+        for (let i = 1; i < points.length; i++)
+        {
+            if (points[i].strokeID === points[i - 1].strokeID)
+            {
+                pathLength += Utils.GetDistanceBetweenPoints(points[i - 1], points[i]);
+            }
+        }
+
+        let intervalLength: number = pathLength / (MULTISTROKE_RESAMPLE_POINT_COUNT - 1);
+        let resampledPoints: CloudPoint[] = [points[0]];
+        let accumulatedLength: number = 0;
+
+        for (let i = 1; (i < points.length) && (intervalLength > 0); i++)
+        {
+            if (points[i].strokeID === points[i - 1].strokeID)
+            {
+                let segmentLength: number = Utils.GetDistanceBetweenPoints(points[i - 1], points[i]);
+
+                if ((accumulatedLength + segmentLength) >= intervalLength)
+                {
+                    let ratio: number = (intervalLength - accumulatedLength) / segmentLength;
+                    let newPoint: CloudPoint = {
+                        x: points[i - 1].x + (ratio * (points[i].x - points[i - 1].x)),
+                        y: points[i - 1].y + (ratio * (points[i].y - points[i - 1].y)),
+                        strokeID: points[i].strokeID
+                    };
+                    resampledPoints.push(newPoint);
+                    points.splice(i, 0, newPoint); // newPoint will be the start of the next segment
+                    accumulatedLength = 0;
+                }
+                else
+                {
+                    accumulatedLength += segmentLength;
+                }
+            }
+        }
+
+        // Rounding errors can leave us one point short [and strokes that are all single points leave us with only the first point]
+        while (resampledPoints.length < MULTISTROKE_RESAMPLE_POINT_COUNT)
+        {
+            resampledPoints.push(points[resampledPoints.length % points.length]);
+        }
+        resampledPoints = resampledPoints.slice(0, MULTISTROKE_RESAMPLE_POINT_COUNT);
+
+        // Scale and translate
+        let centroid: Point = { x: d3.mean(resampledPoints, function (p) { return (p.x); }), y: d3.mean(resampledPoints, function (p) { return (p.y); }) };
+        return (resampledPoints.map(function (p) { return ({ x: (p.x - centroid.x) / size, y: (p.y - centroid.y) / size, strokeID: p.strokeID }); }));
+    }
+
+    /**
+     * [Private Method] Returns the [$P] distance between two point-clouds (of equal size), using a greedy search over a number of starting points.
+     * @param {CloudPoint[]} points The candidate point-cloud.
+     * @param {CloudPoint[]} templatePoints The template point-cloud.
+     * @returns {number} Result.
+     */
+    function getGreedyCloudMatchDistance(points: CloudPoint[], templatePoints: CloudPoint[]): number
+    {
+        let step: number = Math.floor(Math.pow(points.length, 0.5));
+        let minDistance: number = Number.MAX_VALUE;
+
+        for (let i = 0; i < points.length; i += step)
+        {
+            let distance1: number = getCloudDistance(points, templatePoints, i);
+            let distance2: number = getCloudDistance(templatePoints, points, i);
+            minDistance = Math.min(minDistance, distance1, distance2);
+        }
+
+        return (minDistance);
+    }
+
+    /**
+     * [Private Method] Returns the weighted sum of the distances between each point in points1 (starting at startIndex) and its closest unmatched point in points2.
+     * @param {CloudPoint[]} points1 The first point-cloud.
+     * @param {CloudPoint[]} points2 The second point-cloud.
+     * @param {number} startIndex The index (in points1) to start matching from.
+     * @returns {number} Result.
+     */
+    function getCloudDistance(points1: CloudPoint[], points2: CloudPoint[], startIndex: number): number
+    {
+        let n: number = points1.length;
+        let isMatched: boolean[] = points2.map(function () { return (false); });
+        let sum: number = 0;
+        let i: number = startIndex;
+
+        do
+        {
+            let closestIndex: number = -1;
+            let minDistance: number = Number.MAX_VALUE;
+
+            for (let j = 0; j < points2.length; j++)
+            {
+                if (!isMatched[j])
+                {
+                    let distance: number = Utils.GetDistanceBetweenPoints(points1[i], points2[j]);
+                    if (distance < minDistance)
+                    {
+                        minDistance = distance;
+                        closestIndex = j;
+                    }
+                }
+            }
+
+            isMatched[closestIndex] = true;
+            let weight: number = 1 - (((i - startIndex + n) % n) / n); // Earlier matches are weighted more heavily since they have more points to choose from
+            sum += weight * minDistance;
+            i = (i + 1) % n;
+        } while (i !== startIndex);
+
+        return (sum);
     }
 
     /**
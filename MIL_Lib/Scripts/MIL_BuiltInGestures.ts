@@ -123,26 +123,29 @@ namespace MIL
          * @param {string} gestureName The name of the Gesture.
          * @param {TargetDomElement} targetElement The DOM element the Gesture will target.
          * @param {string} pointerType A pointer type. If more than one pointer is specified, only {P1} will be used.
-         * @param {number} minPercentMatch The percentage of points in the drawn path that must be inside the shape-template to trigger a match.
+         * @param {number} minPercentMatch The percentage of points in the drawn path that must be inside the shape-template to trigger a match (or, when using ShapeRecognitionEngine.Template, the minimum score (0..1) of the match).
          * @param {ShapeRecognizedHandler} onShapeRecognized A handler called when the shape is recognized.
          * @param {string} [cometTailClassName] [Optional] The CSS class to use to draw a 'comet tail' as the shape is drawn.
-         * @param {RecognizableShape[]} [shapeList] [Optional] The list of shapes to be recognized (must be MIL.RecognizableShape values). Note: Providing a shapeList helps to reduce false-positives (misrecognitions). // PORT: Was string[]
+         * @param {ShapeID[]} [shapeList] [Optional] The list of shapes to be recognized (must be MIL.RecognizableShape values and/or the IDs of custom shapes added with MIL.AddRecognizableShape()). Note: Providing a shapeList helps to reduce false-positives (misrecognitions). // PORT: Was string[]
          * @param {number} [targetWidth] [Optional] The width (in pixels) of the area that the shape recognition will occur within.
          * @param {number} [targetHeight] [Optional] The height (in pixels) of the area that the shape recognition will occur within.
+         * @param {ShapeRecognitionEngine} [engine] [Optional] The engine to use to recognize the shape. Defaults to ShapeRecognitionEngine.Outline.
+         * When using ShapeRecognitionEngine.Template, templates must first be added (with MIL.AddShapeTemplate()) for the shapes to be recognized, and targetWidth/targetHeight are not used.
          * @returns {Gesture} Result.
          */
         export function ShapeRecognizer(gestureName: string, targetElement: TargetDomElement, pointerType: string, minPercentMatch: number, onShapeRecognized: ShapeRecognizedHandler,
-            cometTailClassName?: string, shapeList?: RecognizableShape[], targetWidth?: number, targetHeight?: number): Gesture
+            cometTailClassName?: string, shapeList?: ShapeID[], targetWidth?: number, targetHeight?: number, engine: ShapeRecognitionEngine = ShapeRecognitionEngine.Outline): Gesture
         {
             gestureName = ensureNameCanBeMadeUnique(gestureName);
 
             if (shapeList)
             {
-                shapeList.forEach(function (v: RecognizableShape, i)
+                shapeList.forEach(function (v: ShapeID, i)
                 {
-                    if (RecognizableShape[i] === undefined)
+                    let isRecognizable: boolean = (engine === ShapeRecognitionEngine.Template) ? (GetShapeTemplateCount(v) > 0) : (GetRecognizableShape(v) !== null);
+                    if (!isRecognizable)
                     {
-                        throw new MILException("shapeNameList[" + i + "] (" + v + ") is invalid");
+                        throw new MILException("shapeList[" + i + "] (" + v + ") is not a recognizable shape");
                     }
                 });
             }
@@ -159,17 +162,153 @@ namespace MIL
                 {
                     let gesture: Gesture = this;
                     let gDomElement: SVGGElement = DebugFeature(FeatureNames.ShapeRecognition) ? getSvgInfo(targetElement).gDomElement : undefined;
-                    let shape: RecognizableShape = RecognizeShape(gesture.Ink().PathPoints(), minPercentMatch, targetWidth, targetHeight, gDomElement, shapeList);
 
-                    if (onShapeRecognized && (shape !== null))
+                    if (engine === ShapeRecognitionEngine.Template)
                     {
-                        onShapeRecognized.call(gesture, shape);
+                        let candidates: ShapeTemplateMatch[] = RecognizeShapeFromTemplates(gesture.Ink().PathPoints(), minPercentMatch, shapeList);
+
+                        if (onShapeRecognized && (candidates.length > 0))
+                        {
+                            onShapeRecognized.call(gesture, candidates[0].id, candidates);
+                        }
+                    }
+                    else
+                    {
+                        let shape: ShapeID = RecognizeShape(gesture.Ink().PathPoints(), minPercentMatch, targetWidth, targetHeight, gDomElement, shapeList);
+
+                        if (onShapeRecognized && (shape !== null))
+                        {
+                            onShapeRecognized.call(gesture, shape);
+                        }
                     }
                 });
 
             return (shapeRecognitionGesture);
         }
 
+        /**
+         * Creates a multi-stroke shape-recognizer Gesture. Each stroke is drawn as an Ink, and consecutive strokes are grouped together until either no new stroke
+         * is started within 'interStrokeTimeoutInMs', or a new stroke starts too far away (more than 'maxInterStrokeDistance') from the existing strokes in the group.
+         * The group is then recognized using MIL.RecognizeMultiStrokeShape(), so templates must first be added (with MIL.AddMultiStrokeTemplate()) for the shapes to be recognized.
+         * Note: The Inks are not deleted after being recognized (or not recognized): onShapeRecognized is responsible for deleting them (if needed).
+         * @param {string} gestureName The name of the Gesture.
+         * @param {TargetDomElement} targetElement The DOM element the Gesture will target.
+         * @param {string} pointerType A pointer type. If more than one pointer is specified, only {P1} will be used.
+         * @param {number} minScore The minimum score (0..1) of the match to trigger recognition.
+         * @param {MultiStrokeShapeRecognizedHandler} onShapeRecognized A handler called when the shape is recognized.
+         * @param {string} [inkClassName] [Optional] The CSS class to use to draw the strokes.
+         * @param {ShapeID[]} [shapeList] [Optional] The list of shapes to be recognized. Note: Providing a shapeList helps to reduce false-positives (misrecognitions).
+         * @param {number} [interStrokeTimeoutInMs] [Optional] The maximum time (after a stroke ends) to wait for the next stroke in the group to start.
+         * @param {number} [maxInterStrokeDistance] [Optional] The maximum distance (in SVG coordinate space) between the bounding rectangle of a new stroke and the bounding rectangle of the existing strokes in the group.
+         * @returns {Gesture} Result.
+         */
+        export function MultiStrokeShapeRecognizer(gestureName: string, targetElement: TargetDomElement, pointerType: string, minScore: number, onShapeRecognized: MultiStrokeShapeRecognizedHandler,
+            inkClassName?: string, shapeList?: ShapeID[], interStrokeTimeoutInMs: number = 800, maxInterStrokeDistance: number = 50): Gesture
+        {
+            gestureName = ensureNameCanBeMadeUnique(gestureName);
+
+            if (shapeList)
+            {
+                shapeList.forEach(function (v: ShapeID, i)
+                {
+                    if (GetMultiStrokeTemplateCount(v) === 0)
+                    {
+                        throw new MILException("shapeList[" + i + "] (" + v + ") has no multi-stroke templates");
+                    }
+                });
+            }
+
+            let timerID: number = -1;
+            let groupInks: Ink[] = [];
+            let groupBoundingRect: Rect = null;
+
+            // Note: Local function
+            function recognizeGroup(gesture: Gesture): void
+            {
+                // Exclude Inks that were deleted (or combined) while the group was being drawn
+                let inks: Ink[] = groupInks.filter(function (ink: Ink) { return (MIL._inks.indexOf(ink) !== -1); });
+
+                timerID = -1;
+                groupInks = [];
+                groupBoundingRect = null;
+
+                if (inks.length > 0)
+                {
+                    let strokes: Point[][] = inks.map(function (ink: Ink) { return (ink.PathPoints()); });
+                    let candidates: ShapeTemplateMatch[] = RecognizeMultiStrokeShape(strokes, minScore, shapeList);
+
+                    if (onShapeRecognized && (candidates.length > 0))
+                    {
+                        onShapeRecognized.call(gesture, candidates[0].id, inks, candidates);
+                    }
+                }
+            }
+
+            let multiStrokeRecognitionGesture: Gesture = CreateGesture(gestureName, true)
+                .Target(targetElement)
+                .PointerType(pointerType)
+                .GestureStartedHandler(function ()
+                {
+                    let gesture: Gesture = this;
+                    let ink: Ink = gesture.Ink("{P1}");
+
+                    // The group is still "open", so don't let the timer recognize it while the new stroke is being drawn
+                    if (timerID !== -1)
+                    {
+                        clearTimeout(timerID);
+                        timerID = -1;
+                    }
+
+                    if (inkClassName)
+                    {
+                        ink.Class(inkClassName);
+                    }
+                    ink.Start();
+                })
+                .GestureEndedHandler(function ()
+                {
+                    let gesture: Gesture = this;
+                    let ink: Ink = gesture.Ink();
+                    let strokeBoundingRect: Rect = Utils.GetBoundingRectForPoints(ink.PathPoints());
+
+                    if (groupBoundingRect)
+                    {
+                        // The distance between the two rects (0 if they overlap)
+                        let deltaX: number = Math.max(0, groupBoundingRect.x - (strokeBoundingRect.x + strokeBoundingRect.width), strokeBoundingRect.x - (groupBoundingRect.x + groupBoundingRect.width));
+                        let deltaY: number = Math.max(0, groupBoundingRect.y - (strokeBoundingRect.y + strokeBoundingRect.height), strokeBoundingRect.y - (groupBoundingRect.y + groupBoundingRect.height));
+
+                        if (Math.sqrt((deltaX * deltaX) + (deltaY * deltaY)) > maxInterStrokeDistance)
+                        {
+                            // The new stroke is too far away to be part of the existing group, so recognize the existing group and start a new one
+                            recognizeGroup(gesture);
+                        }
+                    }
+
+                    groupInks.push(ink);
+                    groupBoundingRect = groupBoundingRect ? Utils.GetBoundingRectForPoints(Utils.GetPointsFromRect(groupBoundingRect).concat(Utils.GetPointsFromRect(strokeBoundingRect))) : strokeBoundingRect;
+
+                    timerID = setTimeout(function ()
+                    {
+                        recognizeGroup(gesture);
+                    }, interStrokeTimeoutInMs);
+                })
+                .GestureCancelledHandler(function ()
+                {
+                    let gesture: Gesture = this;
+
+                    // Since the timer was cleared when the [now cancelled] stroke started, restart it so that the existing group still gets recognized
+                    if (groupInks.length > 0)
+                    {
+                        timerID = setTimeout(function ()
+                        {
+                            recognizeGroup(gesture);
+                        }, interStrokeTimeoutInMs);
+                    }
+                });
+
+            return (multiStrokeRecognitionGesture);
+        }
+
         /**
          * Creates a radial-swipe Gesture.
          * @param {string} gestureName The name of the Gesture.
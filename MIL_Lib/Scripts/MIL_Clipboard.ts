@@ -0,0 +1,364 @@
+﻿// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT license.
+
+namespace MIL
+{
+    /**
+     * The Clipboard namespace. Provides copy, cut, paste and duplicate operations for Inks. The [in-app] clipboard is shared by all the <svg> elements that MIL
+     * has been initialized for, so Inks can be copied from one <svg> and pasted into another. To also use the system clipboard (eg. to move Inks between two
+     * pages, or into another app), call OnCopy()/OnCut()/OnPaste() from handlers for the corresponding DOM ClipboardEvents.
+     * Note: Pasted (and duplicated) Inks are independent copies with their own InkID, style, hull and resize gesture (see Ink.ResizeWith()), but [like Inks re-created by
+     *       MIL.DeserializeInks()] any other Gestures that target the Inks (eg. a drag Gesture) must be added by the caller.
+     */
+    export namespace Clipboard
+    {
+        /** The [custom] data type used for the JSON document (see MIL.SerializeInks()) that MIL puts on the system clipboard. */
+        const INK_CLIPBOARD_DATA_TYPE: string = "application/x-mil-inks+json";
+
+        /** The distance (in svg pixels, on each axis) that each successive paste (without a point) is offset by, so that pasted Inks don't exactly cover the copied Inks. */
+        const PASTE_OFFSET: number = 20;
+
+        let _inkDocument: SerializedInkDocument = null; // The copied (or cut) Inks
+        let _pasteCount: number = 0; // Used to offset each successive paste of _inkDocument (when pasted without a point)
+
+        /**
+         * Returns true if the clipboard contains Inks (see Copy() and Cut()).
+         * @returns {boolean} Result.
+         */
+        export function HasInks(): boolean
+        {
+            return (_inkDocument !== null);
+        }
+
+        /** Empties the clipboard. */
+        export function Clear(): void
+        {
+            _inkDocument = null;
+            _pasteCount = 0;
+        }
+
+        /**
+         * Copies the supplied Inks to the clipboard (replacing its current contents). The Inks must all be on the same <svg>. Has no effect if 'inks' is empty.
+         * When subsequently pasted without a point (see Paste()), each paste is offset a little further from the copied Inks.
+         * @param {Ink[]} inks The [completed] Inks to copy.
+         */
+        export function Copy(inks: Ink[]): void
+        {
+            if (inks.length === 0)
+            {
+                return;
+            }
+
+            _inkDocument = createInkDocument(getInksInZOrder(inks));
+            _pasteCount = 1;
+            log(inks.length + " Ink(s) copied to the clipboard");
+        }
+
+        /**
+         * Copies the supplied Inks to the clipboard (see Copy()), then deletes them. The Inks must all be on the same <svg>. Has no effect if 'inks' is empty.
+         * When subsequently pasted without a point (see Paste()), the first paste puts the Inks back where they were cut from.
+         * @param {Ink[]} inks The [completed] Inks to cut.
+         */
+        export function Cut(inks: Ink[]): void
+        {
+            if (inks.length === 0)
+            {
+                return;
+            }
+
+            let svgInfo: SVGInfo = getSvgInfo(inks[0].Path());
+
+            _inkDocument = createInkDocument(getInksInZOrder(inks));
+            _pasteCount = 0;
+
+            svgInfo.history.BeginTransaction("CutInks");
+            try
+            {
+                inks.forEach(function (ink: Ink) { ink.Delete(); });
+            }
+            finally
+            {
+                svgInfo.history.EndTransaction();
+            }
+
+            log(inks.length + " Ink(s) cut to the clipboard");
+        }
+
+        /**
+         * Pastes the Inks in the clipboard onto the specified <svg>, above any existing Inks. Returns the pasted Inks (in z-order), or an empty array if the clipboard is empty.
+         * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to paste the Inks onto.
+         * @param {Point} [point] [Optional] The point (in svg coordinates) to center the pasted Inks on. If not supplied, the Inks are pasted at the
+         * position they were copied from, offset by a further 20 pixels (on each axis) for each paste since they were copied.
+         * @returns {Ink[]} Result.
+         */
+        export function Paste(svg: TargetDomElement, point?: Point): Ink[]
+        {
+            if (_inkDocument === null)
+            {
+                return ([]);
+            }
+
+            let offset: number = PASTE_OFFSET * _pasteCount++;
+            return (pasteInkDocument(getInitializedSvgInfo(svg), _inkDocument, "PasteInks", point || null, offset, offset));
+        }
+
+        /**
+         * Pastes the Inks in the clipboard onto the specified <svg>, above any existing Inks, offset from the position they were copied from by the specified amount.
+         * Returns the pasted Inks (in z-order), or an empty array if the clipboard is empty.
+         * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to paste the Inks onto.
+         * @param {number} offsetX The distance (in svg pixels) to offset the pasted Inks by on the x-axis.
+         * @param {number} offsetY The distance (in svg pixels) to offset the pasted Inks by on the y-axis.
+         * @returns {Ink[]} Result.
+         */
+        export function PasteWithOffset(svg: TargetDomElement, offsetX: number, offsetY: number): Ink[]
+        {
+            if (_inkDocument === null)
+            {
+                return ([]);
+            }
+
+            return (pasteInkDocument(getInitializedSvgInfo(svg), _inkDocument, "PasteInks", null, offsetX, offsetY));
+        }
+
+        /**
+         * Creates copies of the supplied Inks (on the same <svg>), above any existing Inks, without changing the contents of the clipboard. The Inks must all be on the same <svg>.
+         * Returns the new Inks (in z-order).
+         * @param {Ink[]} inks The [completed] Inks to duplicate.
+         * @param {number} [offsetX] [Optional] The distance (in svg pixels) to offset the new Inks by on the x-axis. Defaults to 20.
+         * @param {number} [offsetY] [Optional] The distance (in svg pixels) to offset the new Inks by on the y-axis. Defaults to 20.
+         * @returns {Ink[]} Result.
+         */
+        export function Duplicate(inks: Ink[], offsetX: number = PASTE_OFFSET, offsetY: number = PASTE_OFFSET): Ink[]
+        {
+            if (inks.length === 0)
+            {
+                return ([]);
+            }
+
+            return (pasteInkDocument(getSvgInfo(inks[0].Path()), createInkDocument(getInksInZOrder(inks)), "DuplicateInks", null, offsetX, offsetY));
+        }
+
+        /**
+         * Handles a 'copy' ClipboardEvent by copying the supplied Inks to both the clipboard (see Copy()) and the system clipboard. Has no effect if 'inks' is empty.
+         * The system clipboard gets a JSON document (see MIL.SerializeInks()), for pasting into another MIL page, and an SVG document (see MIL.ExportSvg()), for pasting into other apps.
+         * @param {ClipboardEvent} e A 'copy' event.
+         * @param {Ink[]} inks The [completed] Inks to copy (eg. MIL.Selection().Inks()).
+         */
+        export function OnCopy(e: ClipboardEvent, inks: Ink[]): void
+        {
+            if (inks.length > 0)
+            {
+                Copy(inks);
+                writeSystemClipboard(e, inks);
+            }
+        }
+
+        /**
+         * Handles a 'cut' ClipboardEvent by cutting the supplied Inks to both the clipboard (see Cut()) and the system clipboard (see OnCopy()). Has no effect if 'inks' is empty.
+         * @param {ClipboardEvent} e A 'cut' event.
+         * @param {Ink[]} inks The [completed] Inks to cut (eg. MIL.Selection().Inks()).
+         */
+        export function OnCut(e: ClipboardEvent, inks: Ink[]): void
+        {
+            if (inks.length > 0)
+            {
+                writeSystemClipboard(e, inks); // Note: Must be done before the Inks are deleted
+                Cut(inks);
+            }
+        }
+
+        /**
+         * Handles a 'paste' ClipboardEvent by pasting the Inks on the system clipboard onto the specified <svg>. Inks copied by OnCopy()/OnCut() (on any MIL page) are pasted
+         * as Inks, otherwise the <path> elements of an SVG document on the system clipboard are imported as Inks (see MIL.ImportSvgPaths()).
+         * Returns the pasted Inks (in z-order), or an empty array if the system clipboard contains neither [in which case the event is not handled].
+         * @param {ClipboardEvent} e A 'paste' event.
+         * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to paste the Inks onto.
+         * @param {Point} [point] [Optional] The point (in svg coordinates) to center the pasted Inks on. See Paste().
+         * @returns {Ink[]} Result.
+         */
+        export function OnPaste(e: ClipboardEvent, svg: TargetDomElement, point?: Point): Ink[]
+        {
+            let svgInfo: SVGInfo = getInitializedSvgInfo(svg);
+            let json: string = e.clipboardData.getData(INK_CLIPBOARD_DATA_TYPE);
+            let text: string = e.clipboardData.getData("text/plain");
+            let svgDocument: string = e.clipboardData.getData("image/svg+xml") || (/<svg[\s>]/i.test(text) ? text : "");
+            let pastedInks: Ink[] = [];
+
+            if (!json && (text.trim()[0] === "{"))
+            {
+                // The text may be a JSON document created by MIL.SerializeInks()
+                try
+                {
+                    parseInkDocument(text);
+                    json = text;
+                }
+                catch (error)
+                {
+                    json = "";
+                }
+            }
+
+            if (!json && svgDocument)
+            {
+                // Validate the SVG document up-front (so that text that merely contains "<svg" is ignored, rather than failing part way through the paste)
+                try
+                {
+                    parseSvgDocument(svgDocument);
+                }
+                catch (error)
+                {
+                    svgDocument = "";
+                }
+            }
+
+            if (json)
+            {
+                let inkDocument: SerializedInkDocument = parseInkDocument(json);
+
+                // Inks copied from elsewhere (eg. another page) are first pasted at the position they were copied from
+                if ((_inkDocument === null) || (JSON.stringify(_inkDocument) !== JSON.stringify(inkDocument)))
+                {
+                    _inkDocument = inkDocument;
+                    _pasteCount = 0;
+                }
+                pastedInks = Paste(svgInfo.svgDomElement, point);
+            }
+            else
+            {
+                if (svgDocument)
+                {
+                    svgInfo.history.BeginTransaction("PasteInks");
+                    try
+                    {
+                        pastedInks = ImportSvgPaths(svgInfo.svgDomElement, svgDocument);
+                        moveInks(pastedInks, point || null, 0, 0);
+                    }
+                    finally
+                    {
+                        svgInfo.history.EndTransaction();
+                    }
+                }
+            }
+
+            if (pastedInks.length > 0)
+            {
+                e.preventDefault();
+            }
+            return (pastedInks);
+        }
+
+        /**
+         * [Private Method] Returns the supplied Inks in z-order (bottom-most first). Throws if the Inks are not all completed Inks on the same <svg>, or if an Ink is being dragged.
+         * @param {Ink[]} inks The Inks to be copied.
+         * @returns {Ink[]} Result.
+         */
+        function getInksInZOrder(inks: Ink[]): Ink[]
+        {
+            if (IsInkDragInProgress())
+            {
+                throw new MILException("Inks cannot be copied while an Ink is being dragged");
+            }
+
+            inks.forEach(function (ink: Ink)
+            {
+                if ((ink.Path() === null) || ink.IsNonDrawing())
+                {
+                    throw new MILException("Ink '" + ink.InkID() + "' cannot be copied because it has not been completed");
+                }
+
+                if (getSvgInfo(ink.Path()) !== getSvgInfo(inks[0].Path()))
+                {
+                    throw new MILException("The Inks to copy must all be on the same <svg>");
+                }
+            });
+
+            return (inks.slice().sort(function (ink1: Ink, ink2: Ink)
+            {
+                let isInk2AboveInk1: boolean = (ink1.Path().node().compareDocumentPosition(ink2.Path().node()) & Node.DOCUMENT_POSITION_FOLLOWING) !== 0;
+                return (isInk2AboveInk1 ? -1 : 1);
+            }));
+        }
+
+        /**
+         * [Private Method] Re-creates the Inks in the supplied SerializedInkDocument (as new Inks) on the <svg> of the supplied SVGInfo, then moves them (see moveInks()).
+         * The whole operation is recorded in the undo/redo history as a single transaction.
+         * @param {SVGInfo} svgInfo The SVGInfo of the <svg> to add the Inks to.
+         * @param {SerializedInkDocument} inkDocument The Inks to re-create.
+         * @param {string} transactionName The name of the history transaction.
+         * @param {Point | null} point The point (in svg coordinates) to center the new Inks on, or null to use offsetX/Y.
+         * @param {number} offsetX The distance (in svg pixels) to offset the new Inks by on the x-axis (when point is null).
+         * @param {number} offsetY The distance (in svg pixels) to offset the new Inks by on the y-axis (when point is null).
+         * @returns {Ink[]} Result.
+         */
+        function pasteInkDocument(svgInfo: SVGInfo, inkDocument: SerializedInkDocument, transactionName: string, point: Point | null, offsetX: number, offsetY: number): Ink[]
+        {
+            let inkContainer: SVGGElement = getInkContainer(svgInfo); // Note: Throws if the active layer is locked or hidden
+            let newInks: Ink[] = [];
+
+            svgInfo.history.BeginTransaction(transactionName);
+            try
+            {
+                inkDocument.inks.forEach(function (serializedInk: SerializedInk)
+                {
+                    let serializedInkCopy: SerializedInk = JSON.parse(JSON.stringify(serializedInk)); // So that the clipboard can't be modified
+                    serializedInkCopy.id = ""; // The new Ink will be assigned a new ID
+                    newInks.push(new Ink(null).rehydrate(inkContainer, serializedInkCopy));
+                });
+                moveInks(newInks, point, offsetX, offsetY);
+            }
+            finally
+            {
+                svgInfo.history.EndTransaction();
+            }
+
+            log(newInks.length + " Ink(s) pasted (" + transactionName + ")");
+            return (newInks);
+        }
+
+        /**
+         * [Private Method] Moves the supplied Inks either so that they are centered on 'point' (if supplied), or by offsetX/Y.
+         * @param {Ink[]} inks The Inks to move.
+         * @param {Point | null} point The point (in svg coordinates) to center the Inks on, or null to use offsetX/Y.
+         * @param {number} offsetX The distance (in svg pixels) to move the Inks by on the x-axis (when point is null).
+         * @param {number} offsetY The distance (in svg pixels) to move the Inks by on the y-axis (when point is null).
+         */
+        function moveInks(inks: Ink[], point: Point | null, offsetX: number, offsetY: number): void
+        {
+            let deltaX: number = offsetX;
+            let deltaY: number = offsetY;
+
+            if ((inks.length === 0) || (!point && (deltaX === 0) && (deltaY === 0)))
+            {
+                return;
+            }
+
+            if (point)
+            {
+                let allPathPoints: Point[] = [].concat.apply([], inks.map(function (ink: Ink) { return (ink.PathPoints()); }));
+                let boundingRect: Rect = Utils.GetBoundingRectForPoints(allPathPoints);
+
+                deltaX = point.x - (boundingRect.x + (boundingRect.width / 2));
+                deltaY = point.y - (boundingRect.y + (boundingRect.height / 2));
+            }
+
+            inks.forEach(function (ink: Ink) { ink.translate(deltaX, deltaY); });
+            recordInksTranslated(inks, deltaX, deltaY);
+        }
+
+        /**
+         * [Private Method] Puts the supplied Inks on the system clipboard as both a JSON document (see MIL.SerializeInks()) and an SVG document.
+         * @param {ClipboardEvent} e A 'copy' or 'cut' event.
+         * @param {Ink[]} inks The Inks to put on the system clipboard.
+         */
+        function writeSystemClipboard(e: ClipboardEvent, inks: Ink[]): void
+        {
+            let inksInZOrder: Ink[] = getInksInZOrder(inks);
+            let svgDocument: string = exportInksSvg(inksInZOrder);
+
+            e.clipboardData.setData(INK_CLIPBOARD_DATA_TYPE, JSON.stringify(createInkDocument(inksInZOrder)));
+            e.clipboardData.setData("image/svg+xml", svgDocument);
+            e.clipboardData.setData("text/plain", svgDocument); // Many apps will accept SVG markup pasted as text
+            e.preventDefault(); // Otherwise the browser will replace our data with the [default] data for the event
+        }
+    }
+}
@@ -47,6 +47,15 @@ namespace MIL
     /** Type of a callback that will be invoked when a hover starts or stops over an item image in a RadialMenuControl. */
     export type RadialMenuItemImageHoverHandler = (hoverItem: RadialMenuHoverItem) => void;
 
+    /** [Private Type] The position, angle and width of a RulerControl, as recorded in the CommandHistory (see MIL.History()). */
+    type RulerState = { centerPoint: Point, rotationAngle: number, width: number };
+
+    /** [Private Type] A scale handle of a TransformHandlesControl. 'x' and 'y' are the position of the handle as a fraction (0, 0.5 or 1) of the width/height of the selection bounds. */
+    type TransformHandle = { name: string, x: number, y: number, cursor: string };
+
+    /** [Private Type] An in-progress manipulation by a TransformHandlesControl: the svg transform that previews it, and the function that [undoably] applies it to the selected Inks. */
+    type TransformHandlesManipulation = { name: string, transform: string, apply: (inks: Ink[]) => void };
+
     /**
      * The Controls namespace.
      */
@@ -121,6 +130,24 @@ namespace MIL
             return (svgInfo.frame);
         }
 
+        /**
+         * Returns the TransformHandlesControl for the specified <svg> element, creating it if needed.
+         * @param {SVGSVGElement} svg An <svg> element.
+         * @returns {TransformHandlesControl} Result.
+         */
+        export function TransformHandles(svg: SVGSVGElement): TransformHandlesControl
+        {
+            let svgDomElement: DomElement = Utils.GetDomElement(svg, SVGSVGElement);
+            let svgInfo: SVGInfo = getSvgInfo(svgDomElement);
+
+            if (svgInfo.transformHandles === null)
+            {
+                svgInfo.transformHandles = new TransformHandlesControl(svgInfo.gDomElement);
+            }
+
+            return (svgInfo.transformHandles);
+        }
+
         /**
          * Creates a new RadialMenuControl for the specified <svg> element. Unlike the Ruler and Frame controls, there can be multiple RadialMenu controls for a given <svg>.
          * Use DeleteRadialMenu() when you no longer need the control. This method adds the root level (0) to the menu. To add additional levels, use AddLevel().
@@ -1941,6 +1968,37 @@ namespace MIL
                 }
             }
 
+            /**
+             * [Private Method] Returns the current position, angle and width of the RulerControl instance.
+             * @returns {RulerState} Result.
+             */
+            private getState(): RulerState
+            {
+                return ({ centerPoint: { x: this._centerPoint.x, y: this._centerPoint.y }, rotationAngle: this._rotationAngle, width: this._width });
+            }
+
+            /**
+             * [Private Method] Records (in the CommandHistory) the change in position, angle and width of the RulerControl instance since 'startState' [if there was a change].
+             * @param {string} commandName The name of the command to record.
+             * @param {RulerState} startState The state (see getState()) of the RulerControl before the change.
+             */
+            private recordStateChange(commandName: string, startState: RulerState): void
+            {
+                let ruler: RulerControl = this;
+                let endState: RulerState = this.getState();
+                let history: CommandHistory = getHistory(this._gDomElement);
+                let restoreState = function (state: RulerState): void
+                {
+                    ruler.BeginUpdate().CenterPoint({ x: state.centerPoint.x, y: state.centerPoint.y }).RotationAngle(state.rotationAngle).Width(state.width).EndUpdate();
+                };
+
+                if ((history !== null) && ((startState.centerPoint.x !== endState.centerPoint.x) || (startState.centerPoint.y !== endState.centerPoint.y) ||
+                    (startState.rotationAngle !== endState.rotationAngle) || (startState.width !== endState.width)))
+                {
+                    history.Record({ name: commandName, undo: function () { restoreState(startState); }, redo: function () { restoreState(endState); } });
+                }
+            }
+
             /**
              * [Private Method] Returns a line (in svg space) of the supplied start and end points.
              * @param {XY} startPoint The start point of the line.
@@ -2009,6 +2067,7 @@ namespace MIL
                 let endPointXOffsetToCenterLine: number = 0;
                 let endPointYOffsetToCenterLine: number = 0;
                 let centerPointRatio: number = 0;
+                let startState: RulerState = null; // The state of the ruler when the [move, or rotate-and-move] gesture started
                 let onRulerRotateAndMove: PointerEventHandler = function (e: PointerEvent)
                 {
                     ruler.onRulerRotateAndMove(e, startPointXOffsetToCenterLine, startPointYOffsetToCenterLine, endPointXOffsetToCenterLine, endPointYOffsetToCenterLine, centerPointRatio);
@@ -2022,6 +2081,7 @@ namespace MIL
                     {
                         let gesture: Gesture = this;
                         let newMovePoint: Point = ruler._prevMovePoint = gesture.GetCurrentSvgPoint("{P1}");
+                        startState = ruler.getState();
                         let line: SVGLine = ruler.GetFaceEdgeLine();
                         let lineStartPoint: Point = line[0], lineEndPoint: Point = line[1];
                         let lineLength: number = Utils.GetDistanceBetweenPoints(lineStartPoint, lineEndPoint);
@@ -2045,6 +2105,7 @@ namespace MIL
                     .GestureEndedHandler(function ()
                     {
                         ruler._prevMovePoint = null;
+                        ruler.recordStateChange("MoveRuler", startState);
                     });
 
                 this._defaultRotateAndMoveGesture = MIL.CreateGesture("DefaultRulerRotateAndMove*", true)
@@ -2055,6 +2116,7 @@ namespace MIL
                     {
                         let gesture: Gesture = this;
                         let rulerCenterLine: SVGLine = ruler.GetCenterLine();
+                        startState = ruler.getState();
                         let centerLineStartPoint: Point = rulerCenterLine[0], centerLineEndPoint: Point = rulerCenterLine[1];
                         let centerLineLength: number = Utils.GetDistanceBetweenPoints(centerLineStartPoint, centerLineEndPoint);
                         let point1: Point = gesture.GetCurrentSvgPoint("{P1}");
@@ -2099,12 +2161,15 @@ namespace MIL
                     {
                         ruler._rotateStartPointPointerType = null;
                         ruler._rotateEndPointPointerType = null;
+                        ruler.recordStateChange("RotateAndMoveRuler", startState);
                     });
 
                 this._defaultTapGesture = MIL.BuiltInGestures.Tap("DefaultRulerTap", ruler._outlinePath, "touch", function ()
                 {
                     let currentAngle: number = ruler.RotationAngle();
+                    let tapStartState: RulerState = ruler.getState();
                     ruler.RotationAngle(currentAngle + (90 - (currentAngle % 90)));
+                    ruler.recordStateChange("RotateRuler", tapStartState);
 
                     /*
                     // DEBUG!
@@ -2255,5 +2320,371 @@ namespace MIL
                 }
             }
         }
+
+        /**
+         * The TransformHandlesControl class. Represents a set of handles, drawn around the selected Inks (see MIL.Selection()), that move, scale and rotate the selection.
+         * Unlike Ink.ResizeWith(), the handles can be used with any pointer type (so a multi-touch device is not required). Dragging a corner or edge handle scales
+         * the selection (holding Shift keeps its aspect ratio), dragging the rotate handle rotates it (holding Shift snaps the rotation to 15 degree increments),
+         * and dragging inside the handles moves it. Each manipulation is recorded in the undo/redo history (see MIL.History()) as a single command.
+         * Note: While the handles are shown, the move area covers the selected Inks, so Gestures that target their Hulls will not be recognized.
+         * Note: DO NOT instantiate this class directly: use the MIL.Controls.TransformHandles() method instead.
+         */
+        export class TransformHandlesControl
+        {
+            private static readonly CONTROL_TYPE: string = "TransformHandlesControl";
+            private static readonly HANDLE_SIZE: number = 12; // In pixels (the handles are drawn at a constant size on the screen, regardless of the zoom level)
+            private static readonly ROTATE_HANDLE_OFFSET: number = 24; // In pixels (the distance of the rotate handle above the top edge of the selection)
+            private static readonly ROTATION_SNAP_ANGLE: number = 15; // In degrees (used when Shift is pressed)
+            private static readonly MIN_SCALE: number = 0.05; // Prevents the selection from being scaled to nothing (or flipped)
+            private static readonly SCALE_HANDLES: TransformHandle[] = [
+                { name: "TopLeft", x: 0, y: 0, cursor: "nwse-resize" },
+                { name: "Top", x: 0.5, y: 0, cursor: "ns-resize" },
+                { name: "TopRight", x: 1, y: 0, cursor: "nesw-resize" },
+                { name: "Right", x: 1, y: 0.5, cursor: "ew-resize" },
+                { name: "BottomRight", x: 1, y: 1, cursor: "nwse-resize" },
+                { name: "Bottom", x: 0.5, y: 1, cursor: "ns-resize" },
+                { name: "BottomLeft", x: 0, y: 1, cursor: "nesw-resize" },
+                { name: "Left", x: 0, y: 0.5, cursor: "ew-resize" }
+            ];
+
+            private _gDomElement: SVGGElement;
+            private _gHandles: D3SingleSelection; // The handles are a "compound" object
+            private _moveArea: D3SingleSelection;
+            private _rotateHandleLine: D3SingleSelection;
+            private _rotateHandle: D3SingleSelection;
+            private _scaleHandles: D3SingleSelection[]; // In the same order as SCALE_HANDLES
+            private _className: string;
+            private _isEnabled: boolean;
+            private _boundingRect: Rect; // The bounds of the selection [null if there is no selection, or if the selected Inks are being changed (eg. dragged)]
+
+            /**
+             * [Internal] Creates a TransformHandlesControl instance in the specified gDomElement. Note: Do NOT call this directly - use Controls.TransformHandles() instead.
+             * @param {SVGGElement} gDomElement The parent <g> element.
+             * @internal
+             */
+            constructor(gDomElement: SVGGElement)
+            {
+                this._gDomElement = Utils.GetDomElement(gDomElement, SVGGElement) as SVGGElement;
+                this._gHandles = null;
+                this._moveArea = null;
+                this._rotateHandleLine = null;
+                this._rotateHandle = null;
+                this._scaleHandles = [];
+                this._className = "";
+                this._isEnabled = true;
+                this._boundingRect = null;
+
+                let transformHandles: TransformHandlesControl = this;
+                getSvgInfo(this._gDomElement).selection.onBoundsChanged(function (boundingRect: Rect | null)
+                {
+                    transformHandles._boundingRect = boundingRect;
+                    transformHandles.redraw();
+                });
+            }
+
+            /**
+             * [Chainable Property] Whether the handles are shown when Inks are selected (default is true).
+             * @param {boolean} enable Flag.
+             * @returns {this | boolean} Either the property value (if getting), or the TransformHandlesControl instance (if setting).
+             */
+            IsEnabled(enable: boolean): this;
+            IsEnabled(): boolean;
+            IsEnabled(enable?: boolean): this | boolean
+            {
+                if (enable === undefined)
+                {
+                    return (this._isEnabled);
+                }
+                else
+                {
+                    this._isEnabled = enable;
+                    this.redraw();
+                    return (this);
+                }
+            }
+
+            /**
+             * [Chainable Property] The name of the CSS class used to draw the handles (but not the move area, which is always transparent).
+             * If not set, the handles are drawn with a white fill and a blue outline.
+             * @param {string} className A CSS class name.
+             * @returns {this | string} Either the property value (if getting), or the TransformHandlesControl instance (if setting).
+             */
+            Class(className: string): this;
+            Class(): string;
+            Class(className?: string): this | string
+            {
+                if (className === undefined)
+                {
+                    return (this._className);
+                }
+                else
+                {
+                    this._className = className;
+                    this.redraw();
+                    return (this);
+                }
+            }
+
+            /**
+             * [ReadOnly Property] Returns true if the handles are currently shown.
+             * @returns {boolean} Result.
+             */
+            IsVisible(): boolean
+            {
+                readOnlyProperty("IsVisible", arguments);
+                return (this._isEnabled && (this._boundingRect !== null));
+            }
+
+            /** Redraws the TransformHandlesControl instance. */
+            Redraw(): void
+            {
+                this.redraw();
+            }
+
+            /** [Private Method] Redraws the TransformHandlesControl instance (or hides it, if it's not visible). */
+            private redraw(): void
+            {
+                if (this._gHandles === null)
+                {
+                    if (!this.IsVisible())
+                    {
+                        // We create the handles the first time they're needed
+                        return;
+                    }
+
+                    this._gHandles = d3.select(this._gDomElement).append("g");
+                    this._moveArea = this._gHandles.append("rect"); // We add this first so that it's behind the other handles
+                    this._rotateHandleLine = this._gHandles.append("line").style("pointer-events", "none");
+                    this._rotateHandle = this._gHandles.append("circle").style("cursor", "grab");
+                    this._scaleHandles = TransformHandlesControl.SCALE_HANDLES.map((handle: TransformHandle) => this._gHandles.append("rect").style("cursor", handle.cursor));
+                    this._gHandles.node().__MILIsControl__ = true;
+
+                    this.addDefaultGestures();
+                }
+
+                this._gHandles.attr("transform", null).style("visibility", this.IsVisible() ? "visible" : "hidden");
+
+                if (!this.IsVisible())
+                {
+                    return;
+                }
+
+                log(TransformHandlesControl.CONTROL_TYPE + ": Redrawing...", FeatureNames.Controls);
+
+                // Since Inks can be drawn after the handles were created, we make sure the handles are on top
+                bringToFront(this._gHandles.node() as SVGGElement, this._gDomElement);
+
+                let scaleFactor: number = getSvgInfo(this._gDomElement).zoomLevel;
+                let handleSize: number = TransformHandlesControl.HANDLE_SIZE / scaleFactor;
+                let rect: Rect = this._boundingRect;
+                let rotateHandleCenter: Point = { x: rect.x + (rect.width / 2), y: rect.y - (TransformHandlesControl.ROTATE_HANDLE_OFFSET / scaleFactor) };
+                let handles: D3SingleSelection[] = this._scaleHandles.concat(this._rotateHandle, this._rotateHandleLine);
+
+                this._moveArea.attr("x", rect.x).attr("y", rect.y).attr("width", rect.width).attr("height", rect.height)
+                    .style("fill", "transparent").style("stroke", "none").style("cursor", "move"); // Note: 'transparent' (unlike 'none') makes the area a hit-target
+                this._rotateHandleLine.attr("x1", rotateHandleCenter.x).attr("y1", rect.y).attr("x2", rotateHandleCenter.x).attr("y2", rotateHandleCenter.y);
+                this._rotateHandle.attr("cx", rotateHandleCenter.x).attr("cy", rotateHandleCenter.y).attr("r", handleSize / 2);
+
+                TransformHandlesControl.SCALE_HANDLES.forEach((handle: TransformHandle, i: number) =>
+                {
+                    this._scaleHandles[i]
+                        .attr("x", rect.x + (rect.width * handle.x) - (handleSize / 2)).attr("y", rect.y + (rect.height * handle.y) - (handleSize / 2))
+                        .attr("width", handleSize).attr("height", handleSize);
+                });
+
+                handles.forEach((handle: D3SingleSelection) =>
+                {
+                    if (this._className)
+                    {
+                        handle.classed(this._className, true);
+                    }
+                    handle.style("fill", this._className ? "" : "white");
+                    handle.style("stroke", this._className ? "" : "dodgerblue");
+                    handle.style("stroke-width", this._className ? "" : (1 / scaleFactor) + "px");
+                });
+            }
+
+            /** [Private Method] Adds the Gestures that manipulate the selection [by dragging the move area and the handles]. */
+            private addDefaultGestures(): void
+            {
+                let transformHandles: TransformHandlesControl = this;
+
+                // Move
+                this.addManipulationGesture(this._moveArea, function (startPoint: Point, currentPoint: Point): TransformHandlesManipulation
+                {
+                    let deltaX: number = currentPoint.x - startPoint.x;
+                    let deltaY: number = currentPoint.y - startPoint.y;
+
+                    return ({
+                        name: "MoveSelection",
+                        transform: "translate(" + deltaX + " " + deltaY + ")",
+                        apply: function (inks: Ink[])
+                        {
+                            inks.forEach(function (ink: Ink) { ink.translate(deltaX, deltaY); });
+                            recordInksTranslated(inks, deltaX, deltaY);
+                        }
+                    });
+                });
+
+                // Rotate
+                this.addManipulationGesture(this._rotateHandle, function (startPoint: Point, currentPoint: Point): TransformHandlesManipulation
+                {
+                    let rect: Rect = transformHandles._boundingRect;
+                    let pivot: Point = { x: rect.x + (rect.width / 2), y: rect.y + (rect.height / 2) };
+                    let startAngle: number = Math.atan2(startPoint.y - pivot.y, startPoint.x - pivot.x) * (180 / Math.PI);
+                    let currentAngle: number = Math.atan2(currentPoint.y - pivot.y, currentPoint.x - pivot.x) * (180 / Math.PI);
+                    let angle: number = ((currentAngle - startAngle + 540) % 360) - 180; // -180..180
+
+                    if (Utils.IsKeyPressed(Utils.Keys.SHIFT))
+                    {
+                        angle = Math.round(angle / TransformHandlesControl.ROTATION_SNAP_ANGLE) * TransformHandlesControl.ROTATION_SNAP_ANGLE;
+                    }
+
+                    return ({
+                        name: "RotateSelection",
+                        transform: "rotate(" + angle + " " + pivot.x + " " + pivot.y + ")",
+                        apply: function (inks: Ink[])
+                        {
+                            inks.forEach(function (ink: Ink) { ink.Rotation(ink.Rotation() + angle, pivot); });
+                        }
+                    });
+                });
+
+                // Scale
+                TransformHandlesControl.SCALE_HANDLES.forEach(function (handle: TransformHandle, i: number)
+                {
+                    transformHandles.addManipulationGesture(transformHandles._scaleHandles[i], function (startPoint: Point, currentPoint: Point): TransformHandlesManipulation
+                    {
+                        let rect: Rect = transformHandles._boundingRect;
+                        let anchor: Point = { x: rect.x + (rect.width * (1 - handle.x)), y: rect.y + (rect.height * (1 - handle.y)) }; // The point opposite the handle
+                        let handlePoint: Point = { x: rect.x + (rect.width * handle.x), y: rect.y + (rect.height * handle.y) };
+                        let isEdgeHandle: boolean = (handle.x === 0.5) || (handle.y === 0.5);
+                        let scaleX: number = (handle.x === 0.5) ? 1 : (handlePoint.x + (currentPoint.x - startPoint.x) - anchor.x) / (handlePoint.x - anchor.x);
+                        let scaleY: number = (handle.y === 0.5) ? 1 : (handlePoint.y + (currentPoint.y - startPoint.y) - anchor.y) / (handlePoint.y - anchor.y);
+
+                        scaleX = Math.max(TransformHandlesControl.MIN_SCALE, isFinite(scaleX) ? scaleX : 1);
+                        scaleY = Math.max(TransformHandlesControl.MIN_SCALE, isFinite(scaleY) ? scaleY : 1);
+
+                        if (Utils.IsKeyPressed(Utils.Keys.SHIFT))
+                        {
+                            // Keep the aspect ratio. For an edge handle, the "other" axis follows the dragged axis.
+                            scaleX = scaleY = isEdgeHandle ? ((handle.x === 0.5) ? scaleY : scaleX) : Math.max(scaleX, scaleY);
+                        }
+
+                        return ({
+                            name: "ScaleSelection",
+                            transform: "translate(" + anchor.x + " " + anchor.y + ") scale(" + scaleX + " " + scaleY + ") translate(" + -anchor.x + " " + -anchor.y + ")",
+                            apply: function (inks: Ink[])
+                            {
+                                inks.forEach(function (ink: Ink)
+                                {
+                                    if (scaleX === scaleY)
+                                    {
+                                        // Ink.Scale() scales around the center of the Ink, so we then translate the Ink to keep the anchor fixed
+                                        let inkRect: Rect = Utils.GetBoundingRectForPoints(ink.PathPoints());
+                                        let strokeWidth: number = Utils.ToNumber(window.getComputedStyle(ink.Path().node()).strokeWidth);
+                                        let deltaX: number = (1 - scaleX) * (anchor.x - (inkRect.x + (inkRect.width / 2)));
+                                        let deltaY: number = (1 - scaleY) * (anchor.y - (inkRect.y + (inkRect.height / 2)));
+
+                                        ink.Scale(ink.Scale() * scaleX, ink.Scale(), strokeWidth, false);
+                                        ink.translate(deltaX, deltaY);
+                                        recordInksTranslated([ink], deltaX, deltaY);
+                                    }
+                                    else
+                                    {
+                                        ink.stretch(scaleX, scaleY, anchor);
+                                    }
+                                });
+                            }
+                        });
+                    });
+                });
+            }
+
+            /**
+             * [Private Method] Adds a Gesture (for any pointer type) that manipulates the selection when 'target' is dragged.
+             * While the Gesture is in progress the manipulation is previewed using an svg transform; when the Gesture ends the manipulation is applied to the selected Inks.
+             * @param {D3SingleSelection} target The handle (or move area) that the Gesture targets.
+             * @param {(startPoint: Point, currentPoint: Point) => TransformHandlesManipulation} getManipulation A function that returns the manipulation for the current position of the pointer.
+             */
+            private addManipulationGesture(target: D3SingleSelection, getManipulation: (startPoint: Point, currentPoint: Point) => TransformHandlesManipulation): void
+            {
+                let transformHandles: TransformHandlesControl = this;
+                let manipulation: TransformHandlesManipulation = null;
+
+                MIL.AddGesture(MIL.CreateGesture("DefaultTransformHandles*", true)
+                    .Target(target)
+                    .PointerType("pen|touch|mouse")
+                    .GestureStartedHandler(function ()
+                    {
+                        let gesture: Gesture = this;
+                        let startPoint: Point = gesture.GetStartSvgPoint("{P1}");
+
+                        manipulation = null;
+                        gesture.OnMoveHandler(function onTransformHandleMove(e: PointerEvent)
+                        {
+                            manipulation = getManipulation(startPoint, gesture.GetCurrentSvgPoint("{P1}"));
+                            transformHandles.previewManipulation(manipulation.transform);
+                        });
+                    })
+                    .GestureEndedHandler(function ()
+                    {
+                        transformHandles.endManipulation(manipulation);
+                        manipulation = null;
+                    })
+                    .GestureCancelledHandler(function ()
+                    {
+                        transformHandles.endManipulation(null);
+                        manipulation = null;
+                    }));
+            }
+
+            /**
+             * [Private Method] Applies the supplied svg transform to the selected Inks (and their Hulls), the selection adorner and the handles.
+             * @param {string | null} transform An svg transform, or null to remove the transform.
+             */
+            private previewManipulation(transform: string | null): void
+            {
+                let svgInfo: SVGInfo = getSvgInfo(this._gDomElement);
+
+                svgInfo.selection.Inks().forEach(function (ink: Ink)
+                {
+                    ink.Path().attr("transform", transform);
+
+                    if (ink.HullPath() !== null)
+                    {
+                        ink.HullPath().attr("transform", transform);
+                    }
+                });
+                svgInfo.gSelection.selectAll("rect.MILSelectionAdorner").attr("transform", transform);
+                this._gHandles.attr("transform", transform);
+            }
+
+            /**
+             * [Private Method] Removes the preview of the in-progress manipulation, then [if supplied] applies the manipulation to the selected Inks.
+             * @param {TransformHandlesManipulation} manipulation The manipulation to apply, or null if the manipulation was cancelled (or the pointer didn't move).
+             */
+            private endManipulation(manipulation: TransformHandlesManipulation | null): void
+            {
+                let svgInfo: SVGInfo = getSvgInfo(this._gDomElement);
+                let inks: Ink[] = svgInfo.selection.Inks();
+
+                this.previewManipulation(null);
+
+                if ((manipulation !== null) && (inks.length > 0))
+                {
+                    svgInfo.history.BeginTransaction(manipulation.name);
+                    try
+                    {
+                        manipulation.apply(inks); // Note: This will [indirectly] redraw the handles
+                    }
+                    finally
+                    {
+                        svgInfo.history.EndTransaction();
+                    }
+                    log(TransformHandlesControl.CONTROL_TYPE + ": " + manipulation.name + " (" + inks.length + " Ink(s))", FeatureNames.Controls);
+                }
+            }
+        }
     }
 }
\ No newline at end of file
@@ -967,6 +967,7 @@ namespace MIL
 
                 _inkCurrentPathPointData[pointerID] = []; // Reset point data
                 _inkCompletePathPointData[pointerID] = []; // Reset point data
+                _inkCompletePathSampleData[pointerID] = []; // Reset sample data
 
                 this._ink = new Ink(pointerID).ParentGesture(this);
 
@@ -986,7 +987,8 @@ namespace MIL
 
         /**
          * Combines the supplied Inks into a single Ink, which will have a new [convex] hull that covers the combined Ink paths.
-         * Returns the new (combined) Ink instance, or null if inksToCombine is empty.
+         * Returns the new (combined) Ink instance, or null if inksToCombine is empty. The combined Ink uses the Curve() and Decoration() of the first Ink in inksToCombine
+         * (note that its arrowheads, if any, are drawn only at the start of its first line and at the end of its last line).
          * @param {Ink[]} inksToCombine The array of Inks to combine.
          * @param {string} className The name of the CSS class to apply to the combined ink.
          * @param {boolean} [makeInkPathMatchHull] [Optional] When true, the path of the new ink will match the new [convex] hull [eg. when combining 2 paths that are "grouping containers"]
@@ -1002,99 +1004,143 @@ namespace MIL
             let svgInfo: SVGInfo = getSvgInfo(inksToCombine[0].Path());
             let dInk: string = "", dHull: string = "";
             let allPathPointArrays: Point[][] = []; // Array of arrays of {x, y} points
+            let allIsLinearFlags: boolean[] = []; // Whether each array in allPathPointArrays is drawn with straight lines (rather than a curve)
+            let allSampleChannelArrays: InkSampleChannels[][] = []; // The sample channels (pressure, tilt, etc.) for each array in allPathPointArrays [or null if not captured]
             let allVertices: XY[] = []; // Array of [x, y] arrays
             let resizeGesturePointerType: string = "";
             let onResizeCompleteHandler: InkEventHandler = null;
+            let constituents: SerializedInkConstituent[] = []; // The original Inks [so that the combined Ink can be split (see Ink.Split())]
             let inkCount: number = 0;
+            let isAllHighlighters: boolean = inksToCombine.every(function (ink: Ink) { return (ink.RenderMode() === InkRenderMode.Highlighter); });
+            let inkContainer: D3SingleSelection = d3.select(inksToCombine[0].Path().node().parentNode as SVGGElement); // The combined Ink is added to the layer (if any) of the first Ink
+            let newInk: Ink = null;
 
-            inksToCombine.forEach(function (ink: Ink)
+            // The deletion of the source Inks and the creation of the combined Ink are undone as a single command
+            svgInfo.history.BeginTransaction("CombineInks");
+            try
             {
-                let pathDomElement: DomElement = ink.Path().node();
-                let inkPathPointsCollection: Point[][] = pathDomElement.__MILPathPointsCollection__ as Point[][];
+                inksToCombine.forEach(function (ink: Ink)
+                {
+                    let pathDomElement: DomElement = ink.Path().node();
+                    let inkPathPointsCollection: Point[][] = pathDomElement.__MILPathPointsCollection__ as Point[][];
+                    let inkIsLinearCollection: boolean[] = (pathDomElement.__MILIsLinearCollection__ as boolean[]) || [];
+                    let inkSampleChannelsCollection: InkSampleChannels[][] = (pathDomElement.__MILSampleChannelsCollection__ as InkSampleChannels[][]) || [];
 
-                dInk += pathDomElement.getAttribute("d");
+                    // Note: A combined Ink is always rendered with InkRenderMode.Stroke, so a variable-width Ink [which is drawn as a filled outline] is re-drawn as a curve
+                    dInk += (ink.RenderMode() === InkRenderMode.VariableWidth) ? "" : pathDomElement.getAttribute("d");
 
-                for (let i = 0; i < inkPathPointsCollection.length; i++)
-                {
-                    let pathPoints: Point[] = inkPathPointsCollection[i];
-                    let vertices: XY[] = d3.range(pathPoints.length).map(function (d: number) { return ([pathPoints[d].x, pathPoints[d].y]); });
+                    for (let i = 0; i < inkPathPointsCollection.length; i++)
+                    {
+                        let pathPoints: Point[] = inkPathPointsCollection[i];
 
-                    allPathPointArrays.push(pathPoints);
-                    allVertices = allVertices.concat(vertices);
-                }
+                        if (ink.RenderMode() === InkRenderMode.VariableWidth)
+                        {
+                            dInk += getInkLinePathData(pathPoints, Boolean(inkIsLinearCollection[i]), inksToCombine[0].Curve());
+                        }
+                        let vertices: XY[] = d3.range(pathPoints.length).map(function (d: number) { return ([pathPoints[d].x, pathPoints[d].y]); });
 
-                // If ANY of the combined inks allows resizing, then so will the new combined ink
-                if (ink.ResizeWith())
-                {
-                    resizeGesturePointerType = ink.ResizeWith();
-                    onResizeCompleteHandler = ink.OnResizeCompleteHandler();
-                }
+                        allPathPointArrays.push(pathPoints);
+                        allIsLinearFlags.push(Boolean(inkIsLinearCollection[i]));
+                        allSampleChannelArrays.push(inkSampleChannelsCollection[i] || null);
+                        allVertices = allVertices.concat(vertices);
+                    }
 
-                ink.Delete();
-                inkCount++;
-            });
+                    // If ANY of the combined inks allows resizing, then so will the new combined ink
+                    if (ink.ResizeWith())
+                    {
+                        resizeGesturePointerType = ink.ResizeWith();
+                        onResizeCompleteHandler = ink.OnResizeCompleteHandler();
+                    }
 
-            let inkPath: D3SingleSelection = svgInfo.gSelection.append("path");
-            let hullPath: D3SingleSelection = svgInfo.gSelection.append("path"); // Must add this AFTER adding the [new] inkPath (so that the Hull's z-order is higher)
-            let hullVertices: XY[] = d3.polygonHull(allVertices); // Produces a convex hull
-            let hullPoints: Point[] = Utils.ConvertXYPointsToPoints(hullVertices);
-            let hullColor: string = inksToCombine[0].HullColor();
+                    constituents = constituents.concat(ink.getConstituents());
+                    ink.Delete();
+                    inkCount++;
+                });
 
-            // Note: We don't simply use _inkLineGenerator to create the hull 'd' in order to match how the hullPath
-            //       is created in ink_consolidatePaths() [and how it's subsequently processed by translateHullPath()]
-            for (let i = 0; i < hullPoints.length; i++)
-            {
-                dHull += (!dHull ? "M " : " L ") + hullPoints[i].x + " " + hullPoints[i].y;
-            }
-            hullPath.attr("d", dHull);
-            hullPath.node().style.stroke = hullPath.node().style.fill = hullColor;
-            hullPath.node().style.strokeWidth = "1px";
-            hullPath.classed("MILInkHullPath", true); // Just to make it easier to find the hulls using CSS selector syntax ("path.MILInkHullPath")
+                let inkPath: D3SingleSelection = inkContainer.append("path");
+                let hullPath: D3SingleSelection = inkContainer.append("path"); // Must add this AFTER adding the [new] inkPath (so that the Hull's z-order is higher)
+                let hullVertices: XY[] = d3.polygonHull(allVertices); // Produces a convex hull
+                let hullPoints: Point[] = Utils.ConvertXYPointsToPoints(hullVertices);
+                let hullColor: string = inksToCombine[0].HullColor();
 
-            if (makeInkPathMatchHull)
-            {
-                // Re-create the inkPath to match the new [convex] hull
-                inkPath.attr("d", dHull + "Z");
+                // Note: We don't simply use _inkLineGenerator to create the hull 'd' in order to match how the hullPath
+                //       is created in ink_consolidatePaths() [and how it's subsequently processed by translateHullPath()]
+                for (let i = 0; i < hullPoints.length; i++)
+                {
+                    dHull += (!dHull ? "M " : " L ") + hullPoints[i].x + " " + hullPoints[i].y;
+                }
+                hullPath.attr("d", dHull);
+                hullPath.node().style.stroke = hullPath.node().style.fill = hullColor;
+                hullPath.node().style.strokeWidth = "1px";
+                hullPath.classed("MILInkHullPath", true); // Just to make it easier to find the hulls using CSS selector syntax ("path.MILInkHullPath")
 
-                // Re-sample the inkPath [so the "density" of __MILPathPointsCollection__ remains high enough that intersection
-                // detection (ie. detecting if points of the new inkPath are inside another region) continues to work well]
-                let sampledHullPoints: SVGPoint[] = Utils.SamplePointsFromPath(inkPath.node() as SVGPathElement, false, 5);
-                if (sampledHullPoints.length > hullPoints.length)
+                if (makeInkPathMatchHull)
                 {
-                    dHull = "";
-                    for (let i = 0; i < sampledHullPoints.length; i++)
+                    // Re-create the inkPath to match the new [convex] hull
+                    inkPath.attr("d", dHull + "Z");
+
+                    // Re-sample the inkPath [so the "density" of __MILPathPointsCollection__ remains high enough that intersection
+                    // detection (ie. detecting if points of the new inkPath are inside another region) continues to work well]
+                    let sampledHullPoints: SVGPoint[] = Utils.SamplePointsFromPath(inkPath.node() as SVGPathElement, false, 5);
+                    if (sampledHullPoints.length > hullPoints.length)
                     {
-                        dHull += (!dHull ? "M " : " L ") + sampledHullPoints[i].x + " " + sampledHullPoints[i].y;
+                        dHull = "";
+                        for (let i = 0; i < sampledHullPoints.length; i++)
+                        {
+                            dHull += (!dHull ? "M " : " L ") + sampledHullPoints[i].x + " " + sampledHullPoints[i].y;
+                        }
+                        inkPath.attr("d", dHull + "Z");
+                        hullPoints = sampledHullPoints;
                     }
-                    inkPath.attr("d", dHull + "Z");
-                    hullPoints = sampledHullPoints;
+
+                    inkPath.node().__MILPathPointsCollection__ = [hullPoints];
+                    inkPath.node().__MILIsLinearCollection__ = [true];
+                    inkPath.node().__MILSampleChannelsCollection__ = [null]; // The hull points don't correspond to the captured samples
+                }
+                else
+                {
+                    inkPath.attr("d", dInk);
+                    inkPath.node().__MILPathPointsCollection__ = allPathPointArrays;
+                    inkPath.node().__MILIsLinearCollection__ = allIsLinearFlags;
+                    inkPath.node().__MILSampleChannelsCollection__ = allSampleChannelArrays;
                 }
+                inkPath.classed("MILInkPath", true).classed(className, true); // We add the 'MILInkPath' class just to make it easier to find the ink paths using CSS selector syntax ("path.MILInkPath") 
 
-                inkPath.node().__MILPathPointsCollection__ = [hullPoints];
-            }
-            else
-            {
-                inkPath.attr("d", dInk);
-                inkPath.node().__MILPathPointsCollection__ = allPathPointArrays;
-            }
-            inkPath.classed("MILInkPath", true).classed(className, true); // We add the 'MILInkPath' class just to make it easier to find the ink paths using CSS selector syntax ("path.MILInkPath") 
+                // "tag" the hull with its corresponding ink path
+                hullPath.node().__MILAssociatedInkPath__ = inkPath;
 
-            // "tag" the hull with its corresponding ink path
-            hullPath.node().__MILAssociatedInkPath__ = inkPath;
+                newInk = new Ink(null).Class(className).ParentGesture(this).IsNonDrawing(false).HullType(InkHullType.Convex).HullColor(hullColor).Curve(inksToCombine[0].Curve());
 
-            let newInk: Ink = new Ink(null).Class(className).ParentGesture(this).IsNonDrawing(false).HullType(InkHullType.Convex).HullColor(hullColor);
+                // Combining only highlighters produces a highlighter (which uses the color/width of the first Ink, if there's no className)
+                if (isAllHighlighters)
+                {
+                    newInk.RenderMode(InkRenderMode.Highlighter).StrokeColor(inksToCombine[0].StrokeColor()).StrokeWidth(inksToCombine[0].StrokeWidth());
+                }
+                newInk.Decoration(inksToCombine[0].Decoration());
+
+                // Note: When the inkPath matches the hull its lines no longer correspond to the original Inks, so the combined Ink can't be split back into them
+                newInk.setHullAndPath(hullPath, inkPath, hullPoints, makeInkPathMatchHull ? null : constituents); // Port: Added
+                newInk.applyHighlighter();
+                newInk.applyDecoration();
 
-            newInk.setHullAndPath(hullPath, inkPath, hullPoints); // Port: Added
+                // If needed, ensure re-creation of the resize gesture
+                if (resizeGesturePointerType)
+                {
+                    newInk.ResizeWith(resizeGesturePointerType);
+                    newInk.OnResizeCompleteHandler(onResizeCompleteHandler);
+                }
 
-            // If needed, ensure re-creation of the resize gesture
-            if (resizeGesturePointerType)
+                this._ink = newInk;
+                MIL._inks.push(newInk); // Note: Must be explicitly removed via Ink.Delete()
+                svgInfo.spatialIndex.Update(newInk);
+
+                recordInkAdded(newInk);
+            }
+            finally
             {
-                newInk.ResizeWith(resizeGesturePointerType);
-                newInk.OnResizeCompleteHandler(onResizeCompleteHandler);
+                svgInfo.history.EndTransaction();
             }
-
-            this._ink = newInk;
-            MIL._inks.push(newInk); // Note: Must be explicitly removed via Ink.Delete()
+            raiseInkChanged(svgInfo, newInk, { type: InkChangeType.Combined, combinedInks: inksToCombine });
 
             log(allPathPointArrays.length + " Ink paths combined by gesture '" + this.Name() + "'");
 
@@ -0,0 +1,673 @@
+﻿// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT license.
+
+namespace MIL
+{
+    // Type aliases
+    /** Type of an undoable command, as recorded by a CommandHistory (see CommandHistory.Record()). */
+    export type HistoryCommand =
+    {
+        /** The name of the command (eg. "DeleteInk"). */
+        name: string,
+        /** Reverts the changes made by the command. */
+        undo: () => void,
+        /** Re-applies the changes made by the command (after they've been reverted by undo()). */
+        redo: () => void
+    };
+
+    /**
+     * Type of an event handler (callback) invoked when a CommandHistory changes. When the handler is invoked, 'this' will be set to the CommandHistory instance.
+     * 'restoredInks' are the Inks (if any) that were re-created by an Undo() or Redo(). Because re-created Inks are new Ink instances (with the same InkID),
+     * the handler is where an app should re-add any Gestures (eg. a drag Gesture) that it had added to the original Inks.
+     */
+    export type HistoryChangedEventHandler = (changeType: HistoryChangeType, commandName: string, restoredInks: Ink[]) => void;
+
+    /** The type of change made to a CommandHistory. */
+    export enum HistoryChangeType
+    {
+        /** A command was recorded. */
+        Record = 0,
+        /** A command was undone. */
+        Undo = 1,
+        /** A command was redone. */
+        Redo = 2,
+        /** The history was cleared. */
+        Clear = 3
+    }
+
+    /**
+     * [Internal] The Class/StrokeColor/StrokeWidth of an Ink (see Ink.Restyle()).
+     * @internal
+     */
+    export type InkStyle = { className: string, strokeColor: string, strokeWidth: string };
+
+    /** [Private Type] An Ink that has been deleted, with the information needed to re-create it. */
+    type DeletedInk = { serializedInk: SerializedInk, gDomElement: SVGGElement, nextInkID: string | null };
+
+    /**
+     * The CommandHistory class. Each <svg> (see MIL.Initialize()) has its own CommandHistory (see MIL.History()) which automatically records
+     * these operations as undoable commands: Ink creation (by a Gesture, or by MIL.DeserializeInks()/ImportSvgPaths()/ImportInkML()), Ink.Delete(),
+     * Gesture.CombineInks(), Ink drags (Ink.DragStart()/DragEnd()), Ink resizes and rotations (Ink.Scale()/Rotation(), and the Ink.ResizeWith() Gesture), Ink.Restyle(), Ink.Redecorate() and RulerControl moves/rotations/resizes.
+     * Note: An Ink is only recorded once it's complete, so cancelling an Ink (see Ink.Cancel()) leaves no trace in the history.
+     */
+    export class CommandHistory
+    {
+        private _undoStack: HistoryCommand[];
+        private _redoStack: HistoryCommand[];
+        private _capacity: number;
+        private _isEnabled: boolean;
+        private _onChangedHandler: HistoryChangedEventHandler;
+        private _transactionName: string;
+        private _transactionDepth: number; // Transactions can be nested, but only the outermost transaction is recorded
+        private _transactionCommands: HistoryCommand[]; // The commands recorded so far in the [outermost] transaction
+        private _isApplying: boolean; // Whether a command is being undone/redone [in which case the operations it performs are not recorded]
+        private _restoredInks: Ink[]; // The Inks re-created by the command being undone/redone
+
+        constructor()
+        {
+            this._undoStack = [];
+            this._redoStack = [];
+            this._capacity = 100;
+            this._isEnabled = true;
+            this._onChangedHandler = null;
+            this._transactionName = null;
+            this._transactionDepth = 0;
+            this._transactionCommands = [];
+            this._isApplying = false;
+            this._restoredInks = [];
+        }
+
+        /**
+         * [Chainable Property] The maximum number of commands that can be undone (default is 100). When exceeded, the oldest commands are discarded.
+         * @param {number} capacity The maximum number of commands (must be an integer >= 0).
+         * @returns {this | number} Either the property value (if getting), or the CommandHistory instance (if setting).
+         */
+        Capacity(capacity: number): this;
+        Capacity(): number;
+        Capacity(capacity?: number): this | number
+        {
+            if (capacity === undefined)
+            {
+                return (this._capacity);
+            }
+            else
+            {
+                if ((capacity < 0) || (Math.floor(capacity) !== capacity))
+                {
+                    throw new MILException("Capacity (" + capacity + ") must be an integer greater than or equal to 0");
+                }
+                this._capacity = capacity;
+                this.trimUndoStack();
+                return (this);
+            }
+        }
+
+        /**
+         * [Chainable Property] Whether operations are recorded (default is true). Disabling recording does not clear the existing history.
+         * @param {boolean} enable Flag.
+         * @returns {this | boolean} Either the property value (if getting), or the CommandHistory instance (if setting).
+         */
+        IsEnabled(enable: boolean): this;
+        IsEnabled(): boolean;
+        IsEnabled(enable?: boolean): this | boolean
+        {
+            return (getOrSetProperty(this, nameof(() => this._isEnabled), enable));
+        }
+
+        /**
+         * [Chainable Property] The callback to invoke when a command is recorded, undone or redone, or when the history is cleared.
+         * @param {HistoryChangedEventHandler} handler The callback to invoke.
+         * @returns {this | HistoryChangedEventHandler} Either the property value (if getting), or the CommandHistory instance (if setting).
+         */
+        OnChangedHandler(handler: HistoryChangedEventHandler): this;
+        OnChangedHandler(): HistoryChangedEventHandler;
+        OnChangedHandler(handler?: HistoryChangedEventHandler): this | HistoryChangedEventHandler
+        {
+            return (getOrSetProperty(this, nameof(() => this._onChangedHandler), handler));
+        }
+
+        /**
+         * [ReadOnly Property] Returns true if there is a command that can be undone.
+         * @returns {boolean} Result.
+         */
+        CanUndo(): boolean
+        {
+            readOnlyProperty("CanUndo", arguments);
+            return (this._undoStack.length > 0);
+        }
+
+        /**
+         * [ReadOnly Property] Returns true if there is a command that can be redone.
+         * @returns {boolean} Result.
+         */
+        CanRedo(): boolean
+        {
+            readOnlyProperty("CanRedo", arguments);
+            return (this._redoStack.length > 0);
+        }
+
+        /**
+         * [ReadOnly Property] Returns the name of the command that Undo() will revert, or null if there is no such command.
+         * @returns {string | null} Result.
+         */
+        UndoName(): string | null
+        {
+            readOnlyProperty("UndoName", arguments);
+            return ((this._undoStack.length > 0) ? this._undoStack[this._undoStack.length - 1].name : null);
+        }
+
+        /**
+         * [ReadOnly Property] Returns the name of the command that Redo() will re-apply, or null if there is no such command.
+         * @returns {string | null} Result.
+         */
+        RedoName(): string | null
+        {
+            readOnlyProperty("RedoName", arguments);
+            return ((this._redoStack.length > 0) ? this._redoStack[this._redoStack.length - 1].name : null);
+        }
+
+        /**
+         * Records a command (whose changes have already been made) so that it can be undone. Clears any commands that could have been redone.
+         * Apps can use this to add their own operations to the history. The command is ignored if recording is disabled (see IsEnabled()),
+         * or if it's made while another command is being undone/redone.
+         * @param {HistoryCommand} command The command to record.
+         * @returns {CommandHistory} The CommandHistory instance.
+         */
+        Record(command: HistoryCommand): this
+        {
+            if (!command || !command.name || (typeof command.undo !== "function") || (typeof command.redo !== "function"))
+            {
+                throw new MILException("The supplied command must have a 'name', and 'undo' and 'redo' functions");
+            }
+
+            if (!this._isEnabled || this._isApplying)
+            {
+                return (this);
+            }
+
+            if (this._transactionDepth > 0)
+            {
+                this._transactionCommands.push(command);
+                return (this);
+            }
+
+            this._undoStack.push(command);
+            this._redoStack.length = 0;
+            this.trimUndoStack();
+            this.raiseChanged(HistoryChangeType.Record, command.name);
+            return (this);
+        }
+
+        /**
+         * Starts a transaction: until the matching EndTransaction(), all recorded commands are grouped into a single command (with the specified name)
+         * that is undone/redone as a unit. Transactions can be nested, in which case the outermost transaction determines the name.
+         * @param {string} name The name of the [grouped] command.
+         * @returns {CommandHistory} The CommandHistory instance.
+         */
+        BeginTransaction(name: string): this
+        {
+            if (this._transactionDepth++ === 0)
+            {
+                this._transactionName = name;
+                this._transactionCommands = [];
+            }
+            return (this);
+        }
+
+        /**
+         * Ends a transaction started with BeginTransaction(). When the outermost transaction ends, the commands recorded during it (if any) are recorded as a single command.
+         * @returns {CommandHistory} The CommandHistory instance.
+         */
+        EndTransaction(): this
+        {
+            if (this._transactionDepth === 0)
+            {
+                throw new MILException("EndTransaction() was called without a matching BeginTransaction()");
+            }
+
+            if (--this._transactionDepth === 0)
+            {
+                let commands: HistoryCommand[] = this._transactionCommands;
+
+                this._transactionCommands = [];
+
+                if (commands.length === 1)
+                {
+                    this.Record({ name: this._transactionName, undo: commands[0].undo, redo: commands[0].redo });
+                }
+                else
+                {
+                    if (commands.length > 1)
+                    {
+                        this.Record({
+                            name: this._transactionName,
+                            undo: function () { for (let i = commands.length - 1; i >= 0; i--) { commands[i].undo(); } },
+                            redo: function () { for (let i = 0; i < commands.length; i++) { commands[i].redo(); } }
+                        });
+                    }
+                }
+                this._transactionName = null;
+            }
+            return (this);
+        }
+
+        /**
+         * Reverts the most recently recorded [or redone] command. Returns true if a command was undone, or false if there was nothing to undo.
+         * @returns {boolean} Result.
+         */
+        Undo(): boolean
+        {
+            this.checkCanApply("Undo");
+
+            if (this._undoStack.length === 0)
+            {
+                return (false);
+            }
+
+            let command: HistoryCommand = this._undoStack.pop();
+
+            this.apply(command.undo);
+            this._redoStack.push(command);
+            log("Undo: " + command.name);
+            this.raiseChanged(HistoryChangeType.Undo, command.name);
+            return (true);
+        }
+
+        /**
+         * Re-applies the most recently undone command. Returns true if a command was redone, or false if there was nothing to redo.
+         * @returns {boolean} Result.
+         */
+        Redo(): boolean
+        {
+            this.checkCanApply("Redo");
+
+            if (this._redoStack.length === 0)
+            {
+                return (false);
+            }
+
+            let command: HistoryCommand = this._redoStack.pop();
+
+            this.apply(command.redo);
+            this._undoStack.push(command);
+            log("Redo: " + command.name);
+            this.raiseChanged(HistoryChangeType.Redo, command.name);
+            return (true);
+        }
+
+        /** Discards all recorded commands (and abandons any in-progress transaction). */
+        Clear(): void
+        {
+            this._undoStack.length = 0;
+            this._redoStack.length = 0;
+            this._transactionName = null;
+            this._transactionDepth = 0;
+            this._transactionCommands = [];
+            this.raiseChanged(HistoryChangeType.Clear, null);
+        }
+
+        /**
+         * [Internal] Returns true if an operation performed now would be recorded. Used to avoid the cost of preparing a command that would be ignored.
+         * @returns {boolean} Result.
+         * @internal
+         */
+        isRecording(): boolean
+        {
+            return (this._isEnabled && !this._isApplying);
+        }
+
+        /**
+         * [Internal] Notes that the supplied Ink was re-created by the command being undone/redone (so that it can be reported to the OnChangedHandler()).
+         * @param {Ink} ink The re-created Ink.
+         * @internal
+         */
+        inkRestored(ink: Ink): void
+        {
+            this._restoredInks.push(ink);
+        }
+
+        /**
+         * [Private Method] Throws if Undo() or Redo() cannot be called at this time.
+         * @param {string} methodName The name of the calling method.
+         */
+        private checkCanApply(methodName: string): void
+        {
+            if (this._isApplying)
+            {
+                throw new MILException(methodName + "() cannot be called while another command is being undone/redone");
+            }
+
+            if (this._transactionDepth > 0)
+            {
+                throw new MILException(methodName + "() cannot be called while a transaction (" + this._transactionName + ") is in progress");
+            }
+
+            if (IsInkDragInProgress())
+            {
+                throw new MILException(methodName + "() cannot be called while an Ink is being dragged");
+            }
+        }
+
+        /**
+         * [Private Method] Calls the supplied undo/redo function of a command, without recording the operations it performs.
+         * @param {() => void} undoOrRedo The function to call.
+         */
+        private apply(undoOrRedo: () => void): void
+        {
+            this._isApplying = true;
+            this._restoredInks = [];
+
+            try
+            {
+                undoOrRedo();
+            }
+            finally
+            {
+                this._isApplying = false;
+            }
+        }
+
+        /** [Private Method] Discards the oldest commands that exceed the Capacity(). */
+        private trimUndoStack(): void
+        {
+            if (this._undoStack.length > this._capacity)
+            {
+                this._undoStack.splice(0, this._undoStack.length - this._capacity);
+            }
+        }
+
+        /**
+         * [Private Method] Invokes the OnChangedHandler() (if any).
+         * @param {HistoryChangeType} changeType The type of change.
+         * @param {string} commandName The name of the affected command (null for HistoryChangeType.Clear).
+         */
+        private raiseChanged(changeType: HistoryChangeType, commandName: string): void
+        {
+            let restoredInks: Ink[] = ((changeType === HistoryChangeType.Undo) || (changeType === HistoryChangeType.Redo)) ? this._restoredInks : [];
+
+            this._restoredInks = [];
+
+            if (this._onChangedHandler !== null)
+            {
+                this._onChangedHandler.call(this, changeType, commandName, restoredInks);
+            }
+        }
+    }
+
+    /**
+     * [Internal] Returns the CommandHistory of the <svg> that contains the specified element, or null if the <svg> has not been initialized (with MIL.Initialize()).
+     * @param {TargetDomElement} targetElement An element in an <svg>.
+     * @returns {CommandHistory | null} Result.
+     * @internal
+     */
+    export function getHistory(targetElement: TargetDomElement): CommandHistory | null
+    {
+        let svgInfo: SVGInfo = getSvgInfo(targetElement);
+        return (svgInfo ? svgInfo.history : null);
+    }
+
+    /**
+     * [Internal] Records the creation of the supplied [complete] Ink.
+     * @param {Ink} ink The new Ink.
+     * @internal
+     */
+    export function recordInkAdded(ink: Ink): void
+    {
+        let history: CommandHistory = getHistory(ink.Path());
+
+        if (history && history.isRecording())
+        {
+            let inkID: string = ink.InkID();
+            let deletedInk: DeletedInk = null;
+
+            history.Record({
+                name: "AddInk",
+                undo: function () { deletedInk = deleteInkByID(inkID); },
+                redo: function () { restoreInk(history, deletedInk); }
+            });
+        }
+    }
+
+    /**
+     * [Internal] Records the deletion of the supplied Ink. Must be called BEFORE the Ink is deleted.
+     * @param {Ink} ink The Ink about to be deleted.
+     * @internal
+     */
+    export function recordInkDeleted(ink: Ink): void
+    {
+        let history: CommandHistory = getHistory(ink.Path());
+
+        if (history && history.isRecording())
+        {
+            let inkID: string = ink.InkID();
+            let deletedInk: DeletedInk = getDeletedInk(ink);
+
+            history.Record({
+                name: "DeleteInk",
+                undo: function () { restoreInk(history, deletedInk); },
+                redo: function () { deletedInk = deleteInkByID(inkID); }
+            });
+        }
+    }
+
+    /**
+     * [Internal] Records the [completed] translation of the supplied Inks.
+     * @param {Ink[]} inks The Inks that were translated.
+     * @param {number} deltaX The number of pixels the Inks were translated by on the x-axis.
+     * @param {number} deltaY The number of pixels the Inks were translated by on the y-axis.
+     * @internal
+     */
+    export function recordInksTranslated(inks: Ink[], deltaX: number, deltaY: number): void
+    {
+        let history: CommandHistory = (inks.length > 0) ? getHistory(inks[0].Path()) : null;
+
+        if (history && history.isRecording() && ((deltaX !== 0) || (deltaY !== 0)))
+        {
+            let inkIDs: string[] = inks.map(function (ink: Ink) { return (ink.InkID()); });
+            let translateInks = function (dx: number, dy: number): void
+            {
+                inkIDs.forEach(function (inkID: string) { getExistingInk(inkID).translate(dx, dy); });
+            };
+
+            history.Record({
+                name: "DragInk",
+                undo: function () { translateInks(-deltaX, -deltaY); },
+                redo: function () { translateInks(deltaX, deltaY); }
+            });
+        }
+    }
+
+    /**
+     * [Internal] Records the [completed] re-scaling of the supplied Ink (see Ink.Scale()).
+     * @param {Ink} ink The Ink that was re-scaled.
+     * @param {number} oldScale The scale of the Ink before it was re-scaled.
+     * @param {number} newScale The scale of the Ink after it was re-scaled.
+     * @param {number} strokeWidth How thick the Ink's line is (in pixels).
+     * @internal
+     */
+    export function recordInkScaled(ink: Ink, oldScale: number, newScale: number, strokeWidth: number): void
+    {
+        let history: CommandHistory = getHistory(ink.Path());
+
+        if (history && history.isRecording() && (oldScale !== newScale))
+        {
+            let inkID: string = ink.InkID();
+
+            history.Record({
+                name: "ScaleInk",
+                undo: function () { getExistingInk(inkID).Scale(oldScale, newScale, strokeWidth, false); },
+                redo: function () { getExistingInk(inkID).Scale(newScale, oldScale, strokeWidth, false); }
+            });
+        }
+    }
+
+    /**
+     * [Internal] Records the rotation of the supplied Ink (see Ink.Rotation()).
+     * @param {Ink} ink The Ink that was rotated.
+     * @param {number} oldRotation The rotation of the Ink before it was rotated.
+     * @param {number} newRotation The rotation of the Ink after it was rotated.
+     * @param {Point} pivot The point the Ink was rotated around.
+     * @internal
+     */
+    export function recordInkRotated(ink: Ink, oldRotation: number, newRotation: number, pivot: Point): void
+    {
+        let history: CommandHistory = getHistory(ink.Path());
+
+        if (history && history.isRecording() && (oldRotation !== newRotation))
+        {
+            let inkID: string = ink.InkID();
+
+            history.Record({
+                name: "RotateInk",
+                undo: function () { getExistingInk(inkID).Rotation(oldRotation, pivot); },
+                redo: function () { getExistingInk(inkID).Rotation(newRotation, pivot); }
+            });
+        }
+    }
+
+    /**
+     * [Internal] Records the stretching of the supplied Ink (see Ink.stretch()).
+     * @param {Ink} ink The Ink that was stretched.
+     * @param {number} scaleX The factor the Ink was scaled by on the x-axis.
+     * @param {number} scaleY The factor the Ink was scaled by on the y-axis.
+     * @param {Point} origin The point that remained fixed.
+     * @internal
+     */
+    export function recordInkStretched(ink: Ink, scaleX: number, scaleY: number, origin: Point): void
+    {
+        let history: CommandHistory = getHistory(ink.Path());
+
+        if (history && history.isRecording() && ((scaleX !== 1) || (scaleY !== 1)))
+        {
+            let inkID: string = ink.InkID();
+
+            history.Record({
+                name: "StretchInk",
+                undo: function () { getExistingInk(inkID).stretch(1 / scaleX, 1 / scaleY, origin); },
+                redo: function () { getExistingInk(inkID).stretch(scaleX, scaleY, origin); }
+            });
+        }
+    }
+
+    /**
+     * [Internal] Records the re-styling of the supplied Ink (see Ink.Restyle()).
+     * @param {Ink} ink The Ink that was re-styled.
+     * @param {InkStyle} oldStyle The style of the Ink before it was re-styled.
+     * @param {InkStyle} newStyle The style of the Ink after it was re-styled.
+     * @internal
+     */
+    export function recordInkRestyled(ink: Ink, oldStyle: InkStyle, newStyle: InkStyle): void
+    {
+        let history: CommandHistory = getHistory(ink.Path());
+
+        if (history && history.isRecording())
+        {
+            let inkID: string = ink.InkID();
+
+            history.Record({
+                name: "RestyleInk",
+                undo: function () { getExistingInk(inkID).Restyle(oldStyle.className, oldStyle.strokeColor, oldStyle.strokeWidth); },
+                redo: function () { getExistingInk(inkID).Restyle(newStyle.className, newStyle.strokeColor, newStyle.strokeWidth); }
+            });
+        }
+    }
+
+    /**
+     * [Internal] Records the re-decoration of the supplied Ink (see Ink.Redecorate()).
+     * @param {Ink} ink The Ink that was re-decorated.
+     * @param {InkDecoration} oldDecoration The decoration of the Ink before it was re-decorated.
+     * @param {InkDecoration} newDecoration The decoration of the Ink after it was re-decorated.
+     * @internal
+     */
+    export function recordInkRedecorated(ink: Ink, oldDecoration: InkDecoration, newDecoration: InkDecoration): void
+    {
+        let history: CommandHistory = getHistory(ink.Path());
+
+        if (history && history.isRecording())
+        {
+            let inkID: string = ink.InkID();
+
+            history.Record({
+                name: "RedecorateInk",
+                undo: function () { getExistingInk(inkID).Redecorate(oldDecoration); },
+                redo: function () { getExistingInk(inkID).Redecorate(newDecoration); }
+            });
+        }
+    }
+
+    /**
+     * [Private Method] Returns the Ink with the specified ID, throwing if it no longer exists [ie. if it was changed outside of the CommandHistory].
+     * @param {string} inkID The ID of the Ink.
+     * @returns {Ink} Result.
+     */
+    function getExistingInk(inkID: string): Ink
+    {
+        let ink: Ink = GetInkByID(inkID);
+
+        if (ink === null)
+        {
+            throw new MILException("Ink '" + inkID + "' no longer exists, so the command cannot be undone/redone");
+        }
+        return (ink);
+    }
+
+    /**
+     * [Private Method] Returns the information needed to re-create the supplied Ink (in the same z-order) after it's deleted.
+     * @param {Ink} ink An Ink.
+     * @returns {DeletedInk} Result.
+     */
+    function getDeletedInk(ink: Ink): DeletedInk
+    {
+        let pathDomElement: DomElement = ink.Path().node();
+        let nextInkID: string = null;
+
+        // Find the Ink path above the Ink in z-order (if any)
+        // Note: We use nextSibling because IE11 doesn't support nextElementSibling on SVG elements
+        for (let node: Node = pathDomElement.nextSibling; (node !== null) && (nextInkID === null); node = node.nextSibling)
+        {
+            if ((node instanceof SVGPathElement) && node.classList.contains("MILInkPath"))
+            {
+                let nextInk: Ink = GetInkByElement(node);
+                nextInkID = nextInk ? nextInk.InkID() : null;
+            }
+        }
+
+        return ({ serializedInk: ink.serialize(), gDomElement: pathDomElement.parentNode as SVGGElement, nextInkID: nextInkID });
+    }
+
+    /**
+     * [Private Method] Deletes the Ink with the specified ID, returning the information needed to re-create it.
+     * @param {string} inkID The ID of the Ink.
+     * @returns {DeletedInk} Result.
+     */
+    function deleteInkByID(inkID: string): DeletedInk
+    {
+        let ink: Ink = getExistingInk(inkID);
+        let deletedInk: DeletedInk = getDeletedInk(ink);
+
+        ink.Delete();
+        return (deletedInk);
+    }
+
+    /**
+     * [Private Method] Re-creates a deleted Ink (with its original ID and z-order).
+     * @param {CommandHistory} history The CommandHistory that is re-creating the Ink.
+     * @param {DeletedInk} deletedInk The deleted Ink.
+     */
+    function restoreInk(history: CommandHistory, deletedInk: DeletedInk): void
+    {
+        let ink: Ink = new Ink(null).rehydrate(deletedInk.gDomElement, deletedInk.serializedInk);
+        let nextInk: Ink = (deletedInk.nextInkID !== null) ? GetInkByID(deletedInk.nextInkID) : null;
+
+        if ((nextInk !== null) && (nextInk.Path().node().parentNode === deletedInk.gDomElement))
+        {
+            deletedInk.gDomElement.insertBefore(ink.Path().node(), nextInk.Path().node());
+            if (ink.HullPath() !== null)
+            {
+                deletedInk.gDomElement.insertBefore(ink.HullPath().node(), nextInk.Path().node());
+            }
+        }
+
+        history.inkRestored(ink);
+    }
+}
@@ -10,6 +10,112 @@ namespace MIL
     /** Type of an Ink event handler (callback). When the handler is invoked, 'this' will be set to the Ink instance. */
     export type InkEventHandler = () => void;
 
+    /** 
+     * Type of an event handler (callback) invoked when an Ink is erased (see MILSettings.InkEraserMode()). When the handler is invoked, 'this' will be set to the eraser Ink instance.
+     * The erased Ink will have been deleted, and 'newInks' are the Inks (if any) that replace it [ie. the parts of the erased Ink that remain].
+     */
+    export type InkErasedEventHandler = (erasedInk: Ink, newInks: Ink[]) => void;
+
+    /** 
+     * Type of an event handler (callback) invoked when an Ink is changed (see MILSettings.OnInkChangedHandler()). When the handler is invoked, 'this' will be set to the changed Ink instance.
+     * The handler is also invoked for changes made by an undo/redo (see MIL.History()), so it can be used to keep a copy of the Inks (eg. for autosave or sync) up-to-date.
+     */
+    export type InkChangedEventHandler = (ink: Ink, change: InkChange) => void;
+
+    /** A description of a change to an Ink, as supplied to an InkChangedEventHandler. Only the members that apply to the 'type' of change are set. */
+    export type InkChange =
+    {
+        type: InkChangeType,
+        /** [InkChangeType.PointAdded] The point that was added, in the coordinate space of the root <g> element (see MIL.Initialize()). */
+        point?: Point,
+        /** [InkChangeType.Deleted] The Gestures that targeted the Ink (or its Hull) and were removed when it was deleted. */
+        removedGestures?: Gesture[],
+        /** [InkChangeType.Combined] The [deleted] Inks that were combined to create the Ink. */
+        combinedInks?: Ink[],
+        /** [InkChangeType.Dragged] The number of pixels the Ink was moved by on the x-axis. */
+        deltaX?: number,
+        /** [InkChangeType.Dragged] The number of pixels the Ink was moved by on the y-axis. */
+        deltaY?: number,
+        /** [InkChangeType.Resized] The factor the Ink was resized by on the x-axis. */
+        scaleX?: number,
+        /** [InkChangeType.Resized] The factor the Ink was resized by on the y-axis. */
+        scaleY?: number,
+        /** [InkChangeType.Rotated] The number of degrees (clockwise) the Ink was rotated by. */
+        angle?: number,
+        /** [InkChangeType.Beautified] The shape the Ink was beautified as. */
+        shapeID?: ShapeID
+    };
+
+    /** 
+     * Type of a sample (point) in an Ink, as returned by Ink.Samples(). The x/y values are in the coordinate space of the root <g> element (see MIL.Initialize()).
+     * The other values are from the PointerEvent that produced the sample, and will be null if they were not captured (eg. for a beautified Ink, see Ink.Beautify()).
+     */
+    export type InkSample =
+    {
+        x: number,
+        y: number,
+        /** The time (in milliseconds since 1/1/1970) the sample was captured. */
+        timestamp: number | null,
+        /** The pressure (0..1) of the pointer. See PointerEvent.pressure. */
+        pressure: number | null,
+        /** The tilt (-90..90 degrees) of the pen along the x-axis. See PointerEvent.tiltX. */
+        tiltX: number | null,
+        /** The tilt (-90..90 degrees) of the pen along the y-axis. See PointerEvent.tiltY. */
+        tiltY: number | null,
+        /** The clockwise rotation (0..359 degrees) of the pen around its own major axis. See PointerEvent.twist. */
+        twist: number | null,
+        /** The width (in CSS pixels) of the contact geometry of the pointer (eg. a finger). See PointerEvent.width. */
+        width: number | null,
+        /** The height (in CSS pixels) of the contact geometry of the pointer (eg. a finger). See PointerEvent.height. */
+        height: number | null
+    };
+
+    /** Type of the options that control how an Ink is drawn when its RenderMode() is InkRenderMode.VariableWidth. See Ink.VariableWidthOptions(). */
+    export type InkVariableWidthOptions =
+    {
+        /** How much the pressure (or velocity) affects the width of the Ink (0..1). 0 means a constant width; 1 means the width can range from 0 to twice the Ink's StrokeWidth(). */
+        thinning: number,
+        /** How much the changes in pressure (or velocity) between successive points are smoothed (0..1). 0 means no smoothing. */
+        smoothing: number,
+        /** The distance (in pixels) over which the start of the Ink tapers [from zero width]. 0 means no taper. */
+        taperStart: number,
+        /** The distance (in pixels) over which the end of the Ink tapers [to zero width]. 0 means no taper. */
+        taperEnd: number
+    };
+
+    /** Type of the decoration options of an Ink, which control how its line is drawn in addition to its Class/StrokeColor/StrokeWidth. See Ink.Decoration() and Ink.Redecorate(). */
+    export type InkDecoration =
+    {
+        /** The 'stroke-dasharray' of the line (eg. "8 4"). An empty string means the line is solid. Ignored for a variable-width Ink (see InkRenderMode.VariableWidth). */
+        dashArray: string,
+        /** The arrowhead drawn at the start of the line. Arrowheads are sized relative to the stroke-width, and grow and shrink with Ink.Scale(). Ignored for a variable-width Ink. */
+        startArrowhead: InkArrowhead,
+        /** The arrowhead drawn at the end of the line. Ignored for a variable-width Ink. */
+        endArrowhead: InkArrowhead,
+        /** The 'stroke-linecap' of the line ("butt", "round" or "square"). An empty string means the cap comes from the Ink's Class() (or is the SVG default). */
+        lineCap: string,
+        /** The 'stroke-linejoin' of the line ("miter", "round" or "bevel"). An empty string means the join comes from the Ink's Class() (or is the SVG default). */
+        lineJoin: string,
+        /** The color used to fill the Ink when its path is closed (see Ink.IsAutoClose()). An empty string means the Ink is not filled. Ignored for a variable-width Ink. */
+        fill: string
+    };
+
+    /** Type of the options that control how the pointer positions are smoothed while an Ink is being drawn. See Ink.SmoothingOptions(). */
+    export type InkSmoothingOptions =
+    {
+        /** The type of smoothing to apply. */
+        mode: InkSmoothingMode,
+        /** The number of [most recent] pointer positions that are averaged (must be an integer >= 1). Only applies to InkSmoothingMode.MovingAverage. */
+        windowSize: number,
+        /** The minimum cutoff frequency (in Hz, > 0). Lower values reduce jitter at slow speeds, but increase lag. Only applies to InkSmoothingMode.OneEuro. */
+        minCutoff: number,
+        /** How much the cutoff frequency increases with speed (>= 0). Higher values reduce lag at high speeds. Only applies to InkSmoothingMode.OneEuro. */
+        beta: number
+    };
+
+    /** Type of the [non-positional] channels of an InkSample. These are stored separately from the Ink's path-points so that they're unaffected by the Ink being moved or resized. */
+    export type InkSampleChannels = { timestamp: number, pressure: number, tiltX: number, tiltY: number, twist: number, width: number, height: number };
+
     let _nextInkID: number = 1; // Used to assign ID's to Ink objects
     
     /** 
@@ -26,7 +132,609 @@ namespace MIL
      */
     export let _inkCompletePathPointData: { [pointerID: string]: Point[] } = {}; // Key: PointerID, Value: Cumulative array of unique points in all paths
 
-    let _inkLineGenerator: d3.Line<Point> = null; // d3 line generator
+    /** 
+     * [Internal] The sample channels (pressure, tilt, etc.) for each point in _inkCompletePathPointData.
+     * @internal
+     */
+    export let _inkCompletePathSampleData: { [pointerID: string]: InkSampleChannels[] } = {}; // Key: PointerID, Value: Cumulative array of sample channels (one per point in _inkCompletePathPointData)
+
+    let _inkLineGenerators: { [curve: number]: d3.Line<Point> } = {}; // Key: InkCurve, Value: d3 line generator (created on first use)
+
+    /**
+     * [Internal] Returns the path data ('d') for the supplied points, which will be either curved (using the specified curve) or linear.
+     * @param {Point[]} pathPoints The points of the line.
+     * @param {boolean} isLinear Whether the points should be joined by straight lines (rather than by a curve), eg. for a beautified shape.
+     * @param {InkCurve} [curve] [Optional] The curve to use when isLinear is false. Defaults to InkCurve.Basis.
+     * @returns {string} Result.
+     * @internal
+     */
+    export function getInkLinePathData(pathPoints: Point[], isLinear: boolean, curve: InkCurve = InkCurve.Basis): string
+    {
+        let lineCurve: InkCurve = isLinear ? InkCurve.Linear : curve;
+
+        if (_inkLineGenerators[lineCurve] === undefined)
+        {
+            _inkLineGenerators[lineCurve] = d3.line<Point>()
+                .curve(getCurveFactory(lineCurve))
+                .x(function (d) { return (d.x); })
+                .y(function (d) { return (d.y); });
+        }
+
+        return (_inkLineGenerators[lineCurve](pathPoints));
+    }
+
+    /**
+     * [Private Method] Returns the d3 curve factory for the specified InkCurve.
+     * @param {InkCurve} curve The curve to get the factory for.
+     * @returns {d3.CurveFactory} Result.
+     */
+    function getCurveFactory(curve: InkCurve): d3.CurveFactory
+    {
+        switch (curve)
+        {
+            case InkCurve.Basis:
+                return (d3.curveBasis); // See http://bl.ocks.org/mbostock/4342190
+            case InkCurve.CatmullRom:
+                return (d3.curveCatmullRom);
+            case InkCurve.Monotone:
+                return (d3.curveMonotoneX);
+            default:
+                return (d3.curveLinear);
+        }
+    }
+
+    /** The number of straight segments that each cubic Bézier segment of a curved Ink line is approximated by (see getInkLineCurvePoints()). */
+    const CURVE_FLATTENING_SEGMENT_COUNT: number = 8;
+
+    /**
+     * [Private Method] Returns the points of a polyline that closely follows the line drawn by getInkLinePathData() for the supplied points (which,
+     * for a curved line, doesn't necessarily pass through the points themselves).
+     * @param {Point[]} pathPoints The points of the line.
+     * @param {boolean} isLinear Whether the points are joined by straight lines (rather than by a curve).
+     * @param {InkCurve} curve The curve used when isLinear is false.
+     * @returns {Point[]} Result.
+     */
+    function getInkLineCurvePoints(pathPoints: Point[], isLinear: boolean, curve: InkCurve): Point[]
+    {
+        let curvePoints: Point[] = [];
+        let currentPoint: Point = null;
+        let addPoint = function (x: number, y: number): void
+        {
+            currentPoint = { x: x, y: y };
+            curvePoints.push(currentPoint);
+        };
+
+        // Rather than parsing the path data, we have the d3 line generator "draw" the curve into a context that records it as a polyline
+        let flatteningContext = {
+            moveTo: addPoint,
+            lineTo: addPoint,
+            bezierCurveTo: function (x1: number, y1: number, x2: number, y2: number, x: number, y: number): void
+            {
+                let startPoint: Point = currentPoint;
+
+                for (let s = 1; s <= CURVE_FLATTENING_SEGMENT_COUNT; s++)
+                {
+                    let t: number = s / CURVE_FLATTENING_SEGMENT_COUNT;
+                    let mt: number = 1 - t;
+                    addPoint((mt * mt * mt * startPoint.x) + (3 * mt * mt * t * x1) + (3 * mt * t * t * x2) + (t * t * t * x),
+                        (mt * mt * mt * startPoint.y) + (3 * mt * mt * t * y1) + (3 * mt * t * t * y2) + (t * t * t * y));
+                }
+            },
+            closePath: function (): void
+            {
+                if (curvePoints.length > 0)
+                {
+                    addPoint(curvePoints[0].x, curvePoints[0].y);
+                }
+            }
+        };
+
+        d3.line<Point>()
+            .curve(getCurveFactory(isLinear ? InkCurve.Linear : curve))
+            .x(function (d) { return (d.x); })
+            .y(function (d) { return (d.y); })
+            .context(flatteningContext as unknown as CanvasRenderingContext2D)(pathPoints); // Note: d3 only calls the methods of the context that flatteningContext implements
+
+        return (curvePoints);
+    }
+
+    /**
+     * [Private Method] Returns the sample channels (pressure, tilt, etc.) of the supplied PointerEvent.
+     * @param {PointerEvent} e A PointerEvent.
+     * @returns {InkSampleChannels} Result.
+     */
+    function getSampleChannels(e: PointerEvent): InkSampleChannels
+    {
+        let timestamp: number = ((e as BaseObject).__MILTimeStamp__ !== undefined) ? (e as BaseObject).__MILTimeStamp__ : Date.now(); // e.TimeStamp is not consistent bewteen IE11 and Chrome
+
+        return ({ timestamp: timestamp, pressure: e.pressure, tiltX: e.tiltX || 0, tiltY: e.tiltY || 0, twist: e.twist || 0, width: e.width, height: e.height });
+    }
+
+    /** The cutoff frequency (in Hz) used by the 1€ filter (see InkSmoothingMode.OneEuro) to smooth the pointer velocity. */
+    const ONE_EURO_VELOCITY_CUTOFF: number = 1;
+
+    /** [Private Type] A manipulation of an Ink (relative to its state at the start of the manipulation) by its resize Gesture (see Ink.ResizeWith()). The angle is in degrees, clockwise. */
+    type InkManipulation = { scale: number, angle: number, deltaX: number, deltaY: number };
+
+    /** [Private Type] The state of the input smoothing (see Ink.SmoothingOptions()) of an Ink that's being drawn. */
+    type InkSmoothingState = { recentPoints: Point[], prevPoint: Point, prevVelocity: Point, prevTimestamp: number };
+
+    /**
+     * [Private Method] Returns the smoothed position of the supplied [raw] pointer position, according to the supplied smoothing options. Updates 'state' accordingly.
+     * @param {Point} point The pointer position.
+     * @param {number} timestamp The time of the pointer position (in milliseconds).
+     * @param {InkSmoothingOptions} options The smoothing options.
+     * @param {InkSmoothingState} state The smoothing state of the line being drawn.
+     * @returns {Point} Result.
+     */
+    function smoothPoint(point: Point, timestamp: number, options: InkSmoothingOptions, state: InkSmoothingState): Point
+    {
+        switch (options.mode)
+        {
+            case InkSmoothingMode.MovingAverage:
+                let sumX: number = 0, sumY: number = 0;
+
+                state.recentPoints.push(point);
+                if (state.recentPoints.length > options.windowSize)
+                {
+                    state.recentPoints.shift();
+                }
+
+                state.recentPoints.forEach(function (recentPoint: Point) { sumX += recentPoint.x; sumY += recentPoint.y; });
+                return ({ x: sumX / state.recentPoints.length, y: sumY / state.recentPoints.length });
+
+            case InkSmoothingMode.OneEuro:
+                if (state.prevPoint === null)
+                {
+                    state.prevPoint = point;
+                    state.prevVelocity = { x: 0, y: 0 };
+                    state.prevTimestamp = timestamp;
+                    return (point);
+                }
+
+                // See https://gery.casiez.net/1euro/ (the filter is applied to x and y independently, but with a cutoff based on the [combined] speed)
+                let elapsedTimeInSeconds: number = Math.max(timestamp - state.prevTimestamp, 1) / 1000; // Coalesced events can have the same timestamp
+                let getAlpha = function (cutoffInHz: number): number { return (1 / (1 + (1 / (2 * Math.PI * cutoffInHz)) / elapsedTimeInSeconds)); };
+                let velocityAlpha: number = getAlpha(ONE_EURO_VELOCITY_CUTOFF);
+                let velocity: Point = {
+                    x: state.prevVelocity.x + (velocityAlpha * (((point.x - state.prevPoint.x) / elapsedTimeInSeconds) - state.prevVelocity.x)),
+                    y: state.prevVelocity.y + (velocityAlpha * (((point.y - state.prevPoint.y) / elapsedTimeInSeconds) - state.prevVelocity.y))
+                };
+                let speed: number = Math.sqrt((velocity.x * velocity.x) + (velocity.y * velocity.y));
+                let alpha: number = getAlpha(options.minCutoff + (options.beta * speed));
+                let smoothedPoint: Point = { x: state.prevPoint.x + (alpha * (point.x - state.prevPoint.x)), y: state.prevPoint.y + (alpha * (point.y - state.prevPoint.y)) };
+
+                state.prevPoint = smoothedPoint;
+                state.prevVelocity = velocity;
+                state.prevTimestamp = timestamp;
+                return (smoothedPoint);
+
+            default:
+                return (point);
+        }
+    }
+
+    /** The pointer velocity (in pixels per millisecond) at, or above, which an Ink with InkRenderMode.VariableWidth is drawn with its minimum width [when pen pressure is not available]. */
+    const VARIABLE_WIDTH_MAX_VELOCITY: number = 2;
+
+    /**
+     * [Internal] Returns the path data ('d') for a filled outline of the supplied line, with the line having the specified width at each point (see getVariableWidths()).
+     * @param {Point[]} pathPoints The path-points of the line.
+     * @param {number[]} widths The width (in pixels) of the line at each point in 'pathPoints'.
+     * @param {boolean} isLinear Whether the outline should be drawn with straight lines (rather than a curve).
+     * @param {InkCurve} curve The curve to draw the outline with when isLinear is false.
+     * @returns {string} Result.
+     * @internal
+     */
+    export function getVariableWidthPathData(pathPoints: Point[], widths: number[], isLinear: boolean, curve: InkCurve): string
+    {
+        let leftPoints: Point[] = [];
+        let rightPoints: Point[] = [];
+        let tangentX: number = 1, tangentY: number = 0;
+        let isDot: boolean = true;
+        let arc = function (radius: number, toPoint: Point): string { return (" A" + radius + " " + radius + " 0 0 0 " + toPoint.x + " " + toPoint.y); };
+
+        for (let i = 0; i < pathPoints.length; i++)
+        {
+            let prevPoint: Point = pathPoints[Math.max(0, i - 1)];
+            let nextPoint: Point = pathPoints[Math.min(pathPoints.length - 1, i + 1)];
+            let length: number = Utils.GetDistanceBetweenPoints(prevPoint, nextPoint);
+            let halfWidth: number = widths[i] / 2;
+
+            // Note: If the point has no length (eg. it's a duplicate of its neighbors) we re-use the previous tangent
+            if (length > 0)
+            {
+                tangentX = (nextPoint.x - prevPoint.x) / length;
+                tangentY = (nextPoint.y - prevPoint.y) / length;
+                isDot = false;
+            }
+
+            leftPoints.push({ x: pathPoints[i].x - (tangentY * halfWidth), y: pathPoints[i].y + (tangentX * halfWidth) });
+            rightPoints.push({ x: pathPoints[i].x + (tangentY * halfWidth), y: pathPoints[i].y - (tangentX * halfWidth) });
+        }
+
+        if (isDot)
+        {
+            let radius: number = Math.max(widths[0], 1) / 2;
+            let point: Point = pathPoints[0];
+            return ("M" + (point.x - radius) + " " + point.y + " A" + radius + " " + radius + " 0 1 0 " + (point.x + radius) + " " + point.y +
+                " A" + radius + " " + radius + " 0 1 0 " + (point.x - radius) + " " + point.y + "Z");
+        }
+
+        // Draw the left side, then a [round] cap at the end, then the right side (in reverse), then a [round] cap at the start
+        let lastIndex: number = pathPoints.length - 1;
+        let d: string = getInkLinePathData(leftPoints, isLinear, curve);
+        d += arc(widths[lastIndex] / 2, rightPoints[lastIndex]);
+        d += getInkLinePathData(rightPoints.reverse(), isLinear, curve).replace(/^M/, "L");
+        d += arc(widths[0] / 2, leftPoints[0]) + "Z";
+
+        return (d);
+    }
+
+    /**
+     * [Internal] Returns the width (in pixels) of the supplied line at each of its points, when drawn with InkRenderMode.VariableWidth.
+     * The width is based on the pen pressure if it's available, or on the pointer velocity (if only the timestamps are available), otherwise it's constant.
+     * @param {Point[]} pathPoints The path-points of the line.
+     * @param {InkSampleChannels[] | null} sampleChannels The sample channels for each point in 'pathPoints', or null.
+     * @param {number} strokeWidth The nominal width (in pixels) of the line.
+     * @param {InkVariableWidthOptions} options The options that control how the width varies.
+     * @param {boolean} isComplete Whether the line is complete. The end of the line is only tapered when the line is complete.
+     * @returns {number[]} Result.
+     * @internal
+     */
+    export function getVariableWidths(pathPoints: Point[], sampleChannels: InkSampleChannels[] | null, strokeWidth: number, options: InkVariableWidthOptions, isComplete: boolean): number[]
+    {
+        let hasChannels: boolean = Boolean(sampleChannels) && (sampleChannels.length === pathPoints.length);
+        let hasPressure: boolean = hasChannels && sampleChannels.every(function (channels: InkSampleChannels) { return (typeof channels.pressure === "number"); }) &&
+            sampleChannels.some(function (channels: InkSampleChannels) { return (channels.pressure !== sampleChannels[0].pressure); }); // A mouse (and most touch screens) report a constant pressure
+        let hasTimestamps: boolean = hasChannels && sampleChannels.every(function (channels: InkSampleChannels) { return (typeof channels.timestamp === "number"); });
+        let distances: number[] = [0]; // The distance along the line to each point
+        let widths: number[] = [];
+        let smoothedPressure: number = 0.5;
+        let ease = function (t: number): number { return (t * (2 - t)); };
+
+        for (let i = 1; i < pathPoints.length; i++)
+        {
+            distances.push(distances[i - 1] + Utils.GetDistanceBetweenPoints(pathPoints[i - 1], pathPoints[i]));
+        }
+
+        let totalDistance: number = distances[distances.length - 1];
+
+        for (let i = 0; i < pathPoints.length; i++)
+        {
+            let pressure: number = 0.5;
+
+            if (hasPressure)
+            {
+                pressure = sampleChannels[i].pressure;
+            }
+            else
+            {
+                if (hasTimestamps && (pathPoints.length > 1))
+                {
+                    // Simulate pressure from the velocity: the faster the pointer moves, the thinner the line [like a felt-tip pen]
+                    let j: number = Math.max(1, i);
+                    let elapsedMs: number = Math.max(1, sampleChannels[j].timestamp - sampleChannels[j - 1].timestamp);
+                    let velocity: number = (distances[j] - distances[j - 1]) / elapsedMs;
+                    pressure = 1 - Math.min(1, velocity / VARIABLE_WIDTH_MAX_VELOCITY);
+                }
+            }
+
+            smoothedPressure = (i === 0) ? pressure : smoothedPressure + ((1 - options.smoothing) * (pressure - smoothedPressure));
+
+            let width: number = strokeWidth * (1 + (options.thinning * ((smoothedPressure * 2) - 1)));
+
+            if (totalDistance > 0)
+            {
+                if (options.taperStart > 0)
+                {
+                    width *= ease(Math.min(1, distances[i] / options.taperStart));
+                }
+                if (isComplete && (options.taperEnd > 0))
+                {
+                    width *= ease(Math.min(1, (totalDistance - distances[i]) / options.taperEnd));
+                }
+            }
+
+            widths.push(Math.max(0, width));
+        }
+
+        return (widths);
+    }
+
+    /** [Private Type] The state used by appendVariableWidths() to compute the widths of a variable-width line incrementally, while it's being drawn. */
+    type InkVariableWidthState = { widths: number[], distance: number, smoothedPressure: number, isPressureVarying: boolean };
+
+    /**
+     * [Private Method] Appends to state.widths the width (in pixels) of each point in 'pathPoints' that doesn't yet have one, so that each pointerMove only costs the new points.
+     * This matches getVariableWidths() for an incomplete line, except that pressure is only used once it starts to vary (earlier points keep their velocity-based widths).
+     * Once the Ink is complete, its widths are re-computed for the whole line by getVariableWidths().
+     * @param {InkVariableWidthState} state The variable-width state of the line being drawn.
+     * @param {Point[]} pathPoints The path-points of the line so far.
+     * @param {InkSampleChannels[]} sampleChannels The sample channels for each point in 'pathPoints'.
+     * @param {number} strokeWidth The nominal width (in pixels) of the line.
+     * @param {InkVariableWidthOptions} options The options that control how the width varies.
+     */
+    function appendVariableWidths(state: InkVariableWidthState, pathPoints: Point[], sampleChannels: InkSampleChannels[], strokeWidth: number, options: InkVariableWidthOptions): void
+    {
+        let ease = function (t: number): number { return (t * (2 - t)); };
+
+        for (let i = state.widths.length; i < pathPoints.length; i++)
+        {
+            let channels: InkSampleChannels = sampleChannels[i];
+            let segmentDistance: number = (i > 0) ? Utils.GetDistanceBetweenPoints(pathPoints[i - 1], pathPoints[i]) : 0;
+            let pressure: number = 0.5;
+
+            state.distance += segmentDistance;
+
+            // A mouse (and most touch screens) report a constant pressure
+            if ((i > 0) && (typeof channels.pressure === "number") && (channels.pressure !== sampleChannels[0].pressure))
+            {
+                state.isPressureVarying = true;
+            }
+
+            if (state.isPressureVarying && (typeof channels.pressure === "number"))
+            {
+                pressure = channels.pressure;
+            }
+            else
+            {
+                if ((i > 0) && (typeof channels.timestamp === "number") && (typeof sampleChannels[i - 1].timestamp === "number"))
+                {
+                    // Simulate pressure from the velocity: the faster the pointer moves, the thinner the line [like a felt-tip pen]
+                    let elapsedMs: number = Math.max(1, channels.timestamp - sampleChannels[i - 1].timestamp);
+                    let velocity: number = segmentDistance / elapsedMs;
+                    pressure = 1 - Math.min(1, velocity / VARIABLE_WIDTH_MAX_VELOCITY);
+                }
+            }
+
+            state.smoothedPressure = (i === 0) ? pressure : state.smoothedPressure + ((1 - options.smoothing) * (pressure - state.smoothedPressure));
+
+            let width: number = strokeWidth * (1 + (options.thinning * ((state.smoothedPressure * 2) - 1)));
+
+            if (options.taperStart > 0)
+            {
+                width *= ease(Math.min(1, state.distance / options.taperStart));
+            }
+
+            state.widths.push(Math.max(0, width));
+        }
+    }
+
+    /** [Private Type] A line in an Ink, with its sample channels and whether it's drawn with straight lines (rather than a curve). */
+    type InkLine = { pathPoints: Point[], sampleChannels: InkSampleChannels[] | null, isLinear: boolean };
+
+    /**
+     * [Private Method] Returns the shortest distance (in pixels) between the line segment 'start'-'end' and the supplied polyline.
+     * Note: 'start' and 'end' can be the same point, and 'polylinePoints' can contain a single point.
+     * @param {Point} start The start of the line segment.
+     * @param {Point} end The end of the line segment.
+     * @param {Point[]} polylinePoints The points of the polyline.
+     * @returns {number} Result.
+     */
+    function getDistanceToPolyline(start: Point, end: Point, polylinePoints: Point[]): number
+    {
+        let cross = function (p1: Point, p2: Point, p3: Point): number { return (((p2.x - p1.x) * (p3.y - p1.y)) - ((p2.y - p1.y) * (p3.x - p1.x))); };
+        let distanceToSegment = function (point: Point, segmentStart: Point, segmentEnd: Point): number
+        {
+            let isDegenerate: boolean = (segmentStart.x === segmentEnd.x) && (segmentStart.y === segmentEnd.y); // Utils.GetClosestPointOnLine() does not handle a zero-length line
+            return (Utils.GetDistanceBetweenPoints(point, isDegenerate ? segmentStart : Utils.GetClosestPointOnLine(point, segmentStart, segmentEnd)));
+        };
+        let minDistance: number = Number.MAX_VALUE;
+
+        for (let i = 0; i < polylinePoints.length; i++)
+        {
+            let p1: Point = polylinePoints[i];
+            let p2: Point = polylinePoints[Math.min(i + 1, polylinePoints.length - 1)];
+
+            // Do the segments intersect?
+            if (((cross(p1, p2, start) * cross(p1, p2, end)) < 0) && ((cross(start, end, p1) * cross(start, end, p2)) < 0))
+            {
+                return (0);
+            }
+
+            minDistance = Math.min(minDistance, distanceToSegment(start, p1, p2), distanceToSegment(end, p1, p2), distanceToSegment(p1, start, end), distanceToSegment(p2, start, end));
+        }
+
+        return (minDistance);
+    }
+
+    /**
+     * [Private Method] Returns a copy of the supplied line with additional points (interpolated along each segment) so that no 2 consecutive points are further apart than 'maxSpacing'.
+     * The sample channels of an added point are those of the point at the start of its segment.
+     * @param {InkLine} line The line to add points to.
+     * @param {number} maxSpacing The maximum distance (in pixels) between consecutive points.
+     * @returns {InkLine} Result.
+     */
+    function densifyInkLine(line: InkLine, maxSpacing: number): InkLine
+    {
+        let pathPoints: Point[] = [];
+        let sampleChannels: InkSampleChannels[] = line.sampleChannels ? [] : null;
+
+        for (let i = 0; i < line.pathPoints.length; i++)
+        {
+            let point: Point = line.pathPoints[i];
+            let nextPoint: Point = line.pathPoints[i + 1];
+            let stepCount: number = nextPoint ? Math.max(1, Math.ceil(Utils.GetDistanceBetweenPoints(point, nextPoint) / Math.max(maxSpacing, 0.5))) : 1;
+
+            for (let s = 0; s < stepCount; s++)
+            {
+                pathPoints.push({ x: point.x + (nextPoint ? ((nextPoint.x - point.x) * s / stepCount) : 0), y: point.y + (nextPoint ? ((nextPoint.y - point.y) * s / stepCount) : 0) });
+                if (sampleChannels)
+                {
+                    sampleChannels.push(line.sampleChannels[i]);
+                }
+            }
+        }
+
+        return ({ pathPoints: pathPoints, sampleChannels: sampleChannels, isLinear: line.isLinear });
+    }
+
+    /**
+     * [Private Method] Returns a copy of the supplied sample channels, or null if 'sampleChannels' is not set or does not have one entry for each of the supplied points.
+     * @param {Point[]} pathPoints The path-points of a line in an Ink.
+     * @param {InkSampleChannels[] | null} sampleChannels The sample channels for each point in 'pathPoints', or null.
+     * @returns {InkSampleChannels[] | null} Result.
+     */
+    function copySampleChannels(pathPoints: Point[], sampleChannels: InkSampleChannels[] | null): InkSampleChannels[] | null
+    {
+        if (!Array.isArray(sampleChannels) || (sampleChannels.length !== pathPoints.length))
+        {
+            return (null);
+        }
+
+        return (sampleChannels.map(function (channels: InkSampleChannels): InkSampleChannels
+        {
+            return ({ timestamp: channels.timestamp, pressure: channels.pressure, tiltX: channels.tiltX, tiltY: channels.tiltY, twist: channels.twist, width: channels.width, height: channels.height });
+        }));
+    }
+
+    /**
+     * [Internal] Returns the InkSamples created by combining the supplied points with their corresponding sample channels (which may be null if the channels were not captured).
+     * @param {Point[]} pathPoints The path-points of a line in an Ink.
+     * @param {InkSampleChannels[] | null} sampleChannels The sample channels for each point in 'pathPoints', or null.
+     * @returns {InkSample[]} Result.
+     * @internal
+     */
+    export function getInkSamples(pathPoints: Point[], sampleChannels: InkSampleChannels[] | null): InkSample[]
+    {
+        let hasChannels: boolean = Boolean(sampleChannels) && (sampleChannels.length === pathPoints.length);
+
+        return (pathPoints.map(function (point: Point, i: number): InkSample
+        {
+            let channels: InkSampleChannels = hasChannels ? sampleChannels[i] : null;
+            return ({
+                x: point.x,
+                y: point.y,
+                timestamp: channels ? channels.timestamp : null,
+                pressure: channels ? channels.pressure : null,
+                tiltX: channels ? channels.tiltX : null,
+                tiltY: channels ? channels.tiltY : null,
+                twist: channels ? channels.twist : null,
+                width: channels ? channels.width : null,
+                height: channels ? channels.height : null
+            });
+        }));
+    }
+
+    /** The CSS class added to the Path() and HullPath() of an Ink whose RenderMode() is InkRenderMode.Highlighter. */
+    const HIGHLIGHTER_CLASS_NAME: string = "MILHighlighterInk";
+
+    /** The stroke-opacity of a highlighter Ink that has no Class() [an Ink with a Class() gets its opacity from the class]. */
+    const HIGHLIGHTER_STROKE_OPACITY: string = "0.5";
+
+    /**
+     * [Private Method] Moves the specified element (the Path() or HullPath() of a highlighter Ink) so that it's beneath every [sibling] non-highlighter Ink path, hull
+     * and in-flight (constituent) path. The element is left where it is if there are no such siblings after it.
+     * @param {DomElement} element The element to move.
+     */
+    function moveBelowNonHighlighterInks(element: DomElement): void
+    {
+        let parentElement: Node = element.parentNode;
+
+        for (let sibling: Node = parentElement.firstChild; sibling !== null; sibling = sibling.nextSibling)
+        {
+            if (sibling === element)
+            {
+                // The element is already beneath all the [subsequent] non-highlighter Inks
+                return;
+            }
+
+            let siblingSelection: D3SingleSelection = d3.select(sibling as DomElement);
+            let isInkElement: boolean = siblingSelection.classed("MILInkPath") || siblingSelection.classed("MILInkHullPath") || (siblingSelection.attr("data-pointerID") !== null);
+
+            if (isInkElement && !siblingSelection.classed(HIGHLIGHTER_CLASS_NAME))
+            {
+                parentElement.insertBefore(element, sibling);
+                return;
+            }
+        }
+    }
+
+    /** The width and height of an arrowhead (see InkDecoration), as a multiple of the Ink's stroke-width, when the Ink's Scale() is 1. */
+    const ARROWHEAD_MARKER_SIZE: number = 4;
+
+    /** The CSS class of the <defs> element that holds the arrowhead <marker> elements of the Inks on an <svg>. */
+    const ARROWHEAD_MARKERS_CLASS_NAME: string = "MILArrowheadMarkers";
+
+    /**
+     * [Private Method] Returns the <defs> element that holds the arrowhead <marker> elements of the Inks on the specified <svg>, creating it if needed.
+     * @param {SVGSVGElement} svgDomElement An <svg> element (previously initialized with MIL.Initialize()).
+     * @returns {D3SingleSelection} Result.
+     */
+    function getArrowheadMarkerDefs(svgDomElement: SVGSVGElement): D3SingleSelection
+    {
+        let defs: D3SingleSelection = d3.select(svgDomElement).select<DomElement>("defs." + ARROWHEAD_MARKERS_CLASS_NAME);
+
+        if (defs.empty())
+        {
+            defs = d3.select(svgDomElement).insert<DomElement>("defs", ":first-child").classed(ARROWHEAD_MARKERS_CLASS_NAME, true);
+        }
+        return (defs);
+    }
+
+    /**
+     * [Private Method] Replaces the content of the specified <marker> element with the supplied arrowhead.
+     * Note: The marker uses 'strokeWidth' markerUnits, so the arrowhead is sized relative to the stroke-width of the Ink path that references it.
+     * @param {D3SingleSelection} marker The <marker> element.
+     * @param {InkArrowhead} arrowhead The arrowhead to draw (cannot be InkArrowhead.None).
+     * @param {boolean} isStart Whether the marker is for the start of the line (in which case the arrowhead points backwards along the line).
+     * @param {string} color The color of the arrowhead.
+     * @param {number} scale The Ink.Scale() of the Ink.
+     */
+    function drawArrowheadMarker(marker: D3SingleSelection, arrowhead: InkArrowhead, isStart: boolean, color: string, scale: number): void
+    {
+        let size: number = ARROWHEAD_MARKER_SIZE * scale;
+
+        marker.attr("viewBox", "0 0 10 10").attr("refY", 5).attr("markerWidth", size).attr("markerHeight", size).attr("orient", "auto");
+        marker.selectAll("*").remove();
+
+        switch (arrowhead)
+        {
+            case InkArrowhead.Triangle:
+                // Note: The triangle is centered on the end of the line so that it covers the line's end-cap
+                marker.attr("refX", 5).append("path").attr("d", isStart ? "M 10 0 L 0 5 L 10 10 Z" : "M 0 0 L 10 5 L 0 10 Z").style("fill", color).style("stroke", "none");
+                break;
+
+            case InkArrowhead.Open:
+                // Note: The stroke-width (in marker units) matches the width of the line [which is 10 / ARROWHEAD_MARKER_SIZE]
+                marker.attr("refX", isStart ? 1 : 9).append("path").attr("d", isStart ? "M 9 1 L 1 5 L 9 9" : "M 1 1 L 9 5 L 1 9")
+                    .style("fill", "none").style("stroke", color).style("stroke-width", 10 / ARROWHEAD_MARKER_SIZE).style("stroke-linecap", "round").style("stroke-linejoin", "round");
+                break;
+
+            case InkArrowhead.Circle:
+                marker.attr("refX", 5).append("circle").attr("cx", 5).attr("cy", 5).attr("r", 4).style("fill", color).style("stroke", "none");
+                break;
+
+            default:
+                throw new MILException("Unsupported arrowhead '" + arrowhead + "'");
+        }
+    }
+
+    /**
+     * [Internal] Invokes the MILSettings.OnInkChangedHandler() (if any) of the specified <svg> to report a change to the supplied Ink. Changes to non-drawing Inks are not reported.
+     * Since the handler is often invoked while a history transaction is open (see MIL.History()), an error thrown by the handler is logged rather than being allowed to abort the change.
+     * @param {SVGInfo} svgInfo The SVGInfo of the <svg> the Ink belongs to.
+     * @param {Ink} ink The changed Ink.
+     * @param {InkChange} change A description of the change.
+     * @internal
+     */
+    export function raiseInkChanged(svgInfo: SVGInfo, ink: Ink, change: InkChange): void
+    {
+        let onInkChangedHandler: InkChangedEventHandler = svgInfo.settings.OnInkChangedHandler();
+
+        if ((onInkChangedHandler !== null) && !ink.IsNonDrawing())
+        {
+            try
+            {
+                onInkChangedHandler.call(ink, ink, change);
+            }
+            catch (error)
+            {
+                log("Warning: The OnInkChangedHandler failed for Ink '" + ink.InkID() + "' (change: " + InkChangeType[change.type] + "): " + ((error instanceof Error) ? error.message : error));
+            }
+        }
+    }
 
     /** The Ink class. */
     export class Ink
@@ -45,20 +753,37 @@ namespace MIL
         private _cometTailClassName: string; // Only applies when _isNonDrawing is true
         private _cometTailDurationInMs: number; // // Only applies when _isNonDrawing is true
         private _isAutoCose: boolean; // If set, when the ink ends the draw path will be automatically closed (with 'Z')
+        private _isAutoBeautify: boolean; // If set, when the ink ends the draw path will be replaced with the idealized geometry of the shape it's recognized as (if any)
+        private _renderMode: InkRenderMode;
+        private _isAutoStraighten: boolean; // If set, when a highlighter ink ends the draw path will be replaced with a straight line (if it was drawn against the Ruler, or is a straight line)
+        private _variableWidthOptions: InkVariableWidthOptions; // Only applies when _renderMode is InkRenderMode.VariableWidth
+        private _decoration: InkDecoration;
+        private _isClosed: boolean; // Whether the last point of the Ink's path is joined to its first point
+        private _curve: InkCurve;
+        private _smoothingOptions: InkSmoothingOptions;
+        private _smoothingState: InkSmoothingState; // Only set while the Ink is being drawn
+        private _variableWidthState: InkVariableWidthState; // Only set while the Ink is being drawn
+        private _simplificationTolerance: number; // In pixels (0 means the Ink is not simplified)
+        private _minPointDistance: number; // In pixels
         private _hullPath: D3SingleSelection;
         private _finalPath: D3SingleSelection; // The d3 selection of the final (consolidated) SVG path
         private _nonDrawingPathPoints: Point[]; // Only set when _isNonDrawing is true
+        private _nonDrawingSampleChannels: InkSampleChannels[]; // Only set when _isNonDrawing is true
         private _combinedOutlinePathPoints: Point[]; // Only set when the Ink is created by Gesture.CombineInks()
+        private _constituents: SerializedInkConstituent[]; // The original Inks that a combined Ink was created from [null if not known] (see Split())
         private _isEraserDrawing: boolean; // If set, the ink was drawn using the [pen] eraser
         private _isCoercingInkToRuler: boolean;
         private _resizeGesturePointerType: string; // Must specify 2 pointers (eg. "touch:2") 
         private _resizeGesture: Gesture;
         private _onResizeCompleteHandler: InkEventHandler; // A [optional] callback (which takes no parameters) that's invoked when _resizeGesture completes
         private _scale: number; // The "zoom level" of the ink/hull (changed via _resizeGesture)
+        private _rotation: number; // In degrees, clockwise (changed via _resizeGesture)
         private _onDragMoveHandler: InkDragMoveEventHandler; // A [optional] callback (which takes parameters: deltaX, deltaY) that's invoked when the Ink is being dragged
         private _previousDragMovePoint: Point; // Tracks position while dragging
         private _groupDragSelectionClassName: string; // When set, all ink paths that have this class will be dragged together
         private _dragGesture: Gesture; // The gesture (if any) currently being used to drag the ink
+        private _dragDelta: Point; // The [snapped] translation applied so far while dragging (see InkSnapping)
+        private _dragSnapState: DragSnapState; // The state used to snap the translation while dragging (see InkSnapping)
 
         constructor(pointerID: string)
         {
@@ -76,20 +801,37 @@ namespace MIL
             this._cometTailClassName = "";
             this._cometTailDurationInMs = 500;
             this._isAutoCose = false;
+            this._isAutoBeautify = false;
+            this._renderMode = InkRenderMode.Stroke;
+            this._isAutoStraighten = false;
+            this._variableWidthOptions = { thinning: 0.5, smoothing: 0.5, taperStart: 0, taperEnd: 0 };
+            this._decoration = { dashArray: "", startArrowhead: InkArrowhead.None, endArrowhead: InkArrowhead.None, lineCap: "", lineJoin: "", fill: "" };
+            this._isClosed = false;
+            this._curve = InkCurve.Basis;
+            this._smoothingOptions = { mode: InkSmoothingMode.None, windowSize: 4, minCutoff: 1, beta: 0.007 };
+            this._smoothingState = null;
+            this._variableWidthState = null;
+            this._simplificationTolerance = 0;
+            this._minPointDistance = 3;
             this._hullPath = null;
             this._finalPath = null;
             this._nonDrawingPathPoints = null;
+            this._nonDrawingSampleChannels = null;
             this._combinedOutlinePathPoints = null;
+            this._constituents = null;
             this._isEraserDrawing = false;
             this._isCoercingInkToRuler = false;
             this._resizeGesturePointerType = "";
             this._resizeGesture = null;
             this._onResizeCompleteHandler = null;
             this._scale = 1;
+            this._rotation = 0;
             this._onDragMoveHandler = null;
             this._previousDragMovePoint = null;
             this._groupDragSelectionClassName = null;
             this._dragGesture = null;
+            this._dragDelta = null;
+            this._dragSnapState = null;
         }
 
         /** 
@@ -294,33 +1036,513 @@ namespace MIL
         }
 
         /**
-         * [Chainable Property] The pointer type specifier (eg. "touch:2") for the Gesture used to resize the Ink instance. Must specify exactly 2 pointers.
-         * When setting, a Gesture to do the resize will be automatically created (replacing any previously created resize Gesture).
-         * @param {string} pointerType A pointer type specifier that must specify exactly 2 pointers.
-         * @returns {this | string} Either the property value (if getting), or the Ink instance (if setting).
+         * [Chainable Property] When set to true, the created path will automatically be beautified (see Ink.Beautify()) when Ink creation ends, if it's recognized as a shape. Set before calling Start().
+         * Note: Only shapes that support beautification are recognized (see MIL.BeautifyShape()).
+         * @param {boolean} isAutoBeautify Flag.
+         * @returns {this | boolean} Either the property value (if getting), or the Ink instance (if setting).
          */
-        ResizeWith(pointerType: string): this;
-        ResizeWith(): string;
-        ResizeWith(pointerType?: string): this | string
+        IsAutoBeautify(isAutoBeautify: boolean): this;
+        IsAutoBeautify(): boolean;
+        IsAutoBeautify(isAutoBeautify?: boolean): this | boolean
         {
-            if (pointerType === undefined)
+            if (isAutoBeautify === undefined)
             {
-                return (this._resizeGesturePointerType);
+                return (this._isAutoBeautify);
             }
             else
             {
-                if (this._resizeGesture !== null)
+                if (this.Path() !== null)
                 {
-                    RemoveGestureByName(this._resizeGesture.Name());
-                    this._resizeGesture = null;
+                    throw new MILException("Ink.IsAutoBeautify cannot be changed after the Ink has been created");
                 }
+                this._isAutoBeautify = isAutoBeautify;
+                return (this);
+            }
+        }
+
+        /**
+         * [Chainable Property] When set to true, and the Ink's RenderMode() is InkRenderMode.Highlighter, the created path will automatically be replaced with a straight line when Ink
+         * creation ends if it was drawn against the Ruler (see MIL.Controls.Ruler()), or with a horizontal line if it's a straight line (see Ink.IsStraightLine()). Set before calling Start().
+         * Note: When the Ink is straightened it's not also beautified (see Ink.IsAutoBeautify()).
+         * @param {boolean} isAutoStraighten Flag.
+         * @returns {this | boolean} Either the property value (if getting), or the Ink instance (if setting).
+         */
+        IsAutoStraighten(isAutoStraighten: boolean): this;
+        IsAutoStraighten(): boolean;
+        IsAutoStraighten(isAutoStraighten?: boolean): this | boolean
+        {
+            if (isAutoStraighten === undefined)
+            {
+                return (this._isAutoStraighten);
+            }
+            else
+            {
+                if (this.Path() !== null)
+                {
+                    throw new MILException("Ink.IsAutoStraighten cannot be changed after the Ink has been created");
+                }
+                this._isAutoStraighten = isAutoStraighten;
+                return (this);
+            }
+        }
+
+        /**
+         * [Chainable Property] How the Ink's path is rendered. Set before calling Start(). Defaults to InkRenderMode.Stroke.
+         * Note: Eraser Inks (see Ink.IsEraserDrawing()) are always rendered with InkRenderMode.Stroke, as are combined Inks (see Ink.IsCombined()) unless all the combined Inks were highlighters.
+         * @param {InkRenderMode} mode The desired render mode.
+         * @returns {this | InkRenderMode} Either the property value (if getting), or the Ink instance (if setting).
+         */
+        RenderMode(mode: InkRenderMode): this;
+        RenderMode(): InkRenderMode;
+        RenderMode(mode?: InkRenderMode): this | InkRenderMode
+        {
+            if (mode === undefined)
+            {
+                return (this._renderMode);
+            }
+            else
+            {
+                if (this.Path() !== null)
+                {
+                    throw new MILException("Ink.RenderMode cannot be changed after the Ink has been created");
+                }
+                this._renderMode = mode;
+                return (this);
+            }
+        }
+
+        /**
+         * [Chainable Property] The options that control how the Ink is drawn when its RenderMode() is InkRenderMode.VariableWidth. Set before calling Start().
+         * When setting, any options that are not specified keep their current value. Defaults to { thinning: 0.5, smoothing: 0.5, taperStart: 0, taperEnd: 0 }.
+         * @param {Partial<InkVariableWidthOptions>} options The options to change.
+         * @returns {this | InkVariableWidthOptions} Either the property value (if getting), or the Ink instance (if setting).
+         */
+        VariableWidthOptions(options: Partial<InkVariableWidthOptions>): this;
+        VariableWidthOptions(): InkVariableWidthOptions;
+        VariableWidthOptions(options?: Partial<InkVariableWidthOptions>): this | InkVariableWidthOptions
+        {
+            let currentOptions: InkVariableWidthOptions = this._variableWidthOptions;
+
+            if (options === undefined)
+            {
+                return ({ thinning: currentOptions.thinning, smoothing: currentOptions.smoothing, taperStart: currentOptions.taperStart, taperEnd: currentOptions.taperEnd });
+            }
+            else
+            {
+                if (this.Path() !== null)
+                {
+                    throw new MILException("Ink.VariableWidthOptions cannot be changed after the Ink has been created");
+                }
+
+                let newOptions: InkVariableWidthOptions = {
+                    thinning: (options.thinning !== undefined) ? options.thinning : currentOptions.thinning,
+                    smoothing: (options.smoothing !== undefined) ? options.smoothing : currentOptions.smoothing,
+                    taperStart: (options.taperStart !== undefined) ? options.taperStart : currentOptions.taperStart,
+                    taperEnd: (options.taperEnd !== undefined) ? options.taperEnd : currentOptions.taperEnd
+                };
+
+                if ((newOptions.thinning < 0) || (newOptions.thinning > 1) || (newOptions.smoothing < 0) || (newOptions.smoothing > 1))
+                {
+                    throw new MILException("VariableWidthOptions 'thinning' and 'smoothing' must be in the range 0..1");
+                }
+                if ((newOptions.taperStart < 0) || (newOptions.taperEnd < 0))
+                {
+                    throw new MILException("VariableWidthOptions 'taperStart' and 'taperEnd' cannot be negative");
+                }
+
+                this._variableWidthOptions = newOptions;
+                return (this);
+            }
+        }
+
+        /**
+         * [Chainable Property] The decoration options (dashes, arrowheads, line caps/joins and fill) of the Ink. Set before calling Start(); to change the decoration
+         * of a created Ink, use Ink.Redecorate(). When setting, any options that are not specified keep their current value.
+         * Defaults to { dashArray: "", startArrowhead: InkArrowhead.None, endArrowhead: InkArrowhead.None, lineCap: "", lineJoin: "", fill: "" }.
+         * @param {Partial<InkDecoration>} decoration The options to change.
+         * @returns {this | InkDecoration} Either the property value (if getting), or the Ink instance (if setting).
+         */
+        Decoration(decoration: Partial<InkDecoration>): this;
+        Decoration(): InkDecoration;
+        Decoration(decoration?: Partial<InkDecoration>): this | InkDecoration
+        {
+            if (decoration === undefined)
+            {
+                return (this.mergeDecoration({}));
+            }
+            else
+            {
+                if (this.Path() !== null)
+                {
+                    throw new MILException("Ink.Decoration cannot be changed after the Ink has been created (use Ink.Redecorate() instead)");
+                }
+                this._decoration = this.mergeDecoration(decoration);
+                return (this);
+            }
+        }
+
+        /**
+         * [Private Method] Returns a copy of the Ink's current Decoration() with the supplied options applied, throwing if any of the options are invalid.
+         * @param {Partial<InkDecoration>} decoration The options to apply (options that are not specified keep their current value).
+         * @returns {InkDecoration} Result.
+         */
+        private mergeDecoration(decoration: Partial<InkDecoration>): InkDecoration
+        {
+            let currentDecoration: InkDecoration = this._decoration;
+            let newDecoration: InkDecoration = {
+                dashArray: (decoration.dashArray !== undefined) ? (decoration.dashArray || "") : currentDecoration.dashArray,
+                startArrowhead: (decoration.startArrowhead !== undefined) ? decoration.startArrowhead : currentDecoration.startArrowhead,
+                endArrowhead: (decoration.endArrowhead !== undefined) ? decoration.endArrowhead : currentDecoration.endArrowhead,
+                lineCap: (decoration.lineCap !== undefined) ? (decoration.lineCap || "") : currentDecoration.lineCap,
+                lineJoin: (decoration.lineJoin !== undefined) ? (decoration.lineJoin || "") : currentDecoration.lineJoin,
+                fill: (decoration.fill !== undefined) ? (decoration.fill || "") : currentDecoration.fill
+            };
+
+            if ((InkArrowhead[newDecoration.startArrowhead] === undefined) || (InkArrowhead[newDecoration.endArrowhead] === undefined))
+            {
+                throw new MILException("Decoration 'startArrowhead' and 'endArrowhead' must be InkArrowhead values");
+            }
+            if (["", "butt", "round", "square"].indexOf(newDecoration.lineCap) === -1)
+            {
+                throw new MILException("Decoration 'lineCap' must be \"butt\", \"round\" or \"square\" (or an empty string)");
+            }
+            if (["", "miter", "round", "bevel"].indexOf(newDecoration.lineJoin) === -1)
+            {
+                throw new MILException("Decoration 'lineJoin' must be \"miter\", \"round\" or \"bevel\" (or an empty string)");
+            }
+            return (newDecoration);
+        }
+
+        /**
+         * [Chainable Property] The curve used to join the points of the Ink's path. Set before calling Start(). Defaults to InkCurve.Basis.
+         * Note: A beautified Ink (see Ink.Beautify()) is always drawn with straight lines.
+         * @param {InkCurve} curve The desired curve.
+         * @returns {this | InkCurve} Either the property value (if getting), or the Ink instance (if setting).
+         */
+        Curve(curve: InkCurve): this;
+        Curve(): InkCurve;
+        Curve(curve?: InkCurve): this | InkCurve
+        {
+            if (curve === undefined)
+            {
+                return (this._curve);
+            }
+            else
+            {
+                if (this.Path() !== null)
+                {
+                    throw new MILException("Ink.Curve cannot be changed after the Ink has been created");
+                }
+                this._curve = curve;
+                return (this);
+            }
+        }
+
+        /**
+         * [Chainable Property] The options that control how the pointer positions are smoothed while the Ink is being drawn. Set before calling Start().
+         * When setting, any options that are not specified keep their current value. Defaults to { mode: InkSmoothingMode.None, windowSize: 4, minCutoff: 1, beta: 0.007 }.
+         * @param {Partial<InkSmoothingOptions>} options The options to change.
+         * @returns {this | InkSmoothingOptions} Either the property value (if getting), or the Ink instance (if setting).
+         */
+        SmoothingOptions(options: Partial<InkSmoothingOptions>): this;
+        SmoothingOptions(): InkSmoothingOptions;
+        SmoothingOptions(options?: Partial<InkSmoothingOptions>): this | InkSmoothingOptions
+        {
+            let currentOptions: InkSmoothingOptions = this._smoothingOptions;
+
+            if (options === undefined)
+            {
+                return ({ mode: currentOptions.mode, windowSize: currentOptions.windowSize, minCutoff: currentOptions.minCutoff, beta: currentOptions.beta });
+            }
+            else
+            {
+                if (this.Path() !== null)
+                {
+                    throw new MILException("Ink.SmoothingOptions cannot be changed after the Ink has been created");
+                }
+
+                let newOptions: InkSmoothingOptions = {
+                    mode: (options.mode !== undefined) ? options.mode : currentOptions.mode,
+                    windowSize: (options.windowSize !== undefined) ? options.windowSize : currentOptions.windowSize,
+                    minCutoff: (options.minCutoff !== undefined) ? options.minCutoff : currentOptions.minCutoff,
+                    beta: (options.beta !== undefined) ? options.beta : currentOptions.beta
+                };
+
+                if ((newOptions.windowSize < 1) || (Math.floor(newOptions.windowSize) !== newOptions.windowSize))
+                {
+                    throw new MILException("SmoothingOptions 'windowSize' must be an integer greater than or equal to 1");
+                }
+                if ((newOptions.minCutoff <= 0) || (newOptions.beta < 0))
+                {
+                    throw new MILException("SmoothingOptions 'minCutoff' must be greater than 0, and 'beta' cannot be negative");
+                }
+
+                this._smoothingOptions = newOptions;
+                return (this);
+            }
+        }
+
+        /**
+         * [Chainable Property] The tolerance (in pixels) used to simplify the Ink when it's complete (see Utils.SimplifyPoints()). Set before calling Start().
+         * Simplifying removes the points that are within the tolerance of the simplified line, which reduces the number of points stored (and used by the hull and by shape recognition).
+         * Defaults to 0 (no simplification). Because InkCurve.Basis does not pass through the points, consider using InkCurve.CatmullRom for a simplified Ink (see Ink.Curve()).
+         * @param {number} toleranceInPx The tolerance in pixels (>= 0).
+         * @returns {this | number} Either the property value (if getting), or the Ink instance (if setting).
+         */
+        SimplificationTolerance(toleranceInPx: number): this;
+        SimplificationTolerance(): number;
+        SimplificationTolerance(toleranceInPx?: number): this | number
+        {
+            if (toleranceInPx === undefined)
+            {
+                return (this._simplificationTolerance);
+            }
+            else
+            {
+                if (this.Path() !== null)
+                {
+                    throw new MILException("Ink.SimplificationTolerance cannot be changed after the Ink has been created");
+                }
+                if (toleranceInPx < 0)
+                {
+                    throw new MILException("SimplificationTolerance (" + toleranceInPx + ") cannot be negative");
+                }
+                this._simplificationTolerance = toleranceInPx;
+                return (this);
+            }
+        }
+
+        /**
+         * [Chainable Property] The minimum distance (in pixels, along either axis) that the pointer must move from the last recorded point before a new point is recorded. Defaults to 3.
+         * @param {number} distanceInPx The distance in pixels (>= 0).
+         * @returns {this | number} Either the property value (if getting), or the Ink instance (if setting).
+         */
+        MinPointDistance(distanceInPx: number): this;
+        MinPointDistance(): number;
+        MinPointDistance(distanceInPx?: number): this | number
+        {
+            if (distanceInPx === undefined)
+            {
+                return (this._minPointDistance);
+            }
+            else
+            {
+                if (distanceInPx < 0)
+                {
+                    throw new MILException("MinPointDistance (" + distanceInPx + ") cannot be negative");
+                }
+                this._minPointDistance = distanceInPx;
+                return (this);
+            }
+        }
+
+        /**
+         * [Private Method] Returns true if the Ink is drawn as a filled outline (ie. its RenderMode() is InkRenderMode.VariableWidth and it's neither an eraser Ink nor a combined Ink).
+         * @returns {boolean} Result.
+         */
+        private isVariableWidth(): boolean
+        {
+            return ((this._renderMode === InkRenderMode.VariableWidth) && !this._isEraserDrawing && !this.IsCombined());
+        }
+
+        /**
+         * [Private Method] Returns true if the Ink is drawn as a highlighter (ie. its RenderMode() is InkRenderMode.Highlighter and it's not an eraser Ink).
+         * @returns {boolean} Result.
+         */
+        private isHighlighter(): boolean
+        {
+            return ((this._renderMode === InkRenderMode.Highlighter) && !this._isEraserDrawing);
+        }
+
+        /**
+         * [Private Method] Applies the highlighter style (translucent, with flat ends and 'multiply' blending) to the specified path of the Ink.
+         * Note: Must be called after the Class/StrokeColor/StrokeWidth have been applied to the path.
+         * @param {DomElement} pathDomElement Either the final "consolidated" path, or the current constituent path of an in-flight inking.
+         */
+        private applyHighlighterStyle(pathDomElement: DomElement): void
+        {
+            d3.select(pathDomElement).classed(HIGHLIGHTER_CLASS_NAME, true);
+
+            // Apply defaults if no Class and no StrokeColor/StrokeWidth are provided [these replace the regular "black/4px" defaults]
+            if (!this._className)
+            {
+                pathDomElement.style.stroke = this._strokeColor || "yellow";
+                pathDomElement.style.strokeWidth = this._strokeWidth || "20px";
+            }
+            pathDomElement.style.strokeOpacity = !this._className ? HIGHLIGHTER_STROKE_OPACITY : "";
+            pathDomElement.style.strokeLinecap = "butt"; // Flat ends, like the chisel tip of a highlighter pen
+            pathDomElement.style.strokeLinejoin = "bevel";
+            pathDomElement.style.setProperty("mix-blend-mode", "multiply"); // So that the Ink (and any content) beneath the highlighter is darkened rather than covered
+        }
+
+        /**
+         * [Internal] If the Ink is a highlighter (see InkRenderMode.Highlighter), applies the highlighter style to its Path() and moves its Path() and HullPath() beneath all
+         * non-highlighter Inks. Called whenever the Ink's [final] path is (re)created, since a highlighter must never cover regular Ink.
+         * @internal
+         */
+        applyHighlighter(): void
+        {
+            if (!this.isHighlighter() || (this.Path() === null))
+            {
+                return;
+            }
+
+            this.applyHighlighterStyle(this.Path().node());
+            moveBelowNonHighlighterInks(this.Path().node());
+
+            if (this.HullPath() !== null)
+            {
+                this.HullPath().classed(HIGHLIGHTER_CLASS_NAME, true);
+                moveBelowNonHighlighterInks(this.HullPath().node());
+            }
+        }
+
+        /**
+         * [Internal] Applies the Ink's Decoration() to its Path(), including (re)drawing its arrowheads to match its current stroke color and Scale().
+         * Called whenever the Ink's [final] path is (re)created, re-styled, re-scaled or opened/closed.
+         * @internal
+         */
+        applyDecoration(): void
+        {
+            if ((this.Path() === null) || this._isEraserDrawing)
+            {
+                return;
+            }
+
+            let pathDomElement: DomElement = this.Path().node();
+            let decoration: InkDecoration = this._decoration;
+            let isHighlighter: boolean = this.isHighlighter();
+
+            // Note: A variable-width Ink is drawn as a filled outline, so it can't be dashed or [separately] filled
+            if (!this.isVariableWidth())
+            {
+                pathDomElement.style.strokeDasharray = decoration.dashArray;
+                pathDomElement.style.fill = (this._isClosed && decoration.fill) ? decoration.fill : "";
+            }
+            pathDomElement.style.strokeLinecap = decoration.lineCap || (isHighlighter ? "butt" : "");
+            pathDomElement.style.strokeLinejoin = decoration.lineJoin || (isHighlighter ? "bevel" : "");
+
+            this.drawArrowhead(true);
+            this.drawArrowhead(false);
+        }
+
+        /**
+         * [Private Method] Draws (or removes) the start or end arrowhead of the Ink, as specified by its Decoration().
+         * Each Ink has its own <marker> elements (so that they can match its stroke color and Scale()), which are removed when the Ink is deleted.
+         * @param {boolean} isStart Whether to draw the start arrowhead (rather than the end arrowhead).
+         */
+        private drawArrowhead(isStart: boolean): void
+        {
+            let pathSelection: D3SingleSelection = this.Path();
+            let arrowhead: InkArrowhead = isStart ? this._decoration.startArrowhead : this._decoration.endArrowhead;
+            let defs: D3SingleSelection = getArrowheadMarkerDefs(getSvgInfo(pathSelection).svgDomElement);
+            let markerID: string = this.getArrowheadMarkerID(isStart);
+            let marker: D3SingleSelection = defs.selectAll<DomElement, any>("marker").filter(function () { return ((this as DomElement).id === markerID); });
+
+            if ((arrowhead === InkArrowhead.None) || this.isVariableWidth())
+            {
+                marker.remove();
+                pathSelection.attr(isStart ? "marker-start" : "marker-end", null);
+            }
+            else
+            {
+                if (marker.empty())
+                {
+                    marker = defs.append<DomElement>("marker").attr("id", markerID);
+                }
+                drawArrowheadMarker(marker, arrowhead, isStart, window.getComputedStyle(pathSelection.node()).stroke, this._scale);
+                pathSelection.attr(isStart ? "marker-start" : "marker-end", "url(#" + markerID + ")");
+            }
+        }
+
+        /**
+         * [Private Method] Returns the ID of the <marker> element for the start or end arrowhead of the Ink.
+         * @param {boolean} isStart Whether to return the ID for the start arrowhead (rather than the end arrowhead).
+         * @returns {string} Result.
+         */
+        private getArrowheadMarkerID(isStart: boolean): string
+        {
+            return ("MILArrowhead_" + this._inkID + (isStart ? "_Start" : "_End"));
+        }
+
+        /**
+         * [Internal] Returns the path data ('d') for the supplied lines of the Ink, drawn according to the Ink's RenderMode().
+         * The __MILIsLinearCollection__ and __MILSampleChannelsCollection__ of the Ink's Path() must already be set.
+         * @param {Point[][]} pathPointsCollection The path-points of each line in the Ink.
+         * @param {number} [strokeWidth] [Optional] The nominal width (in pixels) of the Ink's line. Defaults to the [computed] stroke-width of the Ink's Path().
+         * @returns {string} Result.
+         * @internal
+         */
+        getPathData(pathPointsCollection: Point[][], strokeWidth?: number): string
+        {
+            let pathDomElement: DomElement = this._finalPath.node();
+            let isLinearCollection: boolean[] = (pathDomElement.__MILIsLinearCollection__ as boolean[]) || [];
+            let sampleChannelsCollection: InkSampleChannels[][] = (pathDomElement.__MILSampleChannelsCollection__ as InkSampleChannels[][]) || [];
+            let d: string = "";
+
+            if (this.isVariableWidth())
+            {
+                let width: number = (strokeWidth !== undefined) ? strokeWidth : Utils.ToNumber(window.getComputedStyle(pathDomElement).strokeWidth);
+
+                for (let l = 0; l < pathPointsCollection.length; l++)
+                {
+                    let pathPoints: Point[] = pathPointsCollection[l];
+                    let sampleChannels: InkSampleChannels[] = sampleChannelsCollection[l] || null;
+
+                    // A closed line is drawn by joining its last point back to its first point
+                    if (this._isClosed && (pathPoints.length > 1))
+                    {
+                        pathPoints = pathPoints.concat([pathPoints[0]]);
+                        sampleChannels = sampleChannels ? sampleChannels.concat([sampleChannels[0]]) : null;
+                    }
+                    d += getVariableWidthPathData(pathPoints, getVariableWidths(pathPoints, sampleChannels, width, this._variableWidthOptions, true), Boolean(isLinearCollection[l]), this._curve);
+                }
+            }
+            else
+            {
+                for (let l = 0; l < pathPointsCollection.length; l++)
+                {
+                    d += getInkLinePathData(pathPointsCollection[l], Boolean(isLinearCollection[l]), this._curve);
+                }
+                d += (this._isClosed ? "Z" : "");
+            }
+
+            return (d);
+        }
+
+        /**
+         * [Chainable Property] The pointer type specifier (eg. "touch:2") for the Gesture used to resize the Ink instance. Must specify exactly 2 pointers.
+         * When setting, a Gesture to do the resize will be automatically created (replacing any previously created resize Gesture).
+         * In addition to resizing (see Ink.Scale()), the Gesture rotates the Ink by the twist of the 2 pointers (see Ink.Rotation()) and moves it with their mid-point.
+         * @param {string} pointerType A pointer type specifier that must specify exactly 2 pointers.
+         * @returns {this | string} Either the property value (if getting), or the Ink instance (if setting).
+         */
+        ResizeWith(pointerType: string): this;
+        ResizeWith(): string;
+        ResizeWith(pointerType?: string): this | string
+        {
+            if (pointerType === undefined)
+            {
+                return (this._resizeGesturePointerType);
+            }
+            else
+            {
+                if (this._resizeGesture !== null)
+                {
+                    RemoveGestureByName(this._resizeGesture.Name());
+                    this._resizeGesture = null;
+                }
+
+                if (pointerType && this._hullPath)
+                {
+                    var ink: Ink = this; // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
+                    var startInkScale: number; // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
+                    var startInkStrokeWidth: number = Utils.ToNumber(window.getComputedStyle(ink.Path().node()).strokeWidth); // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
+                    var startMidPoint: Point; // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
+                    var startTwistAngle: number; // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
+                    var pivot: Point; // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
+                    var manipulation: InkManipulation; // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
 
-                if (pointerType && this._hullPath)
-                {
-                    var ink: Ink = this; // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
-                    var startInkScale: number; // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
-                    var startInkStrokeWidth: number = Utils.ToNumber(window.getComputedStyle(ink.Path().node()).strokeWidth); // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
-
                     this._resizeGesture = CreateGesture("InkResize*", true).PointerType(pointerType).Target(this._hullPath)
                         .RecognitionTimeoutInMs(50) // TODO: The caller should have control over this timeout
                         .GestureStartedHandler(function ()
@@ -336,24 +1558,59 @@ namespace MIL
                             }
 
                             startInkScale = ink.Scale();
+                            startMidPoint = Utils.GetLineMidPoint(gesture.GetCurrentSvgPoint("{P1}"), gesture.GetCurrentSvgPoint("{P2}"));
+                            startTwistAngle = Ink.getTwistAngle(gesture);
+                            pivot = ink.getCenterPoint();
+                            manipulation = { scale: 1, angle: 0, deltaX: 0, deltaY: 0 };
+
                             let startResizeDistance: number = gesture.GetDistance("{P1}", "{P2}");
-                            let prevResizeDistance: number = startResizeDistance;
 
                             this.OnMoveHandler(function ()
                             {
-                                let resizeDistance: number = this.GetDistance("{P1}", "{P2}");
-
-                                if (resizeDistance !== prevResizeDistance)
+                                let midPoint: Point = Utils.GetLineMidPoint(this.GetCurrentSvgPoint("{P1}"), this.GetCurrentSvgPoint("{P2}"));
+                                let twistAngle: number = Ink.getTwistAngle(this);
+                                let newManipulation: InkManipulation = {
+                                    scale: this.GetDistance("{P1}", "{P2}") / startResizeDistance,
+                                    angle: ((twistAngle - startTwistAngle + 540) % 360) - 180, // -180..180
+                                    deltaX: midPoint.x - startMidPoint.x,
+                                    deltaY: midPoint.y - startMidPoint.y
+                                };
+
+                                if ((newManipulation.scale !== manipulation.scale) || (newManipulation.angle !== manipulation.angle) ||
+                                    (newManipulation.deltaX !== manipulation.deltaX) || (newManipulation.deltaY !== manipulation.deltaY))
                                 {
-                                    // For performance, we'll resize the hull (if any) only when the gesture ends
-                                    ink.Scale((resizeDistance / startResizeDistance) * startInkScale, startInkScale, startInkStrokeWidth, true);
-                                    prevResizeDistance = resizeDistance;
+                                    // For performance, we'll transform the hull (if any) only when the gesture ends
+                                    ink.manipulateWithTransform(pivot, newManipulation, startInkStrokeWidth);
+                                    manipulation = newManipulation;
                                 }
                             });
                         })
                         .GestureEndedHandler(function ()
                         {
-                            ink.Scale(ink.Scale(), startInkScale, startInkStrokeWidth, false);
+                            let history: CommandHistory = getSvgInfo(ink.Path()).history;
+
+                            // Apply the manipulation to the path-points (and hull), replacing the transform. Because the transform is relative to the
+                            // start of the gesture, we scale (which is around the center of the Ink, ie. the pivot), then rotate, then translate.
+                            history.BeginTransaction("ManipulateInk");
+                            try
+                            {
+                                ink.Scale(startInkScale * manipulation.scale, startInkScale, startInkStrokeWidth, false);
+
+                                if (manipulation.angle !== 0)
+                                {
+                                    ink.Rotation(ink.Rotation() + manipulation.angle, pivot);
+                                }
+
+                                if ((manipulation.deltaX !== 0) || (manipulation.deltaY !== 0))
+                                {
+                                    ink.translate(manipulation.deltaX, manipulation.deltaY);
+                                    recordInksTranslated([ink], manipulation.deltaX, manipulation.deltaY);
+                                }
+                            }
+                            finally
+                            {
+                                history.EndTransaction();
+                            }
 
                             if (ink.OnResizeCompleteHandler() !== null)
                             {
@@ -407,6 +1664,109 @@ namespace MIL
             return (this._combinedOutlinePathPoints !== null);
         }
 
+        /**
+         * Splits (ungroups) a combined Ink (see Ink.IsCombined()) back into the Inks it was created from, then deletes the combined Ink.
+         * Each new Ink has the style, Hull and ResizeWith() of its original Ink, but the current geometry of its lines (so any move, resize or rotation of the
+         * combined Ink is kept). If the original Inks are not known (eg. the combined Ink was imported from InkML) each line becomes an Ink with the style of the combined Ink.
+         * The split is recorded in the undo/redo history (see MIL.History()) as a single command. Returns the new Inks (in z-order), or an empty array if the Ink is not combined.
+         * Note: The new Inks are new instances, so any Gestures (eg. a drag Gesture) that the app added to the combined Ink must be added to them.
+         * @returns {Ink[]} Result.
+         */
+        Split(): Ink[]
+        {
+            if (this.Path() === null)
+            {
+                throw new MILException("Ink.Split() cannot be called until the Ink has been created");
+            }
+
+            if (!this.IsCombined())
+            {
+                return ([]);
+            }
+
+            let ink: Ink = this;
+            let svgInfo: SVGInfo = getSvgInfo(this.Path());
+            let parentDomElement: SVGGElement = this.Path().node().parentNode as SVGGElement; // Either the 'g' element returned by MIL.Initialize(), or the 'g' element of a layer
+            let serializedCombinedInk: SerializedInk = this.serialize();
+            let constituents: SerializedInkConstituent[] = this._constituents || serializedCombinedInk.pathPointsCollection.map(function ()
+            {
+                let constituent: SerializedInkConstituent = ink.getConstituents()[0];
+
+                constituent.ink.combinedOutlinePathPoints = null; // Each line becomes a regular (not combined) Ink
+                return ({ lineCount: 1, ink: constituent.ink });
+            });
+            let lineIndex: number = 0;
+            let newInks: Ink[] = [];
+
+            svgInfo.history.BeginTransaction("SplitInk");
+            try
+            {
+                constituents.forEach(function (constituent: SerializedInkConstituent)
+                {
+                    let serializedInk: SerializedInk = JSON.parse(JSON.stringify(constituent.ink)); // So that the constituent can't be modified
+                    let lineEndIndex: number = lineIndex + constituent.lineCount;
+
+                    serializedInk.pathPointsCollection = serializedCombinedInk.pathPointsCollection.slice(lineIndex, lineEndIndex);
+                    serializedInk.isLinearCollection = serializedCombinedInk.isLinearCollection.slice(lineIndex, lineEndIndex);
+                    serializedInk.sampleChannelsCollection = serializedCombinedInk.sampleChannelsCollection.slice(lineIndex, lineEndIndex);
+                    serializedInk.scale *= ink._scale;
+                    serializedInk.rotation = ((serializedInk.rotation || 0) + ink._rotation) % 360;
+                    lineIndex = lineEndIndex;
+
+                    // An original Ink that was itself a combined Ink [whose constituents are not known] gets a new outline
+                    if (serializedInk.combinedOutlinePathPoints)
+                    {
+                        let allXYPoints: XY[] = Utils.ConvertPointsToXYPoints([].concat.apply([], serializedInk.pathPointsCollection));
+                        serializedInk.combinedOutlinePathPoints = Utils.ConvertXYPointsToPoints(d3.polygonHull(allXYPoints) || allXYPoints);
+                    }
+
+                    let newInk: Ink = new Ink(null).rehydrate(parentDomElement, serializedInk);
+
+                    // Preserve the z-order (and layer) of the Ink
+                    parentDomElement.insertBefore(newInk.Path().node(), ink.Path().node());
+                    if (newInk.HullPath() !== null)
+                    {
+                        parentDomElement.insertBefore(newInk.HullPath().node(), ink.Path().node());
+                    }
+                    newInks.push(newInk);
+                });
+
+                this.Delete();
+            }
+            finally
+            {
+                svgInfo.history.EndTransaction();
+            }
+
+            log("Ink '" + serializedCombinedInk.id + "' split into " + newInks.length + " Inks");
+            return (newInks);
+        }
+
+        /**
+         * [Internal] Returns the original Inks that the Ink was created from (for a combined Ink whose constituents are known), or the Ink itself (without its geometry).
+         * Used when the Ink is combined (see Gesture.CombineInks()) so that the combined Ink can later be split (see Ink.Split()).
+         * @returns {SerializedInkConstituent[]} Result.
+         * @internal
+         */
+        getConstituents(): SerializedInkConstituent[]
+        {
+            if (this._constituents !== null)
+            {
+                return (this._constituents);
+            }
+
+            let serializedInk: SerializedInk = this.serialize();
+            let lineCount: number = serializedInk.pathPointsCollection.length;
+
+            serializedInk.pathPointsCollection = [];
+            serializedInk.isLinearCollection = [];
+            serializedInk.sampleChannelsCollection = [];
+            serializedInk.combinedOutlinePathPoints = this.IsCombined() ? [] : null; // The outline is re-computed by Split()
+            serializedInk.constituents = null;
+
+            return ([{ lineCount: lineCount, ink: serializedInk }]);
+        }
+
         /**
          * [ReadOnly Property] The hull path (as a d3 selection) of the Ink instance. Will be null if the Ink was created with HullType(InkHullType.None).
          * @returns {D3SingleSelection} Property value.
@@ -417,6 +1777,16 @@ namespace MIL
             return (this._hullPath);
         }
 
+        /**
+         * [ReadOnly Property] The layer (see MIL.Layers()) that the Ink is in. Will be null if the Ink is not in a layer, or has not yet been created. See also InkLayer.MoveInks().
+         * @returns {InkLayer | null} Property value.
+         */
+        Layer(): InkLayer | null
+        {
+            readOnlyProperty("Layer", arguments);
+            return ((this._finalPath !== null) ? getElementLayer(this._finalPath) : null);
+        }
+
         /**
          * [ReadOnly Property] The path (as a d3 selection) of the Ink instance. Will be null if the Ink was created with IsNonDrawing(true).
          * @returns {D3SingleSelection} Property value.
@@ -466,6 +1836,89 @@ namespace MIL
             }
         }
 
+        /**
+         * [ReadOnly Property] The samples (points with their pressure, tilt, timestamp, etc.) in the Ink instance, with one array of samples for each line in the Ink.
+         * A combined Ink (see Ink.IsCombined()) can have multiple lines; all other Inks have a single line. Unlike PathPoints(), the samples of a combined Ink are those of its lines (not of its hull).
+         * @returns {InkSample[][]} Property value.
+         */
+        Samples(): InkSample[][]
+        {
+            readOnlyProperty("Samples", arguments);
+
+            if (this._isNonDrawing)
+            {
+                return ([getInkSamples(this._nonDrawingPathPoints || [], this._nonDrawingSampleChannels)]);
+            }
+            else
+            {
+                let pathDomElement: DomElement = this._finalPath.node();
+                let pathPointsCollection: Point[][] = pathDomElement.__MILPathPointsCollection__ as Point[][];
+                let sampleChannelsCollection: InkSampleChannels[][] = (pathDomElement.__MILSampleChannelsCollection__ as InkSampleChannels[][]) || [];
+
+                return (pathPointsCollection.map(function (pathPoints: Point[], l: number) { return (getInkSamples(pathPoints, sampleChannelsCollection[l] || null)); }));
+            }
+        }
+
+        /**
+         * Returns the distance (in svg coordinates) from the supplied point to the nearest edge of the Ink's stroke, or 0 if the point is on the stroke.
+         * The distance is to the line as it's actually drawn (ie. following the Ink's Curve()), and takes the [current] stroke-width of the Ink into account,
+         * including the varying width of an Ink with InkRenderMode.VariableWidth. Since both the point and the Ink are in svg coordinates, the distance is unaffected by zooming or panning.
+         * @param {Point} point The point (in svg coordinates, eg. from MIL.TransposePointer()) to measure the distance to.
+         * @returns {number} Result.
+         */
+        DistanceToPoint(point: Point): number
+        {
+            if (this.Path() === null)
+            {
+                throw new MILException("Ink.DistanceToPoint() cannot be called until the Ink has been created");
+            }
+
+            let pathDomElement: DomElement = this.Path().node();
+            let pathPointsCollection: Point[][] = pathDomElement.__MILPathPointsCollection__ as Point[][];
+            let isLinearCollection: boolean[] = (pathDomElement.__MILIsLinearCollection__ as boolean[]) || [];
+            let sampleChannelsCollection: InkSampleChannels[][] = (pathDomElement.__MILSampleChannelsCollection__ as InkSampleChannels[][]) || [];
+            let strokeWidth: number = Utils.ToNumber(window.getComputedStyle(pathDomElement).strokeWidth);
+            let minDistance: number = Number.MAX_VALUE;
+
+            for (let l = 0; l < pathPointsCollection.length; l++)
+            {
+                let pathPoints: Point[] = pathPointsCollection[l];
+
+                if (pathPoints.length === 0)
+                {
+                    continue;
+                }
+
+                let curvePoints: Point[] = getInkLineCurvePoints(pathPoints, Boolean(isLinearCollection[l]), this._curve);
+                let halfWidth: number = strokeWidth / 2;
+
+                if (this._isClosed && (curvePoints.length > 1))
+                {
+                    curvePoints.push(curvePoints[0]);
+                }
+
+                if (this.isVariableWidth())
+                {
+                    // Use the width of the line at the path-point closest to 'point'
+                    let widths: number[] = getVariableWidths(pathPoints, sampleChannelsCollection[l] || null, strokeWidth, this._variableWidthOptions, true);
+                    let closestPointIndex: number = 0;
+
+                    for (let i = 1; i < pathPoints.length; i++)
+                    {
+                        if (Utils.GetDistanceBetweenPoints(point, pathPoints[i]) < Utils.GetDistanceBetweenPoints(point, pathPoints[closestPointIndex]))
+                        {
+                            closestPointIndex = i;
+                        }
+                    }
+                    halfWidth = widths[closestPointIndex] / 2;
+                }
+
+                minDistance = Math.min(minDistance, Math.max(0, getDistanceToPolyline(point, point, curvePoints) - halfWidth));
+            }
+
+            return (minDistance);
+        }
+
         /** Deletes the Ink's Hull. */
         DeleteHull(): void
         {
@@ -477,7 +1930,7 @@ namespace MIL
             }
         }
 
-        /** Cancels the Ink instance (while it's in the process of being created). */
+        /** Cancels the Ink instance (while it's in the process of being created). Since the Ink was never completed, this does not add a command to the CommandHistory (see MIL.History()). */
         Cancel(): void
         {
             if (this._finalPath !== null)
@@ -496,26 +1949,47 @@ namespace MIL
             this._finalPath = null;
             this._pointerID = null;
             this._nonDrawingPathPoints = null;
+            this._nonDrawingSampleChannels = null;
             this._isStarted = false;
 
             this.deleteInksEntry();
 
             delete _inkCompletePathPointData[pointerID];
+            delete _inkCompletePathSampleData[pointerID];
             delete _inkCurrentPathPointData[pointerID];
             delete _inkCurrentPath[pointerID];
         }
 
-        /** Deletes the Ink instance. */
+        /** Deletes the Ink instance (and any Gestures that target it). The removed Gestures are reported to MILSettings.OnInkChangedHandler() (see InkChange.removedGestures). */
         Delete(): void
         {
+            let svgInfo: SVGInfo = getSvgInfo(this.Path());
+            let removedGestures: Gesture[] = (this.HullPath() !== null) ? RemoveGesturesByTarget(this.HullPath()) : []; // Note: Gestures on Ink usually target the hull-path
+
+            recordInkDeleted(this);
+            svgInfo.selection.inkDeleted(this);
+            svgInfo.spatialIndex.Remove(this);
             this.DeleteHull();
 
-            RemoveGesturesByTarget(this.Path()); // Note: Gestures on Ink rarely target the ink-path (they typically target the hull-path)
+            // Remove the arrowhead markers (if any)
+            let markerIDs: string[] = [this.getArrowheadMarkerID(true), this.getArrowheadMarkerID(false)];
+            getArrowheadMarkerDefs(svgInfo.svgDomElement).selectAll<DomElement, any>("marker").filter(function () { return (markerIDs.indexOf((this as DomElement).id) !== -1); }).remove();
+
+            removedGestures = removedGestures.concat(RemoveGesturesByTarget(this.Path())); // Note: Gestures on Ink rarely target the ink-path (they typically target the hull-path)
             this.Path().remove();
 
             this.deleteInksEntry();
+            raiseInkChanged(svgInfo, this, { type: InkChangeType.Deleted, removedGestures: removedGestures });
 
-            log("Ink created by gesture '" + this.ParentGesture().Name() + "' was deleted (" + MIL._inks.length + " Inks remain)");
+            if (this.ParentGesture() !== null)
+            {
+                log("Ink created by gesture '" + this.ParentGesture().Name() + "' was deleted (" + MIL._inks.length + " Inks remain)");
+            }
+            else
+            {
+                // The Ink was not created by a Gesture (eg. it was created by MIL.DeserializeInks())
+                log("Ink '" + this.InkID() + "' was deleted (" + MIL._inks.length + " Inks remain)");
+            }
         }
 
         /** [Private Method] Removes the Ink instance from the list of all Inks (_inks). */
@@ -530,7 +2004,7 @@ namespace MIL
             }
 
             // ParentGesture.Ink() is the LATEST Ink created by the Gesture (Gesture:Ink is 1:m)
-            if (this.ParentGesture().Ink() === this)
+            if ((this.ParentGesture() !== null) && (this.ParentGesture().Ink() === this))
             {
                 this.ParentGesture().ink(null);
             }
@@ -572,12 +2046,112 @@ namespace MIL
                 }
 
                 this._scale = scale;
+                this.applyDecoration(); // The arrowheads (if any) are sized by the scale
+
+                if (!excludeHull)
+                {
+                    recordInkScaled(this, startScale, scale, startStrokeWidth);
+                }
+                getInkSelection(this.Path()).inkChanged(this, excludeHull);
+                getSpatialIndex(this.Path()).Update(this);
+
+                // Note: Like the undo/redo history, only the final scaling (ie. when the hull is included) is reported
+                if (!excludeHull)
+                {
+                    raiseInkChanged(getSvgInfo(this.Path()), this, { type: InkChangeType.Resized, scaleX: scale / startScale, scaleY: scale / startScale });
+                }
 
                 // log("DEBUG: Ink scaled to " + this._scale.toFixed(2) + "x", FeatureNames.Debug);
                 return (this);
             }
         }
 
+        /**
+         * [Chainable Property] The rotation (in degrees, clockwise) of the Ink instance (default is 0). When setting, rotates the Ink (and its Hull, if any) by the difference between the new and current rotation.
+         * @param {number} angle The new rotation (in degrees). The stored value is normalized to the range 0..360 (exclusive).
+         * @param {Point} [pivot] [Optional] The point to rotate around. Defaults to the center of the Ink's bounding rectangle.
+         * @returns {this | number} Either the property value (if getting), or the Ink instance (if setting).
+         */
+        Rotation(angle: number, pivot?: Point): this;
+        Rotation(): number;
+        Rotation(angle?: number, pivot?: Point): this | number
+        {
+            if (angle === undefined)
+            {
+                return (this._rotation);
+            }
+            else
+            {
+                if (this.Path() === null)
+                {
+                    throw new MILException("Ink.Rotation cannot be set until the Ink has been created");
+                }
+
+                let oldRotation: number = this._rotation;
+                let rotationPivot: Point = pivot || this.getCenterPoint();
+                let angleDelta: number = angle - oldRotation;
+                let rotatePoints = function (points: Point[]): Point[] { return (Ink.rotatePoints(points, angleDelta, rotationPivot)); };
+
+                this.transformInkPath(this.Path(), rotatePoints);
+
+                if (this.HullPath())
+                {
+                    this.transformHullPath(this.HullPath(), rotatePoints);
+                }
+
+                this._rotation = ((angle % 360) + 360) % 360;
+                recordInkRotated(this, oldRotation, this._rotation, rotationPivot);
+                getInkSelection(this.Path()).inkChanged(this, false);
+                getSpatialIndex(this.Path()).Update(this);
+                raiseInkChanged(getSvgInfo(this.Path()), this, { type: InkChangeType.Rotated, angle: angleDelta });
+                return (this);
+            }
+        }
+
+        /**
+         * [Private Method] Returns the center of the bounding rectangle of the Ink's path-points.
+         * @returns {Point} Result.
+         */
+        private getCenterPoint(): Point
+        {
+            let boundingRect: Rect = Utils.GetBoundingRectForPoints(this.PathPoints());
+            return ({ x: boundingRect.x + (boundingRect.width / 2), y: boundingRect.y + (boundingRect.height / 2) });
+        }
+
+        /**
+         * [Private Static Method] Returns the angle (in degrees, clockwise from the x-axis) of the line from the {P1} pointer to the {P2} pointer of the supplied Gesture.
+         * @param {Gesture} gesture A Gesture with at least 2 pointers.
+         * @returns {number} Result.
+         */
+        private static getTwistAngle(gesture: Gesture): number
+        {
+            let point1: Point = gesture.GetCurrentSvgPoint("{P1}");
+            let point2: Point = gesture.GetCurrentSvgPoint("{P2}");
+            return (Math.atan2(point2.y - point1.y, point2.x - point1.x) * (180 / Math.PI));
+        }
+
+        /**
+         * [Private Method] Applies the supplied manipulation to the Ink's path using a [fast] svg transform (which doesn't update __MILPathPointsCollection__). The Hull (if any) is hidden.
+         * @param {Point} pivot The point to scale and rotate around.
+         * @param {InkManipulation} manipulation The manipulation, relative to the state of the Ink when the manipulation started.
+         * @param {number} startStrokeWidth The thickness (in pixels) of the Ink line when the manipulation started.
+         */
+        private manipulateWithTransform(pivot: Point, manipulation: InkManipulation, startStrokeWidth: number): void
+        {
+            // Note: These transforms are applied in right-to-left order
+            this.Path().attr("transform", "translate(" + manipulation.deltaX + " " + manipulation.deltaY + ") " +
+                "translate(" + pivot.x + " " + pivot.y + ") rotate(" + manipulation.angle + ") scale(" + manipulation.scale + ") translate(" + -pivot.x + " " + -pivot.y + ")");
+
+            // Keep the stroke-width constant [the transform also scales it]
+            this.Path().style("stroke-width", (startStrokeWidth / manipulation.scale) + "px");
+
+            if (this.HullPath())
+            {
+                this.HullPath().style("visibility", "hidden");
+            }
+            getInkSelection(this.Path()).inkChanged(this, true);
+        }
+
         /** 
          * [Internal] If the Ink is being dragged, returns the latest position of the pointer doing the dragging. Otherwise, returns null. 
          * @returns {Point | null} Result.
@@ -621,14 +2195,106 @@ namespace MIL
                     pathSelection.node().style.stroke = !this._className ? this._strokeColor : "";
                     pathSelection.node().style.strokeWidth = !this._className ? this._strokeWidth : "";
 
-                    // Apply defaults if no Class and no StrokeColor/StrokeWidth are provided
-                    if (!this.Class())
-                    {
-                        if (!this.StrokeColor()) { pathSelection.node().style.stroke = "black"; }
-                        if (!this.StrokeWidth()) { pathSelection.node().style.strokeWidth = "4px"; }
-                    }
-                }
+                    // Apply defaults if no Class and no StrokeColor/StrokeWidth are provided
+                    if (!this.Class())
+                    {
+                        if (!this.StrokeColor()) { pathSelection.node().style.stroke = "black"; }
+                        if (!this.StrokeWidth()) { pathSelection.node().style.strokeWidth = "4px"; }
+                    }
+
+                    // A variable-width Ink is drawn as a filled outline, so we fill it with the stroke color and hide the stroke.
+                    // Note: We hide the stroke using 'stroke-opacity' (rather than 'stroke: none') so that the [nominal] stroke color and width remain available.
+                    if (this.isVariableWidth())
+                    {
+                        pathSelection.node().style.fill = window.getComputedStyle(pathSelection.node()).stroke;
+                        pathSelection.node().style.strokeOpacity = "0";
+                    }
+
+                    // Note: The 'class' attribute was replaced [above] so the highlighter class has to be re-added
+                    if (this.isHighlighter())
+                    {
+                        this.applyHighlighterStyle(pathSelection.node());
+                        moveBelowNonHighlighterInks(pathSelection.node());
+                    }
+                }
+            }
+        }
+
+        /**
+         * Changes the Class/StrokeColor/StrokeWidth of the [created] Ink instance, re-styling its existing path (whereas setting Class()/StrokeColor()/StrokeWidth()
+         * only affects an Ink that has not yet been started). The change is recorded in the undo/redo history (see MIL.History()).
+         * @param {string} className The new CSS class to use to draw the Ink. Can be null, in which case 'strokeColor' and 'strokeWidth' are used.
+         * @param {string} [strokeColor] [Optional] The new color to use to draw the Ink (ignored if 'className' is supplied). Defaults to black (or yellow for a highlighter).
+         * @param {string} [strokeWidth] [Optional] The new thickness to use to draw the Ink (ignored if 'className' is supplied). Defaults to 4px (or 20px for a highlighter).
+         * @returns {this} The Ink instance.
+         */
+        Restyle(className: string, strokeColor?: string, strokeWidth?: string): this
+        {
+            if (this.Path() === null)
+            {
+                throw new MILException("Ink.Restyle() cannot be called until the Ink has been created");
+            }
+
+            let pathDomElement: DomElement = this.Path().node();
+            let oldStyle: InkStyle = { className: this._className, strokeColor: this._strokeColor, strokeWidth: this._strokeWidth };
+
+            if (this._className)
+            {
+                this.Path().classed(this._className, false);
+            }
+
+            this._className = className || "";
+            this._strokeColor = strokeColor || "";
+            this._strokeWidth = strokeWidth || "";
+
+            if (this._className)
+            {
+                this.Path().classed(this._className, true);
+            }
+            pathDomElement.style.stroke = !this._className ? (this._strokeColor || "black") : "";
+            pathDomElement.style.strokeWidth = !this._className ? (this._strokeWidth || "4px") : "";
+
+            if (this.isHighlighter())
+            {
+                this.applyHighlighterStyle(pathDomElement);
+            }
+
+            // A variable-width Ink is a filled outline whose shape depends on the [nominal] stroke-width, so it has to be re-drawn
+            if (this.isVariableWidth())
+            {
+                pathDomElement.style.fill = window.getComputedStyle(pathDomElement).stroke;
+                this.Path().attr("d", this.getPathData(pathDomElement.__MILPathPointsCollection__ as Point[][]));
+            }
+
+            this.applyDecoration(); // The arrowheads (if any) use the stroke color
+
+            getSpatialIndex(this.Path()).Update(this); // The indexed rectangle includes the stroke-width
+            recordInkRestyled(this, oldStyle, { className: this._className, strokeColor: this._strokeColor, strokeWidth: this._strokeWidth });
+            raiseInkChanged(getSvgInfo(this.Path()), this, { type: InkChangeType.Restyled });
+            return (this);
+        }
+
+        /**
+         * Changes the Decoration() of the [created] Ink instance, re-drawing its existing path (whereas setting Decoration() only affects an Ink that has not yet been started).
+         * Options that are not specified keep their current value. The change is recorded in the undo/redo history (see MIL.History()).
+         * @param {Partial<InkDecoration>} decoration The options to change.
+         * @returns {this} The Ink instance.
+         */
+        Redecorate(decoration: Partial<InkDecoration>): this
+        {
+            if (this.Path() === null)
+            {
+                throw new MILException("Ink.Redecorate() cannot be called until the Ink has been created");
             }
+
+            let oldDecoration: InkDecoration = this.Decoration();
+
+            this._decoration = this.mergeDecoration(decoration);
+            this.applyDecoration();
+
+            recordInkRedecorated(this, oldDecoration, this.Decoration());
+            raiseInkChanged(getSvgInfo(this.Path()), this, { type: InkChangeType.Restyled });
+            return (this);
         }
 
         /**
@@ -671,10 +2337,19 @@ namespace MIL
 
             let e: PointerEvent = getPointerDownEvent(this._pointerID, this.ParentGesture().Target());
             let isEraser: boolean = this.isEraser(e);
-            let ruler: Controls.RulerControl = getSvgInfo(e.target as DomElement).ruler;
+            let svgInfo: SVGInfo = getSvgInfo(e.target as DomElement);
+            let ruler: Controls.RulerControl = svgInfo.ruler;
 
             this._isEraserDrawing = !this.IsNonDrawing() && isEraser;
 
+            // Prevent drawing into a locked or hidden layer (by cancelling the gesture, which also cancels the Ink, so that it's never completed)
+            let activeLayer: InkLayer = svgInfo.layers.ActiveLayer();
+            if (!this.IsNonDrawing() && (activeLayer !== null) && !activeLayer.isEditable())
+            {
+                this.ParentGesture().Cancel("An Ink cannot be drawn while the active layer ('" + activeLayer.Name() + "') is locked or hidden");
+                return (this);
+            }
+
             if (!this._isNonDrawing && this._cometTailClassName)
             {
                 throw new MILException("Ink.CometTailClass() can only be set when IsNonDrawing() is true");
@@ -694,6 +2369,9 @@ namespace MIL
                 this._isCoercingInkToRuler = false;
             }
 
+            // Note: This is raised before starting the new line (which adds the first point)
+            raiseInkChanged(svgInfo, this, { type: InkChangeType.Started });
+
             // Start a new line (path)
             this.startNewLine(e);
 
@@ -708,7 +2386,7 @@ namespace MIL
         }
 
         /**
-         * [Private Method] Starts drawing a new line (path) using the specified pointerDown event. The line will be drawn on the corresponding svgInfo.gDomElement.
+         * [Private Method] Starts drawing a new line (path) using the specified pointerDown event. The line will be drawn in the active layer (see MIL.Layers()), if any, of the corresponding <svg>.
          * @param {PointerEvent} e A pointerDown event.
          */
         private startNewLine(e: PointerEvent): void
@@ -720,15 +2398,10 @@ namespace MIL
 
             if (isDrawing)
             {
-                if (_inkLineGenerator === null)
-                {
-                    _inkLineGenerator = d3.line<Point>()
-                        .curve(d3.curveBasis) // See http://bl.ocks.org/mbostock/4342190
-                        .x(function (d) { return (d.x); })
-                        .y(function (d) { return (d.y); });
-                }
-
-                _inkCurrentPath[pointerID] = svgInfo.gSelection.append("path").attr("data-pointerID", pointerID); // "tag" the path with the pointerID that drew it
+                // Note: A comet-tail is transient (and isn't an Ink), so it's always drawn on top of all layers. Subsequent lines are added alongside the first line
+                //       (rather than to the active layer) in case the active layer changed, or was locked or hidden, while the Ink was being drawn.
+                let container: Element = isCometTail ? svgInfo.gDomElement : ((_inkCurrentPath[pointerID] !== undefined) ? _inkCurrentPath[pointerID].node().parentNode as Element : getInkContainer(svgInfo));
+                _inkCurrentPath[pointerID] = d3.select(container).append("path").attr("data-pointerID", pointerID); // "tag" the path with the pointerID that drew it
                 this.applyStyle();
 
                 if (isCometTail)
@@ -826,130 +2499,539 @@ namespace MIL
                 this.startNewLine(e);
             }
 
+            let sampleChannels: InkSampleChannels = getSampleChannels(e);
+
+            // Optionally, smooth the [raw] pointer position
+            if (this._smoothingOptions.mode !== InkSmoothingMode.None)
+            {
+                if (completePathPointData.length === 0)
+                {
+                    this._smoothingState = { recentPoints: [], prevPoint: null, prevVelocity: null, prevTimestamp: 0 };
+                }
+                newPoint = smoothPoint(newPoint, sampleChannels.timestamp, this._smoothingOptions, this._smoothingState);
+            }
+
+            // Optionally, snap the point to the grid (see MIL.Snapping())
+            if (!this._isNonDrawing && !this._isEraserDrawing && !this._isCoercingInkToRuler)
+            {
+                newPoint = svgInfo.snapping.SnapToGrid(newPoint);
+            }
+
             // Append new data point [but only if it's "different" from the last point (to help smooth the line and to cut down on the number of points stored)]
             let isPointDifferentThanLast: boolean = true;
 
             if (completePathPointData.length > 0)
             {
                 let lastPoint: Point = completePathPointData[completePathPointData.length - 1];
-                let distanceThreshold: number = 3;
+                let distanceThreshold: number = this._minPointDistance;
                 isPointDifferentThanLast = (Math.abs(lastPoint.x - newPoint.x) >= distanceThreshold) || (Math.abs(lastPoint.y - newPoint.y) >= distanceThreshold);
             }
 
             if (isPointDifferentThanLast)
             {
                 completePathPointData.push(newPoint);
+                _inkCompletePathSampleData[pointerID].push(sampleChannels);
+                raiseInkChanged(svgInfo, this, { type: InkChangeType.PointAdded, point: newPoint });
 
                 if (isDrawing)
                 {
                     // Redraw the path
                     pathPointData.push(newPoint);
-                    _inkCurrentPath[pointerID].attr("d", _inkLineGenerator(pathPointData));
+
+                    if (this.isVariableWidth() && !this._isNonDrawing)
+                    {
+                        // Note: The widths are kept for the complete line (so that they match where the spawned paths overlap), but only the widths for the points
+                        //       in pathPointData [which are always the last points in completePathPointData] are used. The end of the line is not tapered until the Ink is complete.
+                        let currentPath: D3SingleSelection = _inkCurrentPath[pointerID];
+                        let strokeWidth: number = Utils.ToNumber(window.getComputedStyle(currentPath.node()).strokeWidth);
+
+                        if (completePathPointData.length === 1)
+                        {
+                            this._variableWidthState = { widths: [], distance: 0, smoothedPressure: 0.5, isPressureVarying: false };
+                        }
+                        appendVariableWidths(this._variableWidthState, completePathPointData, _inkCompletePathSampleData[pointerID], strokeWidth, this._variableWidthOptions);
+                        currentPath.attr("d", getVariableWidthPathData(pathPointData, this._variableWidthState.widths.slice(-pathPointData.length), false, this._curve));
+                    }
+                    else
+                    {
+                        _inkCurrentPath[pointerID].attr("d", getInkLinePathData(pathPointData, false, this._curve));
+                    }
+                }
+            }
+        }
+
+        /**
+         * [Internal] Handler for a pointerUp event. Typically this is called by the Ink's owning Gesture (or by the Ink itself).
+         * @param {PointerEvent} e A pointerUp event.
+         */
+        OnPointerUp(e: PointerEvent): void
+        {
+            let history: CommandHistory = getSvgInfo(e.target as DomElement).history;
+
+            // Completing the Ink can also beautify, combine or erase Inks, which we want to undo as a single command
+            history.BeginTransaction("DrawInk");
+            try
+            {
+                this.completeInk(e);
+            }
+            finally
+            {
+                history.EndTransaction();
+            }
+        }
+
+        /**
+         * [Private Method] Completes the Ink (and, if needed, beautifies it, auto-combines it with other Inks, or erases other Inks with it) when its pointer is lifted.
+         * @param {PointerEvent} e A pointerUp event.
+         */
+        private completeInk(e: PointerEvent): void
+        {
+            let pointerID: string = makePointerID(e);
+            let svgInfo: SVGInfo = getSvgInfo(e.target as DomElement);
+
+            if (this._isNonDrawing)
+            {
+                this._nonDrawingPathPoints = _inkCompletePathPointData[pointerID];
+                this._nonDrawingSampleChannels = _inkCompletePathSampleData[pointerID];
+            }
+            else
+            {
+                if (_inkCompletePathPointData[pointerID] !== undefined)
+                {
+                    // Handle a simple mouse click [in which case onPointerMove() will not have fired]
+                    if ((e.pointerType === "mouse") && (_inkCompletePathPointData[pointerID].length === 0))
+                    {
+                        // Since the main 'g' element can be transformed (ie. zoomed and/or panned), we need to transform the e.clientX/Y point into the coordinate space of the [potentially transformed] 'g' element
+                        let pointInTransformSpace: Point = TransposePointer(e, svgInfo.gDomElement);
+                        let clickPoint: Point = { x: pointInTransformSpace.x, y: pointInTransformSpace.y };
+                        if (!this._isEraserDrawing && !this._isCoercingInkToRuler)
+                        {
+                            clickPoint = svgInfo.snapping.SnapToGrid(clickPoint); // See MIL.Snapping()
+                        }
+                        _inkCompletePathPointData[pointerID].push(clickPoint);
+                        _inkCompletePathSampleData[pointerID].push(getSampleChannels(e));
+                        raiseInkChanged(svgInfo, this, { type: InkChangeType.PointAdded, point: clickPoint });
+                    }
+
+                    // Optionally, snap the start and end points to the endpoints of other Inks (see MIL.Snapping())
+                    if (!this._isEraserDrawing && !this._isCoercingInkToRuler)
+                    {
+                        svgInfo.snapping.snapEndpoints(this, _inkCompletePathPointData[pointerID]);
+                    }
+
+                    this.consolidatePaths(e);
+                }
+
+                if (this._isAutoStraighten && this.isHighlighter() && (this.PathPoints().length > 1) && (this._isCoercingInkToRuler || this.IsStraightLine()))
+                {
+                    this.straighten();
+                }
+                else if (this._isAutoBeautify && !this._isEraserDrawing && !this._isCoercingInkToRuler && (this.PathPoints().length > 1))
+                {
+                    let gDomElement: SVGGElement = DebugFeature(FeatureNames.ShapeRecognition) ? svgInfo.gDomElement : undefined;
+                    let shape: ShapeID = RecognizeShape(this.PathPoints(), 0.8, undefined, undefined, gDomElement, getBeautifiableShapeIDs());
+
+                    if (shape !== null)
+                    {
+                        this.Beautify(shape);
+                    }
+                }
+            }
+
+            this._pointerID = null; // To indicate that the inking is complete [and prevent getInkingGesture() from continuing to find gestures whose inking is complete]
+            this._isStarted = false;
+
+            delete _inkCompletePathPointData[pointerID];
+            delete _inkCompletePathSampleData[pointerID];
+            delete _inkCurrentPathPointData[pointerID];
+            delete _inkCurrentPath[pointerID];
+
+            if (!this._isNonDrawing && (this._finalPath !== null))
+            {
+                svgInfo.spatialIndex.Update(this);
+                recordInkAdded(this);
+                raiseInkChanged(svgInfo, this, { type: InkChangeType.Completed });
+            }
+
+            // Check if we should automatically combine this Ink with one-or-more other Inks that overlap with it in some way
+            if (!this._isEraserDrawing && !this._isNonDrawing && !this._isCoercingInkToRuler && (svgInfo.settings.InkAutoCombineMode() !== InkAutoCombineMode.Off))
+            {
+                let inksToCombine: Ink[] = [this];
+                let combinedPathClassName: string = "";
+                let autoCombineMode: InkAutoCombineMode = svgInfo.settings.InkAutoCombineMode();
+                let combinationTargetFound: boolean = false;
+                let pointsToTest: Point[] = this.PathPoints();
+
+                // Only Inks whose bounding rectangles overlap this Ink can possibly contain any of its points
+                let candidateInks: Ink[] = svgInfo.spatialIndex.Search(Utils.GetBoundingRectForPoints(pointsToTest));
+
+                for (let i = 0; i < candidateInks.length; i++)
+                {
+                    // Note: A highlighter is only combined with other highlighters (otherwise the combined Ink couldn't stay beneath regular Ink), and an Ink is only
+                    //       combined with Inks in the same [editable] layer (the active layer can be locked or hidden while the new Ink is being drawn)
+                    if ((candidateInks[i] === this) || (candidateInks[i].isHighlighter() !== this.isHighlighter()) || (candidateInks[i].Path().node().parentNode !== this.Path().node().parentNode) || !isInEditableLayer(candidateInks[i].Path()))
+                    {
+                        continue;
+                    }
+
+                    let polygonPoints: Point[] = candidateInks[i].PathPoints(); // Note: These are actually {x,y} points, not [x,y] points
+
+                    if ((autoCombineMode & InkAutoCombineMode.ContainedWithin) === InkAutoCombineMode.ContainedWithin)
+                    {
+                        let containedPointCount = Utils.CountPointsInPolygon(polygonPoints, pointsToTest);
+                        combinationTargetFound = (containedPointCount === pointsToTest.length);
+                    }
+
+                    if (!combinationTargetFound && ((autoCombineMode & InkAutoCombineMode.StartsWithin) === InkAutoCombineMode.StartsWithin))
+                    {
+                        combinationTargetFound = Utils.IsPointInPolygon(polygonPoints, pointsToTest[0].x, pointsToTest[0].y);
+                    }
+
+                    if (!combinationTargetFound && ((autoCombineMode & InkAutoCombineMode.EndsWithin) === InkAutoCombineMode.EndsWithin))
+                    {
+                        combinationTargetFound = Utils.IsPointInPolygon(polygonPoints, pointsToTest[pointsToTest.length - 1].x, pointsToTest[pointsToTest.length - 1].y);
+                    }
+
+                    if (!combinationTargetFound && ((autoCombineMode & InkAutoCombineMode.AnyPointWithin) === InkAutoCombineMode.AnyPointWithin))
+                    {
+                        combinationTargetFound = Utils.IsAnyPointInPolygon(polygonPoints, pointsToTest);
+                    }
+
+                    if (combinationTargetFound)
+                    {
+                        combinedPathClassName = candidateInks[i].Class() ? candidateInks[i].Class() : combinedPathClassName;
+                        inksToCombine.push(candidateInks[i]);
+                        combinationTargetFound = false;
+                    }
+                }
+
+                if (inksToCombine.length > 1)
+                {
+                    this.ParentGesture().CombineInks(inksToCombine, combinedPathClassName);
+                }
+            }
+
+            // Check if we should erase (split/trim or delete) the Inks that this [eraser] Ink crosses
+            if (this._isEraserDrawing && (this._finalPath !== null) && (svgInfo.settings.InkEraserMode() !== InkEraserMode.Draw))
+            {
+                this.eraseInks(svgInfo);
+            }
+        }
+
+        /**
+         * [Private Method] Erases the Inks (on the same 'g' element as the Ink, which must be an eraser Ink) that the Ink's path crosses, according to svgInfo.settings.InkEraserMode().
+         * The erased Inks are deleted and - when the mode is InkEraserMode.Split - replaced by new Inks for the parts that remain. Finally, the [eraser] Ink itself is deleted.
+         * @param {SVGInfo} svgInfo The SVGInfo of the <svg> the Ink was drawn on.
+         */
+        private eraseInks(svgInfo: SVGInfo): void
+        {
+            let eraser: Ink = this;
+            let eraserPoints: Point[] = this.PathPoints();
+            let eraserRadius: number = Utils.ToNumber(window.getComputedStyle(this._finalPath.node()).strokeWidth) / 2;
+            let eraserRect: Rect = Utils.GetBoundingRectForPoints(eraserPoints);
+            let isStrokeEraser: boolean = (svgInfo.settings.InkEraserMode() === InkEraserMode.Stroke);
+            let onInkErasedHandler: InkErasedEventHandler = svgInfo.settings.OnInkErasedHandler();
+            let erasedInkCount: number = 0;
+            let searchRect: Rect = { x: eraserRect.x - eraserRadius, y: eraserRect.y - eraserRadius, width: eraserRect.width + (eraserRadius * 2), height: eraserRect.height + (eraserRadius * 2) };
+            let targetInks: Ink[] = svgInfo.spatialIndex.Search(searchRect).filter(function (ink: Ink)
+            {
+                return ((ink !== eraser) && !ink.IsEraserDrawing() && svgInfo.gDomElement.contains(ink.Path().node()) && isInEditableLayer(ink.Path()));
+            });
+
+            targetInks.forEach(function (ink: Ink)
+            {
+                let pathDomElement: DomElement = ink.Path().node();
+                let pathPointsCollection: Point[][] = pathDomElement.__MILPathPointsCollection__ as Point[][];
+                let inkRect: Rect = Utils.GetBoundingRectForPoints([].concat.apply([], pathPointsCollection));
+                let eraseDistance: number = eraserRadius + (Utils.ToNumber(window.getComputedStyle(pathDomElement).strokeWidth) / 2); // The distance at which the [visible] eraser and Ink lines overlap
+                let isTooFarAway: boolean = (inkRect.x - eraseDistance > eraserRect.x + eraserRect.width) || (inkRect.x + inkRect.width + eraseDistance < eraserRect.x) ||
+                    (inkRect.y - eraseDistance > eraserRect.y + eraserRect.height) || (inkRect.y + inkRect.height + eraseDistance < eraserRect.y);
+
+                if (isTooFarAway)
+                {
+                    return;
+                }
+
+                let remainingLines: InkLine[] = ink.getUnerasedLines(eraserPoints, eraseDistance);
+
+                if (remainingLines !== null)
+                {
+                    let newInks: Ink[] = isStrokeEraser ? [] : ink.createInksFromLines(remainingLines);
+
+                    ink.Delete();
+                    erasedInkCount++;
+
+                    if (onInkErasedHandler !== null)
+                    {
+                        onInkErasedHandler.call(eraser, ink, newInks);
+                    }
+                }
+            });
+
+            log(erasedInkCount + " Ink(s) erased by Ink '" + this.InkID() + "' (mode: " + InkEraserMode[svgInfo.settings.InkEraserMode()] + ")");
+            this.Delete();
+        }
+
+        /**
+         * [Private Method] Returns the parts of the Ink's lines that remain after erasing the parts that are within 'eraseDistance' of the supplied eraser path, or null if no part of the Ink is erased.
+         * Parts with fewer than 2 points are discarded.
+         * @param {Point[]} eraserPoints The points of the eraser path.
+         * @param {number} eraseDistance The distance (in pixels) from the eraser path within which the Ink is erased.
+         * @returns {InkLine[] | null} Result.
+         */
+        private getUnerasedLines(eraserPoints: Point[], eraseDistance: number): InkLine[] | null
+        {
+            let pathDomElement: DomElement = this.Path().node();
+            let pathPointsCollection: Point[][] = pathDomElement.__MILPathPointsCollection__ as Point[][];
+            let isLinearCollection: boolean[] = (pathDomElement.__MILIsLinearCollection__ as boolean[]) || [];
+            let sampleChannelsCollection: InkSampleChannels[][] = (pathDomElement.__MILSampleChannelsCollection__ as InkSampleChannels[][]) || [];
+            let isClosed: boolean = this._isClosed && (pathPointsCollection.length === 1); // A combined Ink is never treated as being closed
+            let isAnyLineErased: boolean = false;
+            let remainingLines: InkLine[] = [];
+
+            for (let l = 0; l < pathPointsCollection.length; l++)
+            {
+                let pathPoints: Point[] = pathPointsCollection[l];
+                let sampleChannels: InkSampleChannels[] = (sampleChannelsCollection[l] && (sampleChannelsCollection[l].length === pathPoints.length)) ? sampleChannelsCollection[l] : null;
+                let line: InkLine = { pathPoints: pathPoints, sampleChannels: sampleChannels, isLinear: Boolean(isLinearCollection[l]) };
+                let isLineErased: boolean = false;
+
+                for (let i = 0; (i < pathPoints.length) && !isLineErased; i++)
+                {
+                    let nextPoint: Point = (i < pathPoints.length - 1) ? pathPoints[i + 1] : (isClosed ? pathPoints[0] : pathPoints[i]);
+                    isLineErased = (getDistanceToPolyline(pathPoints[i], nextPoint, eraserPoints) < eraseDistance);
                 }
+
+                if (!isLineErased)
+                {
+                    remainingLines.push(line);
+                    continue;
+                }
+
+                // Add points so that the eraser can't pass between 2 points without erasing at least one of them [the points can be far apart, eg. after the Ink has been scaled-up].
+                // Note: When a closed line is erased it becomes open, so we include the segment that joins the last point to the first point.
+                if (isClosed)
+                {
+                    line.pathPoints = pathPoints.concat([pathPoints[0]]);
+                    line.sampleChannels = sampleChannels ? sampleChannels.concat([sampleChannels[0]]) : null;
+                }
+                line = densifyInkLine(line, eraseDistance / 2);
+
+                let isErased: boolean[] = line.pathPoints.map(function (point: Point) { return (getDistanceToPolyline(point, point, eraserPoints) < eraseDistance); });
+                let runs: number[][] = []; // Each run is the [contiguous] indices of the unerased points
+                let run: number[] = null;
+
+                for (let i = 0; i < line.pathPoints.length; i++)
+                {
+                    if (isErased[i])
+                    {
+                        run = null;
+                    }
+                    else
+                    {
+                        if (run === null)
+                        {
+                            run = [];
+                            runs.push(run);
+                        }
+                        run.push(i);
+                    }
+                }
+
+                // For a closed line, the last run and the first run are joined [at the start point, which the last point duplicates]
+                if (isClosed && (runs.length > 1) && !isErased[0] && !isErased[line.pathPoints.length - 1])
+                {
+                    runs[0] = runs.pop().concat(runs[0].slice(1));
+                }
+
+                isAnyLineErased = true;
+                runs.filter(function (indices: number[]) { return (indices.length >= 2); }).forEach(function (indices: number[])
+                {
+                    remainingLines.push({
+                        pathPoints: indices.map(function (i: number) { return ({ x: line.pathPoints[i].x, y: line.pathPoints[i].y }); }),
+                        sampleChannels: line.sampleChannels ? indices.map(function (i: number) { return (line.sampleChannels[i]); }) : null,
+                        isLinear: line.isLinear
+                    });
+                });
+            }
+
+            return (isAnyLineErased ? remainingLines : null);
+        }
+
+        /**
+         * [Private Method] Creates new Inks (with the same properties as the Ink) from the supplied lines, and adds them to the <svg> directly below the Ink.
+         * A new Ink is created for each line, unless the Ink is combined (see Ink.IsCombined()) in which case a single new combined Ink is created for all the lines.
+         * @param {InkLine[]} lines The lines to create the new Inks from.
+         * @returns {Ink[]} The new Inks.
+         */
+        private createInksFromLines(lines: InkLine[]): Ink[]
+        {
+            let ink: Ink = this;
+            let gDomElement: SVGGElement = this.Path().node().parentNode as SVGGElement; // Either the 'g' element returned by MIL.Initialize(), or the 'g' element of a layer
+            let lineGroups: InkLine[][] = this.IsCombined() ? [lines] : lines.map(function (line: InkLine) { return ([line]); });
+
+            return (lineGroups.filter(function (lineGroup: InkLine[]) { return (lineGroup.length > 0); }).map(function (lineGroup: InkLine[])
+            {
+                let serializedInk: SerializedInk = ink.serialize();
+                let allXYPoints: XY[] = Utils.ConvertPointsToXYPoints([].concat.apply([], lineGroup.map(function (line: InkLine) { return (line.pathPoints); })));
+
+                serializedInk.id = ""; // The new Ink will be assigned a new ID
+                serializedInk.isClosed = false;
+                serializedInk.pathPointsCollection = lineGroup.map(function (line: InkLine) { return (line.pathPoints); });
+                serializedInk.isLinearCollection = lineGroup.map(function (line: InkLine) { return (line.isLinear); });
+                serializedInk.sampleChannelsCollection = lineGroup.map(function (line: InkLine) { return (line.sampleChannels); });
+                serializedInk.combinedOutlinePathPoints = ink.IsCombined() ? Utils.ConvertXYPointsToPoints(d3.polygonHull(allXYPoints) || allXYPoints) : null;
+                serializedInk.constituents = null; // The remaining lines no longer correspond to the original Inks
+
+                let newInk: Ink = new Ink(null).rehydrate(gDomElement, serializedInk);
+
+                // Preserve the z-order of the Ink
+                gDomElement.insertBefore(newInk.Path().node(), ink.Path().node());
+                if (newInk.HullPath() !== null)
+                {
+                    gDomElement.insertBefore(newInk.HullPath().node(), ink.Path().node());
+                }
+
+                return (newInk);
+            }));
+        }
+
+        /**
+         * Replaces the Ink's path with the idealized geometry (eg. a perfect ellipse) of the specified shape, fitted to the Ink's existing path.
+         * The Ink's hull is updated to cover the new path, but is otherwise preserved (so any Gestures that target it, eg. drag and resize, continue to work).
+         * Returns false if the shape does not support beautification (see MIL.BeautifyShape()).
+         * Note: The Ink is assumed to have already been recognized as the shape (eg. by MIL.RecognizeShape()).
+         * @param {ShapeID} shapeID The ID of the shape to beautify the Ink as.
+         * @returns {boolean} Result.
+         */
+        Beautify(shapeID: ShapeID): boolean
+        {
+            if (this.Path() === null)
+            {
+                throw new MILException("Ink.Beautify() cannot be called until the Ink has been created");
+            }
+
+            if (this.IsCombined() || this._isEraserDrawing)
+            {
+                throw new MILException("Ink.Beautify() cannot be called on a combined Ink or on an eraser Ink");
+            }
+
+            if (this._dragGesture !== null)
+            {
+                throw new MILException("Ink.Beautify() cannot be called while the Ink is being dragged");
+            }
+
+            let beautifiedShape: BeautifiedShape = BeautifyShape(shapeID, this.PathPoints());
+
+            if (beautifiedShape === null)
+            {
+                return (false);
+            }
+
+            // Re-sample the beautified shape [so the "density" of __MILPathPointsCollection__ remains high enough that intersection
+            // detection (ie. detecting if points of the Ink are inside another region) continues to work well]
+            let pathPoints: Point[] = this.resampleBeautifiedShape(beautifiedShape, 5);
+            let inkPath: D3SingleSelection = this.Path();
+
+            inkPath.node().__MILPathPointsCollection__ = [pathPoints];
+            inkPath.node().__MILIsLinearCollection__ = [true]; // So that the path is not re-drawn as a curve when it's subsequently translated or scaled
+            inkPath.node().__MILSampleChannelsCollection__ = [null]; // The beautified points don't correspond to the captured samples
+            this._isClosed = beautifiedShape.isClosed;
+            inkPath.attr("d", this.getPathData([pathPoints]));
+            this.applyDecoration(); // The fill (if any) only applies to a closed path
+
+            if (this.HullPath() !== null)
+            {
+                this.drawHull(this.HullPath(), pathPoints);
+            }
+
+            // Note: Beautify() is typically called before the Ink has been added to the index (see completeInk()), in which case the change is reported as part of InkChangeType.Completed
+            if (getSpatialIndex(inkPath).Contains(this))
+            {
+                getSpatialIndex(inkPath).Update(this);
+                raiseInkChanged(getSvgInfo(inkPath), this, { type: InkChangeType.Beautified, shapeID: shapeID });
             }
+
+            log("Ink '" + this.InkID() + "' beautified as shape '" + getShapeName(shapeID) + "'");
+            return (true);
         }
 
         /**
-         * [Internal] Handler for a pointerUp event. Typically this is called by the Ink's owning Gesture (or by the Ink itself).
-         * @param {PointerEvent} e A pointerUp event.
+         * [Private Method] Replaces the [just completed] path of a highlighter Ink with a straight line: if the Ink was drawn against the Ruler the line joins its first and last points,
+         * otherwise it's a horizontal line (at the average height of the points) that spans the points [so that it neatly highlights a line of text].
          */
-        OnPointerUp(e: PointerEvent): void
+        private straighten(): void
         {
-            let pointerID: string = makePointerID(e);
-            let svgInfo: SVGInfo = getSvgInfo(e.target as DomElement);
+            let inkPath: D3SingleSelection = this.Path();
+            let pathPoints: Point[] = this.PathPoints();
+            let linePoints: Point[];
 
-            if (this._isNonDrawing)
+            if (this._isCoercingInkToRuler)
             {
-                this._nonDrawingPathPoints = _inkCompletePathPointData[pointerID];
+                linePoints = [pathPoints[0], pathPoints[pathPoints.length - 1]];
             }
             else
             {
-                if (_inkCompletePathPointData[pointerID] !== undefined)
-                {
-                    // Handle a simple mouse click [in which case onPointerMove() will not have fired]
-                    if ((e.pointerType === "mouse") && (_inkCompletePathPointData[pointerID].length === 0))
-                    {
-                        // Since the main 'g' element can be transformed (ie. zoomed and/or panned), we need to transform the e.clientX/Y point into the coordinate space of the [potentially transformed] 'g' element
-                        let pointInTransformSpace: Point = TransposePointer(e, svgInfo.gDomElement);
-                        _inkCompletePathPointData[pointerID].push({ x: pointInTransformSpace.x, y: pointInTransformSpace.y });
-                    }
-
-                    this.consolidatePaths(e);
-                }
+                let boundingRect: Rect = Utils.GetBoundingRectForPoints(pathPoints);
+                let averageY: number = pathPoints.reduce(function (sum: number, point: Point) { return (sum + point.y); }, 0) / pathPoints.length;
+                let isLeftToRight: boolean = (pathPoints[0].x <= pathPoints[pathPoints.length - 1].x);
+                let left: Point = { x: boundingRect.x, y: averageY }, right: Point = { x: boundingRect.x + boundingRect.width, y: averageY };
 
-                // We store the path-points on the Path DOM element directly because this makes it easier to subsequently access them.
-                // Even though we only have a single array of points, we store them as an array of array of points in order to support
-                // multi-line paths [created via Gesture.CombineInks()].
-                this._finalPath.node().__MILPathPointsCollection__ = [_inkCompletePathPointData[pointerID]];
+                linePoints = isLeftToRight ? [left, right] : [right, left];
             }
 
-            this._pointerID = null; // To indicate that the inking is complete [and prevent getInkingGesture() from continuing to find gestures whose inking is complete]
-            this._isStarted = false;
+            // Re-sample the line [for the same reason as Beautify()]
+            let straightenedPoints: Point[] = this.resampleBeautifiedShape({ points: linePoints, isClosed: false }, 5);
 
-            delete _inkCompletePathPointData[pointerID];
-            delete _inkCurrentPathPointData[pointerID];
-            delete _inkCurrentPath[pointerID];
+            inkPath.node().__MILPathPointsCollection__ = [straightenedPoints];
+            inkPath.node().__MILIsLinearCollection__ = [true];
+            inkPath.node().__MILSampleChannelsCollection__ = [null]; // The straightened points don't correspond to the captured samples
+            this._isClosed = false;
+            inkPath.attr("d", this.getPathData([straightenedPoints]));
+            this.applyDecoration();
 
-            // Check if we should automatically combine this Ink with one-or-more other Inks that overlap with it in some way
-            if (!this._isEraserDrawing && !this._isNonDrawing && !this._isCoercingInkToRuler && (svgInfo.settings.InkAutoCombineMode() !== InkAutoCombineMode.Off))
+            if (this.HullPath() !== null)
             {
-                let inksToCombine: Ink[] = [this];
-                let combinedPathClassName: string = "";
-                let autoCombineMode: InkAutoCombineMode = svgInfo.settings.InkAutoCombineMode();
-                let combinationTargetFound: boolean = false;
-                let pointsToTest: Point[] = this.PathPoints();
-
-                for (let i = 0; i < MIL._inks.length; i++)
-                {
-                    if (MIL._inks[i] === this)
-                    {
-                        continue;
-                    }
-
-                    let polygonPoints: Point[] = MIL._inks[i].PathPoints(); // Note: These are actually {x,y} points, not [x,y] points
-
-                    if ((autoCombineMode & InkAutoCombineMode.ContainedWithin) === InkAutoCombineMode.ContainedWithin)
-                    {
-                        let containedPointCount = Utils.CountPointsInPolygon(polygonPoints, pointsToTest);
-                        combinationTargetFound = (containedPointCount === pointsToTest.length);
-                    }
-
-                    if (!combinationTargetFound && ((autoCombineMode & InkAutoCombineMode.StartsWithin) === InkAutoCombineMode.StartsWithin))
-                    {
-                        combinationTargetFound = Utils.IsPointInPolygon(polygonPoints, pointsToTest[0].x, pointsToTest[0].y);
-                    }
-
-                    if (!combinationTargetFound && ((autoCombineMode & InkAutoCombineMode.EndsWithin) === InkAutoCombineMode.EndsWithin))
-                    {
-                        combinationTargetFound = Utils.IsPointInPolygon(polygonPoints, pointsToTest[pointsToTest.length - 1].x, pointsToTest[pointsToTest.length - 1].y);
-                    }
+                this.drawHull(this.HullPath(), straightenedPoints);
+            }
+        }
 
-                    if (!combinationTargetFound && ((autoCombineMode & InkAutoCombineMode.AnyPointWithin) === InkAutoCombineMode.AnyPointWithin))
-                    {
-                        combinationTargetFound = Utils.IsAnyPointInPolygon(polygonPoints, pointsToTest);
-                    }
+        /**
+         * [Private Method] Returns the vertices of the supplied BeautifiedShape with additional points inserted along each edge so that no two consecutive points are further apart than 'maxDistanceInPxBetweenPoints'.
+         * @param {BeautifiedShape} beautifiedShape The shape to re-sample.
+         * @param {number} maxDistanceInPxBetweenPoints The maximum distance (in pixels) between consecutive points.
+         * @returns {Point[]} Result.
+         */
+        private resampleBeautifiedShape(beautifiedShape: BeautifiedShape, maxDistanceInPxBetweenPoints: number): Point[]
+        {
+            let vertices: Point[] = beautifiedShape.points;
+            let edgeCount: number = beautifiedShape.isClosed ? vertices.length : vertices.length - 1;
+            let resampledPoints: Point[] = [{ x: vertices[0].x, y: vertices[0].y }];
 
-                    if (combinationTargetFound)
-                    {
-                        combinedPathClassName = MIL._inks[i].Class() ? MIL._inks[i].Class() : combinedPathClassName;
-                        inksToCombine.push(MIL._inks[i]);
-                        combinationTargetFound = false;
-                    }
-                }
+            for (let i = 0; i < edgeCount; i++)
+            {
+                let startPoint: Point = vertices[i];
+                let endPoint: Point = vertices[(i + 1) % vertices.length];
+                let segmentCount: number = Math.max(1, Math.ceil(Utils.GetDistanceBetweenPoints(startPoint, endPoint) / maxDistanceInPxBetweenPoints));
+                let isClosingEdge: boolean = beautifiedShape.isClosed && (i === edgeCount - 1);
 
-                if (inksToCombine.length > 1)
+                // Note: We don't add the end point of the closing edge since it's the same as the first point (the path is closed with 'Z')
+                for (let s = 1; s <= (isClosingEdge ? segmentCount - 1 : segmentCount); s++)
                 {
-                    this.ParentGesture().CombineInks(inksToCombine, combinedPathClassName);
+                    let ratio: number = s / segmentCount;
+                    resampledPoints.push({ x: startPoint.x + ((endPoint.x - startPoint.x) * ratio), y: startPoint.y + ((endPoint.y - startPoint.y) * ratio) });
                 }
             }
+            return (resampledPoints);
         }
 
         /**
          * Starts a drag operation for the Ink. When the drag is complete, call Ink.DragEnd().
          * @param {Gesture} dragGesture The Gesture being used to drag the Ink (must target the Ink's Hull).
          * @param {string} [groupDragSelectionClassName] [Optional] The name of a class used to find the set of Inks to drag (ie. a multi-select drag).
+         * If not supplied, and the Ink is selected (see MIL.Selection()), all the selected Inks are dragged.
          */
-        DragStart(dragGesture: Gesture, groupDragSelectionClassName: string): void
+        DragStart(dragGesture: Gesture, groupDragSelectionClassName?: string): void
         {
             if (dragGesture.Target() !== this.HullPath().node())
             {
@@ -961,11 +3043,18 @@ namespace MIL
             let svgInfo: SVGInfo = getSvgInfo(dragGesture.Target());
             let inkPath: D3SingleSelection = this.Path();
             let hullPath: D3SingleSelection = this.HullPath();
+
+            if ((groupDragSelectionClassName === undefined) && svgInfo.selection.Contains(this))
+            {
+                groupDragSelectionClassName = SELECTED_INK_CLASS_NAME;
+            }
+
             let isDraggedSelection: boolean = groupDragSelectionClassName && inkPath.classed(groupDragSelectionClassName);
 
             this._previousDragMovePoint = startPoint;
             this._groupDragSelectionClassName = groupDragSelectionClassName || null;
             this._dragGesture = dragGesture;
+            this._dragDelta = { x: 0, y: 0 };
 
             // Re-create the inkHull (drag target) and the inkPath (we do this to change the z-order of these elements [z-order = order
             // added to SVG] to "top", so that they are dragged above erasure paths and other draggable elements)
@@ -979,11 +3068,25 @@ namespace MIL
                 selectedHulls = g.selectAll("path.MILInkHullPath").filter<DomElement>(function () { return (ink.getInkPathAssociatedWithHull(this as DomElement).classed(ink._groupDragSelectionClassName)); });
             }
 
-            let draggedPathElements: DomElement[] = selectedPaths.remove().nodes();
-            draggedPathElements.forEach(function (element) { svgInfo.gDomElement.appendChild(element); });
+            // Note: Each element stays in its layer (if any)
+            let draggedPathElements: DomElement[] = selectedPaths.nodes();
+            draggedPathElements.forEach(function (element) { element.parentNode.appendChild(element); });
+
+            let draggedHullElements: DomElement[] = selectedHulls.nodes();
+            draggedHullElements.forEach(function (element) { element.parentNode.appendChild(element); });
+
+            // Note: The dragged Inks are excluded from the alignment targets
+            let draggedInks: Ink[] = draggedPathElements.map(function (element) { return (GetInkByElement(element)); }).filter(Boolean);
+            this._dragSnapState = svgInfo.snapping.beginDrag(draggedInks);
 
-            let draggedHullElements: DomElement[] = selectedHulls.remove().nodes();
-            draggedHullElements.forEach(function (element) { svgInfo.gDomElement.appendChild(element); });
+            // A dragged highlighter must still remain beneath all the [non-dragged] regular Inks
+            draggedPathElements.concat(draggedHullElements).forEach(function (element)
+            {
+                if (d3.select(element).classed(HIGHLIGHTER_CLASS_NAME))
+                {
+                    moveBelowNonHighlighterInks(element);
+                }
+            });
 
             // The dragGesture didn't create the Ink whose hull it's targeted on, but since it needs to operate on the
             // Ink.Path() in addition to the Ink.HullPath() [its Target()], we tag the gesture with its "host" Ink
@@ -993,6 +3096,7 @@ namespace MIL
             }
             dragGesture.ink(this);
 
+            svgInfo.selection.inkChanged(this, true);
             dragGesture.OnMoveHandler(Ink.dragMove); // This handler will be removed automatically when the gesture ends [by removePointer()])
         }
 
@@ -1022,13 +3126,17 @@ namespace MIL
             }
 
             let currentPoint: Point = dragGesture.GetCurrentSvgPoint("{P1}");
-            let previousPoint: Point = ink._previousDragMovePoint;
+            let startPoint: Point = dragGesture.GetStartSvgPoint("{P1}");
             let svgInfo: SVGInfo = getSvgInfo(dragGesture.Target());
-            let deltaX: number = (currentPoint.x - previousPoint.x);
-            let deltaY: number = (currentPoint.y - previousPoint.y);
             let inkPath: D3SingleSelection = ink.Path();
 
+            // The total translation is snapped (see MIL.Snapping()), so the [incremental] delta is the change in the snapped translation since the previous move
+            let dragDelta: Point = svgInfo.snapping.snapDragDelta(ink._dragSnapState, currentPoint.x - startPoint.x, currentPoint.y - startPoint.y);
+            let deltaX: number = (dragDelta.x - ink._dragDelta.x);
+            let deltaY: number = (dragDelta.y - ink._dragDelta.y);
+
             ink._previousDragMovePoint = currentPoint;
+            ink._dragDelta = dragDelta;
 
             if ((deltaX !== 0) || (deltaY !== 0))
             {
@@ -1081,12 +3189,14 @@ namespace MIL
             let dragGesture: Gesture = this._dragGesture;
             let currentPoint: Point = dragGesture.GetCurrentSvgPoint("{P1}"); // TODO: Revisit defaulting to using the {P1} pointer of the drag gesture
             let startPoint: Point = dragGesture.GetStartSvgPoint("{P1}");
-            let deltaX: number = (currentPoint.x - startPoint.x);
-            let deltaY: number = (currentPoint.y - startPoint.y);
             let svgInfo: SVGInfo = getSvgInfo(dragGesture.Target());
+            let dragDelta: Point = svgInfo.snapping.snapDragDelta(this._dragSnapState, currentPoint.x - startPoint.x, currentPoint.y - startPoint.y);
+            let deltaX: number = dragDelta.x;
+            let deltaY: number = dragDelta.y;
             let inkPath: D3SingleSelection = this.Path();
             let hullPath: D3SingleSelection = this.HullPath();
             let isDraggedSelection: Boolean = this._groupDragSelectionClassName && inkPath.classed(this._groupDragSelectionClassName);
+            let draggedInks: Ink[] = [this];
 
             // Do the final "manual" translation of the ink (to update __MILPathPointsCollection__ and clear the transform) and hull
             if (isDraggedSelection)
@@ -1095,10 +3205,12 @@ namespace MIL
                 let selectedPaths: D3Selection = g.selectAll("path.MILInkPath" + (ink._groupDragSelectionClassName ? "." + ink._groupDragSelectionClassName : ""));
                 let selectedHulls: D3Selection = g.selectAll("path.MILInkHullPath").filter<DomElement>(function () { return (ink.getInkPathAssociatedWithHull(this as DomElement).classed(ink._groupDragSelectionClassName)); });
 
+                draggedInks = [];
                 selectedPaths.each(function (d, i)
                 {
                     let inkPath: D3SingleSelection = d3.select(this);
                     ink.translateInkPath(inkPath, deltaX, deltaY, false);
+                    draggedInks.push(GetInkByElement(inkPath));
                 });
 
                 selectedHulls.each(function (d, i)
@@ -1113,9 +3225,19 @@ namespace MIL
                 this.translateHullPath(hullPath, deltaX, deltaY, false);
             }
 
+            draggedInks = draggedInks.filter(Boolean);
+            recordInksTranslated(draggedInks, deltaX, deltaY);
+            draggedInks.forEach(function (draggedInk: Ink) { svgInfo.spatialIndex.Update(draggedInk); });
+            svgInfo.selection.inkChanged(this, false);
+            draggedInks.forEach(function (draggedInk: Ink) { raiseInkChanged(svgInfo, draggedInk, { type: InkChangeType.Dragged, deltaX: deltaX, deltaY: deltaY }); });
+
+            svgInfo.snapping.endDrag();
+
             this._previousDragMovePoint = null;
             this._groupDragSelectionClassName = null;
             this._dragGesture = null;
+            this._dragDelta = null;
+            this._dragSnapState = null;
         }
 
         /** 
@@ -1296,8 +3418,7 @@ namespace MIL
             {
                 let pathPointsCollection: Point[][] = inkPath.node().__MILPathPointsCollection__ as Point[][];
                 let translatedPathPointsCollection: Point[][] = [];
-                let d: string = "";
-                let isClosed: boolean = (inkPath.attr("d")[inkPath.attr("d").length - 1] === "Z");
+                let pathInk: Ink = GetInkByElement(inkPath) || this; // When dragging a selection, inkPath can belong to another Ink
 
                 // Undo any existing transform translation [created when useTransform is 'true']
                 inkPath.attr("transform", null);
@@ -1316,14 +3437,60 @@ namespace MIL
                     }
 
                     translatedPathPointsCollection.push(translatedPathPoints);
-                    d += _inkLineGenerator(translatedPathPoints);
                 }
 
-                inkPath.attr("d", d + (isClosed ? "Z" : ""));
+                inkPath.attr("d", pathInk.getPathData(translatedPathPointsCollection));
                 inkPath.node().__MILPathPointsCollection__ = translatedPathPointsCollection;
             }
         }
 
+        /**
+         * [Internal] Translates the Ink (and its Hull, if any) by the specified x/y delta.
+         * @param {number} deltaX The number of pixels to translate by on the x-axis.
+         * @param {number} deltaY The number of pixels to translate by on the y-axis.
+         * @internal
+         */
+        translate(deltaX: number, deltaY: number): void
+        {
+            this.translateInkPath(this.Path(), deltaX, deltaY, false);
+
+            if (this.HullPath() !== null)
+            {
+                this.translateHullPath(this.HullPath(), deltaX, deltaY, false);
+            }
+            getInkSelection(this.Path()).inkChanged(this, false);
+            getSpatialIndex(this.Path()).Update(this);
+            raiseInkChanged(getSvgInfo(this.Path()), this, { type: InkChangeType.Dragged, deltaX: deltaX, deltaY: deltaY });
+        }
+
+        /**
+         * [Internal] Stretches the Ink (and its Hull, if any) by independent x/y scale factors, keeping 'origin' fixed. Unlike Scale(), the aspect ratio of
+         * the Ink can change, so the Ink's Scale() is not updated. The stroke-width of the Ink is unaffected. The change is recorded in the undo/redo history.
+         * @param {number} scaleX The factor to scale by on the x-axis (must be non-zero).
+         * @param {number} scaleY The factor to scale by on the y-axis (must be non-zero).
+         * @param {Point} origin The point that remains fixed.
+         * @internal
+         */
+        stretch(scaleX: number, scaleY: number, origin: Point): void
+        {
+            let stretchPoints = function (points: Point[]): Point[]
+            {
+                return (points.map(function (point: Point) { return ({ x: origin.x + ((point.x - origin.x) * scaleX), y: origin.y + ((point.y - origin.y) * scaleY) }); }));
+            };
+
+            this.transformInkPath(this.Path(), stretchPoints);
+
+            if (this.HullPath() !== null)
+            {
+                this.transformHullPath(this.HullPath(), stretchPoints);
+            }
+
+            recordInkStretched(this, scaleX, scaleY, origin);
+            getInkSelection(this.Path()).inkChanged(this, false);
+            getSpatialIndex(this.Path()).Update(this);
+            raiseInkChanged(getSvgInfo(this.Path()), this, { type: InkChangeType.Resized, scaleX: scaleX, scaleY: scaleY });
+        }
+
         /**
          * [Private Method] Translates the specified Ink Hull path by the specified x/y delta.
          * @param {D3SingleSelection} hullPath The Ink Hull path to translate (as a D3 Selection of the svg Path element).
@@ -1439,12 +3606,32 @@ namespace MIL
             let isEraser: boolean = this._isEraserDrawing;
             let svgInfo: SVGInfo = getSvgInfo(e.target as DomElement);
 
+            // Optionally, simplify the line [so that the path, the hull and shape recognition all use the simplified points]
+            if (this._simplificationTolerance > 0)
+            {
+                let keptIndices: number[] = Utils.getSimplifiedPointIndices(_inkCompletePathPointData[pointerID], this._simplificationTolerance);
+
+                _inkCompletePathPointData[pointerID] = keptIndices.map(function (index: number) { return (_inkCompletePathPointData[pointerID][index]); });
+                _inkCompletePathSampleData[pointerID] = keptIndices.map(function (index: number) { return (_inkCompletePathSampleData[pointerID][index]); });
+            }
+            this._smoothingState = null;
+            this._variableWidthState = null;
+
             // Add a single "composite" path to replace the multiple [overlapping] constituent paths
-            let path: D3SingleSelection = this._finalPath = svgInfo.gSelection.append("path").attr("d", _inkLineGenerator(_inkCompletePathPointData[pointerID]) + (this._isAutoCose ? "Z" : ""));
+            let inkContainer: D3SingleSelection = d3.select(_inkCurrentPath[pointerID].node().parentNode as SVGGElement); // The 'g' element the Ink was drawn in (see startNewLine())
+            let path: D3SingleSelection = this._finalPath = inkContainer.append("path");
 
             this.applyStyle();
             path.classed("MILInkPath", true); // Just to make it easier to find the ink paths using CSS selector syntax ("path.MILInkPath") 
 
+            // We store the path-points on the Path DOM element directly because this makes it easier to subsequently access them.
+            // Even though we only have a single array of points, we store them as an array of array of points in order to support
+            // multi-line paths [created via Gesture.CombineInks()].
+            path.node().__MILPathPointsCollection__ = [_inkCompletePathPointData[pointerID]];
+            path.node().__MILSampleChannelsCollection__ = [_inkCompletePathSampleData[pointerID]]; // See Ink.Samples()
+            this._isClosed = this._isAutoCose;
+            path.attr("d", this.getPathData([_inkCompletePathPointData[pointerID]]));
+
             // Remove the multiple [overlapping] constituent paths
             let constituentPaths: D3Selection = svgInfo.gSelection.selectAll("[data-pointerID=" + pointerID + "]");
             constituentPaths.remove();
@@ -1473,61 +3660,146 @@ namespace MIL
                 let rectTop: number = offsetTop - adj;
                 let rectWidth: number = width + penWidth;
                 let rectHeight: number = height + penWidth;
-                let hullPath: D3SingleSelection = svgInfo.gSelection.append("path");
-                let d: string = "";
+                let hullPath: D3SingleSelection = inkContainer.append("path");
 
                 hullPath.node().__MILAssociatedInkPath__ = path; // "tag" the hull with its corresponding Ink path
                 hullPath.classed("MILInkHullPath", true); // Just to make it easier to find the hulls using CSS selector syntax ("path.MILInkHullPath")
-                hullPath.style("stroke", this.HullColor());
-                hullPath.style("stroke-width", "1px");
-                hullPath.style("fill", this.HullColor());
+                this.drawHull(hullPath, pathPoints);
 
-                let polygonPoints: XY[] = Utils.ConvertPointsToXYPoints(pathPoints);
-                let isStraightLine: boolean = Utils.IsStraightLine(polygonPoints);
+                this._hullPath = hullPath;
 
-                if (this.HullType() === InkHullType.Concave)
+                // Ensure creation of the resize gesture [when the ResizeWith() setter is first called, it's target (Ink.HullPath()) won't yet exist so the gesture won't get created]
+                if (this._resizeGesturePointerType)
                 {
-                    if (isStraightLine)
-                    {
-                        log("Ink determined to be a straight-line");
-                        for (let i = 0; i < polygonPoints.length; i++)
-                        {
-                            d += (!d ? "M " : " L ") + polygonPoints[i][0] + " " + polygonPoints[i][1];
-                        }
-                        hullPath.attr("d", d);
-                        hullPath.style("stroke-width", (Utils.ToNumber(window.getComputedStyle(this._finalPath.node()).strokeWidth) * 7) + "px");
-                        hullPath.style("fill", "");
-                    }
-                    else
+                    this.ResizeWith(this._resizeGesturePointerType);
+                }
+            }
+
+            this.applyHighlighter();
+            this.applyDecoration();
+        }
+
+        /**
+         * [Private Method] Sets the style and path data ('d') of the specified Ink Hull path so that it covers the supplied path-points (using the Ink's HullType).
+         * @param {D3SingleSelection} hullPath The Ink Hull path to draw.
+         * @param {Point[]} pathPoints The path-points the hull should cover.
+         */
+        private drawHull(hullPath: D3SingleSelection, pathPoints: Point[]): void
+        {
+            let d: string = "";
+
+            hullPath.style("stroke", this.HullColor());
+            hullPath.style("stroke-width", "1px");
+            hullPath.style("fill", this.HullColor());
+
+            let polygonPoints: XY[] = Utils.ConvertPointsToXYPoints(pathPoints);
+            let isStraightLine: boolean = Utils.IsStraightLine(polygonPoints);
+
+            if (this.HullType() === InkHullType.Concave)
+            {
+                if (isStraightLine)
+                {
+                    log("Ink determined to be a straight-line");
+                    for (let i = 0; i < polygonPoints.length; i++)
                     {
-                        for (let i = 0; i < pathPoints.length; i++)
-                        {
-                            d += (!d ? "M " : " L ") + pathPoints[i].x + " " + pathPoints[i].y;
-                        }
-                        hullPath.attr("d", d);
+                        d += (!d ? "M " : " L ") + polygonPoints[i][0] + " " + polygonPoints[i][1];
                     }
+                    hullPath.attr("d", d);
+                    hullPath.style("stroke-width", (Utils.ToNumber(window.getComputedStyle(this._finalPath.node()).strokeWidth) * 7) + "px");
+                    hullPath.style("fill", "");
                 }
-
-                if (this.HullType() === InkHullType.Convex)
+                else
                 {
-                    let hullVertices: XY[] = d3.polygonHull(polygonPoints);
-                    for (let i = 0; i < hullVertices.length; i++)
+                    for (let i = 0; i < pathPoints.length; i++)
                     {
-                        d += (!d ? "M " : " L ") + hullVertices[i][0] + " " + hullVertices[i][1];
+                        d += (!d ? "M " : " L ") + pathPoints[i].x + " " + pathPoints[i].y;
                     }
                     hullPath.attr("d", d);
                 }
+            }
+
+            if (this.HullType() === InkHullType.Convex)
+            {
+                let hullVertices: XY[] = d3.polygonHull(polygonPoints);
+                for (let i = 0; i < hullVertices.length; i++)
+                {
+                    d += (!d ? "M " : " L ") + hullVertices[i][0] + " " + hullVertices[i][1];
+                }
+                hullPath.attr("d", d);
+            }
+        }
 
-                this._hullPath = hullPath;
+        /**
+         * [Private Method] Re-draws the specified Ink path (and updates __MILPathPointsCollection__) after applying 'transformPoints' to each of its lines.
+         * @param {D3SingleSelection} inkPath The Ink path to transform (as a D3 Selection of the svg Path element).
+         * @param {(points: Point[]) => Point[]} transformPoints A function that returns the transformed (eg. rotated) version of the supplied points.
+         */
+        private transformInkPath(inkPath: D3SingleSelection, transformPoints: (points: Point[]) => Point[]): void
+        {
+            let pathPointsCollection: Point[][] = inkPath.node().__MILPathPointsCollection__ as Point[][];
+            let transformedPathPointsCollection: Point[][] = pathPointsCollection.map(transformPoints);
 
-                // Ensure creation of the resize gesture [when the ResizeWith() setter is first called, it's target (Ink.HullPath()) won't yet exist so the gesture won't get created]
-                if (this._resizeGesturePointerType)
+            inkPath.attr("d", this.getPathData(transformedPathPointsCollection));
+            inkPath.node().__MILPathPointsCollection__ = transformedPathPointsCollection;
+        }
+
+        /**
+         * [Private Method] Re-draws the specified Ink Hull path after applying 'transformPoints' to its points.
+         * @param {D3SingleSelection} hullPath The Ink Hull path to transform.
+         * @param {(points: Point[]) => Point[]} transformPoints A function that returns the transformed (eg. rotated) version of the supplied points.
+         */
+        private transformHullPath(hullPath: D3SingleSelection, transformPoints: (points: Point[]) => Point[]): void
+        {
+            let hullPathDomElement: DomElement = Utils.GetDomElement(hullPath, SVGPathElement);
+            let values: string[] = hullPathDomElement.getAttribute("d").split(" ");
+            let hullPathData: string = "";
+
+            for (let i = 0; i < values.length; i++)
+            {
+                if (isNaN(+values[i]))
                 {
-                    this.ResizeWith(this._resizeGesturePointerType);
+                    if (values[i].length !== 1)
+                    {
+                        throw new MILException("Unexpected value ('" + values[i] + "') in 'd'");
+                    }
+
+                    // M or L
+                    hullPathData += values[i] + " ";
                 }
+                else
+                {
+                    // x y
+                    let transformedPoint: Point = transformPoints([{ x: +values[i], y: +values[++i] }])[0];
+                    hullPathData += transformedPoint.x + " " + transformedPoint.y + " ";
+                }
+            }
+            hullPathDomElement.setAttribute("d", hullPathData.trim());
+
+            if (this.IsCombined())
+            {
+                this._combinedOutlinePathPoints = transformPoints(this._combinedOutlinePathPoints);
             }
         }
 
+        /**
+         * [Private Static Method] Returns the supplied points rotated around 'pivot'.
+         * @param {Point[]} points The points to rotate.
+         * @param {number} angle The angle (in degrees, clockwise) to rotate by.
+         * @param {Point} pivot The point to rotate around.
+         * @returns {Point[]} Result.
+         */
+        private static rotatePoints(points: Point[], angle: number, pivot: Point): Point[]
+        {
+            let radians: number = angle * (Math.PI / 180);
+            let cos: number = Math.cos(radians), sin: number = Math.sin(radians);
+
+            return (points.map(function (point: Point)
+            {
+                let offsetX: number = point.x - pivot.x, offsetY: number = point.y - pivot.y;
+                return ({ x: pivot.x + (offsetX * cos) - (offsetY * sin), y: pivot.y + (offsetX * sin) + (offsetY * cos) });
+            }));
+        }
+
         /**
          * [Private Method] Scales (resizes) the specified Ink path.
          * @param {D3SingleSelection} inkPath The Ink path to scale (as a D3 Selection of the svg Path element).
@@ -1578,8 +3850,6 @@ namespace MIL
                 let pathPointsCollection: Point[][] = inkPath.node().__MILPathPointsCollection__ as Point[][];
                 let scaledPathPointsCollection: Point[][] = [];
                 let allPoints: Point[] = [];
-                let d: string = "";
-                let isClosed: boolean = (inkPath.attr("d")[inkPath.attr("d").length - 1] === "Z");
 
                 // Undo the existing scale transform [added when useTransform is 'true']
                 // [the following will result in inkPath.node().transform.baseVal.numberOfItems becoming 0]
@@ -1615,10 +3885,10 @@ namespace MIL
                     }
 
                     scaledPathPointsCollection.push(scaledPathPoints);
-                    d += _inkLineGenerator(scaledPathPoints);
                 }
 
-                inkPath.attr("d", d + (isClosed ? "Z" : ""));
+                // Note: A variable-width Ink keeps its [nominal] width, just like the stroke-width of a regular Ink
+                inkPath.attr("d", this.getPathData(scaledPathPointsCollection, startStrokeWidth));
                 inkPath.node().__MILPathPointsCollection__ = scaledPathPointsCollection;
 
                 // Finally, revert the stroke-width to its original value [after having adjusted it when useTransform is true]
@@ -1693,13 +3963,194 @@ namespace MIL
          * @param {D3SingleSelection} hullPath The new Hull path.
          * @param {D3SingleSelection} inkPath The new Ink path.
          * @param {Point[]} hullPoints The new Hull points (combined outline).
+         * @param {SerializedInkConstituent[]} [constituents] [Optional] The original Inks that the Ink was combined from (see Ink.Split()), or null if they are not known.
          * @internal
          */
-        setHullAndPath(hullPath: D3SingleSelection, inkPath: D3SingleSelection, hullPoints: Point[]): void
+        setHullAndPath(hullPath: D3SingleSelection, inkPath: D3SingleSelection, hullPoints: Point[], constituents: SerializedInkConstituent[] = null): void
         {
             this._hullPath = hullPath; // Ink.HullPath() is read-only
             this._finalPath = inkPath; // Ink.FinalPath() is read-only
             this._combinedOutlinePathPoints = hullPoints;
+            this._constituents = constituents;
+            this._isClosed = /Z\s*$/i.test(inkPath.attr("d") || "");
+        }
+
+        /**
+         * [Internal] Returns a serializable representation of the Ink (see MIL.SerializeInks()).
+         * @returns {SerializedInk} Result.
+         * @internal
+         */
+        serialize(): SerializedInk
+        {
+            let pathDomElement: DomElement = this.Path().node();
+            let pathPointsCollection: Point[][] = pathDomElement.__MILPathPointsCollection__ as Point[][];
+            let isLinearCollection: boolean[] = (pathDomElement.__MILIsLinearCollection__ as boolean[]) || [];
+            let sampleChannelsCollection: InkSampleChannels[][] = (pathDomElement.__MILSampleChannelsCollection__ as InkSampleChannels[][]) || [];
+            let copyPoints = function (points: Point[]): Point[] { return (points.map(function (point: Point) { return ({ x: point.x, y: point.y }); })); };
+
+            return ({
+                id: this.InkID(),
+                className: this.Class(),
+                strokeColor: this.StrokeColor(),
+                strokeWidth: this.StrokeWidth(),
+                eraserClassName: this.EraserClass(),
+                hullType: (this.HullPath() !== null) ? InkHullType[this.HullType()] : InkHullType[InkHullType.None],
+                hullColor: this.HullColor(),
+                scale: this.Scale(),
+                rotation: this._rotation,
+                isEraser: this.IsEraserDrawing(),
+                isClosed: this._isClosed,
+                renderMode: InkRenderMode[this._renderMode],
+                variableWidthOptions: this.VariableWidthOptions(),
+                curve: InkCurve[this._curve],
+                decoration: {
+                    dashArray: this._decoration.dashArray,
+                    startArrowhead: InkArrowhead[this._decoration.startArrowhead],
+                    endArrowhead: InkArrowhead[this._decoration.endArrowhead],
+                    lineCap: this._decoration.lineCap,
+                    lineJoin: this._decoration.lineJoin,
+                    fill: this._decoration.fill
+                },
+                resizeWith: this.ResizeWith(),
+                pathPointsCollection: pathPointsCollection.map(copyPoints),
+                isLinearCollection: pathPointsCollection.map(function (points: Point[], i: number) { return (Boolean(isLinearCollection[i])); }),
+                sampleChannelsCollection: pathPointsCollection.map(function (points: Point[], i: number) { return (copySampleChannels(points, sampleChannelsCollection[i])); }),
+                combinedOutlinePathPoints: this.IsCombined() ? copyPoints(this._combinedOutlinePathPoints) : null,
+                constituents: (this._constituents !== null) ? JSON.parse(JSON.stringify(this._constituents)) : null
+            });
+        }
+
+        /**
+         * [Internal] Creates the Ink/Hull Paths (on the specified 'g' element) from a SerializedInk (see MIL.DeserializeInks()), and adds the Ink to the list of all Inks (_inks).
+         * Note: The ID of the serialized Ink is only preserved if it's set, and is not already being used by another Ink.
+         * @param {SVGGElement} gDomElement The 'g' element (see MIL.Initialize()), or the 'g' element of a layer (see MIL.Layers()), to add the Ink/Hull Paths to.
+         * @param {SerializedInk} serializedInk The Ink to re-create.
+         * @returns {Ink} The Ink instance.
+         * @internal
+         */
+        rehydrate(gDomElement: SVGGElement, serializedInk: SerializedInk): this
+        {
+            if (this.Path() !== null)
+            {
+                throw new MILException("Ink.rehydrate() cannot be called after the Ink has been created");
+            }
+
+            let gSelection: D3SingleSelection = d3.select(gDomElement);
+            let copyPoints = function (points: Point[]): Point[] { return (points.map(function (point: Point) { return ({ x: point.x, y: point.y }); })); };
+            let pathPointsCollection: Point[][] = serializedInk.pathPointsCollection.map(copyPoints);
+            let isLinearCollection: boolean[] = serializedInk.isLinearCollection || [];
+            let sampleChannelsCollection: InkSampleChannels[][] = serializedInk.sampleChannelsCollection || []; // Not present in version 1 documents
+
+            if ((typeof serializedInk.id === "string") && serializedInk.id && (GetInkByID(serializedInk.id) === null))
+            {
+                let inkIDNumber: number = +serializedInk.id.replace(/^Ink/, "");
+
+                this._inkID = serializedInk.id;
+
+                // Prevent Inks created subsequently from being assigned the [preserved] ID
+                if (!isNaN(inkIDNumber) && (inkIDNumber >= _nextInkID))
+                {
+                    _nextInkID = inkIDNumber + 1;
+                }
+            }
+
+            this._className = serializedInk.className;
+            this._strokeColor = serializedInk.strokeColor;
+            this._strokeWidth = serializedInk.strokeWidth;
+            this._eraserClassName = serializedInk.eraserClassName;
+            this._hullType = InkHullType[serializedInk.hullType as keyof typeof InkHullType];
+            this._hullColor = serializedInk.hullColor;
+            this._scale = serializedInk.scale;
+            this._rotation = serializedInk.rotation || 0; // Not present in version 1 to 4 documents
+            this._isEraserDrawing = serializedInk.isEraser;
+            this._isNonDrawing = false;
+            this._isClosed = serializedInk.isClosed;
+
+            // Note: renderMode and variableWidthOptions are not present in version 1 and 2 documents
+            if (serializedInk.renderMode)
+            {
+                this.RenderMode(InkRenderMode[serializedInk.renderMode as keyof typeof InkRenderMode]);
+            }
+            if (serializedInk.variableWidthOptions)
+            {
+                this.VariableWidthOptions(serializedInk.variableWidthOptions);
+            }
+
+            // Note: curve is not present in version 1 to 3 documents
+            if (serializedInk.curve)
+            {
+                this.Curve(InkCurve[serializedInk.curve as keyof typeof InkCurve]);
+            }
+
+            // Note: decoration is not present in version 1 to 6 documents
+            if (serializedInk.decoration)
+            {
+                this.Decoration({
+                    dashArray: serializedInk.decoration.dashArray,
+                    startArrowhead: InkArrowhead[serializedInk.decoration.startArrowhead as keyof typeof InkArrowhead],
+                    endArrowhead: InkArrowhead[serializedInk.decoration.endArrowhead as keyof typeof InkArrowhead],
+                    lineCap: serializedInk.decoration.lineCap,
+                    lineJoin: serializedInk.decoration.lineJoin,
+                    fill: serializedInk.decoration.fill
+                });
+            }
+
+            let path: D3SingleSelection = this._finalPath = gSelection.append("path");
+
+            this.applyStyle();
+            path.classed("MILInkPath", true); // Just to make it easier to find the ink paths using CSS selector syntax ("path.MILInkPath") 
+            path.node().__MILPathPointsCollection__ = pathPointsCollection;
+            path.node().__MILIsLinearCollection__ = pathPointsCollection.map(function (points: Point[], i: number) { return (Boolean(isLinearCollection[i])); });
+            path.node().__MILSampleChannelsCollection__ = pathPointsCollection.map(function (points: Point[], i: number) { return (copySampleChannels(points, sampleChannelsCollection[i])); });
+            path.attr("d", this.getPathData(pathPointsCollection));
+
+            if ((this._hullType !== InkHullType.None) && !this._isEraserDrawing)
+            {
+                let hullPath: D3SingleSelection = gSelection.append("path");
+
+                hullPath.node().__MILAssociatedInkPath__ = path; // "tag" the hull with its corresponding Ink path
+                hullPath.classed("MILInkHullPath", true); // Just to make it easier to find the hulls using CSS selector syntax ("path.MILInkHullPath")
+
+                if (serializedInk.combinedOutlinePathPoints)
+                {
+                    let hullPoints: Point[] = copyPoints(serializedInk.combinedOutlinePathPoints);
+                    let dHull: string = "";
+
+                    // Note: This matches how the hull is created by Gesture.CombineInks()
+                    for (let i = 0; i < hullPoints.length; i++)
+                    {
+                        dHull += (!dHull ? "M " : " L ") + hullPoints[i].x + " " + hullPoints[i].y;
+                    }
+                    hullPath.attr("d", dHull);
+                    hullPath.node().style.stroke = hullPath.node().style.fill = this._hullColor;
+                    hullPath.node().style.strokeWidth = "1px";
+                    this._combinedOutlinePathPoints = hullPoints;
+                    this._constituents = serializedInk.constituents || null; // Not present in version 1 to 5 documents
+                }
+                else
+                {
+                    this.drawHull(hullPath, this.PathPoints());
+                }
+
+                this._hullPath = hullPath;
+            }
+
+            this.applyHighlighter(); // Both the path and the hull were appended [ie. on top of any existing Inks]
+            this.applyDecoration();
+
+            MIL._inks.push(this); // Note: Must be explicitly removed via Ink.Delete()
+            getSpatialIndex(this.Path()).Update(this);
+
+            // Ensure creation of the resize gesture [its target (Ink.HullPath()) now exists]
+            if (serializedInk.resizeWith)
+            {
+                this.ResizeWith(serializedInk.resizeWith);
+            }
+
+            recordInkAdded(this);
+            raiseInkChanged(getSvgInfo(this.Path()), this, { type: InkChangeType.Added });
+
+            return (this);
         }
     }
 }
\ No newline at end of file
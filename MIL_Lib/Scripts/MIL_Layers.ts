@@ -0,0 +1,464 @@
+﻿// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT license.
+
+namespace MIL
+{
+    /** The CSS class of the 'g' element of each InkLayer. */
+    const LAYER_CLASS_NAME: string = "MILLayer";
+
+    /** The CSS class added to the 'g' element of a locked InkLayer (see InkLayer.IsLocked()). */
+    const LOCKED_LAYER_CLASS_NAME: string = "MILLockedLayer";
+
+    /**
+     * The InkLayer class. A named layer of an <svg> (see MIL.Layers()) that Inks, and any other content, can be organized into. Each layer is an svg 'g' element
+     * (with the "MILLayer" class) in the 'g' element returned by MIL.Initialize(), so the order of the layers is their z-order.
+     * Inks in a locked or hidden layer are ignored by selection (see MIL.Selection()), hit-testing (eg. MIL.GetInksAtPoint()), erasing, auto-combining and Gestures.
+     */
+    export class InkLayer
+    {
+        private _layers: InkLayers; // The InkLayers that the layer belongs to
+        private _name: string;
+        private _gSelection: D3SingleSelection; // The layer's 'g' element
+        private _isLocked: boolean;
+
+        constructor(layers: InkLayers, name: string, gSelection: D3SingleSelection)
+        {
+            this._layers = layers;
+            this._name = name;
+            this._gSelection = gSelection;
+            this._isLocked = false;
+
+            (gSelection.node() as BaseObject).__MILLayer__ = this; // So that we can find the layer that an element is in (see getElementLayer())
+        }
+
+        /**
+         * [Chainable Property] The name of the layer, which must be unique among the layers of the <svg>.
+         * @param {string} name The new name.
+         * @returns {this | string} Either the property value (if getting), or the InkLayer instance (if setting).
+         */
+        Name(name: string): this;
+        Name(): string;
+        Name(name?: string): this | string
+        {
+            if (name === undefined)
+            {
+                return (this._name);
+            }
+            else
+            {
+                if (name !== this._name)
+                {
+                    this._layers.checkNewName(name);
+                    this._name = name;
+                }
+                return (this);
+            }
+        }
+
+        /**
+         * [ReadOnly Property] The 'g' element of the layer. Use this to add [non-Ink] content to the layer.
+         * @returns {D3SingleSelection} Property value.
+         */
+        GElement(): D3SingleSelection
+        {
+            readOnlyProperty("GElement", arguments);
+            return (this._gSelection);
+        }
+
+        /**
+         * [ReadOnly Property] The position of the layer in the z-order of the layers (0 is the bottom-most layer). See InkLayers.Move().
+         * @returns {number} Property value.
+         */
+        Index(): number
+        {
+            readOnlyProperty("Index", arguments);
+            return (this._layers.Layers().indexOf(this));
+        }
+
+        /**
+         * [Chainable Property] Whether the layer is visible. Hiding a layer deselects any selected Inks in it. Defaults to true.
+         * @param {boolean} isVisible Flag.
+         * @returns {this | boolean} Either the property value (if getting), or the InkLayer instance (if setting).
+         */
+        IsVisible(isVisible: boolean): this;
+        IsVisible(): boolean;
+        IsVisible(isVisible?: boolean): this | boolean
+        {
+            if (isVisible === undefined)
+            {
+                return (this._gSelection.style("display") !== "none");
+            }
+            else
+            {
+                this._gSelection.style("display", isVisible ? null : "none");
+                if (!isVisible)
+                {
+                    this.deselectInks();
+                }
+                return (this);
+            }
+        }
+
+        /**
+         * [Chainable Property] Whether the layer is locked against editing. Locking a layer deselects any selected Inks in it. Defaults to false.
+         * Note: New Inks cannot be drawn while the InkLayers.ActiveLayer() is locked (or hidden).
+         * @param {boolean} isLocked Flag.
+         * @returns {this | boolean} Either the property value (if getting), or the InkLayer instance (if setting).
+         */
+        IsLocked(isLocked: boolean): this;
+        IsLocked(): boolean;
+        IsLocked(isLocked?: boolean): this | boolean
+        {
+            if (isLocked === undefined)
+            {
+                return (this._isLocked);
+            }
+            else
+            {
+                this._isLocked = isLocked;
+
+                // Note: Disabling pointer-events makes the content of the layer (eg. the Ink Hulls) transparent to hit-testing, so Gestures can't target it
+                this._gSelection.classed(LOCKED_LAYER_CLASS_NAME, isLocked).style("pointer-events", isLocked ? "none" : null);
+                if (isLocked)
+                {
+                    this.deselectInks();
+                }
+                return (this);
+            }
+        }
+
+        /**
+         * [Chainable Property] The opacity (0..1) of the layer. Defaults to 1.
+         * @param {number} opacity The new opacity.
+         * @returns {this | number} Either the property value (if getting), or the InkLayer instance (if setting).
+         */
+        Opacity(opacity: number): this;
+        Opacity(): number;
+        Opacity(opacity?: number): this | number
+        {
+            if (opacity === undefined)
+            {
+                let value: string = this._gSelection.style("opacity");
+                return (value ? +value : 1);
+            }
+            else
+            {
+                if ((opacity < 0) || (opacity > 1))
+                {
+                    throw new MILException("Opacity (" + opacity + ") must be in the range 0..1");
+                }
+                this._gSelection.style("opacity", (opacity === 1) ? null : opacity);
+                return (this);
+            }
+        }
+
+        /**
+         * [ReadOnly Property] Returns the Inks in the layer, in z-order (bottom-most first).
+         * @returns {Ink[]} Result.
+         */
+        Inks(): Ink[]
+        {
+            readOnlyProperty("Inks", arguments);
+            return (this._gSelection.selectAll<DomElement, any>("path.MILInkPath").nodes().map(GetInkByElement).filter(function (ink: Ink) { return (ink !== null); }));
+        }
+
+        /**
+         * Moves the supplied [completed] Ink(s) to the top of the layer (keeping their relative z-order).
+         * Note: Like the other changes to layers, this is not recorded in the undo/redo history (see MIL.History()).
+         * @param {Ink | Ink[]} inks The Ink(s) to move.
+         * @returns {this} The InkLayer instance.
+         */
+        MoveInks(inks: Ink | Ink[]): this
+        {
+            let inksToMove: Ink[] = Array.isArray(inks) ? inks : [inks];
+            let gDomElement: SVGGElement = this._gSelection.node() as Element as SVGGElement;
+
+            if (IsInkDragInProgress())
+            {
+                throw new MILException("Inks cannot be moved to a layer while an Ink is being dragged");
+            }
+
+            inksToMove.forEach(function (ink: Ink)
+            {
+                if ((ink.Path() === null) || ink.IsNonDrawing())
+                {
+                    throw new MILException("Only completed Inks can be moved to a layer");
+                }
+                if (getSvgInfo(ink.Path()).gDomElement !== getSvgInfo(gDomElement).gDomElement)
+                {
+                    throw new MILException("Ink '" + ink.InkID() + "' is not on the same <svg> as layer '" + this._name + "'");
+                }
+            }, this);
+
+            inksToMove.sort(function (ink1: Ink, ink2: Ink)
+            {
+                let isInk2AboveInk1: boolean = (ink1.Path().node().compareDocumentPosition(ink2.Path().node()) & Node.DOCUMENT_POSITION_FOLLOWING) !== 0;
+                return (isInk2AboveInk1 ? -1 : 1);
+            });
+
+            inksToMove.forEach(function (ink: Ink)
+            {
+                gDomElement.appendChild(ink.Path().node());
+                if (ink.HullPath() !== null)
+                {
+                    gDomElement.appendChild(ink.HullPath().node());
+                }
+                ink.applyHighlighter(); // A highlighter must stay beneath the regular Inks in its new layer
+            });
+
+            if (!this.isEditable())
+            {
+                getInkSelection(gDomElement).Deselect(inksToMove);
+            }
+            return (this);
+        }
+
+        /**
+         * [Internal] Returns true if the layer is neither locked nor hidden.
+         * @returns {boolean} Result.
+         * @internal
+         */
+        isEditable(): boolean
+        {
+            return (!this._isLocked && this.IsVisible());
+        }
+
+        /** [Private Method] Deselects any selected Inks in the layer. */
+        private deselectInks(): void
+        {
+            getInkSelection(this._gSelection).Deselect(this.Inks());
+        }
+    }
+
+    /**
+     * The InkLayers class. Each <svg> (see MIL.Initialize()) has its own InkLayers (see MIL.Layers()), which is the ordered set of named layers that Inks and other content
+     * can be organized into. New Inks are created in the ActiveLayer(), or - if there is no active layer - directly in the 'g' element returned by MIL.Initialize() [as they are
+     * when no layers are used]. Changes to layers are not recorded in the undo/redo history (see MIL.History()), but an Ink that is restored by an undo returns to its layer.
+     */
+    export class InkLayers
+    {
+        private _gSelection: D3SingleSelection; // The 'g' element that the layers are in
+        private _layers: InkLayer[]; // In z-order (bottom-most first)
+        private _activeLayer: InkLayer;
+
+        constructor(gSelection: D3SingleSelection)
+        {
+            this._gSelection = gSelection;
+            this._layers = [];
+            this._activeLayer = null;
+        }
+
+        /**
+         * [ReadOnly Property] Returns the layers, in z-order (bottom-most first).
+         * @returns {InkLayer[]} Result.
+         */
+        Layers(): InkLayer[]
+        {
+            readOnlyProperty("Layers", arguments);
+            return (this._layers.slice());
+        }
+
+        /**
+         * [ReadOnly Property] Returns the number of layers.
+         * @returns {number} Result.
+         */
+        Count(): number
+        {
+            readOnlyProperty("Count", arguments);
+            return (this._layers.length);
+        }
+
+        /**
+         * Returns the layer with the specified name, or null if there is no such layer.
+         * @param {string} name The name of the layer.
+         * @returns {InkLayer | null} Result.
+         */
+        Get(name: string): InkLayer | null
+        {
+            let matchingLayers: InkLayer[] = this._layers.filter(function (layer: InkLayer) { return (layer.Name() === name); });
+            return ((matchingLayers.length > 0) ? matchingLayers[0] : null);
+        }
+
+        /**
+         * Adds a new layer with the specified name on top of the existing layers. If there is no ActiveLayer(), the new layer becomes the active layer.
+         * Note: Layers are added beneath any MIL controls (eg. the RulerControl), but above any content that's not in a layer.
+         * @param {string} name The name of the layer, which must be unique among the layers of the <svg>.
+         * @returns {InkLayer} The new layer.
+         */
+        Add(name: string): InkLayer
+        {
+            this.checkNewName(name);
+
+            let gDomElement: SVGGElement = this._gSelection.node() as Element as SVGGElement;
+            let layerGDomElement: SVGGElement = document.createElementNS("http://www.w3.org/2000/svg", "g");
+            let insertBeforeNode: Node = null;
+
+            if (this._layers.length > 0)
+            {
+                insertBeforeNode = this._layers[this._layers.length - 1].GElement().node().nextSibling;
+            }
+            else
+            {
+                // Add the [first] layer beneath the controls and the selection adorner [which are added lazily, so may not exist yet]
+                for (let node: Node = gDomElement.firstChild; (node !== null) && (insertBeforeNode === null); node = node.nextSibling)
+                {
+                    if ((node instanceof Element) && (Controls.IsControl(node as DomElement) || node.classList.contains("MILSelectionAdorner")))
+                    {
+                        insertBeforeNode = node;
+                    }
+                }
+            }
+
+            gDomElement.insertBefore(layerGDomElement, insertBeforeNode);
+
+            let layer: InkLayer = new InkLayer(this, name, d3.select(layerGDomElement as Element as DomElement).classed(LAYER_CLASS_NAME, true));
+
+            this._layers.push(layer);
+            if (this._activeLayer === null)
+            {
+                this._activeLayer = layer;
+            }
+            return (layer);
+        }
+
+        /**
+         * Moves the specified layer to a new position in the z-order of the layers.
+         * @param {InkLayer} layer The layer to move.
+         * @param {number} index The new position of the layer (0 is the bottom-most layer).
+         * @returns {this} The InkLayers instance.
+         */
+        Move(layer: InkLayer, index: number): this
+        {
+            let currentIndex: number = this._layers.indexOf(layer);
+
+            if (currentIndex === -1)
+            {
+                throw new MILException("The specified layer does not belong to this <svg>");
+            }
+            if ((index < 0) || (index >= this._layers.length) || (Math.floor(index) !== index))
+            {
+                throw new MILException("Layer index (" + index + ") must be an integer in the range 0.." + (this._layers.length - 1));
+            }
+
+            if (index !== currentIndex)
+            {
+                let gDomElement: SVGGElement = this._gSelection.node() as Element as SVGGElement;
+                let layerGDomElement: DomElement = layer.GElement().node();
+                let referenceLayer: InkLayer = this._layers[index];
+
+                // Moving down places the layer beneath the layer currently at 'index'; moving up places it above
+                gDomElement.insertBefore(layerGDomElement, (index < currentIndex) ? referenceLayer.GElement().node() : referenceLayer.GElement().node().nextSibling);
+
+                this._layers.splice(currentIndex, 1);
+                this._layers.splice(index, 0, layer);
+            }
+            return (this);
+        }
+
+        /**
+         * [Chainable Property] The layer that new Inks are created in. Can be set to null, in which case new Inks are created directly in the 'g' element returned by MIL.Initialize().
+         * @param {InkLayer | null} layer A layer (of this <svg>), or null.
+         * @returns {this | InkLayer | null} Either the property value (if getting), or the InkLayers instance (if setting).
+         */
+        ActiveLayer(layer: InkLayer | null): this;
+        ActiveLayer(): InkLayer | null;
+        ActiveLayer(layer?: InkLayer | null): this | InkLayer | null
+        {
+            if (layer === undefined)
+            {
+                return (this._activeLayer);
+            }
+            else
+            {
+                if ((layer !== null) && (this._layers.indexOf(layer) === -1))
+                {
+                    throw new MILException("The specified layer does not belong to this <svg>");
+                }
+                this._activeLayer = layer;
+                return (this);
+            }
+        }
+
+        /**
+         * [Internal] Throws if the supplied name cannot be used as the name of a new (or renamed) layer.
+         * @param {string} name A layer name.
+         * @internal
+         */
+        checkNewName(name: string): void
+        {
+            if (!name)
+            {
+                throw new MILException("A layer name cannot be empty");
+            }
+            if (this.Get(name) !== null)
+            {
+                throw new MILException("A layer named '" + name + "' already exists");
+            }
+        }
+    }
+
+    /**
+     * Returns the layers (see InkLayers) associated with the specified <svg> element.
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to find the layers for.
+     * @returns {InkLayers} The associated layers.
+     */
+    export function Layers(svg: TargetDomElement): InkLayers
+    {
+        let svgDomElement: SVGSVGElement = Utils.GetDomElement(svg, SVGSVGElement) as SVGSVGElement;
+        let svgInfo: SVGInfo = getSvgInfo(svgDomElement);
+        return (svgInfo.layers);
+    }
+
+    /**
+     * [Internal] Returns the layer that contains the specified element, or null if the element is not in a layer.
+     * @param {TargetDomElement} targetElement An element in an <svg>.
+     * @returns {InkLayer | null} Result.
+     * @internal
+     */
+    export function getElementLayer(targetElement: TargetDomElement): InkLayer | null
+    {
+        for (let node: Node = Utils.GetDomElement(targetElement); node instanceof Element; node = node.parentNode)
+        {
+            if ((node as BaseObject).__MILLayer__)
+            {
+                return ((node as BaseObject).__MILLayer__ as InkLayer);
+            }
+        }
+        return (null);
+    }
+
+    /**
+     * [Internal] Returns true if the specified element is not in a locked or hidden layer.
+     * @param {TargetDomElement} targetElement An element in an <svg>.
+     * @returns {boolean} Result.
+     * @internal
+     */
+    export function isInEditableLayer(targetElement: TargetDomElement): boolean
+    {
+        let layer: InkLayer = getElementLayer(targetElement);
+        return ((layer === null) || layer.isEditable());
+    }
+
+    /**
+     * [Internal] Returns the 'g' element that new Inks should be added to: either the 'g' element of the active layer (see InkLayers.ActiveLayer()), or - if there's no
+     * active layer - the 'g' element returned by MIL.Initialize(). Throws if the active layer is locked or hidden (consistent with Ink.Start() refusing to draw in it).
+     * @param {SVGInfo} svgInfo The SVGInfo of the <svg> the Inks will be added to.
+     * @returns {SVGGElement} Result.
+     * @internal
+     */
+    export function getInkContainer(svgInfo: SVGInfo): SVGGElement
+    {
+        let activeLayer: InkLayer = svgInfo.layers.ActiveLayer();
+
+        if (activeLayer === null)
+        {
+            return (svgInfo.gDomElement);
+        }
+
+        if (!activeLayer.isEditable())
+        {
+            throw new MILException("Inks cannot be added while the active layer ('" + activeLayer.Name() + "') is locked or hidden");
+        }
+        return (activeLayer.GElement().node() as Element as SVGGElement);
+    }
+}
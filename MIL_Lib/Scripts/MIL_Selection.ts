@@ -0,0 +1,415 @@
+﻿// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT license.
+
+namespace MIL
+{
+    // Type aliases
+    /**
+     * Type of an event handler (callback) invoked when the Inks in an InkSelection change. When the handler is invoked, 'this' will be set to the InkSelection instance.
+     * 'addedInks' and 'removedInks' are the Inks that were selected and deselected (respectively) by the change; 'selectedInks' are all the Inks selected after the change.
+     */
+    export type SelectionChangedEventHandler = (selectedInks: Ink[], addedInks: Ink[], removedInks: Ink[]) => void;
+
+    /**
+     * [Internal] The CSS class added to the Path() of each selected Ink [so that the selection can be styled, and found, using CSS selector syntax ("path.MILSelectedInk")].
+     * @internal
+     */
+    export const SELECTED_INK_CLASS_NAME: string = "MILSelectedInk";
+
+    /**
+     * The InkSelection class. Each <svg> (see MIL.Initialize()) has its own InkSelection (see MIL.Selection()), which is the set of Inks that
+     * operations like drag (see Ink.DragStart()), Delete(), Restyle(), Redecorate() and Combine() apply to as a whole. While any Inks are selected, an adorner
+     * (an svg 'rect' with the "MILSelectionAdorner" class) is drawn around the Hulls of the selected Inks, and the Path() of each selected Ink has the "MILSelectedInk" class.
+     */
+    export class InkSelection
+    {
+        private _gSelection: D3SingleSelection; // The 'g' element that the selected Inks (and the adorner) are in
+        private _inks: Ink[];
+        private _adornerRect: D3SingleSelection;
+        private _adornerClassName: string;
+        private _onChangedHandler: SelectionChangedEventHandler;
+        private _onBoundsChangedHandler: (boundingRect: Rect | null) => void; // Used by Controls.TransformHandlesControl
+
+        constructor(gSelection: D3SingleSelection)
+        {
+            this._gSelection = gSelection;
+            this._inks = [];
+            this._adornerRect = null;
+            this._adornerClassName = null;
+            this._onChangedHandler = null;
+            this._onBoundsChangedHandler = null;
+        }
+
+        /**
+         * [Chainable Property] The CSS class to use to draw the selection adorner. If not set, the adorner is drawn as a dashed blue rectangle.
+         * @param {string} className A CSS class name.
+         * @returns {this | string} Either the property value (if getting), or the InkSelection instance (if setting).
+         */
+        AdornerClass(className: string): this;
+        AdornerClass(): string;
+        AdornerClass(className?: string): this | string
+        {
+            if (className === undefined)
+            {
+                return (this._adornerClassName);
+            }
+            else
+            {
+                this._adornerClassName = className;
+                this.updateAdorner();
+                return (this);
+            }
+        }
+
+        /**
+         * [Chainable Property] The callback to invoke when Inks are selected or deselected.
+         * @param {SelectionChangedEventHandler} handler The callback to invoke.
+         * @returns {this | SelectionChangedEventHandler} Either the property value (if getting), or the InkSelection instance (if setting).
+         */
+        OnChangedHandler(handler: SelectionChangedEventHandler): this;
+        OnChangedHandler(): SelectionChangedEventHandler;
+        OnChangedHandler(handler?: SelectionChangedEventHandler): this | SelectionChangedEventHandler
+        {
+            return (getOrSetProperty(this, nameof(() => this._onChangedHandler), handler));
+        }
+
+        /**
+         * [ReadOnly Property] Returns the selected Inks (in the order they were selected).
+         * @returns {Ink[]} Result.
+         */
+        Inks(): Ink[]
+        {
+            readOnlyProperty("Inks", arguments);
+            return (this._inks.slice());
+        }
+
+        /**
+         * [ReadOnly Property] Returns the number of selected Inks.
+         * @returns {number} Result.
+         */
+        Count(): number
+        {
+            readOnlyProperty("Count", arguments);
+            return (this._inks.length);
+        }
+
+        /**
+         * Returns true if the supplied Ink is selected.
+         * @param {Ink} ink The Ink to check.
+         * @returns {boolean} Result.
+         */
+        Contains(ink: Ink): boolean
+        {
+            return (this._inks.indexOf(ink) !== -1);
+        }
+
+        /**
+         * Selects the supplied Ink(s), replacing the current selection unless 'addToSelection' is true. Inks in a locked or hidden layer (see MIL.Layers()) are not selected.
+         * @param {Ink | Ink[]} inks The Ink(s) to select.
+         * @param {boolean} [addToSelection] [Optional] When true, the Ink(s) are added to the current selection (default is false).
+         * @returns {this} The InkSelection instance.
+         */
+        Select(inks: Ink | Ink[], addToSelection: boolean = false): this
+        {
+            let inksToSelect: Ink[] = Array.isArray(inks) ? inks : [inks];
+            let removedInks: Ink[] = addToSelection ? [] : this._inks.filter(function (ink: Ink) { return (inksToSelect.indexOf(ink) === -1); });
+            let addedInks: Ink[] = [];
+
+            inksToSelect.forEach(function (ink: Ink)
+            {
+                if (ink.Path() === null)
+                {
+                    throw new MILException("An Ink cannot be selected until it has been created");
+                }
+                // Note: Inks in locked or hidden layers (see MIL.Layers()) are ignored
+                if (!this.Contains(ink) && (addedInks.indexOf(ink) === -1) && isInEditableLayer(ink.Path()))
+                {
+                    addedInks.push(ink);
+                }
+            }, this);
+
+            this.change(addedInks, removedInks);
+            return (this);
+        }
+
+        /**
+         * Deselects the supplied Ink(s). Inks that are not selected are ignored.
+         * @param {Ink | Ink[]} inks The Ink(s) to deselect.
+         * @returns {this} The InkSelection instance.
+         */
+        Deselect(inks: Ink | Ink[]): this
+        {
+            let inksToDeselect: Ink[] = Array.isArray(inks) ? inks : [inks];
+            let removedInks: Ink[] = this._inks.filter(function (ink: Ink) { return (inksToDeselect.indexOf(ink) !== -1); });
+
+            this.change([], removedInks);
+            return (this);
+        }
+
+        /**
+         * Selects the supplied Ink if it's not selected, or deselects it if it is. The rest of the selection is unchanged.
+         * @param {Ink} ink The Ink to toggle.
+         * @returns {this} The InkSelection instance.
+         */
+        Toggle(ink: Ink): this
+        {
+            return (this.Contains(ink) ? this.Deselect(ink) : this.Select(ink, true));
+        }
+
+        /**
+         * Deselects all Inks.
+         * @returns {this} The InkSelection instance.
+         */
+        Clear(): this
+        {
+            this.change([], this._inks.slice());
+            return (this);
+        }
+
+        /**
+         * Selects the Inks inside the specified 'region' (see MIL.Utils.FindShapeElementsInRegion()), replacing the current selection unless 'addToSelection' is true.
+         * When 'region' is an Ink (eg. a lasso) it is never selected itself.
+         * @param {Point[] | Ink} region A polygon (within the 'g' element of the <svg>) defining the region to search within. Can also be an Ink instance.
+         * @param {FindShapeFilter} [filter] [Optional] Filter function to do an additional check to decide if a found Ink should be selected.
+         * @param {number} [percentageInside] [Optional] A value from 0..1 that defines the ratio of the points in an Ink that must be inside 'region' for it to be selected (default is 0.8).
+         * @param {boolean} [addToSelection] [Optional] When true, the found Inks are added to the current selection (default is false).
+         * @returns {Ink[]} The Inks that were found in the region.
+         */
+        SelectInRegion(region: Point[] | Ink, filter?: FindShapeFilter, percentageInside?: number, addToSelection: boolean = false): Ink[]
+        {
+            let foundInks: Ink[] = Utils.FindShapeElementsInRegion(this._gSelection, Utils.ShapeNodeType.Ink, region, filter, percentageInside) as Ink[];
+
+            foundInks = foundInks.filter(function (ink: Ink) { return (ink !== region); });
+            this.Select(foundInks, addToSelection);
+            return (foundInks);
+        }
+
+        /**
+         * Deletes all the selected Inks (as a single undoable command).
+         * @returns {this} The InkSelection instance.
+         */
+        Delete(): this
+        {
+            let history: CommandHistory = getHistory(this._gSelection);
+
+            history.BeginTransaction("DeleteSelection");
+            try
+            {
+                // Note: Ink.Delete() removes each Ink from the selection
+                this._inks.slice().forEach(function (ink: Ink) { ink.Delete(); });
+            }
+            finally
+            {
+                history.EndTransaction();
+            }
+            return (this);
+        }
+
+        /**
+         * Changes the Class/StrokeColor/StrokeWidth of all the selected Inks (as a single undoable command). See Ink.Restyle().
+         * @param {string} className The new CSS class to use to draw the Inks. Can be null, in which case 'strokeColor' and 'strokeWidth' are used.
+         * @param {string} [strokeColor] [Optional] The new color to use to draw the Inks (ignored if 'className' is supplied).
+         * @param {string} [strokeWidth] [Optional] The new thickness to use to draw the Inks (ignored if 'className' is supplied).
+         * @returns {this} The InkSelection instance.
+         */
+        Restyle(className: string, strokeColor?: string, strokeWidth?: string): this
+        {
+            let history: CommandHistory = getHistory(this._gSelection);
+
+            history.BeginTransaction("RestyleSelection");
+            try
+            {
+                this._inks.forEach(function (ink: Ink) { ink.Restyle(className, strokeColor, strokeWidth); });
+            }
+            finally
+            {
+                history.EndTransaction();
+            }
+            this.updateAdorner(); // Restyling can change the stroke-width [and so the Hull]
+            return (this);
+        }
+
+        /**
+         * Changes the Decoration() of all the selected Inks (as a single undoable command). See Ink.Redecorate().
+         * @param {Partial<InkDecoration>} decoration The decoration options to change.
+         * @returns {this} The InkSelection instance.
+         */
+        Redecorate(decoration: Partial<InkDecoration>): this
+        {
+            let history: CommandHistory = getHistory(this._gSelection);
+
+            history.BeginTransaction("RedecorateSelection");
+            try
+            {
+                this._inks.forEach(function (ink: Ink) { ink.Redecorate(decoration); });
+            }
+            finally
+            {
+                history.EndTransaction();
+            }
+            return (this);
+        }
+
+        /**
+         * Combines the selected Inks into a single Ink (see Gesture.CombineInks()), which then becomes the [only] selected Ink.
+         * Returns the new (combined) Ink, or null if no Inks are selected.
+         * @param {Gesture} gesture The Gesture doing the combining (which will become the ParentGesture() of the new Ink).
+         * @param {string} className The name of the CSS class to apply to the combined Ink.
+         * @returns {Ink | null} Result.
+         */
+        Combine(gesture: Gesture, className: string): Ink | null
+        {
+            let combinedInk: Ink = gesture.CombineInks(this._inks.slice(), className);
+
+            if (combinedInk !== null)
+            {
+                this.Select(combinedInk);
+            }
+            return (combinedInk);
+        }
+
+        /**
+         * [Internal] Removes the supplied Ink from the selection (if it's selected) because it's being deleted.
+         * @param {Ink} ink The Ink being deleted.
+         * @internal
+         */
+        inkDeleted(ink: Ink): void
+        {
+            if (this.Contains(ink))
+            {
+                this.change([], [ink]);
+            }
+        }
+
+        /**
+         * [Internal] Updates the adorner after the geometry of the supplied Ink has changed (if the Ink is selected).
+         * @param {Ink} ink The Ink that changed.
+         * @param {boolean} isInProgress Whether the change is still in progress (eg. a drag), in which case the adorner is hidden until the change is complete.
+         * @internal
+         */
+        inkChanged(ink: Ink, isInProgress: boolean): void
+        {
+            if (this.Contains(ink))
+            {
+                if (isInProgress)
+                {
+                    if (this._adornerRect !== null)
+                    {
+                        this._adornerRect.style("visibility", "hidden");
+                    }
+                    this.raiseBoundsChanged(null);
+                }
+                else
+                {
+                    this.updateAdorner();
+                }
+            }
+        }
+
+        /**
+         * [Internal] Sets the callback to invoke when the bounds of the selection (ie. the adorner) change. The callback is passed null when there are no selected
+         * Inks, or when the selected Inks are being changed (eg. dragged).
+         * @param {(boundingRect: Rect | null) => void} handler The callback to invoke.
+         * @internal
+         */
+        onBoundsChanged(handler: (boundingRect: Rect | null) => void): void
+        {
+            this._onBoundsChangedHandler = handler;
+            this.updateAdorner(); // So that the handler is invoked with the current bounds
+        }
+
+        /**
+         * [Private Method] Applies a change to the selection, then updates the adorner and raises the OnChangedHandler (if the selection actually changed).
+         * @param {Ink[]} addedInks The Inks to select.
+         * @param {Ink[]} removedInks The Inks to deselect.
+         */
+        private change(addedInks: Ink[], removedInks: Ink[]): void
+        {
+            if ((addedInks.length === 0) && (removedInks.length === 0))
+            {
+                return;
+            }
+
+            this._inks = this._inks.filter(function (ink: Ink) { return (removedInks.indexOf(ink) === -1); }).concat(addedInks);
+
+            removedInks.forEach(function (ink: Ink) { ink.Path().classed(SELECTED_INK_CLASS_NAME, false); });
+            addedInks.forEach(function (ink: Ink) { ink.Path().classed(SELECTED_INK_CLASS_NAME, true); });
+
+            this.updateAdorner();
+
+            if (this._onChangedHandler !== null)
+            {
+                this._onChangedHandler.call(this, this._inks.slice(), addedInks, removedInks);
+            }
+        }
+
+        /** [Private Method] Re-draws (or removes, if no Inks are selected) the selection adorner. */
+        private updateAdorner(): void
+        {
+            if (this._adornerRect !== null)
+            {
+                this._adornerRect.remove();
+                this._adornerRect = null;
+            }
+
+            if (this._inks.length === 0)
+            {
+                this.raiseBoundsChanged(null);
+                return;
+            }
+
+            let left: number = Number.MAX_VALUE, top: number = Number.MAX_VALUE, right: number = -Number.MAX_VALUE, bottom: number = -Number.MAX_VALUE;
+
+            this._inks.forEach(function (ink: Ink)
+            {
+                // Note: An Ink without a Hull is adorned using the bounds of its path
+                let boundingBox: SVGRect = ((ink.HullPath() !== null) ? ink.HullPath() : ink.Path()).node().getBBox();
+
+                left = Math.min(left, boundingBox.x);
+                top = Math.min(top, boundingBox.y);
+                right = Math.max(right, boundingBox.x + boundingBox.width);
+                bottom = Math.max(bottom, boundingBox.y + boundingBox.height);
+            });
+
+            // Note: The adorner is [re-]added last so that it's on top of the Inks
+            this._adornerRect = this._gSelection.append("rect").classed("MILSelectionAdorner", true)
+                .attr("x", left).attr("y", top).attr("width", right - left).attr("height", bottom - top)
+                .style("pointer-events", "none"); // So that the adorner doesn't block Gestures on the Inks it adorns
+
+            if (this._adornerClassName)
+            {
+                this._adornerRect.classed(this._adornerClassName, true);
+            }
+            else
+            {
+                this._adornerRect.style("fill", "none").style("stroke", "dodgerblue").style("stroke-width", "1px").style("stroke-dasharray", "4 3");
+            }
+
+            this.raiseBoundsChanged({ x: left, y: top, width: right - left, height: bottom - top });
+        }
+
+        /**
+         * [Private Method] Invokes the [internal] bounds-changed callback (if set).
+         * @param {Rect | null} boundingRect The new bounds of the selection, or null if there are no bounds to show.
+         */
+        private raiseBoundsChanged(boundingRect: Rect | null): void
+        {
+            if (this._onBoundsChangedHandler !== null)
+            {
+                this._onBoundsChangedHandler(boundingRect);
+            }
+        }
+    }
+
+    /**
+     * [Internal] Returns the InkSelection of the <svg> that contains the specified element, or null if the <svg> has not been initialized (with MIL.Initialize()).
+     * @param {TargetDomElement} targetElement An element in an <svg>.
+     * @returns {InkSelection | null} Result.
+     * @internal
+     */
+    export function getInkSelection(targetElement: TargetDomElement): InkSelection | null
+    {
+        let svgInfo: SVGInfo = getSvgInfo(targetElement);
+        return (svgInfo ? svgInfo.selection : null);
+    }
+}
@@ -0,0 +1,1024 @@
+﻿// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT license.
+
+namespace MIL
+{
+    // Type aliases
+    /** Type of a serialized Ink, as contained in a SerializedInkDocument. */
+    export type SerializedInk =
+    {
+        /** The ID of the Ink (see Ink.InkID()). */
+        id: string,
+        /** See Ink.Class(). */
+        className: string,
+        /** See Ink.StrokeColor(). */
+        strokeColor: string,
+        /** See Ink.StrokeWidth(). */
+        strokeWidth: string,
+        /** See Ink.EraserClass(). */
+        eraserClassName: string,
+        /** The name of the InkHullType of the Ink (eg. "Concave"). Will be "None" if the Ink has no hull. */
+        hullType: string,
+        /** See Ink.HullColor(). */
+        hullColor: string,
+        /** See Ink.Scale(). */
+        scale: number,
+        /** [Optional] See Ink.Rotation(). Added in version 5. */
+        rotation?: number,
+        /** See Ink.IsEraserDrawing(). */
+        isEraser: boolean,
+        /** Whether the Ink path is closed (ie. its last point is joined to its first point). */
+        isClosed: boolean,
+        /** See Ink.ResizeWith(). */
+        resizeWith: string,
+        /** The {x, y} points of each line in the Ink. A combined Ink (see Ink.IsCombined()) can have multiple lines. */
+        pathPointsCollection: Point[][],
+        /** Whether each line in pathPointsCollection is drawn with straight lines (eg. a beautified shape) rather than a curve. */
+        isLinearCollection: boolean[],
+        /** [Optional] The sample channels (pressure, tilt, etc.) for each point in each line in pathPointsCollection, or null for a line whose samples were not captured (see Ink.Samples()). Added in version 2. */
+        sampleChannelsCollection?: (InkSampleChannels[] | null)[],
+        /** [Optional] The name of the InkRenderMode of the Ink (eg. "VariableWidth"). See Ink.RenderMode(). Added in version 3. */
+        renderMode?: string,
+        /** [Optional] See Ink.VariableWidthOptions(). Added in version 3. */
+        variableWidthOptions?: InkVariableWidthOptions,
+        /** [Optional] The name of the InkCurve of the Ink (eg. "CatmullRom"). See Ink.Curve(). Added in version 4. */
+        curve?: string,
+        /** The outline (convex hull) of a combined Ink, or null if the Ink is not combined. */
+        combinedOutlinePathPoints: Point[] | null,
+        /** [Optional] The original Inks that a combined Ink was created from (see Ink.Split()), or null if they are not known. Added in version 6. */
+        constituents?: SerializedInkConstituent[] | null,
+        /** [Optional] See Ink.Decoration(). Added in version 7. */
+        decoration?: SerializedInkDecoration
+    };
+
+    /** Type of the decoration of a serialized Ink (see Ink.Decoration()). This is the same as InkDecoration, but with the arrowheads stored by name (eg. "Triangle"). */
+    export type SerializedInkDecoration =
+    {
+        dashArray: string,
+        startArrowhead: string,
+        endArrowhead: string,
+        lineCap: string,
+        lineJoin: string,
+        fill: string
+    };
+
+    /** Type of an original Ink that was combined into a combined Ink (see Gesture.CombineInks() and Ink.Split()). */
+    export type SerializedInkConstituent =
+    {
+        /** The number of [consecutive] lines in the pathPointsCollection of the combined Ink that came from the original Ink. */
+        lineCount: number,
+        /** The original Ink, without its geometry (its pathPointsCollection, isLinearCollection and sampleChannelsCollection are empty). */
+        ink: SerializedInk
+    };
+
+    /** Type of the document produced by MIL.SerializeInks(). */
+    export type SerializedInkDocument =
+    {
+        /** The version of the document format. */
+        version: number,
+        /** The Inks, in z-order (bottom-most first). */
+        inks: SerializedInk[]
+    };
+
+    /** The version of the SerializedInkDocument format written by MIL.SerializeInks(). */
+    const SERIALIZED_INK_DOCUMENT_VERSION: number = 7;
+
+    /**
+     * Serializes all the Inks on the specified <svg> to a [versioned] JSON document. Use MIL.DeserializeInks() to re-create the Inks.
+     * Note: Gestures (and event handlers) associated with the Inks are not serialized, with the exception of the resize gesture (see Ink.ResizeWith()).
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) whose Inks should be serialized.
+     * @returns {string} The JSON document (a serialized SerializedInkDocument).
+     */
+    export function SerializeInks(svg: TargetDomElement): string
+    {
+        let svgInfo: SVGInfo = getInitializedSvgInfo(svg);
+
+        if (IsInkDragInProgress())
+        {
+            throw new MILException("Inks cannot be serialized while an Ink is being dragged");
+        }
+
+        let inks: Ink[] = getInksInZOrder(svgInfo);
+        let inkDocument: SerializedInkDocument = createInkDocument(inks);
+
+        log(inks.length + " Inks serialized");
+        return (JSON.stringify(inkDocument));
+    }
+
+    /**
+     * [Internal] Returns a SerializedInkDocument (of the latest version) containing the supplied Inks.
+     * @param {Ink[]} inks The [completed] Inks, in z-order (bottom-most first).
+     * @returns {SerializedInkDocument} Result.
+     * @internal
+     */
+    export function createInkDocument(inks: Ink[]): SerializedInkDocument
+    {
+        return ({
+            version: SERIALIZED_INK_DOCUMENT_VERSION,
+            inks: inks.map(function (ink: Ink) { return (ink.serialize()); })
+        });
+    }
+
+    /**
+     * Re-creates the Inks in the supplied JSON document (created by MIL.SerializeInks()) on the specified <svg>. The new Inks are added above any existing Inks (in the active layer, if any; see MIL.Layers()).
+     * Each Ink will have a HullPath() (if the serialized Ink had one) and can be dragged (see Ink.DragStart()) and resized (see Ink.ResizeWith()), but any other
+     * Gestures that target the Inks (eg. a drag Gesture) must be re-added by the caller.
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to add the Inks to.
+     * @param {string | SerializedInkDocument} json The JSON document (or the already parsed SerializedInkDocument).
+     * @param {boolean} [deleteExistingInks] [Optional] Whether to first delete all existing Inks on the <svg>.
+     * @returns {Ink[]} The re-created Inks (in z-order).
+     */
+    export function DeserializeInks(svg: TargetDomElement, json: string | SerializedInkDocument, deleteExistingInks: boolean = false): Ink[]
+    {
+        let svgInfo: SVGInfo = getInitializedSvgInfo(svg);
+        let inkDocument: SerializedInkDocument = parseInkDocument(json);
+        let inkContainer: SVGGElement = getInkContainer(svgInfo); // Note: Throws if the active layer is locked or hidden
+        let rehydratedInks: Ink[] = [];
+
+        svgInfo.history.BeginTransaction("DeserializeInks");
+        try
+        {
+            if (deleteExistingInks)
+            {
+                Inks().forEach(function (ink: Ink)
+                {
+                    if (svgInfo.gDomElement.contains(ink.Path().node()))
+                    {
+                        ink.Delete();
+                    }
+                });
+            }
+
+            inkDocument.inks.forEach(function (serializedInk: SerializedInk)
+            {
+                rehydratedInks.push(new Ink(null).rehydrate(inkContainer, serializedInk));
+            });
+        }
+        finally
+        {
+            svgInfo.history.EndTransaction();
+        }
+
+        log(rehydratedInks.length + " Inks deserialized");
+        return (rehydratedInks);
+    }
+
+    /**
+     * [Internal] Returns the supplied JSON document (created by MIL.SerializeInks()) as a SerializedInkDocument, throwing if it's not a valid [and supported] document.
+     * @param {string | SerializedInkDocument} json The JSON document (or the already parsed SerializedInkDocument).
+     * @returns {SerializedInkDocument} Result.
+     * @internal
+     */
+    export function parseInkDocument(json: string | SerializedInkDocument): SerializedInkDocument
+    {
+        let inkDocument: SerializedInkDocument = null;
+
+        if (typeof json === "string")
+        {
+            try
+            {
+                inkDocument = JSON.parse(json);
+            }
+            catch (error)
+            {
+                throw new MILException("The supplied document is not valid JSON (reason: " + (error as Error).message + ")");
+            }
+        }
+        else
+        {
+            inkDocument = json;
+        }
+
+        if (!inkDocument || (typeof inkDocument.version !== "number") || !Array.isArray(inkDocument.inks))
+        {
+            throw new MILException("The supplied document is not a serialized Ink document");
+        }
+
+        if (inkDocument.version > SERIALIZED_INK_DOCUMENT_VERSION)
+        {
+            throw new MILException("The supplied document has an unsupported version (" + inkDocument.version + "); the latest supported version is " + SERIALIZED_INK_DOCUMENT_VERSION);
+        }
+
+        inkDocument.inks.forEach(function (serializedInk: SerializedInk, i: number)
+        {
+            let isValid: boolean = Array.isArray(serializedInk.pathPointsCollection) && (serializedInk.pathPointsCollection.length > 0) &&
+                serializedInk.pathPointsCollection.every(function (points: Point[]) { return (Array.isArray(points) && (points.length > 0)); }) &&
+                (InkHullType[serializedInk.hullType as keyof typeof InkHullType] !== undefined) &&
+                (!serializedInk.renderMode || (InkRenderMode[serializedInk.renderMode as keyof typeof InkRenderMode] !== undefined)) &&
+                (!serializedInk.curve || (InkCurve[serializedInk.curve as keyof typeof InkCurve] !== undefined)) &&
+                (!serializedInk.constituents || (Array.isArray(serializedInk.constituents) &&
+                    (serializedInk.constituents.reduce(function (lineCount: number, constituent: SerializedInkConstituent) { return (lineCount + constituent.lineCount); }, 0) === serializedInk.pathPointsCollection.length)));
+
+            if (!isValid)
+            {
+                throw new MILException("inks[" + i + "] (" + serializedInk.id + ") in the supplied document is not a valid serialized Ink");
+            }
+        });
+
+        return (inkDocument);
+    }
+
+    /** The [presentation] style properties that MIL.ExportSvg() inlines from the computed style of each exported element. */
+    const EXPORTED_STYLE_PROPERTIES: string[] = ["fill", "fill-opacity", "fill-rule", "stroke", "stroke-width", "stroke-opacity", "stroke-linecap", "stroke-linejoin", "stroke-dasharray",
+        "stroke-dashoffset", "opacity", "mix-blend-mode", "visibility", "display", "font-family", "font-size", "font-weight", "font-style", "text-anchor"];
+
+    /**
+     * Exports the contents of the root <g> element (see MIL.Initialize()) of the specified <svg> as a standalone SVG document.
+     * Styles applied via CSS classes (eg. an Ink.Class() or an Ink.EraserClass()) are inlined, and controls (eg. the RulerControl) and Ink hulls are excluded.
+     * Any markers referenced by the exported elements (eg. the arrowheads of an Ink, see Ink.Decoration()) are included.
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to export.
+     * @param {boolean} [flattenTransform] [Optional] When true, the current pan/zoom transform is applied directly to the coordinates (and line thickness) of
+     * exported Ink paths, rather than being exported as a transform on the root <g> element. Other elements keep the transform, but in a wrapping <g> element.
+     * @returns {string} The SVG document (as a string).
+     */
+    export function ExportSvg(svg: TargetDomElement, flattenTransform: boolean = false): string
+    {
+        let svgInfo: SVGInfo = getInitializedSvgInfo(svg);
+
+        if (IsInkDragInProgress())
+        {
+            throw new MILException("An SVG cannot be exported while an Ink is being dragged");
+        }
+
+        let exportedSvg: SVGSVGElement = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+        let exportedG: SVGGElement = document.createElementNS("http://www.w3.org/2000/svg", "g");
+        let matrix: DOMMatrix = getPanZoomMatrix(svgInfo);
+
+        exportedSvg.setAttribute("width", svgInfo.svgWidth.toString());
+        exportedSvg.setAttribute("height", svgInfo.svgHeight.toString());
+        exportedSvg.setAttribute("viewBox", "0 0 " + svgInfo.svgWidth + " " + svgInfo.svgHeight);
+        exportedSvg.appendChild(exportedG);
+
+        if (!flattenTransform)
+        {
+            exportedG.setAttribute("transform", getMatrixTransform(matrix));
+        }
+
+        exportChildElements(svgInfo.gDomElement, exportedG, flattenTransform ? matrix : null);
+        exportReferencedMarkers(exportedSvg);
+
+        log("SVG exported (" + exportedG.childNodes.length + " top-level elements)");
+        return (new XMLSerializer().serializeToString(exportedSvg));
+    }
+
+    /**
+     * [Private Method] Copies the child nodes of 'sourceElement' to 'targetElement', inlining the computed style of each element, and excluding MIL controls, Ink hulls and in-progress Inks.
+     * @param {Element} sourceElement The element whose child nodes will be copied.
+     * @param {Element} targetElement The element to copy the child nodes to.
+     * @param {DOMMatrix} flattenMatrix The pan/zoom transform to apply to top-level Ink paths, or null to not apply any transform.
+     */
+    function exportChildElements(sourceElement: Element, targetElement: Element, flattenMatrix: DOMMatrix): void
+    {
+        for (let i = 0; i < sourceElement.childNodes.length; i++)
+        {
+            let sourceNode: Node = sourceElement.childNodes[i];
+
+            if (!(sourceNode instanceof Element))
+            {
+                // Eg. the content of a <text> element
+                targetElement.appendChild(sourceNode.cloneNode(false));
+                continue;
+            }
+
+            let sourceDomElement: DomElement = sourceNode as DomElement;
+            let isExcluded: boolean = sourceDomElement.__MILIsControl__ || sourceDomElement.classList.contains("MILInkHullPath") ||
+                sourceDomElement.classList.contains("MILSelectionAdorner") ||
+                sourceDomElement.hasAttribute("data-pointerID") || // The constituent paths of an in-progress Ink
+                ((sourceDomElement as BaseObject).__transition !== undefined); // Eg. a fading 'comet tail' path
+
+            if (isExcluded)
+            {
+                continue;
+            }
+
+            let exportedElement: Element = cloneWithComputedStyle(sourceDomElement);
+            let computedStyle: CSSStyleDeclaration = window.getComputedStyle(sourceDomElement);
+            let isInkPath: boolean = sourceDomElement.classList.contains("MILInkPath") && (sourceDomElement.__MILPathPointsCollection__ !== undefined) && (GetInkByElement(sourceDomElement) !== null);
+
+            exportChildElements(sourceDomElement, exportedElement, null);
+
+            if (flattenMatrix)
+            {
+                if (isInkPath)
+                {
+                    let pathPointsCollection: Point[][] = sourceDomElement.__MILPathPointsCollection__ as Point[][];
+                    let transformedPathPointsCollection: Point[][] = pathPointsCollection.map(function (pathPoints: Point[]) { return (pathPoints.map(function (point: Point) { return (transformPoint(point, flattenMatrix)); })); });
+                    let strokeWidth: number = Utils.ToNumber(computedStyle.strokeWidth) * flattenMatrix.a; // Note: The pan/zoom transform is never skewed/rotated, so 'a' is the zoom level
+
+                    exportedElement.setAttribute("d", GetInkByElement(sourceDomElement).getPathData(transformedPathPointsCollection, strokeWidth));
+                    (exportedElement as SVGElement).style.strokeWidth = strokeWidth + "px";
+                }
+                else
+                {
+                    let transformG: SVGGElement = document.createElementNS("http://www.w3.org/2000/svg", "g");
+                    transformG.setAttribute("transform", getMatrixTransform(flattenMatrix));
+                    transformG.appendChild(exportedElement);
+                    exportedElement = transformG;
+                }
+            }
+
+            targetElement.appendChild(exportedElement);
+        }
+    }
+
+    /**
+     * [Private Method] Adds a <defs> element to the supplied exported <svg> that contains a copy of each <marker> element referenced by the exported elements (eg. the arrowheads of an Ink, see InkDecoration).
+     * @param {SVGSVGElement} exportedSvg The exported <svg> element.
+     */
+    function exportReferencedMarkers(exportedSvg: SVGSVGElement): void
+    {
+        let exportedDefs: SVGDefsElement = null;
+        let exportedMarkerIDs: string[] = [];
+        let referencingElements: Element[] = Array.prototype.slice.call(exportedSvg.querySelectorAll("[marker-start], [marker-end]"));
+
+        referencingElements.forEach(function (element: Element)
+        {
+            ["marker-start", "marker-end"].forEach(function (attributeName: string)
+            {
+                let match: RegExpMatchArray = (element.getAttribute(attributeName) || "").match(/^url\(#(.+)\)$/);
+                let markerDomElement: DomElement = match ? document.getElementById(match[1]) as Element as DomElement : null;
+
+                if ((markerDomElement === null) || (exportedMarkerIDs.indexOf(match[1]) !== -1))
+                {
+                    return;
+                }
+
+                if (exportedDefs === null)
+                {
+                    exportedDefs = document.createElementNS("http://www.w3.org/2000/svg", "defs");
+                    exportedSvg.insertBefore(exportedDefs, exportedSvg.firstChild);
+                }
+
+                let exportedMarker: Element = cloneWithComputedStyle(markerDomElement);
+                exportChildElements(markerDomElement, exportedMarker, null);
+                exportedDefs.appendChild(exportedMarker);
+                exportedMarkerIDs.push(match[1]);
+            });
+        });
+    }
+
+    /**
+     * [Private Method] Returns a [shallow] copy of the supplied element, without its 'class' attribute but with its computed style inlined (see EXPORTED_STYLE_PROPERTIES).
+     * @param {DomElement} sourceDomElement The element to copy.
+     * @returns {Element} Result.
+     */
+    function cloneWithComputedStyle(sourceDomElement: DomElement): Element
+    {
+        let exportedElement: Element = sourceDomElement.cloneNode(false) as Element;
+        let computedStyle: CSSStyleDeclaration = window.getComputedStyle(sourceDomElement);
+
+        exportedElement.removeAttribute("class");
+
+        EXPORTED_STYLE_PROPERTIES.forEach(function (propertyName: string)
+        {
+            let value: string = computedStyle.getPropertyValue(propertyName);
+            if (value)
+            {
+                (exportedElement as SVGElement).style.setProperty(propertyName, value);
+            }
+        });
+
+        return (exportedElement);
+    }
+
+    /**
+     * [Internal] Returns a standalone SVG document (as a string) that contains just the paths of the supplied Inks (in the supplied order), with their styles inlined.
+     * The document's viewBox is the area covered by the Inks, so the Inks keep their svg coordinates and the current pan/zoom is not applied. Used by MIL.Clipboard.
+     * @param {Ink[]} inks The [completed] Inks to export.
+     * @returns {string} Result.
+     * @internal
+     */
+    export function exportInksSvg(inks: Ink[]): string
+    {
+        let exportedSvg: SVGSVGElement = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+        let allPathPoints: Point[] = [];
+        let maxStrokeWidth: number = 0;
+
+        inks.forEach(function (ink: Ink)
+        {
+            let pathDomElement: DomElement = ink.Path().node();
+
+            exportedSvg.appendChild(cloneWithComputedStyle(pathDomElement));
+            allPathPoints = allPathPoints.concat([].concat.apply([], pathDomElement.__MILPathPointsCollection__ as Point[][]));
+            maxStrokeWidth = Math.max(maxStrokeWidth, Utils.ToNumber(window.getComputedStyle(pathDomElement).strokeWidth));
+        });
+
+        exportReferencedMarkers(exportedSvg);
+
+        let boundingRect: Rect = Utils.GetBoundingRectForPoints(allPathPoints);
+        let x: number = boundingRect.x - (maxStrokeWidth / 2);
+        let y: number = boundingRect.y - (maxStrokeWidth / 2);
+        let width: number = boundingRect.width + maxStrokeWidth;
+        let height: number = boundingRect.height + maxStrokeWidth;
+
+        exportedSvg.setAttribute("width", width.toString());
+        exportedSvg.setAttribute("height", height.toString());
+        exportedSvg.setAttribute("viewBox", [x, y, width, height].join(" "));
+
+        return (new XMLSerializer().serializeToString(exportedSvg));
+    }
+
+    /**
+     * [Private Method] Returns the supplied DOMMatrix as the value of an SVG 'transform' attribute.
+     * @param {DOMMatrix} matrix A matrix.
+     * @returns {string} Result.
+     */
+    function getMatrixTransform(matrix: DOMMatrix): string
+    {
+        return ("matrix(" + [matrix.a, matrix.b, matrix.c, matrix.d, matrix.e, matrix.f].join(" ") + ")");
+    }
+
+    /**
+     * [Private Method] Returns the supplied point transformed by the supplied matrix.
+     * @param {Point} point The point to transform.
+     * @param {DOMMatrix} matrix The matrix to transform by.
+     * @returns {Point} Result.
+     */
+    function transformPoint(point: Point, matrix: DOMMatrix): Point
+    {
+        return ({ x: (matrix.a * point.x) + (matrix.c * point.y) + matrix.e, y: (matrix.b * point.x) + (matrix.d * point.y) + matrix.f });
+    }
+
+    /**
+     * Imports the <path> elements in the supplied SVG document as Inks on the specified <svg>. Each Ink gets a [convex] hull so that it can be dragged, resized and combined
+     * like any other Ink (see Ink.DragStart(), Ink.ResizeWith() and Gesture.CombineInks()). The stroke, stroke-width and [for a closed path] fill of each <path> are preserved, unless a 'className' is supplied.
+     * Note: Transforms in the supplied SVG document (on the <path> elements or their ancestors) are not applied.
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to add the Inks to.
+     * @param {string} svgDocument The SVG document (as a string) to import, eg. as produced by MIL.ExportSvg().
+     * @param {string} [className] [Optional] The CSS class to apply to the imported Inks.
+     * @param {string} [hullColor] [Optional] The color to use to draw the hull for the imported Inks. See Ink.HullColor().
+     * @returns {Ink[]} The imported Inks (in z-order).
+     */
+    export function ImportSvgPaths(svg: TargetDomElement, svgDocument: string, className?: string, hullColor: string = "transparent"): Ink[]
+    {
+        let svgInfo: SVGInfo = getInitializedSvgInfo(svg);
+        let parsedDocument: Document = parseSvgDocument(svgDocument);
+        let inkContainer: SVGGElement = getInkContainer(svgInfo); // Note: Throws if the active layer is locked or hidden
+        let importedInks: Ink[] = [];
+
+        let sourcePaths: Element[] = Array.prototype.slice.call(parsedDocument.getElementsByTagName("path"));
+
+        svgInfo.history.BeginTransaction("ImportSvgPaths");
+        try
+        {
+            sourcePaths.forEach(function (sourcePath: Element)
+            {
+                let d: string = sourcePath.getAttribute("d");
+
+                if (!d)
+                {
+                    return;
+                }
+
+                // Note: The path is only added temporarily (so that it can be sampled)
+                let sourcePathCopy: D3SingleSelection = d3.select(inkContainer).append("path").attr("d", d);
+                let sampledPoints: SVGPoint[] = Utils.SamplePointsFromPath(sourcePathCopy.node() as SVGPathElement, false, 5);
+
+                sourcePathCopy.remove();
+
+                if (sampledPoints.length === 0)
+                {
+                    return;
+                }
+
+                let stroke: string = getSourcePresentationValue(sourcePath, "stroke");
+                let strokeWidth: string = getSourcePresentationValue(sourcePath, "stroke-width");
+                let fill: string = getSourcePresentationValue(sourcePath, "fill");
+                let serializedInk: SerializedInk = {
+                    id: "", // The Ink will be assigned a new ID
+                    className: className || "",
+                    strokeColor: className ? "" : (stroke || "black"),
+                    strokeWidth: className ? "" : (strokeWidth || "4px"),
+                    eraserClassName: "",
+                    hullType: InkHullType[InkHullType.Convex],
+                    hullColor: hullColor,
+                    scale: 1,
+                    isEraser: false,
+                    isClosed: /Z\s*$/i.test(d), // Note: Only a closed path is filled (see InkDecoration.fill)
+                    resizeWith: "",
+                    pathPointsCollection: [sampledPoints.map(function (point: SVGPoint) { return ({ x: point.x, y: point.y }); })],
+                    isLinearCollection: [true], // The sampled points are close together, so joining them with straight lines preserves the original path most faithfully
+                    combinedOutlinePathPoints: null, // The Ink is a single [uncombined] line
+                    decoration: { dashArray: "", startArrowhead: InkArrowhead[InkArrowhead.None], endArrowhead: InkArrowhead[InkArrowhead.None], lineCap: "", lineJoin: "", fill: (!className && (fill !== "none")) ? fill : "" }
+                };
+                let ink: Ink = new Ink(null).rehydrate(inkContainer, serializedInk);
+
+                importedInks.push(ink);
+            });
+        }
+        finally
+        {
+            svgInfo.history.EndTransaction();
+        }
+
+        log(importedInks.length + " Inks imported from SVG");
+        return (importedInks);
+    }
+
+    /**
+     * [Internal] Returns the supplied SVG document (as a string) as a parsed Document, throwing if it's not a valid SVG document.
+     * @param {string} svgDocument The SVG document (as a string).
+     * @returns {Document} Result.
+     * @internal
+     */
+    export function parseSvgDocument(svgDocument: string): Document
+    {
+        let parsedDocument: Document = new DOMParser().parseFromString(svgDocument, "image/svg+xml");
+
+        if ((parsedDocument.documentElement.nodeName !== "svg") || (parsedDocument.getElementsByTagName("parsererror").length > 0))
+        {
+            throw new MILException("The supplied svgDocument is not a valid SVG document");
+        }
+        return (parsedDocument);
+    }
+
+    /**
+     * [Private Method] Returns the value of the specified presentation property (eg. "stroke") of the supplied element, from either its inline style or its attributes. Returns "" if not set.
+     * @param {Element} element An element.
+     * @param {string} propertyName The name of a presentation property.
+     * @returns {string} Result.
+     */
+    function getSourcePresentationValue(element: Element, propertyName: string): string
+    {
+        let styleValue: string = (element as SVGElement).style ? (element as SVGElement).style.getPropertyValue(propertyName) : "";
+        return (styleValue || element.getAttribute(propertyName) || "");
+    }
+
+    /** The namespace of InkML (see https://www.w3.org/TR/InkML/). */
+    const INKML_NAMESPACE: string = "http://www.w3.org/2003/InkML";
+
+    /** [Private Type] The channels of an InkML trace, in the order they're written in each trace point. */
+    type InkMLTraceFormat = string[];
+
+    /** The InkML channels that InkSampleChannels are exported to/imported from (see Ink.Samples()). Note: InkML has no standard channels for the contact width/height. */
+    const INKML_SAMPLE_CHANNELS: { [channelName: string]: { property: keyof InkSampleChannels, units: string } } = {
+        "T": { property: "timestamp", units: "ms" },
+        "F": { property: "pressure", units: "" },
+        "OTx": { property: "tiltX", units: "deg" },
+        "OTy": { property: "tiltY", units: "deg" },
+        "OR": { property: "twist", units: "deg" }
+    };
+
+    /** [Private Type] An InkML trace, as parsed by parseInkMLTrace(). */
+    type InkMLTrace = { points: Point[], sampleChannels: InkSampleChannels[] | null };
+
+    /** [Private Type] An InkML brush, mapped to Ink properties. */
+    type InkMLBrush = { className: string, strokeColor: string, strokeWidth: string, decoration: SerializedInkDecoration };
+
+    /** The [non-standard] InkML brush properties that the members of SerializedInkDecoration are exported to/imported from (see Ink.Decoration()). */
+    const INKML_DECORATION_BRUSH_PROPERTIES: (keyof SerializedInkDecoration)[] = ["dashArray", "startArrowhead", "endArrowhead", "lineCap", "lineJoin", "fill"];
+
+    /**
+     * Exports all the Inks on the specified <svg> as an InkML document (see https://www.w3.org/TR/InkML/), for interoperability with other ink platforms.
+     * Each Ink is written as a <trace> (or, for a combined Ink, as a <traceGroup> with a <trace> for each of its lines), and its Class/StrokeColor/StrokeWidth and Decoration are written as a <brush>.
+     * Since InkML has no way to mark a trace as closed, the fill of an Ink is only written for a closed Ink (and, on import, an Ink with a fill is closed).
+     * Lines that have captured samples (see Ink.Samples()) use a context that adds T (timestamp, in milliseconds since 1/1/1970), F (pressure), OTx/OTy (tilt) and OR (twist) channels.
+     * Note: Eraser Inks (see Ink.IsEraserDrawing()) are not exported.
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) whose Inks should be exported.
+     * @returns {string} The InkML document (as a string).
+     */
+    export function ExportInkML(svg: TargetDomElement): string
+    {
+        let inks: Ink[] = getInksInZOrder(getInitializedSvgInfo(svg)).filter(function (ink: Ink) { return (!ink.IsEraserDrawing()); });
+        let inkMLDocument: XMLDocument = document.implementation.createDocument(INKML_NAMESPACE, "ink", null);
+        let inkElement: Element = inkMLDocument.documentElement;
+        let definitionsElement: Element = appendInkMLElement(inkElement, "definitions");
+        let sampleChannelNames: string[] = Object.keys(INKML_SAMPLE_CHANNELS);
+        let brushIDs: { [brushKey: string]: string } = {}; // Key: Brush properties, Value: Brush xml:id
+        let hasSamples: boolean = inks.some(function (ink: Ink)
+        {
+            return (((ink.Path().node().__MILSampleChannelsCollection__ as InkSampleChannels[][]) || []).some(function (sampleChannels: InkSampleChannels[]) { return (Boolean(sampleChannels)); }));
+        });
+
+        // ctx0 is for lines without samples, ctx1 is for lines with samples
+        for (let c = 0; c < (hasSamples ? 2 : 1); c++)
+        {
+            let contextElement: Element = appendInkMLElement(definitionsElement, "context");
+            let traceFormatElement: Element = appendInkMLElement(contextElement, "traceFormat");
+
+            setInkMLID(contextElement, "ctx" + c);
+            appendInkMLElement(traceFormatElement, "channel", { name: "X", type: "decimal", units: "px" });
+            appendInkMLElement(traceFormatElement, "channel", { name: "Y", type: "decimal", units: "px" });
+            if (c === 1)
+            {
+                sampleChannelNames.forEach(function (channelName: string)
+                {
+                    let units: string = INKML_SAMPLE_CHANNELS[channelName].units;
+                    appendInkMLElement(traceFormatElement, "channel", units ? { name: channelName, type: "decimal", units: units } : { name: channelName, type: "decimal" });
+                });
+            }
+        }
+
+        inks.forEach(function (ink: Ink)
+        {
+            let computedStyle: CSSStyleDeclaration = window.getComputedStyle(ink.Path().node());
+            let color: d3.RGBColor | d3.HSLColor = d3.color(computedStyle.stroke);
+            let decoration: InkDecoration = ink.Decoration();
+            let isClosed: boolean = !ink.IsCombined() && (ink.RenderMode() !== InkRenderMode.VariableWidth) && /Z\s*$/i.test(ink.Path().attr("d") || ""); // The path of a variable-width Ink is a [closed] outline
+            let brush: InkMLBrush = {
+                className: ink.Class(),
+                strokeColor: color ? color.formatHex() : "#000000",
+                strokeWidth: Utils.ToNumber(computedStyle.strokeWidth).toString(),
+                decoration: {
+                    dashArray: decoration.dashArray,
+                    startArrowhead: InkArrowhead[decoration.startArrowhead],
+                    endArrowhead: InkArrowhead[decoration.endArrowhead],
+                    lineCap: decoration.lineCap,
+                    lineJoin: decoration.lineJoin,
+                    fill: isClosed ? decoration.fill : ""
+                }
+            };
+            let brushKey: string = JSON.stringify(brush);
+            let pathPointsCollection: Point[][] = ink.Path().node().__MILPathPointsCollection__ as Point[][];
+            let sampleChannelsCollection: InkSampleChannels[][] = (ink.Path().node().__MILSampleChannelsCollection__ as InkSampleChannels[][]) || [];
+
+            // Only add a brush for each unique set of brush properties
+            if (brushIDs[brushKey] === undefined)
+            {
+                let brushElement: Element = appendInkMLElement(definitionsElement, "brush");
+
+                brushIDs[brushKey] = "br" + Object.keys(brushIDs).length;
+                setInkMLID(brushElement, brushIDs[brushKey]);
+                appendInkMLElement(brushElement, "brushProperty", { name: "color", value: brush.strokeColor });
+                appendInkMLElement(brushElement, "brushProperty", { name: "width", value: brush.strokeWidth, units: "px" });
+                if (brush.className)
+                {
+                    appendInkMLElement(brushElement, "brushProperty", { name: "class", value: brush.className });
+                }
+                INKML_DECORATION_BRUSH_PROPERTIES.forEach(function (propertyName: keyof SerializedInkDecoration)
+                {
+                    let value: string = brush.decoration[propertyName];
+
+                    // Only write the decoration options that differ from the default
+                    if (value && (value !== InkArrowhead[InkArrowhead.None]))
+                    {
+                        appendInkMLElement(brushElement, "brushProperty", { name: propertyName, value: value });
+                    }
+                });
+            }
+
+            let traceParentElement: Element = inkElement;
+            let brushRef: string = "#" + brushIDs[brushKey];
+
+            if (ink.IsCombined())
+            {
+                traceParentElement = appendInkMLElement(inkElement, "traceGroup", { brushRef: brushRef });
+                setInkMLID(traceParentElement, ink.InkID());
+            }
+
+            pathPointsCollection.forEach(function (pathPoints: Point[], l: number)
+            {
+                let sampleChannels: InkSampleChannels[] = sampleChannelsCollection[l];
+                let hasLineSamples: boolean = Boolean(sampleChannels) && (sampleChannels.length === pathPoints.length);
+                let contextRef: string = hasLineSamples ? "#ctx1" : "#ctx0";
+                let traceElement: Element = ink.IsCombined() ? appendInkMLElement(traceParentElement, "trace", { contextRef: contextRef }) : appendInkMLElement(traceParentElement, "trace", { contextRef: contextRef, brushRef: brushRef });
+
+                setInkMLID(traceElement, ink.InkID() + (ink.IsCombined() ? "_" + l : ""));
+                traceElement.textContent = pathPoints.map(function (point: Point, i: number)
+                {
+                    let pointData: string = +point.x.toFixed(2) + " " + +point.y.toFixed(2);
+
+                    if (hasLineSamples)
+                    {
+                        sampleChannelNames.forEach(function (channelName: string)
+                        {
+                            let value: number = sampleChannels[i][INKML_SAMPLE_CHANNELS[channelName].property];
+                            pointData += " " + (((value === null) || (value === undefined)) ? 0 : +value.toFixed(3));
+                        });
+                    }
+                    return (pointData);
+                }).join(", ");
+            });
+        });
+
+        log(inks.length + " Inks exported to InkML");
+        return (new XMLSerializer().serializeToString(inkMLDocument));
+    }
+
+    /**
+     * Imports the traces in the supplied InkML document (see https://www.w3.org/TR/InkML/) as Inks on the specified <svg>.
+     * Each top-level <trace> becomes an Ink, and each <traceGroup> becomes a combined Ink (see Ink.IsCombined()). Brushes are mapped to Ink.Class() (if the brush has a "class" property),
+     * or to Ink.StrokeColor() and Ink.StrokeWidth(). Traces can use explicit, first-difference or second-difference encoding. In addition to the [required] X and Y channels,
+     * the T (timestamp), F (pressure), OTx/OTy (tilt) and OR (twist) channels are imported as samples (see Ink.Samples()); all other channels are ignored.
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to add the Inks to.
+     * @param {string} inkML The InkML document (as a string).
+     * @param {InkHullType} [hullType] [Optional] The type of hull to create for each [non-combined] Ink. Combined Inks always have a convex hull.
+     * @param {string} [hullColor] [Optional] The color to use to draw the hull for the imported Inks. See Ink.HullColor().
+     * @returns {Ink[]} The imported Inks (in z-order).
+     */
+    export function ImportInkML(svg: TargetDomElement, inkML: string, hullType: InkHullType = InkHullType.Concave, hullColor: string = "transparent"): Ink[]
+    {
+        let svgInfo: SVGInfo = getInitializedSvgInfo(svg);
+        let inkMLDocument: Document = new DOMParser().parseFromString(inkML, "application/xml");
+        let inkElement: Element = inkMLDocument.documentElement;
+        let importedInks: Ink[] = [];
+
+        if ((inkElement.localName !== "ink") || (inkMLDocument.getElementsByTagName("parsererror").length > 0))
+        {
+            throw new MILException("The supplied document is not a valid InkML document");
+        }
+
+        let inkContainer: SVGGElement = getInkContainer(svgInfo); // Note: Throws if the active layer is locked or hidden
+
+        let getTraceFormat = function (element: Element): InkMLTraceFormat
+        {
+            let contextElement: Element = findInkMLElementByRef(inkMLDocument, getInheritedInkMLAttribute(element, "contextRef"));
+            let traceFormatElement: Element = (contextElement ? getInkMLDescendants(contextElement, "traceFormat")[0] : null) || getInkMLDescendants(inkElement, "traceFormat")[0];
+            let traceFormat: InkMLTraceFormat = traceFormatElement ? getInkMLDescendants(traceFormatElement, "channel").map(function (channelElement: Element) { return (channelElement.getAttribute("name")); }) : [];
+
+            // The default trace format (when none is specified) is X, Y
+            return ((traceFormat.length > 0) ? traceFormat : ["X", "Y"]);
+        };
+
+        let getBrush = function (element: Element): InkMLBrush
+        {
+            let brushElement: Element = findInkMLElementByRef(inkMLDocument, getInheritedInkMLAttribute(element, "brushRef"));
+            let brush: InkMLBrush = {
+                className: "",
+                strokeColor: "",
+                strokeWidth: "",
+                decoration: { dashArray: "", startArrowhead: InkArrowhead[InkArrowhead.None], endArrowhead: InkArrowhead[InkArrowhead.None], lineCap: "", lineJoin: "", fill: "" }
+            };
+
+            if (brushElement)
+            {
+                getInkMLDescendants(brushElement, "brushProperty").forEach(function (propertyElement: Element)
+                {
+                    let name: string = propertyElement.getAttribute("name");
+                    let value: string = propertyElement.getAttribute("value");
+                    switch (name)
+                    {
+                        case "class":
+                            brush.className = value;
+                            break;
+                        case "color":
+                            brush.strokeColor = value;
+                            break;
+                        case "width":
+                            brush.strokeWidth = value + "px";
+                            break;
+                        default:
+                            if (INKML_DECORATION_BRUSH_PROPERTIES.indexOf(name as keyof SerializedInkDecoration) !== -1)
+                            {
+                                brush.decoration[name as keyof SerializedInkDecoration] = value || "";
+                            }
+                            break;
+                    }
+                });
+            }
+            return (brush);
+        };
+
+        let inkElements: Element[] = Array.prototype.slice.call(inkElement.children).filter(function (element: Element) { return ((element.localName === "trace") || (element.localName === "traceGroup")); });
+
+        svgInfo.history.BeginTransaction("ImportInkML");
+        try
+        {
+            inkElements.forEach(function (element: Element)
+            {
+                let traceElements: Element[] = (element.localName === "trace") ? [element] : getInkMLDescendants(element, "trace");
+                let traces: InkMLTrace[] = traceElements.map(function (traceElement: Element) { return (parseInkMLTrace(traceElement.textContent, getTraceFormat(traceElement))); })
+                    .filter(function (trace: InkMLTrace) { return (trace.points.length > 0); });
+                let pathPointsCollection: Point[][] = traces.map(function (trace: InkMLTrace) { return (trace.points); });
+                let isCombined: boolean = (element.localName === "traceGroup");
+
+                if (pathPointsCollection.length === 0)
+                {
+                    return;
+                }
+
+                let brush: InkMLBrush = getBrush(traceElements[0]);
+                let allPathPoints: Point[] = [].concat.apply([], pathPointsCollection);
+                let serializedInk: SerializedInk = {
+                    id: "", // The Ink will be assigned a new ID
+                    className: brush.className,
+                    strokeColor: brush.className ? "" : brush.strokeColor,
+                    strokeWidth: brush.className ? "" : brush.strokeWidth,
+                    eraserClassName: "",
+                    hullType: InkHullType[isCombined ? InkHullType.Convex : hullType],
+                    hullColor: hullColor,
+                    scale: 1,
+                    isEraser: false,
+                    isClosed: !isCombined && Boolean(brush.decoration.fill), // See ExportInkML()
+                    decoration: JSON.parse(JSON.stringify(brush.decoration)), // Each Ink gets its own copy of the [shared] brush decoration
+                    resizeWith: "",
+                    pathPointsCollection: pathPointsCollection,
+                    isLinearCollection: [],
+                    sampleChannelsCollection: traces.map(function (trace: InkMLTrace) { return (trace.sampleChannels); }),
+                    combinedOutlinePathPoints: isCombined ? Utils.ConvertXYPointsToPoints(d3.polygonHull(Utils.ConvertPointsToXYPoints(allPathPoints)) || Utils.ConvertPointsToXYPoints(allPathPoints)) : null
+                };
+
+                importedInks.push(new Ink(null).rehydrate(inkContainer, serializedInk));
+            });
+        }
+        finally
+        {
+            svgInfo.history.EndTransaction();
+        }
+
+        log(importedInks.length + " Inks imported from InkML");
+        return (importedInks);
+    }
+
+    /**
+     * [Private Method] Returns the {x, y} points (and, if the trace has any of the channels in INKML_SAMPLE_CHANNELS, the sample channels) in the supplied InkML trace data.
+     * Supports explicit (!), first-difference (') and second-difference (") value encoding.
+     * @param {string} traceData The content of an InkML <trace> element.
+     * @param {InkMLTraceFormat} traceFormat The channels in each point of the trace.
+     * @returns {InkMLTrace} Result.
+     */
+    function parseInkMLTrace(traceData: string, traceFormat: InkMLTraceFormat): InkMLTrace
+    {
+        let xIndex: number = traceFormat.indexOf("X");
+        let yIndex: number = traceFormat.indexOf("Y");
+        let modes: string[] = traceFormat.map(function () { return ("!"); }); // The current encoding mode of each channel
+        let values: number[] = traceFormat.map(function () { return (0); }); // The current [decoded] value of each channel
+        let velocities: number[] = traceFormat.map(function () { return (0); }); // The current first-difference of each channel
+        let points: Point[] = [];
+        let sampleChannelNames: string[] = traceFormat.filter(function (channelName: string) { return (INKML_SAMPLE_CHANNELS[channelName] !== undefined); });
+        let sampleChannels: InkSampleChannels[] = (sampleChannelNames.length > 0) ? [] : null;
+
+        if ((xIndex === -1) || (yIndex === -1))
+        {
+            throw new MILException("InkML traces must have both an X and a Y channel");
+        }
+
+        traceData.split(",").forEach(function (pointData: string)
+        {
+            let tokens: string[] = pointData.match(/[!'"]?([-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?|[*?])/g) || [];
+
+            if (tokens.length === 0)
+            {
+                return;
+            }
+
+            for (let c = 0; (c < tokens.length) && (c < traceFormat.length); c++)
+            {
+                let token: string = tokens[c];
+
+                if ("!'\"".indexOf(token[0]) !== -1)
+                {
+                    modes[c] = token[0];
+                    token = token.slice(1);
+                }
+
+                if (token === "?")
+                {
+                    continue;
+                }
+
+                // "*" means "the same as the previous difference" (or the same value, when using explicit encoding)
+                let value: number = (token === "*") ? ((modes[c] === "!") ? values[c] : velocities[c]) : +token;
+
+                switch (modes[c])
+                {
+                    case "!":
+                        velocities[c] = value - values[c];
+                        values[c] = value;
+                        break;
+                    case "'":
+                        velocities[c] = value;
+                        values[c] += value;
+                        break;
+                    case "\"":
+                        velocities[c] += value;
+                        values[c] += velocities[c];
+                        break;
+                }
+            }
+
+            points.push({ x: values[xIndex], y: values[yIndex] });
+
+            if (sampleChannels)
+            {
+                let channels: InkSampleChannels = { timestamp: null, pressure: null, tiltX: null, tiltY: null, twist: null, width: null, height: null };
+
+                sampleChannelNames.forEach(function (channelName: string)
+                {
+                    channels[INKML_SAMPLE_CHANNELS[channelName].property] = values[traceFormat.indexOf(channelName)];
+                });
+                sampleChannels.push(channels);
+            }
+        });
+
+        return ({ points: points, sampleChannels: sampleChannels });
+    }
+
+    /**
+     * [Private Method] Appends a new InkML element (with the specified attributes) to 'parentElement'.
+     * @param {Element} parentElement The parent element.
+     * @param {string} name The name of the new element.
+     * @param {object} [attributes] [Optional] The attributes (name/value pairs) of the new element.
+     * @returns {Element} The new element.
+     */
+    function appendInkMLElement(parentElement: Element, name: string, attributes?: { [name: string]: string }): Element
+    {
+        let element: Element = parentElement.ownerDocument.createElementNS(INKML_NAMESPACE, name);
+
+        for (let attributeName in attributes)
+        {
+            element.setAttribute(attributeName, attributes[attributeName]);
+        }
+        parentElement.appendChild(element);
+        return (element);
+    }
+
+    /**
+     * [Private Method] Sets the 'xml:id' attribute of the supplied InkML element.
+     * @param {Element} element An InkML element.
+     * @param {string} id The ID.
+     */
+    function setInkMLID(element: Element, id: string): void
+    {
+        element.setAttributeNS("http://www.w3.org/XML/1998/namespace", "xml:id", id);
+    }
+
+    /**
+     * [Private Method] Returns the InkML element (in 'inkMLDocument') referenced by 'ref' (eg. "#br0"), or null if there is no such element.
+     * @param {Document} inkMLDocument An InkML document.
+     * @param {string} ref A reference (URI) to an element in the document.
+     * @returns {Element | null} Result.
+     */
+    function findInkMLElementByRef(inkMLDocument: Document, ref: string): Element | null
+    {
+        if (!ref || (ref[0] !== "#"))
+        {
+            return (null);
+        }
+
+        let allElements: Element[] = getInkMLDescendants(inkMLDocument.documentElement, "*");
+        let id: string = ref.slice(1);
+
+        for (let i = 0; i < allElements.length; i++)
+        {
+            if (allElements[i].getAttributeNS("http://www.w3.org/XML/1998/namespace", "id") === id)
+            {
+                return (allElements[i]);
+            }
+        }
+        return (null);
+    }
+
+    /**
+     * [Private Method] Returns the value of the specified attribute of the supplied InkML element, or of its nearest ancestor that has the attribute. Returns null if not found.
+     * @param {Element} element An InkML element.
+     * @param {string} attributeName The name of the attribute.
+     * @returns {string | null} Result.
+     */
+    function getInheritedInkMLAttribute(element: Element, attributeName: string): string | null
+    {
+        while (element && (element.nodeType === Node.ELEMENT_NODE))
+        {
+            if (element.hasAttribute(attributeName))
+            {
+                return (element.getAttribute(attributeName));
+            }
+            element = element.parentNode as Element;
+        }
+        return (null);
+    }
+
+    /**
+     * [Private Method] Returns the descendants of the supplied element that have the specified [local] name (or all descendants if 'localName' is "*"), regardless of namespace.
+     * @param {Element} element An element.
+     * @param {string} localName The local name of the descendants to find.
+     * @returns {Element[]} Result.
+     */
+    function getInkMLDescendants(element: Element, localName: string): Element[]
+    {
+        return (Array.prototype.slice.call(element.getElementsByTagNameNS("*", localName)));
+    }
+
+    /**
+     * [Internal] Returns the SVGInfo for the specified <svg> element, throwing if the element has not been initialized (with MIL.Initialize()).
+     * @param {TargetDomElement} svg An <svg> element.
+     * @returns {SVGInfo} Result.
+     * @internal
+     */
+    export function getInitializedSvgInfo(svg: TargetDomElement): SVGInfo
+    {
+        let svgDomElement: SVGSVGElement = Utils.GetDomElement(svg, SVGSVGElement) as SVGSVGElement;
+        let svgInfo: SVGInfo = getSvgInfo(svgDomElement);
+
+        if (!svgInfo)
+        {
+            throw new MILException("The specified <svg> has not been initialized (see MIL.Initialize())");
+        }
+        return (svgInfo);
+    }
+
+    /**
+     * [Private Method] Returns all the Inks on the <svg> of the supplied SVGInfo, in z-order (bottom-most first).
+     * @param {SVGInfo} svgInfo An SVGInfo.
+     * @returns {Ink[]} Result.
+     */
+    function getInksInZOrder(svgInfo: SVGInfo): Ink[]
+    {
+        let inkPathElements: DomElement[] = svgInfo.gSelection.selectAll<DomElement, any>("path.MILInkPath").nodes();
+        let inks: Ink[] = Inks().filter(function (ink: Ink) { return (inkPathElements.indexOf(ink.Path().node()) !== -1); });
+
+        // Sort the Inks into z-order (ie. document order)
+        inks.sort(function (ink1: Ink, ink2: Ink) { return (inkPathElements.indexOf(ink1.Path().node()) - inkPathElements.indexOf(ink2.Path().node())); });
+        return (inks);
+    }
+}
@@ -12,6 +12,9 @@ namespace MIL
         private _isRightMouseClickAllowed: boolean;
         private _inkAutoCombineMode: InkAutoCombineMode;
         private _hoverTimeoutInMs: number;
+        private _inkEraserMode: InkEraserMode;
+        private _onInkErasedHandler: InkErasedEventHandler;
+        private _onInkChangedHandler: InkChangedEventHandler;
 
         constructor()
         {
@@ -20,6 +23,9 @@ namespace MIL
             this._isRightMouseClickAllowed = true;
             this._inkAutoCombineMode = InkAutoCombineMode.Off;
             this._hoverTimeoutInMs = -1; // Disabled
+            this._inkEraserMode = InkEraserMode.Draw;
+            this._onInkErasedHandler = null;
+            this._onInkChangedHandler = null;
         }
 
         /**
@@ -94,6 +100,45 @@ namespace MIL
             return (getOrSetProperty(this, nameof(() => this._inkAutoCombineMode), mode));
         }
 
+        /**
+         * [Chainable Property] What happens when the [pen] eraser is used to draw over Inks (see Ink.IsEraserDrawing()). Defaults to InkEraserMode.Draw.
+         * When the mode is InkEraserMode.Split or InkEraserMode.Stroke, the eraser Ink is deleted once it has been used to erase (so the Ink() of the Gesture that drew it will be null).
+         * @param {InkEraserMode} mode The desired Ink eraser mode.
+         * @returns {this | InkEraserMode} Either the property value (if getting), or the MILSettings instance (if setting).
+         */
+        InkEraserMode(mode: InkEraserMode): this;
+        InkEraserMode(): InkEraserMode;
+        InkEraserMode(mode?: InkEraserMode): this | InkEraserMode
+        {
+            return (getOrSetProperty(this, nameof(() => this._inkEraserMode), mode));
+        }
+
+        /**
+         * [Chainable Property] The callback that will be invoked for each Ink that's erased when InkEraserMode() is InkEraserMode.Split or InkEraserMode.Stroke.
+         * Because the erased Ink is replaced by new Inks, the callback can be used to add any Gestures (eg. a drag Gesture) that targeted the erased Ink to the new Inks.
+         * @param {InkErasedEventHandler} handler An InkErasedEventHandler.
+         * @returns {this | InkErasedEventHandler} Either the property value (if getting), or the MILSettings instance (if setting).
+         */
+        OnInkErasedHandler(handler: InkErasedEventHandler): this;
+        OnInkErasedHandler(): InkErasedEventHandler;
+        OnInkErasedHandler(handler?: InkErasedEventHandler): this | InkErasedEventHandler
+        {
+            return (getOrSetProperty(this, nameof(() => this._onInkErasedHandler), handler));
+        }
+
+        /**
+         * [Chainable Property] The callback that will be invoked whenever an Ink on the <svg> is started, has a point added, is completed, added, deleted, combined, dragged, resized, rotated or restyled.
+         * The callback receives the Ink and an InkChange describing what changed, so it can be used as the basis for autosave, sync or analytics.
+         * @param {InkChangedEventHandler} handler An InkChangedEventHandler.
+         * @returns {this | InkChangedEventHandler} Either the property value (if getting), or the MILSettings instance (if setting).
+         */
+        OnInkChangedHandler(handler: InkChangedEventHandler): this;
+        OnInkChangedHandler(): InkChangedEventHandler;
+        OnInkChangedHandler(handler?: InkChangedEventHandler): this | InkChangedEventHandler
+        {
+            return (getOrSetProperty(this, nameof(() => this._onInkChangedHandler), handler));
+        }
+
         /**
          * [Chainable Property] The amount of time that must elapse after a potential hover starts before the actual over event is triggered.
          * Defaults to -1, which disables Hover events from happening (hovering adds considerable eventing overhead).
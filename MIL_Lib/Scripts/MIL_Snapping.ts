@@ -0,0 +1,379 @@
+﻿// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT license.
+
+namespace MIL
+{
+    /** The CSS class of the lines drawn to show the alignment guides while Inks are being dragged (see InkSnapping.AlignmentSnapDistance()). */
+    const ALIGNMENT_GUIDE_CLASS_NAME: string = "MILAlignmentGuide";
+
+    /**
+     * [Internal Type] An x (or y) value that a dragged Ink can be aligned to - the left/center/right (or top/middle/bottom) of the bounding rectangle of another Ink - along with that rectangle.
+     * @internal
+     */
+    export type AlignmentTarget = { value: number, rect: Rect };
+
+    /**
+     * [Internal Type] The state of an Ink drag operation that's used to snap the drag delta (see InkSnapping.snapDragDelta()).
+     * @internal
+     */
+    export type DragSnapState = { draggedRect: Rect, xTargets: AlignmentTarget[], yTargets: AlignmentTarget[] };
+
+    /** [Private Type] An alignment found by InkSnapping.findAlignment(). */
+    type Alignment = { offset: number, target: AlignmentTarget };
+
+    /**
+     * The InkSnapping class. Each <svg> (see MIL.Initialize()) has its own InkSnapping (see MIL.Snapping()), which controls how Inks snap while they're being drawn or dragged:
+     * 1) To a [notional] grid: the points of a drawn Ink snap to the nearest grid intersection, and drag deltas snap to multiples of the grid spacing.
+     * 2) To the endpoints of other Inks: when an Ink is completed, its start and end points snap to any nearby endpoint of another Ink.
+     * 3) To the bounding rectangles of other Inks: while dragging, the edges and center of the dragged Ink(s) snap to - and show alignment guides for - the edges and centers of other Inks.
+     * All snapping is off by default. Snapping does not apply to eraser Inks, or to Inks being coerced to the Ruler (see MIL.Ruler()).
+     * Note: The grid is not drawn. If it should be visible, add it to the <svg> separately (eg. using an svg pattern).
+     */
+    export class InkSnapping
+    {
+        private _gSelection: D3SingleSelection; // The 'g' element returned by MIL.Initialize()
+        private _gridSpacing: number;
+        private _endpointSnapDistance: number;
+        private _alignmentSnapDistance: number;
+        private _alignmentGuideClassName: string;
+
+        constructor(gSelection: D3SingleSelection)
+        {
+            this._gSelection = gSelection;
+            this._gridSpacing = 0; // Disabled
+            this._endpointSnapDistance = 0; // Disabled
+            this._alignmentSnapDistance = 0; // Disabled
+            this._alignmentGuideClassName = null;
+        }
+
+        /**
+         * [Chainable Property] The spacing (in svg units, ie. the coordinate space of the 'g' element returned by MIL.Initialize()) of the grid that Ink points and drag deltas snap to.
+         * Defaults to 0 (no grid snapping).
+         * @param {number} spacing The grid spacing (0 to disable).
+         * @returns {this | number} Either the property value (if getting), or the InkSnapping instance (if setting).
+         */
+        GridSpacing(spacing: number): this;
+        GridSpacing(): number;
+        GridSpacing(spacing?: number): this | number
+        {
+            if (spacing === undefined)
+            {
+                return (this._gridSpacing);
+            }
+            else
+            {
+                if (!(spacing >= 0))
+                {
+                    throw new MILException("GridSpacing (" + spacing + ") cannot be negative");
+                }
+                this._gridSpacing = spacing;
+                return (this);
+            }
+        }
+
+        /**
+         * [Chainable Property] How close (in svg units) the start or end point of a completed Ink must be to an endpoint of another Ink to snap to it. Defaults to 0 (no endpoint snapping).
+         * Only Inks in visible layers (see MIL.Layers()) are snapped to.
+         * @param {number} distance The snap distance (0 to disable).
+         * @returns {this | number} Either the property value (if getting), or the InkSnapping instance (if setting).
+         */
+        EndpointSnapDistance(distance: number): this;
+        EndpointSnapDistance(): number;
+        EndpointSnapDistance(distance?: number): this | number
+        {
+            if (distance === undefined)
+            {
+                return (this._endpointSnapDistance);
+            }
+            else
+            {
+                if (!(distance >= 0))
+                {
+                    throw new MILException("EndpointSnapDistance (" + distance + ") cannot be negative");
+                }
+                this._endpointSnapDistance = distance;
+                return (this);
+            }
+        }
+
+        /**
+         * [Chainable Property] How close (in svg units) an edge or the center of the dragged Ink(s) must be to an edge or center of another Ink for the drag to snap into alignment with it
+         * (in which case an alignment guide is shown). Takes precedence over GridSpacing() for the aligned axis. Defaults to 0 (no alignment snapping or guides).
+         * Only Inks in visible layers (see MIL.Layers()) are aligned to.
+         * @param {number} distance The snap distance (0 to disable).
+         * @returns {this | number} Either the property value (if getting), or the InkSnapping instance (if setting).
+         */
+        AlignmentSnapDistance(distance: number): this;
+        AlignmentSnapDistance(): number;
+        AlignmentSnapDistance(distance?: number): this | number
+        {
+            if (distance === undefined)
+            {
+                return (this._alignmentSnapDistance);
+            }
+            else
+            {
+                if (!(distance >= 0))
+                {
+                    throw new MILException("AlignmentSnapDistance (" + distance + ") cannot be negative");
+                }
+                this._alignmentSnapDistance = distance;
+                return (this);
+            }
+        }
+
+        /**
+         * [Chainable Property] The CSS class to use for the alignment guide lines. If not set, the guides are drawn as dashed magenta lines.
+         * @param {string} className The CSS class name.
+         * @returns {this | string} Either the property value (if getting), or the InkSnapping instance (if setting).
+         */
+        AlignmentGuideClass(className: string): this;
+        AlignmentGuideClass(): string;
+        AlignmentGuideClass(className?: string): this | string
+        {
+            return (getOrSetProperty(this, nameof(() => this._alignmentGuideClassName), className));
+        }
+
+        /**
+         * Returns the grid intersection (see GridSpacing()) nearest to the supplied point, or the point itself if there is no grid.
+         * @param {Point} point A point in svg units.
+         * @returns {Point} Result.
+         */
+        SnapToGrid(point: Point): Point
+        {
+            if (this._gridSpacing === 0)
+            {
+                return (point);
+            }
+            return ({ x: this.snapValueToGrid(point.x), y: this.snapValueToGrid(point.y) });
+        }
+
+        /**
+         * [Private Method] Returns the multiple of GridSpacing() nearest to the supplied value (which must be non-zero).
+         * @param {number} value The value to snap.
+         * @returns {number} Result.
+         */
+        private snapValueToGrid(value: number): number
+        {
+            return (Math.round(value / this._gridSpacing) * this._gridSpacing);
+        }
+
+        /**
+         * [Internal] Snaps (in-place) the first and last of the supplied points - the points of an Ink that's being completed - to the nearest endpoint (if any) of another Ink within EndpointSnapDistance().
+         * @param {Ink} ink The Ink being completed (which is never snapped to).
+         * @param {Point[]} pathPoints The points of the Ink.
+         * @internal
+         */
+        snapEndpoints(ink: Ink, pathPoints: Point[]): void
+        {
+            let distance: number = this._endpointSnapDistance;
+
+            if ((distance === 0) || (pathPoints.length === 0))
+            {
+                return;
+            }
+
+            let endIndices: number[] = (pathPoints.length === 1) ? [0] : [0, pathPoints.length - 1];
+
+            for (let i = 0; i < endIndices.length; i++)
+            {
+                let point: Point = pathPoints[endIndices[i]];
+                let searchRect: Rect = { x: point.x - distance, y: point.y - distance, width: distance * 2, height: distance * 2 };
+                let candidateInks: Ink[] = getSpatialIndex(this._gSelection).Search(searchRect).filter(function (candidateInk: Ink) { return ((candidateInk !== ink) && !candidateInk.IsEraserDrawing() && isInVisibleLayer(candidateInk)); });
+                let nearestEndpoint: Point = null;
+                let nearestDistance: number = distance;
+
+                candidateInks.forEach(function (candidateInk: Ink)
+                {
+                    let pathPointsCollection: Point[][] = candidateInk.Path().node().__MILPathPointsCollection__ as Point[][];
+
+                    pathPointsCollection.forEach(function (linePoints: Point[])
+                    {
+                        [linePoints[0], linePoints[linePoints.length - 1]].forEach(function (endpoint: Point)
+                        {
+                            let endpointDistance: number = Utils.GetDistanceBetweenPoints(point, endpoint);
+                            if (endpointDistance <= nearestDistance)
+                            {
+                                nearestEndpoint = endpoint;
+                                nearestDistance = endpointDistance;
+                            }
+                        });
+                    });
+                });
+
+                if (nearestEndpoint !== null)
+                {
+                    pathPoints[endIndices[i]] = { x: nearestEndpoint.x, y: nearestEndpoint.y };
+                }
+            }
+        }
+
+        /**
+         * [Internal] Returns the DragSnapState for a drag of the supplied Inks, or null if AlignmentSnapDistance() is 0 (in which case snapDragDelta() only snaps to the grid).
+         * @param {Ink[]} draggedInks The Inks being dragged.
+         * @returns {DragSnapState | null} Result.
+         * @internal
+         */
+        beginDrag(draggedInks: Ink[]): DragSnapState | null
+        {
+            if (this._alignmentSnapDistance === 0)
+            {
+                return (null);
+            }
+
+            let gDomElement: DomElement = this._gSelection.node();
+            let draggedPoints: Point[] = [].concat.apply([], draggedInks.map(function (ink: Ink) { return (ink.PathPoints()); }));
+            let state: DragSnapState = { draggedRect: Utils.GetBoundingRectForPoints(draggedPoints), xTargets: [], yTargets: [] };
+
+            MIL._inks.forEach(function (ink: Ink)
+            {
+                if ((draggedInks.indexOf(ink) === -1) && (ink.Path() !== null) && !ink.IsEraserDrawing() && gDomElement.contains(ink.Path().node()) && isInVisibleLayer(ink))
+                {
+                    let rect: Rect = Utils.GetBoundingRectForPoints(ink.PathPoints());
+
+                    [rect.x, rect.x + (rect.width / 2), rect.x + rect.width].forEach(function (x: number) { state.xTargets.push({ value: x, rect: rect }); });
+                    [rect.y, rect.y + (rect.height / 2), rect.y + rect.height].forEach(function (y: number) { state.yTargets.push({ value: y, rect: rect }); });
+                }
+            });
+
+            return (state);
+        }
+
+        /**
+         * [Internal] Returns the snapped version of the supplied drag delta (the total movement since the drag started), and updates the alignment guides to match.
+         * @param {DragSnapState | null} state The state returned by beginDrag().
+         * @param {number} deltaX The [unsnapped] delta on the x-axis.
+         * @param {number} deltaY The [unsnapped] delta on the y-axis.
+         * @returns {Point} The snapped delta.
+         * @internal
+         */
+        snapDragDelta(state: DragSnapState | null, deltaX: number, deltaY: number): Point
+        {
+            let snappedDelta: Point = (this._gridSpacing === 0) ? { x: deltaX, y: deltaY } : { x: this.snapValueToGrid(deltaX), y: this.snapValueToGrid(deltaY) };
+
+            this.removeAlignmentGuides();
+
+            if ((state !== null) && (this._alignmentSnapDistance > 0))
+            {
+                let rect: Rect = state.draggedRect;
+                let xAlignment: Alignment = this.findAlignment([rect.x, rect.x + (rect.width / 2), rect.x + rect.width], deltaX, state.xTargets);
+                let yAlignment: Alignment = this.findAlignment([rect.y, rect.y + (rect.height / 2), rect.y + rect.height], deltaY, state.yTargets);
+
+                if (xAlignment !== null)
+                {
+                    snappedDelta.x = deltaX + xAlignment.offset;
+                }
+                if (yAlignment !== null)
+                {
+                    snappedDelta.y = deltaY + yAlignment.offset;
+                }
+
+                // Draw the guides (which span both the dragged rectangle and the rectangle of the Ink being aligned to)
+                let draggedRect: Rect = { x: rect.x + snappedDelta.x, y: rect.y + snappedDelta.y, width: rect.width, height: rect.height };
+
+                if (xAlignment !== null)
+                {
+                    let top: number = Math.min(draggedRect.y, xAlignment.target.rect.y);
+                    let bottom: number = Math.max(draggedRect.y + draggedRect.height, xAlignment.target.rect.y + xAlignment.target.rect.height);
+                    this.addAlignmentGuide(xAlignment.target.value, top, xAlignment.target.value, bottom);
+                }
+                if (yAlignment !== null)
+                {
+                    let left: number = Math.min(draggedRect.x, yAlignment.target.rect.x);
+                    let right: number = Math.max(draggedRect.x + draggedRect.width, yAlignment.target.rect.x + yAlignment.target.rect.width);
+                    this.addAlignmentGuide(left, yAlignment.target.value, right, yAlignment.target.value);
+                }
+            }
+
+            return (snappedDelta);
+        }
+
+        /**
+         * [Internal] Ends a drag started with beginDrag() by removing the alignment guides (if any).
+         * @internal
+         */
+        endDrag(): void
+        {
+            this.removeAlignmentGuides();
+        }
+
+        /**
+         * [Private Method] Returns the closest alignment (within AlignmentSnapDistance()) between the supplied values - moved by 'delta' - and the supplied targets,
+         * as the offset to add to 'delta' along with the target aligned to. Returns null if there is no such alignment.
+         * @param {number[]} values The edge/center values (on one axis) of the dragged rectangle, before it was moved.
+         * @param {number} delta The [unsnapped] drag delta on the same axis.
+         * @param {AlignmentTarget[]} targets The values (on the same axis) to align to.
+         * @returns {Alignment | null} Result.
+         */
+        private findAlignment(values: number[], delta: number, targets: AlignmentTarget[]): Alignment | null
+        {
+            let result: Alignment = null;
+            let minDistance: number = this._alignmentSnapDistance;
+
+            for (let v = 0; v < values.length; v++)
+            {
+                for (let t = 0; t < targets.length; t++)
+                {
+                    let offset: number = targets[t].value - (values[v] + delta);
+                    if (Math.abs(offset) <= minDistance)
+                    {
+                        result = { offset: offset, target: targets[t] };
+                        minDistance = Math.abs(offset);
+                    }
+                }
+            }
+            return (result);
+        }
+
+        /**
+         * [Private Method] Adds an alignment guide line (on top of all the Inks) between the specified points.
+         * @param {number} x1 The x-coordinate of the start of the line.
+         * @param {number} y1 The y-coordinate of the start of the line.
+         * @param {number} x2 The x-coordinate of the end of the line.
+         * @param {number} y2 The y-coordinate of the end of the line.
+         */
+        private addAlignmentGuide(x1: number, y1: number, x2: number, y2: number): void
+        {
+            let line: D3SingleSelection = this._gSelection.append("line").classed(ALIGNMENT_GUIDE_CLASS_NAME, true)
+                .attr("x1", x1).attr("y1", y1).attr("x2", x2).attr("y2", y2).style("pointer-events", "none");
+
+            if (this._alignmentGuideClassName)
+            {
+                line.classed(this._alignmentGuideClassName, true);
+            }
+            else
+            {
+                line.style("stroke", "magenta").style("stroke-width", "1px").style("stroke-dasharray", "4 2").attr("vector-effect", "non-scaling-stroke");
+            }
+        }
+
+        /** [Private Method] Removes all the alignment guide lines. */
+        private removeAlignmentGuides(): void
+        {
+            this._gSelection.selectAll("line." + ALIGNMENT_GUIDE_CLASS_NAME).remove();
+        }
+    }
+
+    /**
+     * Returns the snapping settings (see InkSnapping) associated with the specified <svg> element.
+     * @param {TargetDomElement} svg The <svg> element (previously initialized with MIL.Initialize()) to find the snapping settings for.
+     * @returns {InkSnapping} The associated snapping settings.
+     */
+    export function Snapping(svg: TargetDomElement): InkSnapping
+    {
+        let svgDomElement: SVGSVGElement = Utils.GetDomElement(svg, SVGSVGElement) as SVGSVGElement;
+        let svgInfo: SVGInfo = getSvgInfo(svgDomElement);
+        return (svgInfo.snapping);
+    }
+
+    /**
+     * [Private Method] Returns true if the supplied Ink is not in a hidden layer (see InkLayer.IsVisible()).
+     * @param {Ink} ink The Ink to check.
+     * @returns {boolean} Result.
+     */
+    function isInVisibleLayer(ink: Ink): boolean
+    {
+        let layer: InkLayer = getElementLayer(ink.Path());
+        return ((layer === null) || layer.IsVisible());
+    }
+}
@@ -0,0 +1,320 @@
+﻿// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT license.
+
+namespace MIL
+{
+    /** [Private Type] An Ink in an InkSpatialIndex, along with the rectangle it's indexed by and the quadtree node that holds it. */
+    type SpatialIndexEntry = { ink: Ink, rect: Rect, order: number, node: QuadTreeNode };
+
+    /** [Private Type] A node of the quadtree used by InkSpatialIndex. An entry is held by the deepest node whose rectangle fully contains the entry's rectangle. */
+    type QuadTreeNode = { rect: Rect, entries: SpatialIndexEntry[], children: QuadTreeNode[] | null };
+
+    const MAX_ENTRIES_PER_NODE: number = 8; // Once exceeded, the node is split into 4 child nodes
+    const MAX_TREE_DEPTH: number = 12; // Nodes at this depth are never split
+    const MIN_ROOT_SIZE: number = 256; // In pixels
+
+    /**
+     * [Internal] The InkSpatialIndex class. Each <svg> (see MIL.Initialize()) has its own InkSpatialIndex, which is a quadtree over the bounding
+     * rectangles of the [completed] Inks in the svg. It's used to quickly narrow down the Inks that may be near a point, or overlap a region, before
+     * doing more expensive tests (eg. Utils.CountPointsInPolygon()). The tree grows as needed to contain any Ink, regardless of where it's drawn.
+     * Note: An Ink is indexed by the bounding rectangle of its __MILPathPointsCollection__ points, inflated by half the [computed] stroke-width of its Path(),
+     *       so the index must be updated (see Update()) whenever the points or the stroke-width of an Ink change.
+     * @internal
+     */
+    export class InkSpatialIndex
+    {
+        private _root: QuadTreeNode;
+        private _entries: { [inkID: string]: SpatialIndexEntry };
+        private _count: number;
+        private _nextOrder: number; // Used to return search results in the order that the Inks were [first] added
+
+        constructor()
+        {
+            this._root = null;
+            this._entries = {};
+            this._count = 0;
+            this._nextOrder = 0;
+        }
+
+        /**
+         * [ReadOnly Property] The number of Inks in the index.
+         * @returns {number} Property value.
+         */
+        Count(): number
+        {
+            readOnlyProperty("Count", arguments);
+            return (this._count);
+        }
+
+        /**
+         * Returns true if the supplied Ink is in the index.
+         * @param {Ink} ink The Ink to check for.
+         * @returns {boolean} Result.
+         */
+        Contains(ink: Ink): boolean
+        {
+            return (this._entries[ink.InkID()] !== undefined);
+        }
+
+        /**
+         * Adds the supplied Ink to the index or, if it's already in the index, updates its bounding rectangle (eg. after it's been moved or re-scaled).
+         * @param {Ink} ink The [completed] Ink to add or update.
+         */
+        Update(ink: Ink): void
+        {
+            if ((ink.Path() === null) || ink.IsNonDrawing())
+            {
+                throw new MILException("Only a completed, drawing, Ink can be added to an InkSpatialIndex");
+            }
+
+            let existingEntry: SpatialIndexEntry = this._entries[ink.InkID()];
+            let order: number = existingEntry ? existingEntry.order : this._nextOrder++;
+
+            if (existingEntry)
+            {
+                this.removeEntry(existingEntry);
+            }
+
+            let entry: SpatialIndexEntry = { ink: ink, rect: InkSpatialIndex.getInkRect(ink), order: order, node: null };
+
+            this.growToContain(entry.rect);
+            this.insertEntry(this._root, entry, 0);
+            this._entries[ink.InkID()] = entry;
+            this._count++;
+        }
+
+        /**
+         * Removes the supplied Ink from the index. Has no effect if the Ink is not in the index.
+         * @param {Ink} ink The Ink to remove.
+         */
+        Remove(ink: Ink): void
+        {
+            let entry: SpatialIndexEntry = this._entries[ink.InkID()];
+
+            if (entry)
+            {
+                this.removeEntry(entry);
+            }
+        }
+
+        /**
+         * Returns the Inks whose [indexed] bounding rectangles intersect the supplied rectangle, in the order they were added to the index.
+         * @param {Rect} rect The rectangle (in svg space) to search.
+         * @returns {Ink[]} Result.
+         */
+        Search(rect: Rect): Ink[]
+        {
+            let foundEntries: SpatialIndexEntry[] = [];
+
+            if (this._root !== null)
+            {
+                InkSpatialIndex.searchNode(this._root, rect, foundEntries);
+            }
+
+            foundEntries.sort(function (entry1: SpatialIndexEntry, entry2: SpatialIndexEntry) { return (entry1.order - entry2.order); });
+            return (foundEntries.map(function (entry: SpatialIndexEntry) { return (entry.ink); }));
+        }
+
+        /**
+         * Returns the Inks whose [indexed] bounding rectangles are within 'tolerance' pixels of the supplied point, in the order they were added to the index.
+         * @param {Point} point The point (in svg space) to search around.
+         * @param {number} [tolerance] [Optional] The distance (in pixels) from 'point' to search within. Defaults to 0.
+         * @returns {Ink[]} Result.
+         */
+        SearchPoint(point: Point, tolerance: number = 0): Ink[]
+        {
+            return (this.Search({ x: point.x - tolerance, y: point.y - tolerance, width: tolerance * 2, height: tolerance * 2 }));
+        }
+
+        /**
+         * [Private Method] Removes the supplied entry from its quadtree node, and from the index.
+         * @param {SpatialIndexEntry} entry The entry to remove.
+         */
+        private removeEntry(entry: SpatialIndexEntry): void
+        {
+            let index: number = entry.node.entries.indexOf(entry);
+
+            if (index !== -1)
+            {
+                entry.node.entries.splice(index, 1);
+            }
+
+            delete this._entries[entry.ink.InkID()];
+            this._count--;
+        }
+
+        /**
+         * [Private Method] Replaces the root node with successively larger [parent] nodes until the root fully contains the supplied rectangle.
+         * @param {Rect} rect The rectangle the root must contain.
+         */
+        private growToContain(rect: Rect): void
+        {
+            if (this._root === null)
+            {
+                let size: number = Math.max(rect.width, rect.height, MIN_ROOT_SIZE);
+                this._root = { rect: { x: rect.x - ((size - rect.width) / 2), y: rect.y - ((size - rect.height) / 2), width: size, height: size }, entries: [], children: null };
+                return;
+            }
+
+            while (!InkSpatialIndex.containsRect(this._root.rect, rect))
+            {
+                // Double the size of the root, growing towards the rectangle; the old root becomes one of the quadrants of the new root
+                let oldRoot: QuadTreeNode = this._root;
+                let size: number = oldRoot.rect.width;
+                let growLeft: boolean = (rect.x < oldRoot.rect.x);
+                let growUp: boolean = (rect.y < oldRoot.rect.y);
+                let newRootRect: Rect = { x: growLeft ? oldRoot.rect.x - size : oldRoot.rect.x, y: growUp ? oldRoot.rect.y - size : oldRoot.rect.y, width: size * 2, height: size * 2 };
+                let newRoot: QuadTreeNode = { rect: newRootRect, entries: [], children: InkSpatialIndex.createChildNodes(newRootRect) };
+                let oldRootQuadrant: number = (growUp ? 2 : 0) + (growLeft ? 1 : 0);
+
+                newRoot.children[oldRootQuadrant] = oldRoot;
+                this._root = newRoot;
+            }
+        }
+
+        /**
+         * [Private Method] Adds the supplied entry to the deepest node (at or below 'node') that fully contains the entry's rectangle, splitting full nodes as needed.
+         * @param {QuadTreeNode} node The node to start at (which must contain the entry's rectangle).
+         * @param {SpatialIndexEntry} entry The entry to add.
+         * @param {number} depth The depth of 'node' (the root is at depth 0).
+         */
+        private insertEntry(node: QuadTreeNode, entry: SpatialIndexEntry, depth: number): void
+        {
+            if ((node.children === null) && (node.entries.length >= MAX_ENTRIES_PER_NODE) && (depth < MAX_TREE_DEPTH))
+            {
+                // Split the node, moving any entries that fit inside a child node into that child
+                let existingEntries: SpatialIndexEntry[] = node.entries;
+
+                node.children = InkSpatialIndex.createChildNodes(node.rect);
+                node.entries = [];
+
+                for (let i = 0; i < existingEntries.length; i++)
+                {
+                    this.insertEntry(node, existingEntries[i], depth);
+                }
+            }
+
+            if (node.children !== null)
+            {
+                for (let i = 0; i < node.children.length; i++)
+                {
+                    if (InkSpatialIndex.containsRect(node.children[i].rect, entry.rect))
+                    {
+                        this.insertEntry(node.children[i], entry, depth + 1);
+                        return;
+                    }
+                }
+            }
+
+            // The entry straddles the child nodes (or the node is a leaf)
+            node.entries.push(entry);
+            entry.node = node;
+        }
+
+        /**
+         * [Private Static Method] Adds the entries (at or below 'node') whose rectangles intersect 'rect' to 'foundEntries'.
+         * @param {QuadTreeNode} node The node to search.
+         * @param {Rect} rect The rectangle to search for.
+         * @param {SpatialIndexEntry[]} foundEntries The entries found so far.
+         */
+        private static searchNode(node: QuadTreeNode, rect: Rect, foundEntries: SpatialIndexEntry[]): void
+        {
+            if (!InkSpatialIndex.intersectsRect(node.rect, rect))
+            {
+                return;
+            }
+
+            for (let i = 0; i < node.entries.length; i++)
+            {
+                if (InkSpatialIndex.intersectsRect(node.entries[i].rect, rect))
+                {
+                    foundEntries.push(node.entries[i]);
+                }
+            }
+
+            if (node.children !== null)
+            {
+                for (let i = 0; i < node.children.length; i++)
+                {
+                    InkSpatialIndex.searchNode(node.children[i], rect, foundEntries);
+                }
+            }
+        }
+
+        /**
+         * [Private Static Method] Returns the 4 [empty] child nodes of a node with the supplied rectangle, in the order [TL, TR, BL, BR].
+         * @param {Rect} rect The rectangle of the parent node.
+         * @returns {QuadTreeNode[]} Result.
+         */
+        private static createChildNodes(rect: Rect): QuadTreeNode[]
+        {
+            let halfWidth: number = rect.width / 2;
+            let halfHeight: number = rect.height / 2;
+            let childNodes: QuadTreeNode[] = [];
+
+            for (let i = 0; i < 4; i++)
+            {
+                let childRect: Rect = { x: rect.x + ((i % 2) * halfWidth), y: rect.y + (Math.floor(i / 2) * halfHeight), width: halfWidth, height: halfHeight };
+                childNodes.push({ rect: childRect, entries: [], children: null });
+            }
+            return (childNodes);
+        }
+
+        /**
+         * [Private Static Method] Returns the rectangle that the supplied Ink is indexed by.
+         * @param {Ink} ink The Ink to get the rectangle for.
+         * @returns {Rect} Result.
+         */
+        private static getInkRect(ink: Ink): Rect
+        {
+            let pathDomElement: DomElement = ink.Path().node();
+            let pathPointsCollection: Point[][] = pathDomElement.__MILPathPointsCollection__ as Point[][];
+            let pathPoints: Point[] = [].concat.apply([], pathPointsCollection);
+
+            if (pathPoints.length === 0)
+            {
+                pathPoints = ink.PathPoints() || [];
+            }
+
+            let rect: Rect = (pathPoints.length > 0) ? Utils.GetBoundingRectForPoints(pathPoints) : { x: 0, y: 0, width: 0, height: 0 };
+            let halfStrokeWidth: number = (Utils.ToNumber(window.getComputedStyle(pathDomElement).strokeWidth) || 0) / 2;
+
+            return ({ x: rect.x - halfStrokeWidth, y: rect.y - halfStrokeWidth, width: rect.width + (halfStrokeWidth * 2), height: rect.height + (halfStrokeWidth * 2) });
+        }
+
+        /**
+         * [Private Static Method] Returns true if 'outerRect' fully contains 'innerRect'.
+         * @param {Rect} outerRect The containing rectangle.
+         * @param {Rect} innerRect The contained rectangle.
+         * @returns {boolean} Result.
+         */
+        private static containsRect(outerRect: Rect, innerRect: Rect): boolean
+        {
+            return ((innerRect.x >= outerRect.x) && (innerRect.y >= outerRect.y) &&
+                (innerRect.x + innerRect.width <= outerRect.x + outerRect.width) && (innerRect.y + innerRect.height <= outerRect.y + outerRect.height));
+        }
+
+        /**
+         * [Private Static Method] Returns true if the supplied rectangles overlap (or touch).
+         * @param {Rect} rect1 The first rectangle.
+         * @param {Rect} rect2 The second rectangle.
+         * @returns {boolean} Result.
+         */
+        private static intersectsRect(rect1: Rect, rect2: Rect): boolean
+        {
+            return ((rect1.x <= rect2.x + rect2.width) && (rect2.x <= rect1.x + rect1.width) && (rect1.y <= rect2.y + rect2.height) && (rect2.y <= rect1.y + rect1.height));
+        }
+    }
+
+    /**
+     * [Internal] Returns the InkSpatialIndex for the <svg> that contains the specified 'targetElement', or null if the element is not in an svg that MIL has been initialized for.
+     * @param {TargetDomElement} targetElement The SVGElement to inspect.
+     * @returns {InkSpatialIndex | null} Result.
+     * @internal
+     */
+    export function getSpatialIndex(targetElement: TargetDomElement): InkSpatialIndex | null
+    {
+        let svgInfo: SVGInfo = getSvgInfo(targetElement);
+        return (svgInfo ? svgInfo.spatialIndex : null);
+    }
+}
@@ -725,6 +725,67 @@ namespace MIL
             return (totalLength);
         }
 
+        /**
+         * Returns a simplified version of the line described by the supplied set of Points, using the Ramer-Douglas-Peucker algorithm.
+         * The first and last points are always kept.
+         * @param {Point[]} pathPoints A set of Points.
+         * @param {number} tolerance The maximum distance (in pixels) that a removed point can be from the simplified line.
+         * @returns {Point[]} Result.
+         */
+        export function SimplifyPoints(pathPoints: Point[], tolerance: number): Point[]
+        {
+            return (getSimplifiedPointIndices(pathPoints, tolerance).map(function (index: number) { return (pathPoints[index]); }));
+        }
+
+        /**
+         * [Internal] Returns the indices (in ascending order) of the points in 'pathPoints' that are kept when the line is simplified. See SimplifyPoints().
+         * @param {Point[]} pathPoints A set of Points.
+         * @param {number} tolerance The maximum distance (in pixels) that a removed point can be from the simplified line.
+         * @returns {number[]} Result.
+         * @internal
+         */
+        export function getSimplifiedPointIndices(pathPoints: Point[], tolerance: number): number[]
+        {
+            let isKept: boolean[] = pathPoints.map(function () { return (false); });
+            let ranges: number[][] = (pathPoints.length > 2) ? [[0, pathPoints.length - 1]] : []; // Each range is [startIndex, endIndex]
+            let keptIndices: number[] = [];
+
+            if (pathPoints.length > 0)
+            {
+                isKept[0] = isKept[pathPoints.length - 1] = true;
+            }
+
+            // Note: We use a stack of ranges (rather than recursion) so that very long lines can't exhaust the call stack
+            while (ranges.length > 0)
+            {
+                let range: number[] = ranges.pop();
+                let startPoint: Point = pathPoints[range[0]], endPoint: Point = pathPoints[range[1]];
+                let isZeroLength: boolean = (startPoint.x === endPoint.x) && (startPoint.y === endPoint.y); // Eg. a closed line
+                let maxDistance: number = 0;
+                let maxDistanceIndex: number = -1;
+
+                for (let i = range[0] + 1; i < range[1]; i++)
+                {
+                    let distance: number = GetDistanceBetweenPoints(pathPoints[i], isZeroLength ? startPoint : GetClosestPointOnLine(pathPoints[i], startPoint, endPoint));
+
+                    if (distance > maxDistance)
+                    {
+                        maxDistance = distance;
+                        maxDistanceIndex = i;
+                    }
+                }
+
+                if (maxDistance > tolerance)
+                {
+                    isKept[maxDistanceIndex] = true;
+                    ranges.push([range[0], maxDistanceIndex], [maxDistanceIndex, range[1]]);
+                }
+            }
+
+            isKept.forEach(function (kept: boolean, index: number) { if (kept) { keptIndices.push(index); } });
+            return (keptIndices);
+        }
+
         // PORT: This function had numerous changes, so it should be carefully re-tested.
         /**
          * Searches the specified 'region' for elements of 'shapeNodeType'. Returns either an array of DOM elements or Inks (depending on the value of 'shapeNodeType').
@@ -744,6 +805,10 @@ namespace MIL
             let boundingPoints: XY[] = d3.range(regionPoints.length).map(function (d) { return ([regionPoints[d].x, regionPoints[d].y]); });
             let gDomElement: SVGGElement = GetDomElement(targetGElement, SVGGElement) as SVGGElement;
 
+            // Only Inks whose bounding rectangles overlap the region can possibly have any points inside it
+            // Note: Inks (and other elements) in locked or hidden layers (see MIL.Layers()) are never found
+            let candidateInks: Ink[] = getSvgInfo(gDomElement).spatialIndex.Search(GetBoundingRectForPoints(regionPoints)).filter(function (ink: Ink) { return (gDomElement.contains(ink.Path().node()) && isInEditableLayer(ink.Path())); });
+
             // Note: Local function
             function isMatch(targetPoints: XY[], defaultPercentageInside: number, domElementOrInk: DomElement | Ink)
             {
@@ -775,15 +840,13 @@ namespace MIL
 
             if (shapeNodeType === ShapeNodeType.Ink)
             {
-                let inks: Ink[] = Inks();
-
-                for (let i = 0; i < inks.length; i++)
+                for (let i = 0; i < candidateInks.length; i++)
                 {
-                    let targetPoints: XY[] = ConvertPointsToXYPoints(inks[i].PathPoints());
+                    let targetPoints: XY[] = ConvertPointsToXYPoints(candidateInks[i].PathPoints());
 
-                    if (isMatch(targetPoints, 0.8, inks[i]))
+                    if (isMatch(targetPoints, 0.8, candidateInks[i]))
                     {
-                        foundInks.push(inks[i]);
+                        foundInks.push(candidateInks[i]);
                     }
                 }
                 return (foundInks);
@@ -794,7 +857,7 @@ namespace MIL
                 {
                     let domElement: DomElement = this as DomElement; // Note: When using .each(), 'this' is set to the DOM element associated with 'd'
 
-                    if (isElementVisible(domElement) && !Controls.IsControl(domElement))
+                    if (isElementVisible(domElement) && !Controls.IsControl(domElement) && isInEditableLayer(domElement))
                     {
                         let defaultPercentageInside: number = 1; // 1 = 100%
                         let targetPoints: XY[] = [];
@@ -831,8 +894,19 @@ namespace MIL
                                 break;
 
                             case ShapeNodeType.Path:
+                                // Skip Ink (and Ink Hull) paths that are too far from the region to match
+                                let isInkElement: boolean = domElement.classList.contains("MILInkPath") || domElement.classList.contains("MILInkHullPath");
+                                let elementInks: Ink[] = !isInkElement ? [] : candidateInks.filter(function (ink: Ink)
+                                {
+                                    return ((ink.Path().node() === domElement) || ((ink.HullPath() !== null) && (ink.HullPath().node() === domElement)));
+                                });
+                                if (isInkElement && (elementInks.length === 0))
+                                {
+                                    return;
+                                }
+
                                 // Add either all the points of an Ink, or a sampling of points from a non-Ink path
-                                let ink: Ink = GetInkByElement(domElement);
+                                let ink: Ink = isInkElement ? elementInks[0] : null;
                                 var pathPoints: Point[] = ink ? ink.PathPoints() : SamplePointsFromPath(domElement as SVGPathElement); // Note: Don't use 'let' here: it will result in the variable being renamed during compilation which means it won't surface correctly in the debugger
                                 targetPoints = d3.range(pathPoints.length).map(function (d) { return ([pathPoints[d].x, pathPoints[d].y]); });
                                 defaultPercentageInside = 0.8; // 80%
@@ -1048,8 +1122,8 @@ namespace MIL
         {
             let top: number = Number.MAX_VALUE;
             let left: number = Number.MAX_VALUE;
-            let maxX: number = Number.MIN_VALUE;
-            let maxY: number = Number.MIN_VALUE;
+            let maxX: number = -Number.MAX_VALUE; // Note: Not Number.MIN_VALUE, which is the smallest positive number
+            let maxY: number = -Number.MAX_VALUE;
 
             for (let i = 0; i < pathPoints.length; i++)
             {